@@ -4,8 +4,37 @@
  * Core scraping logic extracted from index.js for maintainability.
  * Handles bulk scraping, gap processing, and event streaming.
  * 
- * VERSION: 1.16.0
+ * VERSION: 1.19.0
  * 
+ * UPDATED v1.19.0:
+ * - NEW: Change-detection fast path - fetches pass skipUnchanged (unless the
+ *   job sets options.skipUnchanged=false), so webScraperFunction skips
+ *   parsing pages whose meaningful regions match the last saved parse
+ *   - isUnchangedResponse() detects these (skipped + skipReason 'UNCHANGED');
+ *     they count as gamesSkipped and are not re-saved
+ * 
+ * UPDATED v1.18.0:
+ * - NEW: 'priority' mode (lib/scrapePriority.js)
+ *   - Scores candidate IDs (running games, start time just passed, missing
+ *     results, new IDs past lastScannedId, scrape age, change frequency) and
+ *     processes the top bulkCount (default 50) highest first
+ *   - Candidates are always fetched live - the point is fresh data
+ *   - Runs through processGapIds, so continuations carry the remaining
+ *     queue in order as gapIds
+ *
+ * UPDATED v1.17.0:
+ * - NEW: Adaptive, job-wide rate limiting (lib/rateLimiter.js)
+ *   - Every fetch in fetchTournamentDataWithRetry() now waits on the job's
+ *     token bucket passed in as ctx.rateLimiter
+ *   - BOT_BLOCKED pages, 429s and 5xx responses halve the rate and back off the
+ *     whole job exponentially; sustained healthy responses speed it back up
+ *   - Limits come from ScraperSettings (rateLimit* fields)
+ *   - Pending waits count towards the timeout check, so a long backoff triggers
+ *     self-continuation instead of a Lambda timeout; limiter state is carried in
+ *     accumulatedResults.rateLimiter
+ *   - Without a limiter the previous fixed retry delays still apply; with one,
+ *     only 429/5xx errors skip them (other errors keep the exponential delay)
+ *
  * UPDATED v1.16.0:
  * - FIX: doNotScrape tournaments now SKIPPED instead of stopping the job
  *   - When a URL has doNotScrape=true in ScrapeURL table, webScraperFunction
@@ -147,6 +176,8 @@
 
 const { FETCH_TOURNAMENT_DATA, SAVE_TOURNAMENT_DATA } = require('../graphql/queries');
 const { ScrapeURLPrefetchCache } = require('../lib/prefetchCache');
+const { classifyFetchOutcome, OUTCOME: RATE_LIMIT_OUTCOME } = require('../lib/rateLimiter');
+const { buildPriorityQueue, DEFAULT_PRIORITY_BUDGET } = require('../lib/scrapePriority');
 
 // ===================================================================
 // DURATION PARSING HELPER (NEW v1.14.0)
@@ -217,13 +248,16 @@ function parseDurationToInt(value) {
  * 
  * @param {function} invokeFetchDirect - Direct Lambda invocation function (from ctx)
  * @param {function} callGraphQL - GraphQL fallback function (from ctx)
- * @param {object} params - Fetch parameters {url, forceRefresh, entityId, scraperApiKey}
+ * @param {object} params - Fetch parameters {url, forceRefresh, entityId, scraperApiKey, skipUnchanged}
  * @param {number} maxRetries - Maximum retry attempts (default: 3)
  * @param {number} retryDelay - Base delay between retries in ms (default: 500)
+ * @param {AdaptiveRateLimiter|null} rateLimiter - v1.17.0: Job-wide limiter; when set it paces
+ *        every attempt and replaces the fixed retry delay for 429/5xx/BOT_BLOCKED;
+ *        other errors keep the retryDelay * 2^(attempt-1) delay
  * @returns {object} Fetch result with fetchTournamentData property
  */
-async function fetchTournamentDataWithRetry(invokeFetchDirect, callGraphQL, params, maxRetries = 3, retryDelay = 500) {
-    const { url, forceRefresh, entityId, scraperApiKey } = params;
+async function fetchTournamentDataWithRetry(invokeFetchDirect, callGraphQL, params, maxRetries = 3, retryDelay = 500, rateLimiter = null) {
+    const { url, forceRefresh, entityId, scraperApiKey, skipUnchanged = false } = params;
     
     // Use direct Lambda invocation if available (bypasses 30s AppSync timeout)
     const useDirect = typeof invokeFetchDirect === 'function';
@@ -234,26 +268,47 @@ async function fetchTournamentDataWithRetry(invokeFetchDirect, callGraphQL, para
     
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
+            if (rateLimiter) {
+                await rateLimiter.acquire();
+            }
+            
+            let response;
             if (useDirect) {
                 // Direct Lambda invocation - no 30s timeout!
-                return await invokeFetchDirect({
+                response = await invokeFetchDirect({
                     url,
                     forceRefresh,
                     entityId,
-                    scraperApiKey
+                    scraperApiKey,
+                    skipUnchanged
                 });
             } else {
                 // Fallback to GraphQL (subject to 30s timeout)
                 if (attempt === 1) {
                     console.warn('[ScrapingEngine] invokeFetchDirect not available, using GraphQL fallback (30s timeout applies)');
                 }
-                return await callGraphQL(FETCH_TOURNAMENT_DATA, {
+                response = await callGraphQL(FETCH_TOURNAMENT_DATA, {
                     url,
                     forceRefresh,
                     entityId,
-                    scraperApiKey
+                    scraperApiKey,
+                    skipUnchanged
                 });
             }
+            
+            if (rateLimiter) {
+                // v1.17.0: 429/5xx can also come back as an error response rather than a throw
+                const outcome = classifyFetchOutcome(response?.fetchTournamentData);
+                rateLimiter.recordOutcome(outcome);
+                
+                const isThrottledError = outcome === RATE_LIMIT_OUTCOME.RATE_LIMITED || outcome === RATE_LIMIT_OUTCOME.SERVER_ERROR;
+                if (isThrottledError && attempt < maxRetries) {
+                    console.log(`[ScrapingEngine] ${outcome} response, retrying after job backoff (attempt ${attempt}/${maxRetries})`);
+                    continue;
+                }
+            }
+            
+            return response;
         } catch (error) {
             const errorMsg = error.message || String(error);
             const isTimeout = errorMsg.includes('timeout') || 
@@ -264,14 +319,31 @@ async function fetchTournamentDataWithRetry(invokeFetchDirect, callGraphQL, para
                           errorMsg.includes('Rate Exceeded') || 
                           errorMsg.includes('TooManyRequests');
             
+            const outcome = rateLimiter ? classifyFetchOutcome(null, error) : null;
+            if (rateLimiter) {
+                rateLimiter.recordOutcome(outcome);
+            }
+            
             // Don't retry on timeout errors - they'll just timeout again
             if (isTimeout) {
                 console.error(`[ScrapingEngine] Fetch timeout (attempt ${attempt}/${maxRetries}): ${errorMsg}`);
                 throw error;
             }
             
+            if (attempt >= maxRetries) {
+                throw error;
+            }
+            
+            // v1.17.0: For throttle errors the limiter's job-wide backoff already spaces
+            // out the next attempt; anything else still gets the fixed backoff below
+            const isThrottledError = outcome === RATE_LIMIT_OUTCOME.RATE_LIMITED || outcome === RATE_LIMIT_OUTCOME.SERVER_ERROR;
+            if (isThrottledError) {
+                console.log(`[ScrapingEngine] ${outcome} error, retrying after job backoff (attempt ${attempt}/${maxRetries}): ${errorMsg}`);
+                continue;
+            }
+            
             // Retry on rate limiting errors
-            if (is429 && attempt < maxRetries) {
+            if (is429) {
                 const delay = retryDelay * Math.pow(2, attempt - 1);
                 console.log(`[ScrapingEngine] Rate limited, retrying in ${delay}ms (attempt ${attempt}/${maxRetries})`);
                 await new Promise(resolve => setTimeout(resolve, delay));
@@ -279,13 +351,9 @@ async function fetchTournamentDataWithRetry(invokeFetchDirect, callGraphQL, para
             }
             
             // For other errors, retry with backoff
-            if (attempt < maxRetries) {
-                const delay = retryDelay * Math.pow(2, attempt - 1);
-                console.log(`[ScrapingEngine] Fetch error, retrying in ${delay}ms (attempt ${attempt}/${maxRetries}): ${errorMsg}`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-            } else {
-                throw error;
-            }
+            const delay = retryDelay * Math.pow(2, attempt - 1);
+            console.log(`[ScrapingEngine] Fetch error, retrying in ${delay}ms (attempt ${attempt}/${maxRetries}): ${errorMsg}`);
+            await new Promise(resolve => setTimeout(resolve, delay));
         }
     }
 }
@@ -441,6 +509,17 @@ function isDoNotScrapeResponse(parsedData) {
     return doNotScrapePatterns.some(pattern => combinedText.includes(pattern));
 }
 
+/**
+ * v1.19.0: Check if webScraperFunction skipped the page because its
+ * meaningful regions match the last saved parse (skipUnchanged fast path)
+ * 
+ * @param {object} parsedData - The parsed data from fetch
+ * @returns {boolean} True if the page is unchanged and needs no save
+ */
+function isUnchangedResponse(parsedData) {
+    return !!parsedData?.skipped && parsedData.skipReason === 'UNCHANGED';
+}
+
 /**
  * Check if response indicates an error that should be retried
  * UNKNOWN status means something went wrong during parsing
@@ -941,6 +1020,20 @@ async function queryUnfinishedGames(entityId, ctx) {
     return [];
 }
 
+/**
+ * Options for processing a priority queue (NEW v1.18.0)
+ * Every queued ID was picked because it likely has new data, so skip the
+ * S3 cache and the prefetch skip checks.
+ */
+function withPriorityOptions(options) {
+    return {
+        ...options,
+        forceRefresh: true,
+        skipNotPublished: false,
+        skipNotFoundGaps: false,
+    };
+}
+
 // ===================================================================
 // MAIN SCRAPING ENGINE
 // ===================================================================
@@ -983,6 +1076,8 @@ async function performScrapingEnhanced(entityId, scraperState, jobId, options =
         invocationStartTime,
         // v1.5.1: Progress publisher for timeout/continuation status
         progressPublisher,
+        // v1.17.0: Job-wide adaptive rate limiter (optional)
+        rateLimiter,
     } = ctx;
     
     const startTime = invocationStartTime || Date.now();
@@ -1030,10 +1125,12 @@ async function performScrapingEnhanced(entityId, scraperState, jobId, options =
     if (options.gapIds?.length > 0) {
         console.log(`[ScrapingEngine] Processing ${options.gapIds.length} gap IDs first (mode: ${mode})`);
         
-        const gapResults = await processGapIds(entityId, jobId, options.gapIds, options, startTime, ctx);
+        // v1.18.0: A priority continuation keeps the live-fetch options
+        const gapOptions = mode === 'priority' ? withPriorityOptions(options) : options;
+        const gapResults = await processGapIds(entityId, jobId, options.gapIds, gapOptions, startTime, ctx);
         
-        // If mode is 'gaps', 'multiId', or 'refresh', return after processing gaps only
-        if (mode === 'gaps' || mode === 'multiId' || mode === 'refresh') {
+        // If mode is 'gaps', 'multiId', 'refresh' or 'priority', return after processing gaps only
+        if (mode === 'gaps' || mode === 'multiId' || mode === 'refresh' || mode === 'priority') {
             return gapResults;
         }
         
@@ -1132,6 +1229,40 @@ async function performScrapingEnhanced(entityId, scraperState, jobId, options =
             
             return refreshResults;
             
+        case 'priority': {
+            // ═══════════════════════════════════════════════════════════════
+            // NEW v1.18.0: Highest-value URLs first within the job's budget
+            // Continuations arrive with the remaining queue as gapIds (handled above)
+            // ═══════════════════════════════════════════════════════════════
+            const budget = options.bulkCount > 0 ? options.bulkCount : DEFAULT_PRIORITY_BUDGET;
+            const queue = await buildPriorityQueue(entityId, scraperState, {
+                budget,
+                ignoreDoNotScrape: options.ignoreDoNotScrape,
+            }, {
+                ddbDocClient: ctx.ddbDocClient,
+                scrapeURLTable: ctx.scrapeURLTable,
+                getTableName: ctx.getTableName,
+            });
+            
+            if (queue.length === 0) {
+                console.log(`[ScrapingEngine] Priority mode: Nothing worth fetching right now`);
+                results.stopReason = STOP_REASON.COMPLETED;
+                return results;
+            }
+            
+            console.log(`[ScrapingEngine] Priority mode: Processing ${queue.length}/${budget} IDs, top:`,
+                queue.slice(0, 10).map(c => `${c.tournamentId} (${c.score}: ${c.reasons.join('+')})`).join(', '));
+            
+            return processGapIds(
+                entityId,
+                jobId,
+                queue.map(c => c.tournamentId),
+                withPriorityOptions(options),
+                startTime,
+                ctx
+            );
+        }
+            
         default:
             currentId = scraperState.lastScannedId + 1;
             endId = currentId + (options.maxGames || 100);
@@ -1177,7 +1308,9 @@ async function performScrapingEnhanced(entityId, scraperState, jobId, options =
         }
         
         // Check timeout - trigger self-continuation if available
-        if (Date.now() - startTime > (LAMBDA_TIMEOUT - LAMBDA_TIMEOUT_BUFFER)) {
+        // v1.17.0: Count any pending rate-limiter wait, so a long backoff hands over to a continuation
+        const rateLimitWaitMs = rateLimiter ? rateLimiter.getWaitMs() : 0;
+        if (Date.now() + rateLimitWaitMs - startTime > (LAMBDA_TIMEOUT - LAMBDA_TIMEOUT_BUFFER)) {
             console.log(`[ScrapingEngine] Approaching timeout at ID ${currentId}, processed so far: ${results.totalProcessed}`);
             
             // Publish timeout status if publisher available
@@ -1196,6 +1329,9 @@ async function performScrapingEnhanced(entityId, scraperState, jobId, options =
             // Try to continue in new invocation
             if (invokeContinuation && currentId < endId) {
                 try {
+                    if (rateLimiter) {
+                        results.rateLimiter = rateLimiter.getState();
+                    }
                     await invokeContinuation(currentId, endId, results);
                     results.stopReason = STOP_REASON.CONTINUING || 'CONTINUING';
                     console.log(`[ScrapingEngine] Self-continuation triggered, stopping current invocation`);
@@ -1296,10 +1432,12 @@ async function performScrapingEnhanced(entityId, scraperState, jobId, options =
                     url: url,
                     forceRefresh: gameForceRefresh,
                     entityId: entityId,
-                    scraperApiKey: options.scraperApiKey || null
+                    scraperApiKey: options.scraperApiKey || null,
+                    skipUnchanged: options.skipUnchanged !== false
                 },
                 3,  // maxRetries
-                500 // retryDelay
+                500, // retryDelay
+                rateLimiter || null
             );
             const parsedData = fetchData.fetchTournamentData;
 
@@ -1310,6 +1448,30 @@ async function performScrapingEnhanced(entityId, scraperState, jobId, options =
                 results.s3CacheHits++;
             }
 
+            // v1.19.0: Page unchanged since the last saved parse - nothing to save
+            if (isUnchangedResponse(parsedData)) {
+                console.log(`[ScrapingEngine] ID ${currentId}: UNCHANGED since last save - SKIPPING`);
+                
+                results.gamesSkipped++;
+                results.consecutiveBlanks = 0;
+                results.consecutiveNotFound = 0;
+                
+                publishGameProcessedEvent(jobId, entityId, currentId, url, {
+                    action: 'SKIPPED',
+                    message: 'Unchanged since last scrape',
+                    durationMs: Date.now() - gameStartTime,
+                    dataSource,
+                    parsedData: {
+                        name: parsedData.name,
+                        gameStatus: parsedData.gameStatus
+                    },
+                    saveResult: null,
+                }).catch(err => console.warn(`[ScrapingEngine] Event publish failed:`, err.message));
+                
+                currentId++;
+                continue;
+            }
+
             // ═══════════════════════════════════════════════════════════════
             // v1.16.0 FIX: Check for doNotScrape before treating as error
             // URLs flagged with doNotScrape=true in ScrapeURL table return
@@ -1771,6 +1933,11 @@ async function performScrapingEnhanced(entityId, scraperState, jobId, options =
         console.log(`[ScrapingEngine] Prefetch stats:`, prefetchCache.getStats());
     }
     
+    if (rateLimiter) {
+        results.rateLimiter = rateLimiter.getState();
+        console.log(`[ScrapingEngine] Rate limiter:`, results.rateLimiter);
+    }
+    
     console.log(`[ScrapingEngine] Processing loop finished:`, {
         lastCurrentId: results.lastProcessedId,
         targetEndId: endId,
@@ -1828,6 +1995,8 @@ async function processGapIds(entityId, jobId, gapIds, options, startTime, ctx) {
         LAMBDA_TIMEOUT_BUFFER,
         invokeContinuation,
         progressPublisher,
+        // v1.17.0: Job-wide adaptive rate limiter (optional)
+        rateLimiter,
     } = ctx;
     
     // v1.8.0: No error thresholds - we stop on first error
@@ -1898,7 +2067,8 @@ async function processGapIds(entityId, jobId, gapIds, options, startTime, ctx) {
         // NEW v1.11.0: Timeout check with continuation support
         // ═══════════════════════════════════════════════════════════════
         if (LAMBDA_TIMEOUT && LAMBDA_TIMEOUT_BUFFER) {
-            const elapsed = Date.now() - startTime;
+            // v1.17.0: Count any pending rate-limiter wait
+            const elapsed = Date.now() + (rateLimiter ? rateLimiter.getWaitMs() : 0) - startTime;
             const timeoutThreshold = LAMBDA_TIMEOUT - LAMBDA_TIMEOUT_BUFFER;
             
             if (elapsed > timeoutThreshold) {
@@ -1932,6 +2102,7 @@ async function processGapIds(entityId, jobId, gapIds, options, startTime, ctx) {
                             {
                                 ...results,
                                 remainingGapIds: remainingGapIds,
+                                rateLimiter: rateLimiter ? rateLimiter.getState() : null,
                             }
                         );
                         results.stopReason = STOP_REASON.CONTINUING || 'CONTINUING';
@@ -1982,10 +2153,12 @@ async function processGapIds(entityId, jobId, gapIds, options, startTime, ctx) {
                     url: url,
                     forceRefresh: gapForceRefresh,
                     entityId: entityId,
-                    scraperApiKey: options.scraperApiKey || null
+                    scraperApiKey: options.scraperApiKey || null,
+                    skipUnchanged: options.skipUnchanged !== false
                 },
                 3,  // maxRetries
-                500 // retryDelay
+                500, // retryDelay
+                rateLimiter || null
             );
             const parsedData = fetchData.fetchTournamentData;
             
@@ -1995,6 +2168,29 @@ async function processGapIds(entityId, jobId, gapIds, options, startTime, ctx) {
                 results.s3CacheHits++;
             }
             
+            // v1.19.0: Page unchanged since the last saved parse - nothing to save
+            if (isUnchangedResponse(parsedData)) {
+                console.log(`[ScrapingEngine] Gap ID ${tournamentId}: UNCHANGED since last save - SKIPPING`);
+                
+                results.gamesSkipped++;
+                results.consecutiveBlanks = 0;
+                results.consecutiveNotFound = 0;
+                
+                publishGameProcessedEvent(jobId, entityId, tournamentId, url, {
+                    action: 'SKIPPED',
+                    message: 'Unchanged since last scrape',
+                    durationMs: Date.now() - gameStartTime,
+                    dataSource,
+                    parsedData: {
+                        name: parsedData.name,
+                        gameStatus: parsedData.gameStatus
+                    },
+                    saveResult: null,
+                }).catch(err => console.warn(`[ScrapingEngine] Event publish failed:`, err.message));
+                
+                continue;
+            }
+            
             // ═══════════════════════════════════════════════════════════════
             // v1.5.2 FIX: Check for REAL errors FIRST (before unparseable)
             // This ensures configuration/network errors are properly counted
@@ -2363,6 +2559,7 @@ async function processGapIds(entityId, jobId, gapIds, options, startTime, ctx) {
         notPublishedCount: results.notPublishedCount,
         errors: results.errors,
         stopReason: results.stopReason,
+        rateLimiter: rateLimiter ? rateLimiter.getState() : null,
     });
     
     return results;
@@ -2382,6 +2579,7 @@ module.exports = {
     isNotPublishedResponse,
     isBotBlockedResponse,  // NEW v1.15.0
     isDoNotScrapeResponse,  // NEW v1.16.0
+    isUnchangedResponse,    // NEW v1.19.0
     isUnknownErrorResponse,
     isUnparseableResponse,  // NEW v1.5.1
     isErrorResponse,
@@ -3,7 +3,14 @@
  * 
  * Extracted from index.js for maintainability
  * 
- * UPDATED: v1.2.1 bump
+ * UPDATED: v1.4.0
+ * - FETCH_TOURNAMENT_DATA takes skipUnchanged and selects skipped/skipReason
+ *   and regionHash (change-detection fast path)
+ * 
+ * v1.3.0
+ * - Added FIND_TOURNAMENT_ID_GAPS query for scheduled 'gaps' jobs
+ * 
+ * v1.2.1 bump
  * - Added PUBLISH_JOB_PROGRESS mutation for real-time job monitoring
  *   This triggers the onJobProgress subscription for live UI updates
  * 
@@ -15,8 +22,8 @@
  */
 
 const FETCH_TOURNAMENT_DATA = /* GraphQL */ `
-    mutation FetchTournamentData($url: AWSURL, $forceRefresh: Boolean, $entityId: ID, $scraperApiKey: String) {
-        fetchTournamentData(url: $url, forceRefresh: $forceRefresh, entityId: $entityId, scraperApiKey: $scraperApiKey) {
+    mutation FetchTournamentData($url: AWSURL, $forceRefresh: Boolean, $entityId: ID, $scraperApiKey: String, $skipUnchanged: Boolean) {
+        fetchTournamentData(url: $url, forceRefresh: $forceRefresh, entityId: $entityId, scraperApiKey: $scraperApiKey, skipUnchanged: $skipUnchanged) {
             name
             gameStatus
             tournamentId
@@ -72,6 +79,9 @@ const FETCH_TOURNAMENT_DATA = /* GraphQL */ `
             s3Key
             source
             contentHash
+            regionHash
+            skipped
+            skipReason
             fetchedAt
         }
     }
@@ -185,9 +195,20 @@ const PUBLISH_JOB_PROGRESS = /* GraphQL */ `
     }
 `;
 
+const FIND_TOURNAMENT_ID_GAPS = /* GraphQL */ `
+    query FindTournamentIdGaps($entityId: ID!, $startId: Int, $endId: Int, $maxGapsToReturn: Int) {
+        findTournamentIdGaps(entityId: $entityId, startId: $startId, endId: $endId, maxGapsToReturn: $maxGapsToReturn) {
+            start
+            end
+            count
+        }
+    }
+`;
+
 module.exports = {
     FETCH_TOURNAMENT_DATA,
     SAVE_TOURNAMENT_DATA,
     PUBLISH_GAME_PROCESSED,
-    PUBLISH_JOB_PROGRESS
+    PUBLISH_JOB_PROGRESS,
+    FIND_TOURNAMENT_ID_GAPS
 };
\ No newline at end of file
@@ -21,7 +21,22 @@
 Amplify Params - DO NOT EDIT */
 
 // autoScraper Lambda
-// UPDATED v4.6.0:
+// UPDATED v4.9.0:
+// - invokeFetchDirect() passes skipUnchanged through to webScraperFunction
+//   (change-detection fast path, see scrapingEngine v1.19.0)
+//
+// v4.8.0:
+// - NEW: Scheduled jobs - EventBridge ticks run runDueSchedules(), which starts a job for
+//   every enabled ScraperSchedule whose cron expression is due (lib/cronSchedule.js)
+// - Schedules are skipped during the entity's quiet hours or while its scraper is running
+// - 'gaps' schedules look up missing tournament IDs via findTournamentIdGaps
+//
+// v4.7.0:
+// - NEW: Adaptive rate limiting - each job gets an AdaptiveRateLimiter (lib/rateLimiter.js)
+//   configured from ScraperSettings and passed to scrapingEngine as ctx.rateLimiter
+// - Limiter state is carried across self-continuations in accumulatedResults.rateLimiter
+//
+// v4.6.0:
 // - NEW: invokeFetchDirect() function for direct Lambda-to-Lambda calls
 // - FIX: Bypasses AppSync's 30-second resolver timeout limit
 // - Direct Lambda invocation allows full 120-180s timeout for slow ScraperAPI responses
@@ -67,8 +82,10 @@ const fetch = require('node-fetch');
 const aws4 = require('aws4');
 
 // Extracted modules
-const { PUBLISH_GAME_PROCESSED, PUBLISH_JOB_PROGRESS } = require('./graphql/queries');
+const { PUBLISH_GAME_PROCESSED, PUBLISH_JOB_PROGRESS, FIND_TOURNAMENT_ID_GAPS } = require('./graphql/queries');
 const { performScrapingEnhanced } = require('./engine/scrapingEngine');
+const { AdaptiveRateLimiter, buildRateLimitConfig } = require('./lib/rateLimiter');
+const { DEFAULT_TIMEZONE, getNextRunTime, isWithinQuietHours } = require('./lib/cronSchedule');
 
 // Initialize AWS clients
 const ddbClient = new DynamoDBClient({});
@@ -142,6 +159,11 @@ const scraperStateTable = getTableName('ScraperState');
 const scraperJobTable = getTableName('ScraperJob');
 const scrapeURLTable = getTableName('ScrapeURL');
 const entityTable = getTableName('Entity');
+const scraperSettingsTable = getTableName('ScraperSettings');
+const scraperScheduleTable = getTableName('ScraperSchedule');
+
+// Single global settings record (see useScraperSettings / refreshRunningGames)
+const GLOBAL_SETTINGS_ID = 'GLOBAL_SCRAPER_SETTINGS';
 
 // ===================================================================
 // ENTITY HELPERS
@@ -175,6 +197,27 @@ async function buildTournamentUrl(entityId, tournamentId) {
     return `${domain}${path}${tournamentId}`;
 }
 
+// ===================================================================
+// RATE LIMIT SETTINGS (NEW v4.7.0)
+// ===================================================================
+
+/**
+ * Load rate limit config from the global ScraperSettings record
+ * Falls back to the limiter defaults if the record is missing or unreadable.
+ */
+async function getRateLimitConfig() {
+    try {
+        const response = await monitoredDdbDocClient.send(new GetCommand({
+            TableName: scraperSettingsTable,
+            Key: { id: GLOBAL_SETTINGS_ID }
+        }));
+        return buildRateLimitConfig(response.Item || null);
+    } catch (error) {
+        console.warn('[AutoScraper] Could not load ScraperSettings, using default rate limits:', error.message);
+        return buildRateLimitConfig(null);
+    }
+}
+
 // ===================================================================
 // ENTITY RESOLUTION
 // ===================================================================
@@ -261,10 +304,11 @@ async function callGraphQL(query, variables, entityId = null) {
  * @param {boolean} params.forceRefresh - Whether to bypass cache
  * @param {string} params.entityId - Entity ID
  * @param {string} params.scraperApiKey - Optional API key override
+ * @param {boolean} params.skipUnchanged - Skip parsing when the page is unchanged since the last save
  * @returns {object} Response in same format as GraphQL: { fetchTournamentData: {...} }
  */
 async function invokeFetchDirect(params) {
-    const { url, forceRefresh, entityId, scraperApiKey } = params;
+    const { url, forceRefresh, entityId, scraperApiKey, skipUnchanged } = params;
     
     if (!WEB_SCRAPER_FUNCTION_NAME) {
         console.error('[invokeFetchDirect] FUNCTION_WEBSCRAPERFUNCTION_NAME not configured');
@@ -285,7 +329,8 @@ async function invokeFetchDirect(params) {
             url,
             forceRefresh: forceRefresh || false,
             entityId,
-            scraperApiKey: scraperApiKey || null
+            scraperApiKey: scraperApiKey || null,
+            skipUnchanged: skipUnchanged || false
         }
     };
     
@@ -671,10 +716,16 @@ async function createScraperJob(entityId, triggerSource, triggeredBy, options =
 // SCRAPING CONTEXT BUILDER
 // ===================================================================
 
-function buildScrapingContext(jobId = null, entityId = null, options = {}) {
+function buildScrapingContext(jobId = null, entityId = null, options = {}, rateLimitConfig = null) {
     const invocationStartTime = Date.now();
     const functionName = process.env.AWS_LAMBDA_FUNCTION_NAME;
     
+    // v4.7.0: One limiter per job, resumed from the previous invocation if continuing
+    const rateLimiter = new AdaptiveRateLimiter(
+        rateLimitConfig || buildRateLimitConfig(null),
+        options.accumulatedResults?.rateLimiter || null
+    );
+    
     // Create job progress publisher if we have a jobId
     const progressPublisher = jobId && entityId 
         ? new JobProgressPublisher(
@@ -698,6 +749,7 @@ function buildScrapingContext(jobId = null, entityId = null, options = {}) {
         updateScraperState,
         publishGameProcessedEvent,
         ddbDocClient: monitoredDdbDocClient,
+        getTableName,
         scrapeURLTable,
         
         // ===== Constants (UPPERCASE as expected by scrapingEngine) =====
@@ -716,6 +768,9 @@ function buildScrapingContext(jobId = null, entityId = null, options = {}) {
         // ===== Job progress publisher (for real-time updates) =====
         progressPublisher,
         
+        // ===== v4.7.0: Adaptive rate limiter =====
+        rateLimiter,
+        
         // ===== Callbacks =====
         onGameProcessed: publishGameProcessedEvent,
         onProgress: async (stats, currentId) => {
@@ -768,6 +823,8 @@ function buildScrapingContext(jobId = null, entityId = null, options = {}) {
                     s3CacheHits: accumulatedResults.s3CacheHits || 0,
                     // Track accumulated duration across invocations
                     previousDuration: totalDuration,
+                    // v4.7.0: Keep the current rate/backoff rather than starting fresh
+                    rateLimiter: accumulatedResults.rateLimiter || null,
                 },
                 // Pass through original options (excluding accumulatedResults to avoid nesting)
                 mode: options.mode,
@@ -959,7 +1016,8 @@ async function executeJob(event) {
         };
 
         // Build context with job progress publisher
-        const ctx = buildScrapingContext(jobId, entityId, scrapingOptions);
+        const rateLimitConfig = await getRateLimitConfig();
+        const ctx = buildScrapingContext(jobId, entityId, scrapingOptions, rateLimitConfig);
         
         const results = await performScrapingEnhanced(entityId, scraperState, jobId, scrapingOptions, ctx);
         
@@ -1206,6 +1264,243 @@ async function cancelJob(event) {
     };
 }
 
+// ===================================================================
+// SCHEDULED JOBS (NEW v4.8.0)
+// ===================================================================
+
+// Job options a ScraperSchedule may set (mirrors startScraperJob input)
+const SCHEDULE_OPTION_KEYS = [
+    'bulkCount', 'startId', 'endId', 'maxId',
+    'forceRefresh', 'skipNotPublished', 'skipNotFoundGaps', 'saveToDatabase', 'defaultVenueId',
+    'maxConsecutiveNotFound', 'maxConsecutiveErrors', 'maxConsecutiveBlanks', 'maxTotalErrors',
+];
+
+// Cap on IDs a scheduled 'gaps' job will queue
+const DEFAULT_SCHEDULE_MAX_GAP_IDS = 200;
+
+const SCHEDULE_RUN_STATUS = {
+    STARTED: 'STARTED',
+    SKIPPED_QUIET_HOURS: 'SKIPPED_QUIET_HOURS',
+    SKIPPED_RUNNING: 'SKIPPED_RUNNING',
+    SKIPPED_DISABLED: 'SKIPPED_DISABLED',
+    SKIPPED_NO_GAPS: 'SKIPPED_NO_GAPS',
+    INVALID_SCHEDULE: 'INVALID_SCHEDULE',
+    FAILED: 'FAILED',
+};
+
+async function getEnabledSchedules() {
+    const schedules = [];
+    let lastKey;
+    
+    do {
+        const result = await monitoredDdbDocClient.send(new ScanCommand({
+            TableName: scraperScheduleTable,
+            FilterExpression: 'enabled = :enabled AND (attribute_not_exists(#deleted) OR #deleted = :false)',
+            ExpressionAttributeNames: { '#deleted': '_deleted' },
+            ExpressionAttributeValues: { ':enabled': true, ':false': false },
+            ExclusiveStartKey: lastKey
+        }));
+        schedules.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+    
+    return schedules;
+}
+
+async function updateScraperSchedule(scheduleId, updates) {
+    const updateExpressions = [];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = {};
+    
+    Object.keys(updates).forEach(key => {
+        if (key === 'id' || updates[key] === undefined) return;
+        updateExpressions.push(`#${key} = :${key}`);
+        expressionAttributeNames[`#${key}`] = key;
+        expressionAttributeValues[`:${key}`] = updates[key];
+    });
+    
+    updateExpressions.push('#updatedAt = :updatedAt');
+    expressionAttributeNames['#updatedAt'] = 'updatedAt';
+    expressionAttributeValues[':updatedAt'] = new Date().toISOString();
+    
+    updateExpressions.push('#lca = :lca');
+    expressionAttributeNames['#lca'] = '_lastChangedAt';
+    expressionAttributeValues[':lca'] = Date.now();
+    
+    updateExpressions.push('#v = if_not_exists(#v, :zero) + :one');
+    expressionAttributeNames['#v'] = '_version';
+    expressionAttributeValues[':zero'] = 0;
+    expressionAttributeValues[':one'] = 1;
+    
+    await monitoredDdbDocClient.send(new UpdateCommand({
+        TableName: scraperScheduleTable,
+        Key: { id: scheduleId },
+        UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+        ExpressionAttributeNames: expressionAttributeNames,
+        ExpressionAttributeValues: expressionAttributeValues
+    }));
+}
+
+function parseScheduleOptions(schedule) {
+    if (!schedule.options) return {};
+    try {
+        const options = typeof schedule.options === 'string' ? JSON.parse(schedule.options) : schedule.options;
+        return options && typeof options === 'object' ? options : {};
+    } catch (error) {
+        console.warn(`[Schedules] Schedule ${schedule.id} has invalid options JSON, ignoring:`, error.message);
+        return {};
+    }
+}
+
+/**
+ * Missing tournament IDs for a scheduled 'gaps' job
+ */
+async function getScheduleGapIds(entityId, options) {
+    const maxIds = options.maxGapIds || DEFAULT_SCHEDULE_MAX_GAP_IDS;
+    const data = await callGraphQL(FIND_TOURNAMENT_ID_GAPS, {
+        entityId,
+        startId: options.startId || null,
+        endId: options.endId || null,
+        maxGapsToReturn: maxIds
+    }, entityId);
+    
+    const gapIds = [];
+    for (const gap of data?.findTournamentIdGaps || []) {
+        for (let id = gap.start; id <= gap.end && gapIds.length < maxIds; id++) {
+            gapIds.push(id);
+        }
+        if (gapIds.length >= maxIds) break;
+    }
+    return gapIds;
+}
+
+/**
+ * Create the ScraperJob for a due schedule and hand it to executeJob asynchronously
+ */
+async function startScheduledJob(schedule, options) {
+    const jobOptions = { mode: schedule.mode };
+    SCHEDULE_OPTION_KEYS.forEach(key => {
+        if (options[key] !== undefined && options[key] !== null) jobOptions[key] = options[key];
+    });
+    
+    if (schedule.mode === 'gaps') {
+        const gapIds = await getScheduleGapIds(schedule.entityId, options);
+        if (gapIds.length === 0) {
+            return { status: SCHEDULE_RUN_STATUS.SKIPPED_NO_GAPS };
+        }
+        jobOptions.gapIds = gapIds;
+    }
+    
+    const job = await createScraperJob(schedule.entityId, 'SCHEDULED', `schedule:${schedule.id}`, jobOptions);
+    
+    await lambdaClient.send(new InvokeCommand({
+        FunctionName: process.env.AWS_LAMBDA_FUNCTION_NAME,
+        InvocationType: 'Event',
+        Payload: JSON.stringify({ operation: 'executeJob', jobId: job.id, entityId: schedule.entityId }),
+    }));
+    
+    return { status: SCHEDULE_RUN_STATUS.STARTED, jobId: job.id };
+}
+
+/**
+ * Start every enabled ScraperSchedule that is due
+ * Runs on each EventBridge tick (CloudWatchRule, every 5 minutes); a schedule is due
+ * once its nextRunAt has passed. Missed runs are not replayed - the next run is
+ * always calculated from now.
+ */
+async function runDueSchedules() {
+    const now = new Date();
+    const schedules = await getEnabledSchedules();
+    console.log(`[Schedules] Checking ${schedules.length} enabled schedules`);
+    
+    const entityCache = new Map();
+    const startedEntities = new Set();
+    const results = [];
+    
+    for (const schedule of schedules) {
+        try {
+            if (!entityCache.has(schedule.entityId)) {
+                entityCache.set(schedule.entityId, await getEntity(schedule.entityId).catch(() => null));
+            }
+            const entity = entityCache.get(schedule.entityId);
+            const timeZone = entity?.scraperTimezone || DEFAULT_TIMEZONE;
+            
+            // nextRunAt is cleared when a schedule is created or edited - count from the edit
+            const nextRunAt = schedule.nextRunAt
+                ? new Date(schedule.nextRunAt)
+                : getNextRunTime(schedule.cronExpression, schedule.updatedAt || schedule.createdAt || now, timeZone);
+            
+            if (!nextRunAt) {
+                if (schedule.lastRunStatus !== SCHEDULE_RUN_STATUS.INVALID_SCHEDULE) {
+                    await updateScraperSchedule(schedule.id, { lastRunStatus: SCHEDULE_RUN_STATUS.INVALID_SCHEDULE, nextRunAt: null });
+                }
+                results.push({ scheduleId: schedule.id, status: SCHEDULE_RUN_STATUS.INVALID_SCHEDULE });
+                continue;
+            }
+            
+            if (nextRunAt > now) {
+                // First sighting of a new/edited schedule - record when it will run
+                if (!schedule.nextRunAt) {
+                    await updateScraperSchedule(schedule.id, { nextRunAt: nextRunAt.toISOString() });
+                }
+                continue;
+            }
+            
+            // Due
+            let outcome;
+            if (!entity || entity.isActive === false) {
+                outcome = { status: SCHEDULE_RUN_STATUS.SKIPPED_DISABLED };
+            } else if (isWithinQuietHours(now, entity.scraperQuietHoursStart, entity.scraperQuietHoursEnd, timeZone)) {
+                outcome = { status: SCHEDULE_RUN_STATUS.SKIPPED_QUIET_HOURS };
+            } else {
+                const scraperState = await getOrCreateScraperState(schedule.entityId);
+                if (!scraperState.enabled) {
+                    outcome = { status: SCHEDULE_RUN_STATUS.SKIPPED_DISABLED };
+                } else if (scraperState.isRunning || startedEntities.has(schedule.entityId)) {
+                    outcome = { status: SCHEDULE_RUN_STATUS.SKIPPED_RUNNING };
+                } else {
+                    outcome = await startScheduledJob(schedule, parseScheduleOptions(schedule));
+                    if (outcome.status === SCHEDULE_RUN_STATUS.STARTED) {
+                        startedEntities.add(schedule.entityId);
+                    }
+                }
+            }
+            
+            const followingRun = getNextRunTime(schedule.cronExpression, now, timeZone);
+            await updateScraperSchedule(schedule.id, {
+                lastRunAt: now.toISOString(),
+                lastRunStatus: outcome.status,
+                lastJobId: outcome.jobId || schedule.lastJobId || null,
+                nextRunAt: followingRun ? followingRun.toISOString() : null
+            });
+            
+            console.log(`[Schedules] "${schedule.name}" (${schedule.entityId}): ${outcome.status}${outcome.jobId ? ` job ${outcome.jobId}` : ''}`);
+            results.push({ scheduleId: schedule.id, entityId: schedule.entityId, ...outcome });
+            
+        } catch (error) {
+            console.error(`[Schedules] Schedule ${schedule.id} failed:`, error);
+            results.push({ scheduleId: schedule.id, status: SCHEDULE_RUN_STATUS.FAILED, error: error.message });
+            await updateScraperSchedule(schedule.id, {
+                lastRunAt: now.toISOString(),
+                lastRunStatus: SCHEDULE_RUN_STATUS.FAILED,
+                nextRunAt: getNextRunTime(
+                    schedule.cronExpression,
+                    now,
+                    entityCache.get(schedule.entityId)?.scraperTimezone || DEFAULT_TIMEZONE
+                )?.toISOString() || null
+            }).catch(() => {});
+        }
+    }
+    
+    return {
+        success: true,
+        checkedAt: now.toISOString(),
+        schedulesChecked: schedules.length,
+        jobsStarted: results.filter(r => r.status === SCHEDULE_RUN_STATUS.STARTED).length,
+        results
+    };
+}
+
 // ===================================================================
 // MAIN HANDLER
 // ===================================================================
@@ -1226,6 +1521,11 @@ exports.handler = async (event) => {
             return await cancelJob(event);
         }
         
+        // v4.8.0: EventBridge tick (no input payload) or explicit call runs due schedules
+        if (event.operation === 'runSchedules' || (isEventBridge && !event.operation && !event.fieldName)) {
+            return await runDueSchedules();
+        }
+        
         // Legacy: AppSync operations
         const operation = event.operation || event.fieldName;
         const args = event.arguments || event;
@@ -1308,7 +1608,7 @@ exports.handler = async (event) => {
             const ctx = buildScrapingContext(job.id, entityId, {
                 startId: args.startId,
                 endId: args.endId,
-            });
+            }, await getRateLimitConfig());
             
             const scrapeResults = await performScrapingEnhanced(entityId, scraperState, job.id, {
                 mode: 'bulk',
@@ -0,0 +1,251 @@
+/**
+ * Cron Schedule
+ *
+ * Cron expressions and quiet hours for ScraperSchedule job definitions.
+ * Evaluated in the entity's timezone (Entity.scraperTimezone).
+ *
+ * VERSION: 1.0.0
+ *
+ * CRON FORMAT (5 fields, standard unix cron):
+ *   minute hour day-of-month month day-of-week
+ *   e.g. "0 8,20 * * *"        - 08:00 and 20:00 daily
+ *        "30 9 * * 1-5"       - 09:30 weekdays
+ *        "0,30 18-23 * * 5,6" - every half hour, 6pm-midnight Fri/Sat
+ * Fields accept *, lists (1,2), ranges (1-5) and steps (1-30/5, or * with /n).
+ * Day-of-week is 0-6 from Sunday (7 is also Sunday). When both day fields
+ * are restricted a day matches either one, as in unix cron.
+ *
+ * DAYLIGHT SAVING:
+ * A time that doesn't exist when clocks go forward (02:30 on the spring-forward
+ * day) is skipped for that day. A time inside the hour repeated when clocks go
+ * back fires once, on its first occurrence.
+ *
+ * QUIET HOURS:
+ * "HH:mm" start/end. Ranges that wrap past midnight (22:00 - 07:00) work.
+ */
+
+const DEFAULT_TIMEZONE = 'Australia/Sydney';
+
+// Longest gap searched for the next run before giving up (covers yearly schedules)
+const MAX_LOOKAHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+const FIELD_BOUNDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatterCache = new Map();
+
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [rangeText, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${part}" in ${name}`);
+        }
+
+        let start, end;
+        if (rangeText === '*') {
+            start = min;
+            end = max;
+        } else if (rangeText.includes('-')) {
+            [start, end] = rangeText.split('-').map(n => parseInt(n, 10));
+        } else {
+            start = parseInt(rangeText, 10);
+            end = stepText === undefined ? start : max;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            throw new Error(`Invalid ${name} "${part}" (allowed ${min}-${max})`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - Cron expression
+ * @returns {object} Allowed values per field
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+    const fields = String(expression || '').trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Cron expression needs 5 fields, got ${fields.length}: "${expression}"`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseField(field, FIELD_BOUNDS[i]));
+
+    // 7 is an alias for Sunday
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.delete(7);
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        dayOfMonthRestricted: fields[2] !== '*',
+        dayOfWeekRestricted: fields[4] !== '*',
+    };
+}
+
+function isValidCron(expression) {
+    try {
+        parseCron(expression);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock parts of a date in a timezone
+ * @returns {object} { year, month, day, hour, minute, weekday }
+ */
+function getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short',
+        }));
+    }
+
+    const parts = {};
+    for (const { type, value } of formatterCache.get(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    return {
+        year: parseInt(parts.year, 10),
+        month: parseInt(parts.month, 10),
+        day: parseInt(parts.day, 10),
+        hour: parseInt(parts.hour, 10),
+        minute: parseInt(parts.minute, 10),
+        weekday: WEEKDAY_INDEX[parts.weekday],
+    };
+}
+
+function matchesDay(cron, parts) {
+    const domMatch = cron.daysOfMonth.has(parts.day);
+    const dowMatch = cron.daysOfWeek.has(parts.weekday);
+
+    if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * Next time a cron expression fires, strictly after `after`
+ *
+ * @param {string} expression - Cron expression
+ * @param {Date|string|number} after - Start point
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date|null} Next run, or null if the expression is invalid or
+ *                      never fires within a year
+ */
+function getNextRunTime(expression, after, timeZone = DEFAULT_TIMEZONE) {
+    let cron;
+    try {
+        cron = parseCron(expression);
+    } catch {
+        return null;
+    }
+
+    const startMs = new Date(after).getTime();
+    if (Number.isNaN(startMs)) return null;
+
+    // First whole minute after the start point
+    let candidate = Math.floor(startMs / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const limit = startMs + MAX_LOOKAHEAD_MS;
+
+    while (candidate <= limit) {
+        const parts = getZonedParts(new Date(candidate), timeZone);
+
+        // Skip to the next hour when the day or hour can't match rather than
+        // testing every minute (hour steps stay correct across DST changes)
+        if (!cron.months.has(parts.month) || !matchesDay(cron, parts) || !cron.hours.has(parts.hour)) {
+            candidate += (60 - parts.minute) * MINUTE_MS;
+            continue;
+        }
+        if (cron.minutes.has(parts.minute)) {
+            // When clocks go back the hour repeats - an hour earlier showing the
+            // same wall-clock hour means this is the second pass, already fired
+            const hourEarlier = getZonedParts(new Date(candidate - 60 * MINUTE_MS), timeZone);
+            if (hourEarlier.hour !== parts.hour || hourEarlier.day !== parts.day) {
+                return new Date(candidate);
+            }
+        }
+        candidate += MINUTE_MS;
+    }
+
+    return null;
+}
+
+function parseTimeOfDay(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+}
+
+/**
+ * Whether a time falls inside an entity's quiet hours
+ *
+ * @param {Date} date - Time to check
+ * @param {string} start - Quiet hours start "HH:mm"
+ * @param {string} end - Quiet hours end "HH:mm" (exclusive)
+ * @param {string} timeZone - IANA timezone
+ * @returns {boolean} False when quiet hours aren't configured
+ */
+function isWithinQuietHours(date, start, end, timeZone = DEFAULT_TIMEZONE) {
+    const startMinutes = parseTimeOfDay(start);
+    const endMinutes = parseTimeOfDay(end);
+    if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) {
+        return false;
+    }
+
+    const parts = getZonedParts(date, timeZone);
+    const nowMinutes = parts.hour * 60 + parts.minute;
+
+    return startMinutes < endMinutes
+        ? nowMinutes >= startMinutes && nowMinutes < endMinutes
+        : nowMinutes >= startMinutes || nowMinutes < endMinutes;
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    parseCron,
+    isValidCron,
+    getNextRunTime,
+    getZonedParts,
+    isWithinQuietHours,
+};
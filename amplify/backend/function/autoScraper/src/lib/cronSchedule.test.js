@@ -0,0 +1,101 @@
+/**
+ * Unit checks for cronSchedule.js - run with `npm test` from the repo root
+ *
+ * Australia/Sydney DST in 2025: clocks went back 03:00 -> 02:00 on 6 April
+ * and forward 02:00 -> 03:00 on 5 October.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCron, isValidCron, getNextRunTime, isWithinQuietHours } = require('./cronSchedule');
+
+const SYDNEY = 'Australia/Sydney';
+
+const nextRun = (expression, after, timeZone = SYDNEY) => getNextRunTime(expression, after, timeZone)?.toISOString() ?? null;
+
+test('parseCron expands lists, ranges and steps', () => {
+    const cron = parseCron('0,30 18-20 */10 1-12/6 1-5');
+    assert.deepEqual([...cron.minutes], [0, 30]);
+    assert.deepEqual([...cron.hours], [18, 19, 20]);
+    assert.deepEqual([...cron.daysOfMonth], [1, 11, 21, 31]);
+    assert.deepEqual([...cron.months], [1, 7]);
+    assert.deepEqual([...cron.daysOfWeek], [1, 2, 3, 4, 5]);
+});
+
+test('parseCron treats 7 as Sunday', () => {
+    assert.deepEqual([...parseCron('0 0 * * 6-7').daysOfWeek].sort(), [0, 6]);
+});
+
+test('isValidCron rejects bad expressions', () => {
+    assert.equal(isValidCron('0 8 * * *'), true);
+    assert.equal(isValidCron('0 8 * *'), false);
+    assert.equal(isValidCron('60 8 * * *'), false);
+    assert.equal(isValidCron('0 24 * * *'), false);
+    assert.equal(isValidCron('0 8 0 * *'), false);
+    assert.equal(isValidCron('0 5-1 * * *'), false);
+    assert.equal(isValidCron('*/0 * * * *'), false);
+    assert.equal(isValidCron(''), false);
+});
+
+test('getNextRunTime is strictly after the start point', () => {
+    // 08:00 AEST = 22:00Z the day before
+    assert.equal(nextRun('0 8 * * *', '2025-06-01T22:00:00Z'), '2025-06-02T22:00:00.000Z');
+    assert.equal(nextRun('0 8 * * *', '2025-06-01T21:59:30Z'), '2025-06-01T22:00:00.000Z');
+});
+
+test('getNextRunTime evaluates in the given timezone', () => {
+    assert.equal(nextRun('0 8 * * *', '2025-06-01T00:00:00Z', 'UTC'), '2025-06-01T08:00:00.000Z');
+    assert.equal(nextRun('0 8 * * *', '2025-06-01T00:00:00Z', 'Europe/London'), '2025-06-01T07:00:00.000Z');
+});
+
+test('getNextRunTime matches either day field when both are restricted', () => {
+    // 09:00 on the 13th or any Friday - Friday 6 June comes first
+    assert.equal(nextRun('0 9 13 * 5', '2025-06-01T00:00:00Z'), '2025-06-05T23:00:00.000Z');
+});
+
+test('getNextRunTime returns null for a date that never happens', () => {
+    assert.equal(nextRun('0 0 30 2 *', '2025-01-01T00:00:00Z'), null);
+    assert.equal(nextRun('not cron', '2025-01-01T00:00:00Z'), null);
+    assert.equal(nextRun('0 8 * * *', 'not a date'), null);
+});
+
+test('getNextRunTime skips a time that does not exist when clocks go forward', () => {
+    // 02:30 on 5 October doesn't exist - next is 02:30 AEDT on the 6th
+    assert.equal(nextRun('30 2 * * *', '2025-10-04T14:00:00Z'), '2025-10-05T15:30:00.000Z');
+    // Hourly jobs carry on across the jump (01:00 AEST -> 03:00 AEDT)
+    assert.equal(nextRun('0 * * * *', '2025-10-04T15:30:00Z'), '2025-10-04T16:00:00.000Z');
+});
+
+test('getNextRunTime fires once in the hour repeated when clocks go back', () => {
+    // 02:30 AEDT (15:30Z) fires, 02:30 AEST an hour later doesn't
+    assert.equal(nextRun('30 2 * * *', '2025-04-05T14:00:00Z'), '2025-04-05T15:30:00.000Z');
+    assert.equal(nextRun('30 2 * * *', '2025-04-05T15:30:00Z'), '2025-04-06T16:30:00.000Z');
+    // Hourly jobs skip the repeated 02:00 AEST (16:00Z) and resume at 03:00 AEST
+    assert.equal(nextRun('0 * * * *', '2025-04-05T15:30:00Z'), '2025-04-05T17:00:00.000Z');
+});
+
+test('isWithinQuietHours handles ranges that wrap past midnight', () => {
+    const at = (iso) => isWithinQuietHours(new Date(iso), '22:00', '07:00', SYDNEY);
+    assert.equal(at('2025-06-01T11:59:00Z'), false); // 21:59
+    assert.equal(at('2025-06-01T12:00:00Z'), true);  // 22:00
+    assert.equal(at('2025-06-01T15:00:00Z'), true);  // 01:00
+    assert.equal(at('2025-06-01T20:59:00Z'), true);  // 06:59
+    assert.equal(at('2025-06-01T21:00:00Z'), false); // 07:00 - end is exclusive
+});
+
+test('isWithinQuietHours handles same-day ranges', () => {
+    const at = (iso) => isWithinQuietHours(new Date(iso), '09:30', '17:00', 'UTC');
+    assert.equal(at('2025-06-01T09:29:00Z'), false);
+    assert.equal(at('2025-06-01T09:30:00Z'), true);
+    assert.equal(at('2025-06-01T16:59:00Z'), true);
+    assert.equal(at('2025-06-01T17:00:00Z'), false);
+});
+
+test('isWithinQuietHours is off when not configured', () => {
+    const date = new Date('2025-06-01T12:00:00Z');
+    assert.equal(isWithinQuietHours(date, null, null), false);
+    assert.equal(isWithinQuietHours(date, '22:00', '22:00'), false);
+    assert.equal(isWithinQuietHours(date, '25:00', '07:00'), false);
+    assert.equal(isWithinQuietHours(date, '22:00', '7am'), false);
+});
@@ -0,0 +1,258 @@
+/**
+ * Adaptive Rate Limiter
+ *
+ * Token bucket that paces fetchTournamentData calls for one scraper job.
+ * The rate adapts to how the target site (and ScraperAPI) is responding:
+ *
+ * - THROTTLE signals (BOT_BLOCKED page, HTTP 429, HTTP 5xx / no response):
+ *   rate is halved (down to minRequestsPerMinute) and the whole job backs off
+ *   exponentially: backoffBaseSeconds * 2^(n-1), capped at maxBackoffSeconds
+ * - HEALTHY responses: after recoveryThreshold consecutive successes the rate
+ *   steps back up towards requestsPerMinute and the backoff streak resets
+ *
+ * VERSION: 1.0.0
+ *
+ * CONFIG:
+ * Limits come from ScraperSettings (GLOBAL_SCRAPER_SETTINGS) - see
+ * buildRateLimitConfig() - so every entity gets the same limits. The bucket
+ * itself is per job, not per entity: a job scrapes a single entity, but two
+ * jobs running for the same entity each pace themselves independently.
+ * State survives self-continuation via
+ * getState() -> accumulatedResults.rateLimiter -> constructor.
+ */
+
+// Defaults used when ScraperSettings has no value
+const DEFAULT_RATE_LIMIT_CONFIG = {
+    enabled: true,
+    requestsPerMinute: 30,
+    minRequestsPerMinute: 2,
+    burst: 3,
+    backoffBaseSeconds: 5,
+    maxBackoffSeconds: 120,
+    recoveryThreshold: 10,
+};
+
+// Multiplicative decrease on throttle, additive increase on recovery
+const THROTTLE_RATE_FACTOR = 0.5;
+const RECOVERY_STEP_FRACTION = 0.2;
+
+const OUTCOME = {
+    SUCCESS: 'SUCCESS',
+    BOT_BLOCKED: 'BOT_BLOCKED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    SERVER_ERROR: 'SERVER_ERROR',
+    OTHER_ERROR: 'OTHER_ERROR',
+};
+
+const THROTTLE_OUTCOMES = [OUTCOME.BOT_BLOCKED, OUTCOME.RATE_LIMITED, OUTCOME.SERVER_ERROR];
+
+/**
+ * Build limiter config from a ScraperSettings record (or null)
+ * @param {object|null} settings - ScraperSettings item
+ * @returns {object} Config with defaults applied
+ */
+function buildRateLimitConfig(settings) {
+    const pick = (value, fallback) => (value === null || value === undefined) ? fallback : value;
+    const d = DEFAULT_RATE_LIMIT_CONFIG;
+
+    const config = {
+        enabled: pick(settings?.rateLimitEnabled, d.enabled),
+        requestsPerMinute: pick(settings?.rateLimitRequestsPerMinute, d.requestsPerMinute),
+        minRequestsPerMinute: pick(settings?.rateLimitMinRequestsPerMinute, d.minRequestsPerMinute),
+        burst: pick(settings?.rateLimitBurst, d.burst),
+        backoffBaseSeconds: d.backoffBaseSeconds,
+        maxBackoffSeconds: pick(settings?.rateLimitMaxBackoffSeconds, d.maxBackoffSeconds),
+        recoveryThreshold: d.recoveryThreshold,
+    };
+
+    // Keep the floor below the ceiling whatever was saved
+    config.minRequestsPerMinute = Math.max(1, Math.min(config.minRequestsPerMinute, config.requestsPerMinute));
+    config.burst = Math.max(1, config.burst);
+
+    return config;
+}
+
+/**
+ * Classify a fetch result or thrown error for the limiter
+ *
+ * @param {object|null} parsedData - fetchTournamentData response (when it returned)
+ * @param {Error|null} error - Thrown error (when it threw)
+ * @returns {string} One of OUTCOME
+ */
+function classifyFetchOutcome(parsedData, error = null) {
+    if (parsedData?.scrapeStatus === 'BOT_BLOCKED') {
+        return OUTCOME.BOT_BLOCKED;
+    }
+
+    const message = error
+        ? (error.message || String(error))
+        : (parsedData?.errorMessage || parsedData?.error || '');
+
+    if (!message) {
+        return OUTCOME.SUCCESS;
+    }
+
+    if (/\b429\b|Rate Exceeded|TooManyRequests|Too Many Requests/i.test(message)) {
+        return OUTCOME.RATE_LIMITED;
+    }
+
+    // ScraperAPI surfaces upstream failures as "ScraperAPI Error 5xx" / "No Response"
+    if (/Error 5\d\d\b|\b50[234]\b|No Response|Service Unavailable|Bad Gateway/i.test(message)) {
+        return OUTCOME.SERVER_ERROR;
+    }
+
+    return error ? OUTCOME.OTHER_ERROR : OUTCOME.SUCCESS;
+}
+
+class AdaptiveRateLimiter {
+    /**
+     * @param {object} config - From buildRateLimitConfig()
+     * @param {object|null} savedState - From getState() of a previous invocation
+     */
+    constructor(config = DEFAULT_RATE_LIMIT_CONFIG, savedState = null) {
+        this.config = { ...DEFAULT_RATE_LIMIT_CONFIG, ...config };
+
+        const now = Date.now();
+        this.currentRate = savedState?.currentRate || this.config.requestsPerMinute;
+        this.tokens = savedState ? Math.min(savedState.tokens ?? 1, this.config.burst) : this.config.burst;
+        this.lastRefillAt = now;
+        this.backoffUntil = savedState?.backoffUntil || 0;
+        this.consecutiveThrottles = savedState?.consecutiveThrottles || 0;
+        this.consecutiveSuccesses = savedState?.consecutiveSuccesses || 0;
+        this.stats = {
+            requests: 0,
+            throttles: 0,
+            botBlocked: 0,
+            rateLimited: 0,
+            serverErrors: 0,
+            waitedMs: 0,
+            ...(savedState?.stats || {}),
+        };
+    }
+
+    /**
+     * How long the next acquire() would wait, in ms
+     * Lets the caller check it against the Lambda time budget first.
+     */
+    getWaitMs() {
+        if (!this.config.enabled) return 0;
+
+        this._refill();
+        const now = Date.now();
+        const backoffWait = Math.max(0, this.backoffUntil - now);
+        const tokenWait = this.tokens >= 1
+            ? 0
+            : Math.ceil((1 - this.tokens) * this._msPerToken());
+
+        return Math.max(backoffWait, tokenWait);
+    }
+
+    /**
+     * Wait for a token (and any job-wide backoff), then consume it
+     * @returns {Promise<number>} ms waited
+     */
+    async acquire() {
+        this.stats.requests++;
+        if (!this.config.enabled) return 0;
+
+        const waitMs = this.getWaitMs();
+        if (waitMs > 0) {
+            console.log(`[RateLimiter] Waiting ${waitMs}ms (rate ${this.currentRate.toFixed(1)}/min, backoff streak ${this.consecutiveThrottles})`);
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+            this.stats.waitedMs += waitMs;
+            this._refill();
+        }
+
+        this.tokens = Math.max(0, this.tokens - 1);
+        return waitMs;
+    }
+
+    /**
+     * Feed back the outcome of a fetch
+     * @param {string} outcome - One of OUTCOME
+     */
+    recordOutcome(outcome) {
+        if (THROTTLE_OUTCOMES.includes(outcome)) {
+            this._throttle(outcome);
+        } else if (outcome === OUTCOME.SUCCESS) {
+            this._recover();
+        }
+        // OTHER_ERROR says nothing about load - leave the rate alone
+    }
+
+    /**
+     * Serializable state for self-continuation and job stats
+     */
+    getState() {
+        this._refill();
+        return {
+            currentRate: Math.round(this.currentRate * 100) / 100,
+            tokens: Math.round(this.tokens * 100) / 100,
+            backoffUntil: this.backoffUntil,
+            consecutiveThrottles: this.consecutiveThrottles,
+            consecutiveSuccesses: this.consecutiveSuccesses,
+            stats: { ...this.stats },
+        };
+    }
+
+    /** @private */
+    _msPerToken() {
+        return 60000 / this.currentRate;
+    }
+
+    /** @private */
+    _refill() {
+        const now = Date.now();
+        const elapsed = now - this.lastRefillAt;
+        if (elapsed > 0) {
+            this.tokens = Math.min(this.config.burst, this.tokens + elapsed / this._msPerToken());
+            this.lastRefillAt = now;
+        }
+    }
+
+    /** @private */
+    _throttle(outcome) {
+        this._refill();
+        this.consecutiveThrottles++;
+        this.consecutiveSuccesses = 0;
+        this.stats.throttles++;
+        if (outcome === OUTCOME.BOT_BLOCKED) this.stats.botBlocked++;
+        if (outcome === OUTCOME.RATE_LIMITED) this.stats.rateLimited++;
+        if (outcome === OUTCOME.SERVER_ERROR) this.stats.serverErrors++;
+
+        this.currentRate = Math.max(this.config.minRequestsPerMinute, this.currentRate * THROTTLE_RATE_FACTOR);
+
+        const backoffMs = Math.min(
+            this.config.maxBackoffSeconds * 1000,
+            this.config.backoffBaseSeconds * 1000 * Math.pow(2, this.consecutiveThrottles - 1)
+        );
+        this.backoffUntil = Math.max(this.backoffUntil, Date.now() + backoffMs);
+        // Drop any burst allowance so the slower rate applies immediately
+        this.tokens = 0;
+
+        console.warn(`[RateLimiter] ${outcome}: rate -> ${this.currentRate.toFixed(1)}/min, backing off ${backoffMs}ms (streak ${this.consecutiveThrottles})`);
+    }
+
+    /** @private */
+    _recover() {
+        this.consecutiveSuccesses++;
+
+        if (this.consecutiveSuccesses < this.config.recoveryThreshold) return;
+        this.consecutiveSuccesses = 0;
+        this.consecutiveThrottles = 0;
+
+        if (this.currentRate < this.config.requestsPerMinute) {
+            const step = this.config.requestsPerMinute * RECOVERY_STEP_FRACTION;
+            this.currentRate = Math.min(this.config.requestsPerMinute, this.currentRate + step);
+            console.log(`[RateLimiter] Healthy: rate -> ${this.currentRate.toFixed(1)}/min`);
+        }
+    }
+}
+
+module.exports = {
+    AdaptiveRateLimiter,
+    buildRateLimitConfig,
+    classifyFetchOutcome,
+    DEFAULT_RATE_LIMIT_CONFIG,
+    OUTCOME,
+};
@@ -0,0 +1,255 @@
+/**
+ * Scrape Priority Queue
+ *
+ * Scores candidate tournament IDs for 'priority' mode jobs so a limited
+ * fetch budget goes to the URLs most likely to have new data, instead of
+ * walking IDs in order.
+ *
+ * VERSION: 1.0.0
+ *
+ * CANDIDATES:
+ * - ScrapeURL records for the entity (last status, scrape age, change history)
+ * - Games starting around now (Game byEntityGame index) for start time and
+ *   whether results are in
+ * - The next NEW_ID_WINDOW IDs after ScraperState.lastScannedId (newly
+ *   published tournaments)
+ *
+ * SCORING (see PRIORITY_WEIGHTS):
+ * - Running / clock stopped games score highest
+ * - Scheduled / registering games whose start time just passed, then games
+ *   about to start
+ * - Finished games with no results recorded
+ * - New IDs past the last scanned ID, nearest first
+ * - Plus hours since the last scrape (in-progress games only) and how often
+ *   the page content has changed historically (ScrapeURL.totalContentChanges)
+ *
+ * doNotScrape URLs, terminal statuses with nothing missing and anything
+ * scraped in the last MIN_RESCRAPE_MS are left out.
+ */
+
+const { QueryCommand } = require("@aws-sdk/lib-dynamodb");
+
+// Fetches per job when the job doesn't set bulkCount
+const DEFAULT_PRIORITY_BUDGET = 50;
+
+// IDs past lastScannedId considered as newly published
+const NEW_ID_WINDOW = 20;
+
+// Don't re-fetch a URL scraped more recently than this
+const MIN_RESCRAPE_MS = 10 * 60 * 1000;
+
+// Games table window around now
+const GAME_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const GAME_LOOKAHEAD_MS = 12 * 60 * 60 * 1000;
+
+// A scheduled game whose start passed within this window "just started"
+const START_PASSED_WINDOW_MS = 6 * 60 * 60 * 1000;
+const STARTING_SOON_WINDOW_MS = 60 * 60 * 1000;
+
+// Candidates scoring below this aren't worth a fetch
+const MIN_PRIORITY_SCORE = 10;
+
+// Safety cap on ScrapeURL pages read per job
+const MAX_SCRAPE_URL_PAGES = 20;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const PRIORITY_WEIGHTS = {
+    RUNNING: 100,
+    START_JUST_PASSED: 80,
+    STARTING_SOON: 30,
+    RESULTS_MISSING: 60,
+    NEW_ID: 50,
+    NEW_ID_DECAY: 2,            // per ID further from lastScannedId
+    STALE_PER_HOUR: 2,          // in-progress games, per hour since last scrape
+    STALE_CAP_HOURS: 24,
+    CHANGE_FREQUENCY: 40,       // x share of scrapes that found changed content
+};
+
+const RUNNING_STATUSES = ['RUNNING', 'CLOCK_STOPPED'];
+const PRE_START_STATUSES = ['SCHEDULED', 'REGISTERING', 'INITIATING'];
+const TERMINAL_STATUSES = ['CANCELLED', 'NOT_FOUND', 'NOT_PUBLISHED'];
+
+async function queryAll(ddbDocClient, params, maxPages) {
+    const items = [];
+    let lastKey;
+    let pages = 0;
+
+    do {
+        const result = await ddbDocClient.send(new QueryCommand({ ...params, ExclusiveStartKey: lastKey }));
+        items.push(...(result.Items || []));
+        lastKey = result.LastEvaluatedKey;
+        pages++;
+    } while (lastKey && pages < maxPages);
+
+    return items;
+}
+
+async function loadScrapeURLs(entityId, { ddbDocClient, scrapeURLTable }) {
+    return queryAll(ddbDocClient, {
+        TableName: scrapeURLTable,
+        IndexName: 'byEntityScrapeURL',
+        KeyConditionExpression: 'entityId = :entityId',
+        ExpressionAttributeValues: { ':entityId': entityId },
+        ProjectionExpression: 'tournamentId, gameStatus, lastScrapeStatus, doNotScrape, lastScrapedAt, timesScraped, totalContentChanges',
+    }, MAX_SCRAPE_URL_PAGES);
+}
+
+async function loadRecentGames(entityId, { ddbDocClient, getTableName }, now) {
+    if (!ddbDocClient || !getTableName) {
+        console.warn('[ScrapePriority] No ddbDocClient/getTableName in context, scoring without start times');
+        return [];
+    }
+
+    try {
+        return await queryAll(ddbDocClient, {
+            TableName: getTableName('Game'),
+            IndexName: 'byEntityGame',
+            KeyConditionExpression: 'entityId = :entityId AND gameStartDateTime BETWEEN :from AND :to',
+            ExpressionAttributeValues: {
+                ':entityId': entityId,
+                ':from': new Date(now - GAME_LOOKBACK_MS).toISOString(),
+                ':to': new Date(now + GAME_LOOKAHEAD_MS).toISOString(),
+            },
+            ProjectionExpression: 'tournamentId, gameStatus, gameStartDateTime, totalUniquePlayers, totalEntries, prizepoolPaid',
+        }, 5);
+    } catch (error) {
+        // Scoring still works from ScrapeURL alone
+        console.warn(`[ScrapePriority] Game query failed, scoring without start times: ${error.message}`);
+        return [];
+    }
+}
+
+const hasResults = (game) => !!(game.totalUniquePlayers || game.totalEntries || game.prizepoolPaid);
+
+/**
+ * Score one candidate
+ *
+ * @param {object} candidate - { tournamentId, scrapeURL, game, newIdOffset }
+ * @param {number} now - Epoch ms
+ * @returns {object} { score, reasons }
+ */
+function scoreCandidate(candidate, now = Date.now()) {
+    const { scrapeURL, game, newIdOffset } = candidate;
+    const status = game?.gameStatus || scrapeURL?.gameStatus || null;
+    const reasons = [];
+    let score = 0;
+
+    if (newIdOffset !== undefined) {
+        score += Math.max(PRIORITY_WEIGHTS.NEW_ID - newIdOffset * PRIORITY_WEIGHTS.NEW_ID_DECAY, 1);
+        reasons.push('NEW_ID');
+    }
+
+    if (RUNNING_STATUSES.includes(status)) {
+        score += PRIORITY_WEIGHTS.RUNNING;
+        reasons.push('RUNNING');
+    } else if (PRE_START_STATUSES.includes(status) && game?.gameStartDateTime) {
+        const untilStart = new Date(game.gameStartDateTime).getTime() - now;
+        if (untilStart <= 0 && -untilStart <= START_PASSED_WINDOW_MS) {
+            score += PRIORITY_WEIGHTS.START_JUST_PASSED;
+            reasons.push('START_JUST_PASSED');
+        } else if (untilStart > 0 && untilStart <= STARTING_SOON_WINDOW_MS) {
+            score += PRIORITY_WEIGHTS.STARTING_SOON;
+            reasons.push('STARTING_SOON');
+        }
+    } else if (status === 'FINISHED' && game && !hasResults(game)) {
+        score += PRIORITY_WEIGHTS.RESULTS_MISSING;
+        reasons.push('RESULTS_MISSING');
+    }
+
+    const lastScrapedMs = scrapeURL?.lastScrapedAt ? new Date(scrapeURL.lastScrapedAt).getTime() : null;
+    const ageHours = lastScrapedMs ? Math.min((now - lastScrapedMs) / HOUR_MS, PRIORITY_WEIGHTS.STALE_CAP_HOURS) : 0;
+
+    const inProgress = RUNNING_STATUSES.includes(status) || PRE_START_STATUSES.includes(status);
+    if (inProgress && ageHours > 0) {
+        score += ageHours * PRIORITY_WEIGHTS.STALE_PER_HOUR;
+        reasons.push('STALE');
+    }
+
+    // Pages that change often are worth re-checking once they've aged a bit
+    if (scrapeURL?.timesScraped > 1 && scrapeURL.totalContentChanges > 0 && !TERMINAL_STATUSES.includes(status)) {
+        const changeRate = Math.min(scrapeURL.totalContentChanges / scrapeURL.timesScraped, 1);
+        const ageFactor = ageHours / PRIORITY_WEIGHTS.STALE_CAP_HOURS;
+        const changeScore = changeRate * PRIORITY_WEIGHTS.CHANGE_FREQUENCY * ageFactor;
+        if (changeScore >= 1) {
+            score += changeScore;
+            reasons.push('FREQUENT_CHANGES');
+        }
+    }
+
+    return { score: Math.round(score * 10) / 10, reasons };
+}
+
+/**
+ * Build the ordered list of tournament IDs for a priority job
+ *
+ * @param {string} entityId - Entity to scrape
+ * @param {object} scraperState - ScraperState (lastScannedId)
+ * @param {object} options - { budget, ignoreDoNotScrape }
+ * @param {object} ctx - { ddbDocClient, scrapeURLTable, getTableName }
+ * @returns {Promise<array>} [{ tournamentId, score, reasons }] highest first,
+ *                           at most `budget` entries
+ */
+async function buildPriorityQueue(entityId, scraperState, options = {}, ctx) {
+    const now = options.now || Date.now();
+    const budget = options.budget > 0 ? options.budget : DEFAULT_PRIORITY_BUDGET;
+
+    const [scrapeURLs, games] = await Promise.all([
+        loadScrapeURLs(entityId, ctx),
+        loadRecentGames(entityId, ctx, now),
+    ]);
+
+    const candidates = new Map();
+    const getCandidate = (tournamentId) => {
+        if (!candidates.has(tournamentId)) candidates.set(tournamentId, { tournamentId });
+        return candidates.get(tournamentId);
+    };
+
+    scrapeURLs.forEach(item => {
+        if (typeof item.tournamentId === 'number') getCandidate(item.tournamentId).scrapeURL = item;
+    });
+    games.forEach(item => {
+        if (typeof item.tournamentId === 'number') getCandidate(item.tournamentId).game = item;
+    });
+
+    const lastScannedId = scraperState?.lastScannedId || 0;
+    for (let offset = 0; offset < NEW_ID_WINDOW; offset++) {
+        const candidate = getCandidate(lastScannedId + 1 + offset);
+        // Already scraped as a real tournament - scored on its own merits
+        if (!candidate.scrapeURL || TERMINAL_STATUSES.includes(candidate.scrapeURL.gameStatus)) {
+            candidate.newIdOffset = offset;
+        }
+    }
+
+    const queue = [];
+    let skippedRecent = 0;
+
+    for (const candidate of candidates.values()) {
+        const { scrapeURL } = candidate;
+        if (scrapeURL?.doNotScrape && !options.ignoreDoNotScrape) continue;
+
+        if (scrapeURL?.lastScrapedAt && now - new Date(scrapeURL.lastScrapedAt).getTime() < MIN_RESCRAPE_MS) {
+            skippedRecent++;
+            continue;
+        }
+
+        const { score, reasons } = scoreCandidate(candidate, now);
+        if (score >= MIN_PRIORITY_SCORE) {
+            queue.push({ tournamentId: candidate.tournamentId, score, reasons });
+        }
+    }
+
+    // Highest score first; newer IDs win ties
+    queue.sort((a, b) => b.score - a.score || b.tournamentId - a.tournamentId);
+
+    console.log(`[ScrapePriority] ${queue.length} candidates scored from ${scrapeURLs.length} ScrapeURLs, ${games.length} games (${skippedRecent} scraped recently), budget ${budget}`);
+
+    return queue.slice(0, budget);
+}
+
+module.exports = {
+    DEFAULT_PRIORITY_BUDGET,
+    PRIORITY_WEIGHTS,
+    scoreCandidate,
+    buildPriorityQueue,
+};
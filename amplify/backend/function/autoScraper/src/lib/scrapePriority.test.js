@@ -0,0 +1,91 @@
+/**
+ * Unit checks for scoreCandidate() in scrapePriority.js - run with
+ * `npm test` from the repo root
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PRIORITY_WEIGHTS, scoreCandidate } = require('./scrapePriority');
+
+const NOW = Date.parse('2025-06-01T10:00:00Z');
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const iso = (offsetMs) => new Date(NOW + offsetMs).toISOString();
+const score = (candidate) => scoreCandidate({ tournamentId: 1, ...candidate }, NOW);
+
+test('running games score highest', () => {
+    const result = score({ game: { gameStatus: 'CLOCK_STOPPED' } });
+    assert.equal(result.score, PRIORITY_WEIGHTS.RUNNING);
+    assert.deepEqual(result.reasons, ['RUNNING']);
+});
+
+test('start just passed covers six hours after the start time', () => {
+    const scheduled = (offsetMs) => score({ game: { gameStatus: 'SCHEDULED', gameStartDateTime: iso(offsetMs) } });
+
+    assert.deepEqual(scheduled(0).reasons, ['START_JUST_PASSED']);
+    assert.deepEqual(scheduled(-6 * HOUR_MS).reasons, ['START_JUST_PASSED']);
+    assert.deepEqual(scheduled(-6 * HOUR_MS - MINUTE_MS).reasons, []);
+});
+
+test('starting soon covers the hour before the start time', () => {
+    const registering = (offsetMs) => score({ game: { gameStatus: 'REGISTERING', gameStartDateTime: iso(offsetMs) } });
+
+    assert.deepEqual(registering(MINUTE_MS).reasons, ['STARTING_SOON']);
+    assert.equal(registering(MINUTE_MS).score, PRIORITY_WEIGHTS.STARTING_SOON);
+    assert.deepEqual(registering(HOUR_MS).reasons, ['STARTING_SOON']);
+    assert.deepEqual(registering(HOUR_MS + MINUTE_MS).reasons, []);
+});
+
+test('finished games only score while results are missing', () => {
+    assert.deepEqual(score({ game: { gameStatus: 'FINISHED' } }).reasons, ['RESULTS_MISSING']);
+    assert.deepEqual(score({ game: { gameStatus: 'FINISHED', totalEntries: 40 } }).reasons, []);
+    // Status from ScrapeURL alone says nothing about results
+    assert.deepEqual(score({ scrapeURL: { gameStatus: 'FINISHED' } }).reasons, []);
+});
+
+test('new IDs decay with distance and never drop below 1', () => {
+    assert.equal(score({ newIdOffset: 0 }).score, PRIORITY_WEIGHTS.NEW_ID);
+    assert.equal(score({ newIdOffset: 5 }).score, PRIORITY_WEIGHTS.NEW_ID - 5 * PRIORITY_WEIGHTS.NEW_ID_DECAY);
+    assert.equal(score({ newIdOffset: 1000 }).score, 1);
+});
+
+test('staleness counts for in-progress games only, capped at 24 hours', () => {
+    const running = (ageMs) => score({
+        game: { gameStatus: 'RUNNING' },
+        scrapeURL: { gameStatus: 'RUNNING', lastScrapedAt: iso(-ageMs) }
+    });
+
+    assert.equal(running(3 * HOUR_MS).score, PRIORITY_WEIGHTS.RUNNING + 3 * PRIORITY_WEIGHTS.STALE_PER_HOUR);
+    assert.equal(running(48 * HOUR_MS).score, PRIORITY_WEIGHTS.RUNNING + 24 * PRIORITY_WEIGHTS.STALE_PER_HOUR);
+
+    const finished = score({
+        game: { gameStatus: 'FINISHED', totalEntries: 40 },
+        scrapeURL: { lastScrapedAt: iso(-3 * HOUR_MS) }
+    });
+    assert.equal(finished.reasons.includes('STALE'), false);
+});
+
+test('frequent changes score by change rate and age, rounded to one decimal', () => {
+    // 1/3 of scrapes changed, scraped 12h ago: 40 * 1/3 * 0.5 = 6.67 -> 6.7
+    const result = score({
+        game: { gameStatus: 'FINISHED', totalEntries: 40 },
+        scrapeURL: { timesScraped: 3, totalContentChanges: 1, lastScrapedAt: iso(-12 * HOUR_MS) }
+    });
+    assert.deepEqual(result.reasons, ['FREQUENT_CHANGES']);
+    assert.equal(result.score, 6.7);
+});
+
+test('frequent changes are ignored for terminal statuses and below 1 point', () => {
+    const terminal = score({
+        scrapeURL: { gameStatus: 'CANCELLED', timesScraped: 2, totalContentChanges: 2, lastScrapedAt: iso(-24 * HOUR_MS) }
+    });
+    assert.deepEqual(terminal, { score: 0, reasons: [] });
+
+    // 40 * 1 * (0.5h / 24h) = 0.83 - not worth a reason
+    const recent = score({
+        scrapeURL: { gameStatus: 'FINISHED', timesScraped: 2, totalContentChanges: 2, lastScrapedAt: iso(-30 * MINUTE_MS) }
+    });
+    assert.deepEqual(recent, { score: 0, reasons: [] });
+});
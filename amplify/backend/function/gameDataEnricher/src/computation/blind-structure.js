@@ -0,0 +1,201 @@
+/**
+ * blind-structure.js
+ * Blind structure normalization, fingerprinting and metrics
+ *
+ * FINGERPRINT:
+ *   Two games ran the same structure when they had the same starting stack
+ *   and the same levels - duration, small blind, big blind and ante, in
+ *   order. Level numbering and breaks are left out: renumbered copies are
+ *   the same structure, and breaks are often missing from older scrapes.
+ *
+ * METRICS:
+ *   - effectiveStartingBB: starting stack in level 1 big blinds
+ *   - anteStartsLevel: first level with an ante
+ *   - estimatedDurations: minutes to finish by field size. A tournament
+ *     usually ends heads-up with ~15 big blinds each, so it's over at the
+ *     first level whose big blind is 1/30th of the chips in play. Beyond the
+ *     last scraped level the blinds keep growing at the structure's final
+ *     rate.
+ *
+ * Example:
+ *   - 20,000 stack, level 1 100/200, 20 minute levels
+ *   → effectiveStartingBB 100
+ *   → 40 players = 800,000 chips → over at the first big blind of 26,667 or more
+ */
+
+const { createHash } = require('crypto');
+
+// ===================================================================
+// CONSTANTS
+// ===================================================================
+
+// Big blinds in play when the tournament is usually over (heads-up, ~15 BB each)
+const END_OF_GAME_TOTAL_BB = 30;
+
+// Field sizes the stored duration estimates are worked out for
+const ESTIMATE_FIELD_SIZES = [20, 40, 60, 80, 100, 150, 200];
+
+// Extrapolated levels stop here (a structure that never gets there is broken)
+const MAX_EXTRAPOLATED_LEVELS = 100;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const parseJson = (value) => {
+  if (!value) return [];
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return [];
+  }
+};
+
+const toInt = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.round(number) : 0;
+};
+
+// ===================================================================
+// NORMALIZATION
+// ===================================================================
+
+/**
+ * Levels in play order with the scraped field names
+ *
+ * @param {Array|string} levels - Game.levels (JSON string or array)
+ * @returns {Array} [{ levelNumber, durationMinutes, smallBlind, bigBlind, ante }]
+ */
+const normalizeLevels = (levels) => {
+  const list = parseJson(levels);
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map((level, index) => ({
+      levelNumber: toInt(level?.levelNumber ?? level?.level) || index + 1,
+      durationMinutes: toInt(level?.durationMinutes ?? level?.duration),
+      smallBlind: toInt(level?.smallBlind),
+      bigBlind: toInt(level?.bigBlind),
+      ante: toInt(level?.ante)
+    }))
+    .filter(level => level.bigBlind > 0)
+    .sort((a, b) => a.levelNumber - b.levelNumber);
+};
+
+/**
+ * Breaks in play order
+ *
+ * @param {Array|string} breaks - [{ levelNumberBeforeBreak, durationMinutes }]
+ */
+const normalizeBreaks = (breaks) => {
+  const list = parseJson(breaks);
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .map(b => ({
+      levelNumberBeforeBreak: toInt(b?.levelNumberBeforeBreak),
+      durationMinutes: toInt(b?.durationMinutes)
+    }))
+    .filter(b => b.levelNumberBeforeBreak > 0 && b.durationMinutes > 0)
+    .sort((a, b) => a.levelNumberBeforeBreak - b.levelNumberBeforeBreak);
+};
+
+/**
+ * Identity of a structure: starting stack + levels, in order
+ *
+ * @param {Object} structure
+ * @param {number} structure.startingStack
+ * @param {Array} structure.levels - From normalizeLevels
+ * @returns {string} 16 hex characters
+ */
+const fingerprintStructure = ({ startingStack, levels }) => {
+  const canonical = JSON.stringify([
+    toInt(startingStack),
+    levels.map(l => [l.durationMinutes, l.smallBlind, l.bigBlind, l.ante])
+  ]);
+  return createHash('sha1').update(canonical).digest('hex').slice(0, 16);
+};
+
+// ===================================================================
+// METRICS
+// ===================================================================
+
+/**
+ * Minutes until the tournament is likely over for a field size
+ *
+ * @returns {number|null} null without a starting stack or levels
+ */
+const estimateDurationMinutes = ({ startingStack, levels, breaks = [] }, players) => {
+  if (!startingStack || !players || levels.length === 0) return null;
+
+  const finishingBigBlind = (players * startingStack) / END_OF_GAME_TOTAL_BB;
+  const breakAfter = new Map(breaks.map(b => [b.levelNumberBeforeBreak, b.durationMinutes]));
+
+  let minutes = 0;
+  for (const level of levels) {
+    if (level.bigBlind >= finishingBigBlind) return minutes;
+    minutes += level.durationMinutes + (breakAfter.get(level.levelNumber) || 0);
+  }
+
+  // Past the scraped levels - keep growing the blinds at the final rate
+  const last = levels[levels.length - 1];
+  const previous = levels[levels.length - 2] || last;
+  const growth = Math.max(1.1, last.bigBlind / (previous.bigBlind || last.bigBlind));
+  const duration = last.durationMinutes || 20;
+  let bigBlind = last.bigBlind;
+
+  for (let i = 0; i < MAX_EXTRAPOLATED_LEVELS; i++) {
+    bigBlind *= growth;
+    if (bigBlind >= finishingBigBlind) return minutes;
+    minutes += duration;
+  }
+  return null;
+};
+
+/**
+ * Stored metrics for a structure
+ *
+ * @param {Object} structure - { startingStack, levels, breaks } (normalized)
+ * @returns {Object} levelCount, avgLevelMinutes, totalBreakMinutes,
+ *   startingBigBlind, effectiveStartingBB, anteStartsLevel, estimatedDurations
+ */
+const computeStructureMetrics = ({ startingStack, levels, breaks = [] }) => {
+  const first = levels[0] || null;
+  const totalLevelMinutes = levels.reduce((sum, l) => sum + l.durationMinutes, 0);
+  const anteLevel = levels.find(l => l.ante > 0);
+
+  const estimatedDurations = {};
+  for (const players of ESTIMATE_FIELD_SIZES) {
+    estimatedDurations[players] = estimateDurationMinutes({ startingStack, levels, breaks }, players);
+  }
+
+  return {
+    levelCount: levels.length,
+    avgLevelMinutes: levels.length > 0 ? round1(totalLevelMinutes / levels.length) : null,
+    totalBreakMinutes: breaks.reduce((sum, b) => sum + b.durationMinutes, 0),
+    startingBigBlind: first?.bigBlind || null,
+    effectiveStartingBB: first && startingStack ? round1(startingStack / first.bigBlind) : null,
+    anteStartsLevel: anteLevel ? anteLevel.levelNumber : null,
+    estimatedDurations
+  };
+};
+
+/**
+ * Default library name, e.g. "20k stack · 20 min levels · 24 levels"
+ */
+const describeStructure = ({ startingStack, levels }) => {
+  const stack = startingStack >= 1000 ? `${round1(startingStack / 1000)}k` : `${startingStack || '?'}`;
+  const durations = [...new Set(levels.map(l => l.durationMinutes))];
+  const levelLength = durations.length === 1 ? `${durations[0]} min levels` : `${Math.min(...durations)}-${Math.max(...durations)} min levels`;
+  return `${stack} stack · ${levelLength} · ${levels.length} levels`;
+};
+
+module.exports = {
+  END_OF_GAME_TOTAL_BB,
+  ESTIMATE_FIELD_SIZES,
+  normalizeLevels,
+  normalizeBreaks,
+  fingerprintStructure,
+  estimateDurationMinutes,
+  computeStructureMetrics,
+  describeStructure
+};
@@ -0,0 +1,302 @@
+/**
+ * entry-timeline.js
+ * Late registration and re-entry timeline from the tournament's level timings
+ *
+ * OBSERVATIONS:
+ *   Scraped entries are names only - there is no per-entry timestamp. What we
+ *   do have is the running totals each time the game is (re)scraped while it
+ *   runs (refreshRunningGames). Every enrichment of a tournament adds an
+ *   observation when something changed:
+ *     { at, minute, level, entries, uniquePlayers, reEntries, registrationStatus, gameStatus }
+ *   minute is measured from gameActualStartDateTime (or gameStartDateTime) and
+ *   level comes from the blind structure: level durations plus scheduled
+ *   breaks. Level 0 means before the start.
+ *
+ * ATTRIBUTION:
+ *   Entries that appear between two observations are counted at the level of
+ *   the later one - the first level they were seen at. Entries first seen
+ *   once registration is closed (or the game has finished) are counted at
+ *   the previous observation's level, the last time registration was known
+ *   to be open. The finer the scrape cadence, the sharper the picture.
+ *
+ * RE-ENTRIES:
+ *   reEntries = totalEntries - totalUniquePlayers (totalRebuys when the unique
+ *   count is missing). reEntryPrizepool is what those re-entries put into the
+ *   prizepool (buy-in minus rake and jackpot fee each); when the guarantee is
+ *   only met because of them, guaranteeMetByReEntries is true.
+ *
+ * Example:
+ *   - 18:00 (level 0): 40 entries, 40 players
+ *   - 19:10 (level 4): 62 entries, 51 players, registration OPEN
+ *   - 20:15 (level 7): 70 entries, 55 players, registration CLOSED
+ *   → byLevel: L0 +40, L4 +30 (15 re-entries - the last 8 were first seen after close)
+ *   → lastEntryLevel 4, registrationClosedLevel 7, lateEntries 30
+ */
+
+// ===================================================================
+// CONSTANTS
+// ===================================================================
+
+const TIMELINE_COVERAGE = {
+  LIVE: 'LIVE',               // Observed at least once while running
+  FINAL_ONLY: 'FINAL_ONLY',   // Only seen before the start and/or once finished
+  PRE_START: 'PRE_START'      // Not started yet
+};
+
+// Oldest observations are dropped beyond this many
+const MAX_OBSERVATIONS = 100;
+
+const RUNNING_STATUSES = ['RUNNING', 'CLOCK_STOPPED'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined || value === '') return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// ===================================================================
+// LEVEL SCHEDULE
+// ===================================================================
+
+/**
+ * Minute each level starts and ends, counting scheduled breaks
+ *
+ * @param {Array|string} levels - [{ levelNumber, durationMinutes }]
+ * @param {Array|string} breaks - [{ levelNumberBeforeBreak, durationMinutes }]
+ * @returns {Array} [{ level, startMinute, endMinute }] in level order
+ */
+const buildLevelSchedule = (levels, breaks) => {
+  const levelList = parseJson(levels, []);
+  const breakList = parseJson(breaks, []);
+  if (!Array.isArray(levelList)) return [];
+
+  const breakAfter = new Map();
+  for (const b of Array.isArray(breakList) ? breakList : []) {
+    const before = toNumber(b?.levelNumberBeforeBreak);
+    const duration = toNumber(b?.durationMinutes);
+    if (before !== null && duration > 0) {
+      breakAfter.set(before, (breakAfter.get(before) || 0) + duration);
+    }
+  }
+
+  const sorted = levelList
+    .map(l => ({ level: toNumber(l?.levelNumber), duration: toNumber(l?.durationMinutes) }))
+    .filter(l => l.level > 0 && l.duration > 0)
+    .sort((a, b) => a.level - b.level);
+
+  const schedule = [];
+  let minute = 0;
+  for (const { level, duration } of sorted) {
+    schedule.push({ level, startMinute: minute, endMinute: minute + duration });
+    minute += duration + (breakAfter.get(level) || 0);
+  }
+  return schedule;
+};
+
+/**
+ * Level being played at a minute from the start
+ * Before the start is level 0; a break counts as the level before it and
+ * anything past the structure as its last level.
+ */
+const levelAtMinute = (schedule, minute) => {
+  if (minute === null || minute < 0) return 0;
+  if (!schedule.length) return null;
+
+  let current = schedule[0].level;
+  for (const entry of schedule) {
+    if (entry.startMinute > minute) break;
+    current = entry.level;
+  }
+  return current;
+};
+
+// ===================================================================
+// OBSERVATIONS
+// ===================================================================
+
+const getReEntries = (game) => {
+  const entries = game.totalEntries || 0;
+  if (game.totalUniquePlayers > 0) {
+    return Math.max(0, entries - game.totalUniquePlayers);
+  }
+  return game.totalRebuys || 0;
+};
+
+const isRunning = (observation) => RUNNING_STATUSES.includes(observation.gameStatus);
+
+const isClosed = (observation) =>
+  observation.registrationStatus === 'CLOSED' || observation.gameStatus === 'FINISHED';
+
+/**
+ * Snapshot of the game's running totals at observedAt
+ */
+const buildObservation = (game, schedule, observedAt) => {
+  const startValue = game.gameActualStartDateTime || game.gameStartDateTime;
+  const start = startValue ? new Date(startValue).getTime() : NaN;
+  const at = new Date(observedAt).getTime();
+  const minute = Number.isFinite(start) && Number.isFinite(at)
+    ? Math.floor((at - start) / 60000)
+    : null;
+
+  return {
+    at: new Date(at).toISOString(),
+    minute,
+    level: levelAtMinute(schedule, minute),
+    entries: game.totalEntries || 0,
+    uniquePlayers: game.totalUniquePlayers || 0,
+    reEntries: getReEntries(game),
+    registrationStatus: game.registrationStatus || null,
+    gameStatus: game.gameStatus || null
+  };
+};
+
+const sameTotals = (a, b) =>
+  a.entries === b.entries &&
+  a.uniquePlayers === b.uniquePlayers &&
+  a.reEntries === b.reEntries &&
+  a.registrationStatus === b.registrationStatus &&
+  a.gameStatus === b.gameStatus;
+
+// ===================================================================
+// SUMMARY
+// ===================================================================
+
+const perEntryContribution = (game) => {
+  const jackpot = game.hasJackpotContributions ? (game.jackpotContributionAmount || 0) : 0;
+  return Math.max(0, (game.buyIn || 0) - (game.rake || 0) - jackpot);
+};
+
+/**
+ * Entries by level, late registration and re-entry figures
+ */
+const summarizeTimeline = (observations, game) => {
+  const byLevel = new Map();
+  const add = (level, entries, reEntries, newPlayers) => {
+    if (entries <= 0 && reEntries <= 0 && newPlayers <= 0) return;
+    const bucket = byLevel.get(level) || { level, entries: 0, reEntries: 0, newPlayers: 0 };
+    bucket.entries += entries;
+    bucket.reEntries += reEntries;
+    bucket.newPlayers += newPlayers;
+    byLevel.set(level, bucket);
+  };
+
+  let previous = null;
+  let lastEntryLevel = null;
+  let registrationClosedLevel = null;
+  let entriesAtStart = null;
+
+  for (const obs of observations) {
+    const entries = obs.entries - (previous?.entries || 0);
+    const reEntries = obs.reEntries - (previous?.reEntries || 0);
+    const newPlayers = obs.uniquePlayers - (previous?.uniquePlayers || 0);
+    const level = isClosed(obs) && previous ? previous.level : obs.level;
+
+    if (level !== null) {
+      add(level, Math.max(0, entries), Math.max(0, reEntries), Math.max(0, newPlayers));
+      // The first observation's entries could have come in at any earlier level
+      if (entries > 0 && level > 0 && previous) lastEntryLevel = level;
+    }
+    if (obs.level === 0) entriesAtStart = obs.entries;
+    if (registrationClosedLevel === null && obs.registrationStatus === 'CLOSED' && isRunning(obs)) {
+      registrationClosedLevel = obs.level;
+    }
+    previous = obs;
+  }
+
+  const last = observations[observations.length - 1];
+  const coverage = observations.some(isRunning)
+    ? TIMELINE_COVERAGE.LIVE
+    : (observations.some(o => o.level > 0 || o.gameStatus === 'FINISHED')
+      ? TIMELINE_COVERAGE.FINAL_ONLY
+      : TIMELINE_COVERAGE.PRE_START);
+
+  // Without a live observation the levels after the start are guesses
+  if (coverage !== TIMELINE_COVERAGE.LIVE) {
+    lastEntryLevel = null;
+  }
+
+  const totalEntries = last?.entries || 0;
+  const reEntries = last?.reEntries || 0;
+  const reEntryPrizepool = round2(reEntries * perEntryContribution(game));
+  const contributions = game.prizepoolPlayerContributions || 0;
+  const guarantee = game.hasGuarantee ? (game.guaranteeAmount || 0) : 0;
+  const guaranteeShortfallWithoutReEntries = guarantee > 0
+    ? round2(Math.max(0, guarantee - (contributions - reEntryPrizepool)))
+    : null;
+
+  return {
+    coverage,
+    byLevel: [...byLevel.values()].sort((a, b) => a.level - b.level),
+    entriesAtStart,
+    lateEntries: coverage !== TIMELINE_COVERAGE.PRE_START && entriesAtStart !== null
+      ? Math.max(0, totalEntries - entriesAtStart)
+      : null,
+    lastEntryLevel,
+    registrationClosedLevel,
+    reEntries,
+    reEntryRate: totalEntries > 0 ? round2(reEntries / totalEntries) : null,
+    reEntryPrizepool,
+    reEntryPrizepoolShare: contributions > 0 ? round2(reEntryPrizepool / contributions) : null,
+    guaranteeShortfallWithoutReEntries,
+    guaranteeMetByReEntries: guarantee > 0 && contributions >= guarantee && guaranteeShortfallWithoutReEntries > 0
+  };
+};
+
+// ===================================================================
+// TIMELINE
+// ===================================================================
+
+/**
+ * Add the game's current totals to its timeline
+ *
+ * @param {Object|string|null} previous - The game's stored entryTimeline
+ * @param {Object} game - Enriched game (totals, statuses, start time, levels)
+ * @param {Object} options
+ * @param {string} options.observedAt - When the totals were scraped (default now)
+ * @param {Array|string} options.breaks - Scheduled breaks from the level structure
+ * @returns {Object} { schedule, observations, summary, observationAdded }
+ */
+const buildEntryTimeline = (previous, game, { observedAt, breaks } = {}) => {
+  const stored = parseJson(previous, null);
+  const schedule = buildLevelSchedule(game.levels, breaks);
+  const observations = Array.isArray(stored?.observations) ? [...stored.observations] : [];
+
+  const observation = buildObservation(game, schedule, observedAt || new Date().toISOString());
+  const last = observations[observations.length - 1];
+  let observationAdded = false;
+
+  if (!last || (!sameTotals(last, observation) && observation.at >= last.at)) {
+    observations.push(observation);
+    observationAdded = true;
+  }
+
+  const kept = observations.slice(-MAX_OBSERVATIONS);
+
+  return {
+    schedule,
+    observations: kept,
+    summary: summarizeTimeline(kept, game),
+    observationAdded
+  };
+};
+
+module.exports = {
+  TIMELINE_COVERAGE,
+  MAX_OBSERVATIONS,
+  buildLevelSchedule,
+  levelAtMinute,
+  buildObservation,
+  summarizeTimeline,
+  buildEntryTimeline
+};
@@ -4,6 +4,10 @@
  * 
  * VERSION 2.0.0 - Separated overlay cost from promotional added value
  * 
+ * CURRENCY: all inputs and outputs are in the game's currency (gameData.currency,
+ * set by the currency stage). Nothing is converted here; result.currency
+ * records which currency the figures are in.
+ * 
  * ENHANCED: Smart guarantee inference from prizepoolPaid
  * 
  * SIMPLIFIED MODEL:
@@ -36,7 +40,7 @@
 
 // Minimum discrepancy to infer a guarantee (accounts for minor rounding only)
 // Any meaningful difference indicates a guarantee
-const GUARANTEE_INFERENCE_MIN_DISCREPANCY = 1; // $1 minimum
+const GUARANTEE_INFERENCE_MIN_DISCREPANCY = 1; // 1 unit of the game's currency
 
 // ===================================================================
 // GUARANTEE INFERENCE
@@ -137,9 +141,11 @@ const calculateFinancials = (gameData) => {
     hasAccumulatorTickets = false,
     accumulatorTicketValue = 100,
     numberOfAccumulatorTicketsPaid: inputNumberOfAccumulatorTicketsPaid,
+    currency = null,
   } = gameData;
   
-  const result = {};
+  const result = { currency };
+  const money = (amount) => `${currency || '$'} ${amount}`;
   
   // ===================================================================
   // ENTRIES
@@ -306,23 +312,23 @@ const calculateFinancials = (gameData) => {
   }
   
   if (guaranteeOverlayCost > 0) {
-    console.log(`[FINANCIALS] 💰 Overlay cost: $${guaranteeOverlayCost} (guarantee: $${guaranteeAmount}, contributions: $${prizepoolPlayerContributions})`);
+    console.log(`[FINANCIALS] 💰 Overlay cost: ${money(guaranteeOverlayCost)} (guarantee: ${money(guaranteeAmount)}, contributions: ${money(prizepoolPlayerContributions)})`);
   }
   
   if (prizepoolAddedValue > 0) {
-    console.log(`[FINANCIALS] 🎁 Promotional added value: $${prizepoolAddedValue}`);
+    console.log(`[FINANCIALS] 🎁 Promotional added value: ${money(prizepoolAddedValue)}`);
   }
   
   if (hasJackpotContributions) {
-    console.log(`[FINANCIALS] 🎰 Jackpot contributions: $${prizepoolJackpotContributions} ($${jackpotPerEntry} × ${totalEntries} entries)`);
+    console.log(`[FINANCIALS] 🎰 Jackpot contributions: ${money(prizepoolJackpotContributions)} (${money(jackpotPerEntry)} × ${totalEntries} entries)`);
   }
   
   if (hasAccumulatorTickets) {
-    console.log(`[FINANCIALS] 🎫 Accumulator tickets: ${numberOfAccumulatorTicketsPaid} @ $${accumulatorTicketValue} = $${prizepoolAccumulatorTicketPayoutEstimate}`);
+    console.log(`[FINANCIALS] 🎫 Accumulator tickets: ${numberOfAccumulatorTicketsPaid} @ ${money(accumulatorTicketValue)} = ${money(prizepoolAccumulatorTicketPayoutEstimate)}`);
   }
   
   if (prizepoolPaidDelta !== 0) {
-    console.log(`[FINANCIALS] 📊 Prizepool delta (rounding): $${prizepoolPaidDelta}`);
+    console.log(`[FINANCIALS] 📊 Prizepool delta (rounding): ${money(prizepoolPaidDelta)}`);
   }
   
   return result;
@@ -0,0 +1,277 @@
+/**
+ * payouts.js
+ * Payout structure detection and prize-pool reconciliation
+ *
+ * CURRENCY: all amounts are in the game's currency, like financials.js.
+ *
+ * RECONCILIATION:
+ *   The sum of winnings in the scraped results should equal the prizepool
+ *   the game actually had:
+ *
+ *     expectedPrizepool = prizepoolPlayerContributions   (buy-ins minus rake and jackpot fees)
+ *                       + guaranteeOverlayCost           (house top-up to the guarantee)
+ *                       + prizepoolAddedValue            (promotional added value)
+ *
+ *   i.e. prizepoolCalculated from calculateFinancials. A gap bigger than the
+ *   tolerance (payout rounding per place, or 1% of the prizepool) means the
+ *   published payouts don't add up - OVERPAID or UNDERPAID.
+ *
+ * PAYOUT TEMPLATES:
+ *   A template (PayoutTemplate.tiers) describes how a recurring game pays
+ *   by field size:
+ *     [{ minEntries: 20, maxEntries: 35, placesPaid: 4, percentages: [45, 27, 17, 11], sampleSize: 6 }]
+ *   Detected tiers are keyed by placesPaid; each balanced result set widens
+ *   the tier's entry range and folds its percentages into a running average.
+ *
+ * Example:
+ *   - 24 entries × ($150 buy-in - $25 rake) = $3,000 prizepool
+ *   - Results pay $1,350 / $810 / $510 / $330 = $3,000 → BALANCED
+ *   - Percentages 45 / 27 / 17 / 11 → folded into the 4-places tier
+ */
+
+// ===================================================================
+// CONSTANTS
+// ===================================================================
+
+const RECONCILIATION_STATUS = {
+  BALANCED: 'BALANCED',
+  OVERPAID: 'OVERPAID',
+  UNDERPAID: 'UNDERPAID',
+  NO_RESULTS: 'NO_RESULTS',
+  NOT_CHECKED: 'NOT_CHECKED'
+};
+
+// Payouts are usually rounded per place - allow this much per place paid
+const ROUNDING_TOLERANCE_PER_PLACE = 5;
+
+// ...or this share of the prizepool, whichever is larger
+const RECONCILIATION_TOLERANCE_PCT = 0.01;
+
+// Percentage points a place can move from the template before it's flagged
+const TEMPLATE_DEVIATION_THRESHOLD = 5;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ===================================================================
+// RESULT EXTRACTION
+// ===================================================================
+
+/**
+ * Cash payouts from scraped results, ordered by finishing place
+ *
+ * Qualifications (satellite seats) carry no cash amount and are counted
+ * separately so they don't look like unpaid places.
+ *
+ * @param {Array} players - players.allPlayers ({ rank, winnings, isQualification })
+ * @returns {Object} { payouts: [{ rank, winnings }], qualifications }
+ */
+const extractPayouts = (players = []) => {
+  const payouts = [];
+  let qualifications = 0;
+
+  for (const player of players || []) {
+    if (player.isQualification) {
+      qualifications++;
+      continue;
+    }
+    const winnings = Number(player.winnings) || 0;
+    if (winnings > 0 && player.rank > 0) {
+      payouts.push({ rank: player.rank, winnings });
+    }
+  }
+
+  payouts.sort((a, b) => a.rank - b.rank);
+  return { payouts, qualifications };
+};
+
+/**
+ * Payout percentages by place (1st first), rounded to 2 decimals
+ */
+const toPercentages = (payouts) => {
+  const total = payouts.reduce((sum, p) => sum + p.winnings, 0);
+  if (total <= 0) return [];
+  return payouts.map(p => round2(p.winnings / total * 100));
+};
+
+// ===================================================================
+// RECONCILIATION
+// ===================================================================
+
+/**
+ * Expected prizepool for a game after calculateFinancials has run
+ */
+const getExpectedPrizepool = (game) => {
+  if (typeof game.prizepoolCalculated === 'number') {
+    return game.prizepoolCalculated;
+  }
+  return (game.prizepoolPlayerContributions || 0) +
+    (game.guaranteeOverlayCost || 0) +
+    (game.prizepoolAddedValue || 0);
+};
+
+/**
+ * Check paid prizes against the expected prizepool
+ *
+ * @param {Object} game - Enriched game (financials applied)
+ * @param {Array} payouts - From extractPayouts
+ * @returns {Object} { status, prizesPaidTotal, placesPaid, expectedPrizepool, delta, tolerance, reason }
+ */
+const reconcilePayouts = (game, payouts) => {
+  const prizesPaidTotal = round2(payouts.reduce((sum, p) => sum + p.winnings, 0));
+  const placesPaid = payouts.length;
+  const expectedPrizepool = round2(getExpectedPrizepool(game));
+  const delta = round2(prizesPaidTotal - expectedPrizepool);
+  const tolerance = round2(Math.max(
+    placesPaid * ROUNDING_TOLERANCE_PER_PLACE,
+    expectedPrizepool * RECONCILIATION_TOLERANCE_PCT
+  ));
+
+  let status = RECONCILIATION_STATUS.BALANCED;
+  if (delta > tolerance) {
+    status = RECONCILIATION_STATUS.OVERPAID;
+  } else if (delta < -tolerance) {
+    status = RECONCILIATION_STATUS.UNDERPAID;
+  }
+
+  return {
+    status,
+    prizesPaidTotal,
+    placesPaid,
+    expectedPrizepool,
+    delta,
+    tolerance,
+    reason: status === RECONCILIATION_STATUS.BALANCED ? 'within tolerance' : `off by ${delta}`
+  };
+};
+
+// ===================================================================
+// TEMPLATES
+// ===================================================================
+
+/**
+ * Parse PayoutTemplate.tiers (AWSJSON) into a sorted tier array
+ */
+const parseTiers = (tiers) => {
+  let parsed = tiers;
+  if (typeof tiers === 'string') {
+    try {
+      parsed = JSON.parse(tiers);
+    } catch (error) {
+      console.warn(`[PAYOUTS] Invalid template tiers: ${error.message}`);
+      return [];
+    }
+  }
+  if (!Array.isArray(parsed)) return [];
+
+  return parsed
+    .filter(tier => tier && Array.isArray(tier.percentages) && tier.percentages.length > 0)
+    .map(tier => ({
+      minEntries: Number(tier.minEntries) || 0,
+      maxEntries: tier.maxEntries === null || tier.maxEntries === undefined ? null : Number(tier.maxEntries),
+      placesPaid: Number(tier.placesPaid) || tier.percentages.length,
+      percentages: tier.percentages.map(Number),
+      sampleSize: Number(tier.sampleSize) || 0
+    }))
+    .sort((a, b) => a.minEntries - b.minEntries);
+};
+
+const tierDistance = (tier, totalEntries) => {
+  if (totalEntries < tier.minEntries) return tier.minEntries - totalEntries;
+  if (tier.maxEntries !== null && totalEntries > tier.maxEntries) return totalEntries - tier.maxEntries;
+  return 0;
+};
+
+/**
+ * Whether a tier's entry range contains a field size
+ */
+const tierCovers = (tier, totalEntries) => !!tier && tierDistance(tier, totalEntries) === 0;
+
+/**
+ * Tier for a field size: the tier whose range contains it, otherwise the
+ * tier with the nearest range (templates rarely cover every field size)
+ */
+const findTier = (tiers, totalEntries) => {
+  if (!tiers.length || !totalEntries) return null;
+  return tiers.reduce(
+    (best, tier) => (tierDistance(tier, totalEntries) < tierDistance(best, totalEntries) ? tier : best),
+    tiers[0]
+  );
+};
+
+/**
+ * Compare actual percentages with a template tier
+ *
+ * @returns {Object} { placesPaidMatches, maxDeviation, deviatingPlaces }
+ */
+const compareToTier = (percentages, tier) => {
+  const places = Math.max(percentages.length, tier.percentages.length);
+  let maxDeviation = 0;
+  const deviatingPlaces = [];
+
+  for (let i = 0; i < places; i++) {
+    const gap = Math.abs((percentages[i] || 0) - (tier.percentages[i] || 0));
+    maxDeviation = Math.max(maxDeviation, gap);
+    if (gap > TEMPLATE_DEVIATION_THRESHOLD) {
+      deviatingPlaces.push(i + 1);
+    }
+  }
+
+  return {
+    placesPaidMatches: percentages.length === tier.placesPaid,
+    maxDeviation: round2(maxDeviation),
+    deviatingPlaces
+  };
+};
+
+/**
+ * Fold one balanced result set into detected tiers
+ *
+ * @param {Array} tiers - Parsed tiers
+ * @param {Object} observation - { totalEntries, percentages }
+ * @returns {Array} New tiers array
+ */
+const mergeObservation = (tiers, { totalEntries, percentages }) => {
+  const placesPaid = percentages.length;
+  const existing = tiers.find(tier => tier.placesPaid === placesPaid);
+
+  if (!existing) {
+    return [...tiers, {
+      minEntries: totalEntries,
+      maxEntries: totalEntries,
+      placesPaid,
+      percentages,
+      sampleSize: 1
+    }].sort((a, b) => a.minEntries - b.minEntries);
+  }
+
+  const n = existing.sampleSize || 0;
+  const merged = {
+    minEntries: Math.min(existing.minEntries, totalEntries),
+    maxEntries: existing.maxEntries === null ? null : Math.max(existing.maxEntries, totalEntries),
+    placesPaid,
+    percentages: percentages.map((pct, i) => round2(((existing.percentages[i] || 0) * n + pct) / (n + 1))),
+    sampleSize: n + 1
+  };
+
+  return tiers.map(tier => (tier === existing ? merged : tier));
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+module.exports = {
+  RECONCILIATION_STATUS,
+  ROUNDING_TOLERANCE_PER_PLACE,
+  RECONCILIATION_TOLERANCE_PCT,
+  TEMPLATE_DEVIATION_THRESHOLD,
+  extractPayouts,
+  toPercentages,
+  getExpectedPrizepool,
+  reconcilePayouts,
+  parseTiers,
+  tierCovers,
+  findTier,
+  compareToTier,
+  mergeObservation
+};
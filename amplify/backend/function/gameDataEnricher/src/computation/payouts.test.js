@@ -0,0 +1,122 @@
+/**
+ * Unit checks for payouts.js - run with `npm test` from the repo root
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  RECONCILIATION_STATUS,
+  extractPayouts,
+  toPercentages,
+  reconcilePayouts,
+  parseTiers,
+  tierCovers,
+  findTier,
+  compareToTier,
+  mergeObservation
+} = require('./payouts');
+
+const payoutsOf = (...amounts) => amounts.map((winnings, i) => ({ rank: i + 1, winnings }));
+
+test('extractPayouts orders cash places and counts qualifications separately', () => {
+  const result = extractPayouts([
+    { rank: 2, winnings: '810' },
+    { rank: 1, winnings: 1350 },
+    { rank: 3, isQualification: true },
+    { rank: 4, winnings: 0 },
+    { rank: 0, winnings: 50 }
+  ]);
+  assert.deepEqual(result.payouts, [{ rank: 1, winnings: 1350 }, { rank: 2, winnings: 810 }]);
+  assert.equal(result.qualifications, 1);
+  assert.deepEqual(extractPayouts(null), { payouts: [], qualifications: 0 });
+});
+
+test('toPercentages rounds to 2 decimals and handles empty payouts', () => {
+  assert.deepEqual(toPercentages(payoutsOf(1350, 810, 510, 330)), [45, 27, 17, 11]);
+  assert.deepEqual(toPercentages(payoutsOf(100, 100, 100)), [33.33, 33.33, 33.33]);
+  assert.deepEqual(toPercentages([]), []);
+});
+
+test('reconcilePayouts balances the documented example', () => {
+  const result = reconcilePayouts({ prizepoolCalculated: 3000 }, payoutsOf(1350, 810, 510, 330));
+  assert.equal(result.status, RECONCILIATION_STATUS.BALANCED);
+  assert.equal(result.delta, 0);
+  // max(4 places x $5, 1% of $3,000)
+  assert.equal(result.tolerance, 30);
+});
+
+test('reconcilePayouts tolerance boundary is inclusive', () => {
+  const game = { prizepoolCalculated: 3000 };
+  assert.equal(reconcilePayouts(game, payoutsOf(1380, 810, 510, 330)).status, RECONCILIATION_STATUS.BALANCED);
+  assert.equal(reconcilePayouts(game, payoutsOf(1380.01, 810, 510, 330)).status, RECONCILIATION_STATUS.OVERPAID);
+  assert.equal(reconcilePayouts(game, payoutsOf(1320, 810, 510, 330)).status, RECONCILIATION_STATUS.BALANCED);
+  assert.equal(reconcilePayouts(game, payoutsOf(1319.99, 810, 510, 330)).status, RECONCILIATION_STATUS.UNDERPAID);
+});
+
+test('reconcilePayouts uses per-place rounding on small prizepools', () => {
+  // 10 places x $5 = $50 beats 1% of $1,000
+  const result = reconcilePayouts({ prizepoolCalculated: 1000 }, payoutsOf(...Array(10).fill(104)));
+  assert.equal(result.tolerance, 50);
+  assert.equal(result.delta, 40);
+  assert.equal(result.status, RECONCILIATION_STATUS.BALANCED);
+});
+
+test('reconcilePayouts falls back to prizepool components', () => {
+  const game = { prizepoolPlayerContributions: 2500, guaranteeOverlayCost: 400, prizepoolAddedValue: 100 };
+  const result = reconcilePayouts(game, payoutsOf(1350, 810, 510, 330));
+  assert.equal(result.expectedPrizepool, 3000);
+  assert.equal(result.status, RECONCILIATION_STATUS.BALANCED);
+});
+
+test('parseTiers accepts AWSJSON, drops invalid tiers and sorts by entries', () => {
+  const tiers = parseTiers(JSON.stringify([
+    { minEntries: 36, maxEntries: null, placesPaid: 5, percentages: [40, 25, 15, 12, 8] },
+    { minEntries: 20, maxEntries: 35, percentages: [45, 27, 17, 11], sampleSize: 6 },
+    { minEntries: 10, percentages: [] }
+  ]));
+  assert.deepEqual(tiers.map(tier => tier.minEntries), [20, 36]);
+  assert.equal(tiers[0].placesPaid, 4);
+  assert.equal(tiers[1].maxEntries, null);
+  assert.deepEqual(parseTiers('not json'), []);
+  assert.deepEqual(parseTiers({}), []);
+});
+
+test('findTier prefers the covering tier, otherwise the nearest range', () => {
+  const tiers = parseTiers([
+    { minEntries: 20, maxEntries: 35, percentages: [45, 27, 17, 11] },
+    { minEntries: 50, maxEntries: null, percentages: [40, 25, 15, 12, 8] }
+  ]);
+  assert.equal(tierCovers(tiers[0], 35), true);
+  assert.equal(tierCovers(tiers[0], 36), false);
+  assert.equal(findTier(tiers, 35), tiers[0]);
+  assert.equal(findTier(tiers, 40), tiers[0]);
+  assert.equal(findTier(tiers, 46), tiers[1]);
+  assert.equal(findTier(tiers, 500), tiers[1]);
+  assert.equal(findTier(tiers, 0), null);
+});
+
+test('compareToTier flags places beyond the deviation threshold', () => {
+  const tier = { placesPaid: 4, percentages: [45, 27, 17, 11] };
+  assert.deepEqual(compareToTier([50, 25, 15, 10], tier), {
+    placesPaidMatches: true,
+    maxDeviation: 5,
+    deviatingPlaces: []
+  });
+
+  const result = compareToTier([55, 25, 20], tier);
+  assert.equal(result.placesPaidMatches, false);
+  assert.equal(result.maxDeviation, 11);
+  assert.deepEqual(result.deviatingPlaces, [1, 4]);
+});
+
+test('mergeObservation adds new tiers and averages into existing ones', () => {
+  let tiers = mergeObservation([], { totalEntries: 24, percentages: [45, 27, 17, 11] });
+  assert.deepEqual(tiers, [{ minEntries: 24, maxEntries: 24, placesPaid: 4, percentages: [45, 27, 17, 11], sampleSize: 1 }]);
+
+  tiers = mergeObservation(tiers, { totalEntries: 30, percentages: [47, 27, 15, 11] });
+  assert.deepEqual(tiers[0], { minEntries: 24, maxEntries: 30, placesPaid: 4, percentages: [46, 27, 16, 11], sampleSize: 2 });
+
+  tiers = mergeObservation(tiers, { totalEntries: 12, percentages: [65, 35] });
+  assert.deepEqual(tiers.map(tier => tier.placesPaid), [2, 4]);
+});
@@ -2,7 +2,60 @@
  * enricher.js
  * Main enrichment orchestration
  * 
- * UPDATED: v2.2.0
+ * UPDATED: v2.11.0
+ * - Added Step 7d: Blind structure. The game's stack and levels are
+ *   fingerprinted and linked to the entity's BlindStructure library
+ *   (resolution/blind-structure-library.js) as Game.blindStructureId; a
+ *   recurring game without a structure takes this one, one with a different
+ *   structure gets a STRUCTURE_CHANGED warning
+ * 
+ * v2.10.0:
+ * - Added Step 7c: Entry timeline. Each enrichment of a tournament adds its
+ *   running entry totals to Game.entryTimeline; the level timings turn them
+ *   into entries and re-entries by level (computation/entry-timeline.js),
+ *   with lastEntryLevel, registrationClosedLevel, lateEntries and
+ *   reEntryPrizepool on the game
+ * 
+ * v2.9.0:
+ * - Venue, series, satellite and recurring resolution each add a decision
+ *   (normalized confidence + reasons) to enrichmentMetadata.decisions and
+ *   follow the entity's sticky ResolutionRules (resolution/review-queue.js)
+ * - Added Step 9: Review queue. Doubtful decisions of saved games go to
+ *   ResolutionReview for an operator to accept, override or reject
+ * 
+ * v2.8.0:
+ * - Added Step 3c: Holiday calendar. Sets holidayName when the game is on a
+ *   holiday in the entity's calendar (resolution/holiday-calendar.js) for the
+ *   venue's region; series resolution reuses the loaded calendar
+ * 
+ * v2.7.0:
+ * - Series resolution also matches the game to a SeriesScheduledEvent when
+ *   the series has an imported schedule (resolution/series-schedule.js);
+ *   the save stage records the new gameId on the matched event
+ * 
+ * v2.6.0:
+ * - Added Step 7b: Payout reconciliation. Paid prizes from the scraped
+ *   results are checked against the expected prizepool and the recurring
+ *   game's PayoutTemplate; balanced results build the DETECTED template
+ * 
+ * v2.5.0:
+ * - Added Step 3b: Currency resolution (game -> venue -> entity -> AUD).
+ *   Amounts stay in the game's currency; refreshAllMetrics converts them
+ * 
+ * v2.4.0:
+ * - Validation stage also runs the entity's custom ValidationRule records
+ *   (validation/custom-rules.js)
+ * 
+ * v2.3.0:
+ * - Steps are registered pipeline stages (ENRICHMENT_STAGES, run by
+ *   pipeline/pipeline-runner.js) that can be turned off per entity
+ *   (Entity.enrichmentStageConfig) or per call (options.enabledStages /
+ *   disabledStages). The old skipXxx options still work.
+ * - options.dryRun runs the pipeline without any writes
+ * - enrichmentMetadata.pipelineTrace records, per stage, whether it ran,
+ *   why, and which game fields it changed
+ * 
+ * v2.2.0:
  * - Added Step 4b: Satellite Resolution (isSatellite detection and target linking)
  * 
  * v2.1.0:
@@ -20,24 +73,60 @@
  * 2b. Classification derivation
  * 2c. Duration completion
  * 3. Venue resolution
+ * 3b. Currency resolution
+ * 3c. Holiday calendar
  * 4. Series resolution
  * 4b. Satellite resolution (NEW)
  * 5. Recurring game resolution
+ * 5b. Accumulator tickets
+ * 5c. isRegular finalization
  * 6. Query key computation
  * 7. Financial calculations (with guarantee inference from prizepoolPaid)
+ * 7b. Payout reconciliation
+ * 7c. Entry timeline
+ * 7d. Blind structure
  * 8. (Optional) Save to database via saveGameFunction
+ * 9. (Optional) Review queue
  */
 
 const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
 const { validateGameData } = require('./validation');
+const { loadEntityValidationRules } = require('./validation/custom-rules');
 const { completeData, completeSeriesMetadata } = require('./completion/data-completion');
 const { completeDurationFields } = require('./completion/duration-completion');
 const { resolveVenue, getVenueFee } = require('./resolution/venue-resolver');
+const { resolveCurrency } = require('./resolution/currency-resolver');
+const { loadHolidayContext, findHolidayOnDate } = require('./resolution/holiday-calendar');
+const { toAEST } = require('./utils/date-utils');
 const { resolveSeriesAssignment } = require('./resolution/series-resolver');
 const { resolveSatellite } = require('./resolution/satellite-resolver');
 const { resolveRecurringAssignment } = require('./resolution/recurring-resolver');
+const {
+  RULE_ACTION,
+  venueDecision,
+  seriesDecision,
+  satelliteDecision,
+  recurringDecision,
+  loadResolutionRules,
+  findResolutionRule,
+  queueDecisions
+} = require('./resolution/review-queue');
 const { computeQueryKeys } = require('./computation/query-keys');
 const { calculateFinancials } = require('./computation/financials');
+const {
+  RECONCILIATION_STATUS,
+  extractPayouts,
+  toPercentages,
+  reconcilePayouts,
+  tierCovers,
+  findTier,
+  compareToTier
+} = require('./computation/payouts');
+const { loadPayoutTemplate, recordDetectedPayout } = require('./resolution/payout-template-resolver');
+const { buildEntryTimeline } = require('./computation/entry-timeline');
+const { recordGameStructure, linkRecurringGame } = require('./resolution/blind-structure-library');
+const { getItemById } = require('./utils/db-client');
+const { STAGE_STATUS, parseStageConfig, resolveStageToggles, runPipeline } = require('./pipeline/pipeline-runner');
 
 // Classification derivation utilities
 const { 
@@ -122,116 +211,104 @@ const deriveClassificationFields = (game) => {
 };
 
 // ===================================================================
-// MAIN ENRICHMENT FUNCTION
+// PIPELINE STAGES
 // ===================================================================
+// Each stage reads and updates ctx.game (the game being enriched) and
+// ctx.result. See pipeline/pipeline-runner.js for the stage contract.
 
 /**
- * Enrich game data - the main entry point
- * 
- * @param {Object} input - EnrichGameDataInput
- * @param {Object} input.game - Game data to enrich
- * @param {string} input.entityId - Entity ID (required)
- * @param {Object} input.source - Source info (type, sourceId, wasEdited) for save
- * @param {Object} input.venue - Venue input for resolution
- * @param {Object} input.series - Series input for resolution
- * @param {Object} input.players - Player data to pass to saveGameFunction
- * @param {Object} input.options - Enrichment options
- * @param {boolean} input.options.saveToDatabase - If true, invoke saveGameFunction after enrichment
- * @param {boolean} input.options.skipSatelliteResolution - If true, skip satellite detection
- * @returns {Object} EnrichGameDataOutput
+ * The stored Game being updated (null for new games), read once per call
  */
-const enrichGameData = async (input) => {
-  const startTime = Date.now();
-  const { game, entityId, source, venue, series, players, options = {} } = input;
-  
-  // Initialize result structure
-  const result = {
-    success: false,
-    validation: { isValid: false, errors: [], warnings: [] },
-    enrichedGame: null,
-    enrichmentMetadata: {
-      seriesResolution: null,
-      satelliteResolution: null,
-      recurringResolution: null,
-      venueResolution: null,
-      queryKeysGenerated: false,
-      financialsCalculated: false,
-      guaranteeWasInferred: false,
-      durationCompleted: false,
-      endTimeCalculated: false,
-      fieldsCompleted: [],
-      processingTimeMs: 0
-    },
-    saveResult: null  // Populated when options.saveToDatabase is true
-  };
-  
-  try {
-    // =========================================================
-    // 1. VALIDATION
-    // =========================================================
-    console.log('[ENRICHER] Step 1: Validation');
-    
-    const validation = validateGameData(game, entityId);
+const getExistingGame = (ctx) => {
+  if (!ctx.existingGamePromise) {
+    const existingGameId = ctx.game.existingGameId || ctx.game.id;
+    ctx.existingGamePromise = existingGameId
+      ? getItemById('Game', existingGameId)
+      : Promise.resolve(null);
+  }
+  return ctx.existingGamePromise;
+};
+
+const validationStage = {
+  name: 'validation',
+  label: 'Step 1: Validation',
+  required: true,
+  run: async (ctx) => {
+    const { result } = ctx;
+
+    const customRules = await loadEntityValidationRules(ctx.entityId);
+    const validation = validateGameData(ctx.game, ctx.entityId, customRules);
     result.validation = {
       isValid: validation.isValid,
       errors: validation.errors,
       warnings: validation.warnings
     };
-    
-    // If validation failed with errors, return early
+
+    // If validation failed with errors, stop here
     if (!validation.isValid) {
       console.log('[ENRICHER] Validation failed:', validation.errors);
-      result.enrichmentMetadata.processingTimeMs = Date.now() - startTime;
-      return result;
+      ctx.stop = true;
+      ctx.stopReason = 'validation_failed';
+      return { reason: `${validation.errors.length} validation error(s)` };
     }
-    
-    // Start with validated/corrected data
-    let enrichedGame = { ...validation.correctedData };
-    
-    // =========================================================
-    // 2. DATA COMPLETION
-    // =========================================================
-    console.log('[ENRICHER] Step 2: Data completion');
-    
-    const completionResult = completeData(enrichedGame);
-    enrichedGame = { ...enrichedGame, ...completionResult.data };
+
+    // Continue with validated/corrected data
+    ctx.game = { ...validation.correctedData };
+    return { reason: `${validation.warnings.length} warning(s)` };
+  }
+};
+
+const completionStage = {
+  name: 'completion',
+  label: 'Step 2: Data completion',
+  run: (ctx) => {
+    const { result } = ctx;
+
+    const completionResult = completeData(ctx.game);
+    ctx.game = { ...ctx.game, ...completionResult.data };
     result.enrichmentMetadata.fieldsCompleted = completionResult.fieldsCompleted;
-    
+
     // Complete series metadata from name parsing
-    if (enrichedGame.gameType === 'TOURNAMENT') {
-      const seriesMetadata = completeSeriesMetadata(enrichedGame);
-      enrichedGame = { ...enrichedGame, ...seriesMetadata };
+    if (ctx.game.gameType === 'TOURNAMENT') {
+      const seriesMetadata = completeSeriesMetadata(ctx.game);
+      ctx.game = { ...ctx.game, ...seriesMetadata };
       if (Object.keys(seriesMetadata).length > 0) {
         result.enrichmentMetadata.fieldsCompleted.push(...Object.keys(seriesMetadata));
       }
     }
-    
-    // =========================================================
-    // 2b. CLASSIFICATION DERIVATION
-    // =========================================================
+  }
+};
+
+const classificationStage = {
+  name: 'classification',
+  label: 'Step 2b: Classification derivation',
+  run: (ctx) => {
     // Derive classification fields if not already set by scraper
-    console.log('[ENRICHER] Step 2b: Classification derivation');
-    
-    const classificationUpdates = deriveClassificationFields(enrichedGame);
+    const classificationUpdates = deriveClassificationFields(ctx.game);
     if (Object.keys(classificationUpdates).length > 0) {
-      enrichedGame = { ...enrichedGame, ...classificationUpdates };
-      result.enrichmentMetadata.fieldsCompleted.push(...Object.keys(classificationUpdates));
-      console.log(`[ENRICHER] Derived ${Object.keys(classificationUpdates).length} classification fields:`, 
+      ctx.game = { ...ctx.game, ...classificationUpdates };
+      ctx.result.enrichmentMetadata.fieldsCompleted.push(...Object.keys(classificationUpdates));
+      console.log(`[ENRICHER] Derived ${Object.keys(classificationUpdates).length} classification fields:`,
         Object.keys(classificationUpdates).join(', '));
     }
-    
-    // =========================================================
-    // 2c. DURATION COMPLETION
-    // =========================================================
+
+    return { reason: ctx.game.gameVariant ? `from gameVariant ${ctx.game.gameVariant}` : null };
+  }
+};
+
+const durationStage = {
+  name: 'duration',
+  label: 'Step 2c: Duration completion',
+  run: (ctx) => {
+    const { result } = ctx;
+
     // Normalize duration and calculate gameEndDateTime if missing
-    console.log('[ENRICHER] Step 2c: Duration completion');
-    
-    const durationResult = completeDurationFields(enrichedGame);
-    
+    const durationResult = completeDurationFields(ctx.game);
+
     if (durationResult.updates && Object.keys(durationResult.updates).length > 0) {
-      enrichedGame = { ...enrichedGame, ...durationResult.updates };
+      ctx.game = { ...ctx.game, ...durationResult.updates };
       result.enrichmentMetadata.fieldsCompleted.push(...durationResult.fieldsCompleted);
-      
+
       // Track what was done
       if (durationResult.fieldsCompleted.includes('totalDuration')) {
         result.enrichmentMetadata.durationCompleted = true;
@@ -239,458 +316,1071 @@ const enrichGameData = async (input) => {
       if (durationResult.fieldsCompleted.includes('gameEndDateTime')) {
         result.enrichmentMetadata.endTimeCalculated = true;
       }
-      
+
       console.log(`[ENRICHER] Duration completion: ${durationResult.fieldsCompleted.join(', ')}`);
     }
-    
+
     // Add any duration warnings to validation warnings
     if (durationResult.warnings && durationResult.warnings.length > 0) {
       result.validation.warnings.push(...durationResult.warnings);
     }
-    
-    // =========================================================
-    // 3. VENUE RESOLUTION
-    // =========================================================
-    console.log('[ENRICHER] Step 3: Venue resolution');
-    
-    if (venue || !enrichedGame.venueId) {
-      const venueResult = await resolveVenue(venue, entityId);
-      
-      if (venueResult.venueId) {
-        enrichedGame.venueId = venueResult.venueId;
-        enrichedGame.venueAssignmentStatus = venueResult.status;
-        enrichedGame.venueAssignmentConfidence = venueResult.confidence;
-        
-        // Get venue fee if we have a venue
-        if (!enrichedGame.venueFee) {
-          const venueFee = await getVenueFee(venueResult.venueId);
-          if (venueFee !== null) {
-            enrichedGame.venueFee = venueFee;
-            result.enrichmentMetadata.fieldsCompleted.push('venueFee');
-          }
+  }
+};
+
+// Sticky rules from the review queue, loaded once per enrichment
+const getResolutionRules = async (ctx) => {
+  if (!ctx.resolutionRules) {
+    ctx.resolutionRules = await loadResolutionRules(ctx.entityId);
+  }
+  return ctx.resolutionRules;
+};
+
+const venueStage = {
+  name: 'venue',
+  label: 'Step 3: Venue resolution',
+  run: async (ctx) => {
+    const { result, input } = ctx;
+    const venue = input.venue;
+
+    if (!venue && ctx.game.venueId) {
+      return { skipped: true, reason: 'venue_already_assigned' };
+    }
+
+    // An explicit venueId wins over any rule
+    const rule = venue?.venueId
+      ? null
+      : findResolutionRule(await getResolutionRules(ctx), 'VENUE', ctx.game, { venueName: venue?.venueName });
+
+    let venueResult;
+    if (rule?.action === RULE_ACTION.ASSIGN) {
+      venueResult = await resolveVenue({ venueId: rule.targetId, assignmentStatus: 'MANUALLY_ASSIGNED', confidence: 1.0 }, ctx.entityId);
+      venueResult.matchReason = 'sticky_rule';
+    } else if (rule?.action === RULE_ACTION.REJECT) {
+      venueResult = { venueId: null, status: 'UNASSIGNED', confidence: 1.0, matchReason: 'sticky_rule' };
+    } else {
+      venueResult = await resolveVenue(venue, ctx.entityId);
+    }
+
+    if (venueResult.venueId) {
+      ctx.game.venueId = venueResult.venueId;
+      ctx.game.venueAssignmentStatus = venueResult.status;
+      ctx.game.venueAssignmentConfidence = venueResult.confidence;
+
+      // Get venue fee if we have a venue
+      if (!ctx.game.venueFee) {
+        const venueFee = await getVenueFee(venueResult.venueId);
+        if (venueFee !== null) {
+          ctx.game.venueFee = venueFee;
+          result.enrichmentMetadata.fieldsCompleted.push('venueFee');
         }
-      } else if (venueResult.suggestedVenueName) {
-        enrichedGame.suggestedVenueName = venueResult.suggestedVenueName;
-        enrichedGame.venueAssignmentStatus = venueResult.status;
       }
-      
-      result.enrichmentMetadata.venueResolution = {
-        status: venueResult.status,
-        venueId: venueResult.venueId,
-        venueName: venueResult.venueName,
-        venueFee: enrichedGame.venueFee || null,
-        confidence: venueResult.confidence,
-        matchReason: venueResult.matchReason
-      };
+    } else if (venueResult.suggestedVenueName) {
+      ctx.game.suggestedVenueName = venueResult.suggestedVenueName;
+      ctx.game.venueAssignmentStatus = venueResult.status;
     }
-    
-    // =========================================================
-    // 4. SERIES RESOLUTION
-    // =========================================================
-    const shouldAttemptSeriesResolution = 
-      !options.skipSeriesResolution && 
-      enrichedGame.gameType === 'TOURNAMENT';
-    
-    if (shouldAttemptSeriesResolution) {
-      console.log('[ENRICHER] Step 4: Series resolution (checking all tournaments)');
-      
-      // Get venues for name cleanup (optional but improves matching)
-      const venues = result.enrichmentMetadata.venueResolution?.venueId 
-        ? [{ id: result.enrichmentMetadata.venueResolution.venueId, 
-             name: result.enrichmentMetadata.venueResolution.venueName }]
-        : [];
-      
-      const seriesResult = await resolveSeriesAssignment({
-        game: enrichedGame,
-        entityId,
-        seriesInput: series || {},
-        autoCreate: options.autoCreateSeries !== false,
-        venues  // Pass venues for better name matching
-      });
-      
-      // Apply series updates to game (including isSeries determination)
-      enrichedGame = { ...enrichedGame, ...seriesResult.gameUpdates };
-      result.enrichmentMetadata.seriesResolution = seriesResult.metadata;
-      
-      // Log the result
-      if (enrichedGame.isSeries) {
-        console.log(`[ENRICHER] ✅ Series detected: ${enrichedGame.seriesName || 'unknown'}`, {
-          status: enrichedGame.seriesAssignmentStatus,
-          tournamentSeriesId: enrichedGame.tournamentSeriesId,
-          dayNumber: enrichedGame.dayNumber,
-          flightLetter: enrichedGame.flightLetter,
-          eventNumber: enrichedGame.eventNumber
-        });
-      } else {
-        console.log('[ENRICHER] No series detected for this tournament');
-      }
-      
-    } else if (options.skipSeriesResolution) {
-      console.log('[ENRICHER] Step 4: Series resolution SKIPPED (disabled by option)');
+
+    result.enrichmentMetadata.venueResolution = {
+      status: venueResult.status,
+      venueId: venueResult.venueId,
+      venueName: venueResult.venueName,
+      venueFee: ctx.game.venueFee || null,
+      confidence: venueResult.confidence,
+      matchReason: venueResult.matchReason
+    };
+    result.enrichmentMetadata.decisions.push(venueDecision(venueResult, ctx.game, venue?.venueName, rule));
+
+    return { reason: venueResult.matchReason || venueResult.status };
+  }
+};
+
+const currencyStage = {
+  name: 'currency',
+  label: 'Step 3b: Currency resolution',
+  run: async (ctx) => {
+    const { currency, source } = await resolveCurrency(ctx.game, ctx.entityId);
+
+    if (ctx.game.currency !== currency) {
+      ctx.game.currency = currency;
+      ctx.result.enrichmentMetadata.fieldsCompleted.push('currency');
+    }
+
+    return { reason: `${currency} from ${source.toLowerCase()}` };
+  }
+};
+
+const holidayStage = {
+  name: 'holiday',
+  label: 'Step 3c: Holiday calendar',
+  run: async (ctx) => {
+    ctx.holidayContext = await loadHolidayContext(ctx.entityId, ctx.game.venueId);
+
+    const gameDate = ctx.game.gameStartDateTime ? toAEST(ctx.game.gameStartDateTime)?.isoDate : null;
+    if (!gameDate) {
+      return { skipped: true, reason: 'no_start_date' };
+    }
+
+    const { calendar, region } = ctx.holidayContext;
+    const holiday = findHolidayOnDate(calendar, gameDate, region);
+    const holidayName = holiday?.name || null;
+
+    if ((ctx.game.holidayName || null) !== holidayName) {
+      ctx.game.holidayName = holidayName;
+      ctx.result.enrichmentMetadata.fieldsCompleted.push('holidayName');
+    }
+
+    return { reason: holiday ? `${holiday.name}${region ? ` (${region})` : ''}` : 'not_a_holiday' };
+  }
+};
+
+const seriesStage = {
+  name: 'series',
+  label: 'Step 4: Series resolution',
+  legacyOption: 'skipSeriesResolution',
+  onDisabled: (ctx, source) => {
+    ctx.result.enrichmentMetadata.seriesResolution = {
+      status: 'SKIPPED',
+      confidence: 0,
+      wasCreated: false,
+      matchReason: source
+    };
+  },
+  run: async (ctx) => {
+    const { result, options } = ctx;
+
+    if (ctx.game.gameType !== 'TOURNAMENT') {
+      // Not a tournament - skip series resolution
       result.enrichmentMetadata.seriesResolution = {
         status: 'SKIPPED',
         confidence: 0,
         wasCreated: false,
-        matchReason: 'option_disabled'
+        matchReason: 'not_tournament'
+      };
+      return { skipped: true, reason: 'not_tournament' };
+    }
+
+    // Get venues for name cleanup (optional but improves matching)
+    const venues = result.enrichmentMetadata.venueResolution?.venueId
+      ? [{ id: result.enrichmentMetadata.venueResolution.venueId,
+           name: result.enrichmentMetadata.venueResolution.venueName }]
+      : [];
+
+    const seriesInput = ctx.input.series || {};
+    const rule = seriesInput.tournamentSeriesId
+      ? null
+      : findResolutionRule(await getResolutionRules(ctx), 'SERIES', ctx.game);
+
+    if (rule?.action === RULE_ACTION.REJECT) {
+      ctx.game = {
+        ...ctx.game,
+        isSeries: false,
+        tournamentSeriesId: null,
+        seriesAssignmentStatus: 'NOT_SERIES',
+        seriesAssignmentConfidence: 0
       };
-    } else {
-      // Not a tournament - skip series resolution
-      console.log('[ENRICHER] Step 4: Series resolution SKIPPED (not a tournament)');
       result.enrichmentMetadata.seriesResolution = {
-        status: 'SKIPPED',
-        confidence: 0,
+        status: 'NOT_SERIES',
+        confidence: 1.0,
         wasCreated: false,
-        matchReason: 'not_tournament'
+        matchReason: 'sticky_rule'
       };
+      result.enrichmentMetadata.decisions.push(seriesDecision(result.enrichmentMetadata.seriesResolution, ctx.game, rule));
+      return { reason: 'sticky_rule' };
     }
-    
-    // =========================================================
-    // 4b. SATELLITE RESOLUTION
-    // =========================================================
+
+    const seriesResult = await resolveSeriesAssignment({
+      game: ctx.game,
+      entityId: ctx.entityId,
+      // A sticky ASSIGN rule goes through the provided-ID path
+      seriesInput: rule ? { ...seriesInput, tournamentSeriesId: rule.targetId } : seriesInput,
+      autoCreate: options.autoCreateSeries !== false && !options.dryRun,
+      persistScheduleMatch: !!options.saveToDatabase && !options.dryRun,
+      venues,  // Pass venues for better name matching
+      holidayContext: ctx.holidayContext || null
+    });
+
+    // Apply series updates to game (including isSeries determination)
+    ctx.game = { ...ctx.game, ...seriesResult.gameUpdates };
+    result.enrichmentMetadata.seriesResolution = rule
+      ? { ...seriesResult.metadata, matchReason: 'sticky_rule', matchedSeriesName: rule.targetName || null }
+      : seriesResult.metadata;
+    result.enrichmentMetadata.decisions.push(seriesDecision(result.enrichmentMetadata.seriesResolution, ctx.game, rule));
+
+    // Log the result
+    if (ctx.game.isSeries) {
+      console.log(`[ENRICHER] ✅ Series detected: ${ctx.game.seriesName || 'unknown'}`, {
+        status: ctx.game.seriesAssignmentStatus,
+        tournamentSeriesId: ctx.game.tournamentSeriesId,
+        dayNumber: ctx.game.dayNumber,
+        flightLetter: ctx.game.flightLetter,
+        eventNumber: ctx.game.eventNumber,
+        scheduledEvent: result.enrichmentMetadata.seriesResolution.scheduledEventNumber || null
+      });
+    } else {
+      console.log('[ENRICHER] No series detected for this tournament');
+    }
+
+    return { reason: seriesResult.metadata?.matchReason || seriesResult.metadata?.status || null };
+  }
+};
+
+const satelliteStage = {
+  name: 'satellite',
+  label: 'Step 4b: Satellite resolution',
+  legacyOption: 'skipSatelliteResolution',
+  onDisabled: (ctx, source) => {
+    ctx.result.enrichmentMetadata.satelliteResolution = {
+      status: 'SKIPPED',
+      matchReason: source
+    };
+  },
+  run: async (ctx) => {
+    const { result } = ctx;
+
     // Detect if game is a satellite and link to target series
     // Note: isSatellite is orthogonal to isSeries - a game can be both
     // (part of a series AND a satellite feeding into an event)
-    if (enrichedGame.gameType === 'TOURNAMENT' && !options.skipSatelliteResolution) {
-      console.log('[ENRICHER] Step 4b: Satellite resolution');
-      
-      try {
-        const satelliteResult = await resolveSatellite({
-          game: enrichedGame,
-          venueId: enrichedGame.venueId,
-          autoLink: true
-        });
-        
-        // Apply satellite updates
-        if (satelliteResult.gameUpdates) {
-          enrichedGame = { ...enrichedGame, ...satelliteResult.gameUpdates };
-        }
-        
-        // Store satellite metadata
-        result.enrichmentMetadata.satelliteResolution = satelliteResult.metadata;
-        
-        // Log satellite detection
-        if (enrichedGame.isSatellite) {
-          console.log('[ENRICHER] ✅ Satellite detected:', {
-            isSatellite: true,
-            tournamentPurpose: enrichedGame.tournamentPurpose,
-            targetSeries: satelliteResult.metadata?.linkedSeries?.seriesName || 'none',
-            seatsAwarded: enrichedGame.satelliteSeatsAwarded || 'unknown',
-            seatRatio: enrichedGame.satelliteSeatRatio || null
-          });
-        } else {
-          console.log('[ENRICHER] Not a satellite tournament');
-        }
-        
-      } catch (satError) {
-        console.error('[ENRICHER] Satellite resolution error:', satError);
-        result.validation.warnings.push({
-          field: 'isSatellite',
-          message: `Satellite resolution failed: ${satError.message}`,
-          code: 'SATELLITE_RESOLUTION_ERROR'
-        });
-        result.enrichmentMetadata.satelliteResolution = {
-          status: 'ERROR',
-          error: satError.message
-        };
-      }
-    } else if (options.skipSatelliteResolution) {
-      console.log('[ENRICHER] Step 4b: Satellite resolution SKIPPED (disabled by option)');
+    if (ctx.game.gameType !== 'TOURNAMENT') {
       result.enrichmentMetadata.satelliteResolution = {
         status: 'SKIPPED',
-        matchReason: 'option_disabled'
+        matchReason: 'not_tournament'
       };
-    } else {
-      console.log('[ENRICHER] Step 4b: Satellite resolution SKIPPED (not a tournament)');
+      return { skipped: true, reason: 'not_tournament' };
+    }
+
+    try {
+      const satelliteResult = await resolveSatellite({
+        game: ctx.game,
+        venueId: ctx.game.venueId,
+        autoLink: true
+      });
+
+      // Apply satellite updates
+      if (satelliteResult.gameUpdates) {
+        ctx.game = { ...ctx.game, ...satelliteResult.gameUpdates };
+      }
+
+      // Store satellite metadata
+      result.enrichmentMetadata.satelliteResolution = satelliteResult.metadata;
+
+      // A sticky rule replaces whatever target was found
+      const rule = ctx.game.isSatellite
+        ? findResolutionRule(await getResolutionRules(ctx), 'SATELLITE', ctx.game)
+        : null;
+      if (rule) {
+        const assign = rule.action === RULE_ACTION.ASSIGN;
+        const sameSeries = assign && ctx.game.satelliteTargetSeriesId === rule.targetId;
+        ctx.game = {
+          ...ctx.game,
+          satelliteTargetSeriesId: assign ? rule.targetId : null,
+          satelliteTargetSeriesName: assign ? rule.targetName || null : null,
+          satelliteTargetEventId: sameSeries ? ctx.game.satelliteTargetEventId || null : null,
+          satelliteTargetConfidence: assign ? 1.0 : 0
+        };
+        result.enrichmentMetadata.satelliteResolution = {
+          ...satelliteResult.metadata,
+          status: assign ? 'LINKED_TO_SERIES' : 'DETECTED_NO_TARGET',
+          linkedSeries: assign ? { seriesId: rule.targetId, seriesName: rule.targetName || null, confidence: 1.0 } : null,
+          matchReason: 'sticky_rule'
+        };
+      }
+      result.enrichmentMetadata.decisions.push(satelliteDecision(result.enrichmentMetadata.satelliteResolution, ctx.game, rule));
+
+      // Log satellite detection
+      if (ctx.game.isSatellite) {
+        console.log('[ENRICHER] ✅ Satellite detected:', {
+          isSatellite: true,
+          tournamentPurpose: ctx.game.tournamentPurpose,
+          targetSeries: satelliteResult.metadata?.linkedSeries?.seriesName || 'none',
+          seatsAwarded: ctx.game.satelliteSeatsAwarded || 'unknown',
+          seatRatio: ctx.game.satelliteSeatRatio || null
+        });
+      } else {
+        console.log('[ENRICHER] Not a satellite tournament');
+      }
+
+      return { reason: satelliteResult.metadata?.matchReason || null };
+
+    } catch (satError) {
+      console.error('[ENRICHER] Satellite resolution error:', satError);
+      result.validation.warnings.push({
+        field: 'isSatellite',
+        message: `Satellite resolution failed: ${satError.message}`,
+        code: 'SATELLITE_RESOLUTION_ERROR'
+      });
       result.enrichmentMetadata.satelliteResolution = {
-        status: 'SKIPPED',
-        matchReason: 'not_tournament'
+        status: 'ERROR',
+        error: satError.message
       };
+      return { reason: `error: ${satError.message}` };
     }
-    
-    // =========================================================
-    // 5. RECURRING GAME RESOLUTION
-    // =========================================================
+  }
+};
+
+const recurringStage = {
+  name: 'recurring',
+  label: 'Step 5: Recurring game resolution',
+  legacyOption: 'skipRecurringResolution',
+  onDisabled: (ctx, source) => {
+    ctx.result.enrichmentMetadata.recurringResolution = {
+      status: 'SKIPPED',
+      confidence: 0,
+      wasCreated: false,
+      inheritedFields: [],
+      matchReason: source
+    };
+  },
+  run: async (ctx) => {
+    const { result, options } = ctx;
+
     // Note: Satellites CAN be recurring (e.g., "Thursday Colossus Satty")
     // so we don't skip recurring resolution for satellites
-    if (!options.skipRecurringResolution && enrichedGame.venueId && !enrichedGame.isSeries) {
-      console.log('[ENRICHER] Step 5: Recurring game resolution');
-      
-      const recurringResult = await resolveRecurringAssignment({
-        game: enrichedGame,
-        entityId,
-        autoCreate: options.autoCreateRecurring === true,
-        // When saving (autoCreate=true), don't require pattern confirmation
-        // so recurring games are created immediately on first occurrence
-        requirePatternConfirmation: options.autoCreateRecurring !== true
-      });
-      
-      // Apply recurring updates to game
-      enrichedGame = { ...enrichedGame, ...recurringResult.gameUpdates };
-      result.enrichmentMetadata.recurringResolution = recurringResult.metadata;
-      
-      // Track inherited fields (e.g., guaranteeAmount from typicalGuarantee)
-      if (recurringResult.metadata.inheritedFields && recurringResult.metadata.inheritedFields.length > 0) {
-        result.enrichmentMetadata.fieldsCompleted.push(...recurringResult.metadata.inheritedFields);
-        console.log(`[ENRICHER] Inherited ${recurringResult.metadata.inheritedFields.length} fields from recurring template: ${recurringResult.metadata.inheritedFields.join(', ')}`);
-      }
-    } else {
-      console.log('[ENRICHER] Step 5: Recurring game resolution SKIPPED');
+    if (!ctx.game.venueId || ctx.game.isSeries) {
+      const matchReason = ctx.game.isSeries ? 'is_series' : 'no_venue';
       result.enrichmentMetadata.recurringResolution = {
         status: 'SKIPPED',
         confidence: 0,
         wasCreated: false,
         inheritedFields: [],
-        matchReason: options.skipRecurringResolution ? 'option_disabled' : 
-                    enrichedGame.isSeries ? 'is_series' : 'no_venue'
+        matchReason
       };
+      return { skipped: true, reason: matchReason };
     }
-    
-    // =========================================================
-    // 5b. ACCUMULATOR TICKET CALCULATION (after recurring resolution)
-    // =========================================================
-    const totalEntries = enrichedGame.totalEntries || 0;
-    
+
+    const rule = findResolutionRule(await getResolutionRules(ctx), 'RECURRING', ctx.game);
+
+    if (rule?.action === RULE_ACTION.REJECT) {
+      ctx.game = {
+        ...ctx.game,
+        recurringGameId: null,
+        recurringGameAssignmentStatus: 'NOT_RECURRING',
+        recurringGameAssignmentConfidence: 0
+      };
+      result.enrichmentMetadata.recurringResolution = {
+        status: 'NOT_RECURRING',
+        confidence: 1.0,
+        wasCreated: false,
+        inheritedFields: [],
+        matchReason: 'sticky_rule'
+      };
+      result.enrichmentMetadata.decisions.push(recurringDecision(result.enrichmentMetadata.recurringResolution, ctx.game, rule));
+      return { reason: 'sticky_rule' };
+    }
+
+    const autoCreate = options.autoCreateRecurring === true && !options.dryRun;
+
+    const recurringResult = await resolveRecurringAssignment({
+      game: ctx.game,
+      entityId: ctx.entityId,
+      assignedRecurringGameId: rule?.targetId || null,
+      autoCreate,
+      // When saving (autoCreate=true), don't require pattern confirmation
+      // so recurring games are created immediately on first occurrence
+      requirePatternConfirmation: !autoCreate,
+      // Dry runs don't create instances or touch template stats
+      recordMatch: !options.dryRun
+    });
+
+    // Apply recurring updates to game
+    ctx.game = { ...ctx.game, ...recurringResult.gameUpdates };
+    result.enrichmentMetadata.recurringResolution = recurringResult.metadata;
+    const appliedRule = recurringResult.metadata?.matchReason === 'sticky_rule' ? rule : null;
+    result.enrichmentMetadata.decisions.push(recurringDecision(recurringResult.metadata, ctx.game, appliedRule));
+
+    // Track inherited fields (e.g., guaranteeAmount from typicalGuarantee)
+    if (recurringResult.metadata.inheritedFields && recurringResult.metadata.inheritedFields.length > 0) {
+      result.enrichmentMetadata.fieldsCompleted.push(...recurringResult.metadata.inheritedFields);
+      console.log(`[ENRICHER] Inherited ${recurringResult.metadata.inheritedFields.length} fields from recurring template: ${recurringResult.metadata.inheritedFields.join(', ')}`);
+    }
+
+    return { reason: recurringResult.metadata?.matchReason || recurringResult.metadata?.reason || recurringResult.metadata?.status || null };
+  }
+};
+
+const accumulatorStage = {
+  name: 'accumulatorTickets',
+  label: 'Step 5b: Accumulator tickets',
+  run: (ctx) => {
+    const totalEntries = ctx.game.totalEntries || 0;
+
     // Only calculate accumulator tickets if the recurring game has them enabled
-    if (enrichedGame.hasAccumulatorTickets && totalEntries > 0) {
+    if (ctx.game.hasAccumulatorTickets && totalEntries > 0) {
       // Calculate number of accumulator tickets (10% of entries, floored)
-      if (!enrichedGame.numberOfAccumulatorTicketsPaid) {
-        enrichedGame.numberOfAccumulatorTicketsPaid = Math.floor(totalEntries * 0.10);
-        result.enrichmentMetadata.fieldsCompleted.push('numberOfAccumulatorTicketsPaid');
+      if (!ctx.game.numberOfAccumulatorTicketsPaid) {
+        ctx.game.numberOfAccumulatorTicketsPaid = Math.floor(totalEntries * 0.10);
+        ctx.result.enrichmentMetadata.fieldsCompleted.push('numberOfAccumulatorTicketsPaid');
       }
-      console.log(`[ENRICHER] Accumulator tickets: ${enrichedGame.numberOfAccumulatorTicketsPaid} @ $${enrichedGame.accumulatorTicketValue}`);
-    } else {
-      // No accumulator tickets for this game
-      enrichedGame.numberOfAccumulatorTicketsPaid = 0;
+      console.log(`[ENRICHER] Accumulator tickets: ${ctx.game.numberOfAccumulatorTicketsPaid} @ $${ctx.game.accumulatorTicketValue}`);
+      return { reason: '10% of entries' };
     }
-    
-    // =========================================================
-    // 5c. isRegular FINALIZATION (ensures mutual exclusivity)
-    // =========================================================
+
+    // No accumulator tickets for this game
+    ctx.game.numberOfAccumulatorTicketsPaid = 0;
+    return { reason: 'no accumulator tickets' };
+  }
+};
+
+const regularFlagStage = {
+  name: 'regularFlag',
+  label: 'Step 5c: isRegular finalization',
+  required: true,
+  run: (ctx) => {
     // RULE: A game is either a SERIES game OR a REGULAR (recurring) game, never both
     // - isSeries=true + isRegular=false → Series game (part of tournament series)
     // - isSeries=false + isRegular=true → Regular game (recurring weekly/daily game)
     // - isSeries=false + isRegular=false → One-off game (neither series nor recurring)
     // Note: isSatellite is orthogonal - a satellite can be series, regular, or one-off
-    
-    console.log('[ENRICHER] Step 5c: isRegular finalization');
-    
-    if (enrichedGame.isSeries === true) {
+    const game = ctx.game;
+    let reason;
+
+    if (game.isSeries === true) {
       // Series games are NEVER regular games
-      if (enrichedGame.isRegular !== false) {
-        enrichedGame.isRegular = false;
+      reason = 'part of a series';
+      if (game.isRegular !== false) {
+        game.isRegular = false;
         console.log('[ENRICHER] → Set isRegular=false (game is part of a series)');
       }
-    } else if (enrichedGame.recurringGameId) {
+    } else if (game.recurringGameId) {
       // Games matched to a recurring game ARE regular games
-      if (enrichedGame.isRegular !== true) {
-        enrichedGame.isRegular = true;
+      reason = 'matched to recurring game';
+      if (game.isRegular !== true) {
+        game.isRegular = true;
         console.log('[ENRICHER] → Set isRegular=true (matched to recurring game)');
       }
     } else {
       // Neither series nor recurring - this is a one-off game
       // Leave isRegular as false (or set it explicitly)
-      if (enrichedGame.isRegular === undefined || enrichedGame.isRegular === null) {
-        enrichedGame.isRegular = false;
+      reason = 'one-off game';
+      if (game.isRegular === undefined || game.isRegular === null) {
+        game.isRegular = false;
         console.log('[ENRICHER] → Set isRegular=false (one-off game, not recurring)');
       }
     }
-    
+
     // Log final classification
-    console.log(`[ENRICHER] Game classification: isSeries=${enrichedGame.isSeries}, isSatellite=${enrichedGame.isSatellite || false}, isRegular=${enrichedGame.isRegular}, recurringGameId=${enrichedGame.recurringGameId || 'none'}, tournamentSeriesId=${enrichedGame.tournamentSeriesId || 'none'}`);
-    
-    // =========================================================
-    // 6. QUERY KEY COMPUTATION
-    // =========================================================
-    if (!options.skipQueryKeys) {
-      console.log('[ENRICHER] Step 6: Query key computation');
-      
-      const queryKeys = computeQueryKeys(enrichedGame, entityId);
-      enrichedGame = { ...enrichedGame, ...queryKeys };
-      result.enrichmentMetadata.queryKeysGenerated = true;
-    } else {
-      console.log('[ENRICHER] Step 6: Query key computation SKIPPED');
+    console.log(`[ENRICHER] Game classification: isSeries=${game.isSeries}, isSatellite=${game.isSatellite || false}, isRegular=${game.isRegular}, recurringGameId=${game.recurringGameId || 'none'}, tournamentSeriesId=${game.tournamentSeriesId || 'none'}`);
+
+    return { reason };
+  }
+};
+
+const queryKeysStage = {
+  name: 'queryKeys',
+  label: 'Step 6: Query key computation',
+  legacyOption: 'skipQueryKeys',
+  run: (ctx) => {
+    const queryKeys = computeQueryKeys(ctx.game, ctx.entityId);
+    ctx.game = { ...ctx.game, ...queryKeys };
+    ctx.result.enrichmentMetadata.queryKeysGenerated = true;
+  }
+};
+
+const financialsStage = {
+  name: 'financials',
+  label: 'Step 7: Financial calculations',
+  legacyOption: 'skipFinancials',
+  run: (ctx) => {
+    const { result } = ctx;
+    const enrichedGame = ctx.game;
+
+    // Calculate financials (includes guarantee inference from prizepoolPaid)
+    const financials = calculateFinancials(enrichedGame);
+
+    // Apply all financial fields
+    enrichedGame.totalEntries = financials.totalEntries ?? enrichedGame.totalEntries;
+    enrichedGame.rakeRevenue = financials.rakeRevenue;
+    enrichedGame.totalBuyInsCollected = financials.totalBuyInsCollected;
+    enrichedGame.prizepoolPlayerContributions = financials.prizepoolPlayerContributions;
+    enrichedGame.guaranteeOverlayCost = financials.guaranteeOverlayCost;
+    enrichedGame.prizepoolAddedValue = financials.prizepoolAddedValue;
+    enrichedGame.prizepoolSurplus = financials.prizepoolSurplus;
+    enrichedGame.gameProfit = financials.gameProfit;
+
+    // Apply calculated prizepool if returned
+    if (financials.prizepoolCalculated !== undefined) {
+      enrichedGame.prizepoolCalculated = financials.prizepoolCalculated;
     }
-    
-    // =========================================================
-    // 7. FINANCIAL CALCULATIONS (ENHANCED)
-    // =========================================================
-    if (!options.skipFinancials) {
-      console.log('[ENRICHER] Step 7: Financial calculations');
-      
-      // Store original guarantee state for comparison
-      const hadGuaranteeBefore = enrichedGame.hasGuarantee === true && enrichedGame.guaranteeAmount > 0;
-      
-      // Calculate financials (includes guarantee inference from prizepoolPaid)
-      const financials = calculateFinancials(enrichedGame);
-      
-      // Apply all financial fields
-      enrichedGame.totalEntries = financials.totalEntries ?? enrichedGame.totalEntries;
-      enrichedGame.rakeRevenue = financials.rakeRevenue;
-      enrichedGame.totalBuyInsCollected = financials.totalBuyInsCollected;
-      enrichedGame.prizepoolPlayerContributions = financials.prizepoolPlayerContributions;
-      enrichedGame.guaranteeOverlayCost = financials.guaranteeOverlayCost;
-      enrichedGame.prizepoolAddedValue = financials.prizepoolAddedValue;
-      enrichedGame.prizepoolSurplus = financials.prizepoolSurplus;
-      enrichedGame.gameProfit = financials.gameProfit;
-      
-      // Apply calculated prizepool if returned
-      if (financials.prizepoolCalculated !== undefined) {
-        enrichedGame.prizepoolCalculated = financials.prizepoolCalculated;
-      }
-      
-      // =====================================================
-      // CRITICAL: Apply inferred guarantee back to game data
-      // =====================================================
-      if (financials.guaranteeWasInferred) {
-        console.log(`[ENRICHER] 💡 Guarantee INFERRED from prizepoolPaid:`, {
-          prizepoolPaid: enrichedGame.prizepoolPaid,
-          prizepoolPlayerContributions: financials.prizepoolPlayerContributions,
-          inferredGuarantee: financials.guaranteeAmount,
-          inferredOverlay: financials.guaranteeOverlayCost,
-          gameProfit: financials.gameProfit
+
+    // =====================================================
+    // CRITICAL: Apply inferred guarantee back to game data
+    // =====================================================
+    if (financials.guaranteeWasInferred) {
+      console.log(`[ENRICHER] 💡 Guarantee INFERRED from prizepoolPaid:`, {
+        prizepoolPaid: enrichedGame.prizepoolPaid,
+        prizepoolPlayerContributions: financials.prizepoolPlayerContributions,
+        inferredGuarantee: financials.guaranteeAmount,
+        inferredOverlay: financials.guaranteeOverlayCost,
+        gameProfit: financials.gameProfit
+      });
+
+      // Apply inferred guarantee to game data
+      enrichedGame.hasGuarantee = true;
+      enrichedGame.guaranteeAmount = financials.guaranteeAmount;
+
+      // Track in metadata
+      result.enrichmentMetadata.guaranteeWasInferred = true;
+      result.enrichmentMetadata.fieldsCompleted.push('hasGuarantee', 'guaranteeAmount');
+
+      // Add warning so user knows this was inferred
+      const currencyLabel = enrichedGame.currency || '$';
+      result.validation.warnings.push({
+        field: 'guaranteeAmount',
+        message: `Guarantee of ${currencyLabel} ${financials.guaranteeAmount} inferred from prizepoolPaid (${currencyLabel} ${enrichedGame.prizepoolPaid}) exceeding player contributions (${currencyLabel} ${financials.prizepoolPlayerContributions}). Overlay cost: ${currencyLabel} ${financials.guaranteeOverlayCost}`,
+        code: 'GUARANTEE_INFERRED'
+      });
+    }
+
+    result.enrichmentMetadata.financialsCalculated = true;
+
+    // Log financial summary
+    console.log('[ENRICHER] Financial summary:', {
+      hasGuarantee: enrichedGame.hasGuarantee,
+      guaranteeAmount: enrichedGame.guaranteeAmount,
+      prizepoolPlayerContributions: enrichedGame.prizepoolPlayerContributions,
+      prizepoolPaid: enrichedGame.prizepoolPaid,
+      guaranteeOverlayCost: enrichedGame.guaranteeOverlayCost,
+      rakeRevenue: enrichedGame.rakeRevenue,
+      gameProfit: enrichedGame.gameProfit,
+      isUnderwater: enrichedGame.gameProfit < 0,
+      wasInferred: financials.guaranteeWasInferred || false
+    });
+
+    return { reason: financials.guaranteeWasInferred ? 'guarantee inferred from prizepoolPaid' : null };
+  }
+};
+
+const payoutStage = {
+  name: 'payouts',
+  label: 'Step 7b: Payout reconciliation',
+  run: async (ctx) => {
+    const { result, options, input } = ctx;
+    const game = ctx.game;
+
+    const notChecked = (status, reason) => {
+      game.payoutReconciliationStatus = status;
+      result.enrichmentMetadata.payoutReconciliation = { status, reason };
+      return { skipped: true, reason };
+    };
+
+    if (game.gameType !== 'TOURNAMENT' || game.gameStatus !== 'FINISHED') {
+      return notChecked(RECONCILIATION_STATUS.NOT_CHECKED, 'not a finished tournament');
+    }
+
+    const { payouts, qualifications } = extractPayouts(input.players?.allPlayers);
+
+    // Seats have no cash value in the results - the sum can't be checked
+    if (game.isSatellite || qualifications > 0) {
+      return notChecked(RECONCILIATION_STATUS.NOT_CHECKED, 'prizes paid in seats');
+    }
+    if (payouts.length === 0) {
+      return notChecked(RECONCILIATION_STATUS.NO_RESULTS, 'no cash results');
+    }
+
+    const reconciliation = reconcilePayouts(game, payouts);
+    if (reconciliation.expectedPrizepool <= 0) {
+      return notChecked(RECONCILIATION_STATUS.NOT_CHECKED, 'no expected prizepool');
+    }
+
+    const currencyLabel = game.currency || '$';
+    game.prizesPaidTotal = reconciliation.prizesPaidTotal;
+    game.placesPaid = reconciliation.placesPaid;
+    game.payoutReconciliationStatus = reconciliation.status;
+    game.payoutReconciliationDelta = reconciliation.delta;
+
+    const metadata = { ...reconciliation, templateUpdated: false };
+    result.enrichmentMetadata.payoutReconciliation = metadata;
+
+    if (reconciliation.status !== RECONCILIATION_STATUS.BALANCED) {
+      result.validation.warnings.push({
+        field: 'prizesPaidTotal',
+        message: `Prizes paid (${currencyLabel} ${reconciliation.prizesPaidTotal} over ${reconciliation.placesPaid} places) ${reconciliation.status === RECONCILIATION_STATUS.OVERPAID ? 'exceed' : 'fall short of'} the prizepool (${currencyLabel} ${reconciliation.expectedPrizepool} = contributions + overlay + added value) by ${currencyLabel} ${Math.abs(reconciliation.delta)}`,
+        code: 'PAYOUT_MISMATCH'
+      });
+    }
+
+    // Template comparison / detection (recurring games only)
+    if (!game.recurringGameId) {
+      return { reason: `${reconciliation.status}, no recurring game` };
+    }
+
+    let template = null;
+    try {
+      template = await loadPayoutTemplate(game.recurringGameId);
+    } catch (error) {
+      console.warn(`[ENRICHER] Could not load payout template for ${game.recurringGameId}: ${error.message}`);
+      return { reason: `${reconciliation.status}, template unavailable` };
+    }
+
+    const percentages = toPercentages(payouts);
+    const tier = template ? findTier(template.tiers, game.totalEntries) : null;
+    let conflictsWithTemplate = false;
+
+    // Only a tier covering this field size says how many places should pay;
+    // a nearer-but-different tier is recorded for reference only
+    if (tierCovers(tier, game.totalEntries)) {
+      const comparison = compareToTier(percentages, tier);
+      game.payoutTemplateId = template.id;
+      game.payoutTemplateDeviation = comparison.maxDeviation;
+      Object.assign(metadata, {
+        templateId: template.id,
+        templateSource: template.source,
+        templatePlacesPaid: tier.placesPaid,
+        templateDeviation: comparison.maxDeviation
+      });
+
+      if (!comparison.placesPaidMatches) {
+        conflictsWithTemplate = true;
+        result.validation.warnings.push({
+          field: 'placesPaid',
+          message: `${reconciliation.placesPaid} places paid; the payout template pays ${tier.placesPaid} for ${game.totalEntries} entries`,
+          code: 'PAYOUT_PLACES_MISMATCH'
         });
-        
-        // Apply inferred guarantee to game data
-        enrichedGame.hasGuarantee = true;
-        enrichedGame.guaranteeAmount = financials.guaranteeAmount;
-        
-        // Track in metadata
-        result.enrichmentMetadata.guaranteeWasInferred = true;
-        result.enrichmentMetadata.fieldsCompleted.push('hasGuarantee', 'guaranteeAmount');
-        
-        // Add warning so user knows this was inferred
+      } else if (comparison.deviatingPlaces.length > 0) {
         result.validation.warnings.push({
-          field: 'guaranteeAmount',
-          message: `Guarantee of $${financials.guaranteeAmount} inferred from prizepoolPaid ($${enrichedGame.prizepoolPaid}) exceeding player contributions ($${financials.prizepoolPlayerContributions}). Overlay cost: $${financials.guaranteeOverlayCost}`,
-          code: 'GUARANTEE_INFERRED'
+          field: 'placesPaid',
+          message: `Payout for place(s) ${comparison.deviatingPlaces.join(', ')} differs from the template by up to ${comparison.maxDeviation} percentage points`,
+          code: 'PAYOUT_TEMPLATE_DEVIATION'
         });
       }
-      
-      result.enrichmentMetadata.financialsCalculated = true;
-      
-      // Log financial summary
-      console.log('[ENRICHER] Financial summary:', {
-        hasGuarantee: enrichedGame.hasGuarantee,
-        guaranteeAmount: enrichedGame.guaranteeAmount,
-        prizepoolPlayerContributions: enrichedGame.prizepoolPlayerContributions,
-        prizepoolPaid: enrichedGame.prizepoolPaid,
-        guaranteeOverlayCost: enrichedGame.guaranteeOverlayCost,
-        rakeRevenue: enrichedGame.rakeRevenue,
-        gameProfit: enrichedGame.gameProfit,
-        isUnderwater: enrichedGame.gameProfit < 0,
-        wasInferred: financials.guaranteeWasInferred || false
-      });
-      
-    } else {
-      console.log('[ENRICHER] Step 7: Financial calculations SKIPPED');
+    } else if (tier) {
+      metadata.templateId = template.id;
+      metadata.templateSource = template.source;
     }
-    
-    // =========================================================
-    // 8. SAVE TO DATABASE (Optional)
-    // =========================================================
-    result.success = true;
-    result.enrichedGame = enrichedGame;
-    
-    if (options.saveToDatabase) {
-      console.log('[ENRICHER] Step 8: Saving to database via saveGameFunction');
-      
+
+    // Fold balanced results into the DETECTED template - once per game, only
+    // when the game is really being saved, and never when the places paid
+    // contradict the tier for this field size
+    const canLearn = reconciliation.status === RECONCILIATION_STATUS.BALANCED && !conflictsWithTemplate;
+    if (canLearn && options.saveToDatabase && !options.dryRun) {
       try {
-        const saveResult = await invokeSaveGameFunction({
-          source: {
-            type: source?.type || 'SCRAPE',
-            sourceId: source?.sourceId,
-            entityId,
-            wasEdited: source?.wasEdited || false
-          },
-          game: enrichedGame,
-          venue: {
-            venueId: enrichedGame.venueId,
-            venueName: result.enrichmentMetadata.venueResolution?.venueName,
-            confidence: result.enrichmentMetadata.venueResolution?.confidence
-          },
-          series: enrichedGame.isSeries ? {
-            tournamentSeriesId: enrichedGame.tournamentSeriesId,
-            seriesName: enrichedGame.seriesName
-          } : null,
-          players: players || null,
-          options: {
-            forceUpdate: options.forceUpdate || false
+        const existingGameId = game.existingGameId || game.id;
+        const existingGame = existingGameId ? await getItemById('Game', existingGameId) : null;
+
+        if (existingGame?.payoutReconciliationStatus === RECONCILIATION_STATUS.BALANCED) {
+          metadata.reason = 'results already counted in template';
+        } else {
+          const saved = await recordDetectedPayout(template, {
+            recurringGameId: game.recurringGameId,
+            entityId: ctx.entityId,
+            totalEntries: game.totalEntries,
+            percentages
+          });
+          if (saved) {
+            metadata.templateUpdated = true;
+            metadata.templateId = metadata.templateId || saved.id;
+            metadata.templateSource = metadata.templateSource || saved.source;
+            game.payoutTemplateId = game.payoutTemplateId || saved.id;
           }
+        }
+      } catch (error) {
+        console.warn(`[ENRICHER] Payout template update failed (non-fatal): ${error.message}`);
+      }
+    }
+
+    console.log(`[ENRICHER] Payouts: ${reconciliation.status} (${currencyLabel} ${reconciliation.prizesPaidTotal} paid vs ${currencyLabel} ${reconciliation.expectedPrizepool} expected, ${reconciliation.placesPaid} places)`);
+
+    return { reason: reconciliation.status };
+  }
+};
+
+const entryTimelineStage = {
+  name: 'entryTimeline',
+  label: 'Step 7c: Entry timeline',
+  run: async (ctx) => {
+    const { result, input } = ctx;
+    const game = ctx.game;
+
+    if (game.gameType !== 'TOURNAMENT') {
+      return { skipped: true, reason: 'not a tournament' };
+    }
+    if (['SCHEDULED', 'INITIATING', 'CANCELLED', 'NOT_FOUND', 'NOT_PUBLISHED'].includes(game.gameStatus) && !game.totalEntries) {
+      return { skipped: true, reason: 'no entries yet' };
+    }
+
+    // The stored timeline holds the earlier observations of this game
+    let previous = null;
+    try {
+      const existingGame = await getExistingGame(ctx);
+      previous = existingGame?.entryTimeline || null;
+      game.gameActualStartDateTime = game.gameActualStartDateTime || existingGame?.gameActualStartDateTime || null;
+    } catch (error) {
+      console.warn(`[ENRICHER] Could not load entry timeline: ${error.message}`);
+    }
+
+    const timeline = buildEntryTimeline(previous, game, {
+      observedAt: input.source?.fetchedAt,
+      breaks: game.breaks
+    });
+    const { summary } = timeline;
+
+    game.entryTimeline = JSON.stringify({ observations: timeline.observations, summary });
+    game.lastEntryLevel = summary.lastEntryLevel;
+    game.registrationClosedLevel = summary.registrationClosedLevel;
+    game.lateEntries = summary.lateEntries;
+    game.reEntryPrizepool = summary.reEntryPrizepool;
+    result.enrichmentMetadata.entryTimeline = {
+      ...summary,
+      observations: timeline.observations.length,
+      observationAdded: timeline.observationAdded,
+      levelsScheduled: timeline.schedule.length
+    };
+
+    console.log(`[ENRICHER] Entry timeline: ${summary.coverage}, ${timeline.observations.length} observations, last entry level ${summary.lastEntryLevel ?? '-'}, ${summary.reEntries} re-entries`);
+
+    return { reason: `${summary.coverage}, ${timeline.observationAdded ? 'observation added' : 'no change'}` };
+  }
+};
+
+const blindStructureStage = {
+  name: 'blindStructure',
+  label: 'Step 7d: Blind structure',
+  run: async (ctx) => {
+    const { result, options, entityId } = ctx;
+    const game = ctx.game;
+    const preview = options.dryRun || !options.saveToDatabase;
+
+    if (game.gameType !== 'TOURNAMENT') {
+      return { skipped: true, reason: 'not a tournament' };
+    }
+
+    try {
+      const existingGame = await getExistingGame(ctx);
+      const outcome = await recordGameStructure({
+        entityId,
+        game,
+        previousStructureId: existingGame?.blindStructureId || null,
+        preview
+      });
+      if (!outcome) {
+        return { skipped: true, reason: 'no structure (levels or starting stack missing)' };
+      }
+
+      const { structure } = outcome;
+      if (structure.id) {
+        game.blindStructureId = structure.id;
+      }
+
+      const metadata = {
+        structureId: structure.id || null,
+        fingerprint: outcome.fingerprint,
+        name: structure.name,
+        created: outcome.created,
+        linked: outcome.linked,
+        recurringStructureId: null,
+        recurringAssigned: false
+      };
+      result.enrichmentMetadata.blindStructure = metadata;
+
+      if (game.recurringGameId && structure.id) {
+        const recurring = await linkRecurringGame({
+          recurringGameId: game.recurringGameId,
+          structureId: structure.id,
+          preview
         });
-        
-        result.saveResult = saveResult;
-        
-        if (!saveResult.success) {
-          console.error('[ENRICHER] Save failed:', saveResult.message);
+        metadata.recurringStructureId = recurring.recurringStructureId;
+        metadata.recurringAssigned = recurring.assigned;
+
+        if (recurring.recurringStructureId && !recurring.matches) {
           result.validation.warnings.push({
-            field: '_save',
-            message: `Save failed: ${saveResult.message}`,
-            code: 'SAVE_FAILED'
+            field: 'levels',
+            message: `Blind structure "${structure.name}" differs from the recurring game's structure`,
+            code: 'STRUCTURE_CHANGED'
           });
-        } else {
-          console.log(`[ENRICHER] Save successful: ${saveResult.action} (gameId: ${saveResult.gameId})`);
-          
-          // Update instance with actual gameId now that the game is saved
-          // This is needed because instance was created during recurring resolution
-          // (Step 5) before the game had an ID
-          if (saveResult.gameId && result.enrichmentMetadata.recurringResolution?.instance?.instanceId) {
-            try {
-              const { updateInstanceGameId } = require('./resolution/instance-manager');
-              const instanceId = result.enrichmentMetadata.recurringResolution.instance.instanceId;
-              const updated = await updateInstanceGameId(instanceId, saveResult.gameId);
-              if (updated) {
-                console.log(`[ENRICHER] Updated instance ${instanceId} with gameId ${saveResult.gameId}`);
-                result.enrichmentMetadata.recurringResolution.instance.gameId = saveResult.gameId;
-              }
-            } catch (instanceUpdateError) {
-              console.warn('[ENRICHER] Failed to update instance gameId (non-fatal):', instanceUpdateError.message);
-            }
-          }
-          
-          // Also update the enrichedGame with the saved gameId for consistency
-          if (saveResult.gameId) {
-            enrichedGame.id = saveResult.gameId;
-            result.enrichedGame = enrichedGame;
-          }
         }
-        
-      } catch (saveError) {
-        console.error('[ENRICHER] Error invoking saveGameFunction:', saveError);
-        result.saveResult = {
-          success: false,
-          action: 'ERROR',
-          message: saveError.message
-        };
+      }
+
+      const action = outcome.created ? (preview ? 'new structure' : 'created') : 'matched';
+      return { reason: `${action} ${structure.name}` };
+    } catch (error) {
+      console.warn(`[ENRICHER] Blind structure linking failed (non-fatal): ${error.message}`);
+      return { reason: `error: ${error.message}` };
+    }
+  }
+};
+
+const saveStage = {
+  name: 'save',
+  label: 'Step 8: Save to database',
+  // Saving is decided per call (options.saveToDatabase / dryRun), never by
+  // entity config - a disabled save would drop every scrape silently
+  required: true,
+  run: async (ctx) => {
+    const { result, options, input, entityId } = ctx;
+    const enrichedGame = ctx.game;
+
+    if (options.dryRun || !options.saveToDatabase) {
+      const reason = options.dryRun ? 'dry_run' : 'preview';
+      console.log(`[ENRICHER] Save to database SKIPPED (${reason})`);
+      result.saveResult = null;
+      return { skipped: true, reason };
+    }
+
+    const source = input.source;
+
+    try {
+      const saveResult = await invokeSaveGameFunction({
+        source: {
+          type: source?.type || 'SCRAPE',
+          sourceId: source?.sourceId,
+          entityId,
+          wasEdited: source?.wasEdited || false
+        },
+        game: enrichedGame,
+        venue: {
+          venueId: enrichedGame.venueId,
+          venueName: result.enrichmentMetadata.venueResolution?.venueName,
+          confidence: result.enrichmentMetadata.venueResolution?.confidence
+        },
+        series: enrichedGame.isSeries ? {
+          tournamentSeriesId: enrichedGame.tournamentSeriesId,
+          seriesName: enrichedGame.seriesName
+        } : null,
+        players: input.players || null,
+        options: {
+          forceUpdate: options.forceUpdate || false
+        }
+      });
+
+      result.saveResult = saveResult;
+
+      if (!saveResult.success) {
+        console.error('[ENRICHER] Save failed:', saveResult.message);
         result.validation.warnings.push({
           field: '_save',
-          message: `Save error: ${saveError.message}`,
-          code: 'SAVE_ERROR'
+          message: `Save failed: ${saveResult.message}`,
+          code: 'SAVE_FAILED'
         });
+        return { reason: `save failed: ${saveResult.message}` };
       }
-    } else {
-      console.log('[ENRICHER] Step 8: Save to database SKIPPED (preview mode)');
-      result.saveResult = null;
+
+      console.log(`[ENRICHER] Save successful: ${saveResult.action} (gameId: ${saveResult.gameId})`);
+
+      // Update instance with actual gameId now that the game is saved
+      // This is needed because instance was created during recurring resolution
+      // (Step 5) before the game had an ID
+      if (saveResult.gameId && result.enrichmentMetadata.recurringResolution?.instance?.instanceId) {
+        try {
+          const { updateInstanceGameId } = require('./resolution/instance-manager');
+          const instanceId = result.enrichmentMetadata.recurringResolution.instance.instanceId;
+          const updated = await updateInstanceGameId(instanceId, saveResult.gameId);
+          if (updated) {
+            console.log(`[ENRICHER] Updated instance ${instanceId} with gameId ${saveResult.gameId}`);
+            result.enrichmentMetadata.recurringResolution.instance.gameId = saveResult.gameId;
+          }
+        } catch (instanceUpdateError) {
+          console.warn('[ENRICHER] Failed to update instance gameId (non-fatal):', instanceUpdateError.message);
+        }
+      }
+
+      // Same for a scheduled event matched during series resolution
+      const scheduledEventId = result.enrichmentMetadata.seriesResolution?.scheduledEventId;
+      if (saveResult.gameId && scheduledEventId) {
+        try {
+          const { updateScheduledEventGameId } = require('./resolution/series-schedule');
+          if (await updateScheduledEventGameId(scheduledEventId, saveResult.gameId)) {
+            console.log(`[ENRICHER] Updated scheduled event ${scheduledEventId} with gameId ${saveResult.gameId}`);
+          }
+        } catch (scheduleUpdateError) {
+          console.warn('[ENRICHER] Failed to update scheduled event gameId (non-fatal):', scheduleUpdateError.message);
+        }
+      }
+
+      // Also update the enrichedGame with the saved gameId for consistency
+      if (saveResult.gameId) {
+        enrichedGame.id = saveResult.gameId;
+      }
+
+      return { reason: saveResult.action };
+
+    } catch (saveError) {
+      console.error('[ENRICHER] Error invoking saveGameFunction:', saveError);
+      result.saveResult = {
+        success: false,
+        action: 'ERROR',
+        message: saveError.message
+      };
+      result.validation.warnings.push({
+        field: '_save',
+        message: `Save error: ${saveError.message}`,
+        code: 'SAVE_ERROR'
+      });
+      return { reason: `save error: ${saveError.message}` };
+    }
+  }
+};
+
+const reviewStage = {
+  name: 'review',
+  label: 'Step 9: Review queue',
+  run: async (ctx) => {
+    const { result, options } = ctx;
+    const gameId = result.saveResult?.success ? result.saveResult.gameId : null;
+
+    if (options.dryRun || !options.saveToDatabase) {
+      return { skipped: true, reason: options.dryRun ? 'dry_run' : 'preview' };
     }
-    
+    if (!gameId) {
+      return { skipped: true, reason: 'not_saved' };
+    }
+
+    try {
+      const summary = await queueDecisions({
+        entityId: ctx.entityId,
+        gameId,
+        game: ctx.game,
+        decisions: result.enrichmentMetadata.decisions
+      });
+      return { reason: `${summary.queued} queued, ${summary.refreshed} refreshed, ${summary.autoResolved} auto-resolved` };
+    } catch (error) {
+      console.warn('[ENRICHER] Review queue update failed (non-fatal):', error.message);
+      return { reason: `error: ${error.message}` };
+    }
+  }
+};
+
+/**
+ * The enrichment pipeline, in order. Stage names are what
+ * Entity.enrichmentStageConfig and options.enabledStages/disabledStages use.
+ */
+const ENRICHMENT_STAGES = [
+  validationStage,
+  completionStage,
+  classificationStage,
+  durationStage,
+  venueStage,
+  currencyStage,
+  holidayStage,
+  seriesStage,
+  satelliteStage,
+  recurringStage,
+  accumulatorStage,
+  regularFlagStage,
+  queryKeysStage,
+  financialsStage,
+  payoutStage,
+  entryTimelineStage,
+  blindStructureStage,
+  saveStage,
+  reviewStage
+];
+
+/**
+ * Load the entity's stage toggles (Entity.enrichmentStageConfig)
+ * A missing entity or read failure runs every stage.
+ */
+const loadEntityStageConfig = async (entityId) => {
+  if (!entityId) return {};
+
+  try {
+    const entity = await getItemById('Entity', entityId);
+    return parseStageConfig(entity?.enrichmentStageConfig);
+  } catch (error) {
+    console.warn(`[ENRICHER] Could not load stage config for entity ${entityId}: ${error.message}`);
+    return {};
+  }
+};
+
+// ===================================================================
+// MAIN ENRICHMENT FUNCTION
+// ===================================================================
+
+/**
+ * Enrich game data - the main entry point
+ *
+ * @param {Object} input - EnrichGameDataInput
+ * @param {Object} input.game - Game data to enrich
+ * @param {string} input.entityId - Entity ID (required)
+ * @param {Object} input.source - Source info (type, sourceId, wasEdited) for save
+ * @param {Object} input.venue - Venue input for resolution
+ * @param {Object} input.series - Series input for resolution
+ * @param {Object} input.players - Player data to pass to saveGameFunction
+ * @param {Object} input.options - Enrichment options
+ * @param {boolean} input.options.saveToDatabase - If true, invoke saveGameFunction after enrichment
+ * @param {boolean} input.options.skipSatelliteResolution - If true, skip satellite detection
+ * @param {Array} input.options.enabledStages - Stages to run even if the entity disables them
+ * @param {Array} input.options.disabledStages - Stages to skip for this call
+ * @param {boolean} input.options.dryRun - Run the pipeline with no writes (no save,
+ *        no series/recurring creation, no recurring instance tracking)
+ * @returns {Object} EnrichGameDataOutput (enrichmentMetadata.pipelineTrace has the
+ *          per-stage trace)
+ */
+const enrichGameData = async (input) => {
+  const startTime = Date.now();
+  const { game, entityId, options = {} } = input;
+
+  // Initialize result structure
+  const result = {
+    success: false,
+    validation: { isValid: false, errors: [], warnings: [] },
+    enrichedGame: null,
+    enrichmentMetadata: {
+      seriesResolution: null,
+      satelliteResolution: null,
+      recurringResolution: null,
+      venueResolution: null,
+      payoutReconciliation: null,
+      entryTimeline: null,
+      blindStructure: null,
+      queryKeysGenerated: false,
+      financialsCalculated: false,
+      guaranteeWasInferred: false,
+      durationCompleted: false,
+      endTimeCalculated: false,
+      fieldsCompleted: [],
+      decisions: [],
+      dryRun: options.dryRun === true,
+      pipelineTrace: [],
+      processingTimeMs: 0
+    },
+    saveResult: null  // Populated when options.saveToDatabase is true
+  };
+
+  const ctx = {
+    game,
+    entityId,
+    input,
+    options,
+    result,
+    trace: result.enrichmentMetadata.pipelineTrace
+  };
+
+  try {
+    const entityConfig = await loadEntityStageConfig(entityId);
+    const toggles = resolveStageToggles(ENRICHMENT_STAGES, entityConfig, options);
+
+    if (options.dryRun) {
+      console.log('[ENRICHER] DRY RUN - no records will be created or saved');
+    }
+
+    await runPipeline(ENRICHMENT_STAGES, ctx, toggles);
+
+    if (ctx.stop) {
+      result.enrichmentMetadata.processingTimeMs = Date.now() - startTime;
+      return result;
+    }
+
     // =========================================================
-    // 9. FINAL RESULT
+    // FINAL RESULT
     // =========================================================
-    console.log('[ENRICHER] Enrichment complete');
-    
+    result.success = true;
+    result.enrichedGame = ctx.game;
+
+    const stagesRun = ctx.trace.filter(entry => entry.status === STAGE_STATUS.RAN).map(entry => entry.stage);
+    console.log(`[ENRICHER] Enrichment complete (${stagesRun.length} stages: ${stagesRun.join(', ')})`);
+
     result.enrichmentMetadata.processingTimeMs = Date.now() - startTime;
-    
+
     return result;
-    
+
   } catch (error) {
     console.error('[ENRICHER] Error during enrichment:', error);
-    
+
     result.validation.errors.push({
       field: '_system',
       message: error.message,
       code: 'ENRICHMENT_ERROR'
     });
     result.enrichmentMetadata.processingTimeMs = Date.now() - startTime;
-    
+
     return result;
   }
 };
@@ -741,5 +1431,6 @@ const invokeSaveGameFunction = async (saveInput) => {
 module.exports = {
   enrichGameData,
   invokeSaveGameFunction,
-  deriveClassificationFields
+  deriveClassificationFields,
+  ENRICHMENT_STAGES
 };
\ No newline at end of file
@@ -1,6 +1,16 @@
 /**
  * gameDataEnricher Lambda - index.js
  * 
+ * VERSION 3.5.0 - Blind structure library (backfillBlindStructures)
+ * 
+ * VERSION 3.4.0 - Resolution review queue (resolveResolutionReviews)
+ * 
+ * VERSION 3.3.0 - Holiday calendar (getHolidayCalendar)
+ * 
+ * VERSION 3.2.0 - Satellite seat ledger (getSatelliteLedger, reconcileSatelliteSeats)
+ * 
+ * VERSION 3.1.0 - Series schedule operations (importSeriesSchedule, getSeriesScheduleCoverage)
+ * 
  * VERSION 3.0.1 - Fixed direct Lambda invocation support
  * CHANGE: When invoked directly with {input: ...} and no fieldName, defaults to enrichGameData
  * 
@@ -14,6 +24,11 @@
  *                     cleanupOrphanedRecurringGames, reResolveRecurringAssignment, reResolveRecurringAssignmentsForVenue)
  * - Instance tracking (detectRecurringGameGaps, reconcileRecurringInstances, recordMissedInstance, 
  *                      updateInstanceStatus, getVenueComplianceReport, getWeekInstances, listInstancesNeedingReview)
+ * - Series schedule (importSeriesSchedule, getSeriesScheduleCoverage)
+ * - Satellite seat ledger (getSatelliteLedger, reconcileSatelliteSeats)
+ * - Holiday calendar (getHolidayCalendar)
+ * - Resolution review queue (resolveResolutionReviews)
+ * - Blind structure library (backfillBlindStructures)
  * 
  * Location: amplify/backend/function/gameDataEnricher/src/index.js
  */
@@ -51,6 +66,27 @@ const {
     listInstancesNeedingReview,
 } = require('./resolution/instance-manager');
 
+// Series schedule operations
+const {
+    importSeriesSchedule,
+    getSeriesScheduleCoverage,
+} = require('./resolution/series-schedule');
+
+// Satellite seat ledger operations
+const {
+    getSatelliteLedger,
+    reconcileSatelliteSeats,
+} = require('./resolution/satellite-ledger');
+
+// Holiday calendar operations
+const { getHolidayCalendar } = require('./resolution/holiday-calendar');
+
+// Resolution review queue operations
+const { resolveResolutionReviews } = require('./resolution/review-queue');
+
+// Blind structure library operations
+const { backfillBlindStructures } = require('./resolution/blind-structure-library');
+
 /**
  * Main Lambda handler
  */
@@ -192,6 +228,64 @@ exports.handler = async (event, context) => {
                     reviewInput.nextToken
                 );
             
+            // ================================================================
+            // SERIES SCHEDULE OPERATIONS
+            // ================================================================
+            case 'importSeriesSchedule':
+                const scheduleInput = args.input || args;
+                return await importSeriesSchedule({
+                    tournamentSeriesId: scheduleInput.tournamentSeriesId,
+                    format: scheduleInput.format,
+                    data: scheduleInput.data,
+                    preview: scheduleInput.preview !== false
+                });
+            
+            case 'getSeriesScheduleCoverage':
+                return await getSeriesScheduleCoverage(args.tournamentSeriesId);
+            
+            // ================================================================
+            // SATELLITE SEAT LEDGER
+            // ================================================================
+            case 'getSatelliteLedger':
+                return await getSatelliteLedger(args.tournamentSeriesId);
+            
+            case 'reconcileSatelliteSeats':
+                const ledgerInput = args.input || args;
+                return await reconcileSatelliteSeats({
+                    tournamentSeriesId: ledgerInput.tournamentSeriesId,
+                    preview: ledgerInput.preview !== false
+                });
+            
+            // ================================================================
+            // HOLIDAY CALENDAR
+            // ================================================================
+            case 'getHolidayCalendar':
+                return await getHolidayCalendar({
+                    entityId: args.entityId,
+                    year: args.year,
+                    region: args.region
+                });
+            
+            // ================================================================
+            // RESOLUTION REVIEW QUEUE
+            // ================================================================
+            case 'resolveResolutionReviews':
+                return await resolveResolutionReviews(
+                    args.input || args,
+                    event.identity?.username || 'system'
+                );
+            
+            // ================================================================
+            // BLIND STRUCTURE LIBRARY
+            // ================================================================
+            case 'backfillBlindStructures':
+                const structureInput = args.input || args;
+                return await backfillBlindStructures({
+                    entityId: structureInput.entityId,
+                    preview: structureInput.preview !== false,
+                    limit: structureInput.limit || undefined
+                });
+            
             // ================================================================
             // UNKNOWN OPERATION
             // ================================================================
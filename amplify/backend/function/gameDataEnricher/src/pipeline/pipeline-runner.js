@@ -0,0 +1,219 @@
+/**
+ * pipeline-runner.js
+ * Runs the enricher's named stages in order with per-entity / per-call
+ * toggles, and records a step-by-step trace
+ *
+ * STAGES:
+ * Each stage is { name, label, required?, legacyOption?, run(ctx), onDisabled?(ctx, reason) }
+ * - run() mutates ctx.game / ctx.result and may return { skipped, reason }
+ *   (skipped = stage didn't apply to this game, e.g. series on a cash game)
+ * - required stages can't be turned off (validation, isRegular finalization,
+ *   save - which only writes when options.saveToDatabase is set)
+ * - legacyOption is the old options.skipXxx flag that still disables the stage
+ *
+ * TOGGLES (later wins):
+ * 1. All stages on
+ * 2. Entity.enrichmentStageConfig - JSON map { "<stage>": false }
+ * 3. Legacy options (skipSeriesResolution, skipFinancials, ...)
+ * 4. options.enabledStages
+ * 5. options.disabledStages
+ *
+ * TRACE:
+ * One entry per stage - status (RAN / SKIPPED / DISABLED / FAILED / STOPPED),
+ * why, how long it took and every game field it changed (before -> after)
+ */
+
+const STAGE_STATUS = {
+  RAN: 'RAN',
+  SKIPPED: 'SKIPPED',     // Stage didn't apply to this game
+  DISABLED: 'DISABLED',   // Turned off by entity config or call options
+  FAILED: 'FAILED',
+  STOPPED: 'STOPPED'      // An earlier stage ended the pipeline
+};
+
+// Trace values longer than this are cut (levels JSON etc.)
+const MAX_TRACE_VALUE_LENGTH = 200;
+
+// ===================================================================
+// TOGGLES
+// ===================================================================
+
+/**
+ * Parse Entity.enrichmentStageConfig (AWSJSON string or object)
+ *
+ * @param {string|Object|null} rawConfig
+ * @returns {Object} Map of stage name -> boolean
+ */
+const parseStageConfig = (rawConfig) => {
+  if (!rawConfig) return {};
+
+  let config = rawConfig;
+  if (typeof rawConfig === 'string') {
+    try {
+      config = JSON.parse(rawConfig);
+    } catch (error) {
+      console.warn(`[PIPELINE] Invalid enrichmentStageConfig JSON: ${error.message}`);
+      return {};
+    }
+  }
+
+  if (typeof config !== 'object' || Array.isArray(config)) return {};
+  return config;
+};
+
+/**
+ * Work out which stages run for this call
+ *
+ * @param {Array} stages - Stage definitions
+ * @param {Object} entityConfig - Parsed Entity.enrichmentStageConfig
+ * @param {Object} options - EnrichmentOptionsInput
+ * @returns {Object} Map of stage name -> { enabled, source }
+ */
+const resolveStageToggles = (stages, entityConfig = {}, options = {}) => {
+  const toggles = {};
+  const enabledStages = options.enabledStages || [];
+  const disabledStages = options.disabledStages || [];
+
+  for (const stage of stages) {
+    let toggle = { enabled: true, source: 'default' };
+
+    if (entityConfig[stage.name] === false) {
+      toggle = { enabled: false, source: 'entity_disabled' };
+    }
+    if (stage.legacyOption && options[stage.legacyOption]) {
+      toggle = { enabled: false, source: 'option_disabled' };
+    }
+    if (enabledStages.includes(stage.name)) {
+      toggle = { enabled: true, source: 'call_enabled' };
+    }
+    if (disabledStages.includes(stage.name)) {
+      toggle = { enabled: false, source: 'call_disabled' };
+    }
+
+    if (stage.required && !toggle.enabled) {
+      console.warn(`[PIPELINE] Stage "${stage.name}" is required - ignoring ${toggle.source}`);
+      toggle = { enabled: true, source: 'required' };
+    }
+
+    toggles[stage.name] = toggle;
+  }
+
+  const unknown = [...enabledStages, ...disabledStages, ...Object.keys(entityConfig)]
+    .filter(name => !stages.some(stage => stage.name === name));
+  if (unknown.length > 0) {
+    console.warn(`[PIPELINE] Ignoring unknown stages: ${[...new Set(unknown)].join(', ')}`);
+  }
+
+  return toggles;
+};
+
+// ===================================================================
+// TRACE
+// ===================================================================
+
+const formatTraceValue = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_TRACE_VALUE_LENGTH
+    ? `${text.substring(0, MAX_TRACE_VALUE_LENGTH)}...`
+    : text;
+};
+
+/**
+ * List the fields that differ between two snapshots of the game
+ *
+ * @returns {Array} [{ field, before, after }] with values as strings
+ */
+const diffFields = (before, after) => {
+  const changes = [];
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    const oldValue = before?.[field];
+    const newValue = after?.[field];
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+    changes.push({
+      field,
+      before: formatTraceValue(oldValue),
+      after: formatTraceValue(newValue)
+    });
+  }
+
+  return changes;
+};
+
+// ===================================================================
+// RUNNER
+// ===================================================================
+
+/**
+ * Run stages in order against a shared context
+ *
+ * ctx.game is the game being enriched; a stage sets ctx.stop = true to end
+ * the pipeline (e.g. validation failed). Trace entries are appended to
+ * ctx.trace as stages finish, so a stage that throws still leaves the
+ * trace up to and including itself.
+ *
+ * @param {Array} stages - Stage definitions
+ * @param {Object} ctx - { game, result, input, options, entityId, trace, ... }
+ * @param {Object} toggles - From resolveStageToggles
+ * @returns {Array} Trace entries
+ */
+const runPipeline = async (stages, ctx, toggles) => {
+  if (!ctx.trace) ctx.trace = [];
+  const trace = ctx.trace;
+
+  for (const stage of stages) {
+    const toggle = toggles[stage.name] || { enabled: true, source: 'default' };
+
+    if (ctx.stop) {
+      trace.push({ stage: stage.name, label: stage.label, status: STAGE_STATUS.STOPPED, reason: ctx.stopReason || null, durationMs: 0, changes: [] });
+      continue;
+    }
+
+    if (!toggle.enabled) {
+      console.log(`[ENRICHER] ${stage.label} DISABLED (${toggle.source})`);
+      if (stage.onDisabled) stage.onDisabled(ctx, toggle.source);
+      trace.push({ stage: stage.name, label: stage.label, status: STAGE_STATUS.DISABLED, reason: toggle.source, durationMs: 0, changes: [] });
+      continue;
+    }
+
+    console.log(`[ENRICHER] ${stage.label}`);
+    const before = { ...ctx.game };
+    const stageStart = Date.now();
+
+    try {
+      const outcome = (await stage.run(ctx)) || {};
+
+      trace.push({
+        stage: stage.name,
+        label: stage.label,
+        status: outcome.skipped ? STAGE_STATUS.SKIPPED : STAGE_STATUS.RAN,
+        reason: outcome.reason || null,
+        durationMs: Date.now() - stageStart,
+        changes: diffFields(before, ctx.game)
+      });
+    } catch (error) {
+      trace.push({
+        stage: stage.name,
+        label: stage.label,
+        status: STAGE_STATUS.FAILED,
+        reason: error.message,
+        durationMs: Date.now() - stageStart,
+        changes: diffFields(before, ctx.game)
+      });
+      throw error;
+    }
+  }
+
+  return trace;
+};
+
+module.exports = {
+  STAGE_STATUS,
+  parseStageConfig,
+  resolveStageToggles,
+  diffFields,
+  runPipeline
+};
@@ -0,0 +1,310 @@
+/**
+ * blind-structure-library.js
+ * The entity's library of blind structures (BlindStructure)
+ *
+ * Every scraped tournament's levels are fingerprinted (computation/blind-structure.js)
+ * and linked to the library entry with that fingerprint, creating it on first
+ * sight. Game.blindStructureId + the byBlindStructure index answer "which
+ * structure did we run last month and how long did it go".
+ *
+ * A recurring game's structure (RecurringGame.blindStructureId) is set the
+ * first time one of its games is linked, or picked from the library by an
+ * admin. Games that then run a different structure get a warning rather
+ * than silently moving the recurring game over.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const {
+  getDocClient,
+  getTableName,
+  getItemById,
+  queryByIndex,
+  createItem,
+  updateItem
+} = require('../utils/db-client');
+const {
+  normalizeLevels,
+  normalizeBreaks,
+  fingerprintStructure,
+  computeStructureMetrics,
+  describeStructure
+} = require('../computation/blind-structure');
+
+const STRUCTURE_SOURCE = {
+  DETECTED: 'DETECTED',
+  MANUAL: 'MANUAL'
+};
+
+// Fewer levels than this is a partial scrape, not a structure
+const MIN_LEVELS = 3;
+
+// Games linked per backfill call (the admin page calls again for the rest)
+const DEFAULT_BACKFILL_LIMIT = 500;
+
+// ===================================================================
+// HELPERS
+// ===================================================================
+
+/**
+ * The game's structure, normalized - null when too little was scraped
+ */
+const buildStructure = (game) => {
+  const levels = normalizeLevels(game.levels);
+  if (levels.length < MIN_LEVELS || !(game.startingStack > 0)) return null;
+
+  return {
+    startingStack: game.startingStack,
+    levels,
+    breaks: normalizeBreaks(game.breaks)
+  };
+};
+
+const metricFields = (structure) => {
+  const metrics = computeStructureMetrics(structure);
+  return {
+    ...metrics,
+    estimatedDurations: JSON.stringify(metrics.estimatedDurations)
+  };
+};
+
+const earlier = (a, b) => (!a ? b : !b ? a : (a < b ? a : b));
+const later = (a, b) => (!a ? b : !b ? a : (a > b ? a : b));
+
+/**
+ * Library entry with this fingerprint, if any
+ */
+const findStructureByFingerprint = async (entityId, fingerprint) => {
+  const items = await queryByIndex(
+    'BlindStructure',
+    'byEntityBlindStructure',
+    'entityId = :entityId AND fingerprint = :fingerprint',
+    { ':entityId': entityId, ':fingerprint': fingerprint }
+  );
+  return items.find(item => !item._deleted) || null;
+};
+
+// ===================================================================
+// LINKING
+// ===================================================================
+
+/**
+ * Find or create the library entry for a game's structure and count the
+ * game against it
+ *
+ * @param {Object} params
+ * @param {string} params.entityId
+ * @param {Object} params.game - levels, breaks, startingStack, gameStartDateTime, recurringGameId
+ * @param {string|null} params.previousStructureId - What the stored game was linked to
+ * @param {boolean} params.preview - Look up only, no writes
+ * @param {Map} params.cache - fingerprint -> entry, for runs that link many
+ *        games (the index lags just-created entries)
+ * @returns {Promise<Object|null>} { structure, fingerprint, created, linked }, null
+ *          when the game has no usable structure
+ */
+const recordGameStructure = async ({ entityId, game, previousStructureId = null, preview = false, cache = null }) => {
+  const structure = buildStructure(game);
+  if (!entityId || !structure) return null;
+
+  const fingerprint = fingerprintStructure(structure);
+  const existing = cache?.get(fingerprint) || await findStructureByFingerprint(entityId, fingerprint);
+  const playedAt = game.gameStartDateTime || null;
+  const recurringGameId = game.recurringGameId || null;
+
+  if (preview) {
+    return {
+      structure: existing || { fingerprint, name: describeStructure(structure) },
+      fingerprint,
+      created: !existing,
+      linked: false
+    };
+  }
+
+  if (!existing) {
+    const created = await createItem('BlindStructure', {
+      id: uuidv4(),
+      entityId,
+      fingerprint,
+      name: describeStructure(structure),
+      source: STRUCTURE_SOURCE.DETECTED,
+      startingStack: structure.startingStack,
+      levels: JSON.stringify(structure.levels),
+      breaks: JSON.stringify(structure.breaks),
+      ...metricFields(structure),
+      recurringGameIds: recurringGameId ? [recurringGameId] : [],
+      gamesPlayed: 1,
+      firstPlayedAt: playedAt,
+      lastPlayedAt: playedAt
+    });
+    console.log(`[STRUCTURES] Created ${created.id} "${created.name}" (${fingerprint})`);
+    cache?.set(fingerprint, created);
+    await releaseStructure(previousStructureId);
+    return { structure: created, fingerprint, created: true, linked: true };
+  }
+
+  const linked = previousStructureId !== existing.id;
+  const updates = {};
+
+  if (linked) {
+    updates.gamesPlayed = (existing.gamesPlayed || 0) + 1;
+    updates.firstPlayedAt = earlier(existing.firstPlayedAt, playedAt);
+    updates.lastPlayedAt = later(existing.lastPlayedAt, playedAt);
+  }
+  if (recurringGameId && !(existing.recurringGameIds || []).includes(recurringGameId)) {
+    updates.recurringGameIds = [...(existing.recurringGameIds || []), recurringGameId];
+  }
+  // Older entries may come from scrapes without breaks - fill them in once seen
+  if (structure.breaks.length > 0 && normalizeBreaks(existing.breaks).length === 0) {
+    updates.breaks = JSON.stringify(structure.breaks);
+    Object.assign(updates, metricFields(structure));
+  }
+
+  let saved = existing;
+  if (Object.keys(updates).length > 0) {
+    saved = await updateItem('BlindStructure', existing.id, {
+      ...updates,
+      _version: (existing._version || 1) + 1
+    });
+  }
+  if (linked) {
+    await releaseStructure(previousStructureId);
+  }
+
+  const merged = { ...existing, ...saved };
+  cache?.set(fingerprint, merged);
+  return { structure: merged, fingerprint, created: false, linked };
+};
+
+/**
+ * Uncount a game from the structure it used to be linked to
+ */
+const releaseStructure = async (structureId) => {
+  if (!structureId) return;
+
+  try {
+    const previous = await getItemById('BlindStructure', structureId);
+    if (!previous || !(previous.gamesPlayed > 0)) return;
+    await updateItem('BlindStructure', structureId, {
+      gamesPlayed: previous.gamesPlayed - 1,
+      _version: (previous._version || 1) + 1
+    });
+  } catch (error) {
+    console.warn(`[STRUCTURES] Could not update previous structure ${structureId}: ${error.message}`);
+  }
+};
+
+/**
+ * Give a recurring game its structure when it doesn't have one yet
+ *
+ * @returns {Promise<Object>} { recurringStructureId, assigned, matches }
+ */
+const linkRecurringGame = async ({ recurringGameId, structureId, preview = false }) => {
+  const recurringGame = await getItemById('RecurringGame', recurringGameId);
+  if (!recurringGame) {
+    return { recurringStructureId: null, assigned: false, matches: false };
+  }
+
+  const current = recurringGame.blindStructureId || null;
+  if (current || preview || !structureId) {
+    return { recurringStructureId: current, assigned: false, matches: current === structureId };
+  }
+
+  await updateItem('RecurringGame', recurringGameId, {
+    blindStructureId: structureId,
+    _version: (recurringGame._version || 1) + 1
+  });
+  return { recurringStructureId: structureId, assigned: true, matches: true };
+};
+
+// ===================================================================
+// BACKFILL
+// ===================================================================
+
+/**
+ * Link an entity's stored tournaments that have no structure yet, oldest
+ * first so first/last played dates come out right
+ *
+ * @param {Object} input
+ * @param {string} input.entityId
+ * @param {boolean} input.preview - Count only (default true)
+ * @param {number} input.limit - Games to link this call
+ * @returns {Promise<Object>} BackfillBlindStructuresResult
+ */
+const backfillBlindStructures = async ({ entityId, preview = true, limit = DEFAULT_BACKFILL_LIMIT }) => {
+  if (!entityId) throw new Error('entityId is required');
+
+  const docClient = getDocClient();
+  const result = {
+    success: true,
+    preview,
+    scanned: 0,
+    linked: 0,
+    structuresCreated: 0,
+    skipped: 0,
+    hasMore: false
+  };
+  const fingerprintsSeen = new Set();
+  const cache = new Map();
+  let lastEvaluatedKey;
+
+  do {
+    const page = await docClient.send(new QueryCommand({
+      TableName: getTableName('Game'),
+      IndexName: 'byEntityGame',
+      KeyConditionExpression: 'entityId = :entityId',
+      FilterExpression: 'attribute_not_exists(blindStructureId) AND gameType = :tournament',
+      ExpressionAttributeValues: { ':entityId': entityId, ':tournament': 'TOURNAMENT' },
+      ScanIndexForward: true,
+      ExclusiveStartKey: lastEvaluatedKey
+    }));
+    lastEvaluatedKey = page.LastEvaluatedKey;
+
+    for (const game of page.Items || []) {
+      if (game._deleted) continue;
+      if (result.linked >= limit) {
+        result.hasMore = true;
+        break;
+      }
+      result.scanned++;
+
+      const outcome = await recordGameStructure({ entityId, game, preview, cache });
+      if (!outcome) {
+        result.skipped++;
+        continue;
+      }
+
+      if (preview) {
+        if (outcome.created && !fingerprintsSeen.has(outcome.fingerprint)) {
+          result.structuresCreated++;
+        }
+        fingerprintsSeen.add(outcome.fingerprint);
+        result.linked++;
+        continue;
+      }
+
+      await updateItem('Game', game.id, {
+        blindStructureId: outcome.structure.id,
+        _version: (game._version || 1) + 1
+      });
+      if (outcome.created) result.structuresCreated++;
+      result.linked++;
+
+      if (game.recurringGameId) {
+        await linkRecurringGame({ recurringGameId: game.recurringGameId, structureId: outcome.structure.id });
+      }
+    }
+  } while (lastEvaluatedKey && !result.hasMore);
+
+  console.log(`[STRUCTURES] Backfill ${preview ? 'preview' : 'run'} for ${entityId}: ${result.linked} linked, ${result.structuresCreated} new structures, ${result.skipped} skipped`);
+  return result;
+};
+
+module.exports = {
+  STRUCTURE_SOURCE,
+  MIN_LEVELS,
+  buildStructure,
+  findStructureByFingerprint,
+  recordGameStructure,
+  linkRecurringGame,
+  backfillBlindStructures
+};
@@ -0,0 +1,96 @@
+/**
+ * currency-resolver.js
+ * Currency resolution for games
+ *
+ * Every amount on a game (buy-in, rake, prizepools, fees) is in one currency.
+ * Resolution order:
+ * 1. Currency the scraper parsed from the page (A$, NZ$, £, ISO codes, ...)
+ * 2. Venue.currency
+ * 3. Entity.currency
+ * 4. DEFAULT_CURRENCY (AUD)
+ *
+ * Amounts are never converted here - refreshAllMetrics converts to the
+ * reporting currency using the CurrencyRate table.
+ */
+
+const { getItemById } = require('../utils/db-client');
+const { validateVenueExists } = require('./venue-resolver');
+
+const DEFAULT_CURRENCY = 'AUD';
+
+const CURRENCY_SOURCE = {
+  GAME: 'GAME',
+  VENUE: 'VENUE',
+  ENTITY: 'ENTITY',
+  DEFAULT: 'DEFAULT'
+};
+
+// Entity currency rarely changes - cache for the life of the container
+const ENTITY_CACHE_TTL_MS = 5 * 60 * 1000;
+const entityCurrencyCache = new Map();
+
+/**
+ * Normalize to an ISO 4217 code (3 letters, upper case)
+ *
+ * @returns {string|null} null when not a valid code
+ */
+const normalizeCurrency = (code) => {
+  if (!code || typeof code !== 'string') return null;
+  const normalized = code.trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(normalized) ? normalized : null;
+};
+
+const getEntityCurrency = async (entityId) => {
+  if (!entityId) return null;
+
+  const cached = entityCurrencyCache.get(entityId);
+  if (cached && Date.now() - cached.loadedAt < ENTITY_CACHE_TTL_MS) {
+    return cached.currency;
+  }
+
+  try {
+    const entity = await getItemById('Entity', entityId);
+    const currency = normalizeCurrency(entity?.currency);
+    entityCurrencyCache.set(entityId, { currency, loadedAt: Date.now() });
+    return currency;
+  } catch (error) {
+    console.warn(`[CURRENCY] Could not load entity ${entityId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Resolve the currency a game's amounts are in
+ *
+ * @param {Object} game - Game data (after venue resolution)
+ * @param {string} entityId - Entity ID
+ * @returns {Object} { currency, source }
+ */
+const resolveCurrency = async (game, entityId) => {
+  const parsed = normalizeCurrency(game?.currency);
+  if (parsed) {
+    return { currency: parsed, source: CURRENCY_SOURCE.GAME };
+  }
+
+  if (game?.venueId) {
+    const venue = await validateVenueExists(game.venueId);
+    const venueCurrency = normalizeCurrency(venue?.currency);
+    if (venueCurrency) {
+      return { currency: venueCurrency, source: CURRENCY_SOURCE.VENUE };
+    }
+  }
+
+  const entityCurrency = await getEntityCurrency(entityId);
+  if (entityCurrency) {
+    return { currency: entityCurrency, source: CURRENCY_SOURCE.ENTITY };
+  }
+
+  return { currency: DEFAULT_CURRENCY, source: CURRENCY_SOURCE.DEFAULT };
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCY_SOURCE,
+  normalizeCurrency,
+  resolveCurrency
+};
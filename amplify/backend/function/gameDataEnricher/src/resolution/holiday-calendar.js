@@ -0,0 +1,743 @@
+/**
+ * holiday-calendar.js
+ * Entity holiday calendar: which days are holidays, where, and in which years
+ *
+ * Replaces the fixed month/window table in utils/constants.js (HOLIDAY_PATTERNS)
+ * with date rules worked out per year:
+ *
+ *   FIXED_DATE     Anzac Day          month 4, day 25
+ *   NTH_WEEKDAY    Melbourne Cup      1st Tuesday (weekday 2) of month 11
+ *   LAST_WEEKDAY   King's Birthday WA last Monday of month 9
+ *   EASTER_OFFSET  Good Friday        Easter Sunday - 2 days
+ *   ONE_OFF        one-off holidays   a single date
+ *
+ * DEFAULT_HOLIDAY_CALENDAR holds the Australian days. An entity's
+ * HolidayCalendarEntry rows are merged over it: a row with the same code and
+ * regions replaces that default (empty fields keep the default's value),
+ * isActive=false switches it off, and any other code is added.
+ *
+ * REGIONS: a rule with regions only applies there; one without applies
+ * everywhere. When several rules share a code (Labour Day is in March, May or
+ * October depending on the state) the rule naming the venue's region wins
+ * over the one without regions. With no venue region only rules without
+ * regions are used.
+ *
+ * publicHolidayRegions says where the day is a public holiday - ['ALL'] for
+ * wherever the rule applies, ['VIC'] for Melbourne Cup. Public holidays that
+ * fall on a weekend (observedOnWeekday) also give the following weekday off,
+ * moving past any day already taken (Christmas on a Saturday -> Monday, Boxing
+ * Day -> Tuesday).
+ *
+ * Used by:
+ * - series-resolver: holiday series detection and naming ("Easter Series 2026")
+ * - instance-manager: expected dates on a public holiday aren't missed instances
+ * - enricher holiday stage: Game.holidayName for the HOLIDAY metrics segment
+ *
+ * Operations:
+ * - getHolidayCalendar (one year's dates for an entity / region)
+ */
+
+const { queryByIndex } = require('../utils/db-client');
+const { HOLIDAY_PATTERNS } = require('../utils/constants');
+const { toAEST, parseDate, formatDate, addDays } = require('../utils/date-utils');
+const { validateVenueExists } = require('./venue-resolver');
+
+const DATE_RULE = {
+  FIXED_DATE: 'FIXED_DATE',
+  NTH_WEEKDAY: 'NTH_WEEKDAY',
+  LAST_WEEKDAY: 'LAST_WEEKDAY',
+  EASTER_OFFSET: 'EASTER_OFFSET',
+  ONE_OFF: 'ONE_OFF'
+};
+
+const ALL_REGIONS = 'ALL';
+
+const AU_REGION_NAMES = {
+  'NEW SOUTH WALES': 'NSW',
+  'VICTORIA': 'VIC',
+  'QUEENSLAND': 'QLD',
+  'WESTERN AUSTRALIA': 'WA',
+  'SOUTH AUSTRALIA': 'SA',
+  'TASMANIA': 'TAS',
+  'AUSTRALIAN CAPITAL TERRITORY': 'ACT',
+  'NORTHERN TERRITORY': 'NT'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendars change rarely - cache per entity for the life of the container
+const CALENDAR_CACHE_TTL_MS = 5 * 60 * 1000;
+const calendarCache = new Map();
+
+// Worked-out dates per calendar, keyed by `${year}|${region}`
+const occurrenceCache = new WeakMap();
+
+// ===================================================================
+// DEFAULT CALENDAR
+// ===================================================================
+
+// Name matching for the defaults comes from the original HOLIDAY_PATTERNS
+// table so existing series keep matching the same game names
+const legacyMatchers = (legacyName) => {
+  const legacy = HOLIDAY_PATTERNS.find(h => h.name === legacyName);
+  return {
+    namePatterns: legacy?.namePatterns || [],
+    aliases: legacy?.aliases || []
+  };
+};
+
+const NO_MATCHERS = { namePatterns: [], aliases: [] };
+
+/**
+ * Default Australian calendar. Order matters for name matching - the first
+ * rule whose patterns match a game name wins (same order as HOLIDAY_PATTERNS).
+ * seriesName is what generated series are called, and must stay in line with
+ * the names series have been created under.
+ */
+const DEFAULT_HOLIDAY_CALENDAR = [
+  {
+    code: 'NEW_YEARS_DAY', name: "New Year's Day", seriesName: 'New Years', holidayType: 'NEW_YEAR',
+    dateRule: DATE_RULE.FIXED_DATE, month: 1, day: 1, observedOnWeekday: true,
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 3, ...legacyMatchers('New Years')
+  },
+  {
+    code: 'AUSTRALIA_DAY', name: 'Australia Day', seriesName: 'Australia Day', holidayType: 'AUSTRALIA_DAY',
+    dateRule: DATE_RULE.FIXED_DATE, month: 1, day: 26, observedOnWeekday: true,
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 4, ...legacyMatchers('Australia Day')
+  },
+  {
+    code: 'VALENTINES_DAY', name: "Valentine's Day", seriesName: 'Valentines Day', holidayType: 'OTHER',
+    dateRule: DATE_RULE.FIXED_DATE, month: 2, day: 14,
+    windowDays: 3, ...legacyMatchers('Valentines Day')
+  },
+  {
+    code: 'ST_PATRICKS_DAY', name: "St Patrick's Day", seriesName: 'St Patricks Day', holidayType: 'OTHER',
+    dateRule: DATE_RULE.FIXED_DATE, month: 3, day: 17,
+    windowDays: 3, ...legacyMatchers('St Patricks Day')
+  },
+  {
+    code: 'GOOD_FRIDAY', name: 'Good Friday', seriesName: 'Easter', holidayType: 'EASTER',
+    dateRule: DATE_RULE.EASTER_OFFSET, offsetDays: -2,
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 3, ...NO_MATCHERS
+  },
+  {
+    code: 'EASTER_SUNDAY', name: 'Easter Sunday', seriesName: 'Easter', holidayType: 'EASTER',
+    dateRule: DATE_RULE.EASTER_OFFSET, offsetDays: 0,
+    publicHolidayRegions: ['NSW', 'VIC', 'QLD', 'WA', 'ACT'], windowDays: 14, ...legacyMatchers('Easter')
+  },
+  {
+    code: 'EASTER_MONDAY', name: 'Easter Monday', seriesName: 'Easter', holidayType: 'EASTER',
+    dateRule: DATE_RULE.EASTER_OFFSET, offsetDays: 1,
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 3, ...NO_MATCHERS
+  },
+  {
+    code: 'ANZAC_DAY', name: 'Anzac Day', seriesName: 'Anzac Day', holidayType: 'ANZAC_DAY',
+    dateRule: DATE_RULE.FIXED_DATE, month: 4, day: 25,
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 5, ...legacyMatchers('Anzac Day')
+  },
+  {
+    code: 'MOTHERS_DAY', name: "Mother's Day", seriesName: 'Mothers Day', holidayType: 'OTHER',
+    dateRule: DATE_RULE.NTH_WEEKDAY, month: 5, weekday: 0, nth: 2,
+    windowDays: 7, ...legacyMatchers('Mothers Day')
+  },
+  {
+    code: 'KINGS_BIRTHDAY', name: "King's Birthday", seriesName: 'Kings Birthday', holidayType: 'KINGS_BIRTHDAY',
+    dateRule: DATE_RULE.NTH_WEEKDAY, month: 6, weekday: 1, nth: 2,
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 7, ...legacyMatchers('Kings Birthday')
+  },
+  {
+    code: 'KINGS_BIRTHDAY', name: "King's Birthday", seriesName: 'Kings Birthday', holidayType: 'KINGS_BIRTHDAY',
+    dateRule: DATE_RULE.NTH_WEEKDAY, month: 10, weekday: 1, nth: 1, regions: ['QLD'],
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 7, ...legacyMatchers('Kings Birthday')
+  },
+  {
+    code: 'KINGS_BIRTHDAY', name: "King's Birthday", seriesName: 'Kings Birthday', holidayType: 'KINGS_BIRTHDAY',
+    dateRule: DATE_RULE.LAST_WEEKDAY, month: 9, weekday: 1, regions: ['WA'],
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 7, ...legacyMatchers('Kings Birthday')
+  },
+  {
+    code: 'FATHERS_DAY', name: "Father's Day", seriesName: 'Fathers Day', holidayType: 'OTHER',
+    dateRule: DATE_RULE.NTH_WEEKDAY, month: 9, weekday: 0, nth: 1,
+    windowDays: 7, ...legacyMatchers('Fathers Day')
+  },
+  {
+    code: 'LABOUR_DAY', name: 'Labour Day', seriesName: 'Labour Day', holidayType: 'LABOUR_DAY',
+    dateRule: DATE_RULE.NTH_WEEKDAY, month: 10, weekday: 1, nth: 1,
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 7, ...legacyMatchers('Labour Day')
+  },
+  {
+    code: 'LABOUR_DAY', name: 'Labour Day', seriesName: 'Labour Day', holidayType: 'LABOUR_DAY',
+    dateRule: DATE_RULE.NTH_WEEKDAY, month: 3, weekday: 1, nth: 2, regions: ['VIC', 'TAS'],
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 7, ...legacyMatchers('Labour Day')
+  },
+  {
+    code: 'LABOUR_DAY', name: 'Labour Day', seriesName: 'Labour Day', holidayType: 'LABOUR_DAY',
+    dateRule: DATE_RULE.NTH_WEEKDAY, month: 3, weekday: 1, nth: 1, regions: ['WA'],
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 7, ...legacyMatchers('Labour Day')
+  },
+  {
+    code: 'LABOUR_DAY', name: 'Labour Day', seriesName: 'Labour Day', holidayType: 'LABOUR_DAY',
+    dateRule: DATE_RULE.NTH_WEEKDAY, month: 5, weekday: 1, nth: 1, regions: ['QLD', 'NT'],
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 7, ...legacyMatchers('Labour Day')
+  },
+  {
+    code: 'HALLOWEEN', name: 'Halloween', seriesName: 'Halloween', holidayType: 'OTHER',
+    dateRule: DATE_RULE.FIXED_DATE, month: 10, day: 31,
+    windowDays: 5, ...legacyMatchers('Halloween')
+  },
+  {
+    code: 'MELBOURNE_CUP', name: 'Melbourne Cup', seriesName: 'Melbourne Cup', holidayType: 'MELBOURNE_CUP',
+    dateRule: DATE_RULE.NTH_WEEKDAY, month: 11, weekday: 2, nth: 1,
+    publicHolidayRegions: ['VIC'], windowDays: 5, ...legacyMatchers('Melbourne Cup')
+  },
+  {
+    code: 'CHRISTMAS_DAY', name: 'Christmas Day', seriesName: 'Christmas', holidayType: 'CHRISTMAS',
+    dateRule: DATE_RULE.FIXED_DATE, month: 12, day: 25, observedOnWeekday: true,
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 7, ...legacyMatchers('Christmas')
+  },
+  {
+    code: 'BOXING_DAY', name: 'Boxing Day', seriesName: 'Christmas', holidayType: 'BOXING_DAY',
+    dateRule: DATE_RULE.FIXED_DATE, month: 12, day: 26, observedOnWeekday: true,
+    publicHolidayRegions: [ALL_REGIONS], windowDays: 2, ...NO_MATCHERS
+  },
+  {
+    code: 'NEW_YEARS_EVE', name: "New Year's Eve", seriesName: 'New Years Eve', holidayType: 'NEW_YEAR',
+    dateRule: DATE_RULE.FIXED_DATE, month: 12, day: 31,
+    windowDays: 2, ...legacyMatchers('New Years Eve')
+  }
+];
+
+// ===================================================================
+// NORMALIZATION
+// ===================================================================
+
+/**
+ * Normalize a state/territory to its code ("Victoria" -> VIC)
+ *
+ * @returns {string|null}
+ */
+const normalizeRegion = (region) => {
+  if (!region || typeof region !== 'string') return null;
+  const upper = region.trim().toUpperCase();
+  if (!upper) return null;
+  return AU_REGION_NAMES[upper] || upper;
+};
+
+const normalizeRegionList = (regions) =>
+  [...new Set((regions || []).map(normalizeRegion).filter(Boolean))].sort();
+
+const ruleKey = (entry) => `${entry.code}|${normalizeRegionList(entry.regions).join(',')}`;
+
+// Patterns from HolidayCalendarEntry rows are strings; bad ones are dropped
+const compilePatterns = (patterns) => (patterns || [])
+  .map(pattern => {
+    if (pattern instanceof RegExp) return pattern;
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      console.warn(`[HOLIDAY] Ignoring invalid name pattern "${pattern}": ${error.message}`);
+      return null;
+    }
+  })
+  .filter(Boolean);
+
+const normalizeEntry = (entry, isCustom = false) => ({
+  ...entry,
+  code: String(entry.code).trim().toUpperCase(),
+  seriesName: entry.seriesName || entry.name,
+  regions: normalizeRegionList(entry.regions),
+  publicHolidayRegions: (entry.publicHolidayRegions || []).map(normalizeRegion).filter(Boolean),
+  windowDays: entry.windowDays ?? 0,
+  namePatterns: compilePatterns(entry.namePatterns),
+  aliases: entry.aliases || [],
+  isActive: entry.isActive !== false,
+  isCustom
+});
+
+/**
+ * Merge an entity's rows over the defaults
+ *
+ * @param {Array} rows - HolidayCalendarEntry records
+ * @returns {Array} Normalized rules (inactive ones included)
+ */
+const mergeCalendar = (rows = []) => {
+  const entries = DEFAULT_HOLIDAY_CALENDAR.map(entry => normalizeEntry(entry));
+  const indexByKey = new Map(entries.map((entry, i) => [ruleKey(entry), i]));
+
+  for (const row of rows) {
+    if (!row || row._deleted || !row.code || !row.dateRule) continue;
+
+    // Unset fields on an override keep the default's value
+    const defined = Object.fromEntries(
+      Object.entries(row).filter(([, value]) => value !== null && value !== undefined)
+    );
+    const key = ruleKey(row);
+    const existing = indexByKey.get(key);
+
+    if (existing !== undefined) {
+      const base = DEFAULT_HOLIDAY_CALENDAR[existing];
+      entries[existing] = normalizeEntry({ ...base, ...defined, entryId: row.id }, true);
+    } else {
+      indexByKey.set(key, entries.length);
+      entries.push(normalizeEntry({ ...defined, entryId: row.id }, true));
+    }
+  }
+
+  return entries;
+};
+
+// ===================================================================
+// DATE RULES
+// ===================================================================
+
+/**
+ * Easter Sunday (anonymous Gregorian algorithm)
+ *
+ * @returns {Date} UTC midnight
+ */
+const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Work out a rule's date in a year
+ *
+ * @returns {Date|null} UTC midnight, or null when the rule doesn't fall in the year
+ */
+const getRuleDate = (entry, year) => {
+  switch (entry.dateRule) {
+    case DATE_RULE.FIXED_DATE: {
+      if (!entry.month || !entry.day) return null;
+      const date = new Date(Date.UTC(year, entry.month - 1, entry.day));
+      return date.getUTCMonth() === entry.month - 1 ? date : null;
+    }
+
+    case DATE_RULE.NTH_WEEKDAY: {
+      if (!entry.month || entry.weekday === null || entry.weekday === undefined || !entry.nth) return null;
+      const first = new Date(Date.UTC(year, entry.month - 1, 1));
+      const offset = (entry.weekday - first.getUTCDay() + 7) % 7;
+      const date = addDays(first, offset + (entry.nth - 1) * 7);
+      return date.getUTCMonth() === entry.month - 1 ? date : null;
+    }
+
+    case DATE_RULE.LAST_WEEKDAY: {
+      if (!entry.month || entry.weekday === null || entry.weekday === undefined) return null;
+      const last = new Date(Date.UTC(year, entry.month, 0));
+      return addDays(last, -((last.getUTCDay() - entry.weekday + 7) % 7));
+    }
+
+    case DATE_RULE.EASTER_OFFSET:
+      return addDays(getEasterSunday(year), entry.offsetDays || 0);
+
+    case DATE_RULE.ONE_OFF: {
+      const date = entry.date ? parseDate(entry.date) : null;
+      return date && !isNaN(date.getTime()) && date.getUTCFullYear() === year ? date : null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+// ===================================================================
+// REGION RESOLUTION
+// ===================================================================
+
+/**
+ * Rules in effect for a region: per code, the rules naming the region,
+ * otherwise the rules without regions
+ *
+ * @param {Object} calendar - From loadHolidayCalendar
+ * @param {string|null} region - Normalized region, or null
+ * @returns {Array}
+ */
+const getRulesForRegion = (calendar, region) => {
+  const byCode = new Map();
+  for (const entry of calendar.entries) {
+    if (!entry.isActive) continue;
+    if (!byCode.has(entry.code)) byCode.set(entry.code, []);
+    byCode.get(entry.code).push(entry);
+  }
+
+  const rules = [];
+  for (const entries of byCode.values()) {
+    const regional = region ? entries.filter(e => e.regions.includes(region)) : [];
+    rules.push(...(regional.length > 0 ? regional : entries.filter(e => e.regions.length === 0)));
+  }
+  return rules;
+};
+
+const isPublicIn = (entry, region) => {
+  const publicRegions = entry.publicHolidayRegions;
+  if (publicRegions.includes(ALL_REGIONS)) return true;
+  return region ? publicRegions.includes(region) : false;
+};
+
+// ===================================================================
+// OCCURRENCES
+// ===================================================================
+
+/**
+ * One year's holiday dates
+ *
+ * With a region, only the rules in effect there (see getRulesForRegion) and
+ * isPublicHoliday is for that region. Without one, every active rule and
+ * isPublicHoliday is true when the day is a public holiday anywhere.
+ *
+ * @param {Object} calendar - From loadHolidayCalendar
+ * @param {number} year
+ * @param {string} region - State/territory (optional)
+ * @returns {Array} Occurrences sorted by date
+ */
+const getHolidayOccurrences = (calendar, year, region = null) => {
+  const normalizedRegion = normalizeRegion(region);
+  const cacheKey = `${year}|${normalizedRegion || ''}`;
+
+  let cachedByYear = occurrenceCache.get(calendar);
+  if (!cachedByYear) {
+    cachedByYear = new Map();
+    occurrenceCache.set(calendar, cachedByYear);
+  }
+  if (cachedByYear.has(cacheKey)) return cachedByYear.get(cacheKey);
+
+  const rules = normalizedRegion
+    ? getRulesForRegion(calendar, normalizedRegion)
+    : calendar.entries.filter(entry => entry.isActive);
+
+  const occurrences = [];
+  for (const entry of rules) {
+    const date = getRuleDate(entry, year);
+    if (!date) continue;
+
+    occurrences.push({
+      code: entry.code,
+      name: entry.name,
+      seriesName: entry.seriesName,
+      holidayType: entry.holidayType || null,
+      dateRule: entry.dateRule,
+      date: formatDate(date),
+      observedDate: formatDate(date),
+      regions: entry.regions,
+      isPublicHoliday: normalizedRegion
+        ? isPublicIn(entry, normalizedRegion)
+        : entry.publicHolidayRegions.length > 0,
+      publicHolidayRegions: entry.publicHolidayRegions,
+      isCustom: entry.isCustom,
+      entryId: entry.entryId || null,
+      windowDays: entry.windowDays,
+      _observedOnWeekday: !!entry.observedOnWeekday,
+      _dateObj: date
+    });
+  }
+  occurrences.sort((a, b) => a._dateObj - b._dateObj);
+
+  // Weekend public holidays move to the next weekday nobody else has taken
+  const isWeekend = (date) => date.getUTCDay() === 0 || date.getUTCDay() === 6;
+  const taken = new Set(
+    occurrences
+      .filter(o => o.isPublicHoliday && !isWeekend(o._dateObj))
+      .map(o => o.date)
+  );
+  for (const occurrence of occurrences) {
+    if (!occurrence.isPublicHoliday || !occurrence._observedOnWeekday || !isWeekend(occurrence._dateObj)) continue;
+
+    let observed = occurrence._dateObj;
+    while (isWeekend(observed) || taken.has(formatDate(observed))) {
+      observed = addDays(observed, 1);
+    }
+    occurrence.observedDate = formatDate(observed);
+    taken.add(occurrence.observedDate);
+  }
+
+  const result = occurrences.map(({ _observedOnWeekday, _dateObj, ...occurrence }) => occurrence);
+  cachedByYear.set(cacheKey, result);
+  return result;
+};
+
+/**
+ * Holiday on a date (the day itself or its observed weekday)
+ *
+ * @param {Object} calendar - From loadHolidayCalendar
+ * @param {string} isoDate - YYYY-MM-DD (AEST)
+ * @param {string} region - Venue state/territory (optional)
+ * @param {Object} options
+ * @param {boolean} options.publicOnly - Only public holidays in the region
+ * @returns {Object|null} Occurrence, public holidays first
+ */
+const findHolidayOnDate = (calendar, isoDate, region = null, { publicOnly = false } = {}) => {
+  if (!calendar || !isoDate) return null;
+
+  const year = parseInt(isoDate.slice(0, 4), 10);
+  if (isNaN(year)) return null;
+
+  // No venue region: rules without regions, public only where public everywhere
+  const normalizedRegion = normalizeRegion(region);
+  const matches = getHolidayOccurrences(calendar, year, normalizedRegion || ALL_REGIONS)
+    .filter(o => o.date === isoDate || o.observedDate === isoDate)
+    .filter(o => !publicOnly || o.isPublicHoliday);
+
+  return matches.find(o => o.isPublicHoliday) || matches[0] || null;
+};
+
+// ===================================================================
+// DETECTION (same result shape as detectHoliday in utils/constants.js)
+// ===================================================================
+
+const toIsoDateAEST = (dateValue) => {
+  if (!dateValue) return null;
+  if (typeof dateValue === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateValue)) return dateValue;
+  return toAEST(dateValue)?.isoDate || null;
+};
+
+/**
+ * Holiday named in a game name - first rule whose patterns match
+ *
+ * @returns {object|null} { name, confidence, matchType, ... } - name is the series name
+ */
+const detectHolidayNameFromCalendar = (calendar, gameName) => {
+  if (!calendar || !gameName) return null;
+
+  const lowerName = gameName.toLowerCase();
+
+  for (const entry of calendar.entries) {
+    if (!entry.isActive) continue;
+
+    const pattern = entry.namePatterns.find(p => p.test(gameName));
+    if (pattern) {
+      return {
+        name: entry.seriesName,
+        confidence: 0.95,
+        matchType: 'NAME_PATTERN',
+        matchedPattern: pattern.toString(),
+        holidayCode: entry.code,
+        holidayType: entry.holidayType || null
+      };
+    }
+
+    const alias = entry.aliases.find(a => lowerName.includes(a.toLowerCase()));
+    if (alias) {
+      return {
+        name: entry.seriesName,
+        confidence: 0.90,
+        matchType: 'NAME_ALIAS',
+        matchedAlias: alias,
+        holidayCode: entry.code,
+        holidayType: entry.holidayType || null
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Closest holiday whose window covers a date
+ *
+ * @returns {object|null} { name, confidence, matchType, daysFromHoliday, ... }
+ */
+const detectHolidayDateFromCalendar = (calendar, dateValue, region = null) => {
+  const isoDate = toIsoDateAEST(dateValue);
+  if (!calendar || !isoDate) return null;
+
+  const target = parseDate(isoDate);
+  const year = target.getUTCFullYear();
+  const normalizedRegion = normalizeRegion(region);
+
+  let best = null;
+  // Adjacent years so New Year's windows reach across 31 December
+  for (const y of [year - 1, year, year + 1]) {
+    for (const occurrence of getHolidayOccurrences(calendar, y, normalizedRegion || ALL_REGIONS)) {
+      const diff = Math.min(
+        Math.abs(Math.round((target - parseDate(occurrence.date)) / DAY_MS)),
+        Math.abs(Math.round((target - parseDate(occurrence.observedDate)) / DAY_MS))
+      );
+      if (diff > occurrence.windowDays) continue;
+      if (best && diff >= best.diff) continue;
+      best = { occurrence, diff };
+    }
+  }
+
+  if (!best) return null;
+
+  const { occurrence, diff } = best;
+  return {
+    name: occurrence.seriesName,
+    confidence: occurrence.windowDays > 0
+      ? Math.max(0.7, 1 - (diff / (occurrence.windowDays * 2)))
+      : 1,
+    matchType: 'DATE_PROXIMITY',
+    daysFromHoliday: diff,
+    holidayCode: occurrence.code,
+    holidayName: occurrence.name,
+    holidayType: occurrence.holidayType,
+    isPublicHoliday: occurrence.isPublicHoliday
+  };
+};
+
+/**
+ * Combined name + date detection against an entity calendar
+ *
+ * @param {Object} calendar - From loadHolidayCalendar
+ * @param {string} gameName
+ * @param {Date|string} dateValue - Game start (converted to AEST) or YYYY-MM-DD
+ * @param {string} region - Venue state/territory (optional)
+ * @returns {object|null} { name, confidence, matchType, nameMatch, dateMatch, holidayType }
+ */
+const detectHolidayFromCalendar = (calendar, gameName, dateValue, region = null) => {
+  const nameMatch = detectHolidayNameFromCalendar(calendar, gameName);
+  const dateMatch = detectHolidayDateFromCalendar(calendar, dateValue, region);
+
+  if (nameMatch && dateMatch && nameMatch.name === dateMatch.name) {
+    return {
+      name: nameMatch.name,
+      confidence: Math.min(1.0, nameMatch.confidence + 0.1),
+      matchType: 'NAME_AND_DATE',
+      holidayType: dateMatch.holidayType || nameMatch.holidayType,
+      nameMatch,
+      dateMatch
+    };
+  }
+
+  if (nameMatch) {
+    return { ...nameMatch, dateMatch: dateMatch || null };
+  }
+
+  if (dateMatch) {
+    return { ...dateMatch, nameMatch: null };
+  }
+
+  return null;
+};
+
+// ===================================================================
+// LOADING
+// ===================================================================
+
+/**
+ * Entity calendar (defaults merged with HolidayCalendarEntry rows)
+ *
+ * Falls back to the defaults when the rows can't be read.
+ *
+ * @param {string} entityId - Entity ID (optional)
+ * @returns {Object} { entityId, entries }
+ */
+const loadHolidayCalendar = async (entityId) => {
+  if (!entityId) return { entityId: null, entries: mergeCalendar() };
+
+  const cached = calendarCache.get(entityId);
+  if (cached && Date.now() - cached.loadedAt < CALENDAR_CACHE_TTL_MS) {
+    return cached.calendar;
+  }
+
+  let rows = [];
+  try {
+    rows = await queryByIndex(
+      'HolidayCalendarEntry',
+      'byEntityHolidayCalendar',
+      'entityId = :entityId',
+      { ':entityId': entityId }
+    );
+  } catch (error) {
+    console.warn(`[HOLIDAY] Could not load holiday calendar for entity ${entityId}: ${error.message}`);
+    return { entityId, entries: mergeCalendar() };
+  }
+
+  const calendar = { entityId, entries: mergeCalendar(rows) };
+  calendarCache.set(entityId, { calendar, loadedAt: Date.now() });
+  return calendar;
+};
+
+/**
+ * Calendar plus the venue's region - what detection needs for one game
+ *
+ * @param {string} entityId - Entity ID (optional)
+ * @param {string} venueId - Venue ID (optional)
+ * @returns {Object} { calendar, region }
+ */
+const loadHolidayContext = async (entityId, venueId) => {
+  const [calendar, venue] = await Promise.all([
+    loadHolidayCalendar(entityId),
+    venueId ? validateVenueExists(venueId) : null
+  ]);
+  return { calendar, region: normalizeRegion(venue?.region) };
+};
+
+// ===================================================================
+// OPERATIONS
+// ===================================================================
+
+/**
+ * getHolidayCalendar query
+ *
+ * @param {Object} input - { entityId, year, region }
+ * @returns {Object} HolidayCalendarResult
+ */
+const getHolidayCalendar = async ({ entityId, year, region = null }) => {
+  const normalizedRegion = normalizeRegion(region);
+
+  if (!entityId || !year) {
+    return {
+      success: false,
+      entityId: entityId || '',
+      year: year || 0,
+      region: normalizedRegion,
+      occurrences: [],
+      error: 'entityId and year are required'
+    };
+  }
+
+  try {
+    // Admin view - show edits straight away rather than after the cache expires
+    calendarCache.delete(entityId);
+    const calendar = await loadHolidayCalendar(entityId);
+    const occurrences = getHolidayOccurrences(calendar, year, normalizedRegion)
+      .map(({ windowDays, ...occurrence }) => occurrence);
+
+    return {
+      success: true,
+      entityId,
+      year,
+      region: normalizedRegion,
+      occurrences,
+      error: null
+    };
+  } catch (error) {
+    console.error('[HOLIDAY] getHolidayCalendar failed:', error);
+    return {
+      success: false,
+      entityId,
+      year,
+      region: normalizedRegion,
+      occurrences: [],
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  DATE_RULE,
+  DEFAULT_HOLIDAY_CALENDAR,
+  normalizeRegion,
+  getEasterSunday,
+  getRuleDate,
+  getHolidayOccurrences,
+  findHolidayOnDate,
+  detectHolidayFromCalendar,
+  loadHolidayCalendar,
+  loadHolidayContext,
+  getHolidayCalendar
+};
@@ -4,6 +4,8 @@
  * Instance tracking operations for recurring game compliance.
  * Manages RecurringGameInstance records for schedule compliance tracking.
  * 
+ * VERSION 2.1.0 - Gap detection skips public holidays in the venue's region
+ *                 (entity holiday calendar, holiday-calendar.js)
  * VERSION 2.0.0 - Enhanced with frequency-aware date calculations
  * 
  * Operations:
@@ -23,6 +25,7 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { getDocClient, getTableName, QueryCommand, PutCommand, UpdateCommand, ScanCommand, GetCommand } = require('../utils/db-client');
+const { loadHolidayCalendar, findHolidayOnDate, normalizeRegion } = require('./holiday-calendar');
 
 // Import enhanced date utilities (optional - gracefully degrade if not available)
 let calculateExpectedDatesEnhanced = null;
@@ -219,6 +222,10 @@ function extractDate(dateTimeStr) {
 /**
  * Detect gaps in recurring game instances
  * Finds dates where a recurring game was expected but no instance exists
+ * 
+ * An expected date with no game that's a public holiday in the venue's region
+ * (Venue.region + the entity holiday calendar) isn't a gap - it's counted in
+ * holidaysSkipped and, with createInstances, recorded as SKIPPED.
  */
 async function detectRecurringGameGaps(venueId, startDate, endDate, createInstances = false) {
     console.log(`[detectRecurringGameGaps] Starting for venue ${venueId}, range ${startDate} to ${endDate}`);
@@ -230,16 +237,20 @@ async function detectRecurringGameGaps(venueId, startDate, endDate, createInstan
     const venueTable = getTableName('Venue');
     
     try {
-        // Get venue name
+        // Get venue name, plus entity and region for the holiday calendar
         let venueName = null;
+        let venueEntityId = null;
+        let venueRegion = null;
         try {
             const venueResult = await docClient.send(new GetCommand({
                 TableName: venueTable,
                 Key: { id: venueId },
-                ProjectionExpression: '#n',
-                ExpressionAttributeNames: { '#n': 'name' },
+                ProjectionExpression: '#n, entityId, #r',
+                ExpressionAttributeNames: { '#n': 'name', '#r': 'region' },
             }));
             venueName = venueResult.Item?.name;
+            venueEntityId = venueResult.Item?.entityId || null;
+            venueRegion = normalizeRegion(venueResult.Item?.region);
         } catch (e) {
             console.warn('[detectRecurringGameGaps] Could not fetch venue name:', e.message);
         }
@@ -271,11 +282,13 @@ async function detectRecurringGameGaps(venueId, startDate, endDate, createInstan
                 confirmedOccurrences: 0,
                 gapsFound: 0,
                 gaps: [],
+                holidaysSkipped: 0,
                 instancesCreated: createInstances ? 0 : undefined,
             };
         }
         
         const gaps = [];
+        let holidaysSkipped = 0;
         let instancesCreated = 0;
         let totalExpectedOccurrences = 0;
         let confirmedOccurrences = 0;
@@ -290,6 +303,8 @@ async function detectRecurringGameGaps(venueId, startDate, endDate, createInstan
             const expectedDates = getExpectedDates(rg, startDate, endDate);
             totalExpectedOccurrences += expectedDates.length;
             
+            const holidayCalendar = await loadHolidayCalendar(rg.entityId || venueEntityId);
+            
             for (const expectedDate of expectedDates) {
                 const weekKey = getWeekKey(expectedDate);
                 
@@ -346,6 +361,40 @@ async function detectRecurringGameGaps(venueId, startDate, endDate, createInstan
                     }
                 }
                 
+                // No game on a public holiday - the venue was expected to skip it
+                const holiday = matchedGame
+                    ? null
+                    : findHolidayOnDate(holidayCalendar, expectedDate, venueRegion, { publicOnly: true });
+                
+                if (holiday) {
+                    holidaysSkipped++;
+                    
+                    if (createInstances) {
+                        await docClient.send(new PutCommand({
+                            TableName: instanceTable,
+                            Item: {
+                                id: uuidv4(),
+                                recurringGameId: rg.id,
+                                recurringGameName: rg.displayName || rg.name,
+                                expectedDate,
+                                dayOfWeek: rg.dayOfWeek,
+                                weekKey,
+                                venueId,
+                                entityId: rg.entityId,
+                                status: 'SKIPPED',
+                                holidayName: holiday.name,
+                                cancellationReason: `Public holiday: ${holiday.name}`,
+                                needsReview: false,
+                                createdAt: new Date().toISOString(),
+                                updatedAt: new Date().toISOString(),
+                                __typename: 'RecurringGameInstance',
+                            },
+                        }));
+                        instancesCreated++;
+                    }
+                    continue;
+                }
+                
                 gaps.push({
                     recurringGameId: rg.id,
                     recurringGameName: rg.displayName || rg.name,
@@ -395,7 +444,7 @@ async function detectRecurringGameGaps(venueId, startDate, endDate, createInstan
             }
         }
         
-        console.log(`[detectRecurringGameGaps] Found ${gaps.length} gaps, created ${instancesCreated} instances`);
+        console.log(`[detectRecurringGameGaps] Found ${gaps.length} gaps (${holidaysSkipped} public holidays skipped), created ${instancesCreated} instances`);
         
         return {
             success: true,
@@ -409,6 +458,7 @@ async function detectRecurringGameGaps(venueId, startDate, endDate, createInstan
             confirmedOccurrences,
             gapsFound: gaps.length,
             gaps,
+            holidaysSkipped,
             instancesCreated: createInstances ? instancesCreated : undefined,
         };
     } catch (error) {
@@ -425,6 +475,7 @@ async function detectRecurringGameGaps(venueId, startDate, endDate, createInstan
             confirmedOccurrences: 0,
             gapsFound: 0,
             gaps: [],
+            holidaysSkipped: 0,
         };
     }
 }
@@ -0,0 +1,95 @@
+/**
+ * payout-template-resolver.js
+ * PayoutTemplate lookup and detection for recurring games
+ *
+ * A recurring game has at most one template in use:
+ * 1. MANUAL template (admin-entered) - compared against, never modified
+ * 2. DETECTED template - built from this game's balanced results
+ *
+ * Only BALANCED result sets are folded into a DETECTED template, so
+ * misreported payouts never become the expected structure.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { queryByIndex, createItem, updateItem } = require('../utils/db-client');
+const { parseTiers, mergeObservation } = require('../computation/payouts');
+
+const TEMPLATE_SOURCE = {
+  DETECTED: 'DETECTED',
+  MANUAL: 'MANUAL'
+};
+
+/**
+ * Load the template in use for a recurring game (MANUAL preferred)
+ *
+ * @param {string} recurringGameId
+ * @returns {Promise<Object|null>} Template with parsed tiers, or null
+ */
+const loadPayoutTemplate = async (recurringGameId) => {
+  if (!recurringGameId) return null;
+
+  const items = await queryByIndex(
+    'PayoutTemplate',
+    'byRecurringGamePayoutTemplate',
+    'recurringGameId = :recurringGameId',
+    { ':recurringGameId': recurringGameId }
+  );
+
+  const templates = items.filter(item => !item._deleted);
+  const template = templates.find(t => t.source === TEMPLATE_SOURCE.MANUAL) ||
+    templates.find(t => t.source === TEMPLATE_SOURCE.DETECTED) ||
+    null;
+
+  if (!template) return null;
+  return { ...template, tiers: parseTiers(template.tiers) };
+};
+
+/**
+ * Fold a balanced result set into the recurring game's DETECTED template,
+ * creating the template on first sight. MANUAL templates are left alone.
+ *
+ * @param {Object|null} template - From loadPayoutTemplate
+ * @param {Object} params
+ * @param {string} params.recurringGameId
+ * @param {string} params.entityId
+ * @param {number} params.totalEntries
+ * @param {Array<number>} params.percentages - From toPercentages
+ * @returns {Promise<Object|null>} Saved template, or null when not updated
+ */
+const recordDetectedPayout = async (template, { recurringGameId, entityId, totalEntries, percentages }) => {
+  if (!recurringGameId || !totalEntries || percentages.length === 0) return null;
+  if (template?.source === TEMPLATE_SOURCE.MANUAL) return null;
+
+  const observation = { totalEntries, percentages };
+  const now = new Date().toISOString();
+
+  if (!template) {
+    const tiers = mergeObservation([], observation);
+    const created = await createItem('PayoutTemplate', {
+      id: uuidv4(),
+      recurringGameId,
+      entityId,
+      source: TEMPLATE_SOURCE.DETECTED,
+      tiers: JSON.stringify(tiers),
+      sampleSize: 1,
+      lastDetectedAt: now
+    });
+    console.log(`[PAYOUTS] Created DETECTED template ${created.id} for recurring game ${recurringGameId} (${percentages.length} places)`);
+    return { ...created, tiers };
+  }
+
+  const tiers = mergeObservation(template.tiers, observation);
+  const updated = await updateItem('PayoutTemplate', template.id, {
+    tiers: JSON.stringify(tiers),
+    sampleSize: (template.sampleSize || 0) + 1,
+    lastDetectedAt: now,
+    _version: (template._version || 1) + 1
+  });
+  return { ...updated, tiers };
+};
+
+module.exports = {
+  TEMPLATE_SOURCE,
+  loadPayoutTemplate,
+  recordDetectedPayout
+};
@@ -2,7 +2,17 @@
  * recurring-resolver.js
  * REFACTORED: More forgiving matching logic for recurring game resolution
  * 
- * UPDATED: v2.1.0
+ * UPDATED: v2.3.0
+ * - resolveRecurringAssignment takes assignedRecurringGameId: a sticky review
+ *   rule (resolution/review-queue.js) already picked the recurring game, so
+ *   matching is skipped and the game is MANUALLY_ASSIGNED to it
+ * 
+ * v2.2.0
+ * - resolveRecurringAssignment takes recordMatch (default true); false skips
+ *   the instance creation and template stats update on a match, so the
+ *   enricher's dry run has no side effects
+ * 
+ * v2.1.0
  * - Added PATTERN_DETECTION thresholds for structural similarity in pattern detection
  * - Enhanced findSimilarUnassignedGames to check buy-in and time similarity
  * - Aligns single-game processing with bulk-recurring-processor clustering logic
@@ -33,7 +43,7 @@
 
 const { v4: uuidv4 } = require('uuid');
 const stringSimilarity = require('string-similarity');
-const { getDocClient, getTableName, QueryCommand, PutCommand, ScanCommand } = require('../utils/db-client');
+const { getDocClient, getTableName, QueryCommand, GetCommand, PutCommand, ScanCommand } = require('../utils/db-client');
 const { DAYS_OF_WEEK, VALIDATION_THRESHOLDS } = require('../utils/constants');
 const { 
     normalizeGameName: sharedNormalizeGameName,
@@ -1216,6 +1226,99 @@ const findBestMatch = (game, candidates, sessionMode) => {
     };
 };
 
+// ===================================================================
+// MATCH APPLICATION
+// ===================================================================
+
+/**
+ * Assign a game to a matched recurring game: inherit template fields, record
+ * the CONFIRMED instance and update the template's evolving stats
+ * 
+ * @param {Object} params
+ * @param {Object} params.game - The game being resolved
+ * @param {Object} params.match - The RecurringGame record
+ * @param {string} params.status - RecurringGameAssignmentStatus for the game
+ * @param {number} params.confidence - 0-1
+ * @param {boolean} params.recordMatch - Create the instance and update stats
+ * @param {Object} params.metadata - Extra resolution metadata (scoring details etc.)
+ * @returns {Object} { gameUpdates, metadata }
+ */
+const applyRecurringMatch = async ({ game, match, status, confidence, recordMatch, metadata = {} }) => {
+    const gameUpdates = {
+        recurringGameId: match.id,
+        recurringGameAssignmentStatus: status,
+        recurringGameAssignmentConfidence: confidence,
+        isRegular: true,
+        isSeries: false
+    };
+    
+    const inheritedFields = inheritFieldsFromTemplate(game, match, gameUpdates);
+    
+    // Create CONFIRMED instance for tracking (lazy creation)
+    let instanceInfo = null;
+    if (recordMatch) {
+        try {
+            const { createConfirmedInstance } = require('./instance-manager');
+            const instanceResult = await createConfirmedInstance({
+                game: { ...game, ...gameUpdates },
+                recurringGame: match,
+                matchConfidence: confidence
+            });
+            instanceInfo = instanceResult ? {
+                instanceId: instanceResult.instance?.id,
+                wasCreated: instanceResult.wasCreated,
+                hasDeviation: instanceResult.instance?.hasDeviation
+            } : null;
+        } catch (instanceError) {
+            console.warn('[RECURRING] Failed to create instance (non-fatal):', instanceError.message);
+        }
+    }
+    
+    // Update evolving statistics on the recurring game template
+    let statsUpdateResult = null;
+    if (recordMatch) {
+        try {
+            statsUpdateResult = await updateRecurringGameStats({
+                recurringGameId: match.id,
+                game: { ...game, ...gameUpdates },
+                existingRecurringGame: match
+            });
+            if (statsUpdateResult.success) {
+                console.log(`[RECURRING] Updated stats: avgBuyIn=$${statsUpdateResult.updates?.averageBuyIn}`);
+            }
+        } catch (statsError) {
+            console.warn('[RECURRING] Failed to update stats (non-fatal):', statsError.message);
+        }
+    }
+
+    return {
+        gameUpdates,
+        metadata: {
+            status: 'MATCHED_EXISTING',
+            confidence,
+            matchedRecurringGameId: match.id,
+            matchedRecurringGameName: match.name,
+            matchedRecurringGameDay: match.dayOfWeek,
+            wasCreated: false,
+            inheritedFields,
+            ...metadata,
+            instance: instanceInfo
+        }
+    };
+};
+
+/**
+ * Get a recurring game by ID
+ */
+const getRecurringGameById = async (recurringGameId) => {
+    const client = getDocClient();
+    const result = await client.send(new GetCommand({
+        TableName: getTableName('RecurringGame'),
+        Key: { id: recurringGameId }
+    }));
+    return result.Item || null;
+};
+
 // ===================================================================
 // MAIN RESOLVER
 // ===================================================================
@@ -1228,12 +1331,16 @@ const findBestMatch = (game, candidates, sessionMode) => {
  * @param {string} params.entityId - Entity ID
  * @param {boolean} params.autoCreate - Whether to auto-create recurring games
  * @param {boolean} params.requirePatternConfirmation - If true, only create when pattern is confirmed
+ * @param {boolean} params.recordMatch - If false, don't create an instance or update template stats on a match
+ * @param {string} params.assignedRecurringGameId - Recurring game chosen by a sticky review rule (skips matching)
  */
 const resolveRecurringAssignment = async ({ 
     game, 
     entityId, 
     autoCreate = false,
-    requirePatternConfirmation = true  // NEW: Default to requiring pattern confirmation
+    requirePatternConfirmation = true,  // NEW: Default to requiring pattern confirmation
+    recordMatch = true,
+    assignedRecurringGameId = null
 }) => {
     try {
         const { venueId, gameStartDateTime, name } = game;
@@ -1269,6 +1376,31 @@ const resolveRecurringAssignment = async ({
         
         console.log(`[RECURRING] Resolving: venue=${venueId}, day=${dayOfWeek}, mode=${sessionMode}, variant=${game.gameVariant || 'unknown'}`);
         
+        // ============================================================
+        // STEP 0: An operator already picked the recurring game
+        // ============================================================
+        if (assignedRecurringGameId) {
+            const assigned = await getRecurringGameById(assignedRecurringGameId);
+            if (assigned && assigned.isActive !== false && assigned.venueId === venueId) {
+                console.log(`[RECURRING] Sticky rule: assigning to "${assigned.name}"`);
+                return applyRecurringMatch({
+                    game,
+                    match: assigned,
+                    status: 'MANUALLY_ASSIGNED',
+                    confidence: 1.0,
+                    recordMatch,
+                    metadata: {
+                        matchReason: 'sticky_rule',
+                        sessionMode: {
+                            detected: sessionMode,
+                            confidence: sessionInfo.confidence
+                        }
+                    }
+                });
+            }
+            console.warn(`[RECURRING] Sticky rule target ${assignedRecurringGameId} is missing, inactive or at another venue - matching normally`);
+        }
+        
         // ============================================================
         // STEP 1: Get candidates for this venue + day
         // ============================================================
@@ -1312,69 +1444,22 @@ const resolveRecurringAssignment = async ({
                 }
                 
                 if (matchResult.match) {
-                    const gameUpdates = {
-                        recurringGameId: match.id,
-                        recurringGameAssignmentStatus: status,
-                        recurringGameAssignmentConfidence: confidence,
-                        isRegular: true,
-                        isSeries: false
-                    };
-                    
-                    const inheritedFields = inheritFieldsFromTemplate(game, match, gameUpdates);
-                    
-                    // Create CONFIRMED instance for tracking (lazy creation)
-                    let instanceInfo = null;
-                    try {
-                        const { createConfirmedInstance } = require('./instance-manager');
-                        const instanceResult = await createConfirmedInstance({
-                            game: { ...game, ...gameUpdates },
-                            recurringGame: match,
-                            matchConfidence: confidence
-                        });
-                        instanceInfo = instanceResult ? {
-                            instanceId: instanceResult.instance?.id,
-                            wasCreated: instanceResult.wasCreated,
-                            hasDeviation: instanceResult.instance?.hasDeviation
-                        } : null;
-                    } catch (instanceError) {
-                        console.warn('[RECURRING] Failed to create instance (non-fatal):', instanceError.message);
-                    }
-                    
-                    // Update evolving statistics on the recurring game template
-                    let statsUpdateResult = null;
-                    try {
-                        statsUpdateResult = await updateRecurringGameStats({
-                            recurringGameId: match.id,
-                            game: { ...game, ...gameUpdates },
-                            existingRecurringGame: match
-                        });
-                        if (statsUpdateResult.success) {
-                            console.log(`[RECURRING] Updated stats: avgBuyIn=$${statsUpdateResult.updates?.averageBuyIn}`);
-                        }
-                    } catch (statsError) {
-                        console.warn('[RECURRING] Failed to update stats (non-fatal):', statsError.message);
-                    }
-
-                    return {
-                        gameUpdates,
+                    return applyRecurringMatch({
+                        game,
+                        match,
+                        status,
+                        confidence,
+                        recordMatch,
                         metadata: {
-                            status: 'MATCHED_EXISTING',
-                            confidence,
-                            matchedRecurringGameId: match.id,
-                            matchedRecurringGameName: match.name,
-                            matchedRecurringGameDay: match.dayOfWeek,
-                            wasCreated: false,
-                            inheritedFields,
                             isAmbiguous,
                             scoringDetails: details,
                             topCandidates: matchResult.metadata.topScores,
                             sessionMode: {
                                 detected: sessionMode,
                                 confidence: sessionInfo.confidence
-                            },
-                            instance: instanceInfo
+                            }
                         }
-                    };
+                    });
                 }
             }
         }
@@ -1585,6 +1670,7 @@ module.exports = {
     detectFrequencyFromCluster,
     
     // Database
+    getRecurringGameById,
     getRecurringGamesByVenue,
     getRecurringGamesByVenueAndDay,
     createRecurringGame,
@@ -0,0 +1,696 @@
+/**
+ * review-queue.js
+ * One confidence scale for every resolver, a review queue for the doubtful
+ * decisions, and sticky rules from what operators decide
+ *
+ * Venue, series, satellite and recurring resolution each report in their own
+ * terms (VenueAssignmentStatus, SeriesResolutionStatus, satellite link status,
+ * RecurringGameAssignmentStatus). The enricher turns each result into a
+ * decision:
+ *
+ *   { resolver, status, confidence 0-1, reasons[], targetId, targetName,
+ *     alternatives[], matchKey, needsReview, ruleId }
+ *
+ * and lists them in enrichmentMetadata.decisions. When the game is saved,
+ * decisions that need review go to ResolutionReview (one row per game +
+ * resolver, id `${gameId}#${resolver}`). Re-enriching refreshes a PENDING row,
+ * marks it AUTO_RESOLVED once the resolver is confident, and never reopens
+ * a row an operator has resolved.
+ *
+ * REVIEW: a decision needs review when it picked a target with confidence
+ * below REVIEW_CONFIDENCE_THRESHOLD, or the resolver thinks there should be a
+ * target but found none (pending venue, series game without a series,
+ * satellite without a target, CANDIDATE_RECURRING / DEVIATION_FLAGGED).
+ *
+ * STICKY RULES: overriding or rejecting a review writes a ResolutionRule for
+ * the decision's match key - the normalized scraped venue name, or the
+ * normalized game name (recurring rules also carry the venue). The enricher
+ * checks rules before each resolver runs, so later games resolve the same way
+ * without review. Series and satellite targets are one edition of a series,
+ * so those ASSIGN rules lapse EDITION_RULE_VALID_DAYS after the game.
+ *
+ * Operations:
+ * - resolveResolutionReviews (accept / override / reject in bulk)
+ */
+
+const {
+  getDocClient,
+  getTableName,
+  getItemById,
+  queryAllByIndex,
+  createItem,
+  updateItem,
+  UpdateCommand
+} = require('../utils/db-client');
+const { normalizeGameName } = require('../utils/game-name-utils');
+const { computeQueryKeys } = require('../computation/query-keys');
+
+// ===================================================================
+// CONSTANTS
+// ===================================================================
+
+const RESOLVER = {
+  VENUE: 'VENUE',
+  SERIES: 'SERIES',
+  SATELLITE: 'SATELLITE',
+  RECURRING: 'RECURRING'
+};
+
+const REVIEW_STATUS = {
+  PENDING: 'PENDING',
+  ACCEPTED: 'ACCEPTED',
+  OVERRIDDEN: 'OVERRIDDEN',
+  REJECTED: 'REJECTED',
+  AUTO_RESOLVED: 'AUTO_RESOLVED'
+};
+
+const REVIEW_ACTION = {
+  ACCEPT: 'ACCEPT',
+  OVERRIDE: 'OVERRIDE',
+  REJECT: 'REJECT'
+};
+
+const RULE_ACTION = {
+  ASSIGN: 'ASSIGN',
+  REJECT: 'REJECT'
+};
+
+// Same bar the venue resolver uses for auto-assigning a scraper suggestion
+const REVIEW_CONFIDENCE_THRESHOLD = 0.8;
+
+const EDITION_RULE_VALID_DAYS = 120;
+
+const UNASSIGNED_VENUE_ID = '00000000-0000-0000-0000-000000000000';
+
+// What each resolver's target is
+const TARGET_MODEL = {
+  VENUE: 'Venue',
+  SERIES: 'TournamentSeries',
+  SATELLITE: 'TournamentSeries',
+  RECURRING: 'RecurringGame'
+};
+
+const RULE_CACHE_TTL_MS = 5 * 60 * 1000;
+const ruleCache = new Map();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ===================================================================
+// MATCH KEYS
+// ===================================================================
+
+const normalizeVenueKey = (venueName) =>
+  (venueName || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim() || null;
+
+/**
+ * What a sticky rule for this resolver matches on
+ *
+ * @param {string} resolver - RESOLVER value
+ * @param {Object} game - Game being enriched
+ * @param {string} venueName - Scraped venue name (venue rules)
+ * @returns {string|null}
+ */
+const buildMatchKey = (resolver, game, venueName = null) => {
+  switch (resolver) {
+    case RESOLVER.VENUE:
+      return normalizeVenueKey(venueName || game.suggestedVenueName);
+    case RESOLVER.RECURRING:
+      // Keep the day - "Monday Freezeout" and "Friday Freezeout" are different games
+      return normalizeGameName(game.name, { removeDays: false }) || null;
+    default:
+      return normalizeGameName(game.name) || null;
+  }
+};
+
+// ===================================================================
+// DECISIONS
+// ===================================================================
+
+const clampConfidence = (value) => {
+  const confidence = Number(value);
+  if (!Number.isFinite(confidence)) return 0;
+  return Math.round(Math.min(Math.max(confidence, 0), 1) * 1000) / 1000;
+};
+
+const buildDecision = ({
+  resolver,
+  status,
+  confidence,
+  reasons = [],
+  targetId = null,
+  targetName = null,
+  alternatives = [],
+  matchKey = null,
+  needsReview = false,
+  ruleId = null
+}) => ({
+  resolver,
+  status: status || 'UNKNOWN',
+  confidence: clampConfidence(confidence),
+  reasons: [...new Set(reasons.filter(Boolean).map(String))],
+  targetId,
+  targetName,
+  alternatives,
+  matchKey,
+  needsReview: !ruleId && needsReview,
+  ruleId
+});
+
+const isDoubtful = (targetId, confidence) => !targetId || clampConfidence(confidence) < REVIEW_CONFIDENCE_THRESHOLD;
+
+/**
+ * @param {Object} venueResult - From resolveVenue
+ * @param {Object} game - Game after the venue stage
+ * @param {string} venueName - Scraped venue name
+ * @param {Object} rule - Sticky rule that decided it (optional)
+ */
+const venueDecision = (venueResult, game, venueName, rule = null) => buildDecision({
+  resolver: RESOLVER.VENUE,
+  status: venueResult.status,
+  confidence: venueResult.confidence,
+  reasons: [rule ? 'sticky_rule' : venueResult.matchReason],
+  targetId: venueResult.venueId || null,
+  targetName: venueResult.venueName || venueResult.suggestedVenueName || null,
+  matchKey: buildMatchKey(RESOLVER.VENUE, game, venueName),
+  needsReview: venueResult.status !== 'MANUALLY_ASSIGNED' && isDoubtful(venueResult.venueId, venueResult.confidence),
+  ruleId: rule?.id || null
+});
+
+/**
+ * @param {Object} metadata - enrichmentMetadata.seriesResolution
+ * @param {Object} game - Game after the series stage
+ * @param {Object} rule - Sticky rule that decided it (optional)
+ */
+const seriesDecision = (metadata, game, rule = null) => {
+  const targetId = game.isSeries ? (metadata.matchedSeriesId || game.tournamentSeriesId || null) : null;
+  return buildDecision({
+    resolver: RESOLVER.SERIES,
+    status: metadata.status,
+    confidence: metadata.confidence,
+    reasons: [
+      rule ? 'sticky_rule' : metadata.matchReason,
+      metadata.wasCreated && 'series_created',
+      metadata.scheduledEventMatchReason && `schedule_${metadata.scheduledEventMatchReason}`
+    ],
+    targetId,
+    targetName: targetId ? (metadata.matchedSeriesName || game.seriesName || null) : null,
+    matchKey: buildMatchKey(RESOLVER.SERIES, game),
+    needsReview: !!game.isSeries &&
+      game.seriesAssignmentStatus !== 'MANUALLY_ASSIGNED' &&
+      isDoubtful(targetId, metadata.confidence),
+    ruleId: rule?.id || null
+  });
+};
+
+/**
+ * @param {Object} metadata - enrichmentMetadata.satelliteResolution
+ * @param {Object} game - Game after the satellite stage
+ * @param {Object} rule - Sticky rule that decided it (optional)
+ */
+const satelliteDecision = (metadata, game, rule = null) => {
+  const targetId = game.isSatellite ? (game.satelliteTargetSeriesId || null) : null;
+  const confidence = targetId ? (game.satelliteTargetConfidence ?? metadata.linkedSeries?.confidence) : 0;
+  return buildDecision({
+    resolver: RESOLVER.SATELLITE,
+    status: metadata.status,
+    confidence,
+    reasons: [
+      rule ? 'sticky_rule' : metadata.detection?.matchReason,
+      metadata.extractedTarget?.targetName && `target "${metadata.extractedTarget.targetName}"`,
+      metadata.status === 'DETECTED_NO_TARGET' && 'no_target_in_name'
+    ],
+    targetId,
+    targetName: game.satelliteTargetSeriesName || game.suggestedSatelliteTarget || null,
+    matchKey: buildMatchKey(RESOLVER.SATELLITE, game),
+    needsReview: !!game.isSatellite && isDoubtful(targetId, confidence),
+    ruleId: rule?.id || null
+  });
+};
+
+/**
+ * @param {Object} metadata - enrichmentMetadata.recurringResolution
+ * @param {Object} game - Game after the recurring stage
+ * @param {Object} rule - Sticky rule that decided it (optional)
+ */
+const recurringDecision = (metadata, game, rule = null) => {
+  const targetId = game.recurringGameId || metadata.matchedRecurringGameId || null;
+  const assignmentStatus = game.recurringGameAssignmentStatus;
+  const flagged = ['PENDING_ASSIGNMENT', 'DEVIATION_FLAGGED', 'CANDIDATE_RECURRING'].includes(assignmentStatus);
+
+  return buildDecision({
+    resolver: RESOLVER.RECURRING,
+    status: assignmentStatus || metadata.status,
+    confidence: metadata.confidence ?? game.recurringGameAssignmentConfidence,
+    reasons: [
+      rule ? 'sticky_rule' : (metadata.matchReason || metadata.reason),
+      metadata.isAmbiguous && 'ambiguous_match',
+      metadata.instance?.hasDeviation && 'deviates_from_template',
+      metadata.wasCreated && 'recurring_game_created'
+    ],
+    targetId,
+    targetName: metadata.matchedRecurringGameName || null,
+    alternatives: (metadata.topCandidates || [])
+      .filter(candidate => candidate.id && candidate.id !== targetId)
+      .map(candidate => ({ id: candidate.id, name: candidate.name || null, confidence: clampConfidence(candidate.score / 100) })),
+    matchKey: buildMatchKey(RESOLVER.RECURRING, game),
+    needsReview: assignmentStatus !== 'MANUALLY_ASSIGNED' &&
+      (flagged || (!!targetId && isDoubtful(targetId, metadata.confidence))),
+    ruleId: rule?.id || null
+  });
+};
+
+// ===================================================================
+// STICKY RULES
+// ===================================================================
+
+/**
+ * An entity's active rules (cached for a few minutes per container)
+ *
+ * @param {string} entityId
+ * @param {Object} options
+ * @param {boolean} options.fresh - Skip the cache
+ * @returns {Array} ResolutionRule records
+ */
+const loadResolutionRules = async (entityId, { fresh = false } = {}) => {
+  if (!entityId) return [];
+
+  const cached = ruleCache.get(entityId);
+  if (!fresh && cached && Date.now() - cached.loadedAt < RULE_CACHE_TTL_MS) {
+    return cached.rules;
+  }
+
+  try {
+    const rules = (await queryAllByIndex('ResolutionRule', 'byEntityResolutionRule', 'entityId = :entityId', { ':entityId': entityId }))
+      .filter(rule => rule.isActive !== false);
+    ruleCache.set(entityId, { rules, loadedAt: Date.now() });
+    return rules;
+  } catch (error) {
+    console.warn(`[REVIEW] Could not load resolution rules for entity ${entityId}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * The rule for this game, if any. Venue-scoped rules win over unscoped ones.
+ *
+ * @param {Array} rules - From loadResolutionRules
+ * @param {string} resolver - RESOLVER value
+ * @param {Object} game - Game being enriched
+ * @param {Object} options
+ * @param {string} options.venueName - Scraped venue name (venue rules)
+ * @returns {Object|null}
+ */
+const findResolutionRule = (rules, resolver, game, { venueName = null } = {}) => {
+  if (!rules || rules.length === 0) return null;
+
+  const matchKey = buildMatchKey(resolver, game, venueName);
+  if (!matchKey) return null;
+
+  const gameDate = game.gameStartDateTime ? String(game.gameStartDateTime).slice(0, 10) : null;
+  const candidates = rules.filter(rule =>
+    rule.resolver === resolver &&
+    rule.matchKey === matchKey &&
+    (!rule.venueId || rule.venueId === game.venueId) &&
+    (!rule.validUntil || !gameDate || gameDate <= rule.validUntil)
+  );
+
+  return candidates.find(rule => rule.venueId) || candidates[0] || null;
+};
+
+const addDaysIso = (dateValue, days) => {
+  const date = new Date(dateValue);
+  if (isNaN(date.getTime())) return null;
+  return new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Create or update the rule for a resolver + match key (+ venue)
+ */
+const upsertResolutionRule = async (rules, fields) => {
+  const existing = rules.find(rule =>
+    rule.resolver === fields.resolver &&
+    rule.matchKey === fields.matchKey &&
+    (rule.venueId || null) === (fields.venueId || null)
+  );
+
+  if (existing) {
+    const updated = await updateItem('ResolutionRule', existing.id, {
+      action: fields.action,
+      targetId: fields.targetId,
+      targetName: fields.targetName,
+      validUntil: fields.validUntil,
+      isActive: true,
+      sourceReviewId: fields.sourceReviewId,
+      createdBy: fields.createdBy,
+      _version: (existing._version || 1) + 1
+    });
+    Object.assign(existing, updated);
+    return existing;
+  }
+
+  const created = await createItem('ResolutionRule', {
+    id: `${fields.entityId}#${fields.resolver}#${fields.venueId || 'ALL'}#${fields.matchKey}`,
+    ...fields,
+    isActive: true,
+    timesApplied: 0
+  });
+  rules.push(created);
+  return created;
+};
+
+/**
+ * Count a rule use (best effort)
+ */
+const recordRuleApplied = async (ruleId) => {
+  try {
+    const rule = await getItemById('ResolutionRule', ruleId);
+    if (!rule) return;
+    await updateItem('ResolutionRule', ruleId, {
+      timesApplied: (rule.timesApplied || 0) + 1,
+      lastAppliedAt: new Date().toISOString(),
+      _version: (rule._version || 1) + 1
+    });
+  } catch (error) {
+    console.warn(`[REVIEW] Could not record use of rule ${ruleId}: ${error.message}`);
+  }
+};
+
+// ===================================================================
+// QUEUE
+// ===================================================================
+
+const reviewId = (gameId, resolver) => `${gameId}#${resolver}`;
+
+/**
+ * Queue (or refresh / auto-resolve) a saved game's decisions
+ *
+ * @param {Object} params
+ * @param {string} params.entityId
+ * @param {string} params.gameId - Saved game ID
+ * @param {Object} params.game - Enriched game
+ * @param {Array} params.decisions - enrichmentMetadata.decisions
+ * @returns {Object} { queued, refreshed, autoResolved, rulesApplied }
+ */
+const queueDecisions = async ({ entityId, gameId, game, decisions = [] }) => {
+  const summary = { queued: 0, refreshed: 0, autoResolved: 0, rulesApplied: 0 };
+  const now = new Date().toISOString();
+
+  for (const decision of decisions) {
+    if (decision.ruleId) {
+      await recordRuleApplied(decision.ruleId);
+      summary.rulesApplied++;
+    }
+
+    const id = reviewId(gameId, decision.resolver);
+    const existing = await getItemById('ResolutionReview', id);
+    const fields = {
+      gameName: game.name || null,
+      gameStartDateTime: game.gameStartDateTime || null,
+      venueId: game.venueId || null,
+      decisionStatus: decision.status,
+      confidence: decision.confidence,
+      reasons: decision.reasons,
+      targetId: decision.targetId,
+      targetName: decision.targetName,
+      alternatives: JSON.stringify(decision.alternatives || []),
+      matchKey: decision.matchKey
+    };
+
+    if (decision.needsReview) {
+      if (!existing) {
+        await createItem('ResolutionReview', {
+          id,
+          entityId,
+          gameId,
+          resolver: decision.resolver,
+          status: REVIEW_STATUS.PENDING,
+          ...fields
+        });
+        summary.queued++;
+      } else if (existing.status === REVIEW_STATUS.PENDING) {
+        await updateItem('ResolutionReview', id, { ...fields, _version: (existing._version || 1) + 1 });
+        summary.refreshed++;
+      }
+      // Resolved rows stay resolved - the operator's call stands
+    } else if (existing?.status === REVIEW_STATUS.PENDING) {
+      await updateItem('ResolutionReview', id, {
+        ...fields,
+        status: REVIEW_STATUS.AUTO_RESOLVED,
+        resolvedBy: 'enricher',
+        resolvedAt: now,
+        _version: (existing._version || 1) + 1
+      });
+      summary.autoResolved++;
+    }
+  }
+
+  return summary;
+};
+
+// ===================================================================
+// OPERATOR ACTIONS
+// ===================================================================
+
+/**
+ * Game fields for assigning a target (or none, for REJECT)
+ */
+const buildGameUpdates = (resolver, target) => {
+  switch (resolver) {
+    case RESOLVER.VENUE:
+      return target
+        ? { venueId: target.id, venueAssignmentStatus: 'MANUALLY_ASSIGNED', venueAssignmentConfidence: 1.0, suggestedVenueName: null }
+        : { venueId: UNASSIGNED_VENUE_ID, venueAssignmentStatus: 'UNASSIGNED', venueAssignmentConfidence: 0 };
+    case RESOLVER.SERIES:
+      return target
+        ? {
+            isSeries: true,
+            isRegular: false,
+            tournamentSeriesId: target.id,
+            seriesName: target.name || null,
+            seriesAssignmentStatus: 'MANUALLY_ASSIGNED',
+            seriesAssignmentConfidence: 1.0
+          }
+        : {
+            isSeries: false,
+            tournamentSeriesId: null,
+            seriesName: null,
+            seriesAssignmentStatus: 'NOT_SERIES',
+            seriesAssignmentConfidence: 0
+          };
+    case RESOLVER.SATELLITE:
+      return target
+        ? { satelliteTargetSeriesId: target.id, satelliteTargetSeriesName: target.name || null, satelliteTargetConfidence: 1.0, suggestedSatelliteTarget: null }
+        : { satelliteTargetSeriesId: null, satelliteTargetSeriesName: null, satelliteTargetEventId: null, satelliteTargetConfidence: 0 };
+    case RESOLVER.RECURRING:
+      return target
+        ? { recurringGameId: target.id, recurringGameAssignmentStatus: 'MANUALLY_ASSIGNED', recurringGameAssignmentConfidence: 1.0, isRegular: true, isSeries: false }
+        : { recurringGameId: null, recurringGameAssignmentStatus: 'NOT_RECURRING', recurringGameAssignmentConfidence: 0, isRegular: false };
+    default:
+      throw new Error(`Unknown resolver: ${resolver}`);
+  }
+};
+
+/**
+ * Write game updates. Nulls are removed rather than set - the ID fields are
+ * index keys, which can't hold null. Query keys are recomputed since venue and
+ * classification feed them.
+ */
+const applyGameUpdates = async (game, updates) => {
+  const merged = { ...game, ...updates };
+  const allUpdates = {
+    ...updates,
+    ...computeQueryKeys(merged, game.entityId),
+    updatedAt: new Date().toISOString(),
+    _lastChangedAt: Date.now(),
+    _version: (game._version || 1) + 1
+  };
+
+  const names = {};
+  const values = {};
+  const sets = [];
+  const removes = [];
+  for (const [field, value] of Object.entries(allUpdates)) {
+    names[`#${field}`] = field;
+    if (value === null || value === undefined) {
+      removes.push(`#${field}`);
+    } else {
+      values[`:${field}`] = value;
+      sets.push(`#${field} = :${field}`);
+    }
+  }
+
+  await getDocClient().send(new UpdateCommand({
+    TableName: getTableName('Game'),
+    Key: { id: game.id },
+    UpdateExpression: [`SET ${sets.join(', ')}`, removes.length > 0 ? `REMOVE ${removes.join(', ')}` : null]
+      .filter(Boolean)
+      .join(' '),
+    ExpressionAttributeNames: names,
+    ExpressionAttributeValues: values
+  }));
+};
+
+/**
+ * resolveResolutionReviews mutation
+ *
+ * ACCEPT keeps the resolver's target (now MANUALLY_ASSIGNED), OVERRIDE
+ * assigns the given target, REJECT clears it. Rules are created by default
+ * for OVERRIDE and REJECT.
+ *
+ * @param {Object} input - ResolveResolutionReviewsInput
+ * @param {string} resolvedBy - Operator username
+ * @returns {Object} ResolveResolutionReviewsResult
+ */
+const resolveResolutionReviews = async (input, resolvedBy = null) => {
+  const { reviewIds = [], action, targetId = null, targetName = null, notes = null } = input || {};
+  const result = {
+    success: false,
+    processed: 0,
+    accepted: 0,
+    overridden: 0,
+    rejected: 0,
+    skipped: 0,
+    gamesUpdated: 0,
+    rulesCreated: 0,
+    errors: []
+  };
+
+  if (!Object.values(REVIEW_ACTION).includes(action)) {
+    result.errors.push(`Unknown action: ${action}`);
+    return result;
+  }
+  if (action === REVIEW_ACTION.OVERRIDE && !targetId) {
+    result.errors.push('targetId is required to override');
+    return result;
+  }
+
+  const createRule = input.createRule ?? action !== REVIEW_ACTION.ACCEPT;
+  const rulesByEntity = new Map();
+  const targetCache = new Map();
+  const now = new Date().toISOString();
+
+  const loadTarget = async (resolver, id) => {
+    const key = `${TARGET_MODEL[resolver]}#${id}`;
+    if (!targetCache.has(key)) {
+      targetCache.set(key, await getItemById(TARGET_MODEL[resolver], id));
+    }
+    return targetCache.get(key);
+  };
+
+  for (const id of reviewIds) {
+    try {
+      const review = await getItemById('ResolutionReview', id);
+      if (!review || review._deleted || review.status !== REVIEW_STATUS.PENDING) {
+        result.skipped++;
+        continue;
+      }
+
+      let target = null;
+      if (action === REVIEW_ACTION.ACCEPT && review.targetId) {
+        target = { id: review.targetId, name: review.targetName || null };
+      } else if (action === REVIEW_ACTION.OVERRIDE) {
+        const record = await loadTarget(review.resolver, targetId);
+        if (!record || record._deleted) {
+          result.errors.push(`${review.gameName || review.gameId}: ${TARGET_MODEL[review.resolver]} ${targetId} not found`);
+          continue;
+        }
+        target = { id: record.id, name: targetName || record.name || null };
+      }
+
+      const game = await getItemById('Game', review.gameId);
+      if (!game) {
+        result.errors.push(`${review.gameName || review.gameId}: game not found`);
+        continue;
+      }
+
+      // Accepting "no target" just closes the review
+      if (action !== REVIEW_ACTION.ACCEPT || target) {
+        await applyGameUpdates(game, buildGameUpdates(review.resolver, target));
+        result.gamesUpdated++;
+      }
+
+      let rule = null;
+      if (createRule && review.matchKey && (target || action === REVIEW_ACTION.REJECT)) {
+        if (!rulesByEntity.has(review.entityId)) {
+          rulesByEntity.set(review.entityId, await loadResolutionRules(review.entityId, { fresh: true }));
+        }
+        const isEdition = review.resolver === RESOLVER.SERIES || review.resolver === RESOLVER.SATELLITE;
+        rule = await upsertResolutionRule(rulesByEntity.get(review.entityId), {
+          entityId: review.entityId,
+          resolver: review.resolver,
+          action: target ? RULE_ACTION.ASSIGN : RULE_ACTION.REJECT,
+          matchKey: review.matchKey,
+          venueId: review.resolver === RESOLVER.RECURRING ? (review.venueId || null) : null,
+          targetId: target?.id || null,
+          targetName: target?.name || null,
+          validUntil: target && isEdition && review.gameStartDateTime
+            ? addDaysIso(review.gameStartDateTime, EDITION_RULE_VALID_DAYS)
+            : null,
+          sourceReviewId: review.id,
+          createdBy: resolvedBy
+        });
+        result.rulesCreated++;
+        ruleCache.delete(review.entityId);
+      }
+
+      const status = {
+        [REVIEW_ACTION.ACCEPT]: REVIEW_STATUS.ACCEPTED,
+        [REVIEW_ACTION.OVERRIDE]: REVIEW_STATUS.OVERRIDDEN,
+        [REVIEW_ACTION.REJECT]: REVIEW_STATUS.REJECTED
+      }[action];
+
+      await updateItem('ResolutionReview', review.id, {
+        status,
+        resolvedTargetId: target?.id || null,
+        resolvedTargetName: target?.name || null,
+        resolvedBy,
+        resolvedAt: now,
+        ruleId: rule?.id || null,
+        notes: notes || review.notes || null,
+        _version: (review._version || 1) + 1
+      });
+
+      result.processed++;
+      if (action === REVIEW_ACTION.ACCEPT) result.accepted++;
+      if (action === REVIEW_ACTION.OVERRIDE) result.overridden++;
+      if (action === REVIEW_ACTION.REJECT) result.rejected++;
+    } catch (error) {
+      console.error(`[REVIEW] Failed to resolve review ${id}:`, error);
+      result.errors.push(`${id}: ${error.message}`);
+    }
+  }
+
+  result.success = result.errors.length === 0;
+  console.log(`[REVIEW] ${action}: ${result.processed} resolved, ${result.skipped} skipped, ${result.rulesCreated} rules, ${result.errors.length} errors`);
+  return result;
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+module.exports = {
+  RESOLVER,
+  REVIEW_STATUS,
+  REVIEW_ACTION,
+  RULE_ACTION,
+  REVIEW_CONFIDENCE_THRESHOLD,
+
+  // Decisions
+  buildMatchKey,
+  venueDecision,
+  seriesDecision,
+  satelliteDecision,
+  recurringDecision,
+
+  // Rules
+  loadResolutionRules,
+  findResolutionRule,
+
+  // Queue
+  queueDecisions,
+  buildGameUpdates,
+
+  // Operations
+  resolveResolutionReviews
+};
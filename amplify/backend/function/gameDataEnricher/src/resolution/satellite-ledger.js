@@ -0,0 +1,462 @@
+/**
+ * satellite-ledger.js
+ * Satellite seat ledger: every seat won in a satellite, through to the target event
+ *
+ * satellite-resolver links satellites to the series they feed
+ * (Game.satelliteTargetSeriesId, plus satelliteTargetEventId when the series
+ * has an imported schedule). For each satellite the ledger works out:
+ *
+ *   - who won a seat: PlayerResult.isMultiDayQualification. Until results are
+ *     in, the seat count from the name ("5 seats GTD") is carried as unused
+ *   - which games the seat is good for, and what it's worth:
+ *       1. the scheduled target event's games, at the event buy-in
+ *       2. otherwise the series main event
+ *       3. otherwise any series game dearer than the satellite
+ *   - whether it was used: a PlayerEntry in a target game is USED; a target
+ *     event that finished without one is EXPIRED; anything else is ACTIVE
+ *
+ * seatFundingDelta compares the value of seats awarded with what players put
+ * into the satellite - positive means the club topped up the seat guarantee.
+ *
+ * Reconciling writes one PlayerTicket per seat under a TicketTemplate per
+ * satellite. Ticket IDs are `${satelliteGameId}#${playerId}` so reruns update
+ * rather than duplicate, and a USED ticket is never moved back. The redeeming
+ * PlayerEntry gets qualifyingGameId set to the satellite.
+ *
+ * Operations:
+ * - getSatelliteLedger (read only)
+ * - reconcileSatelliteSeats (preview by default)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const {
+  getItemById,
+  queryByIndex,
+  queryAllByIndex,
+  createItem,
+  updateItem
+} = require('../utils/db-client');
+const { loadScheduledEvents, loadSeriesGames } = require('./series-schedule');
+
+// ===================================================================
+// CONSTANTS
+// ===================================================================
+
+const TICKET_STATUS = {
+  ACTIVE: 'ACTIVE',
+  EXPIRED: 'EXPIRED',
+  USED: 'USED'
+};
+
+const SATELLITE_AWARD_REASON = 'SATELLITE_SEAT';
+
+// Validity for templates whose target event has no games scraped yet
+const DEFAULT_TICKET_VALIDITY_DAYS = 30;
+
+const IGNORED_GAME_STATUSES = ['NOT_FOUND', 'NOT_PUBLISHED', 'CANCELLED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ===================================================================
+// DATABASE OPERATIONS
+// ===================================================================
+
+const loadSatellites = async (tournamentSeriesId) => {
+  const games = await queryAllByIndex('Game', 'bySatelliteTargetSeries', 'satelliteTargetSeriesId = :seriesId', { ':seriesId': tournamentSeriesId });
+  return games
+    .filter(game => !IGNORED_GAME_STATUSES.includes(game.gameStatus))
+    .sort((a, b) => String(a.gameStartDateTime || '').localeCompare(String(b.gameStartDateTime || '')));
+};
+
+/**
+ * Earliest entry per player in each game, cached - satellites into the same
+ * event share target games
+ */
+const createEntryLoader = () => {
+  const cache = new Map();
+
+  return async (gameId) => {
+    if (!cache.has(gameId)) {
+      const entries = await queryAllByIndex('PlayerEntry', 'byGame', 'gameId = :gameId', { ':gameId': gameId });
+      const byPlayer = new Map();
+      for (const entry of entries) {
+        const current = byPlayer.get(entry.playerId);
+        if (!current || String(entry.registrationTime) < String(current.registrationTime)) {
+          byPlayer.set(entry.playerId, entry);
+        }
+      }
+      cache.set(gameId, byPlayer);
+    }
+    return cache.get(gameId);
+  };
+};
+
+const createPlayerNameLoader = () => {
+  const cache = new Map();
+
+  return async (playerId) => {
+    if (!cache.has(playerId)) {
+      const player = await getItemById('Player', playerId);
+      cache.set(playerId, player ? `${player.firstName || ''} ${player.lastName || ''}`.trim() || null : null);
+    }
+    return cache.get(playerId);
+  };
+};
+
+// ===================================================================
+// TARGET RESOLUTION
+// ===================================================================
+
+const maxBuyIn = (games) => {
+  const buyIns = games.map(g => g.buyIn || 0).filter(b => b > 0);
+  return buyIns.length > 0 ? Math.max(...buyIns) : null;
+};
+
+/**
+ * Games a satellite's seats can be used in, and the seat value
+ *
+ * @returns {Object} { targetGames, targetEvent, seatValue }
+ */
+const resolveSatelliteTarget = (satellite, seriesGames, eventsById) => {
+  const targetEvent = satellite.satelliteTargetEventId ? eventsById.get(satellite.satelliteTargetEventId) : null;
+
+  if (targetEvent) {
+    const targetGames = seriesGames.filter(g => g.seriesScheduledEventId === targetEvent.id);
+    return { targetGames, targetEvent, seatValue: targetEvent.buyIn || maxBuyIn(targetGames) };
+  }
+
+  const mainEventGames = seriesGames.filter(g => g.isMainEvent);
+  if (mainEventGames.length > 0) {
+    return { targetGames: mainEventGames, targetEvent: null, seatValue: maxBuyIn(mainEventGames) };
+  }
+
+  const dearerGames = seriesGames.filter(g => (g.buyIn || 0) > (satellite.buyIn || 0));
+  return { targetGames: dearerGames, targetEvent: null, seatValue: maxBuyIn(dearerGames) };
+};
+
+/**
+ * First target game the player entered
+ */
+const findRedemption = async (playerId, targetGames, loadEntries) => {
+  let redemption = null;
+
+  for (const game of targetGames) {
+    const entry = (await loadEntries(game.id)).get(playerId);
+    if (entry && (!redemption || String(entry.registrationTime) < String(redemption.entry.registrationTime))) {
+      redemption = { entry, game };
+    }
+  }
+
+  return redemption;
+};
+
+// ===================================================================
+// TICKET WRITES
+// ===================================================================
+
+const findOrCreateTemplate = async (satellite, seatValue, targetGames, expiryDate) => {
+  const templates = await queryByIndex(
+    'TicketTemplate',
+    'byOriginGame',
+    'originGameId = :originGameId',
+    { ':originGameId': satellite.id }
+  );
+  const existing = templates.find(t => !t._deleted);
+  if (existing) return existing;
+
+  const assignedAt = satellite.gameEndDateTime || satellite.gameStartDateTime;
+  const validityDays = expiryDate && assignedAt
+    ? Math.max(1, Math.ceil((new Date(expiryDate) - new Date(assignedAt)) / DAY_MS))
+    : DEFAULT_TICKET_VALIDITY_DAYS;
+
+  return createItem('TicketTemplate', {
+    id: uuidv4(),
+    name: `${satellite.name} - Seat`,
+    description: `Seat won in satellite ${satellite.name}`,
+    value: seatValue || 0,
+    validityDays,
+    originGameId: satellite.id,
+    targetGameId: targetGames.length === 1 ? targetGames[0].id : null,
+    entityId: satellite.entityId || null,
+    isActive: true
+  });
+};
+
+/**
+ * Create or update the seat's ticket
+ *
+ * @returns {Promise<string|null>} 'created', 'updated' or null when unchanged
+ */
+const upsertSeatTicket = async ({ satellite, template, seat, existing, seatValue, expiryDate }) => {
+  const desired = {
+    status: seat.status,
+    usedInGameId: seat.usedInGameId,
+    usedAt: seat.usedAt,
+    ticketValue: seatValue || 0,
+    expiryDate
+  };
+
+  if (existing) {
+    if (existing.status === TICKET_STATUS.USED) return null;
+
+    const changes = Object.fromEntries(
+      Object.entries(desired).filter(([field, value]) => (existing[field] ?? null) !== (value ?? null))
+    );
+    if (Object.keys(changes).length === 0) return null;
+
+    await updateItem('PlayerTicket', existing.id, { ...changes, _version: (existing._version || 1) + 1 });
+    return 'updated';
+  }
+
+  await createItem('PlayerTicket', {
+    id: `${satellite.id}#${seat.playerId}`,
+    playerId: seat.playerId,
+    ticketTemplateId: template.id,
+    wonFromGameId: satellite.id,
+    wonFromPosition: seat.wonFromPosition,
+    entityId: satellite.entityId || null,
+    venueId: satellite.venueId || null,
+    assignedAt: satellite.gameEndDateTime || satellite.gameStartDateTime || new Date().toISOString(),
+    programName: satellite.name,
+    awardReason: SATELLITE_AWARD_REASON,
+    ...desired
+  });
+  return 'created';
+};
+
+// ===================================================================
+// LEDGER
+// ===================================================================
+
+/**
+ * Ledger entry for one satellite, writing tickets unless previewing
+ */
+const buildSatelliteEntry = async ({ satellite, seriesGames, eventsById, loadEntries, loadPlayerName, preview }) => {
+  const { targetGames, targetEvent, seatValue } = resolveSatelliteTarget(satellite, seriesGames, eventsById);
+  const targetFinished = targetGames.length > 0 && targetGames.every(g => g.gameStatus === 'FINISHED');
+  const lastTargetStart = targetGames
+    .map(g => g.gameStartDateTime)
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+
+  const results = await queryAllByIndex('PlayerResult', 'byGame', 'gameId = :gameId', { ':gameId': satellite.id });
+  const winners = results
+    .filter(r => r.isMultiDayQualification)
+    .sort((a, b) => (a.finishingPlace || 0) - (b.finishingPlace || 0));
+  const resultsAvailable = winners.length > 0;
+
+  const existingTickets = resultsAvailable
+    ? await queryAllByIndex('PlayerTicket', 'byWonFromGame', 'wonFromGameId = :gameId', { ':gameId': satellite.id })
+    : [];
+  const ticketByPlayer = new Map(existingTickets.map(t => [t.playerId, t]));
+
+  const seats = [];
+  const redemptions = [];
+
+  for (const winner of winners) {
+    const ticket = ticketByPlayer.get(winner.playerId);
+    const redemption = await findRedemption(winner.playerId, targetGames, loadEntries);
+
+    let seat;
+    if (redemption) {
+      seat = {
+        status: TICKET_STATUS.USED,
+        usedInGameId: redemption.game.id,
+        usedInGameName: redemption.game.name || null,
+        usedAt: redemption.entry.registrationTime || null
+      };
+      redemptions.push(redemption);
+    } else if (ticket?.status === TICKET_STATUS.USED) {
+      // Redeemed by hand (or in a game outside the series) - trust the ticket
+      const usedGame = seriesGames.find(g => g.id === ticket.usedInGameId);
+      seat = {
+        status: TICKET_STATUS.USED,
+        usedInGameId: ticket.usedInGameId || null,
+        usedInGameName: usedGame?.name || null,
+        usedAt: ticket.usedAt || null
+      };
+    } else {
+      seat = {
+        status: targetFinished ? TICKET_STATUS.EXPIRED : TICKET_STATUS.ACTIVE,
+        usedInGameId: null,
+        usedInGameName: null,
+        usedAt: null
+      };
+    }
+
+    seats.push({
+      playerId: winner.playerId,
+      playerName: await loadPlayerName(winner.playerId),
+      wonFromPosition: winner.finishingPlace ?? null,
+      ticketId: ticket?.id || null,
+      ...seat
+    });
+  }
+
+  let ticketsCreated = 0;
+  let ticketsUpdated = 0;
+
+  if (!preview && resultsAvailable) {
+    const template = await findOrCreateTemplate(satellite, seatValue, targetGames, lastTargetStart);
+
+    for (const seat of seats) {
+      const outcome = await upsertSeatTicket({
+        satellite,
+        template,
+        seat,
+        existing: ticketByPlayer.get(seat.playerId),
+        seatValue,
+        expiryDate: lastTargetStart
+      });
+      if (outcome === 'created') {
+        ticketsCreated++;
+        seat.ticketId = `${satellite.id}#${seat.playerId}`;
+      } else if (outcome === 'updated') {
+        ticketsUpdated++;
+      }
+    }
+
+    for (const { entry } of redemptions) {
+      if (entry.qualifyingGameId) continue;
+      await updateItem('PlayerEntry', entry.id, {
+        qualifyingGameId: satellite.id,
+        _version: (entry._version || 1) + 1
+      });
+    }
+  }
+
+  // Without results there's no telling who won, so every seat stays outstanding
+  const seatsAwarded = resultsAvailable ? seats.length : (satellite.satelliteSeatsAwarded || 0);
+  const seatsUsed = seats.filter(s => s.status === TICKET_STATUS.USED).length;
+  const seatsExpired = seats.filter(s => s.status === TICKET_STATUS.EXPIRED).length;
+  const seatsUnused = seatsAwarded - seatsUsed - seatsExpired;
+
+  const satellitePrizepool = satellite.prizepoolPlayerContributions || satellite.prizepoolCalculated || null;
+  const seatsAwardedValue = seatsAwarded * (seatValue || 0);
+
+  return {
+    entry: {
+      satelliteGameId: satellite.id,
+      satelliteName: satellite.name,
+      satelliteDate: satellite.gameStartDateTime || null,
+      satelliteBuyIn: satellite.buyIn ?? null,
+      satellitePrizepool,
+      resultsAvailable,
+      targetEventId: targetEvent?.id || null,
+      targetEventName: targetEvent?.name || (targetGames.length > 0 ? targetGames[0].name : null),
+      seatValue: seatValue ?? null,
+      seatsAwarded,
+      seatsUsed,
+      seatsUnused,
+      seatsExpired,
+      seatsAwardedValue,
+      outstandingValue: seatsUnused * (seatValue || 0),
+      seatFundingDelta: satellitePrizepool !== null && seatValue ? seatsAwardedValue - satellitePrizepool : null,
+      seats
+    },
+    ticketsCreated,
+    ticketsUpdated
+  };
+};
+
+// ===================================================================
+// OPERATIONS
+// ===================================================================
+
+/**
+ * Seat ledger for every satellite feeding a series
+ *
+ * @param {Object} input - { tournamentSeriesId, preview }
+ */
+const reconcileSatelliteSeats = async ({ tournamentSeriesId, preview = true }) => {
+  console.log(`[reconcileSatelliteSeats] Series ${tournamentSeriesId}, preview=${preview}`);
+
+  const emptyResult = {
+    success: false,
+    tournamentSeriesId,
+    preview,
+    satellitesFound: 0,
+    totalSeatsAwarded: 0,
+    totalSeatsUsed: 0,
+    totalSeatsUnused: 0,
+    totalSeatsExpired: 0,
+    totalSeatValue: 0,
+    outstandingLiability: 0,
+    ticketsCreated: 0,
+    ticketsUpdated: 0,
+    satellites: []
+  };
+
+  try {
+    const series = await getItemById('TournamentSeries', tournamentSeriesId);
+    if (!series) {
+      return { ...emptyResult, error: `Tournament series ${tournamentSeriesId} not found` };
+    }
+
+    const [satellites, events, allSeriesGames] = await Promise.all([
+      loadSatellites(tournamentSeriesId),
+      loadScheduledEvents(tournamentSeriesId),
+      loadSeriesGames(tournamentSeriesId)
+    ]);
+
+    // Satellites run during the series are series games too - never their own target
+    const satelliteIds = new Set(satellites.map(s => s.id));
+    const seriesGames = allSeriesGames.filter(g => !satelliteIds.has(g.id));
+    const eventsById = new Map(events.map(e => [e.id, e]));
+    const loadEntries = createEntryLoader();
+    const loadPlayerName = createPlayerNameLoader();
+
+    const result = { ...emptyResult, success: true, seriesName: series.name || null, satellitesFound: satellites.length };
+
+    for (const satellite of satellites) {
+      const { entry, ticketsCreated, ticketsUpdated } = await buildSatelliteEntry({
+        satellite,
+        seriesGames,
+        eventsById,
+        loadEntries,
+        loadPlayerName,
+        preview
+      });
+
+      result.satellites.push(entry);
+      result.totalSeatsAwarded += entry.seatsAwarded;
+      result.totalSeatsUsed += entry.seatsUsed;
+      result.totalSeatsUnused += entry.seatsUnused;
+      result.totalSeatsExpired += entry.seatsExpired;
+      result.totalSeatValue += entry.seatsAwardedValue;
+      result.outstandingLiability += entry.outstandingValue;
+      result.ticketsCreated += ticketsCreated;
+      result.ticketsUpdated += ticketsUpdated;
+    }
+
+    console.log(`[reconcileSatelliteSeats] ${satellites.length} satellites, ${result.totalSeatsAwarded} seats (${result.totalSeatsUsed} used, ${result.totalSeatsUnused} unused, ${result.totalSeatsExpired} expired), tickets +${result.ticketsCreated}/~${result.ticketsUpdated}`);
+    return result;
+  } catch (error) {
+    console.error('[reconcileSatelliteSeats] Error:', error);
+    return { ...emptyResult, error: error.message || 'Unknown error' };
+  }
+};
+
+/**
+ * Read-only ledger (reconcileSatelliteSeats in preview)
+ *
+ * @param {string} tournamentSeriesId
+ */
+const getSatelliteLedger = (tournamentSeriesId) =>
+  reconcileSatelliteSeats({ tournamentSeriesId, preview: true });
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+module.exports = {
+  TICKET_STATUS,
+
+  // Operations
+  getSatelliteLedger,
+  reconcileSatelliteSeats,
+
+  // Exported for testing
+  resolveSatelliteTarget
+};
@@ -16,12 +16,15 @@
  * TARGET EXTRACTION:
  * - Extracts target event name from satellite game name
  * - Matches against TournamentSeries for linking
+ * - Picks the target SeriesScheduledEvent when the series has an imported
+ *   schedule, so the seat ledger (satellite-ledger.js) knows the seat value
  * 
  * Location: amplify/backend/function/gameDataEnricher/src/resolution/satellite-resolver.js
  */
 
 const stringSimilarity = require('string-similarity');
 const { getDocClient, getTableName, QueryCommand, ScanCommand } = require('../utils/db-client');
+const { loadScheduledEvents, findScheduledTargetEvent } = require('./series-schedule');
 
 // ===================================================================
 // SATELLITE DETECTION PATTERNS
@@ -492,6 +495,20 @@ const resolveSatellite = async ({ game, venueId, autoLink = true }) => {
     gameUpdates.satelliteTargetSeriesId = seriesMatch.series.id;
     gameUpdates.satelliteTargetSeriesName = seriesMatch.series.name;
     gameUpdates.satelliteTargetConfidence = seriesMatch.confidence;
+
+    try {
+      // Alias targets ("colossus") name the series, not the event - fall back
+      // to the full satellite name ("Colossus Main Event Satellite")
+      const scheduledEvents = await loadScheduledEvents(seriesMatch.series.id);
+      const targetEvent = findScheduledTargetEvent(scheduledEvents, target.targetName) ||
+        findScheduledTargetEvent(scheduledEvents, game.name);
+      if (targetEvent) {
+        gameUpdates.satelliteTargetEventId = targetEvent.id;
+        console.log(`[SATELLITE] Target event: #${targetEvent.eventNumber} "${targetEvent.name}"`);
+      }
+    } catch (error) {
+      console.warn('[SATELLITE] Could not load target series schedule:', error.message);
+    }
   } else if (target) {
     // Store suggested target for manual review
     gameUpdates.suggestedSatelliteTarget = target.targetName;
@@ -505,6 +522,7 @@ const resolveSatellite = async ({ game, venueId, autoLink = true }) => {
     linkedSeries: seriesMatch ? {
       seriesId: seriesMatch.series.id,
       seriesName: seriesMatch.series.name,
+      targetEventId: gameUpdates.satelliteTargetEventId || null,
       confidence: seriesMatch.confidence,
       matchDetails: seriesMatch.matchDetails
     } : null,
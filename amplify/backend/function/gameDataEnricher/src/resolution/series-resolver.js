@@ -28,6 +28,14 @@
  * 4. Holiday detection (name + date based) - ENHANCED
  * 5. Temporal matching to find/create TournamentSeries instance
  * 6. Extract series details (dayNumber, flightLetter, eventNumber, etc.)
+ * 7. Match to a scheduled event when the series has an imported schedule
+ *    (series-schedule.js)
+ * 
+ * HOLIDAY CALENDAR (2026-10): holiday detection runs against the entity's
+ * holiday calendar (holiday-calendar.js) for the venue's region when one is
+ * available - real dates per year instead of month windows, plus the
+ * entity's own holidays. Without a calendar it falls back to HOLIDAY_PATTERNS.
+ * Holiday series are created with TournamentSeries.holidayType.
  */
 
 const { v4: uuidv4 } = require('uuid');
@@ -44,6 +52,8 @@ const {
   detectHoliday,
   getHolidayKeywords
 } = require('../utils/constants');
+const { resolveScheduledEvent } = require('./series-schedule');
+const { loadHolidayContext, detectHolidayFromCalendar } = require('./holiday-calendar');
 
 // Series match threshold for fuzzy matching
 const SERIES_MATCH_THRESHOLD = 0.7;
@@ -324,9 +334,10 @@ const matchAgainstPatterns = (gameName) => {
  * 
  * @param {string} name - Tournament name
  * @param {Date} dateObj - Optional game date for holiday context
+ * @param {Object} holidayContext - Optional { calendar, region } from loadHolidayContext
  * @returns {object} Detection result with isSeries, confidence, reason, and holidayMatch
  */
-const detectSeriesSignal = (name, dateObj = null) => {
+const detectSeriesSignal = (name, dateObj = null, holidayContext = null) => {
   if (!name) return { isSeries: false, confidence: 0 };
   
   const lowerName = name.toLowerCase();
@@ -343,14 +354,16 @@ const detectSeriesSignal = (name, dateObj = null) => {
   
   // ===== 3. ENHANCED: Holiday detection (name + date) =====
   // Check if game name contains holiday keywords
-  const holidayNameMatch = detectHolidayFromName ? detectHolidayFromName(name) : null;
+  const holidayNameMatch = holidayContext?.calendar
+    ? detectHolidayFromCalendar(holidayContext.calendar, name, null)
+    : (detectHolidayFromName ? detectHolidayFromName(name) : null);
   
   if (holidayNameMatch) {
     console.log(`[SERIES] Holiday detected in name: "${holidayNameMatch.name}" (confidence: ${holidayNameMatch.confidence.toFixed(2)}, type: ${holidayNameMatch.matchType})`);
     
     // If we also have a date, check for combined match
     if (dateObj) {
-      const combinedMatch = detectHoliday ? detectHoliday(name, dateObj) : holidayNameMatch;
+      const combinedMatch = detectHolidayContextEnhanced(name, dateObj, holidayContext) || holidayNameMatch;
       if (combinedMatch && combinedMatch.matchType === 'NAME_AND_DATE') {
         console.log(`[SERIES] Holiday dual match (name + date): "${combinedMatch.name}" - boosted confidence`);
         return {
@@ -372,7 +385,9 @@ const detectSeriesSignal = (name, dateObj = null) => {
   
   // ===== 4. Date-only holiday detection (fallback) =====
   if (dateObj) {
-    const holidayDateMatch = detectHolidayFromDate ? detectHolidayFromDate(dateObj) : null;
+    const holidayDateMatch = holidayContext?.calendar
+      ? detectHolidayFromCalendar(holidayContext.calendar, null, dateObj, holidayContext.region)
+      : (detectHolidayFromDate ? detectHolidayFromDate(dateObj) : null);
     if (holidayDateMatch) {
       console.log(`[SERIES] Holiday detected from date: "${holidayDateMatch.name}" (confidence: ${holidayDateMatch.confidence.toFixed(2)})`);
       // Date-only match has lower priority - don't automatically mark as series
@@ -396,11 +411,16 @@ const detectSeriesSignal = (name, dateObj = null) => {
 /**
  * Detect holiday context from date (LEGACY - kept for backward compatibility)
  * 
- * @deprecated Use detectHoliday() or detectHolidayFromDate() instead
+ * @deprecated Use detectHolidayContextEnhanced() instead
  * @param {Date} dateObj - Date to check
+ * @param {Object} holidayContext - Optional { calendar, region } from loadHolidayContext
  * @returns {string|null} Holiday name or null
  */
-const detectHolidayContext = (dateObj) => {
+const detectHolidayContext = (dateObj, holidayContext = null) => {
+  if (holidayContext?.calendar) {
+    return detectHolidayFromCalendar(holidayContext.calendar, null, dateObj, holidayContext.region)?.name || null;
+  }
+
   if (!dateObj || !HOLIDAY_PATTERNS) return null;
   
   const month = dateObj.getMonth();
@@ -425,9 +445,15 @@ const detectHolidayContext = (dateObj) => {
  * 
  * @param {string} gameName - Tournament name
  * @param {Date} dateObj - Game date
+ * @param {Object} holidayContext - Optional { calendar, region } from loadHolidayContext
  * @returns {object|null} { name, confidence, matchType, ... } or null
  */
-const detectHolidayContextEnhanced = (gameName, dateObj) => {
+const detectHolidayContextEnhanced = (gameName, dateObj, holidayContext = null) => {
+  // Entity calendar for the venue's region when we have one
+  if (holidayContext?.calendar) {
+    return detectHolidayFromCalendar(holidayContext.calendar, gameName, dateObj, holidayContext.region);
+  }
+
   // Use the new combined detection from constants
   if (detectHoliday) {
     return detectHoliday(gameName, dateObj);
@@ -800,6 +826,7 @@ const getEntityIdFromVenue = async (venueId) => {
  * @param {string} seriesData.venueId - Venue ID (optional)
  * @param {string} seriesData.entityId - Entity ID (optional, will be looked up from venue if not provided)
  * @param {string} seriesData.startDate - Start date (optional)
+ * @param {string} seriesData.holidayType - HolidayType for holiday series (optional)
  * @returns {Object} Created series record
  */
 const createTournamentSeries = async (seriesData) => {
@@ -906,9 +933,10 @@ const generateSeriesName = (titleName, year, month = null, quarter = null) => {
  * @param {Object} params.seriesInput - Series input from caller
  * @param {boolean} params.autoCreate - Whether to auto-create series
  * @param {array} params.venues - Venues for name cleanup (optional)
+ * @param {Object} params.holidayContext - { calendar, region } (optional, loaded when needed)
  * @returns {Object} { gameUpdates, metadata }
  */
-const resolveSeriesAssignment = async ({ game, entityId, seriesInput = {}, autoCreate = true, venues = [] }) => {
+const resolveSeries = async ({ game, entityId, seriesInput = {}, autoCreate = true, venues = [], holidayContext = null }) => {
   const gameStartDateTime = game.gameStartDateTime;
   const venueId = game.venueId;
   const gameName = game.name;
@@ -1018,14 +1046,17 @@ const resolveSeriesAssignment = async ({ game, entityId, seriesInput = {}, autoC
   // ===== STEP 4: Keyword heuristics (ENHANCED with holiday detection) =====
   console.log('[SERIES] Step 4: Trying keyword heuristics (with holiday detection)...');
   
+  // Holiday detection uses the entity calendar for the venue's region
+  const holidays = holidayContext || await loadHolidayContext(entityId, venueId);
+  
   // ENHANCED: Pass date to detectSeriesSignal for combined holiday detection
-  const heuristicSignal = detectSeriesSignal(inputSeriesName || gameName, temporal.date);
+  const heuristicSignal = detectSeriesSignal(inputSeriesName || gameName, temporal.date, holidays);
   
   if (heuristicSignal.isSeries) {
     console.log(`[SERIES] Heuristic signal detected: ${heuristicSignal.reason}`);
     
     // ENHANCED: Use the improved holiday detection
-    const holidayMatch = heuristicSignal.holidayMatch || detectHolidayContextEnhanced(gameName, temporal.date);
+    const holidayMatch = heuristicSignal.holidayMatch || detectHolidayContextEnhanced(gameName, temporal.date, holidays);
     
     let generatedSeriesName = normalizeSeriesName(inputSeriesName || gameName);
     let category = 'SPECIAL';
@@ -1055,7 +1086,8 @@ const resolveSeriesAssignment = async ({ game, entityId, seriesInput = {}, autoC
       quarter,
       autoCreate,
       matchConfidence: heuristicSignal.confidence,
-      matchType: heuristicSignal.holidayMatch ? 'HOLIDAY' : 'HEURISTIC'
+      matchType: heuristicSignal.holidayMatch ? 'HOLIDAY' : 'HEURISTIC',
+      holidayType: holidayMatch?.holidayType || null
     });
     
     return result;
@@ -1078,6 +1110,36 @@ const resolveSeriesAssignment = async ({ game, entityId, seriesInput = {}, autoC
   };
 };
 
+/**
+ * Resolve series assignment, then the scheduled event within the series
+ *
+ * Takes the same params as resolveSeries, plus:
+ * @param {boolean} params.persistScheduleMatch - Flag the matched scheduled event
+ *        MATCHED (only when the game is being saved)
+ * @returns {Object} { gameUpdates, metadata }
+ */
+const resolveSeriesAssignment = async ({ persistScheduleMatch = false, ...params }) => {
+  const resolution = await resolveSeries(params);
+  const tournamentSeriesId = resolution.gameUpdates.tournamentSeriesId;
+  if (!tournamentSeriesId) return resolution;
+
+  try {
+    const scheduled = await resolveScheduledEvent({
+      tournamentSeriesId,
+      game: { ...params.game, ...resolution.gameUpdates },
+      persistMatch: persistScheduleMatch
+    });
+    return {
+      gameUpdates: { ...resolution.gameUpdates, ...scheduled.gameUpdates },
+      metadata: { ...resolution.metadata, ...scheduled.metadata }
+    };
+  } catch (error) {
+    // A schedule lookup failure shouldn't cost the series assignment
+    console.error('[SERIES] Scheduled event matching failed:', error);
+    return resolution;
+  }
+};
+
 /**
  * Resolve to a specific TournamentSeries instance when we have a seriesTitleId
  */
@@ -1211,7 +1273,8 @@ const resolveSeriesFromName = async ({
   quarter,
   autoCreate,
   matchConfidence,
-  matchType
+  matchType,
+  holidayType = null
 }) => {
   const details = extractSeriesDetails(gameName);
   
@@ -1285,7 +1348,8 @@ const resolveSeriesFromName = async ({
         tournamentSeriesTitleId: seriesTitle.id,  // NOW ALWAYS POPULATED
         venueId: venueId || null,
         entityId: entityId || null,  // FIX: Pass entityId to createTournamentSeries
-        startDate: gameStartDateTime
+        startDate: gameStartDateTime,
+        holidayType
       });
       
       return {
@@ -0,0 +1,781 @@
+/**
+ * series-schedule.js
+ * Published series schedules: import, event-level matching and coverage
+ *
+ * A TournamentSeries can carry its published schedule as SeriesScheduledEvent
+ * rows (event number, name, date, buy-in, guarantee). Once series-resolver has
+ * picked the series, the scraped game is matched to one of its events:
+ *
+ *   1. Event number parsed from the game name ("Event #12 - ...") wins outright,
+ *      as long as the date is plausible for that event
+ *   2. Otherwise every event is scored out of 100:
+ *        date       40  same day (35 for Day 2+/final days up to a week later,
+ *                       20 a day either side - flights straddle the listed date)
+ *        buy-in     30  within 2% (15 within 10%)
+ *        name       30  similarity with day/flight/event-number tokens removed
+ *        guarantee +10  within 2%
+ *      The best event at >= 60 is taken unless the runner-up is within 5 points
+ *
+ * Big series are where name-only matching fails: a dozen "$250 NLH" events in
+ * one fortnight only separate on date and buy-in.
+ *
+ * Multi-day events keep one SeriesScheduledEvent; every day/flight game links
+ * to it through Game.seriesScheduledEventId.
+ *
+ * Operations:
+ * - importSeriesSchedule (CSV or JSON, upsert by event number, links existing games)
+ * - getSeriesScheduleCoverage (events never scraped, series games with no event)
+ * - resolveScheduledEvent (for series-resolver use)
+ * - updateScheduledEventGameId (for the save stage, once the game has an ID)
+ * - findScheduledTargetEvent (for satellite-resolver: the event a satellite's seats are for)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const stringSimilarity = require('string-similarity');
+const {
+  getDocClient,
+  getTableName,
+  getItemById,
+  queryByIndex,
+  queryAllByIndex,
+  createItem,
+  updateItem,
+  UpdateCommand
+} = require('../utils/db-client');
+const { toAEST, parseDate } = require('../utils/date-utils');
+
+// ===================================================================
+// CONSTANTS
+// ===================================================================
+
+const SCHEDULED_EVENT_STATUS = {
+  SCHEDULED: 'SCHEDULED',
+  MATCHED: 'MATCHED',
+  CANCELLED: 'CANCELLED'
+};
+
+const SCHEDULE_MATCH_THRESHOLD = 60;
+
+// Runner-up this close to the best score means the schedule can't tell them apart
+const SCHEDULE_AMBIGUITY_MARGIN = 5;
+
+// Day 2 / final day of an event can run this many days after its listed date
+const MAX_EVENT_SPAN_DAYS = 7;
+
+// Games that never ran or were never published don't count as scraped
+const IGNORED_GAME_STATUSES = ['NOT_FOUND', 'NOT_PUBLISHED'];
+
+// Normalized header -> SeriesScheduledEvent field
+const FIELD_ALIASES = {
+  eventnumber: 'eventNumber',
+  event: 'eventNumber',
+  eventno: 'eventNumber',
+  'event#': 'eventNumber',
+  '#': 'eventNumber',
+  number: 'eventNumber',
+  no: 'eventNumber',
+  name: 'name',
+  eventname: 'name',
+  title: 'name',
+  date: 'scheduledDate',
+  scheduleddate: 'scheduledDate',
+  startdate: 'scheduledDate',
+  buyin: 'buyIn',
+  price: 'buyIn',
+  guarantee: 'guaranteeAmount',
+  guaranteeamount: 'guaranteeAmount',
+  guaranteed: 'guaranteeAmount',
+  gtd: 'guaranteeAmount',
+  mainevent: 'isMainEvent',
+  ismainevent: 'isMainEvent',
+  main: 'isMainEvent'
+};
+
+// ===================================================================
+// PARSING
+// ===================================================================
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9#]/g, '');
+
+/**
+ * Split one CSV line, honouring quoted cells ("Event, with comma") and "" escapes
+ */
+const parseCsvLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inQuotes) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  cells.push(cell.trim());
+  return cells;
+};
+
+/**
+ * "$1,100" -> 1100, blanks -> null
+ */
+const parseAmount = (value) => {
+  if (value === null || value === undefined) return null;
+  const cleaned = String(value).replace(/[$,\s]/g, '');
+  if (cleaned === '') return null;
+  const amount = Number(cleaned);
+  return Number.isFinite(amount) ? amount : null;
+};
+
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  return ['true', 'yes', 'y', '1'].includes(String(value || '').trim().toLowerCase());
+};
+
+/**
+ * Schedule dates as YYYY-MM-DD. Accepts ISO dates, ISO date-times (taken in
+ * AEST) and Australian DD/MM/YYYY or DD/MM/YY.
+ */
+const parseScheduleDate = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  let year;
+  let month;
+  let day;
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const au = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+
+  if (iso) {
+    [year, month, day] = iso.slice(1).map(Number);
+  } else if (au) {
+    [day, month, year] = au.slice(1).map(Number);
+    if (year < 100) year += 2000;
+  } else if (text.includes('T')) {
+    return toAEST(text)?.isoDate || null;
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Map one raw row (header -> value) onto a scheduled event
+ *
+ * @returns {Object} { event } or { error }
+ */
+const normalizeScheduleRow = (raw, rowLabel) => {
+  const row = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    const field = FIELD_ALIASES[normalizeHeader(key)];
+    if (field && row[field] === undefined) {
+      row[field] = value;
+    }
+  }
+
+  const eventNumber = parseInt(String(row.eventNumber ?? '').replace(/[^0-9]/g, ''), 10);
+  const name = String(row.name || '').trim();
+  const scheduledDate = parseScheduleDate(row.scheduledDate);
+
+  if (!(eventNumber > 0)) return { error: `${rowLabel}: missing or invalid event number` };
+  if (!name) return { error: `${rowLabel}: missing event name` };
+  if (!scheduledDate) return { error: `${rowLabel}: missing or invalid date "${row.scheduledDate ?? ''}"` };
+
+  return {
+    event: {
+      eventNumber,
+      name,
+      scheduledDate,
+      buyIn: parseAmount(row.buyIn),
+      guaranteeAmount: parseAmount(row.guaranteeAmount),
+      isMainEvent: row.isMainEvent !== undefined && row.isMainEvent !== ''
+        ? parseBoolean(row.isMainEvent)
+        : /\bmain\s*event\b/i.test(name)
+    }
+  };
+};
+
+/**
+ * Parse a published schedule
+ *
+ * CSV needs a header row; JSON is an array of rows (or { events: [...] }).
+ * Headers are matched loosely: "Event #", "Buy-In", "GTD", "Date" all work.
+ *
+ * @param {string} format - 'CSV' | 'JSON'
+ * @param {string} data - Raw schedule
+ * @returns {Object} { events, errors } - bad rows are reported, not fatal
+ */
+const parseSeriesSchedule = (format, data) => {
+  const errors = [];
+  let rows = [];
+
+  if (format === 'JSON') {
+    try {
+      const parsed = JSON.parse(data);
+      rows = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.events) ? parsed.events : null);
+      if (!rows) {
+        return { events: [], errors: ['JSON must be an array of events or { "events": [...] }'] };
+      }
+    } catch (error) {
+      return { events: [], errors: [`Invalid JSON: ${error.message}`] };
+    }
+  } else {
+    const lines = String(data || '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) {
+      return { events: [], errors: ['CSV needs a header row and at least one event'] };
+    }
+    const headers = parseCsvLine(lines[0]);
+    rows = lines.slice(1).map(line => {
+      const cells = parseCsvLine(line);
+      return Object.fromEntries(headers.map((header, i) => [header, cells[i] ?? '']));
+    });
+  }
+
+  const events = [];
+  const seen = new Set();
+
+  rows.forEach((raw, index) => {
+    // CSV row 1 is the header
+    const rowLabel = `Row ${format === 'JSON' ? index + 1 : index + 2}`;
+    const { event, error } = normalizeScheduleRow(raw, rowLabel);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    if (seen.has(event.eventNumber)) {
+      errors.push(`${rowLabel}: duplicate event number ${event.eventNumber}`);
+      return;
+    }
+    seen.add(event.eventNumber);
+    events.push(event);
+  });
+
+  events.sort((a, b) => a.eventNumber - b.eventNumber);
+  return { events, errors };
+};
+
+// ===================================================================
+// MATCHING
+// ===================================================================
+
+const DAY_FLIGHT_PATTERN = /(\bday\s*\d+[a-z]?\b|\bflight\s*[a-z0-9]+\b|\bfinal\s*day\b|\bevent\s*#?\s*\d+\b|#\s*\d+\b)/gi;
+
+/**
+ * Event name without the parts that differ between flights of one event
+ */
+const cleanEventName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(DAY_FLIGHT_PATTERN, ' ')
+  .replace(/[^a-z0-9$ ]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const daysBetween = (fromDate, toDate) =>
+  Math.round((parseDate(toDate).getTime() - parseDate(fromDate).getTime()) / (24 * 60 * 60 * 1000));
+
+const withinPct = (actual, expected, pct) =>
+  expected > 0 && actual > 0 && Math.abs(actual - expected) / expected <= pct;
+
+/**
+ * Whether a game date fits an event: on the day, a day either side, or a
+ * later day of a multi-day event
+ */
+const isPlausibleEventDate = (offset, game) =>
+  Math.abs(offset) <= 1 ||
+  (offset > 0 && offset <= MAX_EVENT_SPAN_DAYS && (game.dayNumber > 1 || !!game.finalDay));
+
+/**
+ * Score a scheduled event against a game (0-100)
+ */
+const scoreScheduledEvent = (event, game) => {
+  let score = 0;
+
+  const gameDate = game.gameStartDateTime ? toAEST(game.gameStartDateTime)?.isoDate : null;
+  if (gameDate) {
+    const offset = daysBetween(event.scheduledDate, gameDate);
+    if (offset === 0) {
+      score += 40;
+    } else if (offset > 0 && offset <= MAX_EVENT_SPAN_DAYS && (game.dayNumber > 1 || game.finalDay)) {
+      score += 35;
+    } else if (Math.abs(offset) <= 1) {
+      score += 20;
+    }
+  }
+
+  if (withinPct(game.buyIn, event.buyIn, 0.02)) {
+    score += 30;
+  } else if (withinPct(game.buyIn, event.buyIn, 0.10)) {
+    score += 15;
+  }
+
+  const eventName = cleanEventName(event.name);
+  const gameName = cleanEventName(game.name);
+  if (eventName && gameName) {
+    score += Math.round(stringSimilarity.compareTwoStrings(eventName, gameName) * 30);
+  }
+
+  if (withinPct(game.guaranteeAmount, event.guaranteeAmount, 0.02)) {
+    score += 10;
+  }
+
+  return Math.min(score, 100);
+};
+
+/**
+ * Pick the scheduled event a game belongs to
+ *
+ * @param {Array} events - SeriesScheduledEvent rows (or parsed rows)
+ * @param {Object} game - Needs name, gameStartDateTime, buyIn; uses eventNumber,
+ *                        dayNumber, finalDay, guaranteeAmount when present
+ * @returns {Object} { event, confidence, matchReason } - event is null when unmatched
+ */
+const matchScheduledEvent = (events, game) => {
+  const candidates = (events || []).filter(e => e.status !== SCHEDULED_EVENT_STATUS.CANCELLED);
+  if (candidates.length === 0) {
+    return { event: null, confidence: 0, matchReason: 'no_schedule' };
+  }
+
+  const gameDate = game.gameStartDateTime ? toAEST(game.gameStartDateTime)?.isoDate : null;
+
+  if (game.eventNumber) {
+    const byNumber = candidates.find(e => e.eventNumber === game.eventNumber);
+    if (byNumber && (!gameDate || isPlausibleEventDate(daysBetween(byNumber.scheduledDate, gameDate), game))) {
+      return { event: byNumber, confidence: 0.95, matchReason: 'event_number' };
+    }
+  }
+
+  const scored = candidates
+    .map(event => ({ event, score: scoreScheduledEvent(event, game) }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scored;
+  if (best.score < SCHEDULE_MATCH_THRESHOLD) {
+    return { event: null, confidence: best.score / 100, matchReason: 'no_match' };
+  }
+  if (runnerUp && best.score - runnerUp.score < SCHEDULE_AMBIGUITY_MARGIN) {
+    console.log(`[SCHEDULE] Ambiguous: #${best.event.eventNumber} (${best.score}) vs #${runnerUp.event.eventNumber} (${runnerUp.score})`);
+    return { event: null, confidence: best.score / 100, matchReason: 'ambiguous' };
+  }
+
+  return { event: best.event, confidence: best.score / 100, matchReason: 'schedule_match' };
+};
+
+/**
+ * Scheduled event a satellite's seats are for, from the target name the
+ * satellite-resolver extracted ("Main Event", "$550 Mini Main", ...)
+ *
+ * @returns {Object|null} Event, or null when the name doesn't pick one out
+ */
+const findScheduledTargetEvent = (events, targetName) => {
+  const candidates = (events || []).filter(e => e.status !== SCHEDULED_EVENT_STATUS.CANCELLED);
+  const target = cleanEventName(targetName);
+  if (candidates.length === 0 || !target) return null;
+
+  // "Main Event" satellites feed the main event, not the "Mini Main"
+  if (/\bmain\b/.test(target) && !/\bmini\b/.test(target)) {
+    const mainEvents = candidates.filter(e => e.isMainEvent);
+    if (mainEvents.length === 1) return mainEvents[0];
+  }
+
+  const scored = candidates
+    .map(event => ({ event, similarity: stringSimilarity.compareTwoStrings(target, cleanEventName(event.name)) }))
+    .sort((a, b) => b.similarity - a.similarity);
+
+  return scored[0].similarity >= 0.6 ? scored[0].event : null;
+};
+
+// ===================================================================
+// DATABASE OPERATIONS
+// ===================================================================
+
+const loadScheduledEvents = async (tournamentSeriesId) => {
+  const items = await queryByIndex(
+    'SeriesScheduledEvent',
+    'byTournamentSeriesScheduledEvent',
+    'tournamentSeriesId = :tournamentSeriesId',
+    { ':tournamentSeriesId': tournamentSeriesId }
+  );
+  return items
+    .filter(item => !item._deleted)
+    .sort((a, b) => a.eventNumber - b.eventNumber);
+};
+
+/**
+ * Every game in a series - only the fields matching and coverage need
+ */
+const loadSeriesGames = async (tournamentSeriesId) => {
+  const games = await queryAllByIndex(
+    'Game',
+    'byTournamentSeries',
+    'tournamentSeriesId = :tournamentSeriesId',
+    { ':tournamentSeriesId': tournamentSeriesId },
+    {
+      projection: '#id, #name, gameStartDateTime, gameStatus, buyIn, guaranteeAmount, eventNumber, dayNumber, finalDay, isMainEvent, seriesScheduledEventId, #version, #deleted',
+      attributeNames: { '#id': 'id', '#name': 'name', '#version': '_version', '#deleted': '_deleted' }
+    }
+  );
+
+  return games.filter(game => !IGNORED_GAME_STATUSES.includes(game.gameStatus));
+};
+
+/**
+ * Flag a scheduled event as scraped. The first game linked is kept as
+ * matchedGameId; later days/flights only link from the Game side.
+ */
+const markEventMatched = async (event, gameId, confidence) => {
+  if (event.status === SCHEDULED_EVENT_STATUS.MATCHED && event.matchedGameId) return event;
+
+  return updateItem('SeriesScheduledEvent', event.id, {
+    status: SCHEDULED_EVENT_STATUS.MATCHED,
+    matchedGameId: event.matchedGameId || gameId || null,
+    matchConfidence: confidence,
+    matchedAt: new Date().toISOString(),
+    _version: (event._version || 1) + 1
+  });
+};
+
+/**
+ * Record the saved game's ID on an event matched before the game existed
+ *
+ * @returns {Promise<boolean>} Whether the event was updated
+ */
+const updateScheduledEventGameId = async (scheduledEventId, gameId) => {
+  try {
+    await getDocClient().send(new UpdateCommand({
+      TableName: getTableName('SeriesScheduledEvent'),
+      Key: { id: scheduledEventId },
+      UpdateExpression: 'SET matchedGameId = :gameId, updatedAt = :now, #lastChangedAt = :timestamp ADD #version :one',
+      ConditionExpression: 'attribute_exists(id) AND (attribute_not_exists(matchedGameId) OR matchedGameId = :null)',
+      ExpressionAttributeNames: { '#version': '_version', '#lastChangedAt': '_lastChangedAt' },
+      ExpressionAttributeValues: {
+        ':gameId': gameId,
+        ':now': new Date().toISOString(),
+        ':timestamp': Date.now(),
+        ':one': 1,
+        ':null': null
+      }
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') return false;
+    throw error;
+  }
+};
+
+// ===================================================================
+// SUMMARIES
+// ===================================================================
+
+const todayAEST = () => toAEST(new Date()).isoDate;
+
+const toEventSummary = (event, games, today) => {
+  const gameCount = games.length;
+  const cancelled = event.status === SCHEDULED_EVENT_STATUS.CANCELLED;
+
+  return {
+    id: event.id || null,
+    eventNumber: event.eventNumber,
+    name: event.name,
+    scheduledDate: event.scheduledDate,
+    buyIn: event.buyIn ?? null,
+    guaranteeAmount: event.guaranteeAmount ?? null,
+    isMainEvent: !!event.isMainEvent,
+    status: gameCount > 0 && !cancelled ? SCHEDULED_EVENT_STATUS.MATCHED : (event.status || SCHEDULED_EVENT_STATUS.SCHEDULED),
+    gameCount,
+    matchedGameId: event.matchedGameId || games[0]?.id || null,
+    matchConfidence: event.matchConfidence ?? null,
+    isMissing: !cancelled && gameCount === 0 && event.scheduledDate < today
+  };
+};
+
+// ===================================================================
+// RESOLVER HOOK
+// ===================================================================
+
+/**
+ * Match a game to its series' scheduled event (series-resolver, after the
+ * series is known). Series without an imported schedule are left alone.
+ *
+ * @param {Object} params
+ * @param {string} params.tournamentSeriesId
+ * @param {Object} params.game - Game with series details applied
+ * @param {boolean} params.persistMatch - Flag the event MATCHED (not for previews/dry runs)
+ * @returns {Promise<Object>} { gameUpdates, metadata }
+ */
+const resolveScheduledEvent = async ({ tournamentSeriesId, game, persistMatch = false }) => {
+  const events = await loadScheduledEvents(tournamentSeriesId);
+  if (events.length === 0) {
+    return { gameUpdates: {}, metadata: { scheduledEventMatchReason: 'no_schedule' } };
+  }
+
+  const match = matchScheduledEvent(events, game);
+  if (!match.event) {
+    console.log(`[SCHEDULE] No scheduled event for "${game.name}" (${match.matchReason})`);
+    return {
+      gameUpdates: {},
+      metadata: { scheduledEventConfidence: match.confidence, scheduledEventMatchReason: match.matchReason }
+    };
+  }
+
+  console.log(`[SCHEDULE] Matched "${game.name}" to event #${match.event.eventNumber} "${match.event.name}" (${match.matchReason}, ${match.confidence.toFixed(2)})`);
+
+  if (persistMatch) {
+    await markEventMatched(match.event, game.id, match.confidence);
+  }
+
+  return {
+    gameUpdates: { seriesScheduledEventId: match.event.id },
+    metadata: {
+      scheduledEventId: match.event.id,
+      scheduledEventNumber: match.event.eventNumber,
+      scheduledEventConfidence: match.confidence,
+      scheduledEventMatchReason: match.matchReason
+    }
+  };
+};
+
+// ===================================================================
+// OPERATIONS
+// ===================================================================
+
+/**
+ * Import a published schedule into a series
+ *
+ * Events are upserted by event number - re-importing an updated schedule
+ * refreshes names, dates and amounts without losing matches. Series games
+ * not yet linked to an event are matched against the new schedule.
+ *
+ * @param {Object} input - { tournamentSeriesId, format, data, preview }
+ */
+const importSeriesSchedule = async ({ tournamentSeriesId, format, data, preview = true }) => {
+  console.log(`[importSeriesSchedule] Series ${tournamentSeriesId}, format=${format}, preview=${preview}`);
+
+  const emptyResult = {
+    success: false,
+    tournamentSeriesId,
+    preview,
+    eventsParsed: 0,
+    eventsCreated: 0,
+    eventsUpdated: 0,
+    gamesLinked: 0,
+    parseErrors: [],
+    events: []
+  };
+
+  try {
+    const series = await getItemById('TournamentSeries', tournamentSeriesId);
+    if (!series) {
+      return { ...emptyResult, error: `Tournament series ${tournamentSeriesId} not found` };
+    }
+
+    const { events: parsed, errors: parseErrors } = parseSeriesSchedule(format, data);
+    if (parsed.length === 0) {
+      return { ...emptyResult, parseErrors, error: 'No valid events found in schedule' };
+    }
+
+    const existing = await loadScheduledEvents(tournamentSeriesId);
+    const existingByNumber = new Map(existing.map(e => [e.eventNumber, e]));
+
+    let eventsCreated = 0;
+    let eventsUpdated = 0;
+    const schedule = [];
+
+    for (const row of parsed) {
+      const current = existingByNumber.get(row.eventNumber);
+
+      if (!current) {
+        eventsCreated++;
+        const event = {
+          id: preview ? null : uuidv4(),
+          tournamentSeriesId,
+          entityId: series.entityId || null,
+          ...row,
+          status: SCHEDULED_EVENT_STATUS.SCHEDULED
+        };
+        schedule.push(preview ? event : await createItem('SeriesScheduledEvent', event));
+        continue;
+      }
+
+      const changes = Object.fromEntries(
+        ['name', 'scheduledDate', 'buyIn', 'guaranteeAmount', 'isMainEvent']
+          .filter(field => (current[field] ?? null) !== (row[field] ?? null))
+          .map(field => [field, row[field]])
+      );
+
+      if (Object.keys(changes).length === 0) {
+        schedule.push(current);
+        continue;
+      }
+
+      eventsUpdated++;
+      schedule.push(preview
+        ? { ...current, ...changes }
+        : await updateItem('SeriesScheduledEvent', current.id, { ...changes, _version: (current._version || 1) + 1 }));
+    }
+
+    // Events already in the series but missing from this file stay as they are
+    const imported = new Set(parsed.map(row => row.eventNumber));
+    const allEvents = [...schedule, ...existing.filter(e => !imported.has(e.eventNumber))]
+      .sort((a, b) => a.eventNumber - b.eventNumber);
+
+    // Link already-scraped games that have no event yet
+    const games = await loadSeriesGames(tournamentSeriesId);
+    const gamesByEventNumber = new Map();
+    const eventNumberById = new Map(allEvents.filter(e => e.id).map(e => [e.id, e.eventNumber]));
+    let gamesLinked = 0;
+
+    for (const game of games) {
+      let eventNumber = eventNumberById.get(game.seriesScheduledEventId);
+
+      if (eventNumber === undefined) {
+        const match = matchScheduledEvent(allEvents, game);
+        if (!match.event) continue;
+
+        eventNumber = match.event.eventNumber;
+        gamesLinked++;
+        if (!preview) {
+          await updateItem('Game', game.id, {
+            seriesScheduledEventId: match.event.id,
+            _version: (game._version || 1) + 1
+          });
+          const updated = await markEventMatched(match.event, game.id, match.confidence);
+          Object.assign(match.event, updated);
+        }
+      }
+
+      if (!gamesByEventNumber.has(eventNumber)) gamesByEventNumber.set(eventNumber, []);
+      gamesByEventNumber.get(eventNumber).push(game);
+    }
+
+    if (!preview) {
+      const guaranteed = allEvents.reduce((sum, e) => sum + (e.guaranteeAmount || 0), 0);
+      await updateItem('TournamentSeries', tournamentSeriesId, {
+        numberOfEvents: allEvents.length,
+        ...(guaranteed > 0 && { guaranteedPrizepool: guaranteed }),
+        _version: (series._version || 1) + 1
+      });
+    }
+
+    const today = todayAEST();
+    console.log(`[importSeriesSchedule] Parsed ${parsed.length}, created ${eventsCreated}, updated ${eventsUpdated}, linked ${gamesLinked} games, ${parseErrors.length} row errors`);
+
+    return {
+      success: true,
+      tournamentSeriesId,
+      preview,
+      eventsParsed: parsed.length,
+      eventsCreated,
+      eventsUpdated,
+      gamesLinked,
+      parseErrors,
+      events: allEvents.map(e => toEventSummary(e, gamesByEventNumber.get(e.eventNumber) || [], today))
+    };
+  } catch (error) {
+    console.error('[importSeriesSchedule] Error:', error);
+    return { ...emptyResult, error: error.message || 'Unknown error' };
+  }
+};
+
+/**
+ * Scheduled events with their scraped games. Past events with no game are
+ * the ones the scraper never picked up.
+ *
+ * @param {string} tournamentSeriesId
+ */
+const getSeriesScheduleCoverage = async (tournamentSeriesId) => {
+  try {
+    const [series, events, games] = await Promise.all([
+      getItemById('TournamentSeries', tournamentSeriesId),
+      loadScheduledEvents(tournamentSeriesId),
+      loadSeriesGames(tournamentSeriesId)
+    ]);
+
+    const gamesByEvent = new Map();
+    let unmatchedGames = 0;
+    for (const game of games) {
+      if (!game.seriesScheduledEventId) {
+        unmatchedGames++;
+        continue;
+      }
+      if (!gamesByEvent.has(game.seriesScheduledEventId)) gamesByEvent.set(game.seriesScheduledEventId, []);
+      gamesByEvent.get(game.seriesScheduledEventId).push(game);
+    }
+
+    const today = todayAEST();
+    const summaries = events.map(e => toEventSummary(e, gamesByEvent.get(e.id) || [], today));
+    const cancelled = summaries.filter(s => s.status === SCHEDULED_EVENT_STATUS.CANCELLED);
+
+    return {
+      success: true,
+      tournamentSeriesId,
+      seriesName: series?.name || null,
+      totalEvents: summaries.length,
+      matchedEvents: summaries.filter(s => s.gameCount > 0).length,
+      missingEvents: summaries.filter(s => s.isMissing).length,
+      upcomingEvents: summaries.filter(s => s.gameCount === 0 && !s.isMissing && s.status !== SCHEDULED_EVENT_STATUS.CANCELLED).length,
+      cancelledEvents: cancelled.length,
+      unmatchedGames: events.length > 0 ? unmatchedGames : 0,
+      events: summaries
+    };
+  } catch (error) {
+    console.error('[getSeriesScheduleCoverage] Error:', error);
+    return {
+      success: false,
+      tournamentSeriesId,
+      totalEvents: 0,
+      matchedEvents: 0,
+      missingEvents: 0,
+      upcomingEvents: 0,
+      cancelledEvents: 0,
+      unmatchedGames: 0,
+      events: [],
+      error: error.message || 'Unknown error'
+    };
+  }
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+module.exports = {
+  SCHEDULED_EVENT_STATUS,
+  SCHEDULE_MATCH_THRESHOLD,
+
+  // Operations
+  importSeriesSchedule,
+  getSeriesScheduleCoverage,
+
+  // Resolver use
+  resolveScheduledEvent,
+  updateScheduledEventGameId,
+  findScheduledTargetEvent,
+  loadScheduledEvents,
+  loadSeriesGames,
+
+  // Pure helpers
+  parseSeriesSchedule,
+  parseScheduleDate,
+  scoreScheduledEvent,
+  matchScheduledEvent
+};
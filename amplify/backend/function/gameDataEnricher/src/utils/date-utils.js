@@ -503,7 +503,7 @@ const calculateExpectedDates = (recurringGame, startDate, endDate) => {
 /**
  * Calculate consecutive misses by looking at recent instances
  * 
- * @param {Array<{expectedDate: string, status: string}>} instances - Instance records
+ * @param {Array<{expectedDate: string, status: string, holidayName?: string}>} instances - Instance records
  * @returns {number} - Number of consecutive misses
  */
 const calculateConsecutiveMisses = (instances) => {
@@ -520,6 +520,9 @@ const calculateConsecutiveMisses = (instances) => {
         if (instance.status === 'CONFIRMED') {
             break; // Found a confirmed instance, stop counting
         }
+        if (instance.holidayName) {
+            continue; // Public holiday - neither a miss nor a run
+        }
         if (['CANCELLED', 'SKIPPED', 'NO_SHOW', 'UNKNOWN'].includes(instance.status)) {
             consecutiveMisses++;
         }
@@ -111,6 +111,48 @@ const queryByIndex = async (modelName, indexName, keyCondition, keyValues, filte
   }
 };
 
+/**
+ * Query every page of a GSI partition (queryByIndex stops at the first page)
+ *
+ * Soft-deleted items (_deleted) are dropped.
+ *
+ * @param {string} modelName
+ * @param {string} indexName
+ * @param {string} keyCondition - e.g. 'gameId = :gameId'
+ * @param {Object} keyValues - e.g. { ':gameId': gameId }
+ * @param {Object} options
+ * @param {string} options.projection - ProjectionExpression
+ * @param {Object} options.attributeNames - ExpressionAttributeNames
+ * @returns {Promise<Array>}
+ */
+const queryAllByIndex = async (modelName, indexName, keyCondition, keyValues, { projection = null, attributeNames = null } = {}) => {
+  const client = getDocClient();
+  const tableName = getTableName(modelName);
+  const items = [];
+  let lastEvaluatedKey;
+
+  try {
+    do {
+      const result = await client.send(new QueryCommand({
+        TableName: tableName,
+        IndexName: indexName,
+        KeyConditionExpression: keyCondition,
+        ExpressionAttributeValues: keyValues,
+        ...(projection && { ProjectionExpression: projection }),
+        ...(attributeNames && { ExpressionAttributeNames: attributeNames }),
+        ExclusiveStartKey: lastEvaluatedKey
+      }));
+      items.push(...(result.Items || []));
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+  } catch (error) {
+    console.error(`[DB] Error querying all ${modelName} by index ${indexName}:`, error);
+    throw error;
+  }
+
+  return items.filter(item => !item._deleted);
+};
+
 /**
  * Create a new item
  */
@@ -213,6 +255,7 @@ module.exports = {
   getTableName,
   getItemById,
   queryByIndex,
+  queryAllByIndex,
   createItem,
   updateItem,
   scanTable,
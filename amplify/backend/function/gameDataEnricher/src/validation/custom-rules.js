@@ -0,0 +1,377 @@
+/**
+ * custom-rules.js
+ * Entity-scoped validation rules (ValidationRule records)
+ *
+ * Each rule has a condition over game fields; when the condition is TRUE the
+ * rule fires and adds an error or warning with the rule's message:
+ *
+ *   condition: rake > buyIn * 0.15
+ *   severity:  WARNING
+ *   message:   Rake {rake} is over 15% of buy-in {buyIn}
+ *
+ * CONDITION SYNTAX:
+ * - Game fields by name (buyIn, totalEntries, gameVariant, ...)
+ * - Numbers, 'strings', true, false, null
+ * - + - * /   == != > >= < <=   && || !   ( )
+ * - abs(x), min(a, b, ...), max(a, b, ...)
+ * Missing fields are null; arithmetic or ordering comparisons involving null
+ * are false, so "guaranteeAmount > 0" doesn't fire when there's no guarantee.
+ *
+ * A rule can also list built-in codes (suppressCodes) to drop for the entity,
+ * e.g. HIGH_RAKE_PERCENTAGE when the club's own rake rule replaces it.
+ *
+ * Must match src/lib/validation.ts (evaluateRuleCondition) on the frontend -
+ * custom-rules.test.js runs the same conditions through both.
+ */
+
+const { queryByIndex } = require('../utils/db-client');
+
+const RULE_SEVERITY = {
+  ERROR: 'ERROR',
+  WARNING: 'WARNING'
+};
+
+const CUSTOM_RULE_CODE = 'CUSTOM_RULE';
+const INVALID_RULE_CODE = 'CUSTOM_RULE_INVALID';
+
+// Rules change rarely - cache per entity for 5 minutes
+const RULE_CACHE_TTL_MS = 5 * 60 * 1000;
+const ruleCache = new Map();
+
+// Parsed conditions, keyed by condition text
+const conditionCache = new Map();
+
+const FUNCTIONS = {
+  abs: (x) => (x === null ? null : Math.abs(x)),
+  min: (...args) => (args.some(a => a === null) ? null : Math.min(...args)),
+  max: (...args) => (args.some(a => a === null) ? null : Math.max(...args))
+};
+
+// ===================================================================
+// PARSER
+// ===================================================================
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|'([^']*)'|"([^"]*)"|([A-Za-z_][A-Za-z0-9_]*)|(&&|\|\||==|!=|>=|<=|[-+*/()<>!,]))/y;
+
+const tokenize = (text) => {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    if (/^\s*$/.test(text.slice(TOKEN_PATTERN.lastIndex))) break;
+
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      throw new Error(`Unexpected character at position ${start + 1}`);
+    }
+
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'string', value: match[2] });
+    else if (match[3] !== undefined) tokens.push({ type: 'string', value: match[3] });
+    else if (match[4] !== undefined) tokens.push({ type: 'name', value: match[4] });
+    else tokens.push({ type: 'op', value: match[5] });
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a condition into a small AST (recursive descent)
+ * Precedence: || < && < comparison < + - < * / < unary ! -
+ *
+ * @param {string} text - Condition text
+ * @returns {Object} AST node
+ * @throws {Error} On syntax errors
+ */
+const parseCondition = (text) => {
+  if (conditionCache.has(text)) return conditionCache.get(text);
+
+  const tokens = tokenize(text);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+  const expectOp = (op) => {
+    if (!isOp(op)) throw new Error(`Expected "${op}"`);
+    pos++;
+  };
+
+  const binary = (next, ops) => () => {
+    let node = next();
+    while (isOp(...ops)) {
+      const op = tokens[pos++].value;
+      node = { type: 'binary', op, left: node, right: next() };
+    }
+    return node;
+  };
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Unexpected end of condition');
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      if (token.value === 'true') return { type: 'literal', value: true };
+      if (token.value === 'false') return { type: 'literal', value: false };
+      if (token.value === 'null') return { type: 'literal', value: null };
+
+      if (isOp('(')) {
+        // Own properties only - toString(), constructor() etc. are typos too
+        if (!Object.hasOwn(FUNCTIONS, token.value)) throw new Error(`Unknown function "${token.value}"`);
+        pos++;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(or());
+          while (isOp(',')) {
+            pos++;
+            args.push(or());
+          }
+        }
+        expectOp(')');
+        return { type: 'call', name: token.value, args };
+      }
+
+      return { type: 'field', name: token.value };
+    }
+
+    if (token.value === '(') {
+      const node = or();
+      expectOp(')');
+      return node;
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const unary = () => {
+    if (isOp('!', '-')) {
+      const op = tokens[pos++].value;
+      return { type: 'unary', op, operand: unary() };
+    }
+    return primary();
+  };
+
+  const multiplicative = binary(unary, ['*', '/']);
+  const additive = binary(multiplicative, ['+', '-']);
+  const comparison = binary(additive, ['==', '!=', '>', '>=', '<', '<=']);
+  const and = binary(comparison, ['&&']);
+  const or = binary(and, ['||']);
+
+  const ast = or();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${tokens[pos].value}"`);
+  }
+
+  conditionCache.set(text, ast);
+  return ast;
+};
+
+// ===================================================================
+// EVALUATION
+// ===================================================================
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+};
+
+const evaluateNode = (node, game) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'field': {
+      const value = Object.hasOwn(game, node.name) ? game[node.name] : undefined;
+      return value === undefined ? null : value;
+    }
+
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => toNumber(evaluateNode(arg, game))));
+
+    case 'unary': {
+      const value = evaluateNode(node.operand, game);
+      if (node.op === '!') return !value;
+      const num = toNumber(value);
+      return num === null ? null : -num;
+    }
+
+    case 'binary': {
+      if (node.op === '&&') return !!evaluateNode(node.left, game) && !!evaluateNode(node.right, game);
+      if (node.op === '||') return !!evaluateNode(node.left, game) || !!evaluateNode(node.right, game);
+
+      const left = evaluateNode(node.left, game);
+      const right = evaluateNode(node.right, game);
+
+      if (node.op === '==') return left === right || (toNumber(left) !== null && toNumber(left) === toNumber(right));
+      if (node.op === '!=') return !(left === right || (toNumber(left) !== null && toNumber(left) === toNumber(right)));
+
+      // Strings compare as strings, everything else as numbers
+      if (typeof left === 'string' && typeof right === 'string' && ['>', '>=', '<', '<='].includes(node.op)) {
+        if (node.op === '>') return left > right;
+        if (node.op === '>=') return left >= right;
+        if (node.op === '<') return left < right;
+        return left <= right;
+      }
+
+      const a = toNumber(left);
+      const b = toNumber(right);
+      if (a === null || b === null) {
+        return ['+', '-', '*', '/'].includes(node.op) ? null : false;
+      }
+
+      switch (node.op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return b === 0 ? null : a / b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: throw new Error(`Unknown operator "${node.op}"`);
+      }
+    }
+
+    default:
+      throw new Error(`Unknown node "${node.type}"`);
+  }
+};
+
+/**
+ * Evaluate a rule condition against a game
+ *
+ * @param {string} condition - Condition text
+ * @param {Object} game - Game data
+ * @returns {boolean} True when the rule fires
+ * @throws {Error} On syntax errors
+ */
+const evaluateCondition = (condition, game) => !!evaluateNode(parseCondition(condition), game || {});
+
+/**
+ * Replace {field} placeholders in a rule message with game values
+ */
+const formatRuleMessage = (message, game) =>
+  (message || '').replace(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, field) => {
+    const value = game && Object.hasOwn(game, field) ? game[field] : undefined;
+    return value === undefined || value === null ? '-' : String(value);
+  });
+
+/**
+ * Run an entity's custom rules against a game
+ *
+ * Rules that fail to parse add a warning (CUSTOM_RULE_INVALID) rather than
+ * failing the game, so a typo in one rule never blocks a save.
+ *
+ * @param {Object} game - Game data (after auto-correction)
+ * @param {Array} rules - ValidationRule records
+ * @returns {Object} { errors: [], warnings: [] }
+ */
+const validateCustomRules = (game, rules = []) => {
+  const errors = [];
+  const warnings = [];
+
+  for (const rule of rules) {
+    if (!rule || rule.enabled === false || !rule.condition) continue;
+
+    let fired;
+    try {
+      fired = evaluateCondition(rule.condition, game);
+    } catch (error) {
+      warnings.push({
+        field: rule.field || '_rule',
+        message: `Rule "${rule.name}" could not be evaluated: ${error.message}`,
+        code: INVALID_RULE_CODE,
+        ruleId: rule.id || null
+      });
+      continue;
+    }
+
+    if (!fired) continue;
+
+    const issue = {
+      field: rule.field || '_rule',
+      message: formatRuleMessage(rule.message || rule.name, game),
+      code: CUSTOM_RULE_CODE,
+      ruleId: rule.id || null
+    };
+
+    if (rule.severity === RULE_SEVERITY.ERROR) {
+      errors.push(issue);
+    } else {
+      warnings.push(issue);
+    }
+  }
+
+  return { errors, warnings };
+};
+
+/**
+ * Built-in codes the entity's enabled rules replace
+ *
+ * @param {Array} rules - ValidationRule records
+ * @returns {Set<string>}
+ */
+const getSuppressedCodes = (rules = []) => new Set(
+  rules
+    .filter(rule => rule && rule.enabled !== false)
+    .flatMap(rule => rule.suppressCodes || [])
+    .filter(Boolean)
+);
+
+// ===================================================================
+// LOADING
+// ===================================================================
+
+/**
+ * Load an entity's enabled ValidationRule records (cached 5 minutes)
+ * A read failure returns no rules so built-in validation still runs.
+ *
+ * @param {string} entityId
+ * @returns {Promise<Array>}
+ */
+const loadEntityValidationRules = async (entityId) => {
+  if (!entityId) return [];
+
+  const cached = ruleCache.get(entityId);
+  if (cached && Date.now() - cached.loadedAt < RULE_CACHE_TTL_MS) {
+    return cached.rules;
+  }
+
+  try {
+    const items = await queryByIndex(
+      'ValidationRule',
+      'byEntityValidationRule',
+      'entityId = :entityId',
+      { ':entityId': entityId }
+    );
+    const rules = items.filter(rule => !rule._deleted && rule.enabled !== false);
+
+    ruleCache.set(entityId, { rules, loadedAt: Date.now() });
+    return rules;
+  } catch (error) {
+    console.warn(`[VALIDATION] Could not load validation rules for entity ${entityId}: ${error.message}`);
+    return [];
+  }
+};
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+module.exports = {
+  RULE_SEVERITY,
+  CUSTOM_RULE_CODE,
+  INVALID_RULE_CODE,
+  parseCondition,
+  evaluateCondition,
+  formatRuleMessage,
+  validateCustomRules,
+  getSuppressedCodes,
+  loadEntityValidationRules
+};
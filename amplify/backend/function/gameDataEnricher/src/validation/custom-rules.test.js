@@ -0,0 +1,98 @@
+/**
+ * Parity checks for custom-rules.js and its frontend copy in
+ * src/lib/validation.ts - every case runs through both evaluators.
+ * Run with `npm test` from the repo root (needs the root devDependencies
+ * for esbuild).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const Module = require('node:module');
+const { buildSync } = require('esbuild');
+
+const { evaluateCondition, formatRuleMessage } = require('./custom-rules');
+
+const loadFrontendValidation = () => {
+  const entry = path.resolve(__dirname, '../../../../../../src/lib/validation.ts');
+  const { outputFiles } = buildSync({
+    entryPoints: [entry],
+    bundle: true,
+    write: false,
+    format: 'cjs',
+    platform: 'node',
+    logLevel: 'silent'
+  });
+  const mod = new Module(entry);
+  mod._compile(outputFiles[0].text, entry);
+  return mod.exports;
+};
+
+const frontend = loadFrontendValidation();
+
+const GAME = {
+  buyIn: 150,
+  rake: 25,
+  totalEntries: 24,
+  guaranteeAmount: null,
+  gameVariant: 'NLHE',
+  isSatellite: false,
+  prizepoolPaid: '3000'
+};
+
+// [condition, game, expected]
+const CASES = [
+  ['rake > buyIn * 0.15', GAME, true],
+  ['rake > buyIn * 0.2', GAME, false],
+  ['guaranteeAmount > 0', GAME, false],
+  ['guaranteeAmount == null', GAME, true],
+  ['missingField == null', GAME, true],
+  ['!isSatellite && totalEntries >= 24', GAME, true],
+  ["gameVariant == 'NLHE'", GAME, true],
+  ["gameVariant != \"PLO\"", GAME, true],
+  ["gameVariant < 'PLO'", GAME, true],
+  ['prizepoolPaid == 3000', GAME, true],
+  ['prizepoolPaid / totalEntries > 100', GAME, true],
+  ['totalEntries / 0 > 0', GAME, false],
+  ['abs(buyIn - 200) == 50', GAME, true],
+  ['min(buyIn, rake, totalEntries) == 24', GAME, true],
+  ['max(buyIn, guaranteeAmount) > 0', GAME, false],
+  ['-rake < 0 || false', GAME, true],
+  ['(buyIn + rake) * 2 == 350', GAME, true],
+  // Inherited properties are not fields
+  ['constructor', GAME, false],
+  ['toString == null', GAME, true],
+  ['__proto__ == null', {}, true]
+];
+
+const INVALID = [
+  'toString(1)',
+  'constructor(1)',
+  'hasOwnProperty(1)',
+  'unknownFn(buyIn)',
+  'buyIn >',
+  '(rake > 1',
+  'rake > 1 )',
+  'buyIn @ 2'
+];
+
+test('Lambda and frontend evaluate conditions the same way', () => {
+  for (const [condition, game, expected] of CASES) {
+    assert.equal(evaluateCondition(condition, game), expected, `Lambda: ${condition}`);
+    assert.equal(frontend.evaluateRuleCondition(condition, game), expected, `frontend: ${condition}`);
+  }
+});
+
+test('Lambda and frontend reject the same invalid conditions', () => {
+  for (const condition of INVALID) {
+    assert.throws(() => evaluateCondition(condition, GAME), Error, `Lambda: ${condition}`);
+    assert.throws(() => frontend.evaluateRuleCondition(condition, GAME), Error, `frontend: ${condition}`);
+  }
+});
+
+test('Lambda and frontend format messages the same way', () => {
+  const message = 'Rake {rake} on {buyIn} ({guaranteeAmount}, {constructor}, {missing})';
+  const expected = 'Rake 25 on 150 (-, -, -)';
+  assert.equal(formatRuleMessage(message, GAME), expected);
+  assert.equal(frontend.formatRuleMessage(message, GAME), expected);
+});
@@ -1,6 +1,10 @@
 /**
  * validation/index.js
  * Main validation orchestrator for game data
+ *
+ * Built-in rules (required-fields, business-rules) run first, then the
+ * entity's custom ValidationRule records (custom-rules). Built-in results
+ * whose code a custom rule suppresses are dropped.
  */
 
 const { validateRequiredFields, validateEnumFields, validateDateTimeFields } = require('./required-fields');
@@ -11,6 +15,7 @@ const {
   validateEntryConsistency,
   validatePrizepoolFields 
 } = require('./business-rules');
+const { validateCustomRules, getSuppressedCodes } = require('./custom-rules');
 const { DEFAULT_GAME_VALUES, GameStatus, GameType, GameVariant } = require('../utils/constants');
 
 // ===================================================================
@@ -98,9 +103,10 @@ const autoCorrectData = (game) => {
  * Validate game data comprehensively
  * @param {Object} game - Game data object
  * @param {string} entityId - Entity ID (required context)
+ * @param {Array} customRules - Entity's ValidationRule records (optional)
  * @returns {Object} ValidationResult
  */
-const validateGameData = (game, entityId) => {
+const validateGameData = (game, entityId, customRules = []) => {
   const allErrors = [];
   const allWarnings = [];
   
@@ -137,12 +143,20 @@ const validateGameData = (game, entityId) => {
     validatePrizepoolFields
   ];
   
+  const suppressedCodes = getSuppressedCodes(customRules);
+  const isKept = (issue) => !suppressedCodes.has(issue.code);
+  
   for (const validator of validators) {
     const { errors, warnings } = validator(correctedData);
-    allErrors.push(...errors);
-    allWarnings.push(...warnings);
+    allErrors.push(...errors.filter(isKept));
+    allWarnings.push(...warnings.filter(isKept));
   }
   
+  // Entity-specific rules
+  const custom = validateCustomRules(correctedData, customRules);
+  allErrors.push(...custom.errors);
+  allWarnings.push(...custom.warnings);
+  
   return {
     isValid: allErrors.length === 0,
     errors: allErrors,
@@ -25,9 +25,15 @@ Amplify Params - DO NOT EDIT */
  * GAME FINANCIALS PROCESSOR LAMBDA
  * ===================================================================
  * 
- * VERSION: 2.0.0
+ * VERSION: 2.3.0
  * 
  * CHANGELOG:
+ * - v2.3.0: Snapshot carries reentryCount and the entry timeline figures
+ *           (lastEntryLevel, lateEntries, reEntryPrizepool) for recurring game
+ *           late-reg and re-entry metrics
+ * - v2.2.0: Snapshot carries Game.holidayName for the HOLIDAY metrics segment
+ * - v2.1.0: Snapshot carries the game's currency (ISO 4217). Amounts stay in
+ *           that currency; refreshAllMetrics converts to the reporting currency
  * - v2.0.0: Added totalGuaranteeOverlayCost support
  *           - totalGuaranteeOverlayCost now included in totalCost calculation
  *           - costPerPlayer now reflects total cost including overlay
@@ -403,6 +409,11 @@ const calculateGameFinancialSnapshot = (game, costData) => {
     const totalUniquePlayers = game.totalUniquePlayers || 0;
     const totalEntries = game.totalEntries || 0;
     
+    // Entries beyond one per player (rebuy count when players weren't counted)
+    const reentryCount = totalUniquePlayers > 0
+        ? Math.max(0, totalEntries - totalUniquePlayers)
+        : (game.totalRebuys || 0);
+    
     // ===================================================================
     // PER-PLAYER METRICS - NOW INCLUDES OVERLAY IN COST
     // ===================================================================
@@ -481,10 +492,15 @@ const calculateGameFinancialSnapshot = (game, costData) => {
     // LOGGING
     // ===================================================================
     
+    // Null for games saved before currency was captured - metrics fall back
+    // to the venue / entity currency
+    const currency = game.currency || null;
+    const currencyLabel = currency || '$';
+    
     if (totalGuaranteeOverlayCost > 0) {
-        console.log(`[FINANCIALS SNAPSHOT] 💰 Game ${game.id} has overlay cost: $${totalGuaranteeOverlayCost}`);
-        console.log(`[FINANCIALS SNAPSHOT]    - costPerPlayer now: $${costPerPlayer} (includes overlay)`);
-        console.log(`[FINANCIALS SNAPSHOT]    - guaranteeOverlayPerPlayer: $${guaranteeOverlayPerPlayer}`);
+        console.log(`[FINANCIALS SNAPSHOT] 💰 Game ${game.id} has overlay cost: ${currencyLabel} ${totalGuaranteeOverlayCost}`);
+        console.log(`[FINANCIALS SNAPSHOT]    - costPerPlayer now: ${currencyLabel} ${costPerPlayer} (includes overlay)`);
+        console.log(`[FINANCIALS SNAPSHOT]    - guaranteeOverlayPerPlayer: ${currencyLabel} ${guaranteeOverlayPerPlayer}`);
     }
     
     return {
@@ -492,6 +508,7 @@ const calculateGameFinancialSnapshot = (game, costData) => {
         entityId: game.entityId,
         venueId: game.venueId,
         gameStartDateTime: game.gameStartDateTime,
+        currency,
         
         // Denormalized game data
         totalUniquePlayers,
@@ -501,6 +518,12 @@ const calculateGameFinancialSnapshot = (game, costData) => {
         gameType: game.gameType,
         tournamentType: game.tournamentType,
         
+        // Entry timeline (gameDataEnricher entryTimeline stage)
+        reentryCount,
+        lastEntryLevel: game.lastEntryLevel ?? null,
+        lateEntries: game.lateEntries ?? null,
+        reEntryPrizepool: game.reEntryPrizepool ?? null,
+        
         // Revenue
         totalBuyInsCollected,
         rakeRevenue,
@@ -578,6 +601,9 @@ const calculateGameFinancialSnapshot = (game, costData) => {
         tournamentSeriesId: game.tournamentSeriesId || null,
         seriesName: game.seriesName || null,
         
+        // Calendar holiday the game was played on (gameDataEnricher holiday stage)
+        holidayName: game.holidayName || null,
+        
         // Recurring game reference
         recurringGameId: game.recurringGameId || null,
         
@@ -803,6 +829,7 @@ const processGameFinancials = async (game, options = {}) => {
             isSeriesParent: snapshotData.isSeriesParent,
             tournamentSeriesId: snapshotData.tournamentSeriesId,
             seriesName: snapshotData.seriesName,
+            holidayName: snapshotData.holidayName,
             recurringGameId: snapshotData.recurringGameId
         },
         costSaveResult: null,
@@ -1,6 +1,32 @@
 /**
  * OPTIMIZED Player Data Processor Lambda
  * 
+ * VERSION: 3.5.0 - Player credits
+ * - Each processed game awards the entity's CreditAwardRules ("top 9 get
+ *   credits") as PlayerCredits rows (playerCredits.js)
+ * - GraphQL operations: awardPlayerCredits, redeemPlayerCredits, playerCreditLedger
+ * 
+ * VERSION: 3.4.0 - Leaderboards
+ * - Each processed game awards the entity's LeaderboardProgram points as
+ *   PlayerPoints (playerLeaderboards.js)
+ * - GraphQL operations: leaderboardStandings, publicLeaderboard (API key),
+ *   awardLeaderboardPoints (background backfill of a program's games)
+ * 
+ * VERSION: 3.3.0 - Player economics
+ * - PlayerSummary keeps rake, biggest cash, finish percentile, ITM %, ROI and
+ *   estimated lifetime value (playerEconomics.js)
+ * - PlayerVenue now accumulates buy-ins, winnings, net profit and rake
+ * 
+ * VERSION: 3.2.0 - Player lifecycle segments
+ * - PlayerVenue and PlayerSummary get the entity's segment (playerSegments.js) as
+ *   each game is processed; segment moves are written to PlayerSegmentHistory
+ * - Nightly EventBridge run and reclassifyPlayerSegments mutation reclassify
+ *   every player, one background invocation per entity
+ * 
+ * VERSION: 3.1.0 - Player identity resolution
+ * - Scraped names resolve through KnownPlayerIdentity rules before the name hash
+ * - GraphQL operations: findPlayerDuplicates, mergePlayers, splitPlayer (playerMerge.js)
+ * 
  * VERSION: 3.0.0 - Batch operations + proper concurrency control
  * 
  * KEY OPTIMIZATIONS:
@@ -11,109 +37,61 @@
  * 5. Reduced operations from ~10/player to ~3/player
  */
 
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
 const { 
-    DynamoDBDocumentClient, 
     PutCommand, 
     UpdateCommand, 
     GetCommand, 
     QueryCommand, 
-    BatchGetCommand,
     TransactWriteCommand
 } = require('@aws-sdk/lib-dynamodb');
-const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const {
+    UNASSIGNED_VENUE_ID,
+    ddbDocClient,
+    getTableName,
+    batchGetItems,
+    generateVisitKey,
+    parsePlayerName,
+    daysBetween,
+    calculatePlayerVenueTargetingClassification,
+    getTargetingFromDays
+} = require('./playerUtils');
+const { resolvePlayerIds } = require('./playerIdentity');
+const { findPlayerDuplicates, mergePlayers, splitPlayer } = require('./playerMerge');
+const {
+    SEGMENT_LEVEL,
+    SEGMENT_TRIGGER,
+    RECLASSIFY_OPERATION,
+    loadSegmentDefinitions,
+    classifyAfterGame,
+    buildSegmentHistory,
+    segmentChanged,
+    reclassifyEntitySegments,
+    startEntityReclassification,
+    startNightlyReclassification
+} = require('./playerSegments');
+const { addGameEconomics } = require('./playerEconomics');
+const {
+    AWARD_OPERATION,
+    awardGamePoints,
+    startLeaderboardBackfill,
+    awardProgramPoints,
+    getLeaderboardStandings,
+    getPublicLeaderboard
+} = require('./playerLeaderboards');
+const {
+    awardCredits,
+    redeemCredits,
+    awardGameCredits,
+    getPlayerCreditLedger,
+    creditsResult
+} = require('./playerCredits');
 
 // ===================================================================
 // CONSTANTS & SETUP
 // ===================================================================
 
-const UNASSIGNED_VENUE_ID = "00000000-0000-0000-0000-000000000000";
 const CONCURRENCY_LIMIT = 5;  // Max parallel player processing
-const BATCH_GET_LIMIT = 100;  // DynamoDB BatchGetItem limit
-
-const client = new DynamoDBClient({});
-const ddbDocClient = DynamoDBDocumentClient.from(client, {
-    marshallOptions: { removeUndefinedValues: true }
-});
-
-// ===================================================================
-// HELPER FUNCTIONS
-// ===================================================================
-
-const getTableName = (modelName) => {
-    const apiId = process.env.API_KINGSROOM_GRAPHQLAPIIDOUTPUT;
-    const env = process.env.ENV;
-    if (!apiId || !env) {
-        throw new Error('API ID or environment name not found in environment variables.');
-    }
-    return `${modelName}-${apiId}-${env}`;
-};
-
-const generatePlayerId = (playerName) => {
-    const normalized = playerName.toLowerCase().trim();
-    return crypto.createHash('sha256').update(normalized).digest('hex').substring(0, 32);
-};
-
-const generateVisitKey = (playerId, entityId, venueId) => `${playerId}#${entityId}#${venueId}`;
-
-const parsePlayerName = (fullName) => {
-    if (!fullName) return { firstName: 'Unknown', lastName: '', givenName: 'Unknown' };
-    const trimmedName = fullName.trim();
-    
-    if (trimmedName.includes(',')) {
-        const parts = trimmedName.split(',');
-        const lastName = parts[0]?.trim() || 'Unknown';
-        const firstName = parts[1]?.trim() || 'Unknown';
-        return { firstName, lastName, givenName: firstName };
-    }
-    
-    const parts = trimmedName.split(/\s+/);
-    const firstName = parts[0] || 'Unknown';
-    const lastName = parts.slice(1).join(' ') || '';
-    return { firstName, lastName, givenName: firstName };
-};
-
-const daysBetween = (date1, date2) => {
-    const d1 = new Date(date1);
-    const d2 = new Date(date2);
-    return Math.floor(Math.abs(d2 - d1) / (1000 * 60 * 60 * 24));
-};
-
-const calculatePlayerVenueTargetingClassification = (lastActivityDate, membershipCreatedDate) => {
-    const now = new Date();
-    
-    if (!lastActivityDate) {
-        if (!membershipCreatedDate) return 'NotActivated_EL';
-        const daysSinceMembership = daysBetween(membershipCreatedDate, now);
-        if (daysSinceMembership <= 30) return 'NotActivated_EL';
-        if (daysSinceMembership <= 60) return 'NotActivated_31_60d';
-        if (daysSinceMembership <= 90) return 'NotActivated_61_90d';
-        if (daysSinceMembership <= 120) return 'NotActivated_91_120d';
-        if (daysSinceMembership <= 180) return 'NotActivated_121_180d';
-        if (daysSinceMembership <= 360) return 'NotActivated_181_360d';
-        return 'Not Activated - 361d+';
-    }
-    
-    const daysSinceLastActivity = daysBetween(lastActivityDate, now);
-    if (daysSinceLastActivity <= 30) return 'Active_EL';
-    if (daysSinceLastActivity <= 60) return 'Retain_Inactive31_60d';
-    if (daysSinceLastActivity <= 90) return 'Retain_Inactive61_90d';
-    if (daysSinceLastActivity <= 120) return 'Churned_91_120d';
-    if (daysSinceLastActivity <= 180) return 'Churned_121_180d';
-    if (daysSinceLastActivity <= 360) return 'Churned_181_360d';
-    return 'Churned_361d';
-};
-
-const getTargetingFromDays = (days) => {
-    if (days <= 30) return 'Active_EL';
-    if (days <= 60) return 'Retain_Inactive31_60d';
-    if (days <= 90) return 'Retain_Inactive61_90d';
-    if (days <= 120) return 'Churned_91_120d';
-    if (days <= 180) return 'Churned_121_180d';
-    if (days <= 360) return 'Churned_181_360d';
-    return 'Churned_361d';
-};
 
 const resolveEntityId = (providedEntityId, existingEntityId = null, context = 'unknown') => {
     if (providedEntityId) return providedEntityId;
@@ -159,61 +137,6 @@ const processWithConcurrency = async (items, processor, limit = CONCURRENCY_LIMI
 // BATCH OPERATIONS (New - dramatically reduces API calls)
 // ===================================================================
 
-/**
- * Batch fetch multiple items from a single table
- * Handles DynamoDB's 100-item limit automatically
- */
-const batchGetItems = async (tableName, keys, keyAttribute = 'id') => {
-    if (!keys || keys.length === 0) return new Map();
-    
-    const results = new Map();
-    const uniqueKeys = [...new Set(keys)];
-    
-    // Process in chunks of 100 (DynamoDB limit)
-    for (let i = 0; i < uniqueKeys.length; i += BATCH_GET_LIMIT) {
-        const chunk = uniqueKeys.slice(i, i + BATCH_GET_LIMIT);
-        const requestItems = {
-            [tableName]: {
-                Keys: chunk.map(key => ({ [keyAttribute]: key }))
-            }
-        };
-        
-        try {
-            const response = await ddbDocClient.send(new BatchGetCommand({
-                RequestItems: requestItems
-            }));
-            
-            // Map results
-            if (response.Responses?.[tableName]) {
-                for (const item of response.Responses[tableName]) {
-                    results.set(item[keyAttribute], item);
-                }
-            }
-            
-            // Handle unprocessed keys with retry
-            if (response.UnprocessedKeys?.[tableName]?.Keys?.length > 0) {
-                console.warn(`[BATCH-GET] ${response.UnprocessedKeys[tableName].Keys.length} unprocessed keys, retrying...`);
-                await new Promise(r => setTimeout(r, 100)); // Brief backoff
-                
-                const retryResponse = await ddbDocClient.send(new BatchGetCommand({
-                    RequestItems: response.UnprocessedKeys
-                }));
-                
-                if (retryResponse.Responses?.[tableName]) {
-                    for (const item of retryResponse.Responses[tableName]) {
-                        results.set(item[keyAttribute], item);
-                    }
-                }
-            }
-        } catch (error) {
-            console.error(`[BATCH-GET] Error fetching from ${tableName}:`, error.message);
-            // Don't throw - return partial results and let individual processing handle missing items
-        }
-    }
-    
-    return results;
-};
-
 /**
  * Batch fetch PlayerVenue records by playerId using GSI
  * Returns Map<playerId, PlayerVenue[]>
@@ -264,8 +187,11 @@ const prefetchGameData = async (gameData, entityId) => {
     
     console.log(`[PREFETCH] Starting prefetch for ${allPlayers.length} players...`);
     
-    // Generate all IDs upfront
-    const playerIds = allPlayers.map(p => generatePlayerId(p.name));
+    // Resolve names through identity rules (merges/splits), then the name hash
+    const playerIdByName = await resolvePlayerIds(
+        allPlayers.map(p => p.name), entityId, skipVenue ? null : venueId
+    );
+    const playerIds = allPlayers.map(p => playerIdByName.get(p.name));
     const resultIds = playerIds.map(pid => `${pid}#${gameId}`);
     const entryIds = playerIds.map(pid => `${gameId}#${pid}`);
     
@@ -275,13 +201,19 @@ const prefetchGameData = async (gameData, entityId) => {
         existingPlayers,
         existingSummaries,
         existingEntries,
-        existingVenues
+        existingVenues,
+        segmentDefinitions
     ] = await Promise.all([
         batchGetItems(getTableName('PlayerResult'), resultIds),
         batchGetItems(getTableName('Player'), playerIds),
         batchGetItems(getTableName('PlayerSummary'), playerIds),
         batchGetItems(getTableName('PlayerEntry'), entryIds),
-        skipVenue ? Promise.resolve(new Map()) : batchGetPlayerVenues(playerIds, entityId, venueId)
+        skipVenue ? Promise.resolve(new Map()) : batchGetPlayerVenues(playerIds, entityId, venueId),
+        // Without definitions the game still processes, with the day-bucket targeting only
+        loadSegmentDefinitions(entityId).catch(error => {
+            console.warn(`[PREFETCH] Could not load segment definitions for ${entityId}: ${error.message}`);
+            return null;
+        })
     ]);
     
     console.log(`[PREFETCH] Complete:`, {
@@ -293,6 +225,7 @@ const prefetchGameData = async (gameData, entityId) => {
     });
     
     return {
+        playerIdByName,
         playerIds,
         resultIds,
         entryIds,
@@ -300,7 +233,8 @@ const prefetchGameData = async (gameData, entityId) => {
         existingPlayers,
         existingSummaries,
         existingEntries,
-        existingVenues
+        existingVenues,
+        segmentDefinitions
     };
 };
 
@@ -314,7 +248,7 @@ const prefetchGameData = async (gameData, entityId) => {
  */
 const processPlayerOptimized = async (playerData, gameData, prefetchedData, entityId) => {
     const playerName = playerData.name;
-    const playerId = generatePlayerId(playerName);
+    const playerId = prefetchedData.playerIdByName.get(playerName);
     const gameId = gameData.game.id;
     const resultId = `${playerId}#${gameId}`;
     const entryId = `${gameId}#${playerId}`;
@@ -337,15 +271,25 @@ const processPlayerOptimized = async (playerData, gameData, prefetchedData, enti
     }
     
     try {
+        const gameDateTime = gameData.game.gameStartDateTime || gameData.game.gameEndDateTime || now;
+        const segments = classifyAfterGame({
+            gameDate: gameDateTime.includes('T') ? gameDateTime : `${gameDateTime}T00:00:00.000Z`,
+            buyIn: gameData.game.buyIn || 0,
+            skipVenue: !gameData.game.venueId || gameData.game.venueId === UNASSIGNED_VENUE_ID,
+            existingPlayer,
+            existingSummary,
+            existingVenue
+        }, prefetchedData.segmentDefinitions);
+        
         // Step 1: Upsert Player record (still needs individual write)
         await upsertPlayerRecordOptimized(
-            playerId, playerName, gameData, playerData, entityId, existingPlayer
+            playerId, playerName, gameData, playerData, entityId, existingPlayer, segments.playerSegment
         );
         
         // Steps 2-6: Transactional write (uses prefetched data)
         const txnResult = await processPlayerRecordsTransactionalOptimized(
             playerId, playerName, gameData, playerData, entityId,
-            { existingSummary, existingEntry, existingVenue }
+            { existingSummary, existingEntry, existingVenue, ...segments }
         );
         
         console.log(`[PROCESS] SUCCESS: ${playerName} (${txnResult.itemsWritten} items)`);
@@ -359,8 +303,10 @@ const processPlayerOptimized = async (playerData, gameData, prefetchedData, enti
 
 /**
  * Optimized player upsert - uses prefetched Player record
+ * targetingClassification comes from the player's segment when it maps to one,
+ * otherwise from the day buckets.
  */
-const upsertPlayerRecordOptimized = async (playerId, playerName, gameData, playerData, entityId, existingPlayer) => {
+const upsertPlayerRecordOptimized = async (playerId, playerName, gameData, playerData, entityId, existingPlayer, playerSegment) => {
     const playerTable = getTableName('Player');
     const now = new Date().toISOString();
     const nameParts = parsePlayerName(playerName);
@@ -398,11 +344,14 @@ const upsertPlayerRecordOptimized = async (playerId, playerName, gameData, playe
         }
         
         // Update last played if this game is later
+        let targeting = playerSegment?.targetingClassification || null;
         if (gameDateObj > currentLastPlayed) {
-            const daysSince = daysBetween(gameDate, new Date());
-            const targeting = getTargetingFromDays(daysSince);
-            updateExpression += ', lastPlayedDate = :lastPlayed, targetingClassification = :targeting';
+            updateExpression += ', lastPlayedDate = :lastPlayed';
             expressionValues[':lastPlayed'] = gameDate;
+            targeting = targeting || getTargetingFromDays(daysBetween(gameDate, new Date()));
+        }
+        if (targeting) {
+            updateExpression += ', targetingClassification = :targeting';
             expressionValues[':targeting'] = targeting;
         }
         
@@ -417,7 +366,7 @@ const upsertPlayerRecordOptimized = async (playerId, playerName, gameData, playe
     } else {
         // CREATE new player
         const daysSince = daysBetween(gameDate, new Date());
-        const targeting = getTargetingFromDays(daysSince);
+        const targeting = playerSegment?.targetingClassification || getTargetingFromDays(daysSince);
         
         const newPlayer = {
             id: playerId,
@@ -461,7 +410,7 @@ const upsertPlayerRecordOptimized = async (playerId, playerName, gameData, playe
  */
 const processPlayerRecordsTransactionalOptimized = async (
     playerId, playerName, gameData, playerData, entityId, 
-    { existingSummary, existingEntry, existingVenue }
+    { existingSummary, existingEntry, existingVenue, playerSegment, venueSegment }
 ) => {
     const now = new Date().toISOString();
     const timestamp = Date.now();
@@ -472,6 +421,7 @@ const processPlayerRecordsTransactionalOptimized = async (
     const playerSummaryTable = getTableName('PlayerSummary');
     const playerTransactionTable = getTableName('PlayerTransaction');
     const playerEntryTable = getTableName('PlayerEntry');
+    const segmentHistoryTable = getTableName('PlayerSegmentHistory');
     
     // IDs
     const gameId = gameData.game.id;
@@ -533,12 +483,21 @@ const processPlayerRecordsTransactionalOptimized = async (
             const newTotalGames = oldGamesPlayed + 1;
             const newAverageBuyIn = ((oldAverageBuyIn * oldGamesPlayed) + buyInAmount) / newTotalGames;
             
-            let updateExpression = 'SET #version = #version + :inc, updatedAt = :updatedAt, totalGamesPlayed = totalGamesPlayed + :inc, averageBuyIn = :newAverageBuyIn';
+            let updateExpression = `SET #version = #version + :inc, updatedAt = :updatedAt, totalGamesPlayed = totalGamesPlayed + :inc, averageBuyIn = :newAverageBuyIn,
+                totalBuyIns = if_not_exists(totalBuyIns, :zero) + :buyIn,
+                totalWinnings = if_not_exists(totalWinnings, :zero) + :winnings,
+                netProfit = if_not_exists(netProfit, :zero) + :profitLoss,
+                totalRake = if_not_exists(totalRake, :zero) + :rake`;
             const expressionNames = { '#version': '_version' };
             const expressionValues = {
                 ':inc': 1,
+                ':zero': 0,
                 ':updatedAt': now,
-                ':newAverageBuyIn': newAverageBuyIn
+                ':newAverageBuyIn': newAverageBuyIn,
+                ':buyIn': buyInAmount,
+                ':winnings': winningsAmount,
+                ':profitLoss': winningsAmount - buyInAmount,
+                ':rake': rakeAmount
             };
             
             if (!existingVenue.entityId) {
@@ -553,12 +512,38 @@ const processPlayerRecordsTransactionalOptimized = async (
                 updateExpression += ', firstPlayedDate = :firstPlayed';
                 expressionValues[':firstPlayed'] = gameDate;
             }
+            let targeting = venueSegment?.targetingClassification || null;
             if (gameDateObj > currentLastPlayed) {
-                const targeting = calculatePlayerVenueTargetingClassification(gameDate, existingVenue.membershipCreatedDate);
-                updateExpression += ', lastPlayedDate = :lastPlayed, targetingClassification = :targeting';
+                updateExpression += ', lastPlayedDate = :lastPlayed';
                 expressionValues[':lastPlayed'] = gameDate;
+                targeting = targeting || calculatePlayerVenueTargetingClassification(gameDate, existingVenue.membershipCreatedDate);
+            }
+            if (targeting) {
+                updateExpression += ', targetingClassification = :targeting';
                 expressionValues[':targeting'] = targeting;
             }
+            if (venueSegment && segmentChanged(existingVenue, venueSegment)) {
+                updateExpression += ', segmentId = :segmentId, segmentName = :segmentName, segmentChangedAt = :updatedAt';
+                expressionValues[':segmentId'] = venueSegment.id;
+                expressionValues[':segmentName'] = venueSegment.name;
+                if (existingVenue.segmentId) {
+                    transactItems.push({
+                        Put: {
+                            TableName: segmentHistoryTable,
+                            Item: buildSegmentHistory({
+                                entityId,
+                                playerId,
+                                venueId: gameData.game.venueId,
+                                level: SEGMENT_LEVEL.VENUE,
+                                previous: existingVenue,
+                                segment: venueSegment,
+                                trigger: SEGMENT_TRIGGER.GAME,
+                                daysSinceLastPlayed: daysBetween(existingVenue.lastPlayedDate, new Date())
+                            })
+                        }
+                    });
+                }
+            }
             
             transactItems.push({
                 Update: {
@@ -570,7 +555,7 @@ const processPlayerRecordsTransactionalOptimized = async (
                 }
             });
         } else {
-            const targeting = calculatePlayerVenueTargetingClassification(gameDate, gameDate);
+            const targeting = venueSegment?.targetingClassification || calculatePlayerVenueTargetingClassification(gameDate, gameDate);
             transactItems.push({
                 Put: {
                     TableName: playerVenueTable,
@@ -586,9 +571,13 @@ const processPlayerRecordsTransactionalOptimized = async (
                         totalGamesPlayed: 1,
                         averageBuyIn: buyInAmount,
                         totalBuyIns: buyInAmount,
-                        totalWinnings: 0,
-                        netProfit: 0,
+                        totalWinnings: winningsAmount,
+                        netProfit: winningsAmount - buyInAmount,
+                        totalRake: rakeAmount,
                         targetingClassification: targeting,
+                        segmentId: venueSegment?.id || null,
+                        segmentName: venueSegment?.name || null,
+                        segmentChangedAt: venueSegment ? now : null,
                         createdAt: now,
                         updatedAt: now,
                         _version: 1,
@@ -601,6 +590,17 @@ const processPlayerRecordsTransactionalOptimized = async (
     }
     
     // 3. PlayerSummary (PUT or UPDATE)
+    const economics = addGameEconomics(existingSummary, {
+        gameId,
+        gameDateTime,
+        buyIn: buyInAmount,
+        rake: rakeAmount,
+        winnings: winningsAmount,
+        isITM,
+        place: playerData.rank,
+        runners: gameData.game.totalUniquePlayers || gameData.players?.totalUniquePlayers || 0
+    });
+    
     if (existingSummary) {
         const currentLastPlayed = new Date(existingSummary.lastPlayed);
         let updateExpression = `
@@ -638,6 +638,34 @@ const processPlayerRecordsTransactionalOptimized = async (
             expressionValues[':lastPlayed'] = gameDateTime;
         }
         
+        for (const [field, value] of Object.entries(economics)) {
+            updateExpression += `, #${field} = :${field}`;
+            expressionNames[`#${field}`] = field;
+            expressionValues[`:${field}`] = value;
+        }
+        
+        if (playerSegment && segmentChanged(existingSummary, playerSegment)) {
+            updateExpression += ', segmentId = :segmentId, segmentName = :segmentName, segmentChangedAt = :updatedAt';
+            expressionValues[':segmentId'] = playerSegment.id;
+            expressionValues[':segmentName'] = playerSegment.name;
+            if (existingSummary.segmentId) {
+                transactItems.push({
+                    Put: {
+                        TableName: segmentHistoryTable,
+                        Item: buildSegmentHistory({
+                            entityId,
+                            playerId,
+                            level: SEGMENT_LEVEL.PLAYER,
+                            previous: existingSummary,
+                            segment: playerSegment,
+                            trigger: SEGMENT_TRIGGER.GAME,
+                            daysSinceLastPlayed: daysBetween(existingSummary.lastPlayed, new Date())
+                        })
+                    }
+                });
+            }
+        }
+        
         transactItems.push({
             Update: {
                 TableName: playerSummaryTable,
@@ -669,6 +697,10 @@ const processPlayerRecordsTransactionalOptimized = async (
                     totalBuyIns: buyInAmount,
                     netBalance: winningsAmount - buyInAmount,
                     lastPlayed: gameDateTime,
+                    segmentId: playerSegment?.id || null,
+                    segmentName: playerSegment?.name || null,
+                    segmentChangedAt: playerSegment ? now : null,
+                    ...economics,
                     createdAt: now,
                     updatedAt: now,
                     _version: 1,
@@ -779,11 +811,132 @@ const processPlayerRecordsTransactionalOptimized = async (
     return { success: true, wasNewVenue, itemsWritten: transactItems.length };
 };
 
+// ===================================================================
+// IDENTITY OPERATIONS (GraphQL)
+// ===================================================================
+
+const handleIdentityOperation = async (event) => {
+    const args = event.arguments || {};
+    const input = args.input || args;
+    const caller = event.identity?.username || event.identity?.sub || null;
+    console.log(`[HANDLER] Identity operation: ${event.fieldName}`);
+
+    try {
+        switch (event.fieldName) {
+            case 'findPlayerDuplicates':
+                return await findPlayerDuplicates(input);
+            case 'mergePlayers':
+                return await mergePlayers({ ...input, mergedBy: caller });
+            case 'splitPlayer':
+                return await splitPlayer({ ...input, splitBy: caller });
+            default:
+                throw new Error(`Unknown operation: ${event.fieldName}`);
+        }
+    } catch (error) {
+        console.error(`[HANDLER] ${event.fieldName} failed:`, error);
+        return { success: false, preview: input.preview !== false, error: error.message };
+    }
+};
+
+// ===================================================================
+// SEGMENT OPERATIONS (GraphQL)
+// ===================================================================
+
+const handleSegmentOperation = async (event) => {
+    const input = event.arguments?.input || {};
+    try {
+        if (!input.entityId) throw new Error('entityId is required');
+        await startEntityReclassification(input.entityId, SEGMENT_TRIGGER.MANUAL);
+        return { success: true, message: 'Reclassification started - players update over the next few minutes' };
+    } catch (error) {
+        console.error('[HANDLER] reclassifyPlayerSegments failed:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+// ===================================================================
+// LEADERBOARD OPERATIONS (GraphQL)
+// ===================================================================
+
+const LEADERBOARD_FIELDS = ['leaderboardStandings', 'publicLeaderboard', 'awardLeaderboardPoints'];
+
+const handleLeaderboardOperation = async (event) => {
+    const input = event.arguments?.input || {};
+    try {
+        switch (event.fieldName) {
+            case 'leaderboardStandings':
+                return await getLeaderboardStandings(input);
+            case 'publicLeaderboard':
+                return await getPublicLeaderboard(input);
+            case 'awardLeaderboardPoints':
+                if (!input.programId) throw new Error('programId is required');
+                await startLeaderboardBackfill(input.programId);
+                return { success: true, message: 'Awarding points for games already played - standings update over the next few minutes' };
+            default:
+                throw new Error(`Unknown operation: ${event.fieldName}`);
+        }
+    } catch (error) {
+        console.error(`[HANDLER] ${event.fieldName} failed:`, error);
+        return { success: false, error: error.message };
+    }
+};
+
+// ===================================================================
+// CREDIT OPERATIONS (GraphQL)
+// ===================================================================
+
+const CREDIT_FIELDS = ['awardPlayerCredits', 'redeemPlayerCredits', 'playerCreditLedger'];
+
+const handleCreditOperation = async (event) => {
+    const input = event.arguments?.input || {};
+    const caller = event.identity?.username || event.identity?.sub || null;
+    try {
+        switch (event.fieldName) {
+            case 'awardPlayerCredits':
+                return creditsResult(await awardCredits({ ...input, createdBy: caller }));
+            case 'redeemPlayerCredits':
+                return creditsResult(await redeemCredits({ ...input, createdBy: caller }));
+            case 'playerCreditLedger':
+                return await getPlayerCreditLedger(input);
+            default:
+                throw new Error(`Unknown operation: ${event.fieldName}`);
+        }
+    } catch (error) {
+        console.error(`[HANDLER] ${event.fieldName} failed:`, error);
+        return { success: false, error: error.message };
+    }
+};
+
 // ===================================================================
 // MAIN HANDLER (Optimized)
 // ===================================================================
 
-exports.handler = async (event) => {
+exports.handler = async (event, context) => {
+    // Background reclassification (self-invoked) and the nightly EventBridge run
+    if (event.operation === RECLASSIFY_OPERATION) {
+        return reclassifyEntitySegments(event, context);
+    }
+    if (event.operation === AWARD_OPERATION) {
+        return awardProgramPoints(event, context);
+    }
+    if (event.source === 'aws.events') {
+        return startNightlyReclassification();
+    }
+    
+    // AppSync resolvers carry a fieldName; the queue sends Records
+    if (event.fieldName === 'reclassifyPlayerSegments') {
+        return handleSegmentOperation(event);
+    }
+    if (LEADERBOARD_FIELDS.includes(event.fieldName)) {
+        return handleLeaderboardOperation(event);
+    }
+    if (CREDIT_FIELDS.includes(event.fieldName)) {
+        return handleCreditOperation(event);
+    }
+    if (event.fieldName) {
+        return handleIdentityOperation(event);
+    }
+
     console.log('[HANDLER] START: Player Data Processor (OPTIMIZED v3.0)');
     console.log(`[HANDLER] Processing ${event.Records?.length || 0} SQS messages`);
     
@@ -820,7 +973,7 @@ exports.handler = async (event) => {
             
             // Count how many need processing (skip already processed)
             const toProcess = gameData.players.allPlayers.filter(p => {
-                const playerId = generatePlayerId(p.name);
+                const playerId = prefetchedData.playerIdByName.get(p.name);
                 const resultId = `${playerId}#${gameData.game.id}`;
                 return !prefetchedData.existingResults.has(resultId);
             });
@@ -850,6 +1003,10 @@ exports.handler = async (event) => {
             results.successful.push(...Array(skippedCount).fill({ status: 'SKIPPED' }));
             results.totalProcessed += skippedCount;
             
+            // Leaderboard points and credits from results (nobody is awarded twice on redelivery)
+            await awardGamePoints(gameData, prefetchedData.playerIdByName, entityId);
+            await awardGameCredits(gameData, prefetchedData.playerIdByName, entityId);
+            
             console.log(`[HANDLER] Game ${gameData.game.id} complete: ${results.successful.length} success, ${results.failed.length} failed`);
             
         } catch (error) {
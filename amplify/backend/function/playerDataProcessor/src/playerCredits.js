@@ -0,0 +1,521 @@
+/**
+ * Player credits - wallet and ledger
+ *
+ * VERSION: 1.0.0
+ *
+ * Every change to a player's credits is a PlayerCredits row, written in the
+ * same transaction as Player.creditBalance:
+ *
+ *   AWARD_PROMOTION     from results, by the entity's CreditAwardRules
+ *   AWARD_MANUAL        by staff (awardPlayerCredits)
+ *   AWARD_REFUND
+ *   REDEEM_GAME_BUY_IN  spent on a buy-in (redeemPlayerCredits)
+ *   EXPIRED             what was left of an award at its expiryDate
+ *
+ * Concurrent writes: each write reads the Player, then commits only if
+ * Player.creditSequence (a counter kept on the item for this) has not
+ * moved; otherwise it re-reads and tries again. balanceAfter is therefore
+ * exact and the balance can never go below zero. Rows with the same id are
+ * written once, so game awards (rule#game#player) and requests carrying a
+ * requestId apply once however often they are retried.
+ *
+ * Expiry: replaying the ledger oldest first, each award is a lot and each
+ * redemption spends the lots that expire soonest. Whatever is left of a lot
+ * once its expiryDate passes is written off as an EXPIRED row pointing at
+ * the award (relatedTransactionId).
+ *
+ * The nightly player pass (playerSegments.js) expires due credits and
+ * reconciles Player.creditBalance to the ledger for players with a
+ * balance. The ledger is the record; a balance that disagrees with it is
+ * corrected and logged. A balance from before the ledger (no rows at all)
+ * is carried in as an opening AWARD_MANUAL row instead.
+ */
+
+const { GetCommand, TransactWriteCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const { v4: uuidv4 } = require('uuid');
+const {
+    ddbDocClient,
+    getTableName,
+    queryAll
+} = require('./playerUtils');
+const { withGameScope, programMatchesGame } = require('./playerLeaderboards');
+
+const CREDIT_TYPE = {
+    AWARD_PROMOTION: 'AWARD_PROMOTION',
+    AWARD_REFUND: 'AWARD_REFUND',
+    AWARD_MANUAL: 'AWARD_MANUAL',
+    REDEEM_GAME_BUY_IN: 'REDEEM_GAME_BUY_IN',
+    EXPIRED: 'EXPIRED'
+};
+
+const AWARD_TYPES = [CREDIT_TYPE.AWARD_MANUAL, CREDIT_TYPE.AWARD_REFUND, CREDIT_TYPE.AWARD_PROMOTION];
+
+const MAX_WRITE_ATTEMPTS = 5;
+const EXPIRING_SOON_DAYS = 30;
+const RULE_CACHE_TTL_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ruleCache = new Map();
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ===================================================================
+// LEDGER WRITES
+// ===================================================================
+
+const getPlayer = async (playerId) => {
+    const response = await ddbDocClient.send(new GetCommand({
+        TableName: getTableName('Player'),
+        Key: { id: playerId },
+        ConsistentRead: true
+    }));
+    const player = response.Item;
+    if (!player || player._deleted) throw new Error(`Player not found: ${playerId}`);
+    if (player.status === 'MERGED') throw new Error(`Player ${playerId} was merged into ${player.mergedIntoPlayerId}`);
+    return player;
+};
+
+/**
+ * Write one ledger row against the player as read
+ *
+ * @returns {Promise<'APPLIED'|'DUPLICATE'|'CONFLICT'>}
+ */
+const writeEntry = async (player, row) => {
+    const sequence = player.creditSequence || 0;
+    const now = new Date().toISOString();
+
+    try {
+        await ddbDocClient.send(new TransactWriteCommand({
+            TransactItems: [
+                {
+                    Put: {
+                        TableName: getTableName('PlayerCredits'),
+                        Item: {
+                            ...row,
+                            createdAt: now,
+                            updatedAt: now,
+                            _version: 1,
+                            _lastChangedAt: Date.now(),
+                            __typename: 'PlayerCredits'
+                        },
+                        ConditionExpression: 'attribute_not_exists(id)'
+                    }
+                },
+                {
+                    Update: {
+                        TableName: getTableName('Player'),
+                        Key: { id: player.id },
+                        UpdateExpression: 'SET creditBalance = :balance, creditSequence = :next, updatedAt = :now, #v = if_not_exists(#v, :zero) + :one, #lca = :ts',
+                        ConditionExpression: sequence === 0
+                            ? 'attribute_exists(id) AND (attribute_not_exists(creditSequence) OR creditSequence = :sequence)'
+                            : 'attribute_exists(id) AND creditSequence = :sequence',
+                        ExpressionAttributeNames: { '#v': '_version', '#lca': '_lastChangedAt' },
+                        ExpressionAttributeValues: {
+                            ':balance': row.balanceAfter,
+                            ':sequence': sequence,
+                            ':next': sequence + 1,
+                            ':zero': 0,
+                            ':one': 1,
+                            ':now': now,
+                            ':ts': Date.now()
+                        }
+                    }
+                }
+            ]
+        }));
+        return 'APPLIED';
+    } catch (error) {
+        const reasons = error.CancellationReasons || [];
+        if (reasons[0]?.Code === 'ConditionalCheckFailed') return 'DUPLICATE';
+        if (reasons[1]?.Code === 'ConditionalCheckFailed') return 'CONFLICT';
+        throw error;
+    }
+};
+
+/**
+ * Apply a change to a player's credits, retrying while other writes land
+ *
+ * @param {string} playerId
+ * @param {Function} buildRow - (player) => ledger row fields without
+ *   balanceAfter, or null to do nothing; called again after each conflict
+ * @returns {Promise<{ status: 'APPLIED'|'DUPLICATE'|'SKIPPED', row?: Object, balance: number }>}
+ */
+const changeCredits = async (playerId, buildRow) => {
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        const player = await getPlayer(playerId);
+        const balance = round2(player.creditBalance || 0);
+        const entry = await buildRow(player);
+        if (!entry) return { status: 'SKIPPED', balance };
+
+        const changeAmount = round2(entry.changeAmount);
+        const balanceAfter = round2(balance + changeAmount);
+        if (changeAmount < 0 && balanceAfter < 0) {
+            throw new Error(`Not enough credits - balance is ${balance.toFixed(2)}`);
+        }
+
+        const row = {
+            transactionDate: new Date().toISOString(),
+            ...entry,
+            id: entry.id || uuidv4(),
+            playerId,
+            changeAmount,
+            balanceAfter
+        };
+        const status = await writeEntry(player, row);
+        if (status === 'APPLIED') return { status, row, balance: balanceAfter };
+        if (status === 'DUPLICATE') return { status, balance };
+
+        await sleep(50 * attempt + Math.floor(Math.random() * 50));
+    }
+    throw new Error('Credits are being changed elsewhere - try again');
+};
+
+// ===================================================================
+// LEDGER REPLAY
+// ===================================================================
+
+const byLedgerOrder = (a, b) =>
+    (a.transactionDate || '').localeCompare(b.transactionDate || '')
+    || (a.createdAt || '').localeCompare(b.createdAt || '')
+    || a.id.localeCompare(b.id);
+
+// Soonest expiry first; credits that never expire are spent last
+const bySpendOrder = (a, b) =>
+    (a.expiryDate || '9999').localeCompare(b.expiryDate || '9999') || byLedgerOrder(a.row, b.row);
+
+/**
+ * Replay a player's ledger into award lots with what is left of each
+ *
+ * @param {Object[]} rows - PlayerCredits rows
+ * @returns {{ rows: Object[], lots: Map<string, Object>, total: number }}
+ *   rows oldest first; lots by award id ({ row, expiryDate, remaining, expired })
+ */
+const replayLedger = (rows) => {
+    const ordered = rows.filter(row => !row._deleted).sort(byLedgerOrder);
+    const lots = new Map();
+    let total = 0;
+
+    for (const row of ordered) {
+        const amount = row.changeAmount || 0;
+        total = round2(total + amount);
+
+        if (amount > 0) {
+            lots.set(row.id, { row, expiryDate: row.expiryDate || null, remaining: amount, expired: false });
+        } else if (row.type === CREDIT_TYPE.EXPIRED && lots.has(row.relatedTransactionId)) {
+            const lot = lots.get(row.relatedTransactionId);
+            lot.remaining = round2(Math.max(0, lot.remaining + amount));
+            lot.expired = true;
+        } else if (amount < 0) {
+            let toSpend = -amount;
+            const open = [...lots.values()].filter(lot => lot.remaining > 0 && !lot.expired).sort(bySpendOrder);
+            for (const lot of open) {
+                if (toSpend <= 0) break;
+                const spent = Math.min(lot.remaining, toSpend);
+                lot.remaining = round2(lot.remaining - spent);
+                toSpend = round2(toSpend - spent);
+            }
+        }
+    }
+    return { rows: ordered, lots, total };
+};
+
+const loadLedger = (playerId) => queryAll('PlayerCredits', 'byPlayer', 'playerId', playerId);
+
+// ===================================================================
+// AWARD / REDEEM / EXPIRE
+// ===================================================================
+
+/**
+ * Award credits to a player
+ *
+ * @param {Object} award - { playerId, amount, type, reason, expiryDate,
+ *   relatedGameId, requestId, createdBy, entityId, creditAwardRuleId, finishingPlace }
+ */
+const awardCredits = async (award) => {
+    const amount = round2(Number(award.amount));
+    if (!award.playerId) throw new Error('playerId is required');
+    if (!(amount > 0)) throw new Error('amount must be more than zero');
+    const type = award.type || CREDIT_TYPE.AWARD_MANUAL;
+    if (!AWARD_TYPES.includes(type)) throw new Error(`${type} is not an award`);
+    if (award.expiryDate && new Date(award.expiryDate) <= new Date()) throw new Error('expiryDate is in the past');
+
+    return changeCredits(award.playerId, (player) => ({
+        id: award.requestId || award.id,
+        type,
+        changeAmount: amount,
+        reason: award.reason || null,
+        expiryDate: award.expiryDate || null,
+        relatedGameId: award.relatedGameId || null,
+        entityId: award.entityId || player.primaryEntityId || null,
+        creditAwardRuleId: award.creditAwardRuleId || null,
+        finishingPlace: award.finishingPlace || null,
+        createdBy: award.createdBy || null
+    }));
+};
+
+/**
+ * Spend credits on a buy-in
+ * Credits due to expire are written off first so they cannot be spent.
+ */
+const redeemCredits = async ({ playerId, amount, gameId, reason, requestId, createdBy }) => {
+    const value = round2(Number(amount));
+    if (!playerId) throw new Error('playerId is required');
+    if (!(value > 0)) throw new Error('amount must be more than zero');
+
+    await expireDueCredits(playerId);
+    return changeCredits(playerId, (player) => ({
+        id: requestId,
+        type: CREDIT_TYPE.REDEEM_GAME_BUY_IN,
+        changeAmount: -value,
+        reason: reason || 'Buy-in',
+        relatedGameId: gameId || null,
+        entityId: player.primaryEntityId || null,
+        createdBy: createdBy || null
+    }));
+};
+
+/**
+ * Write off what is left of a player's awards past their expiryDate
+ * Skipped (and left to the nightly reconciliation) while the ledger does
+ * not yet add up to the balance, as it was read before a recent write.
+ *
+ * @returns {Promise<number>} Credits expired
+ */
+const expireDueCredits = async (playerId, now = new Date()) => {
+    const player = await getPlayer(playerId);
+    const { lots, total } = replayLedger(await loadLedger(playerId));
+    if (total !== round2(player.creditBalance || 0)) {
+        console.warn(`[CREDITS] ${playerId}: ledger ${total} != balance ${player.creditBalance} - expiry skipped`);
+        return 0;
+    }
+
+    const due = [...lots.values()].filter(lot =>
+        lot.remaining > 0 && !lot.expired && lot.expiryDate && new Date(lot.expiryDate) <= now);
+
+    let expired = 0;
+    for (const lot of due) {
+        const result = await changeCredits(playerId, () => ({
+            id: `${lot.row.id}#EXPIRED`,
+            type: CREDIT_TYPE.EXPIRED,
+            changeAmount: -lot.remaining,
+            reason: `Expired ${lot.expiryDate.split('T')[0]}${lot.row.reason ? ` - ${lot.row.reason}` : ''}`,
+            relatedTransactionId: lot.row.id,
+            entityId: lot.row.entityId || null
+        }));
+        if (result.status === 'APPLIED') expired = round2(expired + lot.remaining);
+    }
+    if (expired > 0) console.log(`[CREDITS] ${playerId}: ${expired} expired`);
+    return expired;
+};
+
+/**
+ * Correct Player.creditBalance to the ledger
+ * A mismatch is read twice, as the ledger index can trail a write that
+ * just happened.
+ *
+ * @returns {Promise<Object|null>} { playerId, balance, ledgerBalance } when corrected
+ */
+const reconcileCredits = async (playerId) => {
+    for (let check = 1; check <= 2; check++) {
+        const player = await getPlayer(playerId);
+        const balance = round2(player.creditBalance || 0);
+        const { rows, total } = replayLedger(await loadLedger(playerId));
+        if (total === balance) return null;
+        if (rows.length === 0 && balance > 0) {
+            const status = await writeEntry(player, {
+                id: `${playerId}#OPENING`,
+                playerId,
+                type: CREDIT_TYPE.AWARD_MANUAL,
+                changeAmount: balance,
+                balanceAfter: balance,
+                transactionDate: new Date().toISOString(),
+                reason: 'Opening balance',
+                entityId: player.primaryEntityId || null
+            });
+            if (status === 'APPLIED') console.log(`[CREDITS] ${playerId}: opening balance ${balance} added to the ledger`);
+            return null;
+        }
+        if (check === 1) {
+            await sleep(1000);
+            continue;
+        }
+
+        const sequence = player.creditSequence || 0;
+        try {
+            await ddbDocClient.send(new UpdateCommand({
+                TableName: getTableName('Player'),
+                Key: { id: playerId },
+                UpdateExpression: 'SET creditBalance = :total, creditSequence = :next, updatedAt = :now, #v = if_not_exists(#v, :zero) + :one, #lca = :ts',
+                ConditionExpression: sequence === 0
+                    ? 'attribute_not_exists(creditSequence) OR creditSequence = :sequence'
+                    : 'creditSequence = :sequence',
+                ExpressionAttributeNames: { '#v': '_version', '#lca': '_lastChangedAt' },
+                ExpressionAttributeValues: {
+                    ':total': total,
+                    ':sequence': sequence,
+                    ':next': sequence + 1,
+                    ':zero': 0,
+                    ':one': 1,
+                    ':now': new Date().toISOString(),
+                    ':ts': Date.now()
+                }
+            }));
+        } catch (error) {
+            // Credits changed while checking - next run looks again
+            if (error.name === 'ConditionalCheckFailedException') return null;
+            throw error;
+        }
+        console.warn(`[CREDITS] ${playerId}: balance ${balance} corrected to ledger ${total}`);
+        return { playerId, balance, ledgerBalance: total };
+    }
+    return null;
+};
+
+/**
+ * Nightly: expire due credits, then reconcile
+ *
+ * @returns {Promise<{ expired: number, corrected: boolean }>}
+ */
+const settlePlayerCredits = async (playerId, now = new Date()) => {
+    const expired = await expireDueCredits(playerId, now);
+    const corrected = await reconcileCredits(playerId);
+    return { expired, corrected: !!corrected };
+};
+
+// ===================================================================
+// CREDITS FROM RESULTS
+// ===================================================================
+
+/**
+ * Active CreditAwardRules of an entity
+ */
+const loadCreditAwardRules = async (entityId) => {
+    const cached = ruleCache.get(entityId);
+    if (cached && Date.now() - cached.loadedAt < RULE_CACHE_TTL_MS) return cached.rules;
+
+    const items = await queryAll('CreditAwardRule', 'byEntityCreditRule', 'entityId', entityId);
+    const rules = items.filter(rule => !rule._deleted && rule.isActive !== false);
+    ruleCache.set(entityId, { rules, loadedAt: Date.now() });
+    return rules;
+};
+
+/**
+ * Award credits to the top finishers of a game that was just processed
+ * Rules match games like leaderboard programs (scope and date window).
+ * Failures are logged and never hold up player processing; a redelivered
+ * game awards nobody twice.
+ *
+ * @param {Object} gameData - Queue message ({ game, players })
+ * @param {Map<string, string>} playerIdByName - Resolved player ids
+ * @param {string} entityId
+ * @returns {Promise<number>} Players awarded
+ */
+const awardGameCredits = async (gameData, playerIdByName, entityId) => {
+    try {
+        const rules = await loadCreditAwardRules(entityId);
+        if (rules.length === 0) return 0;
+
+        const game = await withGameScope(gameData.game, rules);
+        const runners = game.totalUniquePlayers || gameData.players?.totalUniquePlayers || gameData.players?.allPlayers?.length || 0;
+        const matching = rules.filter(rule => programMatchesGame(rule, game) && (!rule.minRunners || runners >= rule.minRunners));
+        if (matching.length === 0) return 0;
+
+        const gameDate = new Date(game.gameStartDateTime || Date.now());
+        let awarded = 0;
+
+        for (const rule of matching) {
+            const winners = (gameData.players?.allPlayers || [])
+                .filter(player => player.rank && player.rank <= rule.topPlaces && playerIdByName.get(player.name));
+
+            for (const winner of winners) {
+                const playerId = playerIdByName.get(winner.name);
+                const result = await awardCredits({
+                    id: `${rule.id}#${game.id}#${playerId}`,
+                    playerId,
+                    amount: rule.amount,
+                    type: CREDIT_TYPE.AWARD_PROMOTION,
+                    reason: `${rule.name} - finished ${winner.rank} of ${runners}`,
+                    expiryDate: rule.expiryDays ? new Date(gameDate.getTime() + rule.expiryDays * DAY_MS).toISOString() : null,
+                    relatedGameId: game.id,
+                    entityId,
+                    creditAwardRuleId: rule.id,
+                    finishingPlace: winner.rank
+                }).catch(error => {
+                    // Typically an expiry already past for an old game
+                    console.warn(`[CREDITS] ${rule.name}: ${playerId} not awarded - ${error.message}`);
+                    return null;
+                });
+                if (result?.status === 'APPLIED') awarded++;
+            }
+        }
+        if (awarded > 0) console.log(`[CREDITS] Game ${game.id}: ${awarded} awards across ${matching.length} rules`);
+        return awarded;
+    } catch (error) {
+        console.error(`[CREDITS] Awarding credits for game ${gameData.game?.id} failed:`, error);
+        return 0;
+    }
+};
+
+// ===================================================================
+// LEDGER VIEW
+// ===================================================================
+
+const toEntry = (row, lot) => ({
+    id: row.id,
+    type: row.type,
+    changeAmount: row.changeAmount,
+    balanceAfter: row.balanceAfter,
+    transactionDate: row.transactionDate,
+    reason: row.reason || null,
+    expiryDate: row.expiryDate || null,
+    remaining: lot ? lot.remaining : null,
+    relatedGameId: row.relatedGameId || null,
+    createdBy: row.createdBy || null
+});
+
+/**
+ * A player's ledger, newest first, with what is left of each award
+ */
+const getPlayerCreditLedger = async ({ playerId }) => {
+    if (!playerId) throw new Error('playerId is required');
+    const player = await getPlayer(playerId);
+    const { rows, lots, total } = replayLedger(await loadLedger(playerId));
+    const balance = round2(player.creditBalance || 0);
+
+    const now = Date.now();
+    const expiring = [...lots.values()]
+        .filter(lot => lot.remaining > 0 && !lot.expired && lot.expiryDate)
+        .sort(bySpendOrder);
+    const soon = expiring.filter(lot => new Date(lot.expiryDate).getTime() - now <= EXPIRING_SOON_DAYS * DAY_MS);
+
+    return {
+        success: true,
+        balance,
+        ledgerBalance: total,
+        inSync: total === balance,
+        expiringSoon: round2(soon.reduce((sum, lot) => sum + lot.remaining, 0)),
+        nextExpiryDate: expiring[0]?.expiryDate || null,
+        entries: rows.map(row => toEntry(row, lots.get(row.id))).reverse()
+    };
+};
+
+const creditsResult = ({ status, row, balance }) => ({
+    success: true,
+    duplicate: status === 'DUPLICATE',
+    balance,
+    entry: row ? toEntry(row, null) : null
+});
+
+module.exports = {
+    CREDIT_TYPE,
+    replayLedger,
+    awardCredits,
+    redeemCredits,
+    expireDueCredits,
+    reconcileCredits,
+    settlePlayerCredits,
+    awardGameCredits,
+    getPlayerCreditLedger,
+    creditsResult
+};
@@ -0,0 +1,245 @@
+/**
+ * Player economics
+ *
+ * VERSION: 1.0.0
+ *
+ * Per-player figures kept on PlayerSummary:
+ *
+ *   totalRake                 rake paid on the player's buy-ins
+ *   biggestCash               largest single cash (and the game it came from)
+ *   averageFinishPercentile   mean of place / runners x 100 - lower is better
+ *   itmPercentage, roi        from the existing ITM / winnings / buy-in counters
+ *   lifetimeValue             what the player is worth to the club: rake to
+ *                             date plus the rake they are expected to pay over
+ *                             the next LTV_HORIZON_MONTHS
+ *
+ * The projection uses the player's average monthly rake, scaled down the
+ * longer it has been since they last played (full value up to
+ * FULL_VALUE_DAYS, nothing after NO_VALUE_DAYS). It is an estimate for
+ * ranking players, not a forecast.
+ *
+ * index.js adds each game as it is processed; the nightly segment run
+ * (playerSegments.js) refreshes the time-dependent figures and rebuilds
+ * summaries that predate these fields from PlayerResult / PlayerTransaction.
+ */
+
+const { UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const {
+    UNASSIGNED_VENUE_ID,
+    ddbDocClient,
+    getTableName,
+    queryAll,
+    daysBetween
+} = require('./playerUtils');
+
+const LTV_HORIZON_MONTHS = 12;
+const FULL_VALUE_DAYS = 30;
+const NO_VALUE_DAYS = 180;
+const DAYS_PER_MONTH = 30.44;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Where a player finished as a percentage of the field (1st of 100 = 1)
+ * Null when the place or field size is unknown.
+ */
+const finishPercentile = (place, runners) => {
+    if (!place || place < 1 || !runners || runners < 2) return null;
+    return round2(Math.min(place, runners) / runners * 100);
+};
+
+/**
+ * Estimated lifetime value to the club
+ */
+const estimateLifetimeValue = ({ totalRake, firstPlayed, lastPlayed }, now = new Date()) => {
+    const rake = totalRake || 0;
+    if (rake <= 0 || !lastPlayed) return round2(rake);
+
+    const monthsPlaying = Math.max(1, daysBetween(firstPlayed || lastPlayed, lastPlayed) / DAYS_PER_MONTH);
+    const daysAway = Math.max(0, daysBetween(lastPlayed, now));
+    const activity = Math.min(1, Math.max(0, (NO_VALUE_DAYS - daysAway) / (NO_VALUE_DAYS - FULL_VALUE_DAYS)));
+
+    return round2(rake + (rake / monthsPlaying) * LTV_HORIZON_MONTHS * activity);
+};
+
+/**
+ * Ratios and LTV from a summary's running totals
+ */
+const deriveEconomics = (totals, now = new Date()) => {
+    const buyIns = totals.totalBuyIns || 0;
+    const played = totals.tournamentsPlayed || 0;
+    const percentileGames = totals.finishPercentileGames || 0;
+
+    return {
+        itmPercentage: played > 0 ? round1((totals.tournamentITM || 0) / played * 100) : null,
+        roi: buyIns > 0 ? round1(((totals.totalWinnings || 0) - buyIns) / buyIns * 100) : null,
+        averageFinishPercentile: percentileGames > 0 ? round1((totals.finishPercentileTotal || 0) / percentileGames) : null,
+        lifetimeValue: estimateLifetimeValue(totals, now)
+    };
+};
+
+/**
+ * PlayerSummary fields after adding one game to an existing summary
+ * Counters the processor already increments (buy-ins, winnings, ITM) are
+ * read from the summary and advanced here only to derive the ratios.
+ *
+ * @param {Object|null} summary - PlayerSummary before the game
+ * @param {Object} game - { gameId, gameDateTime, buyIn, rake, winnings, isITM, place, runners }
+ * @returns {Object} Fields to SET on PlayerSummary
+ */
+const addGameEconomics = (summary, game, now = new Date()) => {
+    const percentile = finishPercentile(game.place, game.runners);
+    const existingFirst = summary?.firstPlayed || null;
+    const existingLast = summary?.lastPlayed || null;
+    const isBiggest = game.winnings > 0 && game.winnings > (summary?.biggestCash || 0);
+
+    const totals = {
+        totalBuyIns: (summary?.totalBuyIns || 0) + game.buyIn,
+        totalWinnings: (summary?.totalWinnings || 0) + game.winnings,
+        tournamentsPlayed: (summary?.tournamentsPlayed || 0) + 1,
+        tournamentITM: (summary?.tournamentITM || 0) + (game.isITM ? 1 : 0),
+        totalRake: round2((summary?.totalRake || 0) + game.rake),
+        finishPercentileTotal: round2((summary?.finishPercentileTotal || 0) + (percentile ?? 0)),
+        finishPercentileGames: (summary?.finishPercentileGames || 0) + (percentile !== null ? 1 : 0),
+        firstPlayed: !existingFirst || game.gameDateTime < existingFirst ? game.gameDateTime : existingFirst,
+        lastPlayed: !existingLast || game.gameDateTime > existingLast ? game.gameDateTime : existingLast
+    };
+
+    return {
+        firstPlayed: totals.firstPlayed,
+        totalRake: totals.totalRake,
+        biggestCash: isBiggest ? game.winnings : (summary?.biggestCash || 0),
+        biggestCashGameId: isBiggest ? game.gameId : (summary?.biggestCashGameId || null),
+        finishPercentileTotal: totals.finishPercentileTotal,
+        finishPercentileGames: totals.finishPercentileGames,
+        ...deriveEconomics(totals, now),
+        // A summary from before these fields existed keeps no timestamp, so
+        // the nightly run still rebuilds it from the player's full history
+        ...(summary && !summary.economicsUpdatedAt ? {} : { economicsUpdatedAt: now.toISOString() })
+    };
+};
+
+/**
+ * PlayerSummary economics rebuilt from a player's results and transactions
+ * Used for summaries written before these fields existed and after merges.
+ */
+const calculatePlayerEconomics = (results, transactions, cashGame = {}, now = new Date()) => {
+    const rakeByGame = new Map();
+    const buyInByGame = new Map();
+    for (const transaction of transactions) {
+        if (transaction.type !== 'BUY_IN' || !transaction.gameId) continue;
+        rakeByGame.set(transaction.gameId, (rakeByGame.get(transaction.gameId) || 0) + (transaction.rake || 0));
+        buyInByGame.set(transaction.gameId, (buyInByGame.get(transaction.gameId) || 0) + (transaction.amount || 0));
+    }
+
+    let biggest = null;
+    let percentileTotal = 0;
+    let percentileGames = 0;
+    for (const result of results) {
+        if ((result.amountWon || 0) > 0 && (!biggest || result.amountWon > biggest.amountWon)) biggest = result;
+        const percentile = finishPercentile(result.finishingPlace, result.totalRunners);
+        if (percentile !== null) {
+            percentileTotal += percentile;
+            percentileGames++;
+        }
+    }
+
+    const dates = results.map(r => r.gameStartDateTime).filter(Boolean).sort();
+    const totals = {
+        totalBuyIns: results.reduce((sum, r) => sum + (r.totalBuyInsPaid ?? buyInByGame.get(r.gameId) ?? 0), 0) + (cashGame.buyIns || 0),
+        totalWinnings: results.reduce((sum, r) => sum + (r.amountWon || 0), 0) + (cashGame.winnings || 0),
+        tournamentsPlayed: results.length,
+        tournamentITM: results.filter(r => r.prizeWon).length,
+        totalRake: round2(results.reduce((sum, r) => sum + (rakeByGame.get(r.gameId) || 0), 0)),
+        finishPercentileTotal: round2(percentileTotal),
+        finishPercentileGames: percentileGames,
+        firstPlayed: dates[0] || null,
+        lastPlayed: dates[dates.length - 1] || null
+    };
+
+    return {
+        firstPlayed: totals.firstPlayed,
+        totalRake: totals.totalRake,
+        biggestCash: biggest ? biggest.amountWon : 0,
+        biggestCashGameId: biggest ? biggest.gameId : null,
+        finishPercentileTotal: totals.finishPercentileTotal,
+        finishPercentileGames: totals.finishPercentileGames,
+        ...deriveEconomics(totals, now),
+        economicsUpdatedAt: now.toISOString()
+    };
+};
+
+/**
+ * Rake paid per venue, for PlayerVenue.totalRake
+ */
+const rakeByVenue = (results, transactions) => {
+    const resultVenue = new Map(results.map(r => [r.gameId, r.venueId]));
+    const totals = new Map();
+    for (const transaction of transactions) {
+        if (transaction.type !== 'BUY_IN') continue;
+        const venueId = transaction.venueId || resultVenue.get(transaction.gameId);
+        if (!venueId || venueId === UNASSIGNED_VENUE_ID) continue;
+        totals.set(venueId, round2((totals.get(venueId) || 0) + (transaction.rake || 0)));
+    }
+    return totals;
+};
+
+const updateSummaryEconomics = async (summaryId, fields) => {
+    const names = { '#v': '_version', '#lca': '_lastChangedAt' };
+    const values = { ':zero': 0, ':one': 1, ':ts': Date.now() };
+    const sets = Object.entries(fields).map(([field, value]) => {
+        names[`#${field}`] = field;
+        values[`:${field}`] = value;
+        return `#${field} = :${field}`;
+    });
+
+    await ddbDocClient.send(new UpdateCommand({
+        TableName: getTableName('PlayerSummary'),
+        Key: { id: summaryId },
+        UpdateExpression: `SET ${sets.join(', ')}, #v = if_not_exists(#v, :zero) + :one, #lca = :ts`,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values
+    }));
+};
+
+/**
+ * Nightly refresh of one summary
+ * Summaries that have never been calculated are rebuilt from the player's
+ * records; the rest only have their ratios and LTV recomputed, as LTV
+ * decays while the player stays away.
+ *
+ * @returns {Promise<boolean>} True when the summary was rebuilt
+ */
+const refreshPlayerEconomics = async (summary, now = new Date()) => {
+    if (!summary.economicsUpdatedAt) {
+        const [results, transactions] = await Promise.all([
+            queryAll('PlayerResult', 'byPlayer', 'playerId', summary.playerId || summary.id),
+            queryAll('PlayerTransaction', 'byPlayer', 'playerId', summary.playerId || summary.id)
+        ]);
+        const economics = calculatePlayerEconomics(results, transactions, {
+            buyIns: summary.cashGameBuyIns,
+            winnings: summary.cashGameWinnings
+        }, now);
+        await updateSummaryEconomics(summary.id, economics);
+        return true;
+    }
+
+    const derived = deriveEconomics(summary, now);
+    const unchanged = Object.keys(derived).every(field => (summary[field] ?? null) === derived[field]);
+    if (!unchanged) {
+        await updateSummaryEconomics(summary.id, { ...derived, economicsUpdatedAt: now.toISOString() });
+    }
+    return false;
+};
+
+module.exports = {
+    LTV_HORIZON_MONTHS,
+    finishPercentile,
+    estimateLifetimeValue,
+    deriveEconomics,
+    addGameEconomics,
+    calculatePlayerEconomics,
+    rakeByVenue,
+    refreshPlayerEconomics
+};
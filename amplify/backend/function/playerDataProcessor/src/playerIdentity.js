@@ -0,0 +1,187 @@
+/**
+ * Player identity resolution
+ *
+ * VERSION: 1.0.0
+ *
+ * Player ids are a hash of the scraped name (generatePlayerId), so spelling
+ * and name order variants ("Smith, John", "John Smith", "Jon Smith") become
+ * separate players. Merges and splits record KnownPlayerIdentity rows that
+ * route a name to a player:
+ *
+ *   identityType NAME  identityValue = identityKey(name)  → playerId
+ *   venueId set        only for games at that venue (wins over entity-wide)
+ *
+ * Scraped names are resolved through these rules before falling back to the
+ * hash, so later scrapes land on the merged (or split-off) player.
+ */
+
+const { QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const {
+    ddbDocClient,
+    getTableName,
+    generatePlayerId,
+    parsePlayerName
+} = require('./playerUtils');
+
+const IDENTITY_TYPE = {
+    NAME: 'NAME'
+};
+
+const IDENTITY_SOURCE = {
+    MERGE: 'MERGE',
+    SPLIT: 'SPLIT',
+    MANUAL: 'MANUAL'
+};
+
+// Rules change only on merge/split - a warm Lambda reloads them this often
+const RULE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const ruleCache = new Map();
+
+// ===================================================================
+// NAME NORMALIZATION
+// ===================================================================
+
+const normalizeNamePart = (value) => (value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9' -]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Order-independent key for a scraped name: "Smith, John" and "John Smith"
+ * both become "john smith"
+ */
+const identityKey = (name) => {
+    const { firstName, lastName } = parsePlayerName(name);
+    return normalizeNamePart(`${firstName} ${lastName}`);
+};
+
+/**
+ * Same key from a stored Player's name parts
+ */
+const playerIdentityKey = (player) =>
+    normalizeNamePart(`${player.firstName || ''} ${player.lastName || ''}`);
+
+const levenshtein = (a, b) => {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * 0-1 similarity of two normalized name parts
+ */
+const partSimilarity = (a, b) => {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// ===================================================================
+// IDENTITY RULES
+// ===================================================================
+
+const ruleKey = (identityValue, venueId) => `${identityValue}|${venueId || ''}`;
+
+/**
+ * Active NAME rules for an entity: Map<identityValue|venueId, playerId>
+ */
+const loadIdentityRules = async (entityId, { refresh = false } = {}) => {
+    const cached = ruleCache.get(entityId);
+    if (!refresh && cached && Date.now() - cached.loadedAt < RULE_CACHE_TTL_MS) {
+        return cached.rules;
+    }
+
+    const rules = new Map();
+    let lastEvaluatedKey;
+    do {
+        const response = await ddbDocClient.send(new QueryCommand({
+            TableName: getTableName('KnownPlayerIdentity'),
+            IndexName: 'byEntityIdentity',
+            KeyConditionExpression: 'entityId = :entityId',
+            ExpressionAttributeValues: { ':entityId': entityId },
+            ExclusiveStartKey: lastEvaluatedKey
+        }));
+        for (const identity of response.Items || []) {
+            if (identity._deleted || identity.isActive === false || identity.identityType !== IDENTITY_TYPE.NAME) continue;
+            rules.set(ruleKey(identity.identityValue, identity.venueId), identity.playerId);
+        }
+        lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    ruleCache.set(entityId, { rules, loadedAt: Date.now() });
+    return rules;
+};
+
+/**
+ * Player a scraped name belongs to at a venue
+ * Venue rule → entity rule → name hash
+ */
+const resolvePlayerId = (name, rules, venueId) => {
+    const key = identityKey(name);
+    return (venueId && rules.get(ruleKey(key, venueId)))
+        || rules.get(ruleKey(key, null))
+        || generatePlayerId(name);
+};
+
+/**
+ * Resolve every scraped name in a game
+ *
+ * @returns {Promise<Map>} name → playerId
+ */
+const resolvePlayerIds = async (names, entityId, venueId) => {
+    let rules = new Map();
+    try {
+        rules = await loadIdentityRules(entityId);
+    } catch (error) {
+        // Fall back to the hash rather than failing the whole game
+        console.warn(`[IDENTITY] Could not load identity rules for ${entityId}: ${error.message}`);
+    }
+
+    const resolved = new Map();
+    let routed = 0;
+    for (const name of names) {
+        const playerId = resolvePlayerId(name, rules, venueId);
+        if (playerId !== generatePlayerId(name)) routed++;
+        resolved.set(name, playerId);
+    }
+    if (routed > 0) {
+        console.log(`[IDENTITY] ${routed}/${names.length} names routed by identity rules`);
+    }
+    return resolved;
+};
+
+const clearIdentityRuleCache = (entityId) => {
+    if (entityId) ruleCache.delete(entityId);
+    else ruleCache.clear();
+};
+
+module.exports = {
+    IDENTITY_TYPE,
+    IDENTITY_SOURCE,
+    normalizeNamePart,
+    identityKey,
+    playerIdentityKey,
+    partSimilarity,
+    loadIdentityRules,
+    resolvePlayerId,
+    resolvePlayerIds,
+    clearIdentityRuleCache
+};
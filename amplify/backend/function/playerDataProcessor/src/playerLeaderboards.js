@@ -0,0 +1,470 @@
+/**
+ * Leaderboards - points races
+ *
+ * VERSION: 1.0.0
+ *
+ * A LeaderboardProgram covers the games of one scope inside a date window
+ * (dates are Australia/Sydney calendar days, endDate inclusive):
+ *
+ *   ENTITY          every game of the entity
+ *   VENUE           games at scopeId
+ *   RECURRING_GAME  games of the recurring game scopeId
+ *   SERIES          games of the tournament series scopeId
+ *
+ * Each player in a game earns
+ *
+ *   participationPoints
+ *   + basePoints x runners^fieldSizeExponent x buyIn^buyInExponent / place^finishExponent
+ *
+ * rounded to whole points. The second part is skipped past maxPlacesPaid
+ * (when set) and the whole game is skipped below minRunners. Points are
+ * written as PlayerPoints rows (EARN_FROM_PLAY, leaderboardProgramId) and
+ * added to Player.pointsBalance.
+ *
+ * index.js awards points as each game is processed. awardLeaderboardPoints
+ * (GraphQL) awards a program's games already played - for a program created
+ * mid-month - in a background invocation. Both skip players that already
+ * have points for the program and game, so re-running is safe. Changing a
+ * program's formula does not rescore games already awarded.
+ *
+ * Programs are cached per warm Lambda, so a new or edited program applies
+ * to games processed within five minutes; awardLeaderboardPoints fills in
+ * any game processed before that.
+ *
+ * Standings are summed from the PlayerPoints rows; programs with a
+ * shareToken can be read without signing in (publicLeaderboard) as JSON or
+ * CSV.
+ */
+
+const { GetCommand, QueryCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+const {
+    ddbDocClient,
+    getTableName,
+    batchGetItems,
+    queryAll
+} = require('./playerUtils');
+
+const lambdaClient = new LambdaClient({});
+
+const LEADERBOARD_SCOPE = {
+    ENTITY: 'ENTITY',
+    VENUE: 'VENUE',
+    RECURRING_GAME: 'RECURRING_GAME',
+    SERIES: 'SERIES'
+};
+
+const AWARD_OPERATION = 'awardLeaderboardPoints';
+
+// Game index that lists a scope's games by start time
+const SCOPE_GAME_INDEX = {
+    ENTITY: { indexName: 'byEntityGame', keyName: 'entityId' },
+    VENUE: { indexName: 'byVenue', keyName: 'venueId' },
+    RECURRING_GAME: { indexName: 'byRecurringGame', keyName: 'recurringGameId' },
+    SERIES: { indexName: 'byTournamentSeries', keyName: 'tournamentSeriesId' }
+};
+
+const PROGRAM_TIMEZONE = 'Australia/Sydney';
+const PROGRAM_CACHE_TTL_MS = 5 * 60 * 1000;
+const GAME_PAGE_SIZE = 25;
+const MIN_REMAINING_MS = 60 * 1000;
+const DEFAULT_STANDINGS_LIMIT = 100;
+
+const programCache = new Map();
+
+// ===================================================================
+// PROGRAMS
+// ===================================================================
+
+/**
+ * Active programs of an entity
+ */
+const loadLeaderboardPrograms = async (entityId, { refresh = false } = {}) => {
+    const cached = programCache.get(entityId);
+    if (!refresh && cached && Date.now() - cached.loadedAt < PROGRAM_CACHE_TTL_MS) {
+        return cached.programs;
+    }
+
+    const items = await queryAll('LeaderboardProgram', 'byEntityLeaderboard', 'entityId', entityId);
+    const programs = items.filter(program => program.isActive !== false);
+    programCache.set(entityId, { programs, loadedAt: Date.now() });
+    return programs;
+};
+
+const getProgram = async (programId) => {
+    const response = await ddbDocClient.send(new GetCommand({
+        TableName: getTableName('LeaderboardProgram'),
+        Key: { id: programId }
+    }));
+    return response.Item && !response.Item._deleted ? response.Item : null;
+};
+
+/**
+ * Calendar day of a game in the programs' timezone (YYYY-MM-DD)
+ */
+const gameDateKey = (gameDateTime) => {
+    if (!gameDateTime) return null;
+    return new Date(gameDateTime).toLocaleDateString('en-CA', { timeZone: PROGRAM_TIMEZONE });
+};
+
+/**
+ * The queued game with the fields programMatchesGame needs
+ * Messages queued before saveGameFunction 4.13.0 carry no recurring game /
+ * series; the Game is read only when a program's scope needs them.
+ */
+const withGameScope = async (queuedGame, programs) => {
+    const game = { ...queuedGame };
+    const needsScope = programs.some(program => program.scope === LEADERBOARD_SCOPE.RECURRING_GAME || program.scope === LEADERBOARD_SCOPE.SERIES);
+    if (needsScope && !('recurringGameId' in game)) {
+        const response = await ddbDocClient.send(new GetCommand({ TableName: getTableName('Game'), Key: { id: game.id } }));
+        game.recurringGameId = response.Item?.recurringGameId || null;
+        game.tournamentSeriesId = response.Item?.tournamentSeriesId || null;
+    }
+    return game;
+};
+
+const programMatchesGame = (program, game) => {
+    const day = gameDateKey(game.gameStartDateTime);
+    if (!day || day < program.startDate) return false;
+    if (program.endDate && day > program.endDate) return false;
+
+    switch (program.scope) {
+        case LEADERBOARD_SCOPE.ENTITY:
+            return true;
+        case LEADERBOARD_SCOPE.VENUE:
+            return !!program.scopeId && game.venueId === program.scopeId;
+        case LEADERBOARD_SCOPE.RECURRING_GAME:
+            return !!program.scopeId && game.recurringGameId === program.scopeId;
+        case LEADERBOARD_SCOPE.SERIES:
+            return !!program.scopeId && game.tournamentSeriesId === program.scopeId;
+        default:
+            return false;
+    }
+};
+
+// ===================================================================
+// POINTS
+// ===================================================================
+
+/**
+ * Points for one finish under a program's formula
+ */
+const calculatePoints = (program, { place, runners, buyIn }) => {
+    if (program.minRunners && runners < program.minRunners) return 0;
+
+    let points = program.participationPoints || 0;
+    const paid = !program.maxPlacesPaid || (place && place <= program.maxPlacesPaid);
+    if (place && place > 0 && paid) {
+        const basePoints = program.basePoints ?? 100;
+        const fieldFactor = Math.pow(Math.max(runners || 1, 1), program.fieldSizeExponent ?? 0.5);
+        const buyInFactor = Math.pow(Math.max(buyIn || 1, 1), program.buyInExponent ?? 0);
+        points += basePoints * fieldFactor * buyInFactor / Math.pow(place, program.finishExponent ?? 1);
+    }
+    return Math.round(points);
+};
+
+const pointsId = (programId, gameId, playerId) => `${programId}#${gameId}#${playerId}`;
+
+/**
+ * Award one program's points for one game
+ *
+ * @param {Object} program - LeaderboardProgram
+ * @param {Object} game - { id, gameStartDateTime, buyIn, totalUniquePlayers }
+ * @param {Object[]} placings - [{ playerId, place }]
+ * @param {Set<string>} alreadyAwarded - "programId#playerId" keys with points for this game
+ * @returns {Promise<number>} Players awarded
+ */
+const awardProgramGame = async (program, game, placings, alreadyAwarded) => {
+    const runners = game.totalUniquePlayers || placings.length;
+    const awards = placings
+        .filter(placing => !alreadyAwarded.has(`${program.id}#${placing.playerId}`))
+        .map(placing => ({ ...placing, points: calculatePoints(program, { place: placing.place, runners, buyIn: game.buyIn }) }))
+        .filter(award => award.points > 0);
+    if (awards.length === 0) return 0;
+
+    const players = await batchGetItems(getTableName('Player'), awards.map(award => award.playerId));
+    const now = new Date().toISOString();
+    let awarded = 0;
+
+    for (const award of awards) {
+        const player = players.get(award.playerId);
+        if (!player || player._deleted) continue;
+
+        try {
+            await ddbDocClient.send(new TransactWriteCommand({
+                TransactItems: [
+                    {
+                        Put: {
+                            TableName: getTableName('PlayerPoints'),
+                            Item: {
+                                id: pointsId(program.id, game.id, award.playerId),
+                                playerId: award.playerId,
+                                entityId: program.entityId,
+                                leaderboardProgramId: program.id,
+                                relatedGameId: game.id,
+                                finishingPlace: award.place || null,
+                                type: 'EARN_FROM_PLAY',
+                                changeAmount: award.points,
+                                balanceAfter: (player.pointsBalance || 0) + award.points,
+                                transactionDate: game.gameStartDateTime || now,
+                                reason: `${program.name}${award.place ? ` - finished ${award.place} of ${runners}` : ''}`,
+                                createdAt: now,
+                                updatedAt: now,
+                                _version: 1,
+                                _lastChangedAt: Date.now(),
+                                __typename: 'PlayerPoints'
+                            },
+                            ConditionExpression: 'attribute_not_exists(id)'
+                        }
+                    },
+                    {
+                        Update: {
+                            TableName: getTableName('Player'),
+                            Key: { id: award.playerId },
+                            UpdateExpression: 'SET pointsBalance = if_not_exists(pointsBalance, :zero) + :points, updatedAt = :now, #v = if_not_exists(#v, :zero) + :one, #lca = :ts',
+                            ExpressionAttributeNames: { '#v': '_version', '#lca': '_lastChangedAt' },
+                            ExpressionAttributeValues: { ':points': award.points, ':zero': 0, ':one': 1, ':now': now, ':ts': Date.now() }
+                        }
+                    }
+                ]
+            }));
+            awarded++;
+        } catch (error) {
+            // Another run awarded this player first
+            if (error.CancellationReasons?.[0]?.Code === 'ConditionalCheckFailed') continue;
+            throw error;
+        }
+    }
+    return awarded;
+};
+
+/**
+ * Players that already have points for a game, as "programId#playerId"
+ * Looked up by game rather than by id so points survive a player merge.
+ */
+const loadAwardedForGame = async (gameId) => {
+    const rows = await queryAll('PlayerPoints', 'byGame', 'relatedGameId', gameId);
+    return new Set(rows.filter(row => row.leaderboardProgramId).map(row => `${row.leaderboardProgramId}#${row.playerId}`));
+};
+
+/**
+ * Award every matching program's points for a game that was just processed
+ * Failures are logged and left for awardLeaderboardPoints to fill in, so a
+ * leaderboard problem never holds up player processing.
+ *
+ * @param {Object} gameData - Queue message ({ game, players })
+ * @param {Map<string, string>} playerIdByName - Resolved player ids
+ * @param {string} entityId
+ */
+const awardGamePoints = async (gameData, playerIdByName, entityId) => {
+    try {
+        const programs = await loadLeaderboardPrograms(entityId);
+        if (programs.length === 0) return 0;
+
+        const game = await withGameScope(gameData.game, programs);
+        game.totalUniquePlayers = game.totalUniquePlayers || gameData.players?.totalUniquePlayers || 0;
+
+        const matching = programs.filter(program => programMatchesGame(program, game));
+        if (matching.length === 0) return 0;
+
+        const placings = (gameData.players?.allPlayers || [])
+            .map(player => ({ playerId: playerIdByName.get(player.name), place: player.rank || null }))
+            .filter(placing => placing.playerId);
+        const alreadyAwarded = await loadAwardedForGame(game.id);
+
+        let awarded = 0;
+        for (const program of matching) {
+            awarded += await awardProgramGame(program, game, placings, alreadyAwarded);
+        }
+        if (awarded > 0) console.log(`[LEADERBOARD] Game ${game.id}: ${awarded} awards across ${matching.length} programs`);
+        return awarded;
+    } catch (error) {
+        console.error(`[LEADERBOARD] Awarding points for game ${gameData.game?.id} failed:`, error);
+        return 0;
+    }
+};
+
+// ===================================================================
+// BACKFILL
+// ===================================================================
+
+const invokeSelf = (payload) => lambdaClient.send(new InvokeCommand({
+    FunctionName: process.env.AWS_LAMBDA_FUNCTION_NAME,
+    InvocationType: 'Event',
+    Payload: JSON.stringify({ operation: AWARD_OPERATION, ...payload })
+}));
+
+/**
+ * Start awarding a program's games already played, in the background
+ */
+const startLeaderboardBackfill = async (programId) => {
+    const program = await getProgram(programId);
+    if (!program) throw new Error(`Leaderboard program ${programId} not found`);
+    if (program.scope !== LEADERBOARD_SCOPE.ENTITY && !program.scopeId) {
+        throw new Error(`A ${program.scope} leaderboard needs a scopeId`);
+    }
+    programCache.delete(program.entityId);
+    await invokeSelf({ programId });
+};
+
+/**
+ * Award a program's games page by page, continuing in a new invocation when
+ * the Lambda is close to its timeout
+ */
+const awardProgramPoints = async ({ programId, cursor = null, gamesChecked = 0, awarded = 0 }, context) => {
+    const program = await getProgram(programId);
+    if (!program) throw new Error(`Leaderboard program ${programId} not found`);
+
+    const { indexName, keyName } = SCOPE_GAME_INDEX[program.scope];
+    const keyValue = program.scope === LEADERBOARD_SCOPE.ENTITY ? program.entityId : program.scopeId;
+    const timeLeft = () => (context?.getRemainingTimeInMillis ? context.getRemainingTimeInMillis() : Infinity);
+
+    // A day either side covers the timezone; programMatchesGame decides
+    const from = new Date(`${program.startDate}T00:00:00.000Z`);
+    from.setUTCDate(from.getUTCDate() - 1);
+    const to = program.endDate ? new Date(`${program.endDate}T23:59:59.999Z`) : new Date();
+    to.setUTCDate(to.getUTCDate() + 1);
+
+    let currentCursor = cursor;
+    let checked = gamesChecked;
+    let total = awarded;
+    console.log(`[LEADERBOARD] Awarding ${program.name} (${program.scope}) from ${program.startDate}`);
+
+    do {
+        if (timeLeft() < MIN_REMAINING_MS) {
+            await invokeSelf({ programId, cursor: currentCursor, gamesChecked: checked, awarded: total });
+            console.log(`[LEADERBOARD] ${program.name}: continuing in a new invocation`);
+            return { programId, complete: false, gamesChecked: checked, awarded: total };
+        }
+
+        const response = await ddbDocClient.send(new QueryCommand({
+            TableName: getTableName('Game'),
+            IndexName: indexName,
+            KeyConditionExpression: '#key = :key AND gameStartDateTime BETWEEN :from AND :to',
+            ExpressionAttributeNames: { '#key': keyName },
+            ExpressionAttributeValues: { ':key': keyValue, ':from': from.toISOString(), ':to': to.toISOString() },
+            ExclusiveStartKey: currentCursor || undefined,
+            Limit: GAME_PAGE_SIZE
+        }));
+
+        for (const game of response.Items || []) {
+            if (game._deleted || game.entityId !== program.entityId || !programMatchesGame(program, game)) continue;
+            checked++;
+
+            const results = await queryAll('PlayerResult', 'byGame', 'gameId', game.id);
+            if (results.length === 0) continue;
+
+            const placings = results.map(result => ({ playerId: result.playerId, place: result.finishingPlace || null }));
+            const runners = game.totalUniquePlayers || results[0].totalRunners || results.length;
+            total += await awardProgramGame(program, { ...game, totalUniquePlayers: runners }, placings, await loadAwardedForGame(game.id));
+        }
+        currentCursor = response.LastEvaluatedKey || null;
+    } while (currentCursor);
+
+    console.log(`[LEADERBOARD] ${program.name} complete: ${checked} games, ${total} awards`);
+    return { programId, complete: true, gamesChecked: checked, awarded: total };
+};
+
+// ===================================================================
+// STANDINGS
+// ===================================================================
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const standingsCsv = (standings) => [
+    ['Rank', 'Player', 'Points', 'Games', 'Wins', 'Best Finish', 'Last Played'].join(','),
+    ...standings.map(s => [s.rank, s.playerName, s.points, s.games, s.wins, s.bestFinish, gameDateKey(s.lastPlayed)].map(csvCell).join(','))
+].join('\n');
+
+/**
+ * A program's standings: points, games, wins and best finish per player
+ * Ties on points share a rank; wins then best finish order them.
+ */
+const buildStandings = async (program, limit = DEFAULT_STANDINGS_LIMIT) => {
+    const rows = await queryAll('PlayerPoints', 'byLeaderboardProgram', 'leaderboardProgramId', program.id);
+
+    const byPlayer = new Map();
+    for (const row of rows) {
+        const standing = byPlayer.get(row.playerId) || { playerId: row.playerId, points: 0, games: 0, wins: 0, bestFinish: null, lastPlayed: null };
+        standing.points += row.changeAmount || 0;
+        standing.games++;
+        if (row.finishingPlace === 1) standing.wins++;
+        if (row.finishingPlace && (standing.bestFinish === null || row.finishingPlace < standing.bestFinish)) standing.bestFinish = row.finishingPlace;
+        if (!standing.lastPlayed || row.transactionDate > standing.lastPlayed) standing.lastPlayed = row.transactionDate;
+        byPlayer.set(row.playerId, standing);
+    }
+
+    const sorted = [...byPlayer.values()]
+        .sort((a, b) => b.points - a.points || b.wins - a.wins || (a.bestFinish ?? Infinity) - (b.bestFinish ?? Infinity))
+        .slice(0, limit);
+    const players = await batchGetItems(getTableName('Player'), sorted.map(s => s.playerId));
+
+    let rank = 0;
+    return sorted.map((standing, index) => {
+        if (index === 0 || standing.points !== sorted[index - 1].points) rank = index + 1;
+        const player = players.get(standing.playerId);
+        return {
+            ...standing,
+            rank,
+            playerName: player ? [player.firstName, player.lastName].filter(Boolean).join(' ') : standing.playerId
+        };
+    });
+};
+
+const standingsResult = async (program, limit) => {
+    const standings = await buildStandings(program, limit || DEFAULT_STANDINGS_LIMIT);
+    return {
+        success: true,
+        programId: program.id,
+        programName: program.name,
+        scope: program.scope,
+        startDate: program.startDate,
+        endDate: program.endDate || null,
+        generatedAt: new Date().toISOString(),
+        standings,
+        csv: standingsCsv(standings)
+    };
+};
+
+/**
+ * Standings for a signed-in user
+ */
+const getLeaderboardStandings = async ({ programId, limit }) => {
+    if (!programId) throw new Error('programId is required');
+    const program = await getProgram(programId);
+    if (!program) throw new Error(`Leaderboard program ${programId} not found`);
+    return standingsResult(program, limit);
+};
+
+/**
+ * Standings behind a program's share link (no sign-in)
+ */
+const getPublicLeaderboard = async ({ shareToken, limit }) => {
+    if (!shareToken) throw new Error('shareToken is required');
+    const response = await ddbDocClient.send(new QueryCommand({
+        TableName: getTableName('LeaderboardProgram'),
+        IndexName: 'byShareToken',
+        KeyConditionExpression: 'shareToken = :token',
+        ExpressionAttributeValues: { ':token': shareToken }
+    }));
+    const program = (response.Items || []).find(item => !item._deleted);
+    if (!program) throw new Error('Leaderboard not found');
+    return standingsResult(program, limit);
+};
+
+module.exports = {
+    LEADERBOARD_SCOPE,
+    AWARD_OPERATION,
+    loadLeaderboardPrograms,
+    withGameScope,
+    programMatchesGame,
+    calculatePoints,
+    awardGamePoints,
+    startLeaderboardBackfill,
+    awardProgramPoints,
+    getLeaderboardStandings,
+    getPublicLeaderboard
+};
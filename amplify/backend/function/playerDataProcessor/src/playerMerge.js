@@ -0,0 +1,953 @@
+/**
+ * Player duplicate detection, merge and split
+ *
+ * VERSION: 1.2.0 - Merging bumps both players' creditSequence (the credits
+ *   lock, see playerCredits.js) and only commits if the duplicate's
+ *   creditSequence is still the one read, so credit writes racing a merge
+ *   retry instead of being lost; a split that moves credit rows reconciles
+ *   both players' balances to their ledgers
+ *
+ * VERSION: 1.1.0 - Rebuilt summaries carry rake, ROI and LTV (playerEconomics.js)
+ *
+ * FIND: players of an entity are compared within blocks (first three letters
+ * of either name part) and scored on name similarity - the geometric mean of
+ * first and last name similarity, so "Jane Smith" / "John Smith" stays low
+ * while "Jon Smith" / "John Smith" and "Smith John" / "John Smith" score
+ * high. Pairs that played the same game are dropped (two people), pairs
+ * that played the same venues get a small boost.
+ *
+ * MERGE: the duplicates' PlayerResult and PlayerEntry rows are re-keyed to
+ * the survivor (their ids embed the playerId), PlayerTicket,
+ * PlayerTransaction, PlayerCredits and PlayerPoints rows are re-pointed,
+ * PlayerVenue and PlayerSummary rows are dropped and rebuilt from the
+ * survivor's results. The duplicate stays as status MERGED with
+ * mergedIntoPlayerId, and NAME identities route its name to the survivor.
+ * Its credit and points balances are added to the survivor in the same
+ * transaction that marks it MERGED, conditional on its _version.
+ *
+ * SPLIT: the chosen games move from a player to a new (or existing) player.
+ * A venue-scoped identity can send later games at that venue to them too.
+ *
+ * Merge and split refuse to put two results for the same game on one player.
+ */
+
+const {
+    GetCommand,
+    PutCommand,
+    UpdateCommand,
+    DeleteCommand,
+    QueryCommand,
+    TransactWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { v4: uuidv4 } = require('uuid');
+const {
+    UNASSIGNED_VENUE_ID,
+    ddbDocClient,
+    getTableName,
+    queryAll,
+    generateVisitKey,
+    parsePlayerName,
+    daysBetween,
+    calculatePlayerVenueTargetingClassification,
+    getTargetingFromDays
+} = require('./playerUtils');
+const {
+    IDENTITY_TYPE,
+    IDENTITY_SOURCE,
+    normalizeNamePart,
+    identityKey,
+    playerIdentityKey,
+    partSimilarity,
+    clearIdentityRuleCache
+} = require('./playerIdentity');
+const { calculatePlayerEconomics, rakeByVenue } = require('./playerEconomics');
+const { reconcileCredits } = require('./playerCredits');
+
+// ===================================================================
+// CONSTANTS
+// ===================================================================
+
+const MERGED_STATUS = 'MERGED';
+
+const DEFAULT_MIN_SCORE = 0.8;
+const DEFAULT_CANDIDATE_LIMIT = 100;
+
+// Candidates checked against game history (two queries each)
+const MAX_EVIDENCE_CHECKS = 300;
+
+const SHARED_VENUE_BOOST = 0.05;
+
+// Re-reads of a duplicate whose balance changed while it was being merged
+const MAX_BALANCE_TRANSFER_ATTEMPTS = 5;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const displayName = (player) => [player.firstName, player.lastName].filter(Boolean).join(' ') || player.id;
+
+// ===================================================================
+// RECORD ACCESS
+// ===================================================================
+
+const getPlayer = async (playerId) => {
+    if (!playerId) return null;
+    const response = await ddbDocClient.send(new GetCommand({
+        TableName: getTableName('Player'),
+        Key: { id: playerId },
+        ConsistentRead: true
+    }));
+    return response.Item && !response.Item._deleted ? response.Item : null;
+};
+
+/**
+ * Every per-player row that moves with the player
+ */
+const loadPlayerRecords = async (playerId) => {
+    const [results, entries, tickets, transactions, credits, points, venues, identities] = await Promise.all([
+        queryAll('PlayerResult', 'byPlayer', 'playerId', playerId),
+        queryAll('PlayerEntry', 'byPlayer', 'playerId', playerId),
+        queryAll('PlayerTicket', 'byPlayer', 'playerId', playerId),
+        queryAll('PlayerTransaction', 'byPlayer', 'playerId', playerId),
+        queryAll('PlayerCredits', 'byPlayer', 'playerId', playerId),
+        queryAll('PlayerPoints', 'byPlayer', 'playerId', playerId),
+        queryAll('PlayerVenue', 'byPlayer', 'playerId', playerId),
+        queryAll('KnownPlayerIdentity', 'byPlayer', 'playerId', playerId)
+    ]);
+    return { results, entries, tickets, transactions, credits, points, venues, identities };
+};
+
+const gameIdsOf = (records) => new Set([
+    ...records.results.map(r => r.gameId),
+    ...records.entries.map(e => e.gameId)
+].filter(Boolean));
+
+/**
+ * Move a row whose id embeds the playerId (PlayerResult, PlayerEntry) -
+ * the new row is written and the old one deleted in one transaction
+ */
+const rekeyRecord = async (modelName, item, fromPlayerId, toPlayerId) => {
+    const now = new Date().toISOString();
+    if (!item.id.includes(fromPlayerId)) {
+        return repointRecord(modelName, item, toPlayerId);
+    }
+
+    const tableName = getTableName(modelName);
+    await ddbDocClient.send(new TransactWriteCommand({
+        TransactItems: [
+            {
+                Put: {
+                    TableName: tableName,
+                    Item: {
+                        ...item,
+                        id: item.id.replace(fromPlayerId, toPlayerId),
+                        playerId: toPlayerId,
+                        updatedAt: now,
+                        _version: 1,
+                        _lastChangedAt: Date.now()
+                    },
+                    ConditionExpression: 'attribute_not_exists(id)'
+                }
+            },
+            { Delete: { TableName: tableName, Key: { id: item.id } } }
+        ]
+    }));
+};
+
+/**
+ * Point a row with its own id at another player
+ */
+const repointRecord = async (modelName, item, toPlayerId) => {
+    await ddbDocClient.send(new UpdateCommand({
+        TableName: getTableName(modelName),
+        Key: { id: item.id },
+        UpdateExpression: 'SET playerId = :playerId, updatedAt = :now, #v = if_not_exists(#v, :zero) + :one, #lca = :ts',
+        ExpressionAttributeNames: { '#v': '_version', '#lca': '_lastChangedAt' },
+        ExpressionAttributeValues: {
+            ':playerId': toPlayerId,
+            ':now': new Date().toISOString(),
+            ':zero': 0,
+            ':one': 1,
+            ':ts': Date.now()
+        }
+    }));
+};
+
+const deleteRecord = (modelName, id) => ddbDocClient.send(new DeleteCommand({
+    TableName: getTableName(modelName),
+    Key: { id }
+}));
+
+/**
+ * Move a set of rows from one player to another
+ *
+ * @returns {Object} counts per kind
+ */
+const moveRecords = async (records, fromPlayerId, toPlayerId) => {
+    for (const result of records.results) {
+        await rekeyRecord('PlayerResult', result, fromPlayerId, toPlayerId);
+    }
+    for (const entry of records.entries) {
+        await rekeyRecord('PlayerEntry', entry, fromPlayerId, toPlayerId);
+    }
+    for (const ticket of records.tickets) {
+        await repointRecord('PlayerTicket', ticket, toPlayerId);
+    }
+    for (const transaction of records.transactions) {
+        await repointRecord('PlayerTransaction', transaction, toPlayerId);
+    }
+    for (const credit of records.credits) {
+        await repointRecord('PlayerCredits', credit, toPlayerId);
+    }
+    for (const point of records.points) {
+        await repointRecord('PlayerPoints', point, toPlayerId);
+    }
+    return countRecords(records);
+};
+
+const countRecords = (records) => ({
+    results: records.results.length,
+    entries: records.entries.length,
+    tickets: records.tickets.length,
+    transactions: records.transactions.length,
+    credits: records.credits.length,
+    points: records.points.length
+});
+
+// ===================================================================
+// IDENTITIES
+// ===================================================================
+
+/**
+ * Route a name key (optionally at one venue) to a player, replacing any
+ * existing rule for the same key and venue
+ */
+const upsertNameIdentity = async ({ entityId, identityValue, playerId, venueId = null, source, notes = null, createdBy = null }) => {
+    if (!entityId || !identityValue) return;
+
+    const tableName = getTableName('KnownPlayerIdentity');
+    const now = new Date().toISOString();
+    const response = await ddbDocClient.send(new QueryCommand({
+        TableName: tableName,
+        IndexName: 'byEntityIdentity',
+        KeyConditionExpression: 'entityId = :entityId AND identityValue = :value',
+        ExpressionAttributeValues: { ':entityId': entityId, ':value': identityValue }
+    }));
+    const existing = (response.Items || []).find(identity =>
+        !identity._deleted &&
+        identity.identityType === IDENTITY_TYPE.NAME &&
+        (identity.venueId || null) === (venueId || null)
+    );
+
+    if (existing) {
+        if (existing.playerId === playerId && existing.isActive !== false) return;
+        await ddbDocClient.send(new UpdateCommand({
+            TableName: tableName,
+            Key: { id: existing.id },
+            UpdateExpression: 'SET playerId = :playerId, isActive = :true, sourceSystem = :source, notes = :notes, updatedAt = :now, #v = if_not_exists(#v, :zero) + :one, #lca = :ts',
+            ExpressionAttributeNames: { '#v': '_version', '#lca': '_lastChangedAt' },
+            ExpressionAttributeValues: {
+                ':playerId': playerId,
+                ':true': true,
+                ':source': source,
+                ':notes': notes,
+                ':now': now,
+                ':zero': 0,
+                ':one': 1,
+                ':ts': Date.now()
+            }
+        }));
+        return;
+    }
+
+    await ddbDocClient.send(new PutCommand({
+        TableName: tableName,
+        Item: {
+            id: uuidv4(),
+            entityId,
+            sourceSystem: source,
+            identityType: IDENTITY_TYPE.NAME,
+            identityValue,
+            playerId,
+            venueId,
+            notes,
+            createdBy,
+            isActive: true,
+            createdAt: now,
+            updatedAt: now,
+            _version: 1,
+            _lastChangedAt: Date.now(),
+            __typename: 'KnownPlayerIdentity'
+        }
+    }));
+};
+
+// ===================================================================
+// STATS
+// ===================================================================
+
+/**
+ * Rebuild PlayerSummary, PlayerVenue and the Player's play dates from the
+ * player's results and buy-in transactions
+ */
+const recomputePlayerStats = async (playerId) => {
+    const player = await getPlayer(playerId);
+    if (!player) return null;
+
+    const [results, transactions, venues, summaryResponse] = await Promise.all([
+        queryAll('PlayerResult', 'byPlayer', 'playerId', playerId),
+        queryAll('PlayerTransaction', 'byPlayer', 'playerId', playerId),
+        queryAll('PlayerVenue', 'byPlayer', 'playerId', playerId),
+        ddbDocClient.send(new GetCommand({ TableName: getTableName('PlayerSummary'), Key: { id: playerId } }))
+    ]);
+    const existingSummary = summaryResponse.Item || null;
+    const now = new Date();
+    const nowIso = now.toISOString();
+
+    const buyInByGame = new Map();
+    for (const transaction of transactions) {
+        if (transaction.type !== 'BUY_IN' || !transaction.gameId) continue;
+        buyInByGame.set(transaction.gameId, (buyInByGame.get(transaction.gameId) || 0) + (transaction.amount || 0));
+    }
+    const buyInFor = (result) => result.totalBuyInsPaid ?? buyInByGame.get(result.gameId) ?? 0;
+    const venueRake = rakeByVenue(results, transactions);
+
+    // --- PlayerSummary ---
+    if (results.length === 0) {
+        if (existingSummary) await deleteRecord('PlayerSummary', playerId);
+    } else {
+        const dates = results.map(r => r.gameStartDateTime).filter(Boolean).sort();
+        const places = results.map(r => r.finishingPlace).filter(place => place > 0);
+        const winnings = results.reduce((sum, r) => sum + (r.amountWon || 0), 0);
+        const buyIns = results.reduce((sum, r) => sum + buyInFor(r), 0);
+        const playedWithin = (days) => results.filter(r => r.gameStartDateTime && daysBetween(r.gameStartDateTime, now) <= days).length;
+        const cashGameWinnings = existingSummary?.cashGameWinnings || 0;
+        const cashGameBuyIns = existingSummary?.cashGameBuyIns || 0;
+        const economics = calculatePlayerEconomics(results, transactions, { buyIns: cashGameBuyIns, winnings: cashGameWinnings }, now);
+
+        await ddbDocClient.send(new PutCommand({
+            TableName: getTableName('PlayerSummary'),
+            Item: {
+                id: playerId,
+                playerId,
+                entityId: existingSummary?.entityId || player.primaryEntityId,
+                sessionsPlayed: results.length + (existingSummary?.cashGamesPlayed || 0),
+                tournamentsPlayed: results.length,
+                cashGamesPlayed: existingSummary?.cashGamesPlayed || 0,
+                gamesPlayedLast30Days: playedWithin(30),
+                gamesPlayedLast90Days: playedWithin(90),
+                gamesPlayedAllTime: results.length,
+                averageFinishPosition: places.length > 0 ? round2(places.reduce((sum, p) => sum + p, 0) / places.length) : null,
+                venuesVisited: new Set(results.map(r => r.venueId).filter(id => id && id !== UNASSIGNED_VENUE_ID)).size,
+                tournamentWinnings: winnings,
+                tournamentBuyIns: buyIns,
+                tournamentITM: results.filter(r => r.prizeWon).length,
+                tournamentsCashed: results.filter(r => (r.amountWon || 0) > 0).length,
+                cashGameWinnings,
+                cashGameBuyIns,
+                totalWinnings: winnings + cashGameWinnings,
+                totalBuyIns: buyIns + cashGameBuyIns,
+                netBalance: winnings + cashGameWinnings - buyIns - cashGameBuyIns,
+                lastPlayed: dates[dates.length - 1],
+                ...economics,
+                createdAt: existingSummary?.createdAt || nowIso,
+                updatedAt: nowIso,
+                _version: (existingSummary?._version || 0) + 1,
+                _lastChangedAt: Date.now(),
+                __typename: 'PlayerSummary'
+            }
+        }));
+
+        await ddbDocClient.send(new UpdateCommand({
+            TableName: getTableName('Player'),
+            Key: { id: playerId },
+            UpdateExpression: 'SET registrationDate = :first, firstGamePlayed = :first, lastPlayedDate = :last, targetingClassification = :targeting, updatedAt = :now, #v = if_not_exists(#v, :zero) + :one, #lca = :ts',
+            ExpressionAttributeNames: { '#v': '_version', '#lca': '_lastChangedAt' },
+            ExpressionAttributeValues: {
+                ':first': dates[0],
+                ':last': dates[dates.length - 1],
+                ':targeting': getTargetingFromDays(daysBetween(dates[dates.length - 1], now)),
+                ':now': nowIso,
+                ':zero': 0,
+                ':one': 1,
+                ':ts': Date.now()
+            }
+        }));
+    }
+
+    // --- PlayerVenue: one row per venue played ---
+    const byVenue = new Map();
+    for (const result of results) {
+        if (!result.venueId || result.venueId === UNASSIGNED_VENUE_ID) continue;
+        if (!byVenue.has(result.venueId)) byVenue.set(result.venueId, []);
+        byVenue.get(result.venueId).push(result);
+    }
+
+    const kept = new Set();
+    for (const [venueId, venueResults] of byVenue) {
+        const entityId = venueResults[0].entityId || player.primaryEntityId;
+        const dates = venueResults.map(r => r.gameStartDateTime).filter(Boolean).sort();
+        const totalBuyIns = venueResults.reduce((sum, r) => sum + buyInFor(r), 0);
+        const totalWinnings = venueResults.reduce((sum, r) => sum + (r.amountWon || 0), 0);
+        const existing = venues.find(v => v.venueId === venueId && !kept.has(v.id));
+        const stats = {
+            playerId,
+            venueId,
+            entityId,
+            visityKey: generateVisitKey(playerId, entityId, venueId),
+            totalGamesPlayed: venueResults.length,
+            averageBuyIn: round2(totalBuyIns / venueResults.length),
+            totalBuyIns,
+            totalWinnings,
+            netProfit: totalWinnings - totalBuyIns,
+            totalRake: venueRake.get(venueId) || 0,
+            firstPlayedDate: dates[0],
+            lastPlayedDate: dates[dates.length - 1],
+            targetingClassification: calculatePlayerVenueTargetingClassification(
+                dates[dates.length - 1], existing?.membershipCreatedDate || dates[0]
+            ),
+            updatedAt: nowIso,
+            _lastChangedAt: Date.now()
+        };
+
+        if (existing) {
+            kept.add(existing.id);
+            await ddbDocClient.send(new PutCommand({
+                TableName: getTableName('PlayerVenue'),
+                Item: { ...existing, ...stats, _version: (existing._version || 0) + 1 }
+            }));
+        } else {
+            await ddbDocClient.send(new PutCommand({
+                TableName: getTableName('PlayerVenue'),
+                Item: {
+                    id: uuidv4(),
+                    ...stats,
+                    membershipCreatedDate: dates[0],
+                    createdAt: nowIso,
+                    _version: 1,
+                    __typename: 'PlayerVenue'
+                }
+            }));
+        }
+    }
+
+    for (const venue of venues) {
+        if (!kept.has(venue.id)) await deleteRecord('PlayerVenue', venue.id);
+    }
+
+    return { playerId, results: results.length, venues: byVenue.size };
+};
+
+// ===================================================================
+// FIND DUPLICATES
+// ===================================================================
+
+const nameParts = (player) => ({
+    first: normalizeNamePart(player.firstName),
+    last: normalizeNamePart(player.lastName)
+});
+
+const isInitialOf = (short, long) => short.length === 1 && long.length > 1 && long.startsWith(short);
+
+/**
+ * Name score for two players, with why
+ *
+ * @returns {{score: number, reasons: string[]}}
+ */
+const scoreNames = (a, b) => {
+    const keyA = `${a.first} ${a.last}`.trim();
+    const keyB = `${b.first} ${b.last}`.trim();
+    if (keyA === keyB) return { score: 1, reasons: ['SAME_NAME'] };
+
+    const firstSim = isInitialOf(a.first, b.first) || isInitialOf(b.first, a.first)
+        ? 0.8
+        : partSimilarity(a.first, b.first);
+    const direct = Math.sqrt(firstSim * partSimilarity(a.last, b.last));
+    const swapped = Math.sqrt(partSimilarity(a.first, b.last) * partSimilarity(a.last, b.first)) * 0.95;
+
+    if (swapped > direct) {
+        return { score: swapped, reasons: ['NAME_ORDER'] };
+    }
+    const reasons = firstSim === 0.8 && a.first !== b.first ? ['INITIAL'] : ['SPELLING'];
+    return { score: direct, reasons };
+};
+
+/**
+ * Likely duplicate players in an entity
+ *
+ * @param {Object} input
+ * @param {string} input.entityId
+ * @param {number} input.minScore - 0-1 (default 0.8)
+ * @param {number} input.limit - Most candidates returned
+ * @returns {Promise<Object>} FindPlayerDuplicatesResult
+ */
+const findPlayerDuplicates = async ({ entityId, minScore = DEFAULT_MIN_SCORE, limit = DEFAULT_CANDIDATE_LIMIT }) => {
+    if (!entityId) throw new Error('entityId is required');
+
+    const players = (await queryAll('Player', 'byPrimaryEntity', 'primaryEntityId', entityId))
+        .filter(player => player.status !== MERGED_STATUS);
+
+    // Block on the first three letters of either name part, so swapped names meet
+    const blocks = new Map();
+    const parts = new Map();
+    for (const player of players) {
+        const p = nameParts(player);
+        if (`${p.first}${p.last}`.length < 3) continue;
+        parts.set(player.id, p);
+        for (const token of new Set([p.first.slice(0, 3), p.last.slice(0, 3)])) {
+            if (token.length < 2) continue;
+            if (!blocks.has(token)) blocks.set(token, []);
+            blocks.get(token).push(player);
+        }
+    }
+
+    const seen = new Set();
+    const scored = [];
+    for (const block of blocks.values()) {
+        for (let i = 0; i < block.length; i++) {
+            for (let j = i + 1; j < block.length; j++) {
+                const [a, b] = block[i].id < block[j].id ? [block[i], block[j]] : [block[j], block[i]];
+                const pairKey = `${a.id}|${b.id}`;
+                if (seen.has(pairKey)) continue;
+                seen.add(pairKey);
+
+                const { score, reasons } = scoreNames(parts.get(a.id), parts.get(b.id));
+                if (score >= minScore - SHARED_VENUE_BOOST) scored.push({ a, b, score, reasons });
+            }
+        }
+    }
+    scored.sort((x, y) => y.score - x.score);
+
+    // Game history: same game = two people, same venues = more likely one
+    const historyCache = new Map();
+    const historyOf = async (playerId) => {
+        if (!historyCache.has(playerId)) {
+            const results = await queryAll('PlayerResult', 'byPlayer', 'playerId', playerId);
+            historyCache.set(playerId, {
+                games: new Set(results.map(r => r.gameId)),
+                venues: new Set(results.map(r => r.venueId).filter(id => id && id !== UNASSIGNED_VENUE_ID)),
+                lastPlayed: results.map(r => r.gameStartDateTime).filter(Boolean).sort().pop() || null
+            });
+        }
+        return historyCache.get(playerId);
+    };
+
+    const candidates = [];
+    let excludedPlayedTogether = 0;
+    for (const pair of scored.slice(0, MAX_EVIDENCE_CHECKS)) {
+        if (candidates.length >= limit) break;
+
+        const [historyA, historyB] = await Promise.all([historyOf(pair.a.id), historyOf(pair.b.id)]);
+        if ([...historyA.games].some(gameId => historyB.games.has(gameId))) {
+            excludedPlayedTogether++;
+            continue;
+        }
+
+        const sharedVenues = [...historyA.venues].filter(venueId => historyB.venues.has(venueId)).length;
+        const score = Math.min(1, pair.score + (sharedVenues > 0 ? SHARED_VENUE_BOOST : 0));
+        if (score < minScore) continue;
+
+        // Suggest keeping the player with more games
+        const [keep, drop, keepHistory, dropHistory] = historyA.games.size >= historyB.games.size
+            ? [pair.a, pair.b, historyA, historyB]
+            : [pair.b, pair.a, historyB, historyA];
+
+        candidates.push({
+            playerId: keep.id,
+            playerName: displayName(keep),
+            duplicatePlayerId: drop.id,
+            duplicateName: displayName(drop),
+            score: round2(score),
+            reasons: sharedVenues > 0 ? [...pair.reasons, 'SHARED_VENUE'] : pair.reasons,
+            gamesPlayed: keepHistory.games.size,
+            duplicateGamesPlayed: dropHistory.games.size,
+            sharedVenues,
+            lastPlayed: keepHistory.lastPlayed,
+            duplicateLastPlayed: dropHistory.lastPlayed
+        });
+    }
+
+    console.log(`[IDENTITY] ${entityId}: ${players.length} players, ${scored.length} name matches, ${candidates.length} candidates, ${excludedPlayedTogether} played together`);
+
+    return {
+        success: true,
+        entityId,
+        playersScanned: players.length,
+        candidatesFound: candidates.length,
+        excludedPlayedTogether,
+        candidates
+    };
+};
+
+// ===================================================================
+// MERGE
+// ===================================================================
+
+/**
+ * Mark a duplicate MERGED and add its credit/points balances to the survivor
+ * in one transaction
+ *
+ * The duplicate is only written if its _version and creditSequence are
+ * still the ones that were read (every Player write bumps _version, every
+ * credits write bumps creditSequence), so an award or redemption that lands
+ * mid-merge is re-read and carried over rather than zeroed. The survivor's
+ * balances are added to, and its creditSequence bumped so a credits write
+ * that read it before the merge retries rather than overwriting it.
+ */
+const transferBalances = async (duplicate, survivorId) => {
+    let player = duplicate;
+
+    for (let attempt = 1; attempt <= MAX_BALANCE_TRANSFER_ATTEMPTS; attempt++) {
+        const now = new Date().toISOString();
+        const ts = Date.now();
+        const hasVersion = player._version !== undefined && player._version !== null;
+        const sequence = player.creditSequence || 0;
+        const conditions = [
+            hasVersion ? '#v = :version' : 'attribute_not_exists(#v)',
+            sequence === 0 ? '(attribute_not_exists(creditSequence) OR creditSequence = :sequence)' : 'creditSequence = :sequence'
+        ];
+
+        try {
+            await ddbDocClient.send(new TransactWriteCommand({
+                TransactItems: [
+                    {
+                        Update: {
+                            TableName: getTableName('Player'),
+                            Key: { id: player.id },
+                            UpdateExpression: 'SET #status = :merged, mergedIntoPlayerId = :survivorId, creditBalance = :zero, creditSequence = if_not_exists(creditSequence, :zero) + :one, pointsBalance = :zero, updatedAt = :now, #v = if_not_exists(#v, :zero) + :one, #lca = :ts',
+                            ConditionExpression: conditions.join(' AND '),
+                            ExpressionAttributeNames: { '#status': 'status', '#v': '_version', '#lca': '_lastChangedAt' },
+                            ExpressionAttributeValues: {
+                                ':merged': MERGED_STATUS,
+                                ':survivorId': survivorId,
+                                ':zero': 0,
+                                ':one': 1,
+                                ':now': now,
+                                ':ts': ts,
+                                ':sequence': sequence,
+                                ...(hasVersion && { ':version': player._version })
+                            }
+                        }
+                    },
+                    {
+                        Update: {
+                            TableName: getTableName('Player'),
+                            Key: { id: survivorId },
+                            UpdateExpression: 'SET creditBalance = if_not_exists(creditBalance, :zero) + :credits, creditSequence = if_not_exists(creditSequence, :zero) + :one, pointsBalance = if_not_exists(pointsBalance, :zero) + :points, updatedAt = :now, #v = if_not_exists(#v, :zero) + :one, #lca = :ts',
+                            ConditionExpression: 'attribute_exists(id)',
+                            ExpressionAttributeNames: { '#v': '_version', '#lca': '_lastChangedAt' },
+                            ExpressionAttributeValues: {
+                                ':credits': player.creditBalance || 0,
+                                ':points': player.pointsBalance || 0,
+                                ':zero': 0,
+                                ':one': 1,
+                                ':now': now,
+                                ':ts': ts
+                            }
+                        }
+                    }
+                ]
+            }));
+            return;
+        } catch (error) {
+            const duplicateChanged = error.name === 'TransactionCanceledException' &&
+                error.CancellationReasons?.[0]?.Code === 'ConditionalCheckFailed';
+            if (!duplicateChanged || attempt === MAX_BALANCE_TRANSFER_ATTEMPTS) throw error;
+
+            player = await getPlayer(player.id);
+            if (!player) throw new Error(`Player ${duplicate.id} was deleted during the merge`);
+            if (player.status === MERGED_STATUS) throw new Error(`${displayName(player)} was merged into ${player.mergedIntoPlayerId} during the merge`);
+        }
+    }
+};
+
+/**
+ * Merge duplicate players into a survivor
+ *
+ * @param {Object} input
+ * @param {string} input.survivorId - Player that is kept
+ * @param {string[]} input.duplicateIds - Players merged into it
+ * @param {boolean} input.preview - Count only (default true)
+ * @param {string} input.notes
+ * @param {string} input.mergedBy
+ * @returns {Promise<Object>} MergePlayersResult
+ */
+const mergePlayers = async ({ survivorId, duplicateIds = [], preview = true, notes = null, mergedBy = null }) => {
+    const ids = [...new Set(duplicateIds || [])].filter(id => id && id !== survivorId);
+    const result = {
+        success: true,
+        preview,
+        survivorId,
+        survivorName: null,
+        playersMerged: 0,
+        resultsMoved: 0,
+        entriesMoved: 0,
+        ticketsMoved: 0,
+        transactionsMoved: 0,
+        conflicts: [],
+        details: []
+    };
+    const fail = (error) => ({ ...result, success: false, error });
+
+    if (!survivorId || ids.length === 0) return fail('survivorId and at least one other player are required');
+
+    const survivor = await getPlayer(survivorId);
+    if (!survivor) return fail(`Player not found: ${survivorId}`);
+    if (survivor.status === MERGED_STATUS) return fail(`${displayName(survivor)} was already merged into ${survivor.mergedIntoPlayerId}`);
+    result.survivorName = displayName(survivor);
+
+    const survivorGames = gameIdsOf(await loadPlayerRecords(survivorId));
+    const duplicates = [];
+    for (const id of ids) {
+        const player = await getPlayer(id);
+        if (!player) return fail(`Player not found: ${id}`);
+        if (player.status === MERGED_STATUS) return fail(`${displayName(player)} was already merged into ${player.mergedIntoPlayerId}`);
+
+        const records = await loadPlayerRecords(id);
+        const games = gameIdsOf(records);
+        result.conflicts.push(...[...games].filter(gameId => survivorGames.has(gameId)));
+        games.forEach(gameId => survivorGames.add(gameId));
+        duplicates.push({ player, records });
+
+        const counts = countRecords(records);
+        result.details.push({ playerId: id, playerName: displayName(player), ...counts });
+        result.resultsMoved += counts.results;
+        result.entriesMoved += counts.entries;
+        result.ticketsMoved += counts.tickets;
+        result.transactionsMoved += counts.transactions;
+    }
+    result.playersMerged = duplicates.length;
+
+    if (result.conflicts.length > 0) {
+        result.conflicts = [...new Set(result.conflicts)];
+        return fail(`These players were in ${result.conflicts.length} of the same game(s) - they look like different people`);
+    }
+    if (preview) return result;
+
+    const entityId = survivor.primaryEntityId;
+
+    for (const { player, records } of duplicates) {
+        await moveRecords(records, player.id, survivorId);
+
+        // Rebuilt from the survivor's results below
+        for (const venue of records.venues) {
+            await deleteRecord('PlayerVenue', venue.id);
+        }
+        await deleteRecord('PlayerSummary', player.id);
+
+        // Rules that sent names to the duplicate now send them to the survivor
+        for (const identity of records.identities) {
+            await repointRecord('KnownPlayerIdentity', identity, survivorId);
+        }
+        await upsertNameIdentity({
+            entityId: entityId || player.primaryEntityId,
+            identityValue: playerIdentityKey(player),
+            playerId: survivorId,
+            source: IDENTITY_SOURCE.MERGE,
+            notes,
+            createdBy: mergedBy
+        });
+
+        await transferBalances(player, survivorId);
+        console.log(`[MERGE] ${displayName(player)} (${player.id}) → ${result.survivorName} (${survivorId})`);
+    }
+
+    // The survivor's own name, so its other spellings/orderings land on it
+    await upsertNameIdentity({
+        entityId,
+        identityValue: playerIdentityKey(survivor),
+        playerId: survivorId,
+        source: IDENTITY_SOURCE.MERGE,
+        notes,
+        createdBy: mergedBy
+    });
+
+    await recomputePlayerStats(survivorId);
+    clearIdentityRuleCache(entityId);
+
+    return result;
+};
+
+// ===================================================================
+// SPLIT
+// ===================================================================
+
+/**
+ * Move some of a player's games to another player
+ *
+ * @param {Object} input
+ * @param {string} input.playerId - Player the games are taken from
+ * @param {string[]} input.gameIds - Games that belong to someone else
+ * @param {string} input.newPlayerName - Create a player with this name...
+ * @param {string} input.targetPlayerId - ...or move to an existing player
+ * @param {string} input.venueId - Also send later games at this venue
+ *        under the player's name to the target
+ * @param {boolean} input.preview - Count only (default true)
+ * @returns {Promise<Object>} SplitPlayerResult
+ */
+const splitPlayer = async ({
+    playerId,
+    gameIds = [],
+    newPlayerName = null,
+    targetPlayerId = null,
+    venueId = null,
+    preview = true,
+    notes = null,
+    splitBy = null
+}) => {
+    const result = {
+        success: true,
+        preview,
+        playerId,
+        targetPlayerId: targetPlayerId || null,
+        targetPlayerName: null,
+        resultsMoved: 0,
+        entriesMoved: 0,
+        ticketsMoved: 0,
+        transactionsMoved: 0,
+        conflicts: []
+    };
+    const fail = (error) => ({ ...result, success: false, error });
+
+    const games = new Set((gameIds || []).filter(Boolean));
+    if (!playerId || games.size === 0) return fail('playerId and at least one gameId are required');
+    if (!targetPlayerId && !newPlayerName?.trim()) return fail('Either newPlayerName or targetPlayerId is required');
+    if (targetPlayerId === playerId) return fail('Cannot split a player into itself');
+
+    const source = await getPlayer(playerId);
+    if (!source) return fail(`Player not found: ${playerId}`);
+
+    const all = await loadPlayerRecords(playerId);
+    const moving = {
+        results: all.results.filter(r => games.has(r.gameId)),
+        entries: all.entries.filter(e => games.has(e.gameId)),
+        tickets: all.tickets.filter(t => games.has(t.wonFromGameId) || games.has(t.usedInGameId)),
+        transactions: all.transactions.filter(t => games.has(t.gameId)),
+        credits: all.credits.filter(c => games.has(c.relatedGameId)),
+        points: all.points.filter(p => games.has(p.relatedGameId))
+    };
+    if (moving.results.length === 0 && moving.entries.length === 0) {
+        return fail('None of those games belong to this player');
+    }
+
+    const counts = countRecords(moving);
+    result.resultsMoved = counts.results;
+    result.entriesMoved = counts.entries;
+    result.ticketsMoved = counts.tickets;
+    result.transactionsMoved = counts.transactions;
+
+    let target = null;
+    if (targetPlayerId) {
+        target = await getPlayer(targetPlayerId);
+        if (!target) return fail(`Player not found: ${targetPlayerId}`);
+        if (target.status === MERGED_STATUS) return fail(`${displayName(target)} was merged into ${target.mergedIntoPlayerId}`);
+        result.targetPlayerName = displayName(target);
+        result.conflicts = [...gameIdsOf(await loadPlayerRecords(targetPlayerId))].filter(gameId => games.has(gameId));
+        if (result.conflicts.length > 0) {
+            return fail(`${result.targetPlayerName} already has a result in ${result.conflicts.length} of these game(s)`);
+        }
+    } else {
+        result.targetPlayerName = newPlayerName.trim();
+    }
+    if (preview) return result;
+
+    const entityId = source.primaryEntityId;
+    const now = new Date().toISOString();
+    const pointsMoved = moving.results.reduce((sum, r) => sum + (r.pointsEarned || 0), 0);
+
+    if (!target) {
+        // Not the name hash - a split-off player usually shares the source's name
+        const parsedName = parsePlayerName(newPlayerName);
+        const firstResult = [...moving.results].sort((a, b) =>
+            (a.gameStartDateTime || '').localeCompare(b.gameStartDateTime || ''))[0];
+        const firstDate = firstResult?.gameStartDateTime || now;
+        const registrationVenueId = firstResult?.venueId && firstResult.venueId !== UNASSIGNED_VENUE_ID
+            ? firstResult.venueId
+            : null;
+
+        target = {
+            id: uuidv4(),
+            firstName: parsedName.firstName,
+            lastName: parsedName.lastName,
+            givenName: parsedName.givenName,
+            registrationDate: firstDate,
+            firstGamePlayed: firstDate,
+            lastPlayedDate: firstDate,
+            registrationVenueId,
+            status: 'ACTIVE',
+            category: 'NEW',
+            targetingClassification: getTargetingFromDays(daysBetween(firstDate, new Date())),
+            venueAssignmentStatus: registrationVenueId ? 'AUTO_ASSIGNED' : 'PENDING_ASSIGNMENT',
+            creditBalance: 0,
+            pointsBalance: 0,
+            primaryEntityId: entityId,
+            createdAt: now,
+            updatedAt: now,
+            _version: 1,
+            _lastChangedAt: Date.now(),
+            __typename: 'Player'
+        };
+        await ddbDocClient.send(new PutCommand({
+            TableName: getTableName('Player'),
+            Item: target,
+            ConditionExpression: 'attribute_not_exists(id)'
+        }));
+        result.targetPlayerId = target.id;
+    }
+
+    await moveRecords(moving, playerId, target.id);
+
+    if (pointsMoved !== 0) {
+        for (const [id, change] of [[playerId, -pointsMoved], [target.id, pointsMoved]]) {
+            await ddbDocClient.send(new UpdateCommand({
+                TableName: getTableName('Player'),
+                Key: { id },
+                UpdateExpression: 'SET pointsBalance = if_not_exists(pointsBalance, :zero) + :change, updatedAt = :now, #v = if_not_exists(#v, :zero) + :one, #lca = :ts',
+                ExpressionAttributeNames: { '#v': '_version', '#lca': '_lastChangedAt' },
+                ExpressionAttributeValues: { ':zero': 0, ':one': 1, ':change': change, ':now': now, ':ts': Date.now() }
+            }));
+        }
+    }
+
+    // Credits follow their games; each player's balance is then its ledger
+    if (moving.credits.length > 0) {
+        await reconcileCredits(playerId);
+        await reconcileCredits(target.id);
+    }
+
+    if (venueId) {
+        await upsertNameIdentity({
+            entityId,
+            identityValue: playerIdentityKey(source),
+            playerId: target.id,
+            venueId,
+            source: IDENTITY_SOURCE.SPLIT,
+            notes,
+            createdBy: splitBy
+        });
+    }
+    if (newPlayerName && identityKey(newPlayerName) !== playerIdentityKey(source)) {
+        await upsertNameIdentity({
+            entityId,
+            identityValue: identityKey(newPlayerName),
+            playerId: target.id,
+            source: IDENTITY_SOURCE.SPLIT,
+            notes,
+            createdBy: splitBy
+        });
+    }
+
+    await recomputePlayerStats(playerId);
+    await recomputePlayerStats(target.id);
+    clearIdentityRuleCache(entityId);
+
+    console.log(`[SPLIT] ${counts.results} results of ${displayName(source)} (${playerId}) → ${result.targetPlayerName} (${target.id})`);
+    return result;
+};
+
+module.exports = {
+    MERGED_STATUS,
+    scoreNames,
+    findPlayerDuplicates,
+    mergePlayers,
+    splitPlayer,
+    recomputePlayerStats
+};
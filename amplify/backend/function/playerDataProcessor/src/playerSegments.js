@@ -0,0 +1,498 @@
+/**
+ * Player lifecycle segments
+ *
+ * VERSION: 1.2.0 - The nightly player pass also expires and reconciles
+ *   player credits (see playerCredits.js)
+ *
+ * VERSION: 1.1.0 - The nightly player pass also refreshes player economics
+ *   (ROI, ITM %, lifetime value - see playerEconomics.js)
+ *
+ * Classifies players against their entity's PlayerSegmentDefinitions:
+ *
+ *   VENUE level   PlayerVenue rows - how the player behaves at one venue
+ *   PLAYER level  PlayerSummary + Player - across the entity
+ *
+ * Definitions are checked in priority order and the first whose conditions
+ * all hold wins (an empty condition always holds). Entities without
+ * definitions use DEFAULT_SEGMENTS, the old Active / Retain / Churned day
+ * buckets. A segment's targetingClassification is also written to the
+ * existing targetingClassification fields.
+ *
+ * Players are classified when they play (index.js) and every night, so a
+ * player who stops playing drifts into Retain and Churned without returning.
+ * Each change of segment is recorded as a PlayerSegmentHistory row.
+ */
+
+const { QueryCommand, ScanCommand, UpdateCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+const { v4: uuidv4 } = require('uuid');
+const {
+    ddbDocClient,
+    getTableName,
+    batchGetItems,
+    daysBetween,
+    calculatePlayerVenueTargetingClassification,
+    getTargetingFromDays
+} = require('./playerUtils');
+const { refreshPlayerEconomics } = require('./playerEconomics');
+const { settlePlayerCredits } = require('./playerCredits');
+
+const lambdaClient = new LambdaClient({});
+
+const SEGMENT_LEVEL = {
+    PLAYER: 'PLAYER',
+    VENUE: 'VENUE'
+};
+
+const SEGMENT_TRIGGER = {
+    GAME: 'GAME',
+    NIGHTLY: 'NIGHTLY',
+    MANUAL: 'MANUAL'
+};
+
+const RECLASSIFY_OPERATION = 'reclassifySegments';
+
+// Same boundaries as getTargetingFromDays
+const DEFAULT_SEGMENTS = [
+    { id: 'default-active', name: 'Active', priority: 10, maxDaysSinceLastPlayed: 30, targetingClassification: 'Active_EL' },
+    { id: 'default-retain-31-60', name: 'Retain 31-60d', priority: 20, maxDaysSinceLastPlayed: 60, targetingClassification: 'Retain_Inactive31_60d' },
+    { id: 'default-retain-61-90', name: 'Retain 61-90d', priority: 30, maxDaysSinceLastPlayed: 90, targetingClassification: 'Retain_Inactive61_90d' },
+    { id: 'default-churned-91-120', name: 'Churned 91-120d', priority: 40, maxDaysSinceLastPlayed: 120, targetingClassification: 'Churned_91_120d' },
+    { id: 'default-churned-121-180', name: 'Churned 121-180d', priority: 50, maxDaysSinceLastPlayed: 180, targetingClassification: 'Churned_121_180d' },
+    { id: 'default-churned-181-360', name: 'Churned 181-360d', priority: 60, maxDaysSinceLastPlayed: 360, targetingClassification: 'Churned_181_360d' },
+    { id: 'default-churned-361', name: 'Churned 361d+', priority: 70, targetingClassification: 'Churned_361d' }
+];
+
+const DAYS_PER_MONTH = 30.44;
+
+// Definitions change rarely - a warm Lambda reloads them this often
+const DEFINITION_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Reclassification paging; stop early enough to hand over to a fresh invocation
+const PAGE_SIZE = 100;
+const WRITE_CONCURRENCY = 10;
+const MIN_REMAINING_MS = 60 * 1000;
+
+const definitionCache = new Map();
+
+// ===================================================================
+// DEFINITIONS
+// ===================================================================
+
+/**
+ * Active definitions for an entity in priority order (DEFAULT_SEGMENTS if none)
+ */
+const loadSegmentDefinitions = async (entityId, { refresh = false } = {}) => {
+    const cached = definitionCache.get(entityId);
+    if (!refresh && cached && Date.now() - cached.loadedAt < DEFINITION_CACHE_TTL_MS) {
+        return cached.definitions;
+    }
+
+    const items = [];
+    let lastEvaluatedKey;
+    do {
+        const response = await ddbDocClient.send(new QueryCommand({
+            TableName: getTableName('PlayerSegmentDefinition'),
+            IndexName: 'byEntitySegment',
+            KeyConditionExpression: 'entityId = :entityId',
+            ExpressionAttributeValues: { ':entityId': entityId },
+            ExclusiveStartKey: lastEvaluatedKey
+        }));
+        items.push(...(response.Items || []));
+        lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    const active = items
+        .filter(definition => !definition._deleted && definition.isActive !== false)
+        .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+    const definitions = active.length > 0 ? active : DEFAULT_SEGMENTS;
+
+    definitionCache.set(entityId, { definitions, loadedAt: Date.now() });
+    return definitions;
+};
+
+const clearSegmentDefinitionCache = (entityId) => {
+    if (entityId) definitionCache.delete(entityId);
+    else definitionCache.clear();
+};
+
+// ===================================================================
+// CLASSIFICATION
+// ===================================================================
+
+/**
+ * Values a definition's conditions are checked against
+ *
+ * gamesPerMonth is games since first played / months since first played
+ * (at least one month), so it falls while a player stays away.
+ */
+const segmentMetrics = ({ lastPlayed, firstPlayed, gamesPlayed, averageBuyIn, venueCount }, now = new Date()) => {
+    const monthsPlaying = Math.max(1, (firstPlayed ? daysBetween(firstPlayed, now) : 0) / DAYS_PER_MONTH);
+    return {
+        daysSinceLastPlayed: lastPlayed ? daysBetween(lastPlayed, now) : null,
+        gamesPerMonth: (gamesPlayed || 0) / monthsPlaying,
+        averageBuyIn: averageBuyIn || 0,
+        venueCount: venueCount || 0
+    };
+};
+
+const inRange = (value, min, max) => {
+    const hasMin = min !== null && min !== undefined;
+    const hasMax = max !== null && max !== undefined;
+    if (!hasMin && !hasMax) return true;
+    if (value === null || value === undefined) return false;
+    return (!hasMin || value >= min) && (!hasMax || value <= max);
+};
+
+const matchesSegment = (definition, metrics) =>
+    inRange(metrics.daysSinceLastPlayed, definition.minDaysSinceLastPlayed, definition.maxDaysSinceLastPlayed)
+    && inRange(metrics.gamesPerMonth, definition.minGamesPerMonth, definition.maxGamesPerMonth)
+    && inRange(metrics.averageBuyIn, definition.minAverageBuyIn, definition.maxAverageBuyIn)
+    && inRange(metrics.venueCount, definition.minVenueCount, definition.maxVenueCount);
+
+/**
+ * First matching definition, or null
+ */
+const classifySegment = (metrics, definitions) =>
+    (definitions || []).find(definition => matchesSegment(definition, metrics)) || null;
+
+const venueSegmentMetrics = (playerVenue, venueCount, now) => segmentMetrics({
+    lastPlayed: playerVenue.lastPlayedDate,
+    firstPlayed: playerVenue.firstPlayedDate || playerVenue.membershipCreatedDate,
+    gamesPlayed: playerVenue.totalGamesPlayed,
+    averageBuyIn: playerVenue.averageBuyIn,
+    venueCount
+}, now);
+
+const playerSegmentMetrics = (summary, player, now) => segmentMetrics({
+    lastPlayed: summary.lastPlayed || player?.lastPlayedDate,
+    firstPlayed: player?.firstGamePlayed || player?.registrationDate,
+    gamesPlayed: summary.sessionsPlayed,
+    averageBuyIn: summary.sessionsPlayed ? (summary.totalBuyIns || 0) / summary.sessionsPlayed : 0,
+    venueCount: summary.venuesVisited
+}, now);
+
+const earliest = (current, candidate) => (!current || new Date(candidate) < new Date(current) ? candidate : current);
+const latest = (current, candidate) => (!current || new Date(candidate) > new Date(current) ? candidate : current);
+
+/**
+ * Segments a player lands in once a game is added to their records
+ * Mirrors the increments processPlayerRecordsTransactionalOptimized applies.
+ *
+ * @returns {{playerSegment: Object|null, venueSegment: Object|null}}
+ */
+const classifyAfterGame = ({ gameDate, buyIn, skipVenue, existingPlayer, existingSummary, existingVenue }, definitions) => {
+    if (!definitions) return { playerSegment: null, venueSegment: null };
+
+    const now = new Date();
+    const sessions = (existingSummary?.sessionsPlayed || 0) + 1;
+    const venueCount = existingSummary
+        ? (existingSummary.venuesVisited || 0) + (!skipVenue && !existingVenue ? 1 : 0)
+        : 1;
+
+    const playerSegment = classifySegment(segmentMetrics({
+        lastPlayed: latest(existingSummary?.lastPlayed, gameDate),
+        firstPlayed: earliest(existingPlayer?.firstGamePlayed || existingPlayer?.registrationDate, gameDate),
+        gamesPlayed: sessions,
+        averageBuyIn: ((existingSummary?.totalBuyIns || 0) + buyIn) / sessions,
+        venueCount
+    }, now), definitions);
+
+    if (skipVenue) return { playerSegment, venueSegment: null };
+
+    const venueGames = existingVenue?.totalGamesPlayed || 0;
+    const venueSegment = classifySegment(segmentMetrics({
+        lastPlayed: latest(existingVenue?.lastPlayedDate, gameDate),
+        firstPlayed: earliest(existingVenue?.firstPlayedDate, gameDate),
+        gamesPlayed: venueGames + 1,
+        averageBuyIn: ((existingVenue?.averageBuyIn || 0) * venueGames + buyIn) / (venueGames + 1),
+        venueCount
+    }, now), definitions);
+
+    return { playerSegment, venueSegment };
+};
+
+/**
+ * PlayerSegmentHistory row for a change of segment
+ * Only movements are recorded - a player's first segment has nothing to move from.
+ */
+const buildSegmentHistory = ({ entityId, playerId, venueId, level, previous, segment, trigger, daysSinceLastPlayed }) => {
+    const now = new Date().toISOString();
+    return {
+        id: uuidv4(),
+        entityId,
+        playerId,
+        venueId: venueId || null,
+        level,
+        fromSegmentId: previous?.segmentId || null,
+        fromSegmentName: previous?.segmentName || null,
+        toSegmentId: segment?.id || null,
+        toSegmentName: segment?.name || null,
+        trigger,
+        daysSinceLastPlayed: daysSinceLastPlayed ?? null,
+        changedAt: now,
+        createdAt: now,
+        updatedAt: now,
+        _version: 1,
+        _lastChangedAt: Date.now(),
+        __typename: 'PlayerSegmentHistory'
+    };
+};
+
+const segmentChanged = (previous, segment) => (previous?.segmentId || null) !== (segment?.id || null);
+
+// ===================================================================
+// RECLASSIFICATION
+// ===================================================================
+
+/**
+ * Write a row's segment (and targetingClassification) if either changed
+ *
+ * @returns {Promise<Object|null>} the segment moved from, or null if it did not move
+ */
+const applySegment = async ({ modelName, row, segment, targeting, entityId, playerId, venueId, level, trigger, metrics }) => {
+    const previous = { segmentId: row.segmentId || null, segmentName: row.segmentName || null };
+    const moved = segmentChanged(previous, segment);
+    const retarget = targeting && targeting !== row.targetingClassification;
+    if (!moved && !retarget) return null;
+
+    const now = new Date().toISOString();
+    let updateExpression = 'SET updatedAt = :now, #v = if_not_exists(#v, :zero) + :one, #lca = :timestamp';
+    const expressionValues = { ':now': now, ':zero': 0, ':one': 1, ':timestamp': Date.now() };
+    if (moved) {
+        updateExpression += ', segmentId = :segmentId, segmentName = :segmentName, segmentChangedAt = :now';
+        expressionValues[':segmentId'] = segment?.id || null;
+        expressionValues[':segmentName'] = segment?.name || null;
+    }
+    if (retarget) {
+        updateExpression += ', targetingClassification = :targeting';
+        expressionValues[':targeting'] = targeting;
+    }
+
+    await ddbDocClient.send(new UpdateCommand({
+        TableName: getTableName(modelName),
+        Key: { id: row.id },
+        UpdateExpression: updateExpression,
+        ExpressionAttributeNames: { '#v': '_version', '#lca': '_lastChangedAt' },
+        ExpressionAttributeValues: expressionValues
+    }));
+
+    if (moved && previous.segmentId) {
+        await ddbDocClient.send(new PutCommand({
+            TableName: getTableName('PlayerSegmentHistory'),
+            Item: buildSegmentHistory({
+                entityId, playerId, venueId, level, trigger,
+                previous,
+                segment,
+                daysSinceLastPlayed: metrics.daysSinceLastPlayed
+            })
+        }));
+    }
+    return moved ? previous : null;
+};
+
+const runLimited = async (items, worker) => {
+    for (let i = 0; i < items.length; i += WRITE_CONCURRENCY) {
+        await Promise.all(items.slice(i, i + WRITE_CONCURRENCY).map(worker));
+    }
+};
+
+const countMove = (stats, previous, segment) => {
+    const key = `${previous?.segmentName || '-'} → ${segment?.name || '-'}`;
+    stats.moves[key] = (stats.moves[key] || 0) + 1;
+};
+
+/**
+ * One page of the entity's PlayerVenue rows
+ */
+const reclassifyVenuePage = async (entityId, definitions, cursor, trigger, stats) => {
+    const response = await ddbDocClient.send(new QueryCommand({
+        TableName: getTableName('PlayerVenue'),
+        IndexName: 'byEntityPlayerVenue',
+        KeyConditionExpression: 'entityId = :entityId',
+        ExpressionAttributeValues: { ':entityId': entityId },
+        ExclusiveStartKey: cursor || undefined,
+        Limit: PAGE_SIZE
+    }));
+    const venues = (response.Items || []).filter(venue => !venue._deleted);
+    const summaries = await batchGetItems(getTableName('PlayerSummary'), venues.map(venue => venue.playerId));
+    const now = new Date();
+
+    await runLimited(venues, async (venue) => {
+        const metrics = venueSegmentMetrics(venue, summaries.get(venue.playerId)?.venuesVisited || 1, now);
+        const segment = classifySegment(metrics, definitions);
+        const targeting = segment?.targetingClassification
+            || (venue.lastPlayedDate ? calculatePlayerVenueTargetingClassification(venue.lastPlayedDate, venue.membershipCreatedDate) : null);
+        const movedFrom = await applySegment({
+            modelName: 'PlayerVenue',
+            row: venue,
+            segment,
+            targeting,
+            entityId,
+            playerId: venue.playerId,
+            venueId: venue.venueId,
+            level: SEGMENT_LEVEL.VENUE,
+            trigger,
+            metrics
+        });
+        stats.venuesChecked++;
+        if (movedFrom) {
+            stats.venuesMoved++;
+            countMove(stats, movedFrom, segment);
+        }
+    });
+
+    return response.LastEvaluatedKey || null;
+};
+
+/**
+ * One page of the entity's players (PlayerSummary segment + Player targetingClassification)
+ */
+const reclassifyPlayerPage = async (entityId, definitions, cursor, trigger, stats) => {
+    const response = await ddbDocClient.send(new QueryCommand({
+        TableName: getTableName('Player'),
+        IndexName: 'byPrimaryEntity',
+        KeyConditionExpression: 'primaryEntityId = :entityId',
+        ExpressionAttributeValues: { ':entityId': entityId },
+        ExclusiveStartKey: cursor || undefined,
+        Limit: PAGE_SIZE
+    }));
+    const players = (response.Items || []).filter(player => !player._deleted && player.status !== 'MERGED');
+    const summaries = await batchGetItems(getTableName('PlayerSummary'), players.map(player => player.id));
+    const now = new Date();
+
+    await runLimited(players, async (player) => {
+        if (player.creditBalance) {
+            const credits = await settlePlayerCredits(player.id, now).catch(error => {
+                console.error(`[SEGMENTS] Settling credits for ${player.id} failed:`, error);
+                return null;
+            });
+            if (credits?.expired) stats.creditsExpired = (stats.creditsExpired || 0) + credits.expired;
+            if (credits?.corrected) stats.creditBalancesCorrected = (stats.creditBalancesCorrected || 0) + 1;
+        }
+
+        const summary = summaries.get(player.id);
+        if (!summary) return;
+
+        if (await refreshPlayerEconomics(summary, now)) stats.economicsRebuilt = (stats.economicsRebuilt || 0) + 1;
+
+        const metrics = playerSegmentMetrics(summary, player, now);
+        const segment = classifySegment(metrics, definitions);
+        const movedFrom = await applySegment({
+            modelName: 'PlayerSummary',
+            row: summary,
+            segment,
+            targeting: null,
+            entityId,
+            playerId: player.id,
+            level: SEGMENT_LEVEL.PLAYER,
+            trigger,
+            metrics
+        });
+
+        const targeting = segment?.targetingClassification
+            || (metrics.daysSinceLastPlayed !== null ? getTargetingFromDays(metrics.daysSinceLastPlayed) : null);
+        if (targeting && targeting !== player.targetingClassification) {
+            await applySegment({ modelName: 'Player', row: player, segment: null, targeting });
+        }
+
+        stats.playersChecked++;
+        if (movedFrom) {
+            stats.playersMoved++;
+            countMove(stats, movedFrom, segment);
+        }
+    });
+
+    return response.LastEvaluatedKey || null;
+};
+
+const invokeSelf = (payload) => lambdaClient.send(new InvokeCommand({
+    FunctionName: process.env.AWS_LAMBDA_FUNCTION_NAME,
+    InvocationType: 'Event',
+    Payload: JSON.stringify({ operation: RECLASSIFY_OPERATION, ...payload })
+}));
+
+/**
+ * Reclassify every PlayerVenue, then every player, of one entity
+ * Runs until the Lambda is close to its timeout, then continues in a new
+ * invocation from the saved stage and cursor.
+ */
+const reclassifyEntitySegments = async ({ entityId, trigger = SEGMENT_TRIGGER.NIGHTLY, stage = SEGMENT_LEVEL.VENUE, cursor = null, stats = null }, context) => {
+    if (!entityId) throw new Error('entityId is required');
+
+    const definitions = await loadSegmentDefinitions(entityId, { refresh: true });
+    const runStats = stats || { venuesChecked: 0, venuesMoved: 0, playersChecked: 0, playersMoved: 0, moves: {} };
+    const timeLeft = () => (context?.getRemainingTimeInMillis ? context.getRemainingTimeInMillis() : Infinity);
+
+    let currentStage = stage;
+    let currentCursor = cursor;
+    console.log(`[SEGMENTS] ${trigger} reclassification of ${entityId} from ${currentStage} (${definitions.length} segments)`);
+
+    while (currentStage) {
+        if (timeLeft() < MIN_REMAINING_MS) {
+            await invokeSelf({ entityId, trigger, stage: currentStage, cursor: currentCursor, stats: runStats });
+            console.log(`[SEGMENTS] ${entityId}: continuing in a new invocation at ${currentStage}`);
+            return { entityId, complete: false, stats: runStats };
+        }
+
+        const reclassifyPage = currentStage === SEGMENT_LEVEL.VENUE ? reclassifyVenuePage : reclassifyPlayerPage;
+        currentCursor = await reclassifyPage(entityId, definitions, currentCursor, trigger, runStats);
+        if (!currentCursor) {
+            currentStage = currentStage === SEGMENT_LEVEL.VENUE ? SEGMENT_LEVEL.PLAYER : null;
+        }
+    }
+
+    console.log(`[SEGMENTS] ${entityId} complete:`, JSON.stringify(runStats));
+    return { entityId, complete: true, stats: runStats };
+};
+
+/**
+ * Start a reclassification of one entity in the background
+ */
+const startEntityReclassification = async (entityId, trigger = SEGMENT_TRIGGER.MANUAL) => {
+    clearSegmentDefinitionCache(entityId);
+    await invokeSelf({ entityId, trigger });
+};
+
+/**
+ * Nightly run (EventBridge) - one background invocation per active entity
+ */
+const startNightlyReclassification = async () => {
+    const entityIds = [];
+    let lastEvaluatedKey;
+    do {
+        const response = await ddbDocClient.send(new ScanCommand({
+            TableName: getTableName('Entity'),
+            ProjectionExpression: 'id, isActive, #deleted',
+            ExpressionAttributeNames: { '#deleted': '_deleted' },
+            ExclusiveStartKey: lastEvaluatedKey
+        }));
+        for (const entity of response.Items || []) {
+            if (!entity._deleted && entity.isActive !== false) entityIds.push(entity.id);
+        }
+        lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+
+    for (const entityId of entityIds) {
+        await invokeSelf({ entityId, trigger: SEGMENT_TRIGGER.NIGHTLY });
+    }
+    console.log(`[SEGMENTS] Nightly reclassification started for ${entityIds.length} entities`);
+    return { statusCode: 200, body: JSON.stringify({ entitiesStarted: entityIds.length }) };
+};
+
+module.exports = {
+    SEGMENT_LEVEL,
+    SEGMENT_TRIGGER,
+    RECLASSIFY_OPERATION,
+    DEFAULT_SEGMENTS,
+    loadSegmentDefinitions,
+    clearSegmentDefinitionCache,
+    segmentMetrics,
+    classifySegment,
+    classifyAfterGame,
+    buildSegmentHistory,
+    segmentChanged,
+    reclassifyEntitySegments,
+    startEntityReclassification,
+    startNightlyReclassification
+};
@@ -0,0 +1,189 @@
+/**
+ * Shared player helpers
+ *
+ * VERSION: 1.1.0 - batchGetItems moved here for the segment reclassification
+ * (playerSegments.js)
+ *
+ * VERSION: 1.0.0 - Split out of index.js for the identity and merge tooling
+ * (playerIdentity.js, playerMerge.js)
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, QueryCommand, BatchGetCommand } = require('@aws-sdk/lib-dynamodb');
+const crypto = require('crypto');
+
+const UNASSIGNED_VENUE_ID = "00000000-0000-0000-0000-000000000000";
+const BATCH_GET_LIMIT = 100;  // DynamoDB BatchGetItem limit
+
+const client = new DynamoDBClient({});
+const ddbDocClient = DynamoDBDocumentClient.from(client, {
+    marshallOptions: { removeUndefinedValues: true }
+});
+
+// ===================================================================
+// HELPER FUNCTIONS
+// ===================================================================
+
+const getTableName = (modelName) => {
+    const apiId = process.env.API_KINGSROOM_GRAPHQLAPIIDOUTPUT;
+    const env = process.env.ENV;
+    if (!apiId || !env) {
+        throw new Error('API ID or environment name not found in environment variables.');
+    }
+    return `${modelName}-${apiId}-${env}`;
+};
+
+const generatePlayerId = (playerName) => {
+    const normalized = playerName.toLowerCase().trim();
+    return crypto.createHash('sha256').update(normalized).digest('hex').substring(0, 32);
+};
+
+const generateVisitKey = (playerId, entityId, venueId) => `${playerId}#${entityId}#${venueId}`;
+
+const parsePlayerName = (fullName) => {
+    if (!fullName) return { firstName: 'Unknown', lastName: '', givenName: 'Unknown' };
+    const trimmedName = fullName.trim();
+    
+    if (trimmedName.includes(',')) {
+        const parts = trimmedName.split(',');
+        const lastName = parts[0]?.trim() || 'Unknown';
+        const firstName = parts[1]?.trim() || 'Unknown';
+        return { firstName, lastName, givenName: firstName };
+    }
+    
+    const parts = trimmedName.split(/\s+/);
+    const firstName = parts[0] || 'Unknown';
+    const lastName = parts.slice(1).join(' ') || '';
+    return { firstName, lastName, givenName: firstName };
+};
+
+const daysBetween = (date1, date2) => {
+    const d1 = new Date(date1);
+    const d2 = new Date(date2);
+    return Math.floor(Math.abs(d2 - d1) / (1000 * 60 * 60 * 24));
+};
+
+const calculatePlayerVenueTargetingClassification = (lastActivityDate, membershipCreatedDate) => {
+    const now = new Date();
+    
+    if (!lastActivityDate) {
+        if (!membershipCreatedDate) return 'NotActivated_EL';
+        const daysSinceMembership = daysBetween(membershipCreatedDate, now);
+        if (daysSinceMembership <= 30) return 'NotActivated_EL';
+        if (daysSinceMembership <= 60) return 'NotActivated_31_60d';
+        if (daysSinceMembership <= 90) return 'NotActivated_61_90d';
+        if (daysSinceMembership <= 120) return 'NotActivated_91_120d';
+        if (daysSinceMembership <= 180) return 'NotActivated_121_180d';
+        if (daysSinceMembership <= 360) return 'NotActivated_181_360d';
+        return 'Not Activated - 361d+';
+    }
+    
+    const daysSinceLastActivity = daysBetween(lastActivityDate, now);
+    if (daysSinceLastActivity <= 30) return 'Active_EL';
+    if (daysSinceLastActivity <= 60) return 'Retain_Inactive31_60d';
+    if (daysSinceLastActivity <= 90) return 'Retain_Inactive61_90d';
+    if (daysSinceLastActivity <= 120) return 'Churned_91_120d';
+    if (daysSinceLastActivity <= 180) return 'Churned_121_180d';
+    if (daysSinceLastActivity <= 360) return 'Churned_181_360d';
+    return 'Churned_361d';
+};
+
+const getTargetingFromDays = (days) => {
+    if (days <= 30) return 'Active_EL';
+    if (days <= 60) return 'Retain_Inactive31_60d';
+    if (days <= 90) return 'Retain_Inactive61_90d';
+    if (days <= 120) return 'Churned_91_120d';
+    if (days <= 180) return 'Churned_121_180d';
+    if (days <= 360) return 'Churned_181_360d';
+    return 'Churned_361d';
+};
+
+/**
+ * Batch fetch multiple items from a single table
+ * Handles DynamoDB's 100-item limit automatically
+ */
+const batchGetItems = async (tableName, keys, keyAttribute = 'id') => {
+    if (!keys || keys.length === 0) return new Map();
+    
+    const results = new Map();
+    const uniqueKeys = [...new Set(keys)];
+    
+    // Process in chunks of 100 (DynamoDB limit)
+    for (let i = 0; i < uniqueKeys.length; i += BATCH_GET_LIMIT) {
+        const chunk = uniqueKeys.slice(i, i + BATCH_GET_LIMIT);
+        const requestItems = {
+            [tableName]: {
+                Keys: chunk.map(key => ({ [keyAttribute]: key }))
+            }
+        };
+        
+        try {
+            const response = await ddbDocClient.send(new BatchGetCommand({
+                RequestItems: requestItems
+            }));
+            
+            // Map results
+            if (response.Responses?.[tableName]) {
+                for (const item of response.Responses[tableName]) {
+                    results.set(item[keyAttribute], item);
+                }
+            }
+            
+            // Handle unprocessed keys with retry
+            if (response.UnprocessedKeys?.[tableName]?.Keys?.length > 0) {
+                console.warn(`[BATCH-GET] ${response.UnprocessedKeys[tableName].Keys.length} unprocessed keys, retrying...`);
+                await new Promise(r => setTimeout(r, 100)); // Brief backoff
+                
+                const retryResponse = await ddbDocClient.send(new BatchGetCommand({
+                    RequestItems: response.UnprocessedKeys
+                }));
+                
+                if (retryResponse.Responses?.[tableName]) {
+                    for (const item of retryResponse.Responses[tableName]) {
+                        results.set(item[keyAttribute], item);
+                    }
+                }
+            }
+        } catch (error) {
+            console.error(`[BATCH-GET] Error fetching from ${tableName}:`, error.message);
+            // Don't throw - return partial results and let individual processing handle missing items
+        }
+    }
+    
+    return results;
+};
+
+/**
+ * Every item for a key on an index (follows LastEvaluatedKey)
+ */
+const queryAll = async (modelName, indexName, keyName, keyValue) => {
+    const items = [];
+    let lastEvaluatedKey;
+    do {
+        const response = await ddbDocClient.send(new QueryCommand({
+            TableName: getTableName(modelName),
+            IndexName: indexName,
+            KeyConditionExpression: '#key = :value',
+            ExpressionAttributeNames: { '#key': keyName },
+            ExpressionAttributeValues: { ':value': keyValue },
+            ExclusiveStartKey: lastEvaluatedKey
+        }));
+        items.push(...(response.Items || []));
+        lastEvaluatedKey = response.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+    return items.filter(item => !item._deleted);
+};
+
+module.exports = {
+    UNASSIGNED_VENUE_ID,
+    ddbDocClient,
+    getTableName,
+    batchGetItems,
+    queryAll,
+    generatePlayerId,
+    generateVisitKey,
+    parsePlayerName,
+    daysBetween,
+    calculatePlayerVenueTargetingClassification,
+    getTargetingFromDays
+};
@@ -0,0 +1,173 @@
+/**
+ * currency.js
+ * FX conversion for metrics (CurrencyRate table)
+ *
+ * Snapshots carry the currency the game was played in (snapshot.currency,
+ * falling back to venue -> entity -> BASE_CURRENCY for older rows). Before
+ * aggregating, every monetary field is converted to the run's reporting
+ * currency so totals across venues / entities add up.
+ *
+ * CurrencyRate rows hold rateToBase = value of 1 unit in BASE_CURRENCY from
+ * effectiveDate onward. A game uses the latest rate on or before its start
+ * date; games older than the first rate use the earliest rate on record.
+ * Currencies with no rates at all can't be converted - those snapshots are
+ * excluded and reported as warnings rather than summed at face value.
+ */
+
+const { ScanCommand } = require("@aws-sdk/lib-dynamodb");
+
+const BASE_CURRENCY = 'AUD';
+const DEFAULT_REPORTING_CURRENCY = BASE_CURRENCY;
+
+// Snapshot fields holding money (incl. legacy aliases read by the calculators)
+const MONEY_FIELDS = [
+  'totalBuyInsCollected', 'rakeRevenue', 'venueFee', 'totalRevenue',
+  'prizepoolPlayerContributions', 'prizepoolAddedValue', 'prizepoolTotal',
+  'prizepoolSurplus', 'prizepoolPaidDelta', 'prizepoolJackpotContributions',
+  'prizepoolAccumulatorTicketPayoutEstimate', 'prizepoolAccumulatorTicketPayoutActual',
+  'totalDealerCost', 'totalTournamentDirectorCost', 'totalFloorStaffCost',
+  'totalSecurityCost', 'totalStaffCost', 'totalPrizeContribution',
+  'totalJackpotContribution', 'totalGuaranteeOverlayCost', 'totalAddedValueCost',
+  'totalBountyCost', 'totalDirectGameCost', 'totalVenueRentalCost',
+  'totalEquipmentRentalCost', 'totalFoodBeverageCost', 'totalMarketingCost',
+  'totalStreamingCost', 'totalOperationsCost', 'totalInsuranceCost',
+  'totalLicensingCost', 'totalComplianceCost', 'totalStaffTravelCost',
+  'totalPlayerAccommodationCost', 'totalPromotionCost', 'totalOtherCost',
+  'totalCost', 'gameProfit', 'netProfit',
+  'revenuePerPlayer', 'costPerPlayer', 'profitPerPlayer', 'rakePerEntry',
+  'dealerCostPerHour', 'staffCostPerPlayer', 'guaranteeOverlayPerPlayer',
+  'promoSpendPerPlayer', 'guaranteeAmount', 'reEntryPrizepool',
+  'houseRevenue', 'venueFees', 'staffCost', 'venueRentalCost', 'marketingCost', 'operationsCost'
+];
+
+const normalizeCurrency = (code) => (code ? String(code).trim().toUpperCase() : null);
+
+/**
+ * Load every CurrencyRate row (small table) grouped by currency,
+ * each list sorted by effectiveDate ascending
+ *
+ * @param {Object} docClient - DynamoDB document client
+ * @param {string|null} tableName - CurrencyRate table
+ * @returns {Promise<Map<string, Array<{effectiveDate: string, rateToBase: number}>>>}
+ */
+async function loadRateTable(docClient, tableName) {
+  const rates = new Map();
+  if (!tableName) {
+    console.warn('[METRICS] CurrencyRate table not configured - only base currency amounts can be converted');
+    return rates;
+  }
+
+  let lastKey = undefined;
+  do {
+    const response = await docClient.send(new ScanCommand({
+      TableName: tableName,
+      ExclusiveStartKey: lastKey
+    }));
+
+    for (const row of response.Items || []) {
+      const currency = normalizeCurrency(row.currency);
+      if (row._deleted || !currency || !row.effectiveDate || !(row.rateToBase > 0)) continue;
+      if (!rates.has(currency)) rates.set(currency, []);
+      rates.get(currency).push({ effectiveDate: row.effectiveDate, rateToBase: row.rateToBase });
+    }
+    lastKey = response.LastEvaluatedKey;
+  } while (lastKey);
+
+  for (const list of rates.values()) {
+    list.sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+  }
+  return rates;
+}
+
+/**
+ * Value of 1 unit of currency in BASE_CURRENCY on a date
+ *
+ * @returns {number|null} null when the currency has no rates
+ */
+function getRateToBase(rateTable, currency, isoDate) {
+  if (currency === BASE_CURRENCY) return 1;
+
+  const list = rateTable.get(currency);
+  if (!list || list.length === 0) return null;
+
+  const day = (isoDate || new Date().toISOString()).slice(0, 10);
+  let rate = list[0].rateToBase;
+  for (const entry of list) {
+    if (entry.effectiveDate > day) break;
+    rate = entry.rateToBase;
+  }
+  return rate;
+}
+
+/**
+ * Multiplier converting an amount from one currency to another on a date
+ *
+ * @returns {number|null} null when either side has no rate
+ */
+function getConversionFactor(rateTable, fromCurrency, toCurrency, isoDate) {
+  if (fromCurrency === toCurrency) return 1;
+
+  const fromRate = getRateToBase(rateTable, fromCurrency, isoDate);
+  const toRate = getRateToBase(rateTable, toCurrency, isoDate);
+  if (fromRate === null || toRate === null) return null;
+
+  return fromRate / toRate;
+}
+
+/**
+ * Convert an entity's snapshots to the reporting currency
+ *
+ * @param {Array} snapshots - GameFinancialSnapshot rows
+ * @param {Object} options
+ * @param {string} options.reportingCurrency - Target currency
+ * @param {Map} options.rateTable - From loadRateTable
+ * @param {Object} options.entity - Entity (currency fallback)
+ * @param {Array} options.venues - Entity's venues (currency fallback)
+ * @returns {{ snapshots: Array, excluded: Object<string, number> }}
+ *          Converted copies, and counts of excluded snapshots by currency
+ */
+function convertSnapshots(snapshots, { reportingCurrency, rateTable, entity, venues = [] }) {
+  const venueCurrency = new Map(venues.map(v => [v.id, normalizeCurrency(v.currency)]));
+  const entityCurrency = normalizeCurrency(entity?.currency) || BASE_CURRENCY;
+
+  const converted = [];
+  const excluded = {};
+
+  for (const snapshot of snapshots) {
+    const currency = normalizeCurrency(snapshot.currency) ||
+      venueCurrency.get(snapshot.venueId) ||
+      entityCurrency;
+
+    const factor = getConversionFactor(rateTable, currency, reportingCurrency, snapshot.gameStartDateTime);
+    if (factor === null) {
+      excluded[currency] = (excluded[currency] || 0) + 1;
+      continue;
+    }
+
+    if (factor === 1) {
+      converted.push({ ...snapshot, currency: reportingCurrency, sourceCurrency: currency });
+      continue;
+    }
+
+    const copy = { ...snapshot, currency: reportingCurrency, sourceCurrency: currency };
+    for (const field of MONEY_FIELDS) {
+      if (typeof copy[field] === 'number') {
+        copy[field] = copy[field] * factor;
+      }
+    }
+    converted.push(copy);
+  }
+
+  return { snapshots: converted, excluded };
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  DEFAULT_REPORTING_CURRENCY,
+  MONEY_FIELDS,
+  normalizeCurrency,
+  loadRateTable,
+  getRateToBase,
+  getConversionFactor,
+  convertSnapshots
+};
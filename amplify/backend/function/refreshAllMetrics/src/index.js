@@ -30,9 +30,19 @@ Amplify Params - DO NOT EDIT */
   Lambda: refreshAllMetrics
   Region: ap-southeast-2
   
-  VERSION: 2.1.0 (Fixed DataStore sync fields) - touch
+  VERSION: 2.5.0 (late registration & re-entry metrics)
   
   CHANGELOG:
+  - v2.5.0: RecurringGameMetrics late registration and re-entry figures from
+            the snapshots' entry timeline fields (avg/median last entry level,
+            late entry rate, re-entry rate and re-entry share of the prizepool)
+  - v2.4.0: HOLIDAY seriesType - games played on a holiday in the entity's
+            holiday calendar (GameFinancialSnapshot.holidayName, set by the
+            gameDataEnricher holiday stage)
+  - v2.3.0: Multi-currency. Snapshots are converted to input.reportingCurrency
+            (default AUD) via the CurrencyRate table before aggregating; metrics
+            records carry currency. Snapshots in a currency with no rate are
+            excluded and listed in result.warnings (see currency.js)
   - v2.1.0: CRITICAL FIX - Added _version, _lastChangedAt, _deleted to all metrics
             Without these fields, GraphQL queries that fetch nested metrics fail with:
             "Cannot return null for non-nullable type: 'Int' within parent '*Metrics'"
@@ -45,6 +55,7 @@ Amplify Params - DO NOT EDIT */
   - SERIES: Only games where isSeries=true (tournament series events)
   - REGULAR: Only games where isSeries=false/null (regular recurring games)
   - ALL: Combined metrics across all games
+  - HOLIDAY: Only games played on a calendar holiday (holidayName set)
   
   This enables queries like:
   - "Show me just my series performance" (seriesType=SERIES)
@@ -63,6 +74,13 @@ const {
 const client = new DynamoDBClient({ region: "ap-southeast-2" });
 const docClient = DynamoDBDocumentClient.from(client);
 const { sendNotification, isEventBridgeTrigger } = require('./ses-notification');
+const {
+  DEFAULT_REPORTING_CURRENCY,
+  normalizeCurrency,
+  loadRateTable,
+  getRateToBase,
+  convertSnapshots
+} = require('./currency');
 
 // ============================================
 // CONFIGURATION & CONSTANTS
@@ -83,10 +101,12 @@ const TIME_RANGES = ['ALL', '12M', '6M', '3M', '1M'];
 // SERIES = only isSeries=true games
 // REGULAR = only isSeries=false/null games
 // ALL = combined
+// HOLIDAY = games on a calendar holiday (overlaps the others)
 const SERIES_TYPES = [
   { key: 'ALL', filter: () => true, description: 'All games combined' },
   { key: 'SERIES', filter: s => s.isSeries === true, description: 'Tournament series games only' },
-  { key: 'REGULAR', filter: s => s.isSeries !== true, description: 'Regular recurring games only' }
+  { key: 'REGULAR', filter: s => s.isSeries !== true, description: 'Regular recurring games only' },
+  { key: 'HOLIDAY', filter: s => !!s.holidayName, description: 'Games played on a calendar holiday' }
 ];
 
 // ============================================
@@ -121,6 +141,7 @@ const VENUE_TABLE = getTableName('Venue');
 const RECURRING_GAME_TABLE = getTableName('RecurringGame');
 const TOURNAMENT_SERIES_TABLE = getTableName('TournamentSeries');
 const GAME_FINANCIAL_SNAPSHOT_TABLE = getTableName('GameFinancialSnapshot');
+const CURRENCY_RATE_TABLE = getTableName('CurrencyRate');
 
 // Metrics Tables
 const ENTITY_METRICS_TABLE = getTableName('EntityMetrics');
@@ -142,7 +163,7 @@ const TOURNAMENT_SERIES_METRICS_TABLE = getTableName('TournamentSeriesMetrics');
 // all series types, and all metric types enabled.
 
 exports.handler = async (event) => {
-  console.log('[METRICS] Starting metrics refresh v2.2.0', JSON.stringify(event, null, 2));
+  console.log('[METRICS] Starting metrics refresh v2.3.0', JSON.stringify(event, null, 2));
   
   // ============================================
   // DETECT INVOCATION SOURCE
@@ -174,7 +195,8 @@ exports.handler = async (event) => {
     recurringGameId: null,
     tournamentSeriesId: null,
     timeRanges: ['ALL', '12M', '6M', '3M', '1M'],
-    seriesTypes: ['ALL', 'SERIES', 'REGULAR'],
+    seriesTypes: ['ALL', 'SERIES', 'REGULAR', 'HOLIDAY'],
+    reportingCurrency: DEFAULT_REPORTING_CURRENCY,
     includeEntityMetrics: true,
     includeVenueMetrics: true,
     includeRecurringGameMetrics: true,
@@ -243,6 +265,7 @@ exports.handler = async (event) => {
     tournamentSeriesId = null,
     timeRanges = TIME_RANGES,
     seriesTypes = SERIES_TYPES.map(st => st.key),
+    reportingCurrency: requestedCurrency = null,
     includeEntityMetrics = true,
     includeVenueMetrics = true,
     includeRecurringGameMetrics = true,
@@ -252,12 +275,15 @@ exports.handler = async (event) => {
     _triggeredBy = 'UNKNOWN'
   } = input;
 
+  const reportingCurrency = normalizeCurrency(requestedCurrency) || DEFAULT_REPORTING_CURRENCY;
+
   console.log('[METRICS] Parsed configuration:', {
     triggeredBy: _triggeredBy,
     entityId,
     venueId,
     timeRanges,
     seriesTypes,
+    reportingCurrency,
     includeEntityMetrics,
     includeVenueMetrics,
     includeRecurringGameMetrics,
@@ -269,6 +295,7 @@ exports.handler = async (event) => {
     success: true,
     message: '',
     triggeredBy: _triggeredBy,
+    reportingCurrency,
     entityMetricsUpdated: 0,
     venueMetricsUpdated: 0,
     recurringGameMetricsUpdated: 0,
@@ -286,7 +313,8 @@ exports.handler = async (event) => {
     bySeriesType: {
       ALL: { entity: 0, venue: 0, recurringGame: 0 },
       SERIES: { entity: 0, venue: 0, tournamentSeries: 0 },
-      REGULAR: { entity: 0, venue: 0, recurringGame: 0 }
+      REGULAR: { entity: 0, venue: 0, recurringGame: 0 },
+      HOLIDAY: { entity: 0, venue: 0 }
     }
   };
 
@@ -294,6 +322,12 @@ exports.handler = async (event) => {
   const activeSeriesTypes = SERIES_TYPES.filter(st => seriesTypes.includes(st.key));
 
   try {
+    // 0. FX rates (one small table, loaded once per run)
+    const rateTable = await loadRateTable(docClient, CURRENCY_RATE_TABLE);
+    if (getRateToBase(rateTable, reportingCurrency) === null) {
+      throw new Error(`No CurrencyRate entries for reporting currency ${reportingCurrency}`);
+    }
+
     // 1. Determine scope
     let entitiesToProcess = [];
     
@@ -323,15 +357,30 @@ exports.handler = async (event) => {
         result.entitiesProcessed++;
 
         // Get all venues for this entity
-        let venues = await getVenuesForEntity(entity.id);
+        const entityVenues = await getVenuesForEntity(entity.id);
+        let venues = entityVenues;
         
         if (venueId) {
           venues = venues.filter(v => v.id === venueId);
         }
 
-        // Get all snapshots for this entity (one big query)
-        const allSnapshots = await getSnapshotsForEntity(entity.id, timeRanges);
+        // Get all snapshots for this entity (one big query), converted to the
+        // reporting currency. Venue currency is a fallback for older snapshots,
+        // so this uses every venue even when one venue was requested.
+        const entitySnapshots = await getSnapshotsForEntity(entity.id, timeRanges);
+        const { snapshots: allSnapshots, excluded } = convertSnapshots(entitySnapshots, {
+          reportingCurrency,
+          rateTable,
+          entity,
+          venues: entityVenues
+        });
         result.snapshotsAnalyzed += allSnapshots.length;
+
+        for (const [currency, count] of Object.entries(excluded)) {
+          const warning = `Entity ${entity.entityName || entity.id}: ${count} ${currency} snapshot(s) excluded - no CurrencyRate to convert to ${reportingCurrency}`;
+          console.warn(`[METRICS] ${warning}`);
+          result.warnings.push(warning);
+        }
         
         // Log series breakdown
         const seriesCount = allSnapshots.filter(s => s.isSeries === true).length;
@@ -372,7 +421,7 @@ exports.handler = async (event) => {
             // 3a-i. Calculate EntityMetrics
             if (includeEntityMetrics && !venueId && !recurringGameId && !tournamentSeriesId) {
               const entityMetrics = calculateEntityMetrics(
-                entity, venues, filteredSnapshots, recurringGames, timeRange, seriesType
+                entity, venues, filteredSnapshots, recurringGames, timeRange, seriesType, reportingCurrency
               );
               
               if (!dryRun) {
@@ -396,7 +445,7 @@ exports.handler = async (event) => {
                 // Only save if there's data or it's the ALL seriesType
                 if (venueSnapshots.length > 0 || seriesType === 'ALL') {
                   const venueMetrics = calculateVenueMetrics(
-                    entity, venue, venueSnapshots, venueRecurringGames, timeRange, seriesType
+                    entity, venue, venueSnapshots, venueRecurringGames, timeRange, seriesType, reportingCurrency
                   );
                   
                   if (!dryRun) {
@@ -420,7 +469,7 @@ exports.handler = async (event) => {
               const rgSnapshots = regularSnapshots.filter(s => s.recurringGameId === rg.id);
               
               if (rgSnapshots.length > 0 || timeRange === 'ALL') {
-                const rgMetrics = calculateRecurringGameMetrics(entity, rg, rgSnapshots, timeRange);
+                const rgMetrics = calculateRecurringGameMetrics(entity, rg, rgSnapshots, timeRange, reportingCurrency);
                 
                 if (!dryRun) {
                   await saveRecurringGameMetrics(rgMetrics);
@@ -442,7 +491,7 @@ exports.handler = async (event) => {
               const tsSnapshots = seriesSnapshots.filter(s => s.tournamentSeriesId === ts.id);
               
               if (tsSnapshots.length > 0 || timeRange === 'ALL') {
-                const tsMetrics = calculateTournamentSeriesMetrics(entity, ts, tsSnapshots, timeRange);
+                const tsMetrics = calculateTournamentSeriesMetrics(entity, ts, tsSnapshots, timeRange, reportingCurrency);
                 
                 if (!dryRun) {
                   await saveTournamentSeriesMetrics(tsMetrics);
@@ -687,7 +736,7 @@ function filterByTimeRange(snapshots, timeRange) {
 // ENTITY METRICS CALCULATION
 // ============================================
 
-function calculateEntityMetrics(entity, venues, snapshots, recurringGames, timeRange, seriesType) {
+function calculateEntityMetrics(entity, venues, snapshots, recurringGames, timeRange, seriesType, currency) {
   const now = new Date();
   
   // Filter to valid snapshots
@@ -789,6 +838,7 @@ function calculateEntityMetrics(entity, venues, snapshots, recurringGames, timeR
     entityId: entity.id,
     timeRange,
     seriesType, // NEW: indicates which partition this is
+    currency,
     
     // Venue aggregates
     totalVenues,
@@ -867,7 +917,7 @@ function calculateEntityMetrics(entity, venues, snapshots, recurringGames, timeR
 // VENUE METRICS CALCULATION
 // ============================================
 
-function calculateVenueMetrics(entity, venue, snapshots, recurringGames, timeRange, seriesType) {
+function calculateVenueMetrics(entity, venue, snapshots, recurringGames, timeRange, seriesType, currency) {
   const now = new Date();
   
   const validSnapshots = snapshots.filter(s => 
@@ -993,6 +1043,7 @@ function calculateVenueMetrics(entity, venue, snapshots, recurringGames, timeRan
     venueName: venue.name || 'Unknown',
     timeRange,
     seriesType, // NEW: indicates which partition this is
+    currency,
     
     // Game breakdown
     totalGames,
@@ -1076,7 +1127,7 @@ function calculateVenueMetrics(entity, venue, snapshots, recurringGames, timeRan
 // RECURRING GAME METRICS CALCULATION
 // ============================================
 
-function calculateRecurringGameMetrics(entity, recurringGame, snapshots, timeRange) {
+function calculateRecurringGameMetrics(entity, recurringGame, snapshots, timeRange, currency) {
   const now = new Date();
   
   const validSnapshots = snapshots.filter(s => 
@@ -1115,6 +1166,23 @@ function calculateRecurringGameMetrics(entity, recurringGame, snapshots, timeRan
   const medianEntries = calculateMedian(entriesArray);
   const entriesCV = avgEntries > 0 ? (stdDevEntries / avgEntries) * 100 : 0;
 
+  // Late registration & re-entry (only games with a live entry timeline know their last entry level)
+  const timelineSnapshots = validSnapshots.filter(s => s.lastEntryLevel !== null && s.lastEntryLevel !== undefined);
+  const lastEntryLevels = timelineSnapshots.map(s => s.lastEntryLevel);
+  const avgLastEntryLevel = lastEntryLevels.length > 0
+    ? lastEntryLevels.reduce((sum, level) => sum + level, 0) / lastEntryLevels.length
+    : null;
+  const lateEntrySnapshots = validSnapshots.filter(s => s.lateEntries !== null && s.lateEntries !== undefined);
+  const lateEntryBase = lateEntrySnapshots.reduce((sum, s) => sum + (s.totalEntries || 0), 0);
+  const lateEntryRate = lateEntryBase > 0
+    ? (lateEntrySnapshots.reduce((sum, s) => sum + s.lateEntries, 0) / lateEntryBase) * 100
+    : null;
+  const reentryPrizepoolSnapshots = validSnapshots.filter(s => s.reEntryPrizepool !== null && s.reEntryPrizepool !== undefined);
+  const reentryPrizepoolBase = reentryPrizepoolSnapshots.reduce((sum, s) => sum + (s.prizepoolPlayerContributions || 0), 0);
+  const reentryPrizepoolShare = reentryPrizepoolBase > 0
+    ? (reentryPrizepoolSnapshots.reduce((sum, s) => sum + s.reEntryPrizepool, 0) / reentryPrizepoolBase) * 100
+    : null;
+
   // Date tracking
   const dates = validSnapshots
     .map(s => s.gameStartDateTime)
@@ -1170,6 +1238,7 @@ function calculateRecurringGameMetrics(entity, recurringGame, snapshots, timeRan
     recurringGameName: recurringGame.name || 'Unknown',
     timeRange,
     seriesType: 'REGULAR', // RecurringGameMetrics are always for regular games
+    currency,
     
     // Instance counts
     totalInstances,
@@ -1203,6 +1272,14 @@ function calculateRecurringGameMetrics(entity, recurringGame, snapshots, timeRan
     medianEntries: round(medianEntries),
     entriesCV: round(entriesCV),
     
+    // Late registration & re-entry
+    avgLastEntryLevel: avgLastEntryLevel !== null ? round(avgLastEntryLevel) : null,
+    medianLastEntryLevel: lastEntryLevels.length > 0 ? round(calculateMedian(lastEntryLevels)) : null,
+    lateEntryRate: lateEntryRate !== null ? round(lateEntryRate) : null,
+    reentryRate: totalEntries > 0 ? round((totalReentries / totalEntries) * 100) : null,
+    reentryPrizepoolShare: reentryPrizepoolShare !== null ? round(reentryPrizepoolShare) : null,
+    timelineInstances: timelineSnapshots.length,
+    
     // Date tracking
     firstInstanceDate,
     firstInstanceDaysAgo,
@@ -1244,7 +1321,7 @@ function calculateRecurringGameMetrics(entity, recurringGame, snapshots, timeRan
 // TOURNAMENT SERIES METRICS CALCULATION (NEW)
 // ============================================
 
-function calculateTournamentSeriesMetrics(entity, tournamentSeries, snapshots, timeRange) {
+function calculateTournamentSeriesMetrics(entity, tournamentSeries, snapshots, timeRange, currency) {
   const now = new Date();
   
   const validSnapshots = snapshots.filter(s => 
@@ -1332,6 +1409,7 @@ function calculateTournamentSeriesMetrics(entity, tournamentSeries, snapshots, t
     seriesName: tournamentSeries.name || tournamentSeries.seriesName || 'Unknown',
     timeRange,
     seriesType: 'SERIES', // TournamentSeriesMetrics are always for series games
+    currency,
     
     // Event counts
     totalEvents,
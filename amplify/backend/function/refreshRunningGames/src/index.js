@@ -3,9 +3,12 @@
  * REFRESH RUNNING GAMES - Scheduled Lambda
  * ===================================================================
  * 
- * VERSION: 3.1.0 - Optimized refresh logic
+ * VERSION: 3.2.0 - Skip unchanged pages
  * 
  * CHANGELOG:
+ * - v3.2.0: Scraper is invoked with skipUnchanged=true - pre-start games whose
+ *           page data hasn't changed since the last save are not re-parsed or
+ *           re-saved; RUNNING/CLOCK_STOPPED games are always re-parsed
  * - v3.1.0: OPTIMIZATION - More efficient refresh logic
  *           - RUNNING/CLOCK_STOPPED: Refresh every 1 hour (was 30 mins)
  *           - Pre-start games: Only refresh when gameStartDateTime has PASSED
@@ -385,6 +388,7 @@ async function triggerScraper(game) {
         entityId: game.entityId,
         forceRefresh: true,
         saveAfterFetch: true,
+        skipUnchanged: true,
         scraperJobId: `REFRESH_${game.gameId}_${Date.now()}`
     };
     
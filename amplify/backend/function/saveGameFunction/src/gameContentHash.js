@@ -43,6 +43,7 @@ const MEANINGFUL_GAME_FIELDS = {
     
     // Financials - affects revenue calculations
     financials: [
+        'currency',
         'buyIn',
         'rake',
         'venueFee',
@@ -24,12 +24,32 @@ Amplify Params - DO NOT EDIT */
 
 /**
  * ===================================================================
- * SAVEGAME LAMBDA FUNCTION - PURE WRITER (v4.4.2)
+ * SAVEGAME LAMBDA FUNCTION - PURE WRITER (v4.14.0)
  * ===================================================================
  * 
- * VERSION: 4.4.2
+ * VERSION: 4.14.0
  * 
  * CHANGELOG:
+ * v4.14.0 - Player processor message carries recurringGameId and
+ *          tournamentSeriesId (leaderboard scopes)
+ * v4.13.0 - Player processor message carries rake (player rake totals and
+ *          lifetime value)
+ * v4.12.0 - Persists Game.breaks and Game.blindStructureId (blind structure
+ *          library); blindStructureId added to the GSI null-key fields
+ * v4.11.0 - Persists the entry timeline (entryTimeline, lastEntryLevel,
+ *          registrationClosedLevel, lateEntries, reEntryPrizepool)
+ * v4.10.0 - Persists Game.holidayName (holiday calendar stage in gameDataEnricher)
+ * v4.9.0 - Persists satellite target fields (satelliteTargetSeriesId/EventId,
+ *          seats awarded, seat ratio) for the satellite seat ledger;
+ *          satelliteTargetSeriesId added to the GSI null-key fields
+ * v4.8.0 - Persists Game.seriesScheduledEventId (scheduled event matched by
+ *          gameDataEnricher); added to the GSI null-key fields
+ * v4.7.0 - Persists payout reconciliation fields (prizesPaidTotal, placesPaid,
+ *          payoutReconciliationStatus/Delta, payoutTemplateId/Deviation)
+ * v4.6.0 - Persists Game.currency (resolved by gameDataEnricher)
+ * v4.5.0 - ScrapeURL update promotes lastParsedRegionHash to lastSavedRegionHash
+ *          - Marks the parsed page as saved for webScraperFunction's
+ *            change-detection fast path (skips re-parsing unchanged pages)
  * v4.4.2 - Expanded GSI null key fix to include all composite query keys
  *          - venueScheduleKey, venueGameTypeKey, entityQueryKey, etc.
  * v4.4.1 - Fixed DynamoDB GSI null key error
@@ -313,9 +333,10 @@ const updateScrapeURL = async (sourceUrl, gameId, gameStatus, doNotScrape = fals
             await ddbDocClient.send(new UpdateCommand({
                 TableName: scrapeURLTable,
                 Key: { id: existing.id },
-                UpdateExpression: 'SET #status = :status, gameId = :gameId, lastScrapedAt = :now, lastAttemptStatus = :attemptStatus, updatedAt = :now, #lastChanged = :ts',
+                // v4.5.0: The page fetch-handler last parsed is now saved
+                UpdateExpression: 'SET #status = :status, gameId = :gameId, lastScrapedAt = :now, lastAttemptStatus = :attemptStatus, lastSavedRegionHash = if_not_exists(lastParsedRegionHash, :noRegionHash), updatedAt = :now, #lastChanged = :ts',
                 ExpressionAttributeNames: { '#status': 'status', '#lastChanged': '_lastChangedAt' },
-                ExpressionAttributeValues: { ':status': status, ':gameId': gameId, ':now': now, ':attemptStatus': attemptStatus, ':ts': timestamp }
+                ExpressionAttributeValues: { ':status': status, ':gameId': gameId, ':now': now, ':attemptStatus': attemptStatus, ':noRegionHash': null, ':ts': timestamp }
             }));
         } else {
             await ddbDocClient.send(new PutCommand({
@@ -432,8 +453,11 @@ const queueForPDP = async (game, input) => {
             gameStartDateTime: game.gameStartDateTime,
             gameEndDateTime: game.gameEndDateTime,
             buyIn: game.buyIn,
+            rake: game.rake,
             totalUniquePlayers: game.totalUniquePlayers,
-            venueAssignmentStatus: game.venueAssignmentStatus
+            venueAssignmentStatus: game.venueAssignmentStatus,
+            recurringGameId: game.recurringGameId || null,
+            tournamentSeriesId: game.tournamentSeriesId || null
         },
         players: {
             allPlayers: input.players.allPlayers,
@@ -493,7 +517,8 @@ const createGame = async (input) => {
         registrationStatus: gameData.registrationStatus || 'N_A',
         gameFrequency: gameData.gameFrequency || 'UNKNOWN',
         
-        // Financials (pre-calculated by enricher)
+        // Financials (pre-calculated by enricher, in the game's currency)
+        currency: gameData.currency || null,
         buyIn: gameData.buyIn || 0,
         rake: gameData.rake || 0,
         venueFee: gameData.venueFee || 0,
@@ -508,6 +533,21 @@ const createGame = async (input) => {
         guaranteeOverlayCost: gameData.guaranteeOverlayCost || 0,
         gameProfit: gameData.gameProfit || 0,
         
+        // Payout reconciliation (enricher payouts stage)
+        prizesPaidTotal: gameData.prizesPaidTotal ?? null,
+        placesPaid: gameData.placesPaid ?? null,
+        payoutReconciliationStatus: gameData.payoutReconciliationStatus || null,
+        payoutReconciliationDelta: gameData.payoutReconciliationDelta ?? null,
+        payoutTemplateId: gameData.payoutTemplateId || null,
+        payoutTemplateDeviation: gameData.payoutTemplateDeviation ?? null,
+        
+        // Entry timeline (enricher entryTimeline stage)
+        entryTimeline: gameData.entryTimeline || null,
+        lastEntryLevel: gameData.lastEntryLevel ?? null,
+        registrationClosedLevel: gameData.registrationClosedLevel ?? null,
+        lateEntries: gameData.lateEntries ?? null,
+        reEntryPrizepool: gameData.reEntryPrizepool ?? null,
+        
         // Jackpot contributions
         hasJackpotContributions: gameData.hasJackpotContributions || false,
         jackpotContributionAmount: gameData.jackpotContributionAmount || null,
@@ -539,6 +579,8 @@ const createGame = async (input) => {
         isRegular: gameData.isRegular || false,
         gameTags: gameData.gameTags || [],
         levels: gameData.levels || [],
+        breaks: gameData.breaks || [],
+        blindStructureId: gameData.blindStructureId || null,
         
         // Source
         sourceUrl: input.source.type === 'SCRAPE' ? input.source.sourceId : null,
@@ -558,12 +600,23 @@ const createGame = async (input) => {
         seriesAssignmentStatus: gameData.seriesAssignmentStatus || 'NOT_SERIES',
         seriesAssignmentConfidence: gameData.seriesAssignmentConfidence || 0,
         suggestedSeriesName: gameData.suggestedSeriesName,
+        seriesScheduledEventId: gameData.seriesScheduledEventId || null,
+        holidayName: gameData.holidayName || null,
         isMainEvent: gameData.isMainEvent || false,
         eventNumber: gameData.eventNumber || null,
         dayNumber: gameData.dayNumber || null,
         flightLetter: gameData.flightLetter || null,
         finalDay: gameData.finalDay || false,
         
+        // Satellite target (pre-resolved by enricher)
+        satelliteTargetSeriesId: gameData.satelliteTargetSeriesId || null,
+        satelliteTargetSeriesName: gameData.satelliteTargetSeriesName || null,
+        satelliteTargetConfidence: gameData.satelliteTargetConfidence || null,
+        satelliteTargetEventId: gameData.satelliteTargetEventId || null,
+        satelliteSeatsAwarded: gameData.satelliteSeatsAwarded || null,
+        satelliteSeatRatio: gameData.satelliteSeatRatio || null,
+        suggestedSatelliteTarget: gameData.suggestedSatelliteTarget || null,
+        
         // Recurring game (pre-resolved by enricher)
         recurringGameId: gameData.recurringGameId,
         recurringGameAssignmentStatus: gameData.recurringGameAssignmentStatus || 'PENDING_ASSIGNMENT',
@@ -647,6 +700,9 @@ const createGame = async (input) => {
     const gsiKeyFields = [
         'recurringGameId', 
         'tournamentSeriesId', 
+        'seriesScheduledEventId',
+        'satelliteTargetSeriesId',
+        'blindStructureId',
         'venueId',
         // Composite query keys used as GSI keys
         'venueScheduleKey',
@@ -706,6 +762,7 @@ const updateGame = async (existingGame, input) => {
         totalDuration: 'totalDuration',
         
         // Pre-calculated financials
+        currency: 'currency',
         rakeRevenue: 'rakeRevenue',
         totalBuyInsCollected: 'totalBuyInsCollected',
         prizepoolPlayerContributions: 'prizepoolPlayerContributions',
@@ -714,6 +771,24 @@ const updateGame = async (existingGame, input) => {
         guaranteeOverlayCost: 'guaranteeOverlayCost',
         gameProfit: 'gameProfit',
         
+        // Payout reconciliation
+        prizesPaidTotal: 'prizesPaidTotal',
+        placesPaid: 'placesPaid',
+        payoutReconciliationStatus: 'payoutReconciliationStatus',
+        payoutReconciliationDelta: 'payoutReconciliationDelta',
+        payoutTemplateId: 'payoutTemplateId',
+        payoutTemplateDeviation: 'payoutTemplateDeviation',
+        
+        // Entry timeline
+        entryTimeline: 'entryTimeline',
+        lastEntryLevel: 'lastEntryLevel',
+        registrationClosedLevel: 'registrationClosedLevel',
+        lateEntries: 'lateEntries',
+        reEntryPrizepool: 'reEntryPrizepool',
+        
+        // Blind structure library (breaks, like levels, are written on create only)
+        blindStructureId: 'blindStructureId',
+        
         // Jackpot contributions
         hasJackpotContributions: 'hasJackpotContributions',
         jackpotContributionAmount: 'jackpotContributionAmount',
@@ -734,6 +809,18 @@ const updateGame = async (existingGame, input) => {
         seriesName: 'seriesName',
         seriesAssignmentStatus: 'seriesAssignmentStatus',
         seriesAssignmentConfidence: 'seriesAssignmentConfidence',
+        seriesScheduledEventId: 'seriesScheduledEventId',
+        holidayName: 'holidayName',
+        
+        // Pre-resolved satellite target
+        isSatellite: 'isSatellite',
+        satelliteTargetSeriesId: 'satelliteTargetSeriesId',
+        satelliteTargetSeriesName: 'satelliteTargetSeriesName',
+        satelliteTargetConfidence: 'satelliteTargetConfidence',
+        satelliteTargetEventId: 'satelliteTargetEventId',
+        satelliteSeatsAwarded: 'satelliteSeatsAwarded',
+        satelliteSeatRatio: 'satelliteSeatRatio',
+        suggestedSatelliteTarget: 'suggestedSatelliteTarget',
         
         // Pre-resolved recurring
         recurringGameId: 'recurringGameId',
@@ -789,6 +876,9 @@ const updateGame = async (existingGame, input) => {
     const gsiKeyFields = new Set([
         'recurringGameId',
         'tournamentSeriesId',
+        'seriesScheduledEventId',
+        'satelliteTargetSeriesId',
+        'blindStructureId',
         'venueId',
         'entityId',
         // Composite query keys used as GSI keys
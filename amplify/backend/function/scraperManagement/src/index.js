@@ -21,6 +21,8 @@ Amplify Params - DO NOT EDIT */
 
 // scraperManagement Lambda Function
 // UPDATED: Async invocation of autoScraper with threshold passthrough
+// UPDATED: Daily scheduled run skips entities with their own ScraperSchedules
+//          (run by autoScraper) and entities inside their quiet hours
 //
 // Architecture:
 // - scraperManagement: API layer, job CRUD, ScrapeURL management
@@ -93,6 +95,58 @@ async function getActiveEntities() {
     }
 }
 
+/**
+ * Entity IDs with at least one enabled ScraperSchedule
+ * autoScraper runs those on their own cron, so the daily run leaves them alone.
+ */
+async function getEntitiesWithSchedules() {
+    const entityIds = new Set();
+    let lastKey;
+    
+    try {
+        do {
+            const result = await monitoredDdbDocClient.send(new ScanCommand({
+                TableName: getTableName('ScraperSchedule'),
+                FilterExpression: 'enabled = :enabled AND (attribute_not_exists(#deleted) OR #deleted = :false)',
+                ProjectionExpression: 'entityId',
+                ExpressionAttributeNames: { '#deleted': '_deleted' },
+                ExpressionAttributeValues: { ':enabled': true, ':false': false },
+                ExclusiveStartKey: lastKey
+            }));
+            (result.Items || []).forEach(item => entityIds.add(item.entityId));
+            lastKey = result.LastEvaluatedKey;
+        } while (lastKey);
+    } catch (error) {
+        console.warn('[getEntitiesWithSchedules] Could not load schedules:', error.message);
+    }
+    
+    return entityIds;
+}
+
+/**
+ * Whether it's currently inside the entity's quiet hours
+ * Same rules as autoScraper lib/cronSchedule.js isWithinQuietHours()
+ */
+function isInQuietHours(entity, now) {
+    const toMinutes = (text) => {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+        return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+    };
+    const start = toMinutes(entity.scraperQuietHoursStart);
+    const end = toMinutes(entity.scraperQuietHoursEnd);
+    if (start === null || end === null || start === end) return false;
+    
+    const [hour, minute] = new Intl.DateTimeFormat('en-GB', {
+        timeZone: entity.scraperTimezone || 'Australia/Sydney',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).format(now).split(':').map(n => parseInt(n, 10));
+    const current = hour * 60 + minute;
+    
+    return start < end ? current >= start && current < end : current >= start || current < end;
+}
+
 function getStartTimeForRange(timeRange, now) {
     const ranges = {
         'LAST_HOUR': 60 * 60 * 1000,
@@ -137,8 +191,22 @@ exports.handler = async (event, context) => {
             const activeEntities = await getActiveEntities();
             console.log(`[SCHEDULED] Found ${activeEntities.length} active entities to scrape`);
             
+            const scheduledEntityIds = await getEntitiesWithSchedules();
+            const now = new Date();
+            
             const results = [];
             for (const entity of activeEntities) {
+                if (scheduledEntityIds.has(entity.id)) {
+                    console.log(`[SCHEDULED] Skipping ${entity.entityName || entity.id}: has its own scraper schedules`);
+                    results.push({ entityId: entity.id, status: 'skipped', reason: 'OWN_SCHEDULE' });
+                    continue;
+                }
+                if (isInQuietHours(entity, now)) {
+                    console.log(`[SCHEDULED] Skipping ${entity.entityName || entity.id}: quiet hours`);
+                    results.push({ entityId: entity.id, status: 'skipped', reason: 'QUIET_HOURS' });
+                    continue;
+                }
+                
                 try {
                     console.log(`[SCHEDULED] Starting scrape job for entity: ${entity.entityName || entity.id}`);
                     const job = await startScraperJob({ 
@@ -27,6 +27,9 @@ const TABLE_ENV_MAPPINGS = {
     ScraperJob: 'API_KINGSROOM_SCRAPERJOBTABLE_NAME',
     ScraperState: 'API_KINGSROOM_SCRAPERSTATETABLE_NAME',
     ScrapeStructure: 'API_KINGSROOM_SCRAPESTRUCTURETABLE_NAME',
+    ScrapeDriftState: 'API_KINGSROOM_SCRAPEDRIFTSTATETABLE_NAME',
+    ScrapeDriftAlert: 'API_KINGSROOM_SCRAPEDRIFTALERTTABLE_NAME',
+    BackgroundTask: 'API_KINGSROOM_BACKGROUNDTASKTABLE_NAME',
     S3Storage: 'API_KINGSROOM_S3STORAGETABLE_NAME',
     TournamentStructure: 'API_KINGSROOM_TOURNAMENTSTRUCTURETABLE_NAME',
     TournamentSeries: 'API_KINGSROOM_TOURNAMENTSERIESTABLE_NAME',
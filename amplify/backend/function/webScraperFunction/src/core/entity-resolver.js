@@ -21,6 +21,13 @@ const { getTableName } = require('../config/tables');
  */
 const domainEntityCache = new Map();
 
+/**
+ * Cache for entityId -> parser config
+ * Entity config rarely changes, so a short TTL is enough to pick up edits
+ */
+const scraperConfigCache = new Map();
+const SCRAPER_CONFIG_CACHE_TTL_MS = 5 * 60 * 1000;
+
 /**
  * Resolve entityId using priority chain
  * 
@@ -133,6 +140,7 @@ const getEntityIdFromUrl = async (url, context) => {
  */
 const clearDomainEntityCache = () => {
     domainEntityCache.clear();
+    scraperConfigCache.clear();
 };
 
 /**
@@ -163,9 +171,37 @@ const getEntityById = async (entityId, context) => {
     }
 };
 
+/**
+ * Get the parser configuration for an entity
+ * 
+ * @param {string} entityId - Entity ID
+ * @param {object} context - Context object containing ddbDocClient
+ * @returns {object} { scraperStrategy, scraperSelectorMap, fetchProviderOrder }
+ */
+const getEntityScraperConfig = async (entityId, context) => {
+    const emptyConfig = { scraperStrategy: null, scraperSelectorMap: null, fetchProviderOrder: null };
+    if (!entityId) return emptyConfig;
+    
+    const cached = scraperConfigCache.get(entityId);
+    if (cached && Date.now() - cached.loadedAt < SCRAPER_CONFIG_CACHE_TTL_MS) {
+        return cached.config;
+    }
+    
+    const entity = await getEntityById(entityId, context);
+    const config = {
+        scraperStrategy: entity?.scraperStrategy || null,
+        scraperSelectorMap: entity?.scraperSelectorMap || null,
+        fetchProviderOrder: entity?.fetchProviderOrder || null
+    };
+    
+    scraperConfigCache.set(entityId, { config, loadedAt: Date.now() });
+    return config;
+};
+
 module.exports = {
     resolveEntityId,
     getEntityIdFromUrl,
     getEntityById,
+    getEntityScraperConfig,
     clearDomainEntityCache
 };
\ No newline at end of file
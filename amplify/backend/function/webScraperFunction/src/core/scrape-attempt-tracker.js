@@ -6,6 +6,13 @@
  * Tracks individual scrape attempts for audit and debugging.
  * Each fetch operation creates a ScrapeAttempt record.
  * 
+ * Live fetches also record which fetch provider served the page, what it
+ * cost and every provider attempt made (fetch/providers.js) - the
+ * Analytics tab aggregates these per provider.
+ * 
+ * Pages skipped by the change-detection fast path are recorded with status
+ * NO_CHANGES and the region hash they matched.
+ * 
  * ===================================================================
  */
 
@@ -30,10 +37,14 @@ const { getTableName } = require('../config/tables');
  * @param {string} attemptData.gameStatus - Game status (if extracted)
  * @param {string} attemptData.registrationStatus - Registration status
  * @param {string} attemptData.dataHash - Content hash
+ * @param {string} attemptData.regionHash - Hash of the page regions the parser reads
  * @param {boolean} attemptData.hasChanges - Whether data changed
  * @param {array} attemptData.foundKeys - Keys found during parsing
  * @param {string} attemptData.structureLabel - Structure label
  * @param {string} attemptData.s3Key - S3 key of stored HTML
+ * @param {string} attemptData.fetchProvider - Provider that served the page (live fetches)
+ * @param {number} attemptData.fetchCost - Total provider cost of the fetch
+ * @param {array} attemptData.fetchProviderAttempts - Per-provider attempts from fetchWithFailover
  * @param {string} attemptData.source - Source (SINGLE_SCRAPE, AUTO_SCRAPER, etc.)
  * @param {object} context - Shared context with ddbDocClient
  * @returns {string} ScrapeAttempt record ID
@@ -55,10 +66,14 @@ const createScrapeAttempt = async (attemptData, context) => {
         gameStatus = null,
         registrationStatus = null,
         dataHash = null,
+        regionHash = null,
         hasChanges = false,
         foundKeys = [],
         structureLabel = null,
         s3Key = null,
+        fetchProvider = null,
+        fetchCost = null,
+        fetchProviderAttempts = null,
         source = 'UNKNOWN'
     } = attemptData;
     
@@ -90,14 +105,23 @@ const createScrapeAttempt = async (attemptData, context) => {
             
             // Content tracking
             dataHash,
+            regionHash,
             hasChanges,
             foundKeysCount: foundKeys?.length || 0,
             foundKeysSample: foundKeys?.slice(0, 10) || [],
             structureLabel,
             s3Key,
             
+            // Fetch provider usage (null when served from cache)
+            fetchProvider,
+            fetchCost,
+            fetchProviderAttempts: fetchProviderAttempts?.length
+                ? JSON.stringify(fetchProviderAttempts)
+                : null,
+            
             // Metadata
             source,
+            attemptTime: now,
             attemptedAt: now,
             completedAt: now,
             
@@ -7,15 +7,75 @@
  * 1. S3 cache (stored HTML)
  * 2. HTTP 304 cache (ETag/Last-Modified validation)
  * 
+ * Also computes region hashes for the change-detection fast path: a hash
+ * of only the page regions the parser reads values from (status badge,
+ * details, entries, stacks, tables, results, the embedded cw_tt game data
+ * and levels/breaks), so cosmetic changes to the rest of the page - ads,
+ * page furniture - don't count as new data.
+ * 
  * ===================================================================
  */
 
+const cheerio = require('cheerio');
 const { UpdateCommand } = require('@aws-sdk/lib-dynamodb');
 const { getHtmlFromS3, storeHtmlInS3, calculateContentHash } = require('../storage/s3-client');
 const { checkHTTPHeaders } = require('./http-client');
 const { isValidHtml } = require('./validators');
 const { getTableName } = require('../config/tables');
 const { DATA_SOURCES } = require('../config/constants');
+const { normalizeSelectorMap } = require('../parse/selector-map');
+
+// Bump when CHANGE_DETECTION_REGIONS changes so stored hashes stop matching
+const REGION_HASH_VERSION = 2;
+
+/**
+ * Page regions the parser takes its values from. Labels (and clock labels)
+ * are read together with their parent so the value next to them is included.
+ */
+const CHANGE_DETECTION_REGIONS = {
+    status: [
+        'label:contains("Status")',
+        'label:contains("Registration")',
+        '.cw-badge.cw-bg-warning'
+    ],
+    details: [
+        '.cw-game-title',
+        '.cw-game-shortdesc',
+        '.cw-game-buyins',
+        '#cw_clock_start_date_time_local',
+        '#cw_clock_buyin',
+        '#cw_clock_startchips',
+        '#cw_clock_shortlimitgame',
+        'title',
+        'h1'
+    ],
+    entries: [
+        '#cw_clock_playersentries',
+        '#cw_clock_rebuys',
+        '#cw_clock_prizepool',
+        'div.cw-clock-label:contains("Add-Ons")',
+        'h4.cw-text-center:contains("Entries") + table'
+    ],
+    live: [
+        '#cw_clock_entire_stack',
+        '#cw_clock_avg_stack',
+        'div.cw-clock-label:contains("Total Time")'
+    ],
+    tables: [
+        'h4.cw-text-center:contains("Tables") + table'
+    ],
+    results: [
+        'h4.cw-text-center:contains("Result") + table'
+    ]
+};
+
+// Embedded script data the parser reads: cw_tt is the game itself (buy-in,
+// rake, starting stack, start_local, players_remaining); cw_tt_levels is the
+// blind structure, which also carries the breaks (breakduration)
+const CHANGE_DETECTION_SCRIPTS = {
+    gameData: /const cw_tt = ({.*?});/,
+    levels: /const cw_tt_levels = (\[.*?\]);/
+};
 
 /**
  * Try to get content from S3 cache
@@ -326,7 +386,94 @@ const checkAllCaches = async (url, scrapeURLRecord, forceRefresh, context) => {
     return result;
 };
 
+const isLabel = ($el) => $el.is('label') || $el.hasClass('cw-clock-label');
+
+/**
+ * Read the normalized text of every element matching a selector
+ */
+const readRegionText = ($, selector) => {
+    try {
+        return $(selector)
+            .map((i, el) => (isLabel($(el)) ? $(el).parent() : $(el)).text())
+            .get()
+            .join('|')
+            .replace(/\s+/g, ' ')
+            .trim();
+    } catch (error) {
+        // Bad selector in an entity's selector map - treat region as empty
+        return '';
+    }
+};
+
+/**
+ * Hash the meaningful regions of a tournament page
+ * 
+ * @param {string} html - Page HTML
+ * @param {object|string} selectorMap - Entity.scraperSelectorMap; mapped
+ *        selectors are hashed as their own region
+ * @returns {object} { regionHash, regions } - regionHash is null when none
+ *          of the regions were found (empty slot / unpublished page)
+ */
+const computeRegionHashes = (html, selectorMap = null) => {
+    if (!html) return { regionHash: null, regions: {} };
+    
+    const $ = cheerio.load(html);
+    const regionText = {};
+    
+    for (const [region, selectors] of Object.entries(CHANGE_DETECTION_REGIONS)) {
+        regionText[region] = selectors.map(selector => readRegionText($, selector)).join('||');
+    }
+    
+    for (const [region, pattern] of Object.entries(CHANGE_DETECTION_SCRIPTS)) {
+        const match = html.match(pattern);
+        regionText[region] = match ? match[1] : '';
+    }
+    
+    const mappedSelectors = Object.values(normalizeSelectorMap(selectorMap)).map(config => config.selector);
+    if (mappedSelectors.length > 0) {
+        regionText.mapped = mappedSelectors.map(selector => readRegionText($, selector)).join('||');
+    }
+    
+    const hasContent = Object.values(regionText).some(text => text.replace(/\|/g, '').length > 0);
+    if (!hasContent) return { regionHash: null, regions: {} };
+    
+    const regions = {};
+    for (const [region, text] of Object.entries(regionText)) {
+        regions[region] = calculateContentHash(text);
+    }
+    
+    const regionHash = calculateContentHash(`v${REGION_HASH_VERSION}:${JSON.stringify(regions)}`);
+    return { regionHash, regions };
+};
+
+/**
+ * Check whether a fetched page's meaningful regions match the last version
+ * that was saved to the Game table
+ * 
+ * ScrapeURL.lastParsedRegionHash is written by fetch-handler after a full
+ * parse; saveGameFunction copies it to lastSavedRegionHash once that parse
+ * is saved, so a parse that was never saved never short-circuits the next.
+ * 
+ * @param {string} html - Page HTML
+ * @param {object} scrapeURLRecord - ScrapeURL record as it was before this fetch
+ * @param {object|string} selectorMap - Entity.scraperSelectorMap
+ * @returns {object} { unchanged, regionHash, regions }
+ */
+const checkRegionChanges = (html, scrapeURLRecord, selectorMap = null) => {
+    const { regionHash, regions } = computeRegionHashes(html, selectorMap);
+    
+    const unchanged = !!regionHash &&
+        !!scrapeURLRecord?.gameId &&
+        scrapeURLRecord?.lastSavedRegionHash === regionHash;
+    
+    return { unchanged, regionHash, regions };
+};
+
 module.exports = {
+    REGION_HASH_VERSION,
+    CHANGE_DETECTION_REGIONS,
+    computeRegionHashes,
+    checkRegionChanges,
     getFromS3Cache,
     checkHttpCache,
     storeInS3Cache,
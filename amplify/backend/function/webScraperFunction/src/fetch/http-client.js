@@ -8,9 +8,13 @@
  * Features:
  * - Direct HTTP/HTTPS requests
  * - ScraperAPI proxy support
+ * - Generic HTTP proxy and headless-render endpoint fetches
  * - Retry logic with exponential backoff
  * - HTTP 304 cache validation
  * 
+ * Provider selection and failover live in providers.js; the functions
+ * here each make a single request and report timeouts via `timedOut`.
+ * 
  * ===================================================================
  */
 
@@ -25,9 +29,24 @@ const {
     REQUEST_TIMEOUT,
     HEAD_TIMEOUT,
     SCRAPERAPI_KEY,
-    SCRAPERAPI_URL
+    SCRAPERAPI_URL,
+    HEADLESS_RENDER_URL
 } = require('../config/constants');
 
+const DEFAULT_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (compatible; TournamentScraper/1.0)',
+    'Accept': 'text/html,application/xhtml+xml'
+};
+
+/**
+ * Did an axios request fail by timing out / never answering?
+ */
+const isTimeoutError = (error) => {
+    if (!error) return false;
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return true;
+    return /timeout/i.test(error.message || '');
+};
+
 /**
  * Fetch HTML from live website using ScraperAPI
  * 
@@ -91,7 +110,8 @@ const fetchFromLiveSite = async (url, scraperApiKey = null) => {
         return {
             success: false,
             error: errorMessage,
-            statusCode: errorCode
+            statusCode: errorCode,
+            timedOut: isTimeoutError(error)
         };
     }
 };
@@ -166,10 +186,7 @@ const checkHTTPHeaders = async (url, cachedHeaders) => {
             hostname: urlObj.hostname,
             port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
             path: urlObj.pathname + urlObj.search,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; TournamentScraper/1.0)',
-                'Accept': 'text/html,application/xhtml+xml'
-            }
+            headers: { ...DEFAULT_HEADERS }
         };
         
         // Add conditional headers if we have them
@@ -233,8 +250,7 @@ const fetchDirect = async (url, options = {}) => {
         const response = await axios.get(url, {
             timeout,
             headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; TournamentScraper/1.0)',
-                'Accept': 'text/html,application/xhtml+xml',
+                ...DEFAULT_HEADERS,
                 ...headers
             },
             maxRedirects: 5
@@ -251,7 +267,101 @@ const fetchDirect = async (url, options = {}) => {
         return {
             success: false,
             error: error.message,
-            statusCode: error.response?.status || 500
+            statusCode: error.response?.status || 500,
+            timedOut: isTimeoutError(error)
+        };
+    }
+};
+
+/**
+ * Fetch through a generic HTTP proxy
+ * 
+ * @param {string} url - URL to fetch
+ * @param {string} proxyUrl - Proxy as http(s)://[user:pass@]host:port
+ * @returns {object} Fetch result
+ */
+const fetchViaProxy = async (url, proxyUrl) => {
+    let proxy;
+    try {
+        const parsed = new URL(proxyUrl);
+        proxy = {
+            protocol: parsed.protocol.replace(':', ''),
+            host: parsed.hostname,
+            port: parseInt(parsed.port, 10) || (parsed.protocol === 'https:' ? 443 : 80),
+            ...(parsed.username ? {
+                auth: {
+                    username: decodeURIComponent(parsed.username),
+                    password: decodeURIComponent(parsed.password)
+                }
+            } : {})
+        };
+    } catch {
+        return { success: false, error: 'Invalid proxy URL', statusCode: 500 };
+    }
+    
+    try {
+        const response = await axios.get(url, {
+            timeout: REQUEST_TIMEOUT,
+            headers: DEFAULT_HEADERS,
+            proxy,
+            maxRedirects: 5,
+            validateStatus: (status) => status < 500
+        });
+
+        return {
+            success: true,
+            html: response.data,
+            headers: response.headers,
+            statusCode: response.status,
+            contentLength: response.headers['content-length']
+        };
+
+    } catch (error) {
+        const statusCode = error.response?.status || (error.request ? 504 : 500);
+        return {
+            success: false,
+            error: `Proxy ${proxy.host} Error ${statusCode}: ${error.message}`,
+            statusCode,
+            timedOut: isTimeoutError(error)
+        };
+    }
+};
+
+/**
+ * Fetch through the headless-render endpoint (HEADLESS_RENDER_URL)
+ * The endpoint loads the page in a browser and returns the rendered HTML.
+ * 
+ * @param {string} url - URL to render
+ * @returns {object} Fetch result
+ */
+const fetchViaHeadless = async (url) => {
+    if (!HEADLESS_RENDER_URL) {
+        return { success: false, error: 'Headless render endpoint is not configured.', statusCode: 500 };
+    }
+    
+    try {
+        const response = await axios.get(HEADLESS_RENDER_URL, {
+            params: { url },
+            timeout: REQUEST_TIMEOUT,
+            maxRedirects: 5,
+            validateStatus: (status) => status < 500
+        });
+
+        return {
+            success: true,
+            html: response.data,
+            headers: response.headers,
+            statusCode: response.status,
+            contentLength: response.headers['content-length']
+        };
+
+    } catch (error) {
+        const statusCode = error.response?.status || (error.request ? 504 : 500);
+        return {
+            success: false,
+            error: `Headless Render Error ${statusCode}: ${error.message}`,
+            statusCode,
+            timedOut: isTimeoutError(error)
         };
     }
 };
@@ -266,5 +376,8 @@ module.exports = {
     fetchFromLiveSiteWithRetries,
     checkHTTPHeaders,
     fetchDirect,
+    fetchViaProxy,
+    fetchViaHeadless,
+    isTimeoutError,
     sleep
 };
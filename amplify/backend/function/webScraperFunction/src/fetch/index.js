@@ -8,13 +8,14 @@
  * 
  * 1. S3 cache check (stored HTML)
  * 2. HTTP 304 check (ETag/Last-Modified)
- * 3. Live fetch via ScraperAPI
+ * 3. Live fetch via the entity's fetch providers, with failover
+ *    (providers.js - ScraperAPI, proxy list, headless render, direct)
  * 
  * ===================================================================
  */
 
 const { checkAllCaches, storeInS3Cache } = require('./cache-manager');
-const { fetchFromLiveSiteWithRetries } = require('./http-client');
+const { fetchWithFailover } = require('./providers');
 const { isValidHtml, isTournamentNotFound, validateFetchOptions } = require('./validators');
 const { upsertS3StorageRecord, updateScrapeURLWithS3StorageId } = require('../storage/s3-storage-manager');
 const { updateScrapeURLRecord, updateScrapeURLError, buildScrapeUpdates } = require('../core/scrape-url-manager');
@@ -32,6 +33,7 @@ const { calculateContentHash } = require('../storage/s3-client');
  * @param {number} options.tournamentId - Tournament ID
  * @param {boolean} options.forceRefresh - Skip all caches
  * @param {string} options.scraperApiKey - Optional ScraperAPI key override
+ * @param {array} options.providerOrder - Entity.fetchProviderOrder (optional)
  * @param {object} context - Shared context (ddbDocClient, s3Client, etc.)
  * @returns {object} Fetch result
  */
@@ -41,7 +43,8 @@ const enhancedHandleFetch = async (url, options, context) => {
         entityId,
         tournamentId,
         forceRefresh = false,
-        scraperApiKey = null
+        scraperApiKey = null,
+        providerOrder = null
     } = options;
     
     const { ddbDocClient } = context;
@@ -127,7 +130,19 @@ const enhancedHandleFetch = async (url, options, context) => {
         
         fetchStats.liveScraped = true;
         
-        const liveResult = await fetchFromLiveSiteWithRetries(url, 3, scraperApiKey);
+        const liveResult = await fetchWithFailover(url, {
+            entityId,
+            providerOrder,
+            scraperApiKey,
+            maxRetries: 3
+        });
+        
+        // Provider usage - recorded on ScrapeAttempt by the fetch handler
+        const providerInfo = {
+            provider: liveResult.provider,
+            fetchCost: liveResult.fetchCost,
+            providerAttempts: liveResult.providerAttempts
+        };
         
         if (!liveResult.success) {
             log('error', 'Live fetch failed', { error: liveResult.error, attempts: liveResult.attempts });
@@ -138,6 +153,7 @@ const enhancedHandleFetch = async (url, options, context) => {
             return {
                 success: false,
                 error: liveResult.error,
+                ...providerInfo,
                 fetchStats,
                 fetchDuration: Date.now() - startTime
             };
@@ -145,7 +161,8 @@ const enhancedHandleFetch = async (url, options, context) => {
         
         log('info', '✅ Live fetch successful', {
             contentLength: liveResult.html?.length,
-            attempts: liveResult.attempts
+            attempts: liveResult.attempts,
+            provider: liveResult.provider
         });
         
         // ════════════════════════════════════════════════════════════════
@@ -172,6 +189,7 @@ const enhancedHandleFetch = async (url, options, context) => {
                 isNotFound: true,
                 html: liveResult.html,
                 headers: liveResult.headers,
+                ...providerInfo,
                 fetchStats,
                 fetchDuration: Date.now() - startTime
             };
@@ -275,6 +293,7 @@ const enhancedHandleFetch = async (url, options, context) => {
             usedCache: false,
             contentHash,
             contentSize: liveResult.html.length,
+            ...providerInfo,
             fetchDuration: Date.now() - startTime,
             fetchStats,
             timestamp: new Date().toISOString()
@@ -309,7 +328,7 @@ const simplifiedFetch = async (url, entityId, tournamentId, scraperApiKey = null
     console.log(`[SimplifiedFetch] Fetching ${url}`);
     
     try {
-        const liveResult = await fetchFromLiveSiteWithRetries(url, 3, scraperApiKey);
+        const liveResult = await fetchWithFailover(url, { entityId, scraperApiKey, maxRetries: 3 });
         
         if (!liveResult.success) {
             throw new Error(`Live fetch failed: ${liveResult.error}`);
@@ -0,0 +1,329 @@
+/**
+ * ===================================================================
+ * Fetch Providers
+ * ===================================================================
+ *
+ * Live fetches go through an ordered list of providers with automatic
+ * failover:
+ *
+ * - DIRECT:     plain request from the Lambda (free, easily blocked)
+ * - SCRAPERAPI: ScraperAPI with country_code=au (default first choice)
+ * - PROXY:      generic HTTP proxy list (FETCH_PROXY_URLS), rotated
+ * - HEADLESS:   headless-render endpoint (HEADLESS_RENDER_URL)
+ *
+ * ORDERING:
+ * Entity.fetchProviderOrder sets the order per entity, otherwise
+ * DEFAULT_FETCH_PROVIDER_ORDER. Providers that aren't configured are
+ * skipped. Unhealthy providers (cooling down, or low success score) are
+ * moved to the back but stay available as a last resort.
+ *
+ * FAILOVER:
+ * - Bot block / CAPTCHA page (isCaptchaOrBotBlock): next provider at once
+ * - PROVIDER_TIMEOUT_TRIP_THRESHOLD consecutive timeouts: next provider
+ * - 4xx (except 429): next provider, no retries on this one
+ * - Other failures: retry with backoff, then next provider
+ * If every provider returned a block page, the last block page is returned
+ * so the parser still records BOT_BLOCKED.
+ *
+ * HEALTH:
+ * Tracked per entity + provider in this Lambda container (same lifetime
+ * as the entity config cache). Per-request cost and outcome are returned
+ * as `providerAttempts` and stored on ScrapeAttempt for the Analytics tab.
+ *
+ * ===================================================================
+ */
+
+const {
+    fetchFromLiveSite,
+    fetchDirect,
+    fetchViaProxy,
+    fetchViaHeadless,
+    sleep
+} = require('./http-client');
+const { isCaptchaOrBotBlock } = require('./validators');
+const {
+    MAX_RETRIES,
+    RETRY_DELAY,
+    SCRAPERAPI_KEY,
+    FETCH_PROVIDERS,
+    DEFAULT_FETCH_PROVIDER_ORDER,
+    FETCH_PROXY_URLS,
+    HEADLESS_RENDER_URL,
+    FETCH_PROVIDER_COSTS,
+    PROVIDER_TIMEOUT_TRIP_THRESHOLD,
+    PROVIDER_COOLDOWN_MS
+} = require('../config/constants');
+
+/** Success score below which a provider is tried after healthy ones */
+const UNHEALTHY_SCORE = 0.5;
+
+/** Weight of the newest outcome in the success score (exponential moving average) */
+const SCORE_ALPHA = 0.2;
+
+/** Outcomes recorded per provider attempt */
+const PROVIDER_OUTCOMES = {
+    SUCCESS: 'SUCCESS',
+    BOT_BLOCKED: 'BOT_BLOCKED',
+    TIMEOUT: 'TIMEOUT',
+    CLIENT_ERROR: 'CLIENT_ERROR',
+    ERROR: 'ERROR'
+};
+
+// Round-robin position in FETCH_PROXY_URLS
+let proxyCursor = 0;
+
+// ─────────────────────────────────────────────────────────────────────
+// PROVIDER REGISTRY
+// ─────────────────────────────────────────────────────────────────────
+
+const PROVIDERS = {
+    [FETCH_PROVIDERS.DIRECT]: {
+        isAvailable: () => true,
+        fetch: (url) => fetchDirect(url)
+    },
+    [FETCH_PROVIDERS.SCRAPERAPI]: {
+        isAvailable: ({ scraperApiKey }) => !!(scraperApiKey || process.env.SCRAPERAPI_KEY || SCRAPERAPI_KEY),
+        fetch: (url, { scraperApiKey }) => fetchFromLiveSite(url, scraperApiKey)
+    },
+    [FETCH_PROVIDERS.PROXY]: {
+        isAvailable: () => FETCH_PROXY_URLS.length > 0,
+        fetch: (url) => {
+            const proxyUrl = FETCH_PROXY_URLS[proxyCursor % FETCH_PROXY_URLS.length];
+            proxyCursor++;
+            return fetchViaProxy(url, proxyUrl);
+        }
+    },
+    [FETCH_PROVIDERS.HEADLESS]: {
+        isAvailable: () => !!HEADLESS_RENDER_URL,
+        fetch: (url) => fetchViaHeadless(url)
+    }
+};
+
+// ─────────────────────────────────────────────────────────────────────
+// HEALTH TRACKING
+// ─────────────────────────────────────────────────────────────────────
+
+// `${entityId}:${provider}` -> health record
+const providerHealth = new Map();
+
+const getHealth = (entityId, provider) => {
+    const key = `${entityId || 'global'}:${provider}`;
+    if (!providerHealth.has(key)) {
+        providerHealth.set(key, {
+            provider,
+            score: 1,
+            requests: 0,
+            successes: 0,
+            consecutiveTimeouts: 0,
+            cooldownUntil: 0,
+            lastOutcome: null
+        });
+    }
+    return providerHealth.get(key);
+};
+
+const recordHealth = (entityId, provider, outcome) => {
+    const health = getHealth(entityId, provider);
+    const succeeded = outcome === PROVIDER_OUTCOMES.SUCCESS;
+
+    health.requests++;
+    health.lastOutcome = outcome;
+    health.score = (1 - SCORE_ALPHA) * health.score + SCORE_ALPHA * (succeeded ? 1 : 0);
+
+    if (succeeded) {
+        health.successes++;
+        health.consecutiveTimeouts = 0;
+        health.cooldownUntil = 0;
+        return health;
+    }
+
+    if (outcome === PROVIDER_OUTCOMES.TIMEOUT) {
+        health.consecutiveTimeouts++;
+        if (health.consecutiveTimeouts >= PROVIDER_TIMEOUT_TRIP_THRESHOLD) {
+            health.cooldownUntil = Date.now() + PROVIDER_COOLDOWN_MS;
+        }
+    } else if (outcome === PROVIDER_OUTCOMES.BOT_BLOCKED) {
+        health.cooldownUntil = Date.now() + PROVIDER_COOLDOWN_MS;
+    }
+
+    return health;
+};
+
+const isHealthy = (health) => health.cooldownUntil <= Date.now() && health.score >= UNHEALTHY_SCORE;
+
+/**
+ * Snapshot of provider health for an entity (for logging/debugging)
+ *
+ * @param {string} entityId - Entity ID
+ * @returns {array} Health records
+ */
+const getProviderHealth = (entityId) => {
+    return Object.values(FETCH_PROVIDERS).map(provider => {
+        const health = getHealth(entityId, provider);
+        return { ...health, healthy: isHealthy(health) };
+    });
+};
+
+// ─────────────────────────────────────────────────────────────────────
+// ORDERING
+// ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve the provider order for a fetch
+ * Configured order, minus unknown/unavailable providers, healthy first.
+ *
+ * @param {string} entityId - Entity ID
+ * @param {array|null} configuredOrder - Entity.fetchProviderOrder
+ * @param {object} options - { scraperApiKey }
+ * @returns {array} Provider names in the order to try
+ */
+const resolveProviderOrder = (entityId, configuredOrder, options = {}) => {
+    const requested = Array.isArray(configuredOrder) && configuredOrder.length > 0
+        ? configuredOrder
+        : DEFAULT_FETCH_PROVIDER_ORDER;
+
+    const available = [...new Set(requested.map(p => String(p).toUpperCase()))]
+        .filter(provider => PROVIDERS[provider]?.isAvailable(options));
+
+    // Stable sort: healthy providers keep their configured order ahead of unhealthy ones
+    return available
+        .map((provider, index) => ({ provider, index, healthy: isHealthy(getHealth(entityId, provider)) }))
+        .sort((a, b) => (a.healthy === b.healthy ? a.index - b.index : a.healthy ? -1 : 1))
+        .map(({ provider }) => provider);
+};
+
+// ─────────────────────────────────────────────────────────────────────
+// FETCH WITH FAILOVER
+// ─────────────────────────────────────────────────────────────────────
+
+const classifyResult = (result) => {
+    if (result.success) {
+        const blockCheck = isCaptchaOrBotBlock(result.html);
+        return blockCheck.isBlocked
+            ? { outcome: PROVIDER_OUTCOMES.BOT_BLOCKED, blockType: blockCheck.blockType }
+            : { outcome: PROVIDER_OUTCOMES.SUCCESS };
+    }
+    if (result.timedOut) return { outcome: PROVIDER_OUTCOMES.TIMEOUT };
+    if (result.statusCode >= 400 && result.statusCode < 500 && result.statusCode !== 429) {
+        return { outcome: PROVIDER_OUTCOMES.CLIENT_ERROR };
+    }
+    return { outcome: PROVIDER_OUTCOMES.ERROR };
+};
+
+/**
+ * Fetch a URL live, failing over between providers
+ *
+ * @param {string} url - URL to fetch
+ * @param {object} options
+ * @param {string} options.entityId - Entity ID (health is tracked per entity)
+ * @param {array} options.providerOrder - Entity.fetchProviderOrder (optional)
+ * @param {string} options.scraperApiKey - Optional ScraperAPI key override
+ * @param {number} options.maxRetries - Attempts per provider
+ * @returns {object} Fetch result { success, html, headers, error, attempts,
+ *                   provider, fetchCost, providerAttempts }
+ */
+const fetchWithFailover = async (url, options = {}) => {
+    const {
+        entityId = null,
+        providerOrder = null,
+        scraperApiKey = null,
+        maxRetries = MAX_RETRIES
+    } = options;
+
+    const order = resolveProviderOrder(entityId, providerOrder, { scraperApiKey });
+    const providerAttempts = [];
+    let lastError = null;
+    let lastBlocked = null;
+
+    if (order.length === 0) {
+        return {
+            success: false,
+            error: 'No fetch provider is configured (check ScraperAPI key / FETCH_PROXY_URLS / HEADLESS_RENDER_URL).',
+            attempts: 0,
+            provider: null,
+            fetchCost: 0,
+            providerAttempts
+        };
+    }
+
+    const summarize = (extra) => ({
+        ...extra,
+        attempts: providerAttempts.length,
+        fetchCost: providerAttempts.reduce((sum, a) => sum + a.cost, 0),
+        providerAttempts
+    });
+
+    for (const provider of order) {
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            const attemptStart = Date.now();
+            let result;
+            try {
+                result = await PROVIDERS[provider].fetch(url, { scraperApiKey });
+            } catch (error) {
+                result = { success: false, error: error.message, statusCode: 500 };
+            }
+
+            const { outcome, blockType } = classifyResult(result);
+            const health = recordHealth(entityId, provider, outcome);
+            // Providers bill for any answered request, including block pages
+            const answered = result.success || (result.statusCode && result.statusCode < 500);
+
+            providerAttempts.push({
+                provider,
+                outcome,
+                statusCode: result.statusCode || null,
+                durationMs: Date.now() - attemptStart,
+                cost: answered ? (FETCH_PROVIDER_COSTS[provider] || 0) : 0,
+                ...(blockType ? { blockType } : {})
+            });
+
+            if (outcome === PROVIDER_OUTCOMES.SUCCESS) {
+                if (providerAttempts.length > 1) {
+                    console.log(`[FetchProviders] ${provider} succeeded after ${providerAttempts.length} attempts`);
+                }
+                return summarize({ ...result, provider });
+            }
+
+            lastError = result.error || `${provider} returned ${outcome}`;
+
+            if (outcome === PROVIDER_OUTCOMES.BOT_BLOCKED) {
+                console.warn(`[FetchProviders] ${provider} got a bot block (${blockType}) - failing over`);
+                lastBlocked = { ...result, provider };
+                break;
+            }
+            if (outcome === PROVIDER_OUTCOMES.CLIENT_ERROR) {
+                console.log(`[FetchProviders] ${provider} client error ${result.statusCode} - failing over`);
+                break;
+            }
+            if (outcome === PROVIDER_OUTCOMES.TIMEOUT &&
+                health.consecutiveTimeouts >= PROVIDER_TIMEOUT_TRIP_THRESHOLD) {
+                console.warn(`[FetchProviders] ${provider} timed out ${health.consecutiveTimeouts}x - failing over`);
+                break;
+            }
+
+            if (attempt < maxRetries) {
+                const delay = RETRY_DELAY * Math.pow(2, attempt - 1);
+                console.log(`[FetchProviders] ${provider} retry ${attempt}/${maxRetries} after ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    // Every provider was blocked - hand back a block page so it's recorded as BOT_BLOCKED
+    if (lastBlocked) {
+        return summarize(lastBlocked);
+    }
+
+    return summarize({
+        success: false,
+        error: lastError || 'All fetch providers failed',
+        provider: providerAttempts[providerAttempts.length - 1]?.provider || null
+    });
+};
+
+module.exports = {
+    PROVIDER_OUTCOMES,
+    fetchWithFailover,
+    resolveProviderOrder,
+    getProviderHealth
+};
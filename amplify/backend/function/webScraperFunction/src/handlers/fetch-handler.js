@@ -1,13 +1,28 @@
 /**
  * ===================================================================
- * Fetch Handler (v2.7.0)
+ * Fetch Handler (v2.10.1)
  * ===================================================================
  * 
  * Handles the fetchTournamentData operation.
  * 
- * VERSION: 2.7.0
+ * VERSION: 2.10.1
  * 
  * CHANGELOG:
+ * - v2.10.1: Fast path never applies to RUNNING/CLOCK_STOPPED games; skipped
+ *           results carry only the stored ScrapeURL name/status (no
+ *           placeholder values); lastParsedRegionHash is written before
+ *           the auto-save so saveGameFunction can promote it
+ * - v2.10.0: Change-detection fast path (skipUnchanged option). Live fetches
+ *           hash only the regions the parser reads (fetch/cache-manager.js);
+ *           when they match the last saved parse, parse/enrich/save are
+ *           skipped and the attempt is recorded as NO_CHANGES with
+ *           skipReason 'UNCHANGED'
+ * - v2.9.0: Live fetches fail over between providers (fetch/providers.js)
+ *           in Entity.fetchProviderOrder; provider, cost and per-provider
+ *           attempts are recorded on ScrapeAttempt
+ * - v2.8.0: Structure drift alerting after fingerprinting (parse/structure-drift.js)
+ *           Flags structures new to the entity and watched fields that stop
+ *           being found; alerts go to ScrapeDriftAlert + sesNotification
  * - v2.7.0: Added saveAfterFetch option for auto-saving after fetch
  *           This enables refreshRunningGames to fetch AND save in one call
  *           When saveAfterFetch=true, automatically invokes save-handler
@@ -48,13 +63,16 @@
 
 const { enhancedHandleFetch } = require('../fetch');
 const { parseHtml } = require('../parse');
-const { getScrapeURL, updateScrapeURLDoNotScrape } = require('../core/scrape-url-manager');
+const { checkRegionChanges } = require('../fetch/cache-manager');
+const { getScrapeURL, updateScrapeURLRecord, updateScrapeURLDoNotScrape } = require('../core/scrape-url-manager');
+const { getEntityScraperConfig } = require('../core/entity-resolver');
 const { createScrapeAttempt } = require('../core/scrape-attempt-tracker');
 const { updateS3StorageWithParsedData } = require('../storage/s3-storage-manager');
 const { getAllVenues } = require('../parse/venue-matcher');
 const { processStructureFingerprint } = require('../parse/structure-fingerprint');
+const { checkStructureDrift } = require('../parse/structure-drift');
 const { getHtmlFromS3 } = require('../storage/s3-client');
-const { DO_NOT_SCRAPE_STATUSES } = require('../config/constants');
+const { DO_NOT_SCRAPE_STATUSES, DATA_SOURCES, GAME_STATUSES } = require('../config/constants');
 
 // DynamoDB imports for fallback record creation
 const { PutCommand, GetCommand, QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
@@ -64,6 +82,10 @@ const { PutCommand, GetCommand, QueryCommand, UpdateCommand } = require('@aws-sd
 // ===================================================================
 const SKIP_SAVE_STATUSES = ['NOT_FOUND', 'NOT_PUBLISHED', 'ERROR', 'UNKNOWN'];
 
+// v2.10.1: Live games are always re-parsed - clocks, stacks and levels move
+// between scrapes even when no page region the hash covers has changed
+const ALWAYS_PARSE_STATUSES = [GAME_STATUSES.RUNNING, GAME_STATUSES.CLOCK_STOPPED];
+
 /**
  * Extract tournament ID from URL
  */
@@ -420,6 +442,8 @@ const robustGetScrapeURL = async (url, entityId, tournamentId, context) => {
  * @param {string} options.scraperJobId - Job ID for tracking
  * @param {string} options.scraperApiKey - API key for scraper service
  * @param {boolean} options.saveAfterFetch - (v2.7.0) Auto-save after successful fetch
+ * @param {boolean} options.skipUnchanged - (v2.10.0) Skip parse/save when the page's
+ *        meaningful regions match the last saved parse
  * @param {object} context - Shared context with AWS clients
  * @returns {object} Fetch result with parsed tournament data
  */
@@ -433,7 +457,8 @@ const handleFetch = async (options, context) => {
         isRescrape = false,
         scraperJobId = null,
         scraperApiKey = null,
-        saveAfterFetch = false  // v2.7.0: New option for auto-save
+        saveAfterFetch = false,  // v2.7.0: New option for auto-save
+        skipUnchanged = false    // v2.10.0: Change-detection fast path
     } = options;
     
     const { ddbDocClient, getTableName } = context;
@@ -494,6 +519,7 @@ const handleFetch = async (options, context) => {
     // Fetch reference data for parsing
     const venues = await getAllVenues(context);
     console.log(`[FetchHandler] Loaded ${venues.length} venues for matching`);
+    const { scraperStrategy, scraperSelectorMap, fetchProviderOrder } = await getEntityScraperConfig(entityId, context);
     
     // Fetch HTML (cache or live)
     const fetchResult = await enhancedHandleFetch(url, {
@@ -501,7 +527,8 @@ const handleFetch = async (options, context) => {
         entityId,
         tournamentId,
         forceRefresh,
-        scraperApiKey
+        scraperApiKey,
+        providerOrder: fetchProviderOrder
     }, context);
     
     if (!fetchResult.success) {
@@ -515,6 +542,9 @@ const handleFetch = async (options, context) => {
             processingTime: Date.now() - startTime,
             errorMessage: fetchResult.error,
             errorType: extractErrorType(fetchResult.error),
+            fetchProvider: fetchResult.provider,
+            fetchCost: fetchResult.fetchCost,
+            fetchProviderAttempts: fetchResult.providerAttempts,
             source: 'SINGLE_SCRAPE'
         }, context).catch(err => console.warn(`[FetchHandler] Attempt tracking failed: ${err.message}`));
         
@@ -523,11 +553,33 @@ const handleFetch = async (options, context) => {
     
     console.log(`[FetchHandler] Fetch succeeded, source: ${fetchResult.source}, usedCache: ${fetchResult.usedCache}`);
     
+    // v2.10.0: Change-detection fast path - only for live pages, cached HTML
+    // is already known to be unchanged and callers re-read it on purpose.
+    // The hash covers the status, so the stored status is the page's status.
+    const regionCheck = checkRegionChanges(fetchResult.html, scrapeURLRecord, scraperSelectorMap);
+    const isLiveGame = ALWAYS_PARSE_STATUSES.includes(scrapeURLRecord.gameStatus);
+    
+    if (skipUnchanged && regionCheck.unchanged && !isLiveGame && fetchResult.source === DATA_SOURCES.LIVE) {
+        return handleUnchanged({
+            url,
+            tournamentId,
+            entityId,
+            scraperJobId,
+            scrapeURLRecord,
+            fetchResult,
+            regionHash: regionCheck.regionHash,
+            saveAfterFetch,
+            startTime
+        }, context);
+    }
+    
     // Parse HTML
     const { data: scrapedData, foundKeys } = parseHtml(fetchResult.html, {
         url,
         venues,
-        forceRefresh
+        forceRefresh,
+        strategyName: scraperStrategy,
+        selectorMap: scraperSelectorMap
     });
     
     if (!scrapedData.tournamentId) {
@@ -543,14 +595,27 @@ const handleFetch = async (options, context) => {
     
     // Process structure fingerprint (non-critical)
     let isNewStructure = false;
+    let fingerprint = null;
     try {
         const fpResult = await processStructureFingerprint(foundKeys, scrapedData.structureLabel, url, context);
         isNewStructure = fpResult.isNewStructure;
+        fingerprint = fpResult.fingerprint;
     } catch (fpError) {
         console.warn(`[FetchHandler] Structure fingerprint failed: ${fpError.message}`);
     }
     scrapedData.isNewStructure = isNewStructure;
     
+    // v2.8.0: Structure drift alerting (non-critical, not run for reScrapeFromCache)
+    await checkStructureDrift({
+        entityId,
+        tournamentId,
+        url,
+        scrapedData,
+        foundKeys,
+        fingerprint,
+        structureLabel: scrapedData.structureLabel
+    }, context);
+    
     // ═══════════════════════════════════════════════════════════════════════
     // v2.6.0: Determine scrapeStatus (URL-level status) vs gameStatus
     // ═══════════════════════════════════════════════════════════════════════
@@ -599,6 +664,7 @@ const handleFetch = async (options, context) => {
         rawHtml: fetchResult.html,
         source: fetchResult.source,
         contentHash: fetchResult.contentHash,
+        regionHash: regionCheck.regionHash,
         fetchedAt: new Date().toISOString(),
         entityId,
         wasForced: forceRefresh || overrideDoNotScrape,
@@ -629,6 +695,15 @@ const handleFetch = async (options, context) => {
         }
     }
     
+    // v2.10.0: Remember what was parsed; saveGameFunction promotes it to
+    // lastSavedRegionHash when this data is saved, so it has to be written
+    // before the auto-save below
+    const isRealGame = !SKIP_SAVE_STATUSES.includes(scrapedData.scrapeStatus || scrapedData.gameStatus);
+    if (regionCheck.regionHash && isRealGame && regionCheck.regionHash !== scrapeURLRecord.lastParsedRegionHash) {
+        await updateScrapeURLRecord(scrapeURLRecord.id, { lastParsedRegionHash: regionCheck.regionHash }, context)
+            .catch(err => console.warn(`[FetchHandler] Region hash update failed: ${err.message}`));
+    }
+    
     // Track successful attempt
     createScrapeAttempt({
         url,
@@ -642,10 +717,14 @@ const handleFetch = async (options, context) => {
         gameStatus: scrapedData.gameStatus,
         registrationStatus: scrapedData.registrationStatus,
         dataHash: fetchResult.contentHash,
+        regionHash: regionCheck.regionHash,
         hasChanges: result.dataChanged || false,
         foundKeys,
         structureLabel: scrapedData.structureLabel,
         s3Key: fetchResult.s3Key,
+        fetchProvider: fetchResult.provider,
+        fetchCost: fetchResult.fetchCost,
+        fetchProviderAttempts: fetchResult.providerAttempts,
         source: 'SINGLE_SCRAPE'
     }, context).catch(err => console.warn(`[FetchHandler] Attempt tracking failed: ${err.message}`));
     
@@ -707,6 +786,63 @@ const handleFetch = async (options, context) => {
     return result;
 };
 
+/**
+ * v2.10.0: Return early for a live page whose meaningful regions match the
+ * last saved parse - nothing to parse, enrich or save
+ * 
+ * The result carries the last known name/status from ScrapeURL (null when
+ * not recorded) so callers can report it, with skipped=true and
+ * skipReason='UNCHANGED'. No game data is included - callers must not save it.
+ */
+const handleUnchanged = async (params, context) => {
+    const { url, tournamentId, entityId, scraperJobId, scrapeURLRecord, fetchResult, regionHash, saveAfterFetch, startTime } = params;
+    
+    console.log(`[FetchHandler] ⏭️ Tournament ${tournamentId} unchanged since last save (region hash ${regionHash.substring(0, 8)}) - skipping parse`);
+    
+    createScrapeAttempt({
+        url,
+        tournamentId,
+        entityId,
+        scrapeURLId: scrapeURLRecord.id,
+        scraperJobId,
+        status: 'NO_CHANGES',
+        processingTime: Date.now() - startTime,
+        gameName: scrapeURLRecord.gameName,
+        gameStatus: scrapeURLRecord.gameStatus,
+        dataHash: fetchResult.contentHash,
+        regionHash,
+        hasChanges: false,
+        s3Key: fetchResult.s3Key,
+        fetchProvider: fetchResult.provider,
+        fetchCost: fetchResult.fetchCost,
+        fetchProviderAttempts: fetchResult.providerAttempts,
+        source: 'SINGLE_SCRAPE'
+    }, context).catch(err => console.warn(`[FetchHandler] Attempt tracking failed: ${err.message}`));
+    
+    const result = {
+        tournamentId,
+        name: scrapeURLRecord.gameName || null,
+        gameStatus: scrapeURLRecord.gameStatus || null,
+        s3Key: fetchResult.s3Key || '',
+        skipped: true,
+        skipReason: 'UNCHANGED',
+        source: fetchResult.source,
+        contentHash: fetchResult.contentHash,
+        regionHash,
+        fetchedAt: new Date().toISOString(),
+        entityId,
+        usedCache: false
+    };
+    
+    if (saveAfterFetch) {
+        result.autoSaved = false;
+        result.autoSaveSkipped = true;
+        result.autoSaveSkipReason = 'UNCHANGED';
+    }
+    
+    return result;
+};
+
 /**
  * Handle re-scrape from S3 cache
  */
@@ -729,12 +865,15 @@ const handleRescrapeFromCache = async (s3Key, options, context) => {
         
         // Fetch reference data
         const venues = await getAllVenues(context);
+        const { scraperStrategy, scraperSelectorMap } = await getEntityScraperConfig(entityId, context);
         
         // Parse HTML
         const { data: scrapedData, foundKeys } = parseHtml(s3Result.html, {
             url,
             venues,
-            forceRefresh: true
+            forceRefresh: true,
+            strategyName: scraperStrategy,
+            selectorMap: scraperSelectorMap
         });
         
         if (!scrapedData.tournamentId) {
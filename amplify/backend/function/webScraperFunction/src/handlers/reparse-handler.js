@@ -0,0 +1,582 @@
+/**
+ * ===================================================================
+ * Bulk Re-parse Handler
+ * ===================================================================
+ *
+ * Re-parses every cached S3 page for an entity with the current parser,
+ * so parser fixes can be backfilled without re-scraping the live site.
+ *
+ * OPERATIONS:
+ * - startBulkReparse: Create (or resume) a BULK_REPARSE BackgroundTask
+ *   and kick off processing
+ * - processBulkReparse: Internal - processes pages until the Lambda is
+ *   close to timing out, saves a cursor on the task, then re-invokes
+ *   itself asynchronously to continue
+ *
+ * MODES:
+ * - PREVIEW: parse only, record which Game fields would change
+ * - SAVE: parse and re-save changed/new games through gameDataEnricher
+ *   (save-handler passthrough)
+ *
+ * SCOPE (all optional, combined with AND):
+ * - startTournamentId / endTournamentId: tournament ID range
+ * - scrapedFrom / scrapedTo: ScrapeURL.lastScrapedAt range
+ *
+ * Pages come from ScrapeURL.latestS3Key (one page per tournament).
+ * Setting the task status to CANCELLED stops processing after the
+ * current page of URLs; startBulkReparse with resumeTaskId continues
+ * an interrupted task from its cursor.
+ *
+ * ===================================================================
+ */
+
+const { GetCommand, PutCommand, UpdateCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { InvokeCommand } = require('@aws-sdk/client-lambda');
+const { randomUUID } = require('crypto');
+const { parseHtml } = require('../parse');
+const { getAllVenues } = require('../parse/venue-matcher');
+const { getEntityScraperConfig } = require('../core/entity-resolver');
+const { getHtmlFromS3 } = require('../storage/s3-client');
+const { handleSave } = require('./save-handler');
+
+/** Game fields compared in the preview diff */
+const REPARSE_DIFF_FIELDS = [
+    'name',
+    'gameStatus',
+    'registrationStatus',
+    'gameStartDateTime',
+    'gameEndDateTime',
+    'gameVariant',
+    'tournamentType',
+    'buyIn',
+    'rake',
+    'startingStack',
+    'hasGuarantee',
+    'guaranteeAmount',
+    'prizepoolPaid',
+    'totalUniquePlayers',
+    'totalInitialEntries',
+    'totalEntries',
+    'totalRebuys',
+    'totalAddons',
+    'totalDuration'
+];
+
+/** ScrapeURLs fetched per query page */
+const PAGE_SIZE = 50;
+
+/** Stop and re-invoke when less than this much time is left (ms) */
+const TIME_RESERVE_MS = 45000;
+
+/** Keep the task result under the DynamoDB item size limit */
+const MAX_STORED_CHANGES = 200;
+const MAX_STORED_ERRORS = 50;
+
+/** Parsed statuses that never map to a Game */
+const SKIP_SAVE_STATUSES = ['NOT_FOUND', 'NOT_PUBLISHED', 'ERROR', 'UNKNOWN', 'BOT_BLOCKED'];
+
+// ===================================================================
+// DIFF
+// ===================================================================
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Compare two values the way they'd be stored on Game
+ * Numbers compare numerically, ISO dates by timestamp, strings trimmed.
+ */
+const valuesEqual = (current, parsed) => {
+    if (isEmpty(current) && isEmpty(parsed)) return true;
+    if (isEmpty(current) || isEmpty(parsed)) return false;
+
+    if (typeof current === 'number' || typeof parsed === 'number') {
+        return Number(current) === Number(parsed);
+    }
+
+    if (typeof current === 'boolean' || typeof parsed === 'boolean') {
+        return Boolean(current) === Boolean(parsed);
+    }
+
+    const currentTime = Date.parse(current);
+    const parsedTime = Date.parse(parsed);
+    if (/^\d{4}-\d{2}-\d{2}T/.test(String(current)) && !isNaN(currentTime) && !isNaN(parsedTime)) {
+        return currentTime === parsedTime;
+    }
+
+    return String(current).trim() === String(parsed).trim();
+};
+
+/**
+ * Field-level diff between an existing Game and freshly parsed data
+ *
+ * @param {object} game - Game record
+ * @param {object} parsed - Parsed data
+ * @returns {array} [{ field, current, parsed }]
+ */
+const diffGameFields = (game, parsed) => {
+    return REPARSE_DIFF_FIELDS
+        .filter(field => !valuesEqual(game[field], parsed[field]))
+        .map(field => ({
+            field,
+            current: isEmpty(game[field]) ? null : game[field],
+            parsed: isEmpty(parsed[field]) ? null : parsed[field]
+        }));
+};
+
+// ===================================================================
+// TASK HELPERS
+// ===================================================================
+
+const emptyResult = (mode) => ({
+    mode,
+    scanned: 0,
+    unchanged: 0,
+    changed: 0,
+    newGames: 0,
+    skipped: 0,
+    saved: 0,
+    saveErrors: 0,
+    parseErrors: 0,
+    fieldChangeCounts: {},
+    changes: [],
+    errors: []
+});
+
+const parseJson = (value, fallback) => {
+    if (!value) return fallback;
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+};
+
+const getTask = async (taskId, context) => {
+    const { ddbDocClient, getTableName } = context;
+    const result = await ddbDocClient.send(new GetCommand({
+        TableName: getTableName('BackgroundTask'),
+        Key: { id: taskId }
+    }));
+    return result.Item || null;
+};
+
+const updateTask = async (taskId, updates, context) => {
+    const { ddbDocClient, getTableName } = context;
+    const now = new Date().toISOString();
+
+    let expr = 'SET updatedAt = :now, #lca = :ts';
+    const names = { '#lca': '_lastChangedAt' };
+    const vals = { ':now': now, ':ts': Date.now() };
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (value === undefined) continue;
+        names[`#${key}`] = key;
+        vals[`:${key}`] = value;
+        expr += `, #${key} = :${key}`;
+    }
+
+    await ddbDocClient.send(new UpdateCommand({
+        TableName: getTableName('BackgroundTask'),
+        Key: { id: taskId },
+        UpdateExpression: expr,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: vals
+    }));
+};
+
+/**
+ * Invoke this function asynchronously to continue a task
+ */
+const invokeContinuation = async (taskId, entityId, context) => {
+    const { lambdaClient } = context;
+    const functionName = process.env.AWS_LAMBDA_FUNCTION_NAME;
+
+    if (!functionName) {
+        throw new Error('AWS_LAMBDA_FUNCTION_NAME not set - cannot continue bulk re-parse');
+    }
+
+    await lambdaClient.send(new InvokeCommand({
+        FunctionName: functionName,
+        InvocationType: 'Event',
+        Payload: JSON.stringify({ operation: 'processBulkReparse', taskId, entityId })
+    }));
+};
+
+// ===================================================================
+// SCRAPE URL QUERY
+// ===================================================================
+
+/**
+ * Build the byEntityScrapeURL query for a task's scope
+ */
+const buildScopeQuery = (scope, context) => {
+    const { getTableName } = context;
+    const filters = ['attribute_exists(latestS3Key)'];
+    const names = { '#entityId': 'entityId' };
+    const vals = { ':entityId': scope.entityId };
+
+    if (scope.startTournamentId) {
+        filters.push('tournamentId >= :startId');
+        vals[':startId'] = scope.startTournamentId;
+    }
+    if (scope.endTournamentId) {
+        filters.push('tournamentId <= :endId');
+        vals[':endId'] = scope.endTournamentId;
+    }
+    if (scope.scrapedFrom) {
+        filters.push('lastScrapedAt >= :scrapedFrom');
+        vals[':scrapedFrom'] = scope.scrapedFrom;
+    }
+    if (scope.scrapedTo) {
+        filters.push('lastScrapedAt <= :scrapedTo');
+        vals[':scrapedTo'] = scope.scrapedTo;
+    }
+
+    return {
+        TableName: getTableName('ScrapeURL'),
+        IndexName: 'byEntityScrapeURL',
+        KeyConditionExpression: '#entityId = :entityId',
+        FilterExpression: filters.join(' AND '),
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: vals
+    };
+};
+
+/**
+ * Count cached pages in scope (for progress reporting)
+ */
+const countPagesInScope = async (scope, context) => {
+    const { ddbDocClient } = context;
+    const query = { ...buildScopeQuery(scope, context), Select: 'COUNT' };
+
+    let count = 0;
+    let lastKey;
+    do {
+        const result = await ddbDocClient.send(new QueryCommand({ ...query, ExclusiveStartKey: lastKey }));
+        count += result.Count || 0;
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey);
+
+    return count;
+};
+
+// ===================================================================
+// PER-PAGE PROCESSING
+// ===================================================================
+
+/**
+ * Re-parse one cached page and (in SAVE mode) re-save it
+ *
+ * @returns {object} { outcome, change, error }
+ *   outcome: UNCHANGED | CHANGED | NEW | SKIPPED | PARSE_ERROR | SAVE_ERROR
+ */
+const reparseScrapeURL = async (scrapeURL, task, shared, context) => {
+    const { ddbDocClient, getTableName } = context;
+    const { mode, taskId } = task;
+
+    const s3Result = await getHtmlFromS3(scrapeURL.latestS3Key, context);
+    if (!s3Result?.html) {
+        return { outcome: 'PARSE_ERROR', error: `No HTML in S3 at ${scrapeURL.latestS3Key}` };
+    }
+
+    const { data: parsed } = parseHtml(s3Result.html, {
+        url: scrapeURL.url,
+        venues: shared.venues,
+        forceRefresh: true,
+        strategyName: shared.scraperStrategy,
+        selectorMap: shared.scraperSelectorMap
+    });
+
+    if (!parsed.tournamentId) parsed.tournamentId = scrapeURL.tournamentId;
+
+    const effectiveStatus = parsed.scrapeStatus || parsed.gameStatus;
+    if (SKIP_SAVE_STATUSES.includes(effectiveStatus) || SKIP_SAVE_STATUSES.includes(parsed.gameStatus)) {
+        return { outcome: 'SKIPPED' };
+    }
+
+    let game = null;
+    if (scrapeURL.gameId) {
+        const gameResult = await ddbDocClient.send(new GetCommand({
+            TableName: getTableName('Game'),
+            Key: { id: scrapeURL.gameId }
+        }));
+        game = gameResult.Item || null;
+    }
+
+    const diffs = game ? diffGameFields(game, parsed) : [];
+    if (game && diffs.length === 0) {
+        return { outcome: 'UNCHANGED' };
+    }
+
+    const change = {
+        tournamentId: scrapeURL.tournamentId,
+        gameId: game?.id || null,
+        url: scrapeURL.url,
+        status: game ? 'CHANGED' : 'NEW',
+        diffs
+    };
+
+    if (mode === 'SAVE') {
+        try {
+            const saveResult = await handleSave({
+                sourceUrl: scrapeURL.url,
+                venueId: game?.venueId || null,
+                data: { ...parsed, s3Key: scrapeURL.latestS3Key },
+                existingGameId: game?.id || null,
+                doNotScrape: parsed.doNotScrape || false,
+                entityId: task.entityId,
+                scraperJobId: `REPARSE_${taskId}`
+            }, context);
+            change.savedGameId = saveResult.id;
+            change.saveAction = saveResult.action;
+        } catch (error) {
+            return { outcome: 'SAVE_ERROR', change, error: error.message };
+        }
+    }
+
+    return { outcome: change.status, change };
+};
+
+/**
+ * Fold one page outcome into the running task result
+ */
+const recordOutcome = (result, scrapeURL, { outcome, change, error }) => {
+    result.scanned++;
+
+    switch (outcome) {
+        case 'UNCHANGED': result.unchanged++; break;
+        case 'SKIPPED': result.skipped++; break;
+        case 'PARSE_ERROR': result.parseErrors++; break;
+        case 'CHANGED': result.changed++; break;
+        case 'NEW': result.newGames++; break;
+        case 'SAVE_ERROR': result.saveErrors++; break;
+        default: break;
+    }
+
+    if (change) {
+        if (result.mode === 'SAVE' && outcome !== 'SAVE_ERROR') result.saved++;
+        change.diffs.forEach(({ field }) => {
+            result.fieldChangeCounts[field] = (result.fieldChangeCounts[field] || 0) + 1;
+        });
+        if (result.changes.length < MAX_STORED_CHANGES) {
+            result.changes.push(change);
+        }
+    }
+
+    if (error && result.errors.length < MAX_STORED_ERRORS) {
+        result.errors.push({ tournamentId: scrapeURL.tournamentId, url: scrapeURL.url, error });
+    }
+};
+
+// ===================================================================
+// HANDLERS
+// ===================================================================
+
+/**
+ * Start (or resume) a bulk re-parse task
+ *
+ * @param {object} input - StartBulkReparseInput
+ * @param {object} context - Shared context
+ * @returns {object} BulkReparseResult
+ */
+const handleStartBulkReparse = async (input, context) => {
+    const { ddbDocClient, getTableName } = context;
+    const {
+        entityId,
+        mode = 'PREVIEW',
+        startTournamentId = null,
+        endTournamentId = null,
+        scrapedFrom = null,
+        scrapedTo = null,
+        resumeTaskId = null,
+        initiatedBy = null
+    } = input;
+
+    // Resume an interrupted task from its cursor
+    if (resumeTaskId) {
+        const task = await getTask(resumeTaskId, context);
+        if (!task) {
+            return { success: false, status: 'FAILED', message: `Task ${resumeTaskId} not found` };
+        }
+        if (task.status === 'COMPLETED') {
+            return { success: false, status: task.status, message: 'Task already completed', taskId: task.id };
+        }
+
+        await updateTask(task.id, { status: 'RUNNING', errorMessage: null }, context);
+        await invokeContinuation(task.id, task.entityId, context);
+
+        console.log(`[ReparseHandler] Resumed task ${task.id}`);
+        return {
+            success: true,
+            status: 'RUNNING',
+            message: `Resumed at ${task.processedCount || 0}/${task.targetCount || 0}`,
+            taskId: task.id,
+            targetCount: task.targetCount
+        };
+    }
+
+    if (!entityId) {
+        throw new Error('entityId is required for startBulkReparse');
+    }
+    if (!['PREVIEW', 'SAVE'].includes(mode)) {
+        throw new Error(`Invalid bulk re-parse mode: ${mode}`);
+    }
+
+    const scope = { entityId, startTournamentId, endTournamentId, scrapedFrom, scrapedTo };
+    const targetCount = await countPagesInScope(scope, context);
+
+    if (targetCount === 0) {
+        return { success: true, status: 'COMPLETED', message: 'No cached pages in scope', targetCount: 0 };
+    }
+
+    const taskId = randomUUID();
+    const now = new Date().toISOString();
+
+    await ddbDocClient.send(new PutCommand({
+        TableName: getTableName('BackgroundTask'),
+        Item: {
+            id: taskId,
+            entityId,
+            taskType: 'BULK_REPARSE',
+            status: 'QUEUED',
+            targetType: 'ScrapeURL',
+            targetCount,
+            payload: JSON.stringify({ mode, scope, cursor: null }),
+            processedCount: 0,
+            progressPercent: 0,
+            result: JSON.stringify(emptyResult(mode)),
+            initiatedBy: initiatedBy || 'SYSTEM',
+            createdAt: now,
+            updatedAt: now,
+            _version: 1,
+            _lastChangedAt: Date.now(),
+            __typename: 'BackgroundTask'
+        }
+    }));
+
+    await invokeContinuation(taskId, entityId, context);
+
+    console.log(`[ReparseHandler] Started ${mode} task ${taskId} for ${targetCount} cached pages`);
+    return {
+        success: true,
+        status: 'QUEUED',
+        message: `Queued re-parse of ${targetCount} cached pages`,
+        taskId,
+        targetCount
+    };
+};
+
+/**
+ * Process a bulk re-parse task until time runs out, then continue async
+ *
+ * @param {object} args - { taskId }
+ * @param {object} context - Shared context (getRemainingTimeInMillis from the Lambda context)
+ * @returns {object} { taskId, status, processedCount }
+ */
+const handleProcessBulkReparse = async ({ taskId }, context) => {
+    const { ddbDocClient } = context;
+    const remainingMs = context.getRemainingTimeInMillis || (() => Infinity);
+
+    const task = await getTask(taskId, context);
+    if (!task) {
+        throw new Error(`Bulk re-parse task ${taskId} not found`);
+    }
+    if (['COMPLETED', 'CANCELLED', 'FAILED'].includes(task.status)) {
+        console.log(`[ReparseHandler] Task ${taskId} is ${task.status} - nothing to do`);
+        return { taskId, status: task.status, processedCount: task.processedCount || 0 };
+    }
+
+    const payload = parseJson(task.payload, {});
+    const { mode, scope } = payload;
+    let cursor = payload.cursor || { startKey: null, offset: 0 };
+    const result = { ...emptyResult(mode), ...parseJson(task.result, {}) };
+    let processedCount = task.processedCount || 0;
+
+    await updateTask(taskId, {
+        status: 'RUNNING',
+        startedAt: task.startedAt || new Date().toISOString()
+    }, context);
+
+    const { scraperStrategy, scraperSelectorMap } = await getEntityScraperConfig(task.entityId, context);
+    const shared = {
+        venues: await getAllVenues(context),
+        scraperStrategy,
+        scraperSelectorMap
+    };
+    const taskInfo = { taskId, mode, entityId: task.entityId };
+    const query = { ...buildScopeQuery(scope, context), Limit: PAGE_SIZE };
+
+    const saveProgress = async (extra = {}) => {
+        await updateTask(taskId, {
+            processedCount,
+            progressPercent: task.targetCount ? Math.min(100, (processedCount / task.targetCount) * 100) : 0,
+            payload: JSON.stringify({ mode, scope, cursor }),
+            result: JSON.stringify(result),
+            ...extra
+        }, context);
+    };
+
+    try {
+        while (true) {
+            const page = await ddbDocClient.send(new QueryCommand({
+                ...query,
+                ExclusiveStartKey: cursor.startKey || undefined
+            }));
+            const items = page.Items || [];
+
+            for (let i = cursor.offset; i < items.length; i++) {
+                if (remainingMs() < TIME_RESERVE_MS) {
+                    cursor = { startKey: cursor.startKey, offset: i };
+                    await saveProgress();
+                    await invokeContinuation(taskId, task.entityId, context);
+                    console.log(`[ReparseHandler] Task ${taskId} continuing async at ${processedCount}/${task.targetCount}`);
+                    return { taskId, status: 'RUNNING', processedCount };
+                }
+
+                const scrapeURL = items[i];
+                let outcome;
+                try {
+                    outcome = await reparseScrapeURL(scrapeURL, taskInfo, shared, context);
+                } catch (error) {
+                    outcome = { outcome: 'PARSE_ERROR', error: error.message };
+                }
+                recordOutcome(result, scrapeURL, outcome);
+                processedCount++;
+            }
+
+            if (!page.LastEvaluatedKey) break;
+            cursor = { startKey: page.LastEvaluatedKey, offset: 0 };
+
+            // Checkpoint between pages and honour cancellation
+            await saveProgress();
+            const latest = await getTask(taskId, context);
+            if (latest?.status === 'CANCELLED') {
+                console.log(`[ReparseHandler] Task ${taskId} cancelled at ${processedCount}/${task.targetCount}`);
+                return { taskId, status: 'CANCELLED', processedCount };
+            }
+        }
+
+        const hadErrors = result.parseErrors > 0 || result.saveErrors > 0;
+        await saveProgress({
+            status: hadErrors ? 'PARTIAL_SUCCESS' : 'COMPLETED',
+            progressPercent: 100,
+            completedAt: new Date().toISOString()
+        });
+
+        console.log(`[ReparseHandler] Task ${taskId} finished: ${result.changed} changed, ${result.newGames} new, ${result.unchanged} unchanged`);
+        return { taskId, status: hadErrors ? 'PARTIAL_SUCCESS' : 'COMPLETED', processedCount };
+
+    } catch (error) {
+        console.error(`[ReparseHandler] Task ${taskId} failed:`, error);
+        await saveProgress({ status: 'FAILED', errorMessage: error.message });
+        throw error;
+    }
+};
+
+module.exports = {
+    REPARSE_DIFF_FIELDS,
+    diffGameFields,
+    handleStartBulkReparse,
+    handleProcessBulkReparse
+};
@@ -1,13 +1,15 @@
 /**
  * ===================================================================
- * Save Handler (v2.2.0)
+ * Save Handler (v2.3.0)
  * ===================================================================
  * 
  * PASSTHROUGH to gameDataEnricher Lambda (with saveToDatabase: true).
  * 
- * VERSION: 2.2.0
+ * VERSION: 2.3.0
  * 
  * CHANGELOG:
+ * - v2.3.0: Pass the scheduled breaks through with the levels; the enricher's
+ *           entry timeline needs both to work out the level at scrape time
  * - v2.2.0: Skip saving NOT _IN_USE and NOT_PUBLISHED tournaments
  *           These are empty slots or hidden tournaments - no Game record needed
  *           ScrapeURL tracks them for re-checking later
@@ -214,6 +216,7 @@ const handleSave = async (options, context) => {
             gameEndDateTime: parsedData.gameEndDateTime ? ensureISODate(parsedData.gameEndDateTime) : null,
             registrationStatus: parsedData.registrationStatus || null,
             gameFrequency: parsedData.gameFrequency || null,
+            currency: parsedData.currency || null,
             buyIn: parsedData.buyIn || 0,
             rake: parsedData.rake || 0,
             startingStack: parsedData.startingStack || 0,
@@ -244,6 +247,7 @@ const handleSave = async (options, context) => {
             seriesName: parsedData.seriesName || null,
             gameTags: parsedData.gameTags || [],
             levels: parsedData.levels || [],
+            breaks: parsedData.breaks || [],
             isMainEvent: parsedData.isMainEvent || false,
             eventNumber: parsedData.eventNumber || null,
             dayNumber: parsedData.dayNumber || null,
@@ -3,9 +3,15 @@
  * webScraperFunction - Entry Point
  * ===================================================================
  * 
- * VERSION: 2.2.0
+ * VERSION: 2.4.0
  * 
  * CHANGELOG:
+ * - v2.4.0: Added skipUnchanged option passthrough to fetch handler
+ *           Live pages whose meaningful regions match the last saved parse
+ *           return skipped/UNCHANGED without parsing
+ * - v2.3.0: Added startBulkReparse / processBulkReparse (handlers/reparse-handler.js)
+ *           Resumable BackgroundTask that re-parses all cached S3 pages for an
+ *           entity, previews Game field changes and optionally re-saves
  * - v2.2.0: Added saveAfterFetch option passthrough to fetch handler
  *           This enables refreshRunningGames to fetch AND save in one call
  *           When saveAfterFetch=true, fetch-handler auto-invokes save-handler
@@ -33,12 +39,15 @@
  * - S3Storage: Metadata about cached HTML files
  * - ScrapeAttempt: Audit log of scrape attempts
  * - ScrapeStructure: HTML structure fingerprinting
+ * - ScrapeDriftState / ScrapeDriftAlert: Structure drift alerting
+ * - BackgroundTask: Bulk re-parse progress
  * 
  * OPERATIONS:
  * - fetchTournamentData: Fetch + parse a single tournament (+ optional save)
  * - saveTournamentData: Passthrough to gameDataEnricher Lambda
  * - fetchTournamentDataRange: Batch fetch multiple tournaments
  * - reScrapeFromCache: Re-parse existing S3 HTML with new strategies
+ * - startBulkReparse: Bulk re-parse of cached HTML (preview diff or re-save)
  * 
  * ===================================================================
  */
@@ -56,6 +65,7 @@ const { getTableName } = require('./config/tables');
 const { handleFetch } = require('./handlers/fetch-handler');
 const { handleSave } = require('./handlers/save-handler');
 const { handleFetchRange } = require('./handlers/range-handler');
+const { handleStartBulkReparse, handleProcessBulkReparse } = require('./handlers/reparse-handler');
 
 // Initialize AWS clients (shared across invocations)
 const ddbClient = new DynamoDBClient({});
@@ -66,7 +76,7 @@ const lambdaClient = new LambdaClient({});
 /**
  * Main Lambda Handler
  */
-exports.handler = async (event) => {
+exports.handler = async (event, lambdaContext) => {
     const handlerStartTime = Date.now();
     
     // Build shared context object (no monitoring wrapper)
@@ -74,7 +84,10 @@ exports.handler = async (event) => {
         ddbDocClient,
         s3Client,
         lambdaClient,
-        getTableName
+        getTableName,
+        getRemainingTimeInMillis: lambdaContext?.getRemainingTimeInMillis
+            ? () => lambdaContext.getRemainingTimeInMillis()
+            : null
     };
     
     try {
@@ -86,7 +99,7 @@ exports.handler = async (event) => {
         // Resolve entity ID early (needed for all operations)
         const urlEntityId = args.url ? await getEntityIdFromUrl(args.url, context) : null;
         const entityId = resolveEntityId(
-            args.entityId,
+            args.entityId || args.input?.entityId,
             urlEntityId,
             null,
             `handler(${fieldName})`
@@ -100,7 +113,9 @@ exports.handler = async (event) => {
             scraperJobId: args.scraperJobId || args.jobId || "MANUAL_RUN",
             scraperApiKey: args.scraperApiKey || process.env.SCRAPERAPI_KEY || null,
             // v2.2.0: New saveAfterFetch option for auto-save after fetch
-            saveAfterFetch: args.saveAfterFetch || false
+            saveAfterFetch: args.saveAfterFetch || false,
+            // v2.4.0: Change-detection fast path
+            skipUnchanged: args.skipUnchanged || false
         };
         
         console.log(`[Handler] v2.2.0 Operation: ${fieldName}, EntityId: ${entityId}, saveAfterFetch: ${options.saveAfterFetch}`);
@@ -207,6 +222,28 @@ exports.handler = async (event) => {
                 }, context);
             }
             
+            // ═══════════════════════════════════════════════════════════════════
+            // BULK RE-PARSE: Re-parse cached HTML for an entity (v2.3.0)
+            // processBulkReparse is internal - invoked async by the task itself
+            // ═══════════════════════════════════════════════════════════════════
+            case 'startBulkReparse': {
+                const input = args.input || args;
+                
+                return await handleStartBulkReparse({
+                    ...input,
+                    entityId: input.resumeTaskId ? input.entityId : entityId,
+                    initiatedBy: input.initiatedBy || identity?.username || null
+                }, context);
+            }
+            
+            case 'processBulkReparse': {
+                if (!args.taskId) {
+                    throw new Error('taskId is required for processBulkReparse');
+                }
+                
+                return await handleProcessBulkReparse({ taskId: args.taskId }, context);
+            }
+            
             // ═══════════════════════════════════════════════════════════════════
             // UNKNOWN OPERATION
             // ═══════════════════════════════════════════════════════════════════
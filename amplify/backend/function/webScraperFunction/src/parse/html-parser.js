@@ -8,7 +8,12 @@
  * 
  * Extracted from: scraperStrategies.js
  * 
- * UPDATED: v2.4.0
+ * UPDATED: v2.5.0
+ * - Added getCurrency hook: sets currency only when the page states it
+ *   (A$, NZ$, US$, £, €, or an ISO code). A bare "$" is left unset so
+ *   gameDataEnricher falls back to the venue / entity currency.
+ * 
+ * v2.4.0:
  * - CRITICAL FIX: Added CAPTCHA/bot block detection
  *   - ScraperAPI can return security challenge pages instead of actual content
  *   - Detects SiteGround sgcaptcha, Cloudflare challenges, and similar
@@ -268,6 +273,35 @@ class ScrapeContext {
     }
 }
 
+// ===================================================================
+// CURRENCY DETECTION
+// ===================================================================
+
+// Checked in order - prefixed dollars before any plain-symbol rules
+const CURRENCY_PATTERNS = [
+    { currency: 'AUD', pattern: /\b(?:AU?\$|AUD\b)/i },
+    { currency: 'NZD', pattern: /\b(?:NZ\$|NZD\b)/i },
+    { currency: 'USD', pattern: /\b(?:US\$|USD\b)/i },
+    { currency: 'SGD', pattern: /\b(?:S\$|SGD\b)/i },
+    { currency: 'HKD', pattern: /\b(?:HK\$|HKD\b)/i },
+    { currency: 'CAD', pattern: /\b(?:CA?\$|CAD\b)/i },
+    { currency: 'GBP', pattern: /£|\bGBP\b/i },
+    { currency: 'EUR', pattern: /€|\bEUR\b/i },
+    { currency: 'JPY', pattern: /¥|\bJPY\b/i },
+    { currency: 'PHP', pattern: /₱|\bPHP\b/ },
+];
+
+/**
+ * Detect an explicitly stated currency in page text
+ * @param {string} text
+ * @returns {string|null} ISO 4217 code, or null for a bare "$" / no symbol
+ */
+const detectCurrency = (text) => {
+    if (!text) return null;
+    const match = CURRENCY_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return match ? match.currency : null;
+};
+
 /**
  * Default parsing strategy
  */
@@ -939,6 +973,34 @@ const defaultStrategy = {
         }
     },
     
+    /**
+     * Currency the amounts are in - only when the page states it
+     */
+    getCurrency(ctx) {
+        if (ctx.data.scrapeStatus === 'NOT_FOUND') return;
+        
+        const explicit = ctx.gameData?.currency || ctx.gameData?.costspb0?.currency;
+        if (typeof explicit === 'string' && /^[A-Za-z]{3}$/.test(explicit.trim())) {
+            ctx.add('currency', explicit.trim().toUpperCase());
+            return;
+        }
+        
+        const textSources = [
+            ctx.$('#cw_clock_buyin').first().text(),
+            ctx.$('.cw-game-buyins').first().text(),
+            ctx.data.name,
+            ctx.$('.cw-game-shortdesc').first().text()
+        ];
+        
+        for (const text of textSources) {
+            const currency = detectCurrency(text);
+            if (currency) {
+                ctx.add('currency', currency);
+                return;
+            }
+        }
+    },
+    
     /**
      * Detect guarantee and extract amount
      */
@@ -1422,5 +1484,6 @@ module.exports = {
     parseHHMMSSToSeconds,
     getStatusAndReg,
     detectBotBlock,  // NEW v2.4.0
+    detectCurrency,  // NEW v2.5.0
     VARIANT_MAPPING
 };
\ No newline at end of file
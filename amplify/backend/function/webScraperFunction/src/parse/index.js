@@ -12,6 +12,12 @@
  * - Updated getName call to not use seriesMatchFn
  * - Added getClassification() call for new multi-dimensional taxonomy
  * 
+ * UPDATED: v2.2.0
+ * - Hooks are now called on a strategy picked by strategy-registry
+ *   (Entity.scraperStrategy -> platform detection -> DEFAULT)
+ * - Simple numeric/text fields can be overridden per entity with a
+ *   declarative selector map (Entity.scraperSelectorMap, see selector-map.js)
+ * 
  * NOTE: Series detection (isSeries, seriesName, tournamentSeriesId, dayNumber, 
  * flightLetter, eventNumber, etc.) is now handled by gameDataEnricher's 
  * series-resolver module. The scraper only extracts the raw tournament name.
@@ -19,7 +25,9 @@
  * ===================================================================
  */
 
-const { ScrapeContext, defaultStrategy, getTournamentIdFromUrl } = require('./html-parser');
+const { ScrapeContext, getTournamentIdFromUrl } = require('./html-parser');
+const { resolveStrategy, registerStrategy, listStrategies } = require('./strategy-registry');
+const { normalizeSelectorMap, runMappedHook } = require('./selector-map');
 const { matchVenue, getAllVenues } = require('./venue-matcher');
 // NOTE: series-matcher import removed - series detection now in gameDataEnricher
 const { processStructureFingerprint, generateStructureLabel } = require('./structure-fingerprint');
@@ -32,74 +40,92 @@ const { processStructureFingerprint, generateStructureLabel } = require('./struc
  * @param {string} options.url - Source URL
  * @param {array} options.venues - Venue list for matching
  * @param {boolean} options.forceRefresh - Force parse even on abort conditions
- * @returns {object} { data, foundKeys }
+ * @param {string} options.strategyName - Configured parsing strategy (Entity.scraperStrategy)
+ * @param {object|string} options.selectorMap - Field selector overrides (Entity.scraperSelectorMap)
+ * @returns {object} { data, foundKeys, strategyName, selectorFields }
  */
 const parseHtml = (html, options = {}) => {
     const {
         url = null,
         venues = [],
-        forceRefresh = false
+        forceRefresh = false,
+        strategyName = null,
+        selectorMap = null
     } = options;
     
     // Create parsing context
     const ctx = new ScrapeContext(html, url);
+    const { name: resolvedStrategyName, strategy, source } = resolveStrategy(ctx, strategyName);
     
     console.log(`[ParseOrchestrator] Starting parse for tournament ${ctx.data.tournamentId}, forceRefresh: ${forceRefresh}`);
+    console.log(`[ParseOrchestrator] Strategy: ${resolvedStrategyName} (${source})`);
+    
+    // Selector map fields take precedence; the strategy getter is the fallback
+    const fieldSelectors = normalizeSelectorMap(selectorMap);
+    const selectorFields = [];
+    const runMapped = (hookName) => {
+        const { field, source: fieldSource } = runMappedHook(ctx, strategy, hookName, fieldSelectors);
+        if (fieldSource === 'SELECTOR') selectorFields.push(field);
+    };
+    
     console.log(`[ParseOrchestrator] Reference data: ${venues.length} venues`);
     
     // Step 1: Detect page state (not found, not published, etc.)
-    defaultStrategy.detectPageState(ctx, forceRefresh);
+    strategy.detectPageState(ctx, forceRefresh);
     
     if (ctx.abortScrape) {
         console.log(`[ParseOrchestrator] Aborting - page state: ${ctx.data.gameStatus}`);
         return {
             data: ctx.data,
-            foundKeys: Array.from(ctx.foundKeys)
+            foundKeys: Array.from(ctx.foundKeys),
+            strategyName: resolvedStrategyName,
+            selectorFields
         };
     }
     
     // Step 2: Initialize defaults and extract basic data
-    defaultStrategy.initializeDefaultFlags(ctx);
+    strategy.initializeDefaultFlags(ctx);
     
     // Step 3: Get name (series detection now handled by gameDataEnricher)
-    defaultStrategy.getName(ctx);
-    defaultStrategy.detectGameType(ctx);
+    strategy.getName(ctx);
+    strategy.detectGameType(ctx);
     
     // Step 4: Extract tournament details
-    defaultStrategy.getGameTags(ctx);
-    defaultStrategy.getTournamentType(ctx);
-    defaultStrategy.getGameStartDateTime(ctx);
-    defaultStrategy.getStatus(ctx);
-    defaultStrategy.getRegistrationStatus(ctx);
-    defaultStrategy.getGameVariant(ctx);
+    strategy.getGameTags(ctx);
+    strategy.getTournamentType(ctx);
+    strategy.getGameStartDateTime(ctx);
+    strategy.getStatus(ctx);
+    strategy.getRegistrationStatus(ctx);
+    strategy.getGameVariant(ctx);
     
     // Step 4b: Extract classification fields (multi-dimensional taxonomy)
     // Must be called AFTER getGameVariant() and getTournamentType() since it uses those values
-    defaultStrategy.getClassification(ctx);
+    strategy.getClassification(ctx);
     
     // Step 5: Extract financial data
-    defaultStrategy.getPrizepoolPaid(ctx);
-    defaultStrategy.getTotalUniquePlayers(ctx);
-    defaultStrategy.getTotalInitialEntries(ctx);
-    defaultStrategy.getTotalRebuys(ctx);
-    defaultStrategy.getTotalAddons(ctx);
-    defaultStrategy.getTotalEntries(ctx);
-    defaultStrategy.getTotalDuration(ctx);
-    defaultStrategy.getBuyIn(ctx);
-    defaultStrategy.getRake(ctx);
-    defaultStrategy.getStartingStack(ctx);
-    defaultStrategy.getGuarantee(ctx);
+    runMapped('getPrizepoolPaid');
+    runMapped('getTotalUniquePlayers');
+    strategy.getTotalInitialEntries(ctx);
+    runMapped('getTotalRebuys');
+    runMapped('getTotalAddons');
+    runMapped('getTotalEntries');
+    runMapped('getTotalDuration');
+    runMapped('getBuyIn');
+    runMapped('getRake');
+    runMapped('getStartingStack');
+    runMapped('getGuarantee');
+    strategy.getCurrency(ctx);
     
     // Step 6: Extract player and table data
-    defaultStrategy.getTournamentFlags(ctx);
-    defaultStrategy.getGameFrequency(ctx);
-    defaultStrategy.getSeating(ctx);
-    defaultStrategy.getEntries(ctx);
-    defaultStrategy.getLiveData(ctx);
-    defaultStrategy.getResults(ctx);
-    defaultStrategy.getTables(ctx);
-    defaultStrategy.getLevels(ctx);
-    defaultStrategy.getBreaks(ctx);
+    strategy.getTournamentFlags(ctx);
+    strategy.getGameFrequency(ctx);
+    strategy.getSeating(ctx);
+    strategy.getEntries(ctx);
+    strategy.getLiveData(ctx);
+    strategy.getResults(ctx);
+    strategy.getTables(ctx);
+    strategy.getLevels(ctx);
+    strategy.getBreaks(ctx);
     
     // Step 7: Venue matching
     if (ctx.data.name) {
@@ -111,7 +137,7 @@ const parseHtml = (html, options = {}) => {
     }
     
     // Step 8: Calculate economics
-    defaultStrategy.calculatePokerEconomics(ctx);
+    strategy.calculatePokerEconomics(ctx);
     
     // Step 9: Generate structure label
     const foundKeys = Array.from(ctx.foundKeys);
@@ -122,7 +148,9 @@ const parseHtml = (html, options = {}) => {
     
     return {
         data: ctx.data,
-        foundKeys
+        foundKeys,
+        strategyName: resolvedStrategyName,
+        selectorFields
     };
 };
 
@@ -131,15 +159,17 @@ const parseHtml = (html, options = {}) => {
  * Used when we just need basic status info
  * 
  * @param {string} html - HTML content
+ * @param {string} strategyName - Configured parsing strategy (optional)
  * @returns {object} { gameStatus, registrationStatus, tournamentId }
  */
-const parseStatusOnly = (html) => {
+const parseStatusOnly = (html, strategyName = null) => {
     const ctx = new ScrapeContext(html);
-    defaultStrategy.detectPageState(ctx, false);
+    const { strategy } = resolveStrategy(ctx, strategyName);
+    strategy.detectPageState(ctx, false);
     
     if (!ctx.abortScrape) {
-        defaultStrategy.getStatus(ctx);
-        defaultStrategy.getRegistrationStatus(ctx);
+        strategy.getStatus(ctx);
+        strategy.getRegistrationStatus(ctx);
     }
     
     return {
@@ -181,6 +211,8 @@ module.exports = {
     // NOTE: series functions removed - now in gameDataEnricher's series-resolver
     processStructureFingerprint,
     generateStructureLabel,
+    registerStrategy,
+    listStrategies,
     
     // Utilities
     getTournamentIdFromUrl,
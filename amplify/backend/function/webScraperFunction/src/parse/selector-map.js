@@ -0,0 +1,204 @@
+/**
+ * ===================================================================
+ * Declarative Selector Map
+ * ===================================================================
+ *
+ * Interprets a per-entity JSON selector map (Entity.scraperSelectorMap)
+ * so simple "find this selector, parse a value" fields can be fixed
+ * from the Scraper Admin Settings tab without a Lambda deploy.
+ *
+ * FORMAT:
+ * {
+ *   "buyIn":         { "selector": "#cw_clock_buyin", "transform": "currency" },
+ *   "totalDuration": { "selector": ".total-time", "transform": "duration" },
+ *   "guaranteeAmount": { "selector": ".gtd", "transform": "currency", "pattern": "\\$([\\d,]+)" },
+ *   "startingStack": { "selector": "[data-chips]", "attribute": "data-chips", "transform": "integer" }
+ * }
+ *
+ * - selector:  CSS selector (first match is used)
+ * - transform: currency | integer | number | duration | text (default: text)
+ * - attribute: read this attribute instead of the element text (optional)
+ * - pattern:   regex applied to the raw value; first capture group is used (optional)
+ *
+ * A mapped field that doesn't match anything falls back to the strategy's
+ * code getter, so a bad selector never loses data the getter could find.
+ *
+ * ===================================================================
+ */
+
+const { parseDurationToMilliseconds, parseHHMMSSToSeconds } = require('./html-parser');
+
+/**
+ * Fields that may be configured, and the strategy hook each one replaces
+ */
+const SELECTOR_MAP_FIELDS = {
+    prizepoolPaid: 'getPrizepoolPaid',
+    totalUniquePlayers: 'getTotalUniquePlayers',
+    totalRebuys: 'getTotalRebuys',
+    totalAddons: 'getTotalAddons',
+    totalEntries: 'getTotalEntries',
+    totalDuration: 'getTotalDuration',
+    buyIn: 'getBuyIn',
+    rake: 'getRake',
+    startingStack: 'getStartingStack',
+    guaranteeAmount: 'getGuarantee'
+};
+
+/**
+ * Value transforms - each returns null when the value can't be parsed
+ */
+const TRANSFORMS = {
+    text: (raw) => raw || null,
+
+    integer: (raw) => {
+        const num = parseInt(raw.replace(/[^0-9.-]+/g, ''), 10);
+        return isNaN(num) ? null : num;
+    },
+
+    number: (raw) => {
+        const num = parseFloat(raw.replace(/[^0-9.-]+/g, ''));
+        return isNaN(num) ? null : num;
+    },
+
+    /** "$1,500", "$5K", "$1.2M" -> 1500, 5000, 1200000 */
+    currency: (raw) => {
+        const match = raw.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KM])?\b/i);
+        if (!match) return null;
+        const multiplier = { K: 1000, M: 1000000 }[(match[2] || '').toUpperCase()] || 1;
+        return Math.round(parseFloat(match[1]) * multiplier);
+    },
+
+    /** "02:30:00" or "2h 30m" -> seconds */
+    duration: (raw) => {
+        const trimmed = raw.trim();
+        if (/^\d{1,2}:\d{2}:\d{2}$/.test(trimmed)) {
+            return parseHHMMSSToSeconds(trimmed);
+        }
+        const ms = parseDurationToMilliseconds(trimmed);
+        return ms > 0 ? Math.floor(ms / 1000) : null;
+    }
+};
+
+/**
+ * Normalize a selector map from the Entity record
+ * AWSJSON arrives as a string; unknown fields and entries without a selector are dropped.
+ *
+ * @param {string|object|null} rawMap - Entity.scraperSelectorMap
+ * @returns {object} Clean selector map (may be empty)
+ */
+const normalizeSelectorMap = (rawMap) => {
+    if (!rawMap) return {};
+
+    let map = rawMap;
+    if (typeof rawMap === 'string') {
+        try {
+            map = JSON.parse(rawMap);
+        } catch (error) {
+            console.warn(`[SelectorMap] Invalid selector map JSON: ${error.message}`);
+            return {};
+        }
+    }
+
+    if (typeof map !== 'object' || Array.isArray(map)) return {};
+
+    const normalized = {};
+    for (const [field, config] of Object.entries(map)) {
+        if (!SELECTOR_MAP_FIELDS[field]) {
+            console.warn(`[SelectorMap] Ignoring unsupported field "${field}"`);
+            continue;
+        }
+        if (!config || typeof config.selector !== 'string' || !config.selector.trim()) continue;
+
+        const transform = (config.transform || 'text').toLowerCase();
+        if (!TRANSFORMS[transform]) {
+            console.warn(`[SelectorMap] Ignoring "${field}" - unknown transform "${config.transform}"`);
+            continue;
+        }
+
+        normalized[field] = {
+            selector: config.selector.trim(),
+            transform,
+            attribute: config.attribute || null,
+            pattern: config.pattern || null
+        };
+    }
+
+    return normalized;
+};
+
+/**
+ * Resolve a single mapped field against the page
+ *
+ * @param {ScrapeContext} ctx - Parsing context
+ * @param {string} field - Data key (e.g. buyIn)
+ * @param {object} config - Normalized field config
+ * @returns {boolean} True if a value was found and added to ctx
+ */
+const applySelectorField = (ctx, field, config) => {
+    if (!config) return false;
+
+    let raw;
+    try {
+        const $el = ctx.$(config.selector).first();
+        if (!$el.length) return false;
+        raw = config.attribute ? $el.attr(config.attribute) : $el.text();
+    } catch (error) {
+        console.warn(`[SelectorMap] Selector failed for ${field} ("${config.selector}"): ${error.message}`);
+        return false;
+    }
+
+    if (!raw || !raw.trim()) return false;
+    raw = raw.trim();
+
+    if (config.pattern) {
+        try {
+            const match = raw.match(new RegExp(config.pattern, 'i'));
+            if (!match) return false;
+            raw = match[1] !== undefined ? match[1] : match[0];
+        } catch (error) {
+            console.warn(`[SelectorMap] Invalid pattern for ${field}: ${error.message}`);
+            return false;
+        }
+    }
+
+    const value = TRANSFORMS[config.transform](raw);
+    if (value === null || value === undefined) return false;
+
+    ctx.add(field, value);
+    if (field === 'guaranteeAmount' && value > 0) {
+        ctx.add('hasGuarantee', true);
+    }
+
+    return true;
+};
+
+/**
+ * Run a strategy hook, preferring the configured selector for its field
+ *
+ * @param {ScrapeContext} ctx - Parsing context
+ * @param {object} strategy - Parsing strategy
+ * @param {string} hookName - Strategy hook (e.g. getBuyIn)
+ * @param {object} selectorMap - Normalized selector map
+ * @returns {object} { field, source } - source is 'SELECTOR' or 'CODE'
+ */
+const runMappedHook = (ctx, strategy, hookName, selectorMap) => {
+    const field = Object.keys(SELECTOR_MAP_FIELDS).find(key => SELECTOR_MAP_FIELDS[key] === hookName);
+
+    if (field && selectorMap[field] && ctx.data.scrapeStatus !== 'NOT_FOUND') {
+        if (applySelectorField(ctx, field, selectorMap[field])) {
+            return { field, source: 'SELECTOR' };
+        }
+        console.log(`[SelectorMap] No match for ${field} ("${selectorMap[field].selector}"), using ${hookName}`);
+    }
+
+    strategy[hookName](ctx);
+    return { field, source: 'CODE' };
+};
+
+module.exports = {
+    SELECTOR_MAP_FIELDS,
+    TRANSFORMS,
+    normalizeSelectorMap,
+    applySelectorField,
+    runMappedHook
+};
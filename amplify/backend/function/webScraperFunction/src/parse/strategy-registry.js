@@ -0,0 +1,143 @@
+/**
+ * ===================================================================
+ * Parsing Strategy Registry
+ * ===================================================================
+ *
+ * Keeps track of the parsing strategies available to the parse
+ * orchestrator and picks one for each page.
+ *
+ * A strategy is an object implementing the same hooks as
+ * `defaultStrategy` in html-parser.js (detectPageState, getName,
+ * getBuyIn, getResults, getLevels, ...). Strategies are normally built
+ * with createStrategy(), which falls back to defaultStrategy for any
+ * hook the new strategy doesn't override - so a strategy for a new
+ * club website only needs to implement the hooks whose markup differs.
+ *
+ * SELECTION ORDER (resolveStrategy):
+ * 1. Entity config (Entity.scraperStrategy) if it names a registered strategy
+ * 2. Platform detection - first registered strategy whose detect(ctx) is true
+ * 3. DEFAULT strategy
+ *
+ * ===================================================================
+ */
+
+const { defaultStrategy } = require('./html-parser');
+
+/** Name of the built-in strategy (cw-* tournament clock markup) */
+const DEFAULT_STRATEGY_NAME = 'DEFAULT';
+
+/**
+ * Registered strategies, in registration order
+ * name -> { name, strategy, detect }
+ */
+const strategies = new Map();
+
+/**
+ * Build a strategy from a partial set of hooks
+ * Hooks that aren't provided fall back to defaultStrategy.
+ *
+ * @param {object} overrides - Hooks to override
+ * @returns {object} Complete strategy
+ */
+const createStrategy = (overrides = {}) => {
+    return { ...defaultStrategy, ...overrides };
+};
+
+/**
+ * Register a parsing strategy
+ *
+ * @param {string} name - Strategy name (stored on Entity.scraperStrategy)
+ * @param {object} hooks - Strategy hooks (missing hooks fall back to default)
+ * @param {object} options
+ * @param {function} options.detect - (ctx) => boolean, identifies the platform from the page
+ * @returns {object} The registered strategy
+ */
+const registerStrategy = (name, hooks, options = {}) => {
+    if (!name) {
+        throw new Error('[StrategyRegistry] Strategy name is required');
+    }
+
+    const key = name.toUpperCase();
+    const strategy = createStrategy(hooks);
+
+    strategies.set(key, {
+        name: key,
+        strategy,
+        detect: typeof options.detect === 'function' ? options.detect : null
+    });
+
+    return strategy;
+};
+
+/**
+ * Get a registered strategy by name
+ *
+ * @param {string} name - Strategy name
+ * @returns {object|null} Strategy or null if not registered
+ */
+const getStrategy = (name) => {
+    if (!name) return null;
+    return strategies.get(name.toUpperCase())?.strategy || null;
+};
+
+/**
+ * List registered strategy names
+ *
+ * @returns {array} Strategy names
+ */
+const listStrategies = () => Array.from(strategies.keys());
+
+/**
+ * Pick the strategy to use for a page
+ *
+ * @param {ScrapeContext} ctx - Parsing context for the page
+ * @param {string|null} strategyName - Configured strategy (Entity.scraperStrategy)
+ * @returns {object} { name, strategy, source } where source is CONFIG, DETECTED or DEFAULT
+ */
+const resolveStrategy = (ctx, strategyName = null) => {
+    // Priority 1: Entity config
+    if (strategyName) {
+        const configured = strategies.get(strategyName.toUpperCase());
+        if (configured) {
+            return { name: configured.name, strategy: configured.strategy, source: 'CONFIG' };
+        }
+        console.warn(`[StrategyRegistry] Unknown strategy "${strategyName}", falling back to detection`);
+    }
+
+    // Priority 2: Platform detection
+    for (const entry of strategies.values()) {
+        if (entry.name === DEFAULT_STRATEGY_NAME || !entry.detect) continue;
+
+        try {
+            if (entry.detect(ctx)) {
+                return { name: entry.name, strategy: entry.strategy, source: 'DETECTED' };
+            }
+        } catch (error) {
+            console.warn(`[StrategyRegistry] Detection failed for ${entry.name}: ${error.message}`);
+        }
+    }
+
+    // Priority 3: Default
+    return {
+        name: DEFAULT_STRATEGY_NAME,
+        strategy: strategies.get(DEFAULT_STRATEGY_NAME).strategy,
+        source: 'DEFAULT'
+    };
+};
+
+// ===================================================================
+// BUILT-IN STRATEGIES
+// ===================================================================
+
+registerStrategy(DEFAULT_STRATEGY_NAME, {}, {
+    detect: (ctx) => !!ctx.gameData || ctx.$('.cw-game-title').length > 0
+});
+
+module.exports = {
+    DEFAULT_STRATEGY_NAME,
+    createStrategy,
+    registerStrategy,
+    getStrategy,
+    listStrategies,
+    resolveStrategy
+};
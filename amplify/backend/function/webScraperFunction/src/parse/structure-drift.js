@@ -0,0 +1,278 @@
+/**
+ * ===================================================================
+ * Structure Drift Detection
+ * ===================================================================
+ *
+ * Watches the output of each scrape for signs that an entity's website
+ * changed its markup, so broken parsing is caught before bad data piles up.
+ *
+ * ALERTS:
+ * - NEW_STRUCTURE: a fingerprint (structure-fingerprint.js) never seen
+ *   for this entity before
+ * - FIELD_MISSING: a commonly found field (buyIn, results, ...) has been
+ *   missing for DRIFT_MISS_THRESHOLD consecutive scrapes where it applies
+ *
+ * Alerts are written to ScrapeDriftAlert (shown in Scraper Admin ->
+ * Analytics) and emailed via the sesNotification Lambda.
+ *
+ * STATE:
+ * ScrapeDriftState (id = entityId) holds the known fingerprints and
+ * per-field miss streaks. The first scrape for an entity only records
+ * a baseline - it never alerts.
+ *
+ * REQUIRES: ScrapeDriftState, ScrapeDriftAlert models
+ *
+ * ===================================================================
+ */
+
+const { GetCommand, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const { InvokeCommand } = require('@aws-sdk/client-lambda');
+const { randomUUID } = require('crypto');
+const { getTableName } = require('../config/tables');
+const { DRIFT_MISS_THRESHOLD, SES_NOTIFICATION_FUNCTION_NAME } = require('../config/constants');
+
+/**
+ * Fields expected on most pages, and when each one applies
+ * A field is only counted as missing on pages where applies(data) is true.
+ */
+const WATCHED_FIELDS = {
+    name: { applies: () => true },
+    gameStartDateTime: { applies: () => true },
+    buyIn: { applies: () => true },
+    levels: { applies: () => true },
+    results: { applies: (data) => data.gameStatus === 'FINISHED' }
+};
+
+/** Pages that don't describe a real tournament - never checked for drift */
+const SKIP_STATUSES = ['NOT_FOUND', 'NOT_PUBLISHED', 'NOT_IN_USE', 'BOT_BLOCKED', 'ERROR'];
+
+/**
+ * Should this scrape be checked for drift?
+ *
+ * @param {object} scrapedData - Parsed data
+ * @returns {boolean}
+ */
+const isCheckable = (scrapedData) => {
+    if (!scrapedData) return false;
+    return !SKIP_STATUSES.includes(scrapedData.scrapeStatus) &&
+           !SKIP_STATUSES.includes(scrapedData.gameStatus);
+};
+
+/**
+ * Parse stored miss streaks (AWSJSON may arrive as a string)
+ */
+const parseStreaks = (raw) => {
+    if (!raw) return {};
+    if (typeof raw === 'object') return raw;
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * Update miss streaks for the watched fields
+ *
+ * @param {object} streaks - field -> consecutive misses
+ * @param {object} scrapedData - Parsed data
+ * @param {array} foundKeys - Keys found during parsing
+ * @returns {object} { streaks, missingFields } - missingFields lists fields that just reached the threshold
+ */
+const updateMissStreaks = (streaks, scrapedData, foundKeys) => {
+    const next = { ...streaks };
+    const missingFields = [];
+
+    for (const [field, rule] of Object.entries(WATCHED_FIELDS)) {
+        if (!rule.applies(scrapedData)) continue;
+
+        if (foundKeys.includes(field)) {
+            next[field] = 0;
+            continue;
+        }
+
+        next[field] = (next[field] || 0) + 1;
+
+        // Alert once per streak, when it first reaches the threshold
+        if (next[field] === DRIFT_MISS_THRESHOLD) {
+            missingFields.push({ field, consecutiveMisses: next[field] });
+        }
+    }
+
+    return { streaks: next, missingFields };
+};
+
+/**
+ * Email an alert via the sesNotification Lambda (async invoke)
+ *
+ * @returns {boolean} True if the invoke was accepted
+ */
+const sendDriftNotification = async (alert, context) => {
+    const { lambdaClient } = context;
+    if (!lambdaClient) return false;
+
+    const message = alert.alertType === 'NEW_STRUCTURE'
+        ? `New page structure detected for entity ${alert.entityId}: "${alert.structureLabel || alert.fingerprint}"`
+        : `Field "${alert.missingField}" missing for ${alert.consecutiveMisses} consecutive scrapes on entity ${alert.entityId}`;
+
+    try {
+        await lambdaClient.send(new InvokeCommand({
+            FunctionName: SES_NOTIFICATION_FUNCTION_NAME,
+            InvocationType: 'Event',
+            Payload: JSON.stringify({
+                scraperName: 'webScraperFunction - Structure Drift',
+                status: 'failure',
+                timestamp: alert.detectedAt,
+                summary: {
+                    message,
+                    alertType: alert.alertType,
+                    entityId: alert.entityId,
+                    tournamentId: alert.tournamentId,
+                    fingerprint: alert.fingerprint,
+                    exampleUrl: alert.exampleUrl
+                }
+            })
+        }));
+        return true;
+    } catch (error) {
+        console.warn(`[StructureDrift] Notification failed: ${error.message}`);
+        return false;
+    }
+};
+
+/**
+ * Record an alert and notify
+ */
+const raiseAlert = async (alertData, context) => {
+    const { ddbDocClient } = context;
+    const now = new Date().toISOString();
+
+    const alert = {
+        id: randomUUID(),
+        ...alertData,
+        detectedAt: now,
+        acknowledged: false
+    };
+
+    console.warn(`[StructureDrift] ${alert.alertType} for entity ${alert.entityId}` +
+        (alert.missingField ? ` (${alert.missingField})` : ` (${alert.fingerprint})`));
+
+    alert.notificationSent = await sendDriftNotification(alert, context);
+
+    await ddbDocClient.send(new PutCommand({
+        TableName: getTableName('ScrapeDriftAlert'),
+        Item: {
+            ...alert,
+            createdAt: now,
+            updatedAt: now,
+            _lastChangedAt: Date.now(),
+            _version: 1,
+            __typename: 'ScrapeDriftAlert'
+        }
+    }));
+
+    return alert;
+};
+
+/**
+ * Check a scrape for structure drift
+ * Non-blocking: errors are logged and an empty result returned.
+ *
+ * @param {object} params
+ * @param {string} params.entityId - Entity ID
+ * @param {number} params.tournamentId - Tournament ID
+ * @param {string} params.url - Source URL
+ * @param {object} params.scrapedData - Parsed data
+ * @param {array} params.foundKeys - Keys found during parsing
+ * @param {string} params.fingerprint - Structure fingerprint
+ * @param {string} params.structureLabel - Structure label
+ * @param {object} context - Shared context with ddbDocClient, lambdaClient
+ * @returns {object} { checked, alerts }
+ */
+const checkStructureDrift = async (params, context) => {
+    const { entityId, tournamentId, url, scrapedData, foundKeys = [], fingerprint, structureLabel } = params;
+    const { ddbDocClient } = context;
+
+    if (!entityId || !isCheckable(scrapedData)) {
+        return { checked: false, alerts: [] };
+    }
+
+    try {
+        const stateTable = getTableName('ScrapeDriftState');
+        const stateResult = await ddbDocClient.send(new GetCommand({
+            TableName: stateTable,
+            Key: { id: entityId }
+        }));
+
+        const existing = stateResult.Item || null;
+        const knownFingerprints = existing?.knownFingerprints || [];
+        const isBaseline = !existing;
+        const alerts = [];
+
+        // New structure for this entity
+        const isNewForEntity = !!fingerprint && !knownFingerprints.includes(fingerprint);
+        if (isNewForEntity && !isBaseline) {
+            alerts.push(await raiseAlert({
+                entityId,
+                alertType: 'NEW_STRUCTURE',
+                fingerprint,
+                structureLabel: structureLabel || null,
+                foundKeys,
+                exampleUrl: url || null,
+                tournamentId: tournamentId || null
+            }, context));
+        }
+
+        // Fields that stopped being found
+        const { streaks, missingFields } = updateMissStreaks(
+            parseStreaks(existing?.fieldMissStreaks),
+            scrapedData,
+            foundKeys
+        );
+
+        for (const { field, consecutiveMisses } of missingFields) {
+            alerts.push(await raiseAlert({
+                entityId,
+                alertType: 'FIELD_MISSING',
+                fingerprint: fingerprint || null,
+                structureLabel: structureLabel || null,
+                missingField: field,
+                consecutiveMisses,
+                foundKeys,
+                exampleUrl: url || null,
+                tournamentId: tournamentId || null
+            }, context));
+        }
+
+        // Save state (last writer wins - streaks are advisory)
+        const now = new Date().toISOString();
+        await ddbDocClient.send(new PutCommand({
+            TableName: stateTable,
+            Item: {
+                id: entityId,
+                entityId,
+                knownFingerprints: isNewForEntity ? [...knownFingerprints, fingerprint] : knownFingerprints,
+                fieldMissStreaks: JSON.stringify(streaks),
+                lastCheckedAt: now,
+                createdAt: existing?.createdAt || now,
+                updatedAt: now,
+                _lastChangedAt: Date.now(),
+                _version: (existing?._version || 0) + 1,
+                __typename: 'ScrapeDriftState'
+            }
+        }));
+
+        return { checked: true, alerts };
+
+    } catch (error) {
+        console.warn('[StructureDrift] Error checking drift:', error.message);
+        return { checked: false, alerts: [], error: error.message };
+    }
+};
+
+module.exports = {
+    WATCHED_FIELDS,
+    isCheckable,
+    updateMissStreaks,
+    checkStructureDrift
+};
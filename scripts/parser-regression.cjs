@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+/**
+ * ===================================================================
+ * Parser Regression Harness (golden files)
+ * ===================================================================
+ *
+ * Runs saved tournament HTML pages through webScraperFunction's parser
+ * (parse/index.js -> html-parser.js) and compares the output with the
+ * expected JSON stored next to each page. Works fully offline.
+ *
+ * FIXTURE LAYOUT:
+ *   <dir>/<name>.html            Page HTML (e.g. downloaded from the S3 cache)
+ *   <dir>/<name>.expected.json   Golden output for that page
+ *
+ * EXPECTED FILE FORMAT:
+ *   {
+ *     "url": "https://example.com/76-2/?id=1234",   // optional, defaults to ?id=<digits in name>
+ *     "strategyName": null,                         // optional, Entity.scraperStrategy
+ *     "selectorMap": null,                          // optional, Entity.scraperSelectorMap
+ *     "expected": { "name": "...", "buyIn": 200, "results": [ ... ] }
+ *   }
+ *
+ * Only fields listed under "expected" are compared, so a golden file can
+ * pin just the fields that matter (e.g. results + guaranteeAmount).
+ *
+ * Usage:
+ *   node scripts/parser-regression.cjs <dir>
+ *   node scripts/parser-regression.cjs <dir> --update          # (re)write expected files from current output
+ *   node scripts/parser-regression.cjs <dir> --only 1234        # Only fixtures whose name contains "1234"
+ *   node scripts/parser-regression.cjs <dir> --strict           # Also report fields the golden file doesn't list
+ *   node scripts/parser-regression.cjs <dir> --verbose          # Show parser logs
+ *
+ * Exit code is 1 when any fixture has differences, so this can gate CI.
+ *
+ * ===================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PARSER_PATH = path.join(__dirname, '../amplify/backend/function/webScraperFunction/src/parse');
+
+// Volatile or derived keys that shouldn't be pinned by --update
+const IGNORED_KEYS = ['venueMatch', 'structureLabel'];
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const option = (name) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : null;
+};
+
+const fixtureDir = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--only');
+const UPDATE = flag('--update');
+const STRICT = flag('--strict');
+const VERBOSE = flag('--verbose');
+const ONLY = option('--only');
+
+if (!fixtureDir || flag('--help') || flag('-h')) {
+    console.log('Usage: node scripts/parser-regression.cjs <dir> [--update] [--only <text>] [--strict] [--verbose]');
+    process.exit(fixtureDir ? 0 : 1);
+}
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Field-level diff between expected and actual values
+ * Returns [{ path, expected, actual }]
+ */
+const diffValues = (expected, actual, currentPath, diffs) => {
+    if (Array.isArray(expected)) {
+        if (!Array.isArray(actual)) {
+            diffs.push({ path: currentPath, expected: `array(${expected.length})`, actual });
+            return diffs;
+        }
+        if (expected.length !== actual.length) {
+            diffs.push({ path: `${currentPath}.length`, expected: expected.length, actual: actual.length });
+        }
+        const count = Math.min(expected.length, actual.length);
+        for (let i = 0; i < count; i++) {
+            diffValues(expected[i], actual[i], `${currentPath}[${i}]`, diffs);
+        }
+        return diffs;
+    }
+
+    if (isObject(expected)) {
+        if (!isObject(actual)) {
+            diffs.push({ path: currentPath, expected: 'object', actual });
+            return diffs;
+        }
+        for (const key of Object.keys(expected)) {
+            diffValues(expected[key], actual[key], currentPath ? `${currentPath}.${key}` : key, diffs);
+        }
+        return diffs;
+    }
+
+    if (expected !== actual) {
+        diffs.push({ path: currentPath, expected, actual });
+    }
+    return diffs;
+};
+
+const format = (value) => {
+    if (value === undefined) return '(missing)';
+    const text = JSON.stringify(value);
+    return text.length > 80 ? `${text.substring(0, 77)}...` : text;
+};
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const loadFixtures = (dir) => {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        console.error(`❌ Not a directory: ${dir}`);
+        process.exit(1);
+    }
+
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.html'))
+        .filter(file => !ONLY || file.includes(ONLY))
+        .sort()
+        .map(file => {
+            const name = file.replace(/\.html$/, '');
+            return {
+                name,
+                htmlPath: path.join(dir, file),
+                expectedPath: path.join(dir, `${name}.expected.json`)
+            };
+        });
+};
+
+const defaultUrlFor = (name) => {
+    const match = name.match(/(\d+)/);
+    return match ? `https://fixture.local/?id=${match[1]}` : null;
+};
+
+const runParser = (parseHtml, html, golden, name) => {
+    const originalLog = console.log;
+    if (!VERBOSE) console.log = () => {};
+    try {
+        return parseHtml(html, {
+            url: golden.url || defaultUrlFor(name),
+            venues: [],
+            forceRefresh: true,
+            strategyName: golden.strategyName || null,
+            selectorMap: golden.selectorMap || null
+        });
+    } finally {
+        console.log = originalLog;
+    }
+};
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+const main = () => {
+    const { parseHtml } = require(PARSER_PATH);
+    const fixtures = loadFixtures(path.resolve(fixtureDir));
+
+    if (fixtures.length === 0) {
+        console.log(`No .html fixtures found in ${fixtureDir}`);
+        return 0;
+    }
+
+    console.log(`\n🧪 Parser regression: ${fixtures.length} fixture(s) in ${fixtureDir}${UPDATE ? ' (update mode)' : ''}\n`);
+
+    let passed = 0;
+    let failed = 0;
+    let updated = 0;
+    let missing = 0;
+
+    for (const fixture of fixtures) {
+        const html = fs.readFileSync(fixture.htmlPath, 'utf8');
+        const hasGolden = fs.existsSync(fixture.expectedPath);
+        const golden = hasGolden ? JSON.parse(fs.readFileSync(fixture.expectedPath, 'utf8')) : {};
+
+        let result;
+        try {
+            result = runParser(parseHtml, html, golden, fixture.name);
+        } catch (error) {
+            console.log(`❌ ${fixture.name}: parser threw - ${error.message}`);
+            failed++;
+            continue;
+        }
+
+        if (UPDATE) {
+            const expected = { ...result.data };
+            IGNORED_KEYS.forEach(key => delete expected[key]);
+            const output = {
+                url: golden.url || defaultUrlFor(fixture.name),
+                strategyName: golden.strategyName || null,
+                selectorMap: golden.selectorMap || null,
+                expected
+            };
+            fs.writeFileSync(fixture.expectedPath, JSON.stringify(output, null, 2) + '\n');
+            console.log(`📝 ${fixture.name}: wrote ${Object.keys(expected).length} fields`);
+            updated++;
+            continue;
+        }
+
+        if (!hasGolden) {
+            console.log(`⚠️  ${fixture.name}: no ${path.basename(fixture.expectedPath)} (run with --update to create)`);
+            missing++;
+            continue;
+        }
+
+        const diffs = diffValues(golden.expected || {}, result.data, '', []);
+
+        if (STRICT) {
+            Object.keys(result.data)
+                .filter(key => !IGNORED_KEYS.includes(key) && !(key in (golden.expected || {})))
+                .forEach(key => diffs.push({ path: key, expected: undefined, actual: result.data[key] }));
+        }
+
+        if (diffs.length === 0) {
+            console.log(`✅ ${fixture.name} (${result.strategyName})`);
+            passed++;
+        } else {
+            console.log(`❌ ${fixture.name} (${result.strategyName}): ${diffs.length} difference(s)`);
+            diffs.forEach(diff => {
+                console.log(`     ${diff.path}`);
+                console.log(`       expected: ${format(diff.expected)}`);
+                console.log(`       actual:   ${format(diff.actual)}`);
+            });
+            failed++;
+        }
+    }
+
+    console.log('\n' + '─'.repeat(60));
+    if (UPDATE) {
+        console.log(`Updated ${updated} golden file(s)`);
+        return 0;
+    }
+    console.log(`Passed: ${passed}  Failed: ${failed}  Missing golden: ${missing}`);
+    return failed > 0 ? 1 : 0;
+};
+
+process.exit(main());
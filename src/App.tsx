@@ -33,6 +33,8 @@ import { HomePage } from './pages/HomePage';
 import { PlayersDashboard } from './pages/players/PlayersDashboard';
 import { PlayerSearch } from './pages/players/PlayerSearch';
 import { PlayerProfile } from './pages/players/PlayerProfile';
+import Leaderboards from './pages/players/Leaderboards';
+import PublicLeaderboard from './pages/players/PublicLeaderboard';
 
 // Series Pages
 import { SeriesDashboard } from './pages/series/SeriesDashboard';
@@ -59,6 +61,11 @@ import GameManagement from './pages/settings/GameManagement';
 import { SeriesManagementPage } from './pages/settings/SeriesManagement';
 import { UserManagement } from './pages/settings/UserManagement';
 import MetricsManagement from './pages/settings/MetricsManagement';
+import ReviewQueue from './pages/settings/ReviewQueue';
+import BlindStructures from './pages/settings/BlindStructures';
+import PlayerIdentity from './pages/settings/PlayerIdentity';
+import PlayerSegments from './pages/settings/PlayerSegments';
+import CreditRules from './pages/settings/CreditRules';
 
 // Scraper Pages (SuperAdmin)
 import { ScraperAdminPage } from './pages/scraper/ScraperAdmin';
@@ -85,7 +92,7 @@ Amplify.configure(awsExports);
 // ============================================
 // PUBLIC PATHS - No authentication required
 // ============================================
-const PUBLIC_PATHS = ['/privacy-policy', '/privacy', '/terms-of-service', '/terms', '/cookie-policy'];
+const PUBLIC_PATHS = ['/privacy-policy', '/privacy', '/terms-of-service', '/terms', '/cookie-policy', '/leaderboard'];
 
 const isPublicPath = (pathname: string): boolean => {
   const normalizedPath = pathname.replace(/\/$/, '') || '/';
@@ -245,6 +252,7 @@ const PublicRoutes = () => {
       <Route path="/privacy" element={<PrivacyPolicy />} />
       <Route path="/terms-of-service" element={<TermsOfService />} />
       <Route path="/terms" element={<TermsOfService />} />
+      <Route path="/leaderboard/:shareToken" element={<PublicLeaderboard />} />
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   );
@@ -402,6 +410,7 @@ const AuthenticatedRoutes = () => {
             <Route path="/players/dashboard" element={<PlayersDashboard />} />
             <Route path="/players/search" element={<PlayerSearch />} />
             <Route path="/players/profile/:playerId" element={<PlayerProfile />} />
+            <Route path="/players/leaderboards" element={<Leaderboards />} />
 
             {/* Series - with parent redirect */}
             <Route path="/series" element={<Navigate to="/series/dashboard" replace />} />
@@ -433,6 +442,11 @@ const AuthenticatedRoutes = () => {
             <Route path="/settings/venue-management" element={<VenueManagement />} />
             <Route path="/settings/game-management" element={<GameManagement />} />
             <Route path="/settings/series-management" element={<SeriesManagementPage />} />
+            <Route path="/settings/review-queue" element={<ReviewQueue />} />
+            <Route path="/settings/blind-structures" element={<BlindStructures />} />
+            <Route path="/settings/player-identity" element={<PlayerIdentity />} />
+            <Route path="/settings/player-segments" element={<PlayerSegments />} />
+            <Route path="/settings/credit-rules" element={<CreditRules />} />
             <Route path="/settings/metrics-management" element={<MetricsManagement />} />
             <Route path="/settings/social-accounts" element={<SocialAccountManagement />} />
             <Route path="/settings/user-management" element={<UserManagement />} />
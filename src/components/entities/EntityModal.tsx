@@ -7,6 +7,7 @@ import { XMarkIcon } from '@heroicons/react/24/outline';
 import { ArrowUpTrayIcon, TrashIcon } from '@heroicons/react/24/solid';
 import { Entity, EntityFormData } from '../../types/entity';
 import { useS3Upload, validateImageFile } from '../../hooks/useS3Upload';
+import { CURRENCY_CODES } from '../../utils/generalHelpers';
 
 interface EntityModalProps {
   isOpen: boolean;
@@ -21,6 +22,8 @@ export const EntityModal = ({ isOpen, onClose, onSave, entity }: EntityModalProp
     gameUrlDomain: '',
     gameUrlPath: '',
     entityLogo: '',
+    scraperStrategy: '',
+    currency: '',
     isActive: true,
   });
 
@@ -41,6 +44,8 @@ export const EntityModal = ({ isOpen, onClose, onSave, entity }: EntityModalProp
         gameUrlDomain: entity.gameUrlDomain,
         gameUrlPath: entity.gameUrlPath,
         entityLogo: entity.entityLogo || '',
+        scraperStrategy: entity.scraperStrategy || '',
+        currency: entity.currency || '',
         isActive: entity.isActive,
       });
       // Set logo preview if entity has an existing logo
@@ -51,6 +56,8 @@ export const EntityModal = ({ isOpen, onClose, onSave, entity }: EntityModalProp
         gameUrlDomain: '',
         gameUrlPath: '',
         entityLogo: '',
+        scraperStrategy: '',
+        currency: '',
         isActive: true,
       });
       setLogoPreview(null);
@@ -356,6 +363,47 @@ export const EntityModal = ({ isOpen, onClose, onSave, entity }: EntityModalProp
                         </div>
                       )}
 
+                      {/* Parser Strategy */}
+                      <div>
+                        <label htmlFor="scraperStrategy" className="block text-sm font-medium text-gray-700">
+                          Parser Strategy
+                        </label>
+                        <input
+                          type="text"
+                          name="scraperStrategy"
+                          id="scraperStrategy"
+                          value={formData.scraperStrategy || ''}
+                          onChange={handleInputChange}
+                          className="mt-1 block w-full rounded-md shadow-sm sm:text-sm font-mono border-gray-300 focus:border-indigo-500 focus:ring-indigo-500"
+                          placeholder="Auto-detect"
+                        />
+                        <p className="mt-1 text-xs text-gray-500">
+                          Name of the scraper parsing strategy for this site. Leave blank to auto-detect (falls back to DEFAULT).
+                        </p>
+                      </div>
+
+                      {/* Currency */}
+                      <div>
+                        <label htmlFor="currency" className="block text-sm font-medium text-gray-700">
+                          Currency
+                        </label>
+                        <select
+                          name="currency"
+                          id="currency"
+                          value={formData.currency || ''}
+                          onChange={(e) => setFormData(prev => ({ ...prev, currency: e.target.value }))}
+                          className="mt-1 block w-full rounded-md shadow-sm sm:text-sm border-gray-300 focus:border-indigo-500 focus:ring-indigo-500"
+                        >
+                          <option value="">AUD (default)</option>
+                          {CURRENCY_CODES.map(code => (
+                            <option key={code} value={code}>{code}</option>
+                          ))}
+                        </select>
+                        <p className="mt-1 text-xs text-gray-500">
+                          Currency this entity's amounts are recorded in. Venues can override it.
+                        </p>
+                      </div>
+
                       {/* Is Active Checkbox */}
                       <div className="relative flex items-start">
                         <div className="flex h-6 items-center">
@@ -0,0 +1,229 @@
+// src/components/games/recurring-games/PayoutTemplateModal.tsx
+// View / edit the payout structure template for a recurring game
+// VERSION: 1.0.0
+
+import React, { useState, useEffect } from 'react';
+import { PlusIcon, TrashIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { Modal } from '../../ui/Modal';
+import { Button } from '../../ui/Button';
+import {
+    usePayoutTemplate,
+    validatePayoutTier,
+    type PayoutTier,
+} from '../../../hooks/usePayoutTemplate';
+import { formatAEST } from '../../../utils/dateUtils';
+
+interface PayoutTemplateModalProps {
+    isOpen: boolean;
+    onClose: () => void;
+    recurringGame: { id: string; name: string; entityId: string } | null;
+}
+
+// Editable row - percentages kept as text while typing
+interface TierRow {
+    minEntries: string;
+    maxEntries: string;
+    percentages: string;
+    sampleSize?: number;
+}
+
+const toRow = (tier: PayoutTier): TierRow => ({
+    minEntries: String(tier.minEntries),
+    maxEntries: tier.maxEntries === null ? '' : String(tier.maxEntries),
+    percentages: tier.percentages.join(', '),
+    sampleSize: tier.sampleSize,
+});
+
+const toTier = (row: TierRow): PayoutTier => {
+    const percentages = row.percentages
+        .split(/[,\s]+/)
+        .filter(Boolean)
+        .map(Number);
+    return {
+        minEntries: parseInt(row.minEntries, 10) || 0,
+        maxEntries: row.maxEntries.trim() === '' ? null : parseInt(row.maxEntries, 10),
+        placesPaid: percentages.length,
+        percentages,
+        sampleSize: row.sampleSize,
+    };
+};
+
+const EMPTY_ROW: TierRow = { minEntries: '', maxEntries: '', percentages: '' };
+
+export const PayoutTemplateModal: React.FC<PayoutTemplateModalProps> = ({
+    isOpen,
+    onClose,
+    recurringGame,
+}) => {
+    const { template, loading, saving, error, saveManualTemplate, resumeDetection } = usePayoutTemplate(
+        isOpen ? recurringGame?.id : null,
+        recurringGame?.entityId
+    );
+    const [rows, setRows] = useState<TierRow[]>([]);
+    const [notes, setNotes] = useState('');
+
+    useEffect(() => {
+        setRows(template ? template.tiers.map(toRow) : []);
+        setNotes(template?.notes || '');
+    }, [template]);
+
+    const updateRow = (index: number, updates: Partial<TierRow>) => {
+        setRows(prev => prev.map((row, i) => (i === index ? { ...row, ...updates } : row)));
+    };
+
+    const rowErrors = rows.map(row => validatePayoutTier(toTier(row)));
+    const canSave = rows.length > 0 && rowErrors.every(err => !err) && !saving;
+
+    const handleSave = async () => {
+        const saved = await saveManualTemplate(rows.map(toTier), notes);
+        if (saved) onClose();
+    };
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={onClose}
+            title={`Payout Structure${recurringGame ? ` - ${recurringGame.name}` : ''}`}
+            maxWidth="xl"
+        >
+            <div className="space-y-4">
+                <p className="text-sm text-gray-500">
+                    Percent of the prizepool paid to each place, by field size. Finished games are checked against
+                    this template and their paid prizes reconciled against the prizepool.
+                </p>
+
+                {loading ? (
+                    <div className="flex items-center justify-center py-8">
+                        <ArrowPathIcon className="h-5 w-5 animate-spin text-gray-400" />
+                    </div>
+                ) : (
+                    <>
+                        {template ? (
+                            <div className="flex items-center gap-2 text-xs text-gray-600">
+                                <span className={`px-2 py-0.5 rounded-full font-medium ${
+                                    template.source === 'MANUAL'
+                                        ? 'bg-indigo-100 text-indigo-800'
+                                        : 'bg-green-100 text-green-800'
+                                }`}>
+                                    {template.source === 'MANUAL' ? 'Manual' : 'Detected'}
+                                </span>
+                                {template.source === 'DETECTED' && (
+                                    <span>
+                                        from {template.sampleSize || 0} balanced game{template.sampleSize === 1 ? '' : 's'}
+                                        {template.lastDetectedAt && <> • last updated {formatAEST(template.lastDetectedAt)}</>}
+                                    </span>
+                                )}
+                            </div>
+                        ) : (
+                            <p className="text-sm text-gray-500 italic">
+                                No template yet - one is detected automatically from the first balanced results, or add tiers below.
+                            </p>
+                        )}
+
+                        {rows.length > 0 && (
+                            <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">Min Entries</th>
+                                        <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">Max Entries</th>
+                                        <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase">% by Place</th>
+                                        <th className="px-2 py-2" />
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {rows.map((row, index) => (
+                                        <tr key={index} className="align-top">
+                                            <td className="px-2 py-2 w-24">
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    value={row.minEntries}
+                                                    onChange={e => updateRow(index, { minEntries: e.target.value })}
+                                                    className="w-full rounded-md border-gray-300 text-sm"
+                                                />
+                                            </td>
+                                            <td className="px-2 py-2 w-24">
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    value={row.maxEntries}
+                                                    onChange={e => updateRow(index, { maxEntries: e.target.value })}
+                                                    placeholder="no max"
+                                                    className="w-full rounded-md border-gray-300 text-sm"
+                                                />
+                                            </td>
+                                            <td className="px-2 py-2">
+                                                <input
+                                                    type="text"
+                                                    value={row.percentages}
+                                                    onChange={e => updateRow(index, { percentages: e.target.value })}
+                                                    placeholder="50, 30, 20"
+                                                    className="w-full rounded-md border-gray-300 text-sm font-mono"
+                                                />
+                                                <p className={`mt-1 text-xs ${rowErrors[index] ? 'text-red-600' : 'text-gray-400'}`}>
+                                                    {rowErrors[index] || `${toTier(row).placesPaid} places paid`}
+                                                    {!rowErrors[index] && row.sampleSize ? ` • ${row.sampleSize} games` : ''}
+                                                </p>
+                                            </td>
+                                            <td className="px-2 py-2 text-right">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => setRows(prev => prev.filter((_, i) => i !== index))}
+                                                    className="text-gray-400 hover:text-red-600"
+                                                    title="Remove tier"
+                                                >
+                                                    <TrashIcon className="h-4 w-4" />
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+
+                        <button
+                            type="button"
+                            onClick={() => setRows(prev => [...prev, { ...EMPTY_ROW }])}
+                            className="inline-flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-800"
+                        >
+                            <PlusIcon className="h-4 w-4" />
+                            Add tier
+                        </button>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                            <textarea
+                                value={notes}
+                                onChange={e => setNotes(e.target.value)}
+                                rows={2}
+                                className="w-full rounded-md border-gray-300 text-sm"
+                            />
+                        </div>
+                    </>
+                )}
+
+                {error && (
+                    <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+                )}
+
+                <div className="flex items-center justify-between pt-2 border-t border-gray-200">
+                    <div>
+                        {template?.source === 'MANUAL' && (
+                            <Button variant="secondary" size="sm" onClick={resumeDetection} disabled={saving}>
+                                Resume detection
+                            </Button>
+                        )}
+                    </div>
+                    <div className="flex gap-2">
+                        <Button variant="secondary" onClick={onClose}>Cancel</Button>
+                        <Button variant="primary" onClick={handleSave} disabled={!canSave}>
+                            {saving ? 'Saving...' : 'Save as Manual'}
+                        </Button>
+                    </div>
+                </div>
+            </div>
+        </Modal>
+    );
+};
+
+export default PayoutTemplateModal;
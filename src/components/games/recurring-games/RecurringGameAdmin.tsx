@@ -1241,6 +1241,7 @@ export const RecurringGameAdmin: React.FC<RecurringGameAdminProps> = ({
                                 <p className="text-sm text-green-600 dark:text-green-400">
                                     Checked {gapsResult.recurringGamesChecked} recurring games over {gapsResult.weeksAnalyzed} weeks. 
                                     {gapsResult.expectedOccurrences} expected, {gapsResult.confirmedOccurrences} confirmed.
+                                    {!!gapsResult.holidaysSkipped && ` ${gapsResult.holidaysSkipped} skipped for public holidays.`}
                                 </p>
                             </div>
                         </div>
@@ -1256,6 +1257,11 @@ export const RecurringGameAdmin: React.FC<RecurringGameAdminProps> = ({
                                 {selectedRecurringGameId && gapsResult.gapsFound !== filteredGaps.length && 
                                     ` of ${gapsResult.gapsFound} total`
                                 })
+                                {!!gapsResult.holidaysSkipped && (
+                                    <span className="ml-2 text-sm font-normal text-amber-600">
+                                        {gapsResult.holidaysSkipped} public holiday{gapsResult.holidaysSkipped === 1 ? '' : 's'} skipped
+                                    </span>
+                                )}
                             </h3>
                             <Button size="sm" onClick={createGapInstances} isLoading={isLoading}>
                                 <PlayIcon className="h-4 w-4 mr-2" />
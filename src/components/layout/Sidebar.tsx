@@ -19,6 +19,10 @@ import {
   ChartBarIcon,
   MegaphoneIcon,
   BugAntIcon,
+  ClipboardDocumentCheckIcon,
+  Squares2X2Icon,
+  FingerPrintIcon,
+  BanknotesIcon,
 } from "@heroicons/react/24/outline"
 import { Link, useLocation } from "react-router-dom"
 import { useState, useEffect, useMemo } from "react"
@@ -51,10 +55,11 @@ const mainNavigation: NavItem[] = [
     name: "Players",
     href: "/players/dashboard",
     icon: UserGroupIcon,
-    requiredPaths: ["/players/dashboard", "/players/search"],
+    requiredPaths: ["/players/dashboard", "/players/search", "/players/leaderboards"],
     children: [
       { name: "Dashboard", href: "/players/dashboard", icon: UserGroupIcon, requiredPaths: ["/players/dashboard"] },
       { name: "Player Search", href: "/players/search", icon: UserGroupIcon, requiredPaths: ["/players/search"] },
+      { name: "Leaderboards", href: "/players/leaderboards", icon: TrophyIcon, requiredPaths: ["/players/leaderboards"] },
     ],
   },
   {
@@ -105,6 +110,11 @@ const settingsNavigation: NavItem[] = [
   { name: "Venue Management", href: "/settings/venue-management", icon: BuildingOffice2Icon, requiredPaths: ["/settings/venue-management"] },
   { name: "Game Management", href: "/settings/game-management", icon: BeakerIcon, requiredPaths: ["/settings/game-management"] },
   { name: "Series Management", href: "/settings/series-management", icon: TrophyIcon, requiredPaths: ["/settings/series-management"] },
+  { name: "Review Queue", href: "/settings/review-queue", icon: ClipboardDocumentCheckIcon, requiredPaths: ["/settings/review-queue"] },
+  { name: "Blind Structures", href: "/settings/blind-structures", icon: Squares2X2Icon, requiredPaths: ["/settings/blind-structures"] },
+  { name: "Player Identity", href: "/settings/player-identity", icon: FingerPrintIcon, requiredPaths: ["/settings/player-identity"] },
+  { name: "Player Segments", href: "/settings/player-segments", icon: UserGroupIcon, requiredPaths: ["/settings/player-segments"] },
+  { name: "Credit Rules", href: "/settings/credit-rules", icon: BanknotesIcon, requiredPaths: ["/settings/credit-rules"] },
   { name: "Social Accounts", href: "/settings/social-accounts", icon: HashtagIcon, requiredPaths: ["/settings/social-accounts"] },
   { name: "User Management", href: "/settings/user-management", icon: UsersIcon, requiredPaths: ["/settings/user-management"] },
   { name: 'Metrics Management', href: '/settings/metrics-management', icon: ChartBarIcon, requiredPaths: ["/settings/metrics-management"] },
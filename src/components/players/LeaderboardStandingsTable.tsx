@@ -0,0 +1,39 @@
+// src/components/players/LeaderboardStandingsTable.tsx
+// Leaderboard standings - used by the Leaderboards page and the public
+// share page
+
+import React from 'react';
+import type { LeaderboardStandings } from '@/hooks/useLeaderboards';
+
+const formatDate = (value?: string | null) => (value ? new Date(value).toLocaleDateString() : '-');
+
+export const LeaderboardStandingsTable: React.FC<{ standings: LeaderboardStandings }> = ({ standings }) => (
+  <table className="min-w-full divide-y divide-gray-200 text-sm">
+    <thead className="bg-gray-50">
+      <tr>
+        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase w-16">Rank</th>
+        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Player</th>
+        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Points</th>
+        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Games</th>
+        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Wins</th>
+        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Best</th>
+        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Last played</th>
+      </tr>
+    </thead>
+    <tbody className="divide-y divide-gray-100">
+      {standings.standings.map(row => (
+        <tr key={row.playerId}>
+          <td className="px-3 py-2 text-gray-500">{row.rank}</td>
+          <td className="px-3 py-2 font-medium text-gray-900">{row.playerName}</td>
+          <td className="px-3 py-2 text-right text-gray-900">{row.points.toLocaleString()}</td>
+          <td className="px-3 py-2 text-right text-gray-600">{row.games}</td>
+          <td className="px-3 py-2 text-right text-gray-600">{row.wins || '-'}</td>
+          <td className="px-3 py-2 text-right text-gray-600">{row.bestFinish || '-'}</td>
+          <td className="px-3 py-2 text-right text-gray-500">{formatDate(row.lastPlayed)}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+export default LeaderboardStandingsTable;
@@ -0,0 +1,218 @@
+// src/components/players/PlayerCreditsLedger.tsx
+// Credits tab of the player profile - balance, what expires next, the
+// ledger, and staff award / redeem forms. Each form submission carries a
+// requestId so a double-click or retry only applies once.
+
+import React, { useState } from 'react';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { format } from 'date-fns';
+
+import { Button } from '@/components/ui/Button';
+import { cx } from '@/lib/utils';
+import { formatCurrency } from '@/utils/generalHelpers';
+import { usePlayerCredits, type CreditTransactionType } from '@/hooks/usePlayerCredits';
+
+const TYPE_LABELS: Record<CreditTransactionType, string> = {
+  AWARD_PROMOTION: 'Won',
+  AWARD_REFUND: 'Refund',
+  AWARD_MANUAL: 'Awarded',
+  REDEEM_GAME_BUY_IN: 'Buy-in',
+  EXPIRED: 'Expired',
+};
+
+type Mode = 'award' | 'redeem' | null;
+
+const emptyForm = () => ({
+  amount: '',
+  type: 'AWARD_MANUAL',
+  reason: '',
+  expiryDate: '',
+  gameId: '',
+  requestId: crypto.randomUUID(),
+});
+
+const formatDate = (value?: string | null) => (value ? format(new Date(value), 'dd MMM yyyy') : '-');
+
+export const PlayerCreditsLedger: React.FC<{ playerId: string }> = ({ playerId }) => {
+  const { ledger, loading, saving, error, refresh, award, redeem } = usePlayerCredits(playerId);
+  const [mode, setMode] = useState<Mode>(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const setField = (key: keyof ReturnType<typeof emptyForm>, value: string) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const openForm = (next: Mode) => {
+    setForm(emptyForm());
+    setMode(next);
+  };
+
+  const handleSubmit = async () => {
+    const amount = Number(form.amount);
+    const done = mode === 'award'
+      ? await award({
+          amount,
+          type: form.type as 'AWARD_MANUAL' | 'AWARD_REFUND' | 'AWARD_PROMOTION',
+          reason: form.reason.trim() || null,
+          // End of the chosen day, local time
+          expiryDate: form.expiryDate ? new Date(`${form.expiryDate}T23:59:59`).toISOString() : null,
+          requestId: form.requestId,
+        })
+      : await redeem({
+          amount,
+          gameId: form.gameId.trim() || null,
+          reason: form.reason.trim() || null,
+          requestId: form.requestId,
+        });
+    if (done) setMode(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+      {ledger && !ledger.inSync && (
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          The balance ({formatCurrency(ledger.balance)}) does not match the ledger ({formatCurrency(ledger.ledgerBalance)}).
+          It is corrected to the ledger overnight.
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="grid grid-cols-2 gap-6">
+          <div>
+            <p className="text-sm text-gray-500">Credit Balance</p>
+            <p className="text-xl font-bold">{formatCurrency(ledger?.balance ?? 0)}</p>
+          </div>
+          <div>
+            <p className="text-sm text-gray-500">Expiring in 30 days</p>
+            <p className="text-xl font-bold">{formatCurrency(ledger?.expiringSoon ?? 0)}</p>
+            {ledger?.nextExpiryDate && (
+              <p className="text-xs text-gray-500">Next on {formatDate(ledger.nextExpiryDate)}</p>
+            )}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button variant="ghost" size="sm" onClick={refresh} disabled={loading}>
+            <ArrowPathIcon className={cx('w-4 h-4', loading && 'animate-spin')} />
+          </Button>
+          <Button variant="secondary" size="sm" onClick={() => openForm('award')} disabled={saving}>Award</Button>
+          <Button variant="secondary" size="sm" onClick={() => openForm('redeem')} disabled={saving || !ledger?.balance}>
+            Redeem
+          </Button>
+        </div>
+      </div>
+
+      {mode && (
+        <div className="border rounded-lg p-4 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <label className="block text-sm text-gray-700">
+              Amount ($)
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.amount}
+                onChange={e => setField('amount', e.target.value)}
+                className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+              />
+            </label>
+            {mode === 'award' ? (
+              <>
+                <label className="block text-sm text-gray-700">
+                  Type
+                  <select
+                    value={form.type}
+                    onChange={e => setField('type', e.target.value)}
+                    className="mt-1 w-full px-2 py-2 text-sm border border-gray-300 rounded-md"
+                  >
+                    <option value="AWARD_MANUAL">Awarded</option>
+                    <option value="AWARD_REFUND">Refund</option>
+                    <option value="AWARD_PROMOTION">Promotion</option>
+                  </select>
+                </label>
+                <label className="block text-sm text-gray-700">
+                  Expires (empty for never)
+                  <input
+                    type="date"
+                    value={form.expiryDate}
+                    onChange={e => setField('expiryDate', e.target.value)}
+                    className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                  />
+                </label>
+              </>
+            ) : (
+              <label className="block text-sm text-gray-700">
+                Game ID (optional)
+                <input
+                  type="text"
+                  value={form.gameId}
+                  onChange={e => setField('gameId', e.target.value)}
+                  className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                />
+              </label>
+            )}
+            <label className="block text-sm text-gray-700">
+              Reason
+              <input
+                type="text"
+                value={form.reason}
+                placeholder={mode === 'redeem' ? 'Buy-in' : ''}
+                onChange={e => setField('reason', e.target.value)}
+                className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+              />
+            </label>
+          </div>
+          <div className="flex justify-end gap-2">
+            <Button variant="secondary" size="sm" onClick={() => setMode(null)} disabled={saving}>Cancel</Button>
+            <Button size="sm" onClick={handleSubmit} disabled={saving || !(Number(form.amount) > 0)}>
+              {saving ? 'Saving...' : mode === 'award' ? 'Award credits' : 'Redeem credits'}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {!ledger || ledger.entries.length === 0 ? (
+        <p className="text-gray-500">{loading ? 'Loading...' : 'No credits yet'}</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reason</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Change</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Expires</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {ledger.entries.map(entry => (
+                <tr key={entry.id}>
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-600">{formatDate(entry.transactionDate)}</td>
+                  <td className="px-3 py-2 text-gray-700">{TYPE_LABELS[entry.type] || entry.type}</td>
+                  <td className="px-3 py-2 text-gray-600">
+                    {entry.reason || '-'}
+                    {entry.createdBy && <span className="ml-2 text-xs text-gray-400">by {entry.createdBy}</span>}
+                  </td>
+                  <td className={cx('px-3 py-2 text-right font-medium', entry.changeAmount < 0 ? 'text-red-600' : 'text-green-600')}>
+                    {entry.changeAmount > 0 ? '+' : ''}{formatCurrency(entry.changeAmount)}
+                  </td>
+                  <td className="px-3 py-2 text-right text-gray-900">{formatCurrency(entry.balanceAfter)}</td>
+                  <td className="px-3 py-2 whitespace-nowrap text-xs text-gray-500">
+                    {entry.expiryDate ? formatDate(entry.expiryDate) : ''}
+                    {entry.remaining != null && entry.expiryDate && (
+                      <span className="ml-1">({entry.remaining > 0 ? `${formatCurrency(entry.remaining)} left` : 'used'})</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlayerCreditsLedger;
@@ -1,6 +1,7 @@
-import React, { useMemo } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import type { GameData } from '../../types/game';
-import { validateStructure } from '../../lib/validation';
+import { validateStructure, evaluateValidationRules, type ValidationRuleResult } from '../../lib/validation';
+import { getCachedValidationRules, type ValidationRule } from '../../hooks/scraper/useEntityValidationRules';
 // Import the descriptions from your single source of truth
 import { profileDescriptions } from '../../lib/fieldManifest';
 
@@ -21,14 +22,62 @@ const FieldList: React.FC<{ fields: string[]; title: string; description?: strin
 };
 
 
+// Results of the entity's custom ValidationRule records (same rules the enricher runs)
+const EntityRuleResults: React.FC<{ results: ValidationRuleResult[]; ruleCount: number }> = ({ results, ruleCount }) => {
+    if (ruleCount === 0) return null;
+
+    if (results.length === 0) {
+        return (
+            <div className="p-3 bg-green-50 border-l-4 border-green-400 mb-4">
+                <p className="text-xs text-green-700">✓ Passed all {ruleCount} entity validation rule{ruleCount === 1 ? '' : 's'}.</p>
+            </div>
+        );
+    }
+
+    const hasErrors = results.some(r => r.severity === 'ERROR');
+    return (
+        <div className={`p-3 border-l-4 mb-4 ${hasErrors ? 'bg-red-50 border-red-400' : 'bg-yellow-50 border-yellow-400'}`}>
+            <h4 className={`font-bold ${hasErrors ? 'text-red-800' : 'text-yellow-800'}`}>Entity Validation Rules</h4>
+            <ul className="mt-2 space-y-1 text-xs">
+                {results.map((result, i) => (
+                    <li key={`${result.ruleId || result.name}-${i}`} className={result.severity === 'ERROR' ? 'text-red-700' : 'text-yellow-800'}>
+                        <span className="font-semibold">{result.severity === 'ERROR' ? 'Error' : 'Warning'}</span>
+                        {' '}<span className="text-gray-600">({result.name})</span>: {result.message}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
 export const ValidationSummary: React.FC<{ data: GameData }> = ({ data }) => {
-    
+    const [entityRules, setEntityRules] = useState<ValidationRule[]>([]);
+
+    useEffect(() => {
+        if (!data.entityId) {
+            setEntityRules([]);
+            return;
+        }
+        let cancelled = false;
+        getCachedValidationRules(data.entityId).then(rules => {
+            if (!cancelled) setEntityRules(rules);
+        });
+        return () => { cancelled = true; };
+    }, [data.entityId]);
+
+    const ruleResults = useMemo(
+        () => evaluateValidationRules(entityRules, data as unknown as Record<string, unknown>),
+        [entityRules, data]
+    );
+
     const validationResult = useMemo(() => {
         if (!data.structureLabel || !data.foundKeys) return null;
         return validateStructure(data.structureLabel, data.foundKeys);
     }, [data.structureLabel, data.foundKeys]);
 
-    if (!validationResult) return null;
+    const ruleSummary = <EntityRuleResults results={ruleResults} ruleCount={entityRules.length} />;
+
+    if (!validationResult) return ruleSummary;
 
     // Get the profile description from the new manifest
     const profileDescription = data.structureLabel ? profileDescriptions[data.structureLabel] : 'unknown profile';
@@ -47,51 +96,60 @@ export const ValidationSummary: React.FC<{ data: GameData }> = ({ data }) => {
     switch (validationResult.status) {
         case 'UNPROFILED':
             return (
-                <div className="p-3 bg-yellow-50 border-l-4 border-yellow-400 mb-4">
-                    <h4 className="font-bold text-yellow-800">Un-profiled Structure Detected</h4>
-                    <p className="text-xs mt-1 text-yellow-700">
-                        This page has a new structure label: <strong className="font-mono">{data.structureLabel}</strong>.
-                        Please review the found data keys and add a new profile to <code>fieldManifest.ts</code>.
-                    </p>
-                </div>
+                <>
+                    <div className="p-3 bg-yellow-50 border-l-4 border-yellow-400 mb-4">
+                        <h4 className="font-bold text-yellow-800">Un-profiled Structure Detected</h4>
+                        <p className="text-xs mt-1 text-yellow-700">
+                            This page has a new structure label: <strong className="font-mono">{data.structureLabel}</strong>.
+                            Please review the found data keys and add a new profile to <code>fieldManifest.ts</code>.
+                        </p>
+                    </div>
+                    {ruleSummary}
+                </>
             );
             
         case 'MISSING_EXPECTED':
             return (
-                <div className="p-3 bg-red-50 border-l-4 border-red-400 mb-4">
-                    <h4 className="font-bold text-red-800">High-Priority Error: Missing Required Data!</h4>
+                <>
+                    <div className="p-3 bg-red-50 border-l-4 border-red-400 mb-4">
+                        <h4 className="font-bold text-red-800">High-Priority Error: Missing Required Data!</h4>
                     
-                    <FieldList 
-                        fields={validationResult.missingBaseExpectedFields}
-                        title="Missing Baseline Fields"
-                        description="These fields are required for ALL game structures."
-                    />
+                        <FieldList 
+                            fields={validationResult.missingBaseExpectedFields}
+                            title="Missing Baseline Fields"
+                            description="These fields are required for ALL game structures."
+                        />
                     
-                    <FieldList
-                        fields={validationResult.missingProfileExpectedFields}
-                        title="Missing Structure-Specific Fields"
-                        description={`For a "${profileDescription}", these additional fields were expected:`}
-                    />
-                </div>
+                        <FieldList
+                            fields={validationResult.missingProfileExpectedFields}
+                            title="Missing Structure-Specific Fields"
+                            description={`For a "${profileDescription}", these additional fields were expected:`}
+                        />
+                    </div>
+                    {ruleSummary}
+                </>
             );
             
         case 'VALID':
             return (
-                <div className="p-3 bg-green-50 border-l-4 border-green-400 mb-4">
-                    <h4 className="font-bold text-green-800">Data Integrity Check: Passed ✅</h4>
+                <>
+                    <div className="p-3 bg-green-50 border-l-4 border-green-400 mb-4">
+                        <h4 className="font-bold text-green-800">Data Integrity Check: Passed ✅</h4>
                     
-                    <div className="text-xs mt-2 space-y-1 text-green-700">
-                        <p>✓ All baseline expected fields were found.</p>
-                        {validationResult.missingProfileExpectedFields.length === 0 && (
-                             <p>✓ All specific fields for a "{profileDescription}" were found.</p>
-                        )}
-                    </div>
+                        <div className="text-xs mt-2 space-y-1 text-green-700">
+                            <p>✓ All baseline expected fields were found.</p>
+                            {validationResult.missingProfileExpectedFields.length === 0 && (
+                                 <p>✓ All specific fields for a "{profileDescription}" were found.</p>
+                            )}
+                        </div>
 
-                    {renderMissingOptional()}
-                </div>
+                        {renderMissingOptional()}
+                    </div>
+                    {ruleSummary}
+                </>
             );
             
         default:
-            return null;
+            return ruleSummary;
     }
 };
\ No newline at end of file
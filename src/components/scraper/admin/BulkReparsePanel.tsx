@@ -0,0 +1,265 @@
+// src/components/scraper/admin/BulkReparsePanel.tsx
+// Bulk re-parse of cached S3 HTML for the current entity
+//
+// Preview first: every cached page in scope is re-parsed with the current
+// parser and compared with its Game record. "Apply changes" then runs the
+// same scope in SAVE mode, re-saving changed and new games through
+// gameDataEnricher. Runs as a BackgroundTask and can be cancelled/resumed.
+
+import React, { useState } from 'react';
+import { RefreshCw, Play, Square, RotateCcw, Save, AlertTriangle, FileSearch } from 'lucide-react';
+import {
+    useBulkReparse,
+    type BulkReparseMode,
+    type BulkReparseScope,
+} from '../../../hooks/scraper/useBulkReparse';
+
+interface BulkReparsePanelProps {
+    entityId: string | null | undefined;
+}
+
+const formatValue = (value: unknown): string => {
+    if (value === null || value === undefined) return '—';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 40 ? `${text.substring(0, 37)}...` : text;
+};
+
+export const BulkReparsePanel: React.FC<BulkReparsePanelProps> = ({ entityId }) => {
+    const { task, result, isActive, starting, error, message, start, resume, cancel } = useBulkReparse(entityId);
+
+    const [startId, setStartId] = useState('');
+    const [endId, setEndId] = useState('');
+    const [scrapedFrom, setScrapedFrom] = useState('');
+    const [scrapedTo, setScrapedTo] = useState('');
+
+    const buildScope = (): BulkReparseScope => ({
+        startTournamentId: startId ? parseInt(startId, 10) : null,
+        endTournamentId: endId ? parseInt(endId, 10) : null,
+        scrapedFrom: scrapedFrom ? new Date(`${scrapedFrom}T00:00:00`).toISOString() : null,
+        scrapedTo: scrapedTo ? new Date(`${scrapedTo}T23:59:59`).toISOString() : null,
+    });
+
+    const handleStart = async (mode: BulkReparseMode) => {
+        if (mode === 'SAVE' && !window.confirm(
+            'Re-save every changed and new game in this scope through the enricher? This updates Game records.'
+        )) {
+            return;
+        }
+        await start(mode, buildScope());
+    };
+
+    const canResume = task && ['FAILED', 'CANCELLED'].includes(task.status);
+    const previewDone = result?.mode === 'PREVIEW' && task && !isActive && task.status !== 'FAILED';
+    const pendingChanges = (result?.changed || 0) + (result?.newGames || 0);
+
+    return (
+        <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center gap-2 mb-1">
+                <FileSearch className="h-5 w-5 text-indigo-600" />
+                <h3 className="text-lg font-semibold">Bulk Re-parse Cached HTML</h3>
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+                Re-run the current parser over cached pages to backfill parser fixes without re-scraping the live site.
+                Leave filters blank to include every cached page for this entity.
+            </p>
+
+            {/* Scope */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">From Tournament ID</label>
+                    <input
+                        type="number"
+                        value={startId}
+                        onChange={(e) => setStartId(e.target.value)}
+                        disabled={isActive}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">To Tournament ID</label>
+                    <input
+                        type="number"
+                        value={endId}
+                        onChange={(e) => setEndId(e.target.value)}
+                        disabled={isActive}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Scraped From</label>
+                    <input
+                        type="date"
+                        value={scrapedFrom}
+                        onChange={(e) => setScrapedFrom(e.target.value)}
+                        disabled={isActive}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                </div>
+                <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Scraped To</label>
+                    <input
+                        type="date"
+                        value={scrapedTo}
+                        onChange={(e) => setScrapedTo(e.target.value)}
+                        disabled={isActive}
+                        className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+                    />
+                </div>
+            </div>
+
+            {/* Actions */}
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+                <button
+                    onClick={() => handleStart('PREVIEW')}
+                    disabled={!entityId || isActive || starting}
+                    className="flex items-center gap-2 px-3 py-2 bg-indigo-600 text-white rounded text-sm hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {starting ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+                    Preview Changes
+                </button>
+                {previewDone && pendingChanges > 0 && (
+                    <button
+                        onClick={() => handleStart('SAVE')}
+                        disabled={starting}
+                        className="flex items-center gap-2 px-3 py-2 bg-green-600 text-white rounded text-sm hover:bg-green-700 disabled:opacity-50"
+                    >
+                        <Save className="h-4 w-4" />
+                        Apply {pendingChanges} Changes
+                    </button>
+                )}
+                {isActive && (
+                    <button
+                        onClick={cancel}
+                        className="flex items-center gap-2 px-3 py-2 bg-white border border-gray-300 rounded text-sm hover:bg-gray-100"
+                    >
+                        <Square className="h-4 w-4" />
+                        Cancel
+                    </button>
+                )}
+                {canResume && (
+                    <button
+                        onClick={resume}
+                        disabled={starting}
+                        className="flex items-center gap-2 px-3 py-2 bg-white border border-gray-300 rounded text-sm hover:bg-gray-100 disabled:opacity-50"
+                    >
+                        <RotateCcw className="h-4 w-4" />
+                        Resume
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3 flex items-start gap-2">
+                    <AlertTriangle className="h-4 w-4 text-red-500 flex-shrink-0 mt-0.5" />
+                    <p className="text-xs text-red-700">{error}</p>
+                </div>
+            )}
+            {message && !task && (
+                <p className="text-sm text-gray-600 mb-4">{message}</p>
+            )}
+
+            {/* Progress */}
+            {task && (
+                <div className="mb-4">
+                    <div className="flex justify-between text-xs text-gray-600 mb-1">
+                        <span>
+                            {result?.mode === 'SAVE' ? 'Re-saving' : 'Previewing'} · {task.status}
+                        </span>
+                        <span>{task.processedCount || 0} / {task.targetCount || 0} pages</span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div
+                            className={`h-2 rounded-full ${task.status === 'FAILED' ? 'bg-red-500' : 'bg-indigo-600'}`}
+                            style={{ width: `${Math.min(100, task.progressPercent || 0)}%` }}
+                        />
+                    </div>
+                    {task.errorMessage && (
+                        <p className="text-xs text-red-600 mt-1">{task.errorMessage}</p>
+                    )}
+                </div>
+            )}
+
+            {/* Summary */}
+            {result && (
+                <>
+                    <div className="grid grid-cols-3 md:grid-cols-6 gap-2 mb-4 text-center">
+                        {[
+                            { label: 'Scanned', value: result.scanned },
+                            { label: 'Unchanged', value: result.unchanged },
+                            { label: 'Changed', value: result.changed },
+                            { label: 'New', value: result.newGames },
+                            { label: 'Skipped', value: result.skipped },
+                            { label: 'Errors', value: result.parseErrors + result.saveErrors },
+                        ].map(({ label, value }) => (
+                            <div key={label} className="p-2 bg-gray-50 rounded">
+                                <p className="text-lg font-bold">{value}</p>
+                                <p className="text-xs text-gray-500">{label}</p>
+                            </div>
+                        ))}
+                    </div>
+
+                    {Object.keys(result.fieldChangeCounts).length > 0 && (
+                        <div className="flex flex-wrap gap-2 mb-4">
+                            {Object.entries(result.fieldChangeCounts)
+                                .sort(([, a], [, b]) => b - a)
+                                .map(([field, count]) => (
+                                    <span key={field} className="px-2 py-0.5 bg-indigo-50 text-indigo-700 rounded text-xs font-mono">
+                                        {field}: {count}
+                                    </span>
+                                ))}
+                        </div>
+                    )}
+
+                    {result.changes.length > 0 && (
+                        <div className="overflow-x-auto max-h-96 overflow-y-auto border rounded">
+                            <table className="min-w-full divide-y divide-gray-200 text-xs">
+                                <thead className="bg-gray-50 sticky top-0">
+                                    <tr>
+                                        <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase">Tournament</th>
+                                        <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase">Status</th>
+                                        <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase">Field</th>
+                                        <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase">Current</th>
+                                        <th className="px-3 py-2 text-left font-medium text-gray-500 uppercase">Re-parsed</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {result.changes.flatMap((change) => {
+                                        const rows = change.diffs.length > 0 ? change.diffs : [null];
+                                        return rows.map((diff, idx) => (
+                                            <tr key={`${change.tournamentId}-${diff?.field || 'new'}`}>
+                                                <td className="px-3 py-1 font-mono">
+                                                    {idx === 0 && (
+                                                        <a href={change.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                                                            {change.tournamentId}
+                                                        </a>
+                                                    )}
+                                                </td>
+                                                <td className="px-3 py-1">
+                                                    {idx === 0 && (
+                                                        <span className={change.status === 'NEW' ? 'text-green-700' : 'text-yellow-700'}>
+                                                            {change.saveAction || change.status}
+                                                        </span>
+                                                    )}
+                                                </td>
+                                                <td className="px-3 py-1 font-mono">{diff?.field || 'No game yet'}</td>
+                                                <td className="px-3 py-1 text-gray-500">{diff ? formatValue(diff.current) : ''}</td>
+                                                <td className="px-3 py-1">{diff ? formatValue(diff.parsed) : ''}</td>
+                                            </tr>
+                                        ));
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                    {pendingChanges > result.changes.length && (
+                        <p className="text-xs text-gray-500 mt-2">
+                            Showing the first {result.changes.length} of {pendingChanges} changed games.
+                        </p>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default BulkReparsePanel;
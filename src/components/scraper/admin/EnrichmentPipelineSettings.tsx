@@ -0,0 +1,226 @@
+// src/components/scraper/admin/EnrichmentPipelineSettings.tsx
+// Per-entity enrichment stage toggles (Entity.enrichmentStageConfig) + dry run
+//
+// Unchecked stages are skipped by gameDataEnricher for this entity's games.
+// The dry run enriches one tournament without writing anything and shows
+// each stage's status and the fields it changed.
+
+import React, { useState, useEffect } from 'react';
+import { Layers, Save, RefreshCw, CheckCircle, AlertTriangle, Play } from 'lucide-react';
+import {
+    useEnrichmentPipeline,
+    ENRICHMENT_STAGES,
+    type EnrichmentStageConfig,
+} from '../../../hooks/enrichment/useEnrichmentPipeline';
+import type { EnrichmentStageStatus } from '../../../types/enrichment';
+
+interface EnrichmentPipelineSettingsProps {
+    entityId: string | null | undefined;
+    entityName?: string;
+}
+
+const STATUS_CLASSES: Record<EnrichmentStageStatus, string> = {
+    RAN: 'bg-green-100 text-green-800',
+    SKIPPED: 'bg-gray-100 text-gray-700',
+    DISABLED: 'bg-yellow-100 text-yellow-800',
+    FAILED: 'bg-red-100 text-red-800',
+    STOPPED: 'bg-gray-100 text-gray-500',
+};
+
+export const EnrichmentPipelineSettings: React.FC<EnrichmentPipelineSettingsProps> = ({ entityId, entityName }) => {
+    const { stageConfig, loading, saving, running, error, dryRunResult, saveStageConfig, runDryRun } = useEnrichmentPipeline(entityId);
+
+    const [localConfig, setLocalConfig] = useState<EnrichmentStageConfig>({});
+    const [dryRunUrl, setDryRunUrl] = useState('');
+    const [saveSuccess, setSaveSuccess] = useState(false);
+
+    useEffect(() => {
+        setLocalConfig(stageConfig);
+    }, [stageConfig]);
+
+    const isEnabled = (stage: string) => localConfig[stage] !== false;
+
+    const toggleStage = (stage: string) => {
+        setLocalConfig(prev => ({ ...prev, [stage]: !isEnabled(stage) }));
+    };
+
+    const handleSave = async () => {
+        setSaveSuccess(false);
+        const success = await saveStageConfig(localConfig);
+        if (success) {
+            setSaveSuccess(true);
+            setTimeout(() => setSaveSuccess(false), 3000);
+        }
+    };
+
+    // Dry run uses the unsaved toggles so a change can be tried before saving
+    const handleDryRun = async () => {
+        if (!dryRunUrl.trim()) return;
+        const disabledStages = ENRICHMENT_STAGES
+            .filter(({ stage, required }) => !required && !isEnabled(stage))
+            .map(({ stage }) => stage);
+        await runDryRun(dryRunUrl.trim(), disabledStages);
+    };
+
+    if (!entityId) {
+        return (
+            <div className="bg-white rounded-lg shadow p-6 text-sm text-gray-500">
+                Select an entity to configure its enrichment pipeline.
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center gap-2 mb-4">
+                <Layers className="h-5 w-5 text-purple-600" />
+                <h3 className="text-lg font-semibold">Enrichment Pipeline{entityName ? ` - ${entityName}` : ''}</h3>
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+                Choose which enrichment steps run for this entity's games. Required steps can't be turned off.
+                Use a dry run to see what each step would change for one tournament - nothing is saved.
+            </p>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3 flex items-start gap-2">
+                    <AlertTriangle className="h-4 w-4 text-red-500 flex-shrink-0 mt-0.5" />
+                    <p className="text-xs text-red-700">{error}</p>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center py-8">
+                    <RefreshCw className="h-6 w-6 animate-spin text-blue-600" />
+                </div>
+            ) : (
+                <>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                        {ENRICHMENT_STAGES.map(({ stage, label, description, required }) => (
+                            <label
+                                key={stage}
+                                className={`flex items-start gap-3 p-2 rounded border ${required ? 'border-gray-100 bg-gray-50' : 'border-gray-200 cursor-pointer hover:bg-gray-50'}`}
+                            >
+                                <input
+                                    type="checkbox"
+                                    checked={required || isEnabled(stage)}
+                                    disabled={required}
+                                    onChange={() => toggleStage(stage)}
+                                    className="mt-0.5 h-4 w-4 text-purple-600 border-gray-300 rounded"
+                                />
+                                <div>
+                                    <div className="text-sm font-medium text-gray-900">
+                                        {label}
+                                        {required && <span className="ml-2 text-xs text-gray-400">required</span>}
+                                    </div>
+                                    <div className="text-xs text-gray-500">{description}</div>
+                                </div>
+                            </label>
+                        ))}
+                    </div>
+
+                    <div className="flex items-center justify-between mt-4">
+                        <div>
+                            {saveSuccess && (
+                                <div className="flex items-center gap-2 text-green-600">
+                                    <CheckCircle className="h-4 w-4" />
+                                    <span className="text-sm">Pipeline config saved</span>
+                                </div>
+                            )}
+                        </div>
+                        <button
+                            onClick={handleSave}
+                            disabled={saving}
+                            className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg text-sm hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {saving ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                            Save Pipeline Config
+                        </button>
+                    </div>
+
+                    <div className="mt-6 pt-4 border-t border-gray-200">
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Dry Run
+                        </label>
+                        <div className="flex items-center gap-2">
+                            <input
+                                type="text"
+                                value={dryRunUrl}
+                                onChange={(e) => setDryRunUrl(e.target.value)}
+                                placeholder="Tournament URL"
+                                className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm font-mono"
+                            />
+                            <button
+                                onClick={handleDryRun}
+                                disabled={running || !dryRunUrl.trim()}
+                                className="flex items-center gap-2 px-4 py-2 bg-gray-700 text-white rounded-lg text-sm hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {running ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Play className="h-4 w-4" />}
+                                Run
+                            </button>
+                        </div>
+
+                        {dryRunResult && (
+                            <div className="mt-4">
+                                <div className="text-xs text-gray-500 mb-2">
+                                    {dryRunResult.success ? 'Completed' : 'Did not complete'}
+                                    {dryRunResult.processingTimeMs !== null && ` in ${dryRunResult.processingTimeMs}ms`}
+                                    {dryRunResult.validation && !dryRunResult.validation.isValid && (
+                                        <span className="text-red-600">
+                                            {' '}- validation failed: {dryRunResult.validation.errors.map(e => e.message).join('; ')}
+                                        </span>
+                                    )}
+                                </div>
+                                <div className="overflow-x-auto">
+                                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                                        <thead className="bg-gray-50">
+                                            <tr>
+                                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Stage</th>
+                                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Changes</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-gray-100">
+                                            {dryRunResult.trace.map(entry => (
+                                                <tr key={entry.stage} className="align-top">
+                                                    <td className="px-3 py-2">
+                                                        <div className="font-medium text-gray-900">{entry.label || entry.stage}</div>
+                                                        {entry.reason && <div className="text-xs text-gray-400">{entry.reason}</div>}
+                                                    </td>
+                                                    <td className="px-3 py-2">
+                                                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_CLASSES[entry.status] || STATUS_CLASSES.SKIPPED}`}>
+                                                            {entry.status}
+                                                        </span>
+                                                    </td>
+                                                    <td className="px-3 py-2 text-xs text-gray-500">{entry.durationMs}ms</td>
+                                                    <td className="px-3 py-2">
+                                                        {entry.changes.length === 0 ? (
+                                                            <span className="text-xs text-gray-400">-</span>
+                                                        ) : (
+                                                            <ul className="space-y-0.5">
+                                                                {entry.changes.map(change => (
+                                                                    <li key={change.field} className="text-xs font-mono">
+                                                                        <span className="text-gray-700">{change.field}</span>:{' '}
+                                                                        <span className="text-red-600">{change.before ?? 'null'}</span>
+                                                                        {' -> '}
+                                                                        <span className="text-green-700">{change.after ?? 'null'}</span>
+                                                                    </li>
+                                                                ))}
+                                                            </ul>
+                                                        )}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default EnrichmentPipelineSettings;
@@ -0,0 +1,173 @@
+// src/components/scraper/admin/FetchProviderOrderEditor.tsx
+// Per-entity live fetch provider order (Entity.fetchProviderOrder)
+//
+// Live fetches try the enabled providers top to bottom. The scraper fails
+// over to the next one on a bot block / CAPTCHA page or repeated timeouts,
+// and moves unhealthy providers to the back until they recover.
+
+import React, { useState, useEffect } from 'react';
+import { Network, Save, RefreshCw, CheckCircle, AlertTriangle, ArrowUp, ArrowDown } from 'lucide-react';
+import {
+    useEntityParserConfig,
+    FETCH_PROVIDERS,
+    DEFAULT_FETCH_PROVIDER_ORDER,
+    type FetchProvider,
+} from '../../../hooks/scraper/useEntityParserConfig';
+
+interface FetchProviderOrderEditorProps {
+    entityId: string | null | undefined;
+    entityName?: string;
+}
+
+interface ProviderRow {
+    provider: FetchProvider;
+    enabled: boolean;
+}
+
+// Enabled providers in order, then the disabled ones
+const buildRows = (order: FetchProvider[]): ProviderRow[] => [
+    ...order.map(provider => ({ provider, enabled: true })),
+    ...FETCH_PROVIDERS
+        .filter(({ provider }) => !order.includes(provider))
+        .map(({ provider }) => ({ provider, enabled: false })),
+];
+
+export const FetchProviderOrderEditor: React.FC<FetchProviderOrderEditorProps> = ({ entityId, entityName }) => {
+    const { fetchProviderOrder, loading, saving, error, saveConfig } = useEntityParserConfig(entityId);
+
+    const [rows, setRows] = useState<ProviderRow[]>(() => buildRows(DEFAULT_FETCH_PROVIDER_ORDER));
+    const [saveSuccess, setSaveSuccess] = useState(false);
+
+    useEffect(() => {
+        setRows(buildRows(fetchProviderOrder || DEFAULT_FETCH_PROVIDER_ORDER));
+    }, [fetchProviderOrder]);
+
+    const move = (index: number, direction: -1 | 1) => {
+        setRows(prev => {
+            const target = index + direction;
+            if (target < 0 || target >= prev.length) return prev;
+            const next = [...prev];
+            [next[index], next[target]] = [next[target], next[index]];
+            return next;
+        });
+    };
+
+    const toggle = (index: number) => {
+        setRows(prev => prev.map((row, i) => i === index ? { ...row, enabled: !row.enabled } : row));
+    };
+
+    const handleSave = async (useDefault = false) => {
+        setSaveSuccess(false);
+
+        const order = rows.filter(r => r.enabled).map(r => r.provider);
+        const isDefault = order.join(',') === DEFAULT_FETCH_PROVIDER_ORDER.join(',');
+        const success = await saveConfig({ fetchProviderOrder: useDefault || isDefault ? null : order });
+        if (success) {
+            setSaveSuccess(true);
+            setTimeout(() => setSaveSuccess(false), 3000);
+        }
+    };
+
+    if (!entityId) {
+        return null;
+    }
+
+    const enabledCount = rows.filter(r => r.enabled).length;
+
+    return (
+        <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center gap-2 mb-4">
+                <Network className="h-5 w-5 text-teal-600" />
+                <h3 className="text-lg font-semibold">Fetch Providers{entityName ? ` - ${entityName}` : ''}</h3>
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+                Live fetches try the enabled providers in this order, failing over on a bot block or repeated timeouts.
+                Providers without credentials configured on the scraper Lambda are skipped.
+                {!fetchProviderOrder && ' This entity uses the default order.'}
+            </p>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3 flex items-start gap-2">
+                    <AlertTriangle className="h-4 w-4 text-red-500 flex-shrink-0 mt-0.5" />
+                    <p className="text-xs text-red-700">{error}</p>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center py-8">
+                    <RefreshCw className="h-6 w-6 animate-spin text-blue-600" />
+                </div>
+            ) : (
+                <>
+                    <ul className="divide-y divide-gray-100 border rounded-md">
+                        {rows.map((row, index) => {
+                            const meta = FETCH_PROVIDERS.find(p => p.provider === row.provider);
+                            return (
+                                <li key={row.provider} className="flex items-center gap-3 px-3 py-2">
+                                    <input
+                                        type="checkbox"
+                                        checked={row.enabled}
+                                        onChange={() => toggle(index)}
+                                        className="h-4 w-4"
+                                    />
+                                    <div className={`flex-1 ${row.enabled ? '' : 'opacity-50'}`}>
+                                        <div className="text-sm font-medium text-gray-900">{meta?.label || row.provider}</div>
+                                        <div className="text-xs text-gray-500">{meta?.description}</div>
+                                    </div>
+                                    <button
+                                        onClick={() => move(index, -1)}
+                                        disabled={index === 0}
+                                        className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                                        title="Move up"
+                                    >
+                                        <ArrowUp className="h-4 w-4" />
+                                    </button>
+                                    <button
+                                        onClick={() => move(index, 1)}
+                                        disabled={index === rows.length - 1}
+                                        className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                                        title="Move down"
+                                    >
+                                        <ArrowDown className="h-4 w-4" />
+                                    </button>
+                                </li>
+                            );
+                        })}
+                    </ul>
+
+                    <div className="flex items-center justify-between mt-4">
+                        <div>
+                            {saveSuccess && (
+                                <div className="flex items-center gap-2 text-green-600">
+                                    <CheckCircle className="h-4 w-4" />
+                                    <span className="text-sm">Provider order saved</span>
+                                </div>
+                            )}
+                        </div>
+                        <div className="flex items-center gap-2">
+                            {fetchProviderOrder && (
+                                <button
+                                    onClick={() => handleSave(true)}
+                                    disabled={saving}
+                                    className="px-4 py-2 bg-white border border-gray-300 rounded-lg text-sm hover:bg-gray-100 disabled:opacity-50"
+                                >
+                                    Reset to Default
+                                </button>
+                            )}
+                            <button
+                                onClick={() => handleSave()}
+                                disabled={saving || enabledCount === 0}
+                                className="flex items-center gap-2 px-4 py-2 bg-teal-600 text-white rounded-lg text-sm hover:bg-teal-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                {saving ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                                Save Provider Order
+                            </button>
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default FetchProviderOrderEditor;
@@ -99,6 +99,7 @@ export const ProgressSummary: React.FC<ProgressSummaryProps> = ({
       case 'range': return 'Range';
       case 'gaps': return 'Fill Gaps';
       case 'refresh': return 'Refresh';
+      case 'priority': return 'Priority';
       case 'auto': return 'Auto';
       default: return mode;
     }
@@ -0,0 +1,461 @@
+// src/components/scraper/admin/ScraperScheduleManager.tsx
+// Per-entity scheduled scraper jobs (ScraperSchedule) and quiet hours
+//
+// autoScraper checks schedules every 5 minutes and starts a job with the
+// saved mode/options when the cron expression is due. Nothing is started
+// during the entity's quiet hours, while scraping is disabled for the
+// entity, or while another job is already running for it.
+
+import React, { useState, useEffect } from 'react';
+import { CalendarClock, Plus, Pencil, Trash2, Save, RefreshCw, CheckCircle, AlertTriangle, X, Moon } from 'lucide-react';
+import {
+    useScraperSchedules,
+    SCHEDULE_MODES,
+    CRON_PRESETS,
+    DEFAULT_SCHEDULE_TIMEZONE,
+    isValidCronExpression,
+    isValidTimeOfDay,
+    type ScraperSchedule,
+    type ScraperScheduleInput,
+    type ScheduleJobMode,
+    type ScheduleJobOptions,
+} from '../../../hooks/scraper/useScraperSchedules';
+import { formatRelativeAEST } from '../../../utils/dateUtils';
+
+interface ScraperScheduleManagerProps {
+    entityId: string | null | undefined;
+    entityName?: string;
+}
+
+const NUMBER_OPTIONS: { key: keyof ScheduleJobOptions; label: string; modes: ScheduleJobMode[] }[] = [
+    { key: 'bulkCount', label: 'Bulk count / budget', modes: ['bulk', 'priority'] },
+    { key: 'startId', label: 'Start ID', modes: ['range'] },
+    { key: 'endId', label: 'End ID', modes: ['range'] },
+    { key: 'maxId', label: 'Max ID', modes: ['auto'] },
+    { key: 'maxGapIds', label: 'Max gap IDs', modes: ['gaps'] },
+    { key: 'maxConsecutiveNotFound', label: 'Stop after N not found', modes: ['auto', 'bulk', 'range', 'gaps', 'refresh', 'priority'] },
+    { key: 'maxConsecutiveErrors', label: 'Stop after N errors', modes: ['auto', 'bulk', 'range', 'gaps', 'refresh', 'priority'] },
+];
+
+const BOOLEAN_OPTIONS: { key: keyof ScheduleJobOptions; label: string }[] = [
+    { key: 'forceRefresh', label: 'Force refresh (ignore cache)' },
+    { key: 'skipNotPublished', label: 'Skip not published' },
+    { key: 'skipNotFoundGaps', label: 'Skip known not-found gaps' },
+];
+
+const EMPTY_FORM: ScraperScheduleInput = {
+    name: '',
+    enabled: true,
+    mode: 'auto',
+    cronExpression: '0 * * * *',
+    options: {},
+};
+
+const getStatusColor = (status?: string | null): string => {
+    if (!status) return 'text-gray-400';
+    if (status === 'STARTED') return 'text-green-600';
+    if (status === 'FAILED' || status === 'INVALID_SCHEDULE') return 'text-red-600';
+    return 'text-amber-600';
+};
+
+const formatStatus = (status?: string | null): string =>
+    status ? status.replace(/_/g, ' ').toLowerCase() : 'never run';
+
+export const ScraperScheduleManager: React.FC<ScraperScheduleManagerProps> = ({ entityId, entityName }) => {
+    const {
+        schedules,
+        settings,
+        loading,
+        saving,
+        error,
+        createSchedule,
+        updateSchedule,
+        deleteSchedule,
+        saveSettings,
+    } = useScraperSchedules(entityId);
+
+    const [editingId, setEditingId] = useState<string | null>(null);
+    const [showForm, setShowForm] = useState(false);
+    const [form, setForm] = useState<ScraperScheduleInput>(EMPTY_FORM);
+    const [timezone, setTimezone] = useState('');
+    const [quietStart, setQuietStart] = useState('');
+    const [quietEnd, setQuietEnd] = useState('');
+    const [saveSuccess, setSaveSuccess] = useState<string | null>(null);
+
+    useEffect(() => {
+        setTimezone(settings.scraperTimezone || '');
+        setQuietStart(settings.scraperQuietHoursStart || '');
+        setQuietEnd(settings.scraperQuietHoursEnd || '');
+    }, [settings.scraperTimezone, settings.scraperQuietHoursStart, settings.scraperQuietHoursEnd]);
+
+    const flashSuccess = (message: string) => {
+        setSaveSuccess(message);
+        setTimeout(() => setSaveSuccess(null), 3000);
+    };
+
+    const openCreate = () => {
+        setEditingId(null);
+        setForm(EMPTY_FORM);
+        setShowForm(true);
+    };
+
+    const openEdit = (schedule: ScraperSchedule) => {
+        setEditingId(schedule.id);
+        setForm({
+            name: schedule.name,
+            enabled: schedule.enabled,
+            mode: schedule.mode,
+            cronExpression: schedule.cronExpression,
+            options: schedule.options,
+        });
+        setShowForm(true);
+    };
+
+    const closeForm = () => {
+        setShowForm(false);
+        setEditingId(null);
+    };
+
+    const setOption = (key: keyof ScheduleJobOptions, value: number | boolean | null) => {
+        setForm(prev => ({ ...prev, options: { ...prev.options, [key]: value } }));
+    };
+
+    // Only keep the options that apply to the selected mode
+    const getModeOptions = (input: ScraperScheduleInput): ScheduleJobOptions => {
+        const allowed = new Set<string>([
+            ...NUMBER_OPTIONS.filter(o => o.modes.includes(input.mode)).map(o => o.key),
+            ...BOOLEAN_OPTIONS.map(o => o.key),
+        ]);
+        return Object.fromEntries(
+            Object.entries(input.options).filter(([key]) => allowed.has(key))
+        ) as ScheduleJobOptions;
+    };
+
+    const cronValid = isValidCronExpression(form.cronExpression);
+    const rangeValid = form.mode !== 'range' || (
+        form.options.startId != null && form.options.endId != null && form.options.startId <= form.options.endId
+    );
+    const formValid = form.name.trim().length > 0 && cronValid && rangeValid;
+
+    const handleSubmit = async () => {
+        if (!formValid) return;
+        const input = { ...form, options: getModeOptions(form) };
+        const success = editingId
+            ? await updateSchedule(editingId, input)
+            : await createSchedule(input);
+        if (success) {
+            closeForm();
+            flashSuccess(editingId ? 'Schedule updated' : 'Schedule created');
+        }
+    };
+
+    const handleDelete = async (schedule: ScraperSchedule) => {
+        if (!window.confirm(`Delete schedule "${schedule.name}"?`)) return;
+        if (await deleteSchedule(schedule.id)) {
+            if (editingId === schedule.id) closeForm();
+            flashSuccess('Schedule deleted');
+        }
+    };
+
+    const quietHoursValid =
+        (!quietStart && !quietEnd) ||
+        (isValidTimeOfDay(quietStart) && isValidTimeOfDay(quietEnd) && quietStart !== quietEnd);
+
+    const handleSaveSettings = async () => {
+        if (!quietHoursValid) return;
+        const success = await saveSettings({
+            scraperTimezone: timezone || null,
+            scraperQuietHoursStart: quietStart || null,
+            scraperQuietHoursEnd: quietEnd || null,
+        });
+        if (success) flashSuccess('Quiet hours saved');
+    };
+
+    if (!entityId) {
+        return null;
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <CalendarClock className="h-5 w-5 text-indigo-600" />
+                    <h3 className="text-lg font-semibold">Scraper Schedules{entityName ? ` - ${entityName}` : ''}</h3>
+                </div>
+                {!showForm && (
+                    <button
+                        onClick={openCreate}
+                        disabled={loading}
+                        className="flex items-center gap-1 px-3 py-1.5 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                        <Plus className="h-4 w-4" />
+                        New Schedule
+                    </button>
+                )}
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+                Saved jobs run automatically when their cron expression is due (checked every 5 minutes, in the
+                entity's timezone). A schedule is skipped during quiet hours, while scraping is disabled for the
+                entity, or while another job is running. Entities with schedules are left out of the daily
+                scheduled scrape.
+            </p>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3 flex items-start gap-2">
+                    <AlertTriangle className="h-4 w-4 text-red-500 flex-shrink-0 mt-0.5" />
+                    <p className="text-xs text-red-700">{error}</p>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center py-8">
+                    <RefreshCw className="h-6 w-6 animate-spin text-blue-600" />
+                </div>
+            ) : (
+                <>
+                    {/* Schedule form */}
+                    {showForm && (
+                        <div className="mb-4 border border-indigo-200 bg-indigo-50/40 rounded-md p-4 space-y-3">
+                            <div className="flex items-center justify-between">
+                                <h4 className="text-sm font-semibold text-gray-900">
+                                    {editingId ? 'Edit Schedule' : 'New Schedule'}
+                                </h4>
+                                <button onClick={closeForm} className="p-1 text-gray-500 hover:text-gray-900" title="Cancel">
+                                    <X className="h-4 w-4" />
+                                </button>
+                            </div>
+
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                                <label className="block">
+                                    <span className="text-xs font-medium text-gray-700">Name</span>
+                                    <input
+                                        type="text"
+                                        value={form.name}
+                                        onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))}
+                                        placeholder="e.g. Evening refresh"
+                                        className="mt-1 w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                                    />
+                                </label>
+                                <label className="block">
+                                    <span className="text-xs font-medium text-gray-700">Mode</span>
+                                    <select
+                                        value={form.mode}
+                                        onChange={e => setForm(prev => ({ ...prev, mode: e.target.value as ScheduleJobMode }))}
+                                        className="mt-1 w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                                    >
+                                        {SCHEDULE_MODES.map(({ mode, label }) => (
+                                            <option key={mode} value={mode}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <span className="text-xs text-gray-500">
+                                        {SCHEDULE_MODES.find(m => m.mode === form.mode)?.description}
+                                    </span>
+                                </label>
+                            </div>
+
+                            <div>
+                                <label className="block">
+                                    <span className="text-xs font-medium text-gray-700">Cron expression (minute hour day month weekday)</span>
+                                    <input
+                                        type="text"
+                                        value={form.cronExpression}
+                                        onChange={e => setForm(prev => ({ ...prev, cronExpression: e.target.value }))}
+                                        className={`mt-1 w-full px-3 py-1.5 border rounded-md text-sm font-mono ${cronValid ? 'border-gray-300' : 'border-red-400'}`}
+                                    />
+                                </label>
+                                {!cronValid && (
+                                    <p className="text-xs text-red-600 mt-1">Invalid cron expression</p>
+                                )}
+                                <div className="flex flex-wrap gap-1 mt-2">
+                                    {CRON_PRESETS.map(preset => (
+                                        <button
+                                            key={preset.cron}
+                                            onClick={() => setForm(prev => ({ ...prev, cronExpression: preset.cron }))}
+                                            className="px-2 py-0.5 text-xs bg-white border border-gray-300 rounded hover:bg-gray-100"
+                                        >
+                                            {preset.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                                {NUMBER_OPTIONS.filter(o => o.modes.includes(form.mode)).map(({ key, label }) => (
+                                    <label key={key} className="block">
+                                        <span className="text-xs font-medium text-gray-700">{label}</span>
+                                        <input
+                                            type="number"
+                                            min={0}
+                                            value={(form.options[key] as number | null | undefined) ?? ''}
+                                            onChange={e => setOption(key, e.target.value === '' ? null : parseInt(e.target.value, 10))}
+                                            placeholder="default"
+                                            className="mt-1 w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                                        />
+                                    </label>
+                                ))}
+                            </div>
+                            {!rangeValid && (
+                                <p className="text-xs text-red-600">Range mode needs a start ID no greater than the end ID</p>
+                            )}
+
+                            <div className="flex flex-wrap gap-4">
+                                {BOOLEAN_OPTIONS.map(({ key, label }) => (
+                                    <label key={key} className="flex items-center gap-2 text-sm text-gray-700">
+                                        <input
+                                            type="checkbox"
+                                            checked={!!form.options[key]}
+                                            onChange={e => setOption(key, e.target.checked || null)}
+                                            className="h-4 w-4"
+                                        />
+                                        {label}
+                                    </label>
+                                ))}
+                                <label className="flex items-center gap-2 text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={form.enabled}
+                                        onChange={e => setForm(prev => ({ ...prev, enabled: e.target.checked }))}
+                                        className="h-4 w-4"
+                                    />
+                                    Enabled
+                                </label>
+                            </div>
+
+                            <div className="flex justify-end">
+                                <button
+                                    onClick={handleSubmit}
+                                    disabled={saving || !formValid}
+                                    className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    {saving ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                                    {editingId ? 'Save Schedule' : 'Create Schedule'}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Schedule list */}
+                    {schedules.length === 0 ? (
+                        <p className="text-sm text-gray-500 italic py-4 text-center border rounded-md">
+                            No schedules - this entity is only scraped by the daily scheduled run and manual jobs.
+                        </p>
+                    ) : (
+                        <ul className="divide-y divide-gray-100 border rounded-md">
+                            {schedules.map(schedule => (
+                                <li key={schedule.id} className="flex items-center gap-3 px-3 py-2">
+                                    <input
+                                        type="checkbox"
+                                        checked={schedule.enabled}
+                                        onChange={() => updateSchedule(schedule.id, { enabled: !schedule.enabled })}
+                                        disabled={saving}
+                                        className="h-4 w-4"
+                                        title={schedule.enabled ? 'Disable schedule' : 'Enable schedule'}
+                                    />
+                                    <div className={`flex-1 min-w-0 ${schedule.enabled ? '' : 'opacity-50'}`}>
+                                        <div className="flex items-center gap-2">
+                                            <span className="text-sm font-medium text-gray-900">{schedule.name}</span>
+                                            <span className="px-1.5 py-0.5 text-xs rounded bg-gray-100 text-gray-700">{schedule.mode}</span>
+                                            <code className="text-xs text-gray-600">{schedule.cronExpression}</code>
+                                        </div>
+                                        <div className="text-xs text-gray-500 flex flex-wrap gap-x-3">
+                                            <span>
+                                                Next: {schedule.enabled && schedule.nextRunAt ? formatRelativeAEST(schedule.nextRunAt) : '-'}
+                                            </span>
+                                            <span>
+                                                Last: {schedule.lastRunAt ? formatRelativeAEST(schedule.lastRunAt) : '-'}
+                                            </span>
+                                            <span className={getStatusColor(schedule.lastRunStatus)}>
+                                                {formatStatus(schedule.lastRunStatus)}
+                                            </span>
+                                        </div>
+                                    </div>
+                                    <button
+                                        onClick={() => openEdit(schedule)}
+                                        className="p-1 text-gray-500 hover:text-gray-900"
+                                        title="Edit"
+                                    >
+                                        <Pencil className="h-4 w-4" />
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(schedule)}
+                                        disabled={saving}
+                                        className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-30"
+                                        title="Delete"
+                                    >
+                                        <Trash2 className="h-4 w-4" />
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {/* Quiet hours */}
+                    <div className="mt-6 border-t pt-4">
+                        <div className="flex items-center gap-2 mb-2">
+                            <Moon className="h-4 w-4 text-gray-600" />
+                            <h4 className="text-sm font-semibold text-gray-900">Quiet Hours</h4>
+                        </div>
+                        <p className="text-xs text-gray-500 mb-3">
+                            No scheduled scraping (schedules or the daily run) between these times. Leave both empty to
+                            allow scraping at any time. Ranges past midnight (e.g. 23:00 - 07:00) are supported.
+                        </p>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                            <label className="block">
+                                <span className="text-xs font-medium text-gray-700">Start (HH:mm)</span>
+                                <input
+                                    type="time"
+                                    value={quietStart}
+                                    onChange={e => setQuietStart(e.target.value)}
+                                    className="mt-1 w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                                />
+                            </label>
+                            <label className="block">
+                                <span className="text-xs font-medium text-gray-700">End (HH:mm)</span>
+                                <input
+                                    type="time"
+                                    value={quietEnd}
+                                    onChange={e => setQuietEnd(e.target.value)}
+                                    className="mt-1 w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                                />
+                            </label>
+                            <label className="block">
+                                <span className="text-xs font-medium text-gray-700">Timezone</span>
+                                <input
+                                    type="text"
+                                    value={timezone}
+                                    onChange={e => setTimezone(e.target.value)}
+                                    placeholder={DEFAULT_SCHEDULE_TIMEZONE}
+                                    className="mt-1 w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                                />
+                            </label>
+                        </div>
+                        {!quietHoursValid && (
+                            <p className="text-xs text-red-600 mt-1">Set both a start and a different end time, or neither</p>
+                        )}
+                    </div>
+
+                    <div className="flex items-center justify-between mt-4">
+                        <div>
+                            {saveSuccess && (
+                                <div className="flex items-center gap-2 text-green-600">
+                                    <CheckCircle className="h-4 w-4" />
+                                    <span className="text-sm">{saveSuccess}</span>
+                                </div>
+                            )}
+                        </div>
+                        <button
+                            onClick={handleSaveSettings}
+                            disabled={saving || !quietHoursValid}
+                            className="flex items-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {saving ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                            Save Quiet Hours
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ScraperScheduleManager;
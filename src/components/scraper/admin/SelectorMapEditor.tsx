@@ -0,0 +1,202 @@
+// src/components/scraper/admin/SelectorMapEditor.tsx
+// Per-entity parser selector overrides (Entity.scraperSelectorMap)
+//
+// Each row maps a scraped field to a CSS selector + transform. Fields left
+// blank use the parser's built-in getter. The scraper falls back to the
+// built-in getter whenever a configured selector finds nothing.
+
+import React, { useState, useEffect } from 'react';
+import { Code, Save, RefreshCw, CheckCircle, AlertTriangle } from 'lucide-react';
+import {
+    useEntityParserConfig,
+    SELECTOR_MAP_FIELDS,
+    SELECTOR_TRANSFORMS,
+    type SelectorMap,
+    type SelectorTransform,
+} from '../../../hooks/scraper/useEntityParserConfig';
+
+interface SelectorMapEditorProps {
+    entityId: string | null | undefined;
+    entityName?: string;
+}
+
+export const SelectorMapEditor: React.FC<SelectorMapEditorProps> = ({ entityId, entityName }) => {
+    const { scraperStrategy, selectorMap, loading, saving, error, saveConfig } = useEntityParserConfig(entityId);
+
+    const [localMap, setLocalMap] = useState<SelectorMap>({});
+    const [localStrategy, setLocalStrategy] = useState('');
+    const [saveSuccess, setSaveSuccess] = useState(false);
+
+    useEffect(() => {
+        setLocalMap(selectorMap);
+    }, [selectorMap]);
+
+    useEffect(() => {
+        setLocalStrategy(scraperStrategy || '');
+    }, [scraperStrategy]);
+
+    const updateField = (field: string, changes: Partial<SelectorMap[string]>, defaultTransform: SelectorTransform) => {
+        setLocalMap(prev => {
+            const current = prev[field] || { selector: '', transform: defaultTransform };
+            return { ...prev, [field]: { ...current, ...changes } };
+        });
+    };
+
+    const handleSave = async () => {
+        setSaveSuccess(false);
+
+        // Drop rows without a selector so they fall back to the built-in getter
+        const cleaned: SelectorMap = {};
+        Object.entries(localMap).forEach(([field, config]) => {
+            if (!config.selector?.trim()) return;
+            cleaned[field] = {
+                selector: config.selector.trim(),
+                transform: config.transform,
+                ...(config.attribute?.trim() ? { attribute: config.attribute.trim() } : {}),
+                ...(config.pattern?.trim() ? { pattern: config.pattern.trim() } : {}),
+            };
+        });
+
+        const success = await saveConfig({ scraperStrategy: localStrategy, selectorMap: cleaned });
+        if (success) {
+            setSaveSuccess(true);
+            setTimeout(() => setSaveSuccess(false), 3000);
+        }
+    };
+
+    if (!entityId) {
+        return (
+            <div className="bg-white rounded-lg shadow p-6 text-sm text-gray-500">
+                Select an entity to configure its parser.
+            </div>
+        );
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center gap-2 mb-4">
+                <Code className="h-5 w-5 text-purple-600" />
+                <h3 className="text-lg font-semibold">Parser Selectors{entityName ? ` - ${entityName}` : ''}</h3>
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+                Override how individual fields are read from this entity's tournament pages.
+                Leave a selector blank to use the built-in parser. If a selector finds nothing, the built-in parser is used instead.
+                Changes apply to new scrapes within 5 minutes.
+            </p>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3 flex items-start gap-2">
+                    <AlertTriangle className="h-4 w-4 text-red-500 flex-shrink-0 mt-0.5" />
+                    <p className="text-xs text-red-700">{error}</p>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center py-8">
+                    <RefreshCw className="h-6 w-6 animate-spin text-blue-600" />
+                </div>
+            ) : (
+                <>
+                    <div className="mb-4">
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Parser Strategy
+                        </label>
+                        <input
+                            type="text"
+                            value={localStrategy}
+                            onChange={(e) => setLocalStrategy(e.target.value)}
+                            placeholder="Auto-detect"
+                            className="w-64 px-3 py-2 border border-gray-300 rounded-md text-sm font-mono"
+                        />
+                    </div>
+
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Field</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">CSS Selector</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Transform</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Attribute</th>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Pattern</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {SELECTOR_MAP_FIELDS.map(({ field, label, defaultTransform }) => {
+                                    const config = localMap[field];
+                                    return (
+                                        <tr key={field}>
+                                            <td className="px-3 py-2">
+                                                <div className="font-medium text-gray-900">{label}</div>
+                                                <div className="text-xs text-gray-400 font-mono">{field}</div>
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <input
+                                                    type="text"
+                                                    value={config?.selector || ''}
+                                                    onChange={(e) => updateField(field, { selector: e.target.value }, defaultTransform)}
+                                                    placeholder="Built-in"
+                                                    className="w-full px-2 py-1 border border-gray-300 rounded text-xs font-mono"
+                                                />
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <select
+                                                    value={config?.transform || defaultTransform}
+                                                    onChange={(e) => updateField(field, { transform: e.target.value as SelectorTransform }, defaultTransform)}
+                                                    className="px-2 py-1 border border-gray-300 rounded text-xs"
+                                                >
+                                                    {SELECTOR_TRANSFORMS.map(t => (
+                                                        <option key={t} value={t}>{t}</option>
+                                                    ))}
+                                                </select>
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <input
+                                                    type="text"
+                                                    value={config?.attribute || ''}
+                                                    onChange={(e) => updateField(field, { attribute: e.target.value }, defaultTransform)}
+                                                    placeholder="text"
+                                                    className="w-28 px-2 py-1 border border-gray-300 rounded text-xs font-mono"
+                                                />
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <input
+                                                    type="text"
+                                                    value={config?.pattern || ''}
+                                                    onChange={(e) => updateField(field, { pattern: e.target.value }, defaultTransform)}
+                                                    placeholder="optional regex"
+                                                    className="w-36 px-2 py-1 border border-gray-300 rounded text-xs font-mono"
+                                                />
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="flex items-center justify-between mt-4">
+                        <div>
+                            {saveSuccess && (
+                                <div className="flex items-center gap-2 text-green-600">
+                                    <CheckCircle className="h-4 w-4" />
+                                    <span className="text-sm">Parser config saved</span>
+                                </div>
+                            )}
+                        </div>
+                        <button
+                            onClick={handleSave}
+                            disabled={saving}
+                            className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg text-sm hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {saving ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                            Save Parser Config
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SelectorMapEditor;
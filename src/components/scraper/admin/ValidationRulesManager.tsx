@@ -0,0 +1,350 @@
+// src/components/scraper/admin/ValidationRulesManager.tsx
+// Per-entity custom validation rules (ValidationRule)
+//
+// gameDataEnricher runs these after its built-in checks. A rule fires when
+// its condition is true and adds an error (game is not saved) or warning.
+// Rules can also switch off built-in checks that don't suit the entity.
+
+import React, { useState } from 'react';
+import { ShieldCheck, Plus, Pencil, Trash2, Save, RefreshCw, CheckCircle, AlertTriangle, X } from 'lucide-react';
+import {
+    useEntityValidationRules,
+    SUPPRESSIBLE_BUILT_IN_CODES,
+    type ValidationRule,
+    type ValidationRuleInput,
+} from '../../../hooks/scraper/useEntityValidationRules';
+import { parseRuleCondition, type ValidationRuleSeverity } from '../../../lib/validation';
+
+interface ValidationRulesManagerProps {
+    entityId: string | null | undefined;
+    entityName?: string;
+}
+
+const EMPTY_FORM: ValidationRuleInput = {
+    name: '',
+    description: '',
+    field: '',
+    condition: '',
+    severity: 'WARNING',
+    message: '',
+    suppressCodes: [],
+    enabled: true,
+};
+
+const CONDITION_EXAMPLES: { label: string; condition: string }[] = [
+    { label: 'Rake over 15%', condition: 'rake > buyIn * 0.15' },
+    { label: 'Overlay', condition: "hasGuarantee && gameStatus == 'FINISHED' && prizepoolPaid < guaranteeAmount" },
+    { label: 'Low turnout', condition: "gameStatus == 'FINISHED' && totalEntries < 10" },
+];
+
+const getConditionError = (condition: string): string | null => {
+    if (!condition.trim()) return 'Condition is required';
+    try {
+        parseRuleCondition(condition);
+        return null;
+    } catch (err) {
+        return err instanceof Error ? err.message : 'Invalid condition';
+    }
+};
+
+export const ValidationRulesManager: React.FC<ValidationRulesManagerProps> = ({ entityId, entityName }) => {
+    const { rules, loading, saving, error, createRule, updateRule, deleteRule } = useEntityValidationRules(entityId);
+
+    const [editingId, setEditingId] = useState<string | null>(null);
+    const [showForm, setShowForm] = useState(false);
+    const [form, setForm] = useState<ValidationRuleInput>(EMPTY_FORM);
+    const [saveSuccess, setSaveSuccess] = useState<string | null>(null);
+
+    const flashSuccess = (message: string) => {
+        setSaveSuccess(message);
+        setTimeout(() => setSaveSuccess(null), 3000);
+    };
+
+    const openCreate = () => {
+        setEditingId(null);
+        setForm(EMPTY_FORM);
+        setShowForm(true);
+    };
+
+    const openEdit = (rule: ValidationRule) => {
+        setEditingId(rule.id);
+        setForm({
+            name: rule.name,
+            description: rule.description || '',
+            field: rule.field || '',
+            condition: rule.condition,
+            severity: rule.severity,
+            message: rule.message,
+            suppressCodes: rule.suppressCodes,
+            enabled: rule.enabled,
+        });
+        setShowForm(true);
+    };
+
+    const closeForm = () => {
+        setShowForm(false);
+        setEditingId(null);
+    };
+
+    const toggleSuppressCode = (code: string) => {
+        setForm(prev => {
+            const codes = prev.suppressCodes || [];
+            return {
+                ...prev,
+                suppressCodes: codes.includes(code) ? codes.filter(c => c !== code) : [...codes, code],
+            };
+        });
+    };
+
+    const conditionError = getConditionError(form.condition);
+    const formValid = form.name.trim().length > 0 && form.message.trim().length > 0 && !conditionError;
+
+    const handleSubmit = async () => {
+        if (!formValid) return;
+        const success = editingId
+            ? await updateRule(editingId, form)
+            : await createRule(form);
+        if (success) {
+            closeForm();
+            flashSuccess(editingId ? 'Rule updated' : 'Rule created');
+        }
+    };
+
+    const handleDelete = async (rule: ValidationRule) => {
+        if (!window.confirm(`Delete rule "${rule.name}"?`)) return;
+        if (await deleteRule(rule.id)) {
+            if (editingId === rule.id) closeForm();
+            flashSuccess('Rule deleted');
+        }
+    };
+
+    if (!entityId) {
+        return null;
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center gap-2">
+                    <ShieldCheck className="h-5 w-5 text-emerald-600" />
+                    <h3 className="text-lg font-semibold">Validation Rules{entityName ? ` - ${entityName}` : ''}</h3>
+                </div>
+                {!showForm && (
+                    <button
+                        onClick={openCreate}
+                        disabled={loading}
+                        className="flex items-center gap-1 px-3 py-1.5 bg-emerald-600 text-white rounded-lg text-sm hover:bg-emerald-700 disabled:opacity-50"
+                    >
+                        <Plus className="h-4 w-4" />
+                        New Rule
+                    </button>
+                )}
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+                Extra checks for this entity's games, run after the built-in validation. A rule fires when its
+                condition is true - errors stop the game from being saved, warnings are shown for review.
+                Use <code>{'{fieldName}'}</code> in the message to include a value. Changes apply within 5 minutes.
+            </p>
+
+            {error && (
+                <div className="mb-4 bg-red-50 border border-red-200 rounded-md p-3 flex items-start gap-2">
+                    <AlertTriangle className="h-4 w-4 text-red-500 flex-shrink-0 mt-0.5" />
+                    <p className="text-xs text-red-700">{error}</p>
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center py-8">
+                    <RefreshCw className="h-6 w-6 animate-spin text-blue-600" />
+                </div>
+            ) : (
+                <>
+                    {/* Rule form */}
+                    {showForm && (
+                        <div className="mb-4 border border-emerald-200 bg-emerald-50/40 rounded-md p-4 space-y-3">
+                            <div className="flex items-center justify-between">
+                                <h4 className="text-sm font-semibold text-gray-900">
+                                    {editingId ? 'Edit Rule' : 'New Rule'}
+                                </h4>
+                                <button onClick={closeForm} className="p-1 text-gray-500 hover:text-gray-900" title="Cancel">
+                                    <X className="h-4 w-4" />
+                                </button>
+                            </div>
+
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                                <label className="block">
+                                    <span className="text-xs font-medium text-gray-700">Name</span>
+                                    <input
+                                        type="text"
+                                        value={form.name}
+                                        onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))}
+                                        placeholder="e.g. Rake ceiling"
+                                        className="mt-1 w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                                    />
+                                </label>
+                                <label className="block">
+                                    <span className="text-xs font-medium text-gray-700">Field (optional)</span>
+                                    <input
+                                        type="text"
+                                        value={form.field || ''}
+                                        onChange={e => setForm(prev => ({ ...prev, field: e.target.value }))}
+                                        placeholder="e.g. rake"
+                                        className="mt-1 w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm font-mono"
+                                    />
+                                </label>
+                                <label className="block">
+                                    <span className="text-xs font-medium text-gray-700">Severity</span>
+                                    <select
+                                        value={form.severity}
+                                        onChange={e => setForm(prev => ({ ...prev, severity: e.target.value as ValidationRuleSeverity }))}
+                                        className="mt-1 w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                                    >
+                                        <option value="WARNING">Warning</option>
+                                        <option value="ERROR">Error (blocks save)</option>
+                                    </select>
+                                </label>
+                            </div>
+
+                            <div>
+                                <label className="block">
+                                    <span className="text-xs font-medium text-gray-700">Condition (fires when true)</span>
+                                    <input
+                                        type="text"
+                                        value={form.condition}
+                                        onChange={e => setForm(prev => ({ ...prev, condition: e.target.value }))}
+                                        placeholder="rake > buyIn * 0.15"
+                                        className={`mt-1 w-full px-3 py-1.5 border rounded-md text-sm font-mono ${conditionError && form.condition ? 'border-red-400' : 'border-gray-300'}`}
+                                    />
+                                </label>
+                                {conditionError && form.condition && (
+                                    <p className="text-xs text-red-600 mt-1">{conditionError}</p>
+                                )}
+                                <div className="flex flex-wrap gap-1 mt-2">
+                                    {CONDITION_EXAMPLES.map(example => (
+                                        <button
+                                            key={example.label}
+                                            onClick={() => setForm(prev => ({ ...prev, condition: example.condition }))}
+                                            className="px-2 py-0.5 text-xs bg-white border border-gray-300 rounded hover:bg-gray-100"
+                                        >
+                                            {example.label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <label className="block">
+                                <span className="text-xs font-medium text-gray-700">Message</span>
+                                <input
+                                    type="text"
+                                    value={form.message}
+                                    onChange={e => setForm(prev => ({ ...prev, message: e.target.value }))}
+                                    placeholder="Rake {rake} is over 15% of buy-in {buyIn}"
+                                    className="mt-1 w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm"
+                                />
+                            </label>
+
+                            <div>
+                                <span className="text-xs font-medium text-gray-700">Replace built-in checks</span>
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-1 mt-1">
+                                    {SUPPRESSIBLE_BUILT_IN_CODES.map(({ code, description }) => (
+                                        <label key={code} className="flex items-center gap-2 text-xs text-gray-700">
+                                            <input
+                                                type="checkbox"
+                                                checked={(form.suppressCodes || []).includes(code)}
+                                                onChange={() => toggleSuppressCode(code)}
+                                                className="h-3.5 w-3.5"
+                                            />
+                                            <code>{code}</code>
+                                            <span className="text-gray-500">{description}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="flex items-center justify-between">
+                                <label className="flex items-center gap-2 text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={form.enabled}
+                                        onChange={e => setForm(prev => ({ ...prev, enabled: e.target.checked }))}
+                                        className="h-4 w-4"
+                                    />
+                                    Enabled
+                                </label>
+                                <button
+                                    onClick={handleSubmit}
+                                    disabled={saving || !formValid}
+                                    className="flex items-center gap-2 px-4 py-2 bg-emerald-600 text-white rounded-lg text-sm hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    {saving ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                                    {editingId ? 'Save Rule' : 'Create Rule'}
+                                </button>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Rule list */}
+                    {rules.length === 0 ? (
+                        <p className="text-sm text-gray-500 italic py-4 text-center border rounded-md">
+                            No custom rules - only the built-in validation runs for this entity.
+                        </p>
+                    ) : (
+                        <ul className="divide-y divide-gray-100 border rounded-md">
+                            {rules.map(rule => (
+                                <li key={rule.id} className="flex items-center gap-3 px-3 py-2">
+                                    <input
+                                        type="checkbox"
+                                        checked={rule.enabled}
+                                        onChange={() => updateRule(rule.id, { enabled: !rule.enabled })}
+                                        disabled={saving}
+                                        className="h-4 w-4"
+                                        title={rule.enabled ? 'Disable rule' : 'Enable rule'}
+                                    />
+                                    <div className={`flex-1 min-w-0 ${rule.enabled ? '' : 'opacity-50'}`}>
+                                        <div className="flex items-center gap-2">
+                                            <span className="text-sm font-medium text-gray-900">{rule.name}</span>
+                                            <span className={`px-1.5 py-0.5 text-xs rounded ${rule.severity === 'ERROR' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                                                {rule.severity}
+                                            </span>
+                                            <code className="text-xs text-gray-600 truncate">{rule.condition}</code>
+                                        </div>
+                                        <div className="text-xs text-gray-500 flex flex-wrap gap-x-3">
+                                            <span>{rule.message}</span>
+                                            {rule.suppressCodes.length > 0 && (
+                                                <span>Replaces: {rule.suppressCodes.join(', ')}</span>
+                                            )}
+                                        </div>
+                                    </div>
+                                    <button
+                                        onClick={() => openEdit(rule)}
+                                        className="p-1 text-gray-500 hover:text-gray-900"
+                                        title="Edit"
+                                    >
+                                        <Pencil className="h-4 w-4" />
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(rule)}
+                                        disabled={saving}
+                                        className="p-1 text-gray-500 hover:text-red-600 disabled:opacity-30"
+                                        title="Delete"
+                                    >
+                                        <Trash2 className="h-4 w-4" />
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {saveSuccess && (
+                        <div className="flex items-center gap-2 text-green-600 mt-3">
+                            <CheckCircle className="h-4 w-4" />
+                            <span className="text-sm">{saveSuccess}</span>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default ValidationRulesManager;
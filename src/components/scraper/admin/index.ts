@@ -7,6 +7,12 @@ export { ErrorHandlingModal } from './ErrorHandlingModal';
 export { ProgressSummary } from './ProgressSummary';
 export { ScraperResults } from './ScraperResults';
 export { SkippedIDsAnalyzer } from './SkippedIDsAnalyzer';
+export { SelectorMapEditor } from './SelectorMapEditor';
+export { BulkReparsePanel } from './BulkReparsePanel';
+export { FetchProviderOrderEditor } from './FetchProviderOrderEditor';
+export { ScraperScheduleManager } from './ScraperScheduleManager';
+export { EnrichmentPipelineSettings } from './EnrichmentPipelineSettings';
+export { ValidationRulesManager } from './ValidationRulesManager';
 
 // Merged modal components
 export { GameDetailsModal, JobDetailsModal } from './ScraperModals';
@@ -0,0 +1,471 @@
+// src/components/series/HolidayCalendarManager.tsx
+// Holiday calendar for an entity: one year's holiday dates per state, plus the
+// entity's own entries (extra holidays, replaced or switched-off defaults)
+// VERSION: 1.0.0
+
+import React, { useState } from 'react';
+import {
+  ArrowPathIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  PlusIcon,
+  SunIcon,
+} from '@heroicons/react/24/outline';
+
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import { cx } from '@/lib/utils';
+import {
+  AU_REGIONS,
+  useHolidayCalendar,
+  type HolidayCalendarEntry,
+  type HolidayCalendarEntryInput,
+  type HolidayDateRule,
+} from '@/hooks/useHolidayCalendar';
+
+interface HolidayCalendarManagerProps {
+  entityId: string;
+}
+
+const DATE_RULE_LABELS: Record<HolidayDateRule, string> = {
+  FIXED_DATE: 'Same date every year',
+  NTH_WEEKDAY: 'Nth weekday of a month',
+  LAST_WEEKDAY: 'Last weekday of a month',
+  EASTER_OFFSET: 'Days from Easter Sunday',
+  ONE_OFF: 'One-off date',
+};
+
+const HOLIDAY_TYPES = [
+  'NEW_YEAR', 'AUSTRALIA_DAY', 'EASTER', 'ANZAC_DAY', 'KINGS_BIRTHDAY',
+  'CHRISTMAS', 'BOXING_DAY', 'MELBOURNE_CUP', 'LABOUR_DAY', 'OTHER',
+];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const EMPTY_ENTRY: HolidayCalendarEntryInput = {
+  code: '',
+  name: '',
+  seriesName: '',
+  holidayType: 'OTHER',
+  dateRule: 'FIXED_DATE',
+  month: 1,
+  day: 1,
+  weekday: 1,
+  nth: 1,
+  offsetDays: 0,
+  date: null,
+  observedOnWeekday: false,
+  regions: [],
+  publicHolidayRegions: [],
+  windowDays: 0,
+  namePatterns: [],
+  isActive: true,
+  notes: '',
+};
+
+const toInput = (entry: HolidayCalendarEntry): HolidayCalendarEntryInput => {
+  const input = { ...EMPTY_ENTRY };
+  for (const key of Object.keys(EMPTY_ENTRY) as (keyof HolidayCalendarEntryInput)[]) {
+    if (entry[key] !== null && entry[key] !== undefined) {
+      (input as Record<string, unknown>)[key] = entry[key];
+    }
+  }
+  return input;
+};
+
+const formatDay = (isoDate: string) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return `${WEEKDAYS[date.getUTCDay()].slice(0, 3)} ${day} ${MONTHS[month - 1]}`;
+};
+
+const describeRule = (entry: HolidayCalendarEntry) => {
+  switch (entry.dateRule) {
+    case 'FIXED_DATE':
+      return entry.month && entry.day ? `${entry.day} ${MONTHS[entry.month - 1]}` : DATE_RULE_LABELS.FIXED_DATE;
+    case 'NTH_WEEKDAY':
+      return entry.month && entry.nth && entry.weekday != null
+        ? `${entry.nth}${['st', 'nd', 'rd'][entry.nth - 1] || 'th'} ${WEEKDAYS[entry.weekday]} of ${MONTHS[entry.month - 1]}`
+        : DATE_RULE_LABELS.NTH_WEEKDAY;
+    case 'LAST_WEEKDAY':
+      return entry.month && entry.weekday != null
+        ? `Last ${WEEKDAYS[entry.weekday]} of ${MONTHS[entry.month - 1]}`
+        : DATE_RULE_LABELS.LAST_WEEKDAY;
+    case 'EASTER_OFFSET':
+      return entry.offsetDays != null ? `Easter Sunday ${entry.offsetDays >= 0 ? '+' : ''}${entry.offsetDays} days` : DATE_RULE_LABELS.EASTER_OFFSET;
+    case 'ONE_OFF':
+      return entry.date || DATE_RULE_LABELS.ONE_OFF;
+  }
+};
+
+const RegionList: React.FC<{ regions?: string[] | null; emptyLabel: string }> = ({ regions, emptyLabel }) => (
+  <span className="text-gray-600">{regions && regions.length > 0 ? regions.join(', ') : emptyLabel}</span>
+);
+
+const RegionPicker: React.FC<{
+  label: string;
+  value: string[];
+  options: readonly string[];
+  onChange: (regions: string[]) => void;
+}> = ({ label, value, options, onChange }) => (
+  <div>
+    <span className="block text-xs font-medium text-gray-700 mb-1">{label}</span>
+    <div className="flex flex-wrap gap-1">
+      {options.map(region => {
+        const selected = value.includes(region);
+        return (
+          <button
+            key={region}
+            type="button"
+            onClick={() => onChange(selected ? value.filter(r => r !== region) : [...value, region])}
+            className={cx(
+              'px-2 py-0.5 text-xs rounded-full border',
+              selected ? 'bg-indigo-600 border-indigo-600 text-white' : 'border-gray-300 text-gray-600 hover:bg-gray-50'
+            )}
+          >
+            {region}
+          </button>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export const HolidayCalendarManager: React.FC<HolidayCalendarManagerProps> = ({ entityId }) => {
+  const [year, setYear] = useState(() => new Date().getFullYear());
+  const [region, setRegion] = useState<string>('VIC');
+  const {
+    occurrences,
+    entries,
+    loading,
+    saving,
+    error,
+    refresh,
+    saveEntry,
+    setEntryActive,
+    disableDefault,
+    deleteEntry,
+  } = useHolidayCalendar(entityId, year, region || null);
+
+  const [editing, setEditing] = useState<HolidayCalendarEntry | null>(null);
+  const [form, setForm] = useState<HolidayCalendarEntryInput | null>(null);
+  const [patternText, setPatternText] = useState('');
+
+  const openEntry = (entry: HolidayCalendarEntry | null) => {
+    setEditing(entry);
+    const input = entry ? toInput(entry) : EMPTY_ENTRY;
+    setForm(input);
+    setPatternText((input.namePatterns || []).join('\n'));
+  };
+
+  const closeEntry = () => {
+    setEditing(null);
+    setForm(null);
+  };
+
+  const update = <K extends keyof HolidayCalendarEntryInput>(key: K, value: HolidayCalendarEntryInput[K]) => {
+    setForm(prev => (prev ? { ...prev, [key]: value } : prev));
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+    const namePatterns = patternText.split('\n').map(p => p.trim()).filter(Boolean);
+    if (await saveEntry({ ...form, namePatterns }, editing)) closeEntry();
+  };
+
+  const numberInput = (key: 'month' | 'day' | 'nth' | 'offsetDays' | 'windowDays', label: string) => (
+    <label className="block">
+      <span className="block text-xs font-medium text-gray-700 mb-1">{label}</span>
+      <input
+        type="number"
+        value={form?.[key] ?? ''}
+        onChange={e => update(key, e.target.value === '' ? null : Number(e.target.value))}
+        className="w-full rounded-md border-gray-300 text-sm"
+      />
+    </label>
+  );
+
+  return (
+    <Card>
+      <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50 flex items-center gap-2">
+            <SunIcon className="w-4 h-4 text-gray-500" />
+            Holiday Calendar
+          </h3>
+          <p className="text-xs text-gray-500 mt-1">
+            Used to name holiday series, skip public holidays when checking recurring games, and for the Holiday metrics segment
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button variant="ghost" size="sm" onClick={() => setYear(y => y - 1)}>
+            <ChevronLeftIcon className="w-4 h-4" />
+          </Button>
+          <span className="text-sm font-medium text-gray-900 dark:text-gray-50 w-12 text-center">{year}</span>
+          <Button variant="ghost" size="sm" onClick={() => setYear(y => y + 1)}>
+            <ChevronRightIcon className="w-4 h-4" />
+          </Button>
+          <select
+            value={region}
+            onChange={e => setRegion(e.target.value)}
+            className="rounded-md border-gray-300 text-sm"
+          >
+            <option value="">All states</option>
+            {AU_REGIONS.map(r => <option key={r} value={r}>{r}</option>)}
+          </select>
+          <Button variant="ghost" size="sm" onClick={refresh} disabled={loading}>
+            <ArrowPathIcon className={cx('w-4 h-4', loading && 'animate-spin')} />
+          </Button>
+          <Button variant="secondary" size="sm" onClick={() => openEntry(null)}>
+            <PlusIcon className="w-4 h-4 mr-1" />
+            Add Holiday
+          </Button>
+        </div>
+      </div>
+
+      {error && !form && (
+        <div className="m-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Holiday</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Applies In</th>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Public Holiday</th>
+              <th className="px-3 py-2" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {occurrences.map(occurrence => {
+              const entry = occurrence.entryId ? entries.find(e => e.id === occurrence.entryId) : undefined;
+              return (
+                <tr key={`${occurrence.code}-${occurrence.regions.join(',')}-${occurrence.date}`}>
+                  <td className="px-3 py-2 text-gray-900 whitespace-nowrap">
+                    {formatDay(occurrence.date)}
+                    {occurrence.observedDate !== occurrence.date && (
+                      <p className="text-xs text-gray-500">Observed {formatDay(occurrence.observedDate)}</p>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-gray-900">
+                    {occurrence.name}
+                    {occurrence.seriesName !== occurrence.name && (
+                      <span className="text-xs text-gray-500"> • {occurrence.seriesName} series</span>
+                    )}
+                    {occurrence.isCustom && (
+                      <span className="ml-2 px-1.5 py-0.5 text-xs rounded bg-indigo-50 text-indigo-700">Custom</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2"><RegionList regions={occurrence.regions} emptyLabel="Everywhere" /></td>
+                  <td className="px-3 py-2">
+                    {occurrence.isPublicHoliday ? (
+                      <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-amber-100 text-amber-800">
+                        {region ? 'Yes' : (occurrence.publicHolidayRegions.includes('ALL') ? 'Yes' : occurrence.publicHolidayRegions.join(', '))}
+                      </span>
+                    ) : (
+                      <span className="text-xs text-gray-400">No</span>
+                    )}
+                  </td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap">
+                    {entry ? (
+                      <Button variant="ghost" size="sm" onClick={() => openEntry(entry)}>Edit</Button>
+                    ) : (
+                      <Button variant="ghost" size="sm" onClick={() => disableDefault(occurrence)} disabled={saving}>
+                        Switch off
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+            {!loading && occurrences.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-3 py-6 text-center text-sm text-gray-500">No holidays in {year}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {entries.length > 0 && (
+        <div className="p-4 border-t border-gray-100 dark:border-gray-800">
+          <h4 className="text-xs font-medium text-gray-500 uppercase mb-2">Entity Entries</h4>
+          <ul className="divide-y divide-gray-100">
+            {entries.map(entry => (
+              <li key={entry.id} className="py-2 flex items-center justify-between gap-3 text-sm">
+                <div>
+                  <span className={cx('text-gray-900', !entry.isActive && 'line-through text-gray-400')}>{entry.name}</span>
+                  <span className="text-xs text-gray-500"> • {entry.code} • {describeRule(entry)} • </span>
+                  <span className="text-xs"><RegionList regions={entry.regions} emptyLabel="Everywhere" /></span>
+                  {!entry.isActive && <span className="text-xs text-gray-500"> • switched off</span>}
+                </div>
+                <div className="flex items-center gap-1">
+                  <Button variant="ghost" size="sm" onClick={() => openEntry(entry)}>Edit</Button>
+                  <Button variant="ghost" size="sm" onClick={() => setEntryActive(entry, !entry.isActive)} disabled={saving}>
+                    {entry.isActive ? 'Switch off' : 'Switch on'}
+                  </Button>
+                  <Button variant="ghost" size="sm" onClick={() => deleteEntry(entry)} disabled={saving}>
+                    Delete
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <Modal isOpen={!!form} onClose={closeEntry} title={editing ? 'Edit Holiday' : 'Add Holiday'} maxWidth="lg">
+        {form && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-500">
+              Use the code and states of a built-in holiday to replace it (fields left blank keep the built-in value);
+              any other code adds a new holiday.
+            </p>
+
+            <div className="grid grid-cols-2 gap-3">
+              <label className="block">
+                <span className="block text-xs font-medium text-gray-700 mb-1">Code</span>
+                <input
+                  value={form.code}
+                  onChange={e => update('code', e.target.value)}
+                  placeholder="ROYAL_SHOW_DAY"
+                  className="w-full rounded-md border-gray-300 text-sm"
+                />
+              </label>
+              <label className="block">
+                <span className="block text-xs font-medium text-gray-700 mb-1">Name</span>
+                <input
+                  value={form.name}
+                  onChange={e => update('name', e.target.value)}
+                  className="w-full rounded-md border-gray-300 text-sm"
+                />
+              </label>
+              <label className="block">
+                <span className="block text-xs font-medium text-gray-700 mb-1">Series name</span>
+                <input
+                  value={form.seriesName || ''}
+                  onChange={e => update('seriesName', e.target.value)}
+                  placeholder="Defaults to the name"
+                  className="w-full rounded-md border-gray-300 text-sm"
+                />
+              </label>
+              <label className="block">
+                <span className="block text-xs font-medium text-gray-700 mb-1">Type</span>
+                <select
+                  value={form.holidayType || 'OTHER'}
+                  onChange={e => update('holidayType', e.target.value)}
+                  className="w-full rounded-md border-gray-300 text-sm"
+                >
+                  {HOLIDAY_TYPES.map(type => <option key={type} value={type}>{type.replace(/_/g, ' ')}</option>)}
+                </select>
+              </label>
+            </div>
+
+            <div className="grid grid-cols-3 gap-3">
+              <label className="block col-span-3">
+                <span className="block text-xs font-medium text-gray-700 mb-1">Date rule</span>
+                <select
+                  value={form.dateRule}
+                  onChange={e => update('dateRule', e.target.value as HolidayDateRule)}
+                  className="w-full rounded-md border-gray-300 text-sm"
+                >
+                  {(Object.keys(DATE_RULE_LABELS) as HolidayDateRule[]).map(rule => (
+                    <option key={rule} value={rule}>{DATE_RULE_LABELS[rule]}</option>
+                  ))}
+                </select>
+              </label>
+              {['FIXED_DATE', 'NTH_WEEKDAY', 'LAST_WEEKDAY'].includes(form.dateRule) && numberInput('month', 'Month (1-12)')}
+              {form.dateRule === 'FIXED_DATE' && numberInput('day', 'Day')}
+              {form.dateRule === 'NTH_WEEKDAY' && numberInput('nth', 'Occurrence (1-5)')}
+              {(form.dateRule === 'NTH_WEEKDAY' || form.dateRule === 'LAST_WEEKDAY') && (
+                <label className="block">
+                  <span className="block text-xs font-medium text-gray-700 mb-1">Weekday</span>
+                  <select
+                    value={form.weekday ?? 1}
+                    onChange={e => update('weekday', Number(e.target.value))}
+                    className="w-full rounded-md border-gray-300 text-sm"
+                  >
+                    {WEEKDAYS.map((name, i) => <option key={name} value={i}>{name}</option>)}
+                  </select>
+                </label>
+              )}
+              {form.dateRule === 'EASTER_OFFSET' && numberInput('offsetDays', 'Days from Easter Sunday')}
+              {form.dateRule === 'ONE_OFF' && (
+                <label className="block">
+                  <span className="block text-xs font-medium text-gray-700 mb-1">Date</span>
+                  <input
+                    type="date"
+                    value={form.date || ''}
+                    onChange={e => update('date', e.target.value || null)}
+                    className="w-full rounded-md border-gray-300 text-sm"
+                  />
+                </label>
+              )}
+              {numberInput('windowDays', 'Days either side')}
+            </div>
+
+            <RegionPicker
+              label="Applies in (none = everywhere)"
+              value={form.regions || []}
+              options={AU_REGIONS}
+              onChange={regions => update('regions', regions)}
+            />
+            <RegionPicker
+              label="Public holiday in (ALL = wherever it applies)"
+              value={form.publicHolidayRegions || []}
+              options={['ALL', ...AU_REGIONS]}
+              onChange={regions => update('publicHolidayRegions', regions)}
+            />
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={!!form.observedOnWeekday}
+                onChange={e => update('observedOnWeekday', e.target.checked)}
+                className="rounded border-gray-300"
+              />
+              On a weekend, the following weekday is also a public holiday
+            </label>
+
+            <label className="block">
+              <span className="block text-xs font-medium text-gray-700 mb-1">Game name patterns (one regex per line)</span>
+              <textarea
+                value={patternText}
+                onChange={e => setPatternText(e.target.value)}
+                rows={3}
+                placeholder="royal\s*show"
+                className="w-full rounded-md border-gray-300 text-sm font-mono"
+              />
+            </label>
+
+            <label className="block">
+              <span className="block text-xs font-medium text-gray-700 mb-1">Notes</span>
+              <input
+                value={form.notes || ''}
+                onChange={e => update('notes', e.target.value)}
+                className="w-full rounded-md border-gray-300 text-sm"
+              />
+            </label>
+
+            {error && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+            )}
+
+            <div className="flex justify-end gap-2 pt-2 border-t border-gray-200">
+              <Button variant="secondary" onClick={closeEntry}>Cancel</Button>
+              <Button variant="primary" onClick={handleSave} disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </Card>
+  );
+};
+
+export default HolidayCalendarManager;
@@ -0,0 +1,199 @@
+// src/components/series/SatelliteLedgerCard.tsx
+// Satellite seat ledger for a tournament series: seats won in each satellite,
+// which winners entered the target event, and the outstanding seat liability
+// VERSION: 1.0.0
+
+import React, { useState } from 'react';
+import { ArrowPathIcon, ChevronDownIcon, ChevronRightIcon, TicketIcon } from '@heroicons/react/24/outline';
+
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { cx, formatCurrency } from '@/lib/utils';
+import { formatAEST } from '@/utils/dateUtils';
+import {
+  useSatelliteLedger,
+  type SatelliteLedgerEntry,
+  type SatelliteSeatStatus,
+} from '@/hooks/useSatelliteLedger';
+
+interface SatelliteLedgerCardProps {
+  tournamentSeriesId: string;
+}
+
+const SEAT_STATUS_STYLES: Record<SatelliteSeatStatus, { label: string; style: string }> = {
+  USED: { label: 'Entered', style: 'bg-green-100 text-green-800' },
+  ACTIVE: { label: 'Unused', style: 'bg-yellow-100 text-yellow-800' },
+  EXPIRED: { label: 'Expired', style: 'bg-gray-100 text-gray-600' },
+};
+
+const SeatStatusBadge: React.FC<{ status: SatelliteSeatStatus }> = ({ status }) => (
+  <span className={cx('px-2 py-0.5 text-xs font-medium rounded-full whitespace-nowrap', SEAT_STATUS_STYLES[status].style)}>
+    {SEAT_STATUS_STYLES[status].label}
+  </span>
+);
+
+const SatelliteRow: React.FC<{ satellite: SatelliteLedgerEntry }> = ({ satellite }) => {
+  const [expanded, setExpanded] = useState(false);
+  const canExpand = satellite.seats.length > 0;
+  const delta = satellite.seatFundingDelta;
+
+  return (
+    <>
+      <tr
+        className={cx(canExpand && 'cursor-pointer hover:bg-gray-50')}
+        onClick={() => canExpand && setExpanded(prev => !prev)}
+      >
+        <td className="px-3 py-2 text-gray-900">
+          <div className="flex items-start gap-1.5">
+            {canExpand ? (
+              expanded
+                ? <ChevronDownIcon className="w-4 h-4 mt-0.5 text-gray-400 flex-shrink-0" />
+                : <ChevronRightIcon className="w-4 h-4 mt-0.5 text-gray-400 flex-shrink-0" />
+            ) : (
+              <span className="w-4 flex-shrink-0" />
+            )}
+            <div>
+              {satellite.satelliteName}
+              <p className="text-xs text-gray-500">
+                {satellite.satelliteDate ? formatAEST(satellite.satelliteDate) : '-'}
+                {satellite.targetEventName && <> → {satellite.targetEventName}</>}
+                {!satellite.resultsAvailable && <span className="text-yellow-700"> • no results yet</span>}
+              </p>
+            </div>
+          </div>
+        </td>
+        <td className="px-3 py-2 text-right text-gray-900">{satellite.seatsAwarded}</td>
+        <td className="px-3 py-2 text-right text-green-700">{satellite.seatsUsed}</td>
+        <td className="px-3 py-2 text-right text-yellow-700">{satellite.seatsUnused}</td>
+        <td className="px-3 py-2 text-right text-gray-500">{satellite.seatsExpired}</td>
+        <td className="px-3 py-2 text-right text-gray-600">
+          {satellite.seatValue ? formatCurrency(satellite.seatValue) : '-'}
+        </td>
+        <td className="px-3 py-2 text-right text-gray-900">
+          {satellite.outstandingValue > 0 ? formatCurrency(satellite.outstandingValue) : '-'}
+        </td>
+        <td
+          className={cx(
+            'px-3 py-2 text-right',
+            delta === null || delta === undefined ? 'text-gray-400' : delta > 0 ? 'text-red-600' : 'text-green-700'
+          )}
+          title="Value of seats awarded minus player contributions to the satellite"
+        >
+          {delta === null || delta === undefined ? '-' : `${delta > 0 ? '+' : ''}${formatCurrency(delta)}`}
+        </td>
+      </tr>
+      {expanded && (
+        <tr>
+          <td colSpan={8} className="px-3 pb-3 pt-0 bg-gray-50">
+            <table className="min-w-full text-xs">
+              <tbody className="divide-y divide-gray-100">
+                {satellite.seats.map(seat => (
+                  <tr key={seat.playerId}>
+                    <td className="py-1.5 pl-6 text-gray-500 w-12">
+                      {seat.wonFromPosition ? `#${seat.wonFromPosition}` : ''}
+                    </td>
+                    <td className="py-1.5 text-gray-900">{seat.playerName || seat.playerId}</td>
+                    <td className="py-1.5"><SeatStatusBadge status={seat.status} /></td>
+                    <td className="py-1.5 text-gray-600">
+                      {seat.usedInGameName || seat.usedInGameId || ''}
+                      {seat.usedAt && <span className="text-gray-400"> • {formatAEST(seat.usedAt)}</span>}
+                    </td>
+                    <td className="py-1.5 text-right text-gray-400">{seat.ticketId ? 'Ticket issued' : 'No ticket'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+};
+
+export const SatelliteLedgerCard: React.FC<SatelliteLedgerCardProps> = ({ tournamentSeriesId }) => {
+  const { ledger, loading, reconciling, error, refresh, reconcile } = useSatelliteLedger(tournamentSeriesId);
+  const [lastReconcile, setLastReconcile] = useState<string | null>(null);
+
+  // Nothing feeds this series - keep the page uncluttered
+  if (!error && (!ledger || ledger.satellitesFound === 0)) return null;
+
+  const handleReconcile = async () => {
+    const result = await reconcile();
+    if (result?.success) {
+      setLastReconcile(`${result.ticketsCreated} tickets issued, ${result.ticketsUpdated} updated`);
+    }
+  };
+
+  return (
+    <Card>
+      <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50 flex items-center gap-2">
+            <TicketIcon className="w-4 h-4 text-gray-500" />
+            Satellite Seats
+          </h3>
+          {ledger && (
+            <p className="text-xs text-gray-500 mt-1">
+              {ledger.totalSeatsAwarded} seats from {ledger.satellitesFound} satellite{ledger.satellitesFound === 1 ? '' : 's'}
+              {' '}• {ledger.totalSeatsUsed} entered • {ledger.totalSeatsUnused} unused • {ledger.totalSeatsExpired} expired
+              {ledger.outstandingLiability > 0 && (
+                <span className="text-red-600"> • {formatCurrency(ledger.outstandingLiability)} outstanding</span>
+              )}
+            </p>
+          )}
+          {lastReconcile && <p className="text-xs text-green-700 mt-1">{lastReconcile}</p>}
+        </div>
+        <div className="flex items-center gap-2">
+          <Button variant="ghost" size="sm" onClick={refresh} disabled={loading}>
+            <ArrowPathIcon className={cx('w-4 h-4', loading && 'animate-spin')} />
+          </Button>
+          <Button variant="secondary" size="sm" onClick={handleReconcile} disabled={reconciling || loading}>
+            {reconciling ? 'Reconciling...' : 'Reconcile Tickets'}
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="m-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {ledger && ledger.satellites.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Satellite</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Seats</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Entered</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Unused</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Expired</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Seat Value</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Outstanding</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Overlay</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {ledger.satellites.map(satellite => (
+                <SatelliteRow key={satellite.satelliteGameId} satellite={satellite} />
+              ))}
+            </tbody>
+            <tfoot className="bg-gray-50 font-medium">
+              <tr>
+                <td className="px-3 py-2 text-gray-900">Total</td>
+                <td className="px-3 py-2 text-right text-gray-900">{ledger.totalSeatsAwarded}</td>
+                <td className="px-3 py-2 text-right text-green-700">{ledger.totalSeatsUsed}</td>
+                <td className="px-3 py-2 text-right text-yellow-700">{ledger.totalSeatsUnused}</td>
+                <td className="px-3 py-2 text-right text-gray-500">{ledger.totalSeatsExpired}</td>
+                <td className="px-3 py-2 text-right text-gray-600">{formatCurrency(ledger.totalSeatValue)}</td>
+                <td className="px-3 py-2 text-right text-gray-900">{formatCurrency(ledger.outstandingLiability)}</td>
+                <td className="px-3 py-2" />
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default SatelliteLedgerCard;
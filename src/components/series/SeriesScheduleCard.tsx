@@ -0,0 +1,243 @@
+// src/components/series/SeriesScheduleCard.tsx
+// Published schedule for a tournament series: events, which were scraped,
+// and a CSV/JSON import
+// VERSION: 1.0.0
+
+import React, { useState } from 'react';
+import { ArrowPathIcon, ArrowUpTrayIcon, CalendarDaysIcon } from '@heroicons/react/24/outline';
+
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import { cx, formatCurrency } from '@/lib/utils';
+import {
+  useSeriesSchedule,
+  type ScheduledEventSummary,
+  type SeriesScheduleFormat,
+  type ImportSeriesScheduleResult,
+} from '@/hooks/useSeriesSchedule';
+
+interface SeriesScheduleCardProps {
+  tournamentSeriesId: string;
+}
+
+const CSV_EXAMPLE = `Event #,Name,Date,Buy-In,GTD
+1,$250 NLH Opener,03/10/2026,$250,"$20,000"
+2,$1100 Main Event,05/10/2026,$1100,"$100,000"`;
+
+const EventStatusBadge: React.FC<{ event: ScheduledEventSummary }> = ({ event }) => {
+  let label = 'Upcoming';
+  let style = 'bg-gray-100 text-gray-700';
+
+  if (event.status === 'CANCELLED') {
+    label = 'Cancelled';
+    style = 'bg-gray-100 text-gray-500 line-through';
+  } else if (event.gameCount > 0) {
+    label = event.gameCount === 1 ? 'Scraped' : `Scraped (${event.gameCount} games)`;
+    style = 'bg-green-100 text-green-800';
+  } else if (event.isMissing) {
+    label = 'Not scraped';
+    style = 'bg-red-100 text-red-800';
+  }
+
+  return (
+    <span className={cx('px-2 py-0.5 text-xs font-medium rounded-full whitespace-nowrap', style)}>
+      {label}
+    </span>
+  );
+};
+
+const ScheduleTable: React.FC<{ events: ScheduledEventSummary[] }> = ({ events }) => (
+  <table className="min-w-full divide-y divide-gray-200 text-sm">
+    <thead className="bg-gray-50">
+      <tr>
+        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">#</th>
+        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Event</th>
+        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Buy-In</th>
+        <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Guarantee</th>
+        <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+      </tr>
+    </thead>
+    <tbody className="divide-y divide-gray-100">
+      {events.map(event => (
+        <tr key={event.eventNumber}>
+          <td className="px-3 py-2 text-gray-500">{event.eventNumber}</td>
+          <td className="px-3 py-2 text-gray-900">
+            {event.name}
+            {event.isMainEvent && <span className="ml-2 text-xs text-purple-600 font-medium">Main</span>}
+          </td>
+          <td className="px-3 py-2 text-gray-600 whitespace-nowrap">{event.scheduledDate}</td>
+          <td className="px-3 py-2 text-right text-gray-600">
+            {event.buyIn ? formatCurrency(event.buyIn) : '-'}
+          </td>
+          <td className="px-3 py-2 text-right text-gray-600">
+            {event.guaranteeAmount ? formatCurrency(event.guaranteeAmount) : '-'}
+          </td>
+          <td className="px-3 py-2"><EventStatusBadge event={event} /></td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+export const SeriesScheduleCard: React.FC<SeriesScheduleCardProps> = ({ tournamentSeriesId }) => {
+  const { coverage, loading, importing, error, refresh, importSchedule } = useSeriesSchedule(tournamentSeriesId);
+
+  const [missingOnly, setMissingOnly] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [format, setFormat] = useState<SeriesScheduleFormat>('CSV');
+  const [data, setData] = useState('');
+  const [preview, setPreview] = useState<ImportSeriesScheduleResult | null>(null);
+
+  const events = coverage?.events || [];
+  const visibleEvents = missingOnly ? events.filter(e => e.isMissing) : events;
+
+  const closeImport = () => {
+    setIsImportOpen(false);
+    setPreview(null);
+    setData('');
+  };
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    setData(await file.text());
+    setFormat(file.name.toLowerCase().endsWith('.json') ? 'JSON' : 'CSV');
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    setPreview(await importSchedule(format, data, true));
+  };
+
+  const handleImport = async () => {
+    const result = await importSchedule(format, data, false);
+    if (result?.success) closeImport();
+  };
+
+  return (
+    <Card>
+      <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50 flex items-center gap-2">
+            <CalendarDaysIcon className="w-4 h-4 text-gray-500" />
+            Published Schedule
+          </h3>
+          {coverage && coverage.totalEvents > 0 ? (
+            <p className="text-xs text-gray-500 mt-1">
+              {coverage.matchedEvents} of {coverage.totalEvents} events scraped
+              {coverage.missingEvents > 0 && (
+                <span className="text-red-600"> • {coverage.missingEvents} never scraped</span>
+              )}
+              {coverage.upcomingEvents > 0 && <> • {coverage.upcomingEvents} upcoming</>}
+              {coverage.unmatchedGames > 0 && <> • {coverage.unmatchedGames} series games not on the schedule</>}
+            </p>
+          ) : (
+            <p className="text-xs text-gray-500 mt-1">
+              Import the published schedule to match scraped games to specific events.
+            </p>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          {coverage && coverage.missingEvents > 0 && (
+            <label className="flex items-center gap-1.5 text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={missingOnly}
+                onChange={e => setMissingOnly(e.target.checked)}
+                className="rounded border-gray-300"
+              />
+              Not scraped only
+            </label>
+          )}
+          <Button variant="ghost" size="sm" onClick={refresh} disabled={loading}>
+            <ArrowPathIcon className={cx('w-4 h-4', loading && 'animate-spin')} />
+          </Button>
+          <Button variant="secondary" size="sm" onClick={() => setIsImportOpen(true)}>
+            <ArrowUpTrayIcon className="w-4 h-4 mr-1" />
+            Import Schedule
+          </Button>
+        </div>
+      </div>
+
+      {error && !isImportOpen && (
+        <div className="m-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {visibleEvents.length > 0 && (
+        <div className="overflow-x-auto">
+          <ScheduleTable events={visibleEvents} />
+        </div>
+      )}
+
+      <Modal isOpen={isImportOpen} onClose={closeImport} title="Import Series Schedule" maxWidth="xl">
+        <div className="space-y-4">
+          <p className="text-sm text-gray-500">
+            One row per event: event number, name, date (DD/MM/YYYY or YYYY-MM-DD), buy-in and guarantee.
+            Events are matched by event number, so re-importing an updated schedule keeps existing matches.
+          </p>
+
+          <div className="flex items-center gap-3">
+            <select
+              value={format}
+              onChange={e => { setFormat(e.target.value as SeriesScheduleFormat); setPreview(null); }}
+              className="rounded-md border-gray-300 text-sm"
+            >
+              <option value="CSV">CSV</option>
+              <option value="JSON">JSON</option>
+            </select>
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={e => handleFile(e.target.files?.[0])}
+              className="text-sm text-gray-600"
+            />
+          </div>
+
+          <textarea
+            value={data}
+            onChange={e => { setData(e.target.value); setPreview(null); }}
+            rows={8}
+            placeholder={format === 'CSV' ? CSV_EXAMPLE : '[{ "eventNumber": 1, "name": "$250 NLH Opener", "date": "2026-10-03", "buyIn": 250, "guarantee": 20000 }]'}
+            className="w-full rounded-md border-gray-300 text-sm font-mono"
+          />
+
+          {preview && (
+            <div className="space-y-2">
+              <p className="text-sm text-gray-700">
+                {preview.eventsParsed} events parsed • {preview.eventsCreated} new • {preview.eventsUpdated} changed
+                • {preview.gamesLinked} scraped game{preview.gamesLinked === 1 ? '' : 's'} will be linked
+              </p>
+              {preview.parseErrors.length > 0 && (
+                <ul className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-xs text-yellow-800 list-disc list-inside">
+                  {preview.parseErrors.map(parseError => <li key={parseError}>{parseError}</li>)}
+                </ul>
+              )}
+              {preview.events.length > 0 && (
+                <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-lg">
+                  <ScheduleTable events={preview.events} />
+                </div>
+              )}
+            </div>
+          )}
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+          )}
+
+          <div className="flex justify-end gap-2 pt-2 border-t border-gray-200">
+            <Button variant="secondary" onClick={closeImport}>Cancel</Button>
+            <Button variant="secondary" onClick={handlePreview} disabled={importing || !data.trim()}>
+              Preview
+            </Button>
+            <Button variant="primary" onClick={handleImport} disabled={importing || !preview?.success}>
+              {importing ? 'Importing...' : 'Import'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </Card>
+  );
+};
+
+export default SeriesScheduleCard;
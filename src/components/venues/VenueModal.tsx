@@ -6,8 +6,10 @@ import { VenueFormData } from '../../types/venue';
 import { useS3Upload, validateImageFile } from '../../hooks/useS3Upload';
 import { XCircleIcon, ArrowUpTrayIcon, TrashIcon } from '@heroicons/react/24/solid';
 import { BuildingOffice2Icon } from '@heroicons/react/24/outline';
+import { CURRENCY_CODES } from '../../utils/generalHelpers';
+import { AU_REGIONS } from '../../hooks/useHolidayCalendar';
 
-type Venue = APITypes.Venue;
+type Venue = APITypes.Venue & { currency?: string | null; region?: string | null };
 type Entity = Pick<APITypes.Entity, 'id' | 'entityName'>;
 
 interface VenueModalProps {
@@ -26,6 +28,8 @@ const initialFormState: VenueFormData = {
   aliases: [],
   entityId: null,
   fee: null,
+  currency: null,
+  region: null,
   logo: null,
 };
 
@@ -54,6 +58,8 @@ export const VenueModal: React.FC<VenueModalProps> = ({ isOpen, onClose, onSave,
         aliases: venue.aliases?.filter(Boolean) as string[] || [],
         entityId: venue.entityId || null,
         fee: venue.fee ?? null,
+        currency: venue.currency || null,
+        region: venue.region || null,
         logo: venue.logo || null,
       });
       
@@ -296,13 +302,53 @@ export const VenueModal: React.FC<VenueModalProps> = ({ isOpen, onClose, onSave,
                 className="block w-full rounded-md border-gray-300 pl-7 pr-12 focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
               />
               <div className="pointer-events-none absolute inset-y-0 right-0 flex items-center pr-3">
-                <span className="text-gray-500 sm:text-sm">AUD</span>
+                <span className="text-gray-500 sm:text-sm">{formData.currency || 'Entity'}</span>
               </div>
             </div>
             <p className="mt-1 text-xs text-gray-500">
               This fee will be automatically applied to games at this venue.
             </p>
           </div>
+
+          {/* Currency */}
+          <div>
+            <label htmlFor="currency" className="block text-sm font-medium text-gray-700">Currency</label>
+            <select
+              name="currency"
+              id="currency"
+              value={formData.currency || ''}
+              onChange={(e) => setFormData(prev => ({ ...prev, currency: e.target.value || null }))}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+            >
+              <option value="">Same as entity</option>
+              {CURRENCY_CODES.map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">
+              Amounts scraped for this venue's games are recorded in this currency unless the page states otherwise.
+            </p>
+          </div>
+
+          {/* Region */}
+          <div>
+            <label htmlFor="region" className="block text-sm font-medium text-gray-700">State / Territory</label>
+            <select
+              name="region"
+              id="region"
+              value={formData.region || ''}
+              onChange={(e) => setFormData(prev => ({ ...prev, region: e.target.value || null }))}
+              className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+            >
+              <option value="">Not set</option>
+              {AU_REGIONS.map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">
+              Picks the holiday calendar for this venue (Labour Day, King's Birthday and Melbourne Cup differ by state).
+            </p>
+          </div>
           
           <div>
             <label htmlFor="address" className="block text-sm font-medium text-gray-700">Address</label>
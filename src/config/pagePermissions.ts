@@ -82,6 +82,13 @@ export const ALL_PAGES: PageConfig[] = [
     icon: 'UserGroupIcon',
     parentPath: '/players/search',
   },
+  {
+    path: '/players/leaderboards',
+    label: 'Leaderboards',
+    description: 'Points races and shareable standings',
+    category: 'players',
+    icon: 'TrophyIcon',
+  },
 
   // Series Section
   {
@@ -186,6 +193,41 @@ export const ALL_PAGES: PageConfig[] = [
     category: 'settings',
     icon: 'TrophyIcon',
   },
+  {
+    path: '/settings/review-queue',
+    label: 'Review Queue',
+    description: 'Review low-confidence venue, series, satellite and recurring game matches',
+    category: 'settings',
+    icon: 'ClipboardDocumentCheckIcon',
+  },
+  {
+    path: '/settings/blind-structures',
+    label: 'Blind Structures',
+    description: 'Compare blind structures and assign them to recurring games',
+    category: 'settings',
+    icon: 'Squares2X2Icon',
+  },
+  {
+    path: '/settings/player-identity',
+    label: 'Player Identity',
+    description: 'Merge duplicate players and split players that are two people',
+    category: 'settings',
+    icon: 'FingerPrintIcon',
+  },
+  {
+    path: '/settings/player-segments',
+    label: 'Player Segments',
+    description: 'Define player lifecycle segments and track movement between them',
+    category: 'settings',
+    icon: 'UserGroupIcon',
+  },
+  {
+    path: '/settings/credit-rules',
+    label: 'Credit Rules',
+    description: 'Award player credits to top finishers from game results',
+    category: 'settings',
+    icon: 'BanknotesIcon',
+  },
   {
     path: '/settings/social-accounts',
     label: 'Social Accounts',
@@ -248,6 +290,7 @@ export const DEFAULT_ROLE_PERMISSIONS: Record<UserRole, string[]> = {
     '/players/dashboard',
     '/players/search',
     '/players/profile',
+    '/players/leaderboards',
     '/series/dashboard',
     '/games/dashboard',
     '/games/search',
@@ -260,6 +303,11 @@ export const DEFAULT_ROLE_PERMISSIONS: Record<UserRole, string[]> = {
     '/settings/venue-management',
     '/settings/game-management',
     '/settings/series-management',
+    '/settings/review-queue',
+    '/settings/blind-structures',
+    '/settings/player-identity',
+    '/settings/player-segments',
+    '/settings/credit-rules',
     '/settings/social-accounts',
   ],
   
@@ -268,6 +316,7 @@ export const DEFAULT_ROLE_PERMISSIONS: Record<UserRole, string[]> = {
     '/players/dashboard',
     '/players/search',
     '/players/profile',
+    '/players/leaderboards',
     '/games/dashboard',
     '/games/search',
     '/games/details',
@@ -282,6 +331,7 @@ export const DEFAULT_ROLE_PERMISSIONS: Record<UserRole, string[]> = {
     '/players/dashboard',
     '/players/search',
     '/players/profile',
+    '/players/leaderboards',
     '/games/dashboard',
     '/games/search',
     '/games/details',
@@ -292,6 +342,7 @@ export const DEFAULT_ROLE_PERMISSIONS: Record<UserRole, string[]> = {
     '/home',
     '/players/dashboard',
     '/players/search',
+    '/players/leaderboards',
     '/social/pulse',
     '/social/dashboard',
   ],
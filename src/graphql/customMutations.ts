@@ -18,6 +18,8 @@ export const updateVenueShallow = /* GraphQL */ `
       city
       country
       fee
+      currency
+      region
       logo
       isSpecial
       entityId
@@ -50,6 +52,8 @@ export const createVenueShallow = /* GraphQL */ `
       city
       country
       fee
+      currency
+      region
       logo
       isSpecial
       entityId
@@ -45,6 +45,8 @@ export const listVenuesShallow = /* GraphQL */ `
         city
         country
         fee
+        currency
+        region
         aliases
         entityId
         logo
@@ -114,6 +116,7 @@ export const listEntitiesSimple = /* GraphQL */ `
         entityLogo
         isActive
         defaultVenueId
+        currency
         gameCount
         venueCount
         lastGameAddedAt
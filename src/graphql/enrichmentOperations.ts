@@ -72,6 +72,7 @@ export const previewEnrichmentQuery = /* GraphQL */ `
         registrationStatus
         gameStartDateTime
         gameEndDateTime
+        currency
         buyIn
         rake
         venueFee
@@ -84,6 +85,17 @@ export const previewEnrichmentQuery = /* GraphQL */ `
         prizepoolSurplus
         guaranteeOverlayCost
         gameProfit
+        prizesPaidTotal
+        placesPaid
+        payoutReconciliationStatus
+        payoutReconciliationDelta
+        payoutTemplateId
+        payoutTemplateDeviation
+        lastEntryLevel
+        registrationClosedLevel
+        lateEntries
+        reEntryPrizepool
+        blindStructureId
         totalUniquePlayers
         totalEntries
         venueId
@@ -96,6 +108,11 @@ export const previewEnrichmentQuery = /* GraphQL */ `
         suggestedSeriesName
         isSeries
         seriesName
+        holidayName
+        isSatellite
+        satelliteTargetSeriesId
+        satelliteTargetEventId
+        satelliteSeatsAwarded
         recurringGameId
         recurringGameAssignmentStatus
         recurringGameAssignmentConfidence
@@ -109,6 +126,10 @@ export const previewEnrichmentQuery = /* GraphQL */ `
           matchedSeriesName
           wasCreated
           matchReason
+          scheduledEventId
+          scheduledEventNumber
+          scheduledEventConfidence
+          scheduledEventMatchReason
         }
         recurringResolution {
           status
@@ -124,9 +145,70 @@ export const previewEnrichmentQuery = /* GraphQL */ `
           venueFee
           confidence
         }
+        payoutReconciliation {
+          status
+          prizesPaidTotal
+          placesPaid
+          expectedPrizepool
+          delta
+          tolerance
+          templateId
+          templateSource
+          templatePlacesPaid
+          templateDeviation
+          templateUpdated
+          reason
+        }
+        entryTimeline {
+          coverage
+          observations
+          observationAdded
+          levelsScheduled
+          byLevel {
+            level
+            entries
+            reEntries
+            newPlayers
+          }
+          entriesAtStart
+          lateEntries
+          lastEntryLevel
+          registrationClosedLevel
+          reEntries
+          reEntryRate
+          reEntryPrizepool
+          reEntryPrizepoolShare
+          guaranteeShortfallWithoutReEntries
+          guaranteeMetByReEntries
+        }
+        blindStructure {
+          structureId
+          fingerprint
+          name
+          created
+          linked
+          recurringStructureId
+          recurringAssigned
+        }
         queryKeysGenerated
         financialsCalculated
         fieldsCompleted
+        decisions {
+          resolver
+          status
+          confidence
+          reasons
+          targetId
+          targetName
+          alternatives {
+            id
+            name
+            confidence
+          }
+          matchKey
+          needsReview
+          ruleId
+        }
         processingTimeMs
       }
     }
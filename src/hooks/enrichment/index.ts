@@ -32,3 +32,11 @@ export {
   type GameCostCalculation,
   type GameFinancialSnapshotCalculation,
 } from './useFinancialsPreview';
+
+export {
+  useEnrichmentPipeline,
+  ENRICHMENT_STAGES,
+  type EnrichmentStageConfig,
+  type EnrichmentDryRunResult,
+  type UseEnrichmentPipelineReturn,
+} from './useEnrichmentPipeline';
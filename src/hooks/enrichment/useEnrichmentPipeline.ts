@@ -0,0 +1,314 @@
+// src/hooks/enrichment/useEnrichmentPipeline.ts
+// VERSION: 1.0.0 - Per-entity stage toggles + dry-run trace
+//
+// Loads and saves Entity.enrichmentStageConfig (JSON map { "<stage>": false })
+// which turns gameDataEnricher pipeline stages off for one entity, and runs
+// the enricher in dryRun mode against a tournament URL so admins can see what
+// every stage would change before saving anything.
+//
+// The dry run fetches the page through fetchTournamentData (cache allowed),
+// converts it with scrapedDataToEnrichInput and calls enrichGameData with
+// options.dryRun = true - no series/recurring creation, no stats, no save.
+
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+import { fetchGameDataFromBackend } from '../../services/gameService';
+import { scrapedDataToEnrichInput } from '../../services/enrichmentService';
+import type { EnrichmentStageTrace, EnrichmentValidationResult } from '../../types/enrichment';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const getEntityEnrichmentConfig = /* GraphQL */ `
+  query GetEntityEnrichmentConfig($id: ID!) {
+    getEntity(id: $id) {
+      id
+      enrichmentStageConfig
+      _version
+    }
+  }
+`;
+
+const updateEntityEnrichmentConfig = /* GraphQL */ `
+  mutation UpdateEntityEnrichmentConfig($input: UpdateEntityInput!) {
+    updateEntity(input: $input) {
+      id
+      enrichmentStageConfig
+      _version
+    }
+  }
+`;
+
+const enrichGameDataDryRun = /* GraphQL */ `
+  mutation EnrichGameDataDryRun($input: EnrichGameDataInput!) {
+    enrichGameData(input: $input) {
+      success
+      validation {
+        isValid
+        errors { field message code }
+        warnings { field message code }
+      }
+      enrichmentMetadata {
+        dryRun
+        processingTimeMs
+        pipelineTrace {
+          stage
+          label
+          status
+          reason
+          durationMs
+          changes { field before after }
+        }
+      }
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type EnrichmentStageConfig = Record<string, boolean>;
+
+interface EntityEnrichmentConfigRecord {
+  id: string;
+  enrichmentStageConfig?: string | null;
+  _version?: number;
+}
+
+interface GetEntityEnrichmentConfigData {
+  getEntity: EntityEnrichmentConfigRecord | null;
+}
+
+interface UpdateEntityEnrichmentConfigData {
+  updateEntity: EntityEnrichmentConfigRecord | null;
+}
+
+interface EnrichGameDataDryRunData {
+  enrichGameData: {
+    success: boolean;
+    validation?: EnrichmentValidationResult | null;
+    enrichmentMetadata?: {
+      dryRun?: boolean | null;
+      processingTimeMs?: number | null;
+      pipelineTrace?: EnrichmentStageTrace[] | null;
+    } | null;
+  } | null;
+}
+
+export interface EnrichmentDryRunResult {
+  url: string;
+  success: boolean;
+  validation: EnrichmentValidationResult | null;
+  processingTimeMs: number | null;
+  trace: EnrichmentStageTrace[];
+}
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Must match ENRICHMENT_STAGES in gameDataEnricher/enricher.js
+export const ENRICHMENT_STAGES: { stage: string; label: string; description: string; required?: boolean }[] = [
+  { stage: 'validation', label: 'Validation', description: 'Required fields and sanity checks', required: true },
+  { stage: 'completion', label: 'Data completion', description: 'Fill derivable fields (totals, guarantee flag)' },
+  { stage: 'classification', label: 'Classification', description: 'Derive gameVariant / buy-in tier from the name' },
+  { stage: 'duration', label: 'Duration', description: 'Compute totalDuration from start / end times' },
+  { stage: 'venue', label: 'Venue resolution', description: 'Match venue and venue fee' },
+  { stage: 'currency', label: 'Currency resolution', description: 'Game / venue / entity currency (ISO 4217)' },
+  { stage: 'holiday', label: 'Holiday calendar', description: 'Flag games played on a holiday in the venue region' },
+  { stage: 'series', label: 'Series resolution', description: 'Match or create TournamentSeries' },
+  { stage: 'satellite', label: 'Satellite resolution', description: 'Link satellites to their target event' },
+  { stage: 'recurring', label: 'Recurring resolution', description: 'Match or create RecurringGame' },
+  { stage: 'accumulatorTickets', label: 'Accumulator tickets', description: 'Ticket values for accumulator games' },
+  { stage: 'regularFlag', label: 'isRegular finalization', description: 'Set isRegular from series / recurring', required: true },
+  { stage: 'queryKeys', label: 'Query keys', description: 'Composite keys used by dashboards' },
+  { stage: 'financials', label: 'Financials', description: 'Rake, profit and guarantee overlay' },
+  { stage: 'payouts', label: 'Payout reconciliation', description: 'Paid prizes vs prizepool and payout template' },
+  { stage: 'entryTimeline', label: 'Entry timeline', description: 'Entries and re-entries by level from the level timings' },
+  { stage: 'blindStructure', label: 'Blind structure', description: 'Link the levels to the structure library' },
+  { stage: 'save', label: 'Save', description: 'Write through saveGameFunction (when requested)', required: true },
+  { stage: 'review', label: 'Review queue', description: 'Queue low-confidence resolver decisions for review' },
+];
+
+const parseStageConfig = (raw?: string | null): EnrichmentStageConfig => {
+  if (!raw) return {};
+  try {
+    const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    console.warn('[useEnrichmentPipeline] Stored stage config is not valid JSON');
+    return {};
+  }
+};
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseEnrichmentPipelineReturn {
+  stageConfig: EnrichmentStageConfig;
+  loading: boolean;
+  saving: boolean;
+  running: boolean;
+  error: string | null;
+  dryRunResult: EnrichmentDryRunResult | null;
+  refresh: () => Promise<void>;
+  saveStageConfig: (config: EnrichmentStageConfig) => Promise<boolean>;
+  runDryRun: (url: string, disabledStages?: string[]) => Promise<EnrichmentDryRunResult | null>;
+}
+
+export function useEnrichmentPipeline(entityId: string | null | undefined): UseEnrichmentPipelineReturn {
+  const [record, setRecord] = useState<EntityEnrichmentConfigRecord | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [dryRunResult, setDryRunResult] = useState<EnrichmentDryRunResult | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  const refresh = useCallback(async () => {
+    if (!entityId) {
+      setRecord(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await client.graphql({
+        query: getEntityEnrichmentConfig,
+        variables: { id: entityId }
+      }) as GraphQLResult<GetEntityEnrichmentConfigData>;
+
+      setRecord(result.data?.getEntity || null);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load enrichment config';
+      setError(errorMessage);
+      console.error('[useEnrichmentPipeline] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, entityId]);
+
+  const saveStageConfig = useCallback(async (config: EnrichmentStageConfig): Promise<boolean> => {
+    if (!record?.id) {
+      setError('No entity selected');
+      return false;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      // Only disabled stages are stored - everything else defaults to on
+      const disabled = Object.fromEntries(
+        Object.entries(config).filter(([, enabled]) => enabled === false)
+      );
+
+      const result = await client.graphql({
+        query: updateEntityEnrichmentConfig,
+        variables: {
+          input: {
+            id: record.id,
+            _version: record._version,
+            enrichmentStageConfig: Object.keys(disabled).length > 0 ? JSON.stringify(disabled) : null,
+          }
+        }
+      }) as GraphQLResult<UpdateEntityEnrichmentConfigData>;
+
+      if (result.data?.updateEntity) {
+        setRecord(result.data.updateEntity);
+        return true;
+      }
+
+      setError('Failed to save enrichment config');
+      return false;
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to save enrichment config';
+      setError(errorMessage);
+      console.error('[useEnrichmentPipeline] Save error:', err);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }, [client, record?.id, record?._version]);
+
+  const runDryRun = useCallback(async (
+    url: string,
+    disabledStages?: string[]
+  ): Promise<EnrichmentDryRunResult | null> => {
+    if (!entityId) {
+      setError('No entity selected');
+      return null;
+    }
+
+    setRunning(true);
+    setError(null);
+
+    try {
+      const scrapedData = await fetchGameDataFromBackend(url, false, null, entityId);
+      const input = scrapedDataToEnrichInput(scrapedData, entityId, url);
+      input.options = {
+        ...input.options,
+        saveToDatabase: false,
+        dryRun: true,
+        disabledStages: disabledStages?.length ? disabledStages : undefined,
+      };
+
+      const result = await client.graphql({
+        query: enrichGameDataDryRun,
+        variables: { input }
+      }) as GraphQLResult<EnrichGameDataDryRunData>;
+
+      const output = result.data?.enrichGameData;
+      if (!output) {
+        throw new Error(result.errors?.[0]?.message || 'No response from enrichGameData');
+      }
+
+      const dryRun: EnrichmentDryRunResult = {
+        url,
+        success: output.success,
+        validation: output.validation || null,
+        processingTimeMs: output.enrichmentMetadata?.processingTimeMs ?? null,
+        trace: output.enrichmentMetadata?.pipelineTrace || [],
+      };
+      setDryRunResult(dryRun);
+      return dryRun;
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Dry run failed';
+      setError(errorMessage);
+      console.error('[useEnrichmentPipeline] Dry run error:', err);
+      return null;
+    } finally {
+      setRunning(false);
+    }
+  }, [client, entityId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const stageConfig = useMemo(
+    () => parseStageConfig(record?.enrichmentStageConfig),
+    [record?.enrichmentStageConfig]
+  );
+
+  return {
+    stageConfig,
+    loading,
+    saving,
+    running,
+    error,
+    dryRunResult,
+    refresh,
+    saveStageConfig,
+    runDryRun,
+  };
+}
+
+export default useEnrichmentPipeline;
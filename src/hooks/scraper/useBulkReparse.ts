@@ -0,0 +1,322 @@
+// src/hooks/scraper/useBulkReparse.ts
+// VERSION: 1.0.0 - Bulk re-parse of cached HTML
+//
+// Starts and monitors BULK_REPARSE BackgroundTasks run by webScraperFunction
+// (handlers/reparse-handler.js):
+// - PREVIEW re-parses cached pages and records which Game fields would change
+// - SAVE re-parses and re-saves changed/new games through gameDataEnricher
+//
+// Progress is polled from the BackgroundTask record while the task runs.
+
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const startBulkReparseMutation = /* GraphQL */ `
+  mutation StartBulkReparse($input: StartBulkReparseInput!) {
+    startBulkReparse(input: $input) {
+      success
+      status
+      message
+      taskId
+      targetCount
+    }
+  }
+`;
+
+const getBulkReparseTask = /* GraphQL */ `
+  query GetBulkReparseTask($id: ID!) {
+    getBackgroundTask(id: $id) {
+      id
+      status
+      targetCount
+      processedCount
+      progressPercent
+      result
+      errorMessage
+      createdAt
+      startedAt
+      completedAt
+      _version
+    }
+  }
+`;
+
+const cancelBulkReparseTask = /* GraphQL */ `
+  mutation CancelBulkReparseTask($input: UpdateBackgroundTaskInput!) {
+    updateBackgroundTask(input: $input) {
+      id
+      status
+      _version
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type BulkReparseMode = 'PREVIEW' | 'SAVE';
+
+export interface BulkReparseScope {
+  startTournamentId?: number | null;
+  endTournamentId?: number | null;
+  scrapedFrom?: string | null;
+  scrapedTo?: string | null;
+}
+
+export interface BulkReparseFieldDiff {
+  field: string;
+  current: unknown;
+  parsed: unknown;
+}
+
+export interface BulkReparseChange {
+  tournamentId: number;
+  gameId: string | null;
+  url: string;
+  status: 'CHANGED' | 'NEW';
+  diffs: BulkReparseFieldDiff[];
+  savedGameId?: string;
+  saveAction?: string;
+}
+
+// Mirrors emptyResult() in webScraperFunction/handlers/reparse-handler.js
+export interface BulkReparseResult {
+  mode: BulkReparseMode;
+  scanned: number;
+  unchanged: number;
+  changed: number;
+  newGames: number;
+  skipped: number;
+  saved: number;
+  saveErrors: number;
+  parseErrors: number;
+  fieldChangeCounts: Record<string, number>;
+  changes: BulkReparseChange[];
+  errors: { tournamentId: number; url: string; error: string }[];
+}
+
+export interface BulkReparseTask {
+  id: string;
+  status: 'QUEUED' | 'RUNNING' | 'COMPLETED' | 'FAILED' | 'CANCELLED' | 'PARTIAL_SUCCESS';
+  targetCount?: number | null;
+  processedCount?: number | null;
+  progressPercent?: number | null;
+  result?: string | null;
+  errorMessage?: string | null;
+  createdAt: string;
+  startedAt?: string | null;
+  completedAt?: string | null;
+  _version?: number;
+}
+
+interface StartBulkReparseData {
+  startBulkReparse: {
+    success: boolean;
+    status: string;
+    message?: string | null;
+    taskId?: string | null;
+    targetCount?: number | null;
+  } | null;
+}
+
+interface GetBulkReparseTaskData {
+  getBackgroundTask: BulkReparseTask | null;
+}
+
+interface CancelBulkReparseTaskData {
+  updateBackgroundTask: Pick<BulkReparseTask, 'id' | 'status' | '_version'> | null;
+}
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const POLL_INTERVAL_MS = 3000;
+
+const ACTIVE_STATUSES: BulkReparseTask['status'][] = ['QUEUED', 'RUNNING'];
+
+const parseResult = (raw?: string | null): BulkReparseResult | null => {
+  if (!raw) return null;
+  try {
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    console.warn('[useBulkReparse] Task result is not valid JSON');
+    return null;
+  }
+};
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseBulkReparseReturn {
+  task: BulkReparseTask | null;
+  result: BulkReparseResult | null;
+  isActive: boolean;
+  starting: boolean;
+  error: string | null;
+  message: string | null;
+  start: (mode: BulkReparseMode, scope: BulkReparseScope) => Promise<boolean>;
+  resume: () => Promise<boolean>;
+  cancel: () => Promise<boolean>;
+  reset: () => void;
+}
+
+export function useBulkReparse(entityId: string | null | undefined): UseBulkReparseReturn {
+  const [task, setTask] = useState<BulkReparseTask | null>(null);
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+  const taskId = task?.id;
+  const isActive = !!task && ACTIVE_STATUSES.includes(task.status);
+  const result = useMemo(() => parseResult(task?.result), [task?.result]);
+
+  const loadTask = useCallback(async (id: string) => {
+    try {
+      const response = await client.graphql({
+        query: getBulkReparseTask,
+        variables: { id }
+      }) as GraphQLResult<GetBulkReparseTaskData>;
+
+      if (response.data?.getBackgroundTask) {
+        setTask(response.data.getBackgroundTask);
+      }
+    } catch (err) {
+      console.error('[useBulkReparse] Poll error:', err);
+    }
+  }, [client]);
+
+  const start = useCallback(async (mode: BulkReparseMode, scope: BulkReparseScope): Promise<boolean> => {
+    if (!entityId) {
+      setError('No entity selected');
+      return false;
+    }
+
+    setStarting(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await client.graphql({
+        query: startBulkReparseMutation,
+        variables: { input: { entityId, mode, ...scope } }
+      }) as GraphQLResult<StartBulkReparseData>;
+
+      const started = response.data?.startBulkReparse;
+      if (!started?.success) {
+        setError(started?.message || 'Failed to start re-parse');
+        return false;
+      }
+
+      setMessage(started.message || null);
+      if (started.taskId) {
+        await loadTask(started.taskId);
+      } else {
+        setTask(null);
+      }
+      return true;
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to start re-parse';
+      setError(errorMessage);
+      console.error('[useBulkReparse] Start error:', err);
+      return false;
+    } finally {
+      setStarting(false);
+    }
+  }, [client, entityId, loadTask]);
+
+  const resume = useCallback(async (): Promise<boolean> => {
+    if (!taskId) return false;
+
+    setStarting(true);
+    setError(null);
+
+    try {
+      const response = await client.graphql({
+        query: startBulkReparseMutation,
+        variables: { input: { entityId, mode: result?.mode || 'PREVIEW', resumeTaskId: taskId } }
+      }) as GraphQLResult<StartBulkReparseData>;
+
+      const resumed = response.data?.startBulkReparse;
+      if (!resumed?.success) {
+        setError(resumed?.message || 'Failed to resume re-parse');
+        return false;
+      }
+
+      setMessage(resumed.message || null);
+      await loadTask(taskId);
+      return true;
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to resume re-parse';
+      setError(errorMessage);
+      console.error('[useBulkReparse] Resume error:', err);
+      return false;
+    } finally {
+      setStarting(false);
+    }
+  }, [client, entityId, taskId, result?.mode, loadTask]);
+
+  const cancel = useCallback(async (): Promise<boolean> => {
+    if (!task) return false;
+
+    try {
+      const response = await client.graphql({
+        query: cancelBulkReparseTask,
+        variables: { input: { id: task.id, status: 'CANCELLED', _version: task._version } }
+      }) as GraphQLResult<CancelBulkReparseTaskData>;
+
+      const updated = response.data?.updateBackgroundTask;
+      if (!updated) return false;
+
+      setTask(prev => prev ? { ...prev, ...updated } : prev);
+      return true;
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to cancel re-parse';
+      setError(errorMessage);
+      console.error('[useBulkReparse] Cancel error:', err);
+      return false;
+    }
+  }, [client, task]);
+
+  const reset = useCallback(() => {
+    setTask(null);
+    setError(null);
+    setMessage(null);
+  }, []);
+
+  // Poll while the task is queued or running
+  useEffect(() => {
+    if (!taskId || !isActive) return;
+
+    const interval = setInterval(() => loadTask(taskId), POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [taskId, isActive, loadTask]);
+
+  // A different entity means a different task
+  useEffect(() => {
+    reset();
+  }, [entityId, reset]);
+
+  return {
+    task,
+    result,
+    isActive,
+    starting,
+    error,
+    message,
+    start,
+    resume,
+    cancel,
+    reset,
+  };
+}
+
+export default useBulkReparse;
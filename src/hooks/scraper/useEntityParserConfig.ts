@@ -0,0 +1,248 @@
+// src/hooks/scraper/useEntityParserConfig.ts
+// VERSION: 1.1.0 - Fetch provider order
+//
+// Loads and saves the parser settings stored on the Entity record:
+// - scraperStrategy:    parsing strategy name (webScraperFunction strategy-registry)
+// - scraperSelectorMap: declarative field -> selector map (webScraperFunction selector-map)
+// - fetchProviderOrder: live fetch failover order (webScraperFunction fetch/providers)
+//
+// The scraper Lambda caches entity config for 5 minutes, so edits apply
+// to scrapes shortly after saving - no Lambda deploy needed.
+
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const getEntityParserConfig = /* GraphQL */ `
+  query GetEntityParserConfig($id: ID!) {
+    getEntity(id: $id) {
+      id
+      scraperStrategy
+      scraperSelectorMap
+      fetchProviderOrder
+      _version
+    }
+  }
+`;
+
+const updateEntityParserConfig = /* GraphQL */ `
+  mutation UpdateEntityParserConfig($input: UpdateEntityInput!) {
+    updateEntity(input: $input) {
+      id
+      scraperStrategy
+      scraperSelectorMap
+      fetchProviderOrder
+      _version
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type SelectorTransform = 'currency' | 'integer' | 'number' | 'duration' | 'text';
+
+export interface SelectorFieldConfig {
+  selector: string;
+  transform: SelectorTransform;
+  attribute?: string | null;
+  pattern?: string | null;
+}
+
+export type SelectorMap = Record<string, SelectorFieldConfig>;
+
+export type FetchProvider = 'DIRECT' | 'SCRAPERAPI' | 'PROXY' | 'HEADLESS';
+
+interface EntityParserConfigRecord {
+  id: string;
+  scraperStrategy?: string | null;
+  scraperSelectorMap?: string | null;
+  fetchProviderOrder?: (string | null)[] | null;
+  _version?: number;
+}
+
+interface GetEntityParserConfigData {
+  getEntity: EntityParserConfigRecord | null;
+}
+
+interface UpdateEntityParserConfigData {
+  updateEntity: EntityParserConfigRecord | null;
+}
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Must match SELECTOR_MAP_FIELDS in webScraperFunction/parse/selector-map.js
+export const SELECTOR_MAP_FIELDS: { field: string; label: string; defaultTransform: SelectorTransform }[] = [
+  { field: 'buyIn', label: 'Buy-In', defaultTransform: 'currency' },
+  { field: 'rake', label: 'Rake', defaultTransform: 'currency' },
+  { field: 'startingStack', label: 'Starting Stack', defaultTransform: 'integer' },
+  { field: 'guaranteeAmount', label: 'Guarantee', defaultTransform: 'currency' },
+  { field: 'prizepoolPaid', label: 'Prizepool Paid', defaultTransform: 'currency' },
+  { field: 'totalUniquePlayers', label: 'Unique Players', defaultTransform: 'integer' },
+  { field: 'totalRebuys', label: 'Rebuys', defaultTransform: 'integer' },
+  { field: 'totalAddons', label: 'Add-Ons', defaultTransform: 'integer' },
+  { field: 'totalEntries', label: 'Total Entries', defaultTransform: 'integer' },
+  { field: 'totalDuration', label: 'Total Duration', defaultTransform: 'duration' },
+];
+
+export const SELECTOR_TRANSFORMS: SelectorTransform[] = ['currency', 'integer', 'number', 'duration', 'text'];
+
+// Must match FETCH_PROVIDERS / DEFAULT_FETCH_PROVIDER_ORDER in webScraperFunction/config/constants.js
+export const FETCH_PROVIDERS: { provider: FetchProvider; label: string; description: string }[] = [
+  { provider: 'DIRECT', label: 'Direct', description: 'Plain request from the Lambda (free, easily blocked)' },
+  { provider: 'SCRAPERAPI', label: 'ScraperAPI', description: 'ScraperAPI with AU geo-targeting' },
+  { provider: 'PROXY', label: 'HTTP Proxy', description: 'Rotates through FETCH_PROXY_URLS' },
+  { provider: 'HEADLESS', label: 'Headless Render', description: 'Render service at HEADLESS_RENDER_URL' },
+];
+
+export const DEFAULT_FETCH_PROVIDER_ORDER: FetchProvider[] = ['SCRAPERAPI', 'PROXY', 'HEADLESS'];
+
+const parseSelectorMap = (raw?: string | null): SelectorMap => {
+  if (!raw) return {};
+  try {
+    const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    console.warn('[useEntityParserConfig] Stored selector map is not valid JSON');
+    return {};
+  }
+};
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface EntityParserConfigUpdates {
+  scraperStrategy?: string | null;
+  selectorMap?: SelectorMap;
+  fetchProviderOrder?: FetchProvider[] | null;
+}
+
+export interface UseEntityParserConfigReturn {
+  scraperStrategy: string | null;
+  selectorMap: SelectorMap;
+  fetchProviderOrder: FetchProvider[] | null;
+  loading: boolean;
+  saving: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  saveConfig: (updates: EntityParserConfigUpdates) => Promise<boolean>;
+}
+
+export function useEntityParserConfig(entityId: string | null | undefined): UseEntityParserConfigReturn {
+  const [record, setRecord] = useState<EntityParserConfigRecord | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  const refresh = useCallback(async () => {
+    if (!entityId) {
+      setRecord(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await client.graphql({
+        query: getEntityParserConfig,
+        variables: { id: entityId }
+      }) as GraphQLResult<GetEntityParserConfigData>;
+
+      setRecord(result.data?.getEntity || null);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load parser config';
+      setError(errorMessage);
+      console.error('[useEntityParserConfig] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, entityId]);
+
+  const saveConfig = useCallback(async (updates: EntityParserConfigUpdates): Promise<boolean> => {
+    if (!record?.id) {
+      setError('No entity selected');
+      return false;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    try {
+      const input: Record<string, unknown> = {
+        id: record.id,
+        _version: record._version,
+      };
+      if (updates.scraperStrategy !== undefined) {
+        input.scraperStrategy = updates.scraperStrategy?.trim() || null;
+      }
+      if (updates.selectorMap !== undefined) {
+        input.scraperSelectorMap = Object.keys(updates.selectorMap).length > 0
+          ? JSON.stringify(updates.selectorMap)
+          : null;
+      }
+      if (updates.fetchProviderOrder !== undefined) {
+        input.fetchProviderOrder = updates.fetchProviderOrder?.length ? updates.fetchProviderOrder : null;
+      }
+
+      const result = await client.graphql({
+        query: updateEntityParserConfig,
+        variables: { input }
+      }) as GraphQLResult<UpdateEntityParserConfigData>;
+
+      if (result.data?.updateEntity) {
+        setRecord(result.data.updateEntity);
+        return true;
+      }
+
+      setError('Failed to save parser config');
+      return false;
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to save parser config';
+      setError(errorMessage);
+      console.error('[useEntityParserConfig] Save error:', err);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }, [client, record?.id, record?._version]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const selectorMap = useMemo(
+    () => parseSelectorMap(record?.scraperSelectorMap),
+    [record?.scraperSelectorMap]
+  );
+
+  const fetchProviderOrder = useMemo(() => {
+    const known = FETCH_PROVIDERS.map(p => p.provider);
+    const order = (record?.fetchProviderOrder || [])
+      .filter((p): p is FetchProvider => !!p && known.includes(p as FetchProvider));
+    return order.length > 0 ? order : null;
+  }, [record?.fetchProviderOrder]);
+
+  return {
+    scraperStrategy: record?.scraperStrategy || null,
+    selectorMap,
+    fetchProviderOrder,
+    loading,
+    saving,
+    error,
+    refresh,
+    saveConfig,
+  };
+}
+
+export default useEntityParserConfig;
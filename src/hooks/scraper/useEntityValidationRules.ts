@@ -0,0 +1,340 @@
+// src/hooks/scraper/useEntityValidationRules.ts
+// VERSION: 1.0.0 - Entity-scoped validation rules
+//
+// Manages ValidationRule records for an entity. gameDataEnricher runs an
+// entity's enabled rules after its built-in checks (validation/custom-rules.js,
+// cached 5 minutes per entity); ValidationSummary runs the same rules on
+// scraped data via lib/validation.ts.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+import type { ValidationRuleDefinition, ValidationRuleSeverity } from '../../lib/validation';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const RULE_FIELDS = `
+  id
+  entityId
+  name
+  description
+  field
+  condition
+  severity
+  message
+  suppressCodes
+  enabled
+  createdBy
+  createdAt
+  updatedAt
+  _version
+  _deleted
+`;
+
+const validationRulesByEntity = /* GraphQL */ `
+  query ValidationRulesByEntity($entityId: ID!, $limit: Int, $nextToken: String) {
+    validationRulesByEntity(entityId: $entityId, limit: $limit, nextToken: $nextToken) {
+      items {
+        ${RULE_FIELDS}
+      }
+      nextToken
+    }
+  }
+`;
+
+const createValidationRuleMutation = /* GraphQL */ `
+  mutation CreateValidationRule($input: CreateValidationRuleInput!) {
+    createValidationRule(input: $input) {
+      ${RULE_FIELDS}
+    }
+  }
+`;
+
+const updateValidationRuleMutation = /* GraphQL */ `
+  mutation UpdateValidationRule($input: UpdateValidationRuleInput!) {
+    updateValidationRule(input: $input) {
+      ${RULE_FIELDS}
+    }
+  }
+`;
+
+const deleteValidationRuleMutation = /* GraphQL */ `
+  mutation DeleteValidationRule($input: DeleteValidationRuleInput!) {
+    deleteValidationRule(input: $input) {
+      id
+      _version
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export interface ValidationRule extends ValidationRuleDefinition {
+  id: string;
+  entityId: string;
+  description?: string | null;
+  suppressCodes: string[];
+  enabled: boolean;
+  createdBy?: string | null;
+  createdAt: string;
+  updatedAt: string;
+  _version?: number;
+}
+
+export interface ValidationRuleInput {
+  name: string;
+  description?: string | null;
+  field?: string | null;
+  condition: string;
+  severity: ValidationRuleSeverity;
+  message: string;
+  suppressCodes?: string[];
+  enabled: boolean;
+}
+
+type ValidationRuleRecord = Omit<ValidationRule, 'suppressCodes'> & {
+  suppressCodes?: (string | null)[] | null;
+  _deleted?: boolean | null;
+};
+
+interface ValidationRulesByEntityData {
+  validationRulesByEntity: {
+    items: (ValidationRuleRecord | null)[];
+    nextToken?: string | null;
+  } | null;
+}
+
+interface CreateValidationRuleData {
+  createValidationRule: ValidationRuleRecord | null;
+}
+
+interface UpdateValidationRuleData {
+  updateValidationRule: ValidationRuleRecord | null;
+}
+
+interface DeleteValidationRuleData {
+  deleteValidationRule: { id: string; _version?: number } | null;
+}
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Built-in codes a rule can replace (gameDataEnricher/validation/business-rules.js)
+export const SUPPRESSIBLE_BUILT_IN_CODES: { code: string; description: string }[] = [
+  { code: 'UNUSUALLY_HIGH', description: 'Buy-in / entries / guarantee above global maximum' },
+  { code: 'RAKE_EXCEEDS_BUYIN', description: 'Rake greater than buy-in' },
+  { code: 'HIGH_RAKE_PERCENTAGE', description: 'Rake over 50% of buy-in' },
+  { code: 'MISSING_GUARANTEE_AMOUNT', description: 'Guarantee flag without amount' },
+  { code: 'INCONSISTENT_GUARANTEE_FLAG', description: 'Guarantee amount without flag' },
+  { code: 'ENTRY_CALCULATION_MISMATCH', description: 'Total entries != initial + rebuys + add-ons' },
+  { code: 'UNIQUE_EXCEEDS_INITIAL', description: 'Unique players above initial entries' },
+  { code: 'PRIZEPOOL_MISMATCH', description: 'Paid vs calculated prizepool over 10% apart' },
+];
+
+const toRule = (record: ValidationRuleRecord): ValidationRule => ({
+  ...record,
+  suppressCodes: (record.suppressCodes || []).filter((code): code is string => !!code),
+});
+
+const sortRules = (rules: ValidationRule[]) => rules.sort((a, b) => a.name.localeCompare(b.name));
+
+// Read-only cache for display components (one query per entity, 5 minutes)
+const RULE_CACHE_TTL_MS = 5 * 60 * 1000;
+const ruleCache = new Map<string, { loadedAt: number; promise: Promise<ValidationRule[]> }>();
+
+const fetchRules = async (entityId: string): Promise<ValidationRule[]> => {
+  const result = await generateClient().graphql({
+    query: validationRulesByEntity,
+    variables: { entityId, limit: 200 }
+  }) as GraphQLResult<ValidationRulesByEntityData>;
+
+  const items = result.data?.validationRulesByEntity?.items || [];
+  return sortRules(
+    items
+      .filter((item): item is ValidationRuleRecord => !!item && !item._deleted)
+      .map(toRule)
+  );
+};
+
+/**
+ * Enabled rules for an entity, cached so every GameCard doesn't re-query
+ */
+export const getCachedValidationRules = (entityId: string): Promise<ValidationRule[]> => {
+  const cached = ruleCache.get(entityId);
+  if (cached && Date.now() - cached.loadedAt < RULE_CACHE_TTL_MS) {
+    return cached.promise;
+  }
+
+  const promise = fetchRules(entityId)
+    .then(rules => rules.filter(rule => rule.enabled))
+    .catch(err => {
+      console.warn('[useEntityValidationRules] Could not load rules:', err);
+      ruleCache.delete(entityId);
+      return [];
+    });
+  ruleCache.set(entityId, { loadedAt: Date.now(), promise });
+  return promise;
+};
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseEntityValidationRulesReturn {
+  rules: ValidationRule[];
+  loading: boolean;
+  saving: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  createRule: (input: ValidationRuleInput) => Promise<boolean>;
+  updateRule: (id: string, input: Partial<ValidationRuleInput>) => Promise<boolean>;
+  deleteRule: (id: string) => Promise<boolean>;
+}
+
+export function useEntityValidationRules(entityId: string | null | undefined): UseEntityValidationRulesReturn {
+  const [rules, setRules] = useState<ValidationRule[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  const refresh = useCallback(async () => {
+    if (!entityId) {
+      setRules([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      setRules(await fetchRules(entityId));
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load validation rules';
+      setError(errorMessage);
+      console.error('[useEntityValidationRules] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [entityId]);
+
+  const runMutation = useCallback(async <T,>(
+    action: () => Promise<T>,
+    failureMessage: string
+  ): Promise<T | null> => {
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await action();
+      if (entityId) ruleCache.delete(entityId);
+      return result;
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : failureMessage;
+      setError(errorMessage);
+      console.error(`[useEntityValidationRules] ${failureMessage}:`, err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, [entityId]);
+
+  const createRule = useCallback(async (input: ValidationRuleInput): Promise<boolean> => {
+    if (!entityId) {
+      setError('No entity selected');
+      return false;
+    }
+
+    const created = await runMutation(async () => {
+      const result = await client.graphql({
+        query: createValidationRuleMutation,
+        variables: {
+          input: {
+            entityId,
+            name: input.name.trim(),
+            description: input.description?.trim() || null,
+            field: input.field?.trim() || null,
+            condition: input.condition.trim(),
+            severity: input.severity,
+            message: input.message.trim(),
+            suppressCodes: input.suppressCodes?.length ? input.suppressCodes : null,
+            enabled: input.enabled,
+          }
+        }
+      }) as GraphQLResult<CreateValidationRuleData>;
+      return result.data?.createValidationRule || null;
+    }, 'Failed to create rule');
+
+    if (!created) return false;
+    setRules(prev => sortRules([...prev, toRule(created)]));
+    return true;
+  }, [client, entityId, runMutation]);
+
+  const updateRule = useCallback(async (id: string, input: Partial<ValidationRuleInput>): Promise<boolean> => {
+    const existing = rules.find(r => r.id === id);
+    if (!existing) return false;
+
+    const updated = await runMutation(async () => {
+      const updateInput: Record<string, unknown> = { id, _version: existing._version };
+      if (input.name !== undefined) updateInput.name = input.name.trim();
+      if (input.description !== undefined) updateInput.description = input.description?.trim() || null;
+      if (input.field !== undefined) updateInput.field = input.field?.trim() || null;
+      if (input.condition !== undefined) updateInput.condition = input.condition.trim();
+      if (input.severity !== undefined) updateInput.severity = input.severity;
+      if (input.message !== undefined) updateInput.message = input.message.trim();
+      if (input.suppressCodes !== undefined) {
+        updateInput.suppressCodes = input.suppressCodes.length ? input.suppressCodes : null;
+      }
+      if (input.enabled !== undefined) updateInput.enabled = input.enabled;
+
+      const result = await client.graphql({
+        query: updateValidationRuleMutation,
+        variables: { input: updateInput }
+      }) as GraphQLResult<UpdateValidationRuleData>;
+      return result.data?.updateValidationRule || null;
+    }, 'Failed to update rule');
+
+    if (!updated) return false;
+    setRules(prev => sortRules(prev.map(r => r.id === id ? toRule(updated) : r)));
+    return true;
+  }, [client, rules, runMutation]);
+
+  const deleteRule = useCallback(async (id: string): Promise<boolean> => {
+    const existing = rules.find(r => r.id === id);
+    if (!existing) return false;
+
+    const deleted = await runMutation(async () => {
+      const result = await client.graphql({
+        query: deleteValidationRuleMutation,
+        variables: { input: { id, _version: existing._version } }
+      }) as GraphQLResult<DeleteValidationRuleData>;
+      return result.data?.deleteValidationRule || null;
+    }, 'Failed to delete rule');
+
+    if (!deleted) return false;
+    setRules(prev => prev.filter(r => r.id !== id));
+    return true;
+  }, [client, rules, runMutation]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    rules,
+    loading,
+    saving,
+    error,
+    refresh,
+    createRule,
+    updateRule,
+    deleteRule,
+  };
+}
+
+export default useEntityValidationRules;
@@ -0,0 +1,252 @@
+// src/hooks/scraper/useFetchProviderStats.ts
+// VERSION: 1.0.0 - Fetch provider cost and success rate for the Analytics tab
+//
+// Aggregates the provider attempts webScraperFunction records on each
+// ScrapeAttempt (fetch/providers.js -> fetchProviderAttempts) for an entity:
+// requests, success rate, bot blocks, timeouts, cost and average duration
+// per provider, plus which provider ended up serving each page.
+
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const scrapeAttemptsByEntity = /* GraphQL */ `
+  query ScrapeAttemptsByEntityProviders(
+    $entityId: ID!
+    $attemptTime: ModelStringKeyConditionInput
+    $limit: Int
+    $nextToken: String
+  ) {
+    scrapeAttemptsByEntity(
+      entityId: $entityId
+      attemptTime: $attemptTime
+      sortDirection: DESC
+      limit: $limit
+      nextToken: $nextToken
+    ) {
+      items {
+        id
+        attemptTime
+        status
+        fetchProvider
+        fetchCost
+        fetchProviderAttempts
+      }
+      nextToken
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type FetchProviderOutcome = 'SUCCESS' | 'BOT_BLOCKED' | 'TIMEOUT' | 'CLIENT_ERROR' | 'ERROR';
+
+// One entry of ScrapeAttempt.fetchProviderAttempts
+export interface FetchProviderAttempt {
+  provider: string;
+  outcome: FetchProviderOutcome;
+  statusCode?: number | null;
+  durationMs: number;
+  cost: number;
+  blockType?: string;
+}
+
+interface ScrapeAttemptProviderRecord {
+  id: string;
+  attemptTime: string;
+  status: string;
+  fetchProvider?: string | null;
+  fetchCost?: number | null;
+  fetchProviderAttempts?: string | null;
+}
+
+interface ScrapeAttemptsByEntityData {
+  scrapeAttemptsByEntity: {
+    items: (ScrapeAttemptProviderRecord | null)[];
+    nextToken?: string | null;
+  } | null;
+}
+
+export interface FetchProviderStats {
+  provider: string;
+  requests: number;
+  successes: number;
+  botBlocked: number;
+  timeouts: number;
+  errors: number;
+  successRate: number;
+  totalCost: number;
+  costPerSuccess: number | null;
+  avgDurationMs: number;
+  pagesServed: number;
+}
+
+export interface FetchProviderTotals {
+  liveFetches: number;
+  failovers: number;
+  totalCost: number;
+}
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Attempts read per page, and page cap, so a long range can't stall the tab
+const PAGE_SIZE = 500;
+const MAX_PAGES = 10;
+
+const parseProviderAttempts = (raw?: string | null): FetchProviderAttempt[] => {
+  if (!raw) return [];
+  try {
+    const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseFetchProviderStatsReturn {
+  stats: FetchProviderStats[];
+  totals: FetchProviderTotals;
+  loading: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+}
+
+export function useFetchProviderStats(
+  entityId: string | null | undefined,
+  since: string | null = null
+): UseFetchProviderStatsReturn {
+  const [records, setRecords] = useState<ScrapeAttemptProviderRecord[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  const refresh = useCallback(async () => {
+    if (!entityId) {
+      setRecords([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const loaded: ScrapeAttemptProviderRecord[] = [];
+      let nextToken: string | null | undefined = null;
+      let pages = 0;
+
+      do {
+        const result = await client.graphql({
+          query: scrapeAttemptsByEntity,
+          variables: {
+            entityId,
+            attemptTime: since ? { ge: since } : undefined,
+            limit: PAGE_SIZE,
+            nextToken,
+          }
+        }) as GraphQLResult<ScrapeAttemptsByEntityData>;
+
+        const connection = result.data?.scrapeAttemptsByEntity;
+        (connection?.items || []).forEach(item => {
+          if (item) loaded.push(item);
+        });
+        nextToken = connection?.nextToken;
+        pages++;
+      } while (nextToken && pages < MAX_PAGES);
+
+      setRecords(loaded);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load fetch provider stats';
+      setError(errorMessage);
+      console.error('[useFetchProviderStats] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, entityId, since]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const { stats, totals } = useMemo(() => {
+    const byProvider = new Map<string, FetchProviderStats & { totalDurationMs: number }>();
+    const summary: FetchProviderTotals = { liveFetches: 0, failovers: 0, totalCost: 0 };
+
+    const getStats = (provider: string) => {
+      if (!byProvider.has(provider)) {
+        byProvider.set(provider, {
+          provider,
+          requests: 0,
+          successes: 0,
+          botBlocked: 0,
+          timeouts: 0,
+          errors: 0,
+          successRate: 0,
+          totalCost: 0,
+          costPerSuccess: null,
+          avgDurationMs: 0,
+          pagesServed: 0,
+          totalDurationMs: 0,
+        });
+      }
+      return byProvider.get(provider)!;
+    };
+
+    records.forEach(record => {
+      const attempts = parseProviderAttempts(record.fetchProviderAttempts);
+      if (attempts.length === 0) return; // Served from cache
+
+      summary.liveFetches++;
+      summary.totalCost += record.fetchCost || 0;
+      if (new Set(attempts.map(a => a.provider)).size > 1) summary.failovers++;
+
+      attempts.forEach(attempt => {
+        const entry = getStats(attempt.provider);
+        entry.requests++;
+        entry.totalCost += attempt.cost || 0;
+        entry.totalDurationMs += attempt.durationMs || 0;
+        if (attempt.outcome === 'SUCCESS') entry.successes++;
+        else if (attempt.outcome === 'BOT_BLOCKED') entry.botBlocked++;
+        else if (attempt.outcome === 'TIMEOUT') entry.timeouts++;
+        else entry.errors++;
+      });
+
+      if (record.fetchProvider && record.status === 'SUCCESS') {
+        getStats(record.fetchProvider).pagesServed++;
+      }
+    });
+
+    const computed: FetchProviderStats[] = Array.from(byProvider.values())
+      .map(({ totalDurationMs, ...entry }) => ({
+        ...entry,
+        successRate: entry.requests > 0 ? (entry.successes / entry.requests) * 100 : 0,
+        costPerSuccess: entry.successes > 0 ? entry.totalCost / entry.successes : null,
+        avgDurationMs: entry.requests > 0 ? Math.round(totalDurationMs / entry.requests) : 0,
+      }))
+      .sort((a, b) => b.requests - a.requests);
+
+    return { stats: computed, totals: summary };
+  }, [records]);
+
+  return {
+    stats,
+    totals,
+    loading,
+    error,
+    refresh,
+  };
+}
+
+export default useFetchProviderStats;
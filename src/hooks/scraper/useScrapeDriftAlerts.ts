@@ -0,0 +1,192 @@
+// src/hooks/scraper/useScrapeDriftAlerts.ts
+// VERSION: 1.0.0 - Structure drift alerts for the scraper Analytics tab
+//
+// Loads ScrapeDriftAlert records written by webScraperFunction
+// (parse/structure-drift.js) for an entity, and lets admins acknowledge them.
+// - NEW_STRUCTURE: page fingerprint never seen for the entity before
+// - FIELD_MISSING: a watched field missing for several consecutive scrapes
+
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const scrapeDriftAlertsByEntity = /* GraphQL */ `
+  query ScrapeDriftAlertsByEntity($entityId: ID!, $limit: Int, $nextToken: String) {
+    scrapeDriftAlertsByEntity(
+      entityId: $entityId
+      sortDirection: DESC
+      limit: $limit
+      nextToken: $nextToken
+    ) {
+      items {
+        id
+        entityId
+        alertType
+        fingerprint
+        structureLabel
+        missingField
+        consecutiveMisses
+        foundKeys
+        exampleUrl
+        tournamentId
+        detectedAt
+        acknowledged
+        acknowledgedAt
+        acknowledgedBy
+        notificationSent
+        _version
+      }
+      nextToken
+    }
+  }
+`;
+
+const acknowledgeScrapeDriftAlert = /* GraphQL */ `
+  mutation AcknowledgeScrapeDriftAlert($input: UpdateScrapeDriftAlertInput!) {
+    updateScrapeDriftAlert(input: $input) {
+      id
+      acknowledged
+      acknowledgedAt
+      acknowledgedBy
+      _version
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type ScrapeDriftAlertType = 'NEW_STRUCTURE' | 'FIELD_MISSING';
+
+export interface ScrapeDriftAlert {
+  id: string;
+  entityId: string;
+  alertType: ScrapeDriftAlertType;
+  fingerprint?: string | null;
+  structureLabel?: string | null;
+  missingField?: string | null;
+  consecutiveMisses?: number | null;
+  foundKeys?: (string | null)[] | null;
+  exampleUrl?: string | null;
+  tournamentId?: number | null;
+  detectedAt: string;
+  acknowledged?: boolean | null;
+  acknowledgedAt?: string | null;
+  acknowledgedBy?: string | null;
+  notificationSent?: boolean | null;
+  _version?: number;
+}
+
+interface ScrapeDriftAlertsByEntityData {
+  scrapeDriftAlertsByEntity: {
+    items: (ScrapeDriftAlert | null)[];
+    nextToken?: string | null;
+  } | null;
+}
+
+interface AcknowledgeScrapeDriftAlertData {
+  updateScrapeDriftAlert: Pick<ScrapeDriftAlert, 'id' | 'acknowledged' | 'acknowledgedAt' | 'acknowledgedBy' | '_version'> | null;
+}
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseScrapeDriftAlertsReturn {
+  alerts: ScrapeDriftAlert[];
+  openAlerts: ScrapeDriftAlert[];
+  loading: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  acknowledge: (alertId: string, acknowledgedBy?: string) => Promise<boolean>;
+}
+
+export function useScrapeDriftAlerts(
+  entityId: string | null | undefined,
+  limit: number = 50
+): UseScrapeDriftAlertsReturn {
+  const [alerts, setAlerts] = useState<ScrapeDriftAlert[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  const refresh = useCallback(async () => {
+    if (!entityId) {
+      setAlerts([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await client.graphql({
+        query: scrapeDriftAlertsByEntity,
+        variables: { entityId, limit }
+      }) as GraphQLResult<ScrapeDriftAlertsByEntityData>;
+
+      const items = result.data?.scrapeDriftAlertsByEntity?.items || [];
+      setAlerts(items.filter((item): item is ScrapeDriftAlert => item !== null));
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load drift alerts';
+      setError(errorMessage);
+      console.error('[useScrapeDriftAlerts] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, entityId, limit]);
+
+  const acknowledge = useCallback(async (alertId: string, acknowledgedBy?: string): Promise<boolean> => {
+    const alert = alerts.find(a => a.id === alertId);
+    if (!alert) return false;
+
+    try {
+      const result = await client.graphql({
+        query: acknowledgeScrapeDriftAlert,
+        variables: {
+          input: {
+            id: alertId,
+            acknowledged: true,
+            acknowledgedAt: new Date().toISOString(),
+            acknowledgedBy: acknowledgedBy || null,
+            _version: alert._version,
+          }
+        }
+      }) as GraphQLResult<AcknowledgeScrapeDriftAlertData>;
+
+      const updated = result.data?.updateScrapeDriftAlert;
+      if (!updated) return false;
+
+      setAlerts(prev => prev.map(a => a.id === alertId ? { ...a, ...updated } : a));
+      return true;
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to acknowledge alert';
+      setError(errorMessage);
+      console.error('[useScrapeDriftAlerts] Acknowledge error:', err);
+      return false;
+    }
+  }, [client, alerts]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const openAlerts = useMemo(() => alerts.filter(a => !a.acknowledged), [alerts]);
+
+  return {
+    alerts,
+    openAlerts,
+    loading,
+    error,
+    refresh,
+    acknowledge,
+  };
+}
+
+export default useScrapeDriftAlerts;
@@ -0,0 +1,470 @@
+// src/hooks/scraper/useScraperSchedules.ts
+// VERSION: 1.0.0 - Scheduled scraper jobs per entity
+//
+// Manages ScraperSchedule job definitions for an entity and the entity's
+// scheduling settings (timezone + quiet hours on the Entity record).
+// autoScraper checks schedules every 5 minutes (runDueSchedules) and starts
+// a job when a schedule's cron expression is due, outside quiet hours.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const SCHEDULE_FIELDS = `
+  id
+  entityId
+  name
+  enabled
+  mode
+  cronExpression
+  options
+  nextRunAt
+  lastRunAt
+  lastRunStatus
+  lastJobId
+  createdBy
+  createdAt
+  updatedAt
+  _version
+  _deleted
+`;
+
+const scraperSchedulesByEntity = /* GraphQL */ `
+  query ScraperSchedulesByEntity($entityId: ID!, $limit: Int, $nextToken: String) {
+    scraperSchedulesByEntity(entityId: $entityId, limit: $limit, nextToken: $nextToken) {
+      items {
+        ${SCHEDULE_FIELDS}
+      }
+      nextToken
+    }
+  }
+`;
+
+const createScraperScheduleMutation = /* GraphQL */ `
+  mutation CreateScraperSchedule($input: CreateScraperScheduleInput!) {
+    createScraperSchedule(input: $input) {
+      ${SCHEDULE_FIELDS}
+    }
+  }
+`;
+
+const updateScraperScheduleMutation = /* GraphQL */ `
+  mutation UpdateScraperSchedule($input: UpdateScraperScheduleInput!) {
+    updateScraperSchedule(input: $input) {
+      ${SCHEDULE_FIELDS}
+    }
+  }
+`;
+
+const deleteScraperScheduleMutation = /* GraphQL */ `
+  mutation DeleteScraperSchedule($input: DeleteScraperScheduleInput!) {
+    deleteScraperSchedule(input: $input) {
+      id
+      _version
+    }
+  }
+`;
+
+const getEntityScheduleSettings = /* GraphQL */ `
+  query GetEntityScheduleSettings($id: ID!) {
+    getEntity(id: $id) {
+      id
+      scraperTimezone
+      scraperQuietHoursStart
+      scraperQuietHoursEnd
+      _version
+    }
+  }
+`;
+
+const updateEntityScheduleSettings = /* GraphQL */ `
+  mutation UpdateEntityScheduleSettings($input: UpdateEntityInput!) {
+    updateEntity(input: $input) {
+      id
+      scraperTimezone
+      scraperQuietHoursStart
+      scraperQuietHoursEnd
+      _version
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type ScheduleJobMode = 'auto' | 'bulk' | 'range' | 'gaps' | 'refresh' | 'priority';
+
+// Subset of startScraperJob options autoScraper applies (SCHEDULE_OPTION_KEYS)
+export interface ScheduleJobOptions {
+  bulkCount?: number | null;
+  startId?: number | null;
+  endId?: number | null;
+  maxId?: number | null;
+  maxGapIds?: number | null;
+  forceRefresh?: boolean;
+  skipNotPublished?: boolean;
+  skipNotFoundGaps?: boolean;
+  maxConsecutiveNotFound?: number | null;
+  maxConsecutiveErrors?: number | null;
+  maxConsecutiveBlanks?: number | null;
+  maxTotalErrors?: number | null;
+}
+
+export interface ScraperSchedule {
+  id: string;
+  entityId: string;
+  name: string;
+  enabled: boolean;
+  mode: ScheduleJobMode;
+  cronExpression: string;
+  options: ScheduleJobOptions;
+  nextRunAt?: string | null;
+  lastRunAt?: string | null;
+  lastRunStatus?: string | null;
+  lastJobId?: string | null;
+  createdBy?: string | null;
+  createdAt: string;
+  updatedAt: string;
+  _version?: number;
+}
+
+export interface ScraperScheduleInput {
+  name: string;
+  enabled: boolean;
+  mode: ScheduleJobMode;
+  cronExpression: string;
+  options: ScheduleJobOptions;
+}
+
+export interface EntityScheduleSettings {
+  scraperTimezone: string | null;
+  scraperQuietHoursStart: string | null;
+  scraperQuietHoursEnd: string | null;
+}
+
+type ScraperScheduleRecord = Omit<ScraperSchedule, 'options'> & {
+  options?: string | null;
+  _deleted?: boolean | null;
+};
+
+interface EntityScheduleSettingsRecord extends EntityScheduleSettings {
+  id: string;
+  _version?: number;
+}
+
+interface ScraperSchedulesByEntityData {
+  scraperSchedulesByEntity: {
+    items: (ScraperScheduleRecord | null)[];
+    nextToken?: string | null;
+  } | null;
+}
+
+interface CreateScraperScheduleData {
+  createScraperSchedule: ScraperScheduleRecord | null;
+}
+
+interface UpdateScraperScheduleData {
+  updateScraperSchedule: ScraperScheduleRecord | null;
+}
+
+interface DeleteScraperScheduleData {
+  deleteScraperSchedule: { id: string; _version?: number } | null;
+}
+
+interface GetEntityScheduleSettingsData {
+  getEntity: EntityScheduleSettingsRecord | null;
+}
+
+interface UpdateEntityScheduleSettingsData {
+  updateEntity: EntityScheduleSettingsRecord | null;
+}
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Must match DEFAULT_TIMEZONE in autoScraper/lib/cronSchedule.js
+export const DEFAULT_SCHEDULE_TIMEZONE = 'Australia/Sydney';
+
+export const SCHEDULE_MODES: { mode: ScheduleJobMode; label: string; description: string }[] = [
+  { mode: 'auto', label: 'Auto', description: 'Scan forward from the last scanned ID until the end of published tournaments' },
+  { mode: 'bulk', label: 'Bulk', description: 'Scan the next N IDs after the last scanned ID' },
+  { mode: 'range', label: 'Range', description: 'Scan a fixed ID range' },
+  { mode: 'gaps', label: 'Gaps', description: 'Fill missing tournament IDs' },
+  { mode: 'refresh', label: 'Refresh', description: 'Re-fetch unfinished games (running, registering, scheduled)' },
+  { mode: 'priority', label: 'Priority', description: 'Fetch the highest-value IDs first (running games, missing results, new IDs) up to the budget' },
+];
+
+export const CRON_PRESETS: { label: string; cron: string }[] = [
+  { label: 'Every 30 minutes', cron: '*/30 * * * *' },
+  { label: 'Hourly', cron: '0 * * * *' },
+  { label: 'Every 4 hours', cron: '0 */4 * * *' },
+  { label: 'Daily 6am', cron: '0 6 * * *' },
+  { label: 'Evenings (6pm-midnight, hourly)', cron: '0 18-23 * * *' },
+  { label: 'Weekdays 9am', cron: '0 9 * * 1-5' },
+];
+
+// Field ranges for the 5 cron fields (day-of-week allows 7 = Sunday)
+const CRON_FIELD_RANGES: [number, number][] = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+const CRON_PART = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/;
+
+/**
+ * Same rules as parseCron() in autoScraper/lib/cronSchedule.js
+ */
+export const isValidCronExpression = (expression: string): boolean => {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) return false;
+
+  return fields.every((field, i) => {
+    const [min, max] = CRON_FIELD_RANGES[i];
+    return field.split(',').every(part => {
+      const match = CRON_PART.exec(part);
+      if (!match) return false;
+      if (match[2] !== undefined && parseInt(match[2], 10) < 1) return false;
+      if (match[1] === '*') return true;
+      const [start, end = start] = match[1].split('-').map(n => parseInt(n, 10));
+      return start >= min && end <= max && start <= end;
+    });
+  });
+};
+
+export const isValidTimeOfDay = (value: string): boolean => /^([01]?\d|2[0-3]):[0-5]\d$/.test(value.trim());
+
+const parseOptions = (raw?: string | null): ScheduleJobOptions => {
+  if (!raw) return {};
+  try {
+    const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    console.warn('[useScraperSchedules] Schedule options are not valid JSON');
+    return {};
+  }
+};
+
+const toSchedule = (record: ScraperScheduleRecord): ScraperSchedule => ({
+  ...record,
+  options: parseOptions(record.options),
+});
+
+// Drop empty values so autoScraper falls back to its defaults
+const serializeOptions = (options: ScheduleJobOptions): string | null => {
+  const cleaned = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== null && value !== undefined && value !== '')
+  );
+  return Object.keys(cleaned).length > 0 ? JSON.stringify(cleaned) : null;
+};
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseScraperSchedulesReturn {
+  schedules: ScraperSchedule[];
+  settings: EntityScheduleSettings;
+  loading: boolean;
+  saving: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  createSchedule: (input: ScraperScheduleInput) => Promise<boolean>;
+  updateSchedule: (id: string, input: Partial<ScraperScheduleInput>) => Promise<boolean>;
+  deleteSchedule: (id: string) => Promise<boolean>;
+  saveSettings: (settings: EntityScheduleSettings) => Promise<boolean>;
+}
+
+export function useScraperSchedules(entityId: string | null | undefined): UseScraperSchedulesReturn {
+  const [schedules, setSchedules] = useState<ScraperSchedule[]>([]);
+  const [entityRecord, setEntityRecord] = useState<EntityScheduleSettingsRecord | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  const refresh = useCallback(async () => {
+    if (!entityId) {
+      setSchedules([]);
+      setEntityRecord(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [schedulesResult, entityResult] = await Promise.all([
+        client.graphql({
+          query: scraperSchedulesByEntity,
+          variables: { entityId, limit: 100 }
+        }) as Promise<GraphQLResult<ScraperSchedulesByEntityData>>,
+        client.graphql({
+          query: getEntityScheduleSettings,
+          variables: { id: entityId }
+        }) as Promise<GraphQLResult<GetEntityScheduleSettingsData>>,
+      ]);
+
+      const items = schedulesResult.data?.scraperSchedulesByEntity?.items || [];
+      setSchedules(
+        items
+          .filter((item): item is ScraperScheduleRecord => !!item && !item._deleted)
+          .map(toSchedule)
+          .sort((a, b) => a.name.localeCompare(b.name))
+      );
+      setEntityRecord(entityResult.data?.getEntity || null);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load schedules';
+      setError(errorMessage);
+      console.error('[useScraperSchedules] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, entityId]);
+
+  const runMutation = useCallback(async <T,>(
+    action: () => Promise<T>,
+    failureMessage: string
+  ): Promise<T | null> => {
+    setSaving(true);
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : failureMessage;
+      setError(errorMessage);
+      console.error(`[useScraperSchedules] ${failureMessage}:`, err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const createSchedule = useCallback(async (input: ScraperScheduleInput): Promise<boolean> => {
+    if (!entityId) {
+      setError('No entity selected');
+      return false;
+    }
+
+    const created = await runMutation(async () => {
+      const result = await client.graphql({
+        query: createScraperScheduleMutation,
+        variables: {
+          input: {
+            entityId,
+            name: input.name.trim(),
+            enabled: input.enabled,
+            mode: input.mode,
+            cronExpression: input.cronExpression.trim(),
+            options: serializeOptions(input.options),
+          }
+        }
+      }) as GraphQLResult<CreateScraperScheduleData>;
+      return result.data?.createScraperSchedule || null;
+    }, 'Failed to create schedule');
+
+    if (!created) return false;
+    setSchedules(prev => [...prev, toSchedule(created)].sort((a, b) => a.name.localeCompare(b.name)));
+    return true;
+  }, [client, entityId, runMutation]);
+
+  const updateSchedule = useCallback(async (id: string, input: Partial<ScraperScheduleInput>): Promise<boolean> => {
+    const existing = schedules.find(s => s.id === id);
+    if (!existing) return false;
+
+    const updated = await runMutation(async () => {
+      const updateInput: Record<string, unknown> = { id, _version: existing._version };
+      if (input.name !== undefined) updateInput.name = input.name.trim();
+      if (input.enabled !== undefined) updateInput.enabled = input.enabled;
+      if (input.mode !== undefined) updateInput.mode = input.mode;
+      if (input.options !== undefined) updateInput.options = serializeOptions(input.options);
+      if (input.cronExpression !== undefined) {
+        updateInput.cronExpression = input.cronExpression.trim();
+      }
+      // autoScraper recalculates the next run from the edit time
+      if (input.cronExpression !== undefined || input.enabled) {
+        updateInput.nextRunAt = null;
+      }
+
+      const result = await client.graphql({
+        query: updateScraperScheduleMutation,
+        variables: { input: updateInput }
+      }) as GraphQLResult<UpdateScraperScheduleData>;
+      return result.data?.updateScraperSchedule || null;
+    }, 'Failed to update schedule');
+
+    if (!updated) return false;
+    setSchedules(prev => prev.map(s => s.id === id ? toSchedule(updated) : s));
+    return true;
+  }, [client, schedules, runMutation]);
+
+  const deleteSchedule = useCallback(async (id: string): Promise<boolean> => {
+    const existing = schedules.find(s => s.id === id);
+    if (!existing) return false;
+
+    const deleted = await runMutation(async () => {
+      const result = await client.graphql({
+        query: deleteScraperScheduleMutation,
+        variables: { input: { id, _version: existing._version } }
+      }) as GraphQLResult<DeleteScraperScheduleData>;
+      return result.data?.deleteScraperSchedule || null;
+    }, 'Failed to delete schedule');
+
+    if (!deleted) return false;
+    setSchedules(prev => prev.filter(s => s.id !== id));
+    return true;
+  }, [client, schedules, runMutation]);
+
+  const saveSettings = useCallback(async (settings: EntityScheduleSettings): Promise<boolean> => {
+    if (!entityRecord?.id) {
+      setError('No entity selected');
+      return false;
+    }
+
+    const updated = await runMutation(async () => {
+      const result = await client.graphql({
+        query: updateEntityScheduleSettings,
+        variables: {
+          input: {
+            id: entityRecord.id,
+            _version: entityRecord._version,
+            scraperTimezone: settings.scraperTimezone?.trim() || null,
+            scraperQuietHoursStart: settings.scraperQuietHoursStart?.trim() || null,
+            scraperQuietHoursEnd: settings.scraperQuietHoursEnd?.trim() || null,
+          }
+        }
+      }) as GraphQLResult<UpdateEntityScheduleSettingsData>;
+      return result.data?.updateEntity || null;
+    }, 'Failed to save schedule settings');
+
+    if (!updated) return false;
+    setEntityRecord(updated);
+    return true;
+  }, [client, entityRecord?.id, entityRecord?._version, runMutation]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    schedules,
+    settings: {
+      scraperTimezone: entityRecord?.scraperTimezone || null,
+      scraperQuietHoursStart: entityRecord?.scraperQuietHoursStart || null,
+      scraperQuietHoursEnd: entityRecord?.scraperQuietHoursEnd || null,
+    },
+    loading,
+    saving,
+    error,
+    refresh,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    saveSettings,
+  };
+}
+
+export default useScraperSchedules;
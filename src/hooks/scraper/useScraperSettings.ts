@@ -1,10 +1,12 @@
 // src/hooks/useScraperSettings.ts
-// VERSION: 1.0.0 - Global scraper settings hook
+// VERSION: 1.1.0 - Added adaptive rate limit settings
 //
 // Manages the global auto-refresh toggle that controls:
 // - Whether the EventBridge Lambda actually scrapes (it checks this setting)
 // - Whether the HomePage auto-refreshes
 //
+// Also holds the rateLimit* fields read by autoScraper (lib/rateLimiter.js)
+//
 // Usage:
 //   const { settings, loading, updateAutoRefresh } = useScraperSettings();
 //   if (settings?.autoRefreshEnabled) { ... }
@@ -31,6 +33,11 @@ const getScraperSettings = /* GraphQL */ `
       runningRefreshIntervalMinutes
       startingSoonRefreshIntervalMinutes
       upcomingRefreshIntervalMinutes
+      rateLimitEnabled
+      rateLimitRequestsPerMinute
+      rateLimitMinRequestsPerMinute
+      rateLimitBurst
+      rateLimitMaxBackoffSeconds
       createdAt
       updatedAt
       _version
@@ -53,6 +60,11 @@ const listScraperSettings = /* GraphQL */ `
         runningRefreshIntervalMinutes
         startingSoonRefreshIntervalMinutes
         upcomingRefreshIntervalMinutes
+        rateLimitEnabled
+        rateLimitRequestsPerMinute
+        rateLimitMinRequestsPerMinute
+        rateLimitBurst
+        rateLimitMaxBackoffSeconds
         createdAt
         updatedAt
         _version
@@ -75,6 +87,11 @@ const createScraperSettings = /* GraphQL */ `
       runningRefreshIntervalMinutes
       startingSoonRefreshIntervalMinutes
       upcomingRefreshIntervalMinutes
+      rateLimitEnabled
+      rateLimitRequestsPerMinute
+      rateLimitMinRequestsPerMinute
+      rateLimitBurst
+      rateLimitMaxBackoffSeconds
       _version
     }
   }
@@ -94,6 +111,11 @@ const updateScraperSettings = /* GraphQL */ `
       runningRefreshIntervalMinutes
       startingSoonRefreshIntervalMinutes
       upcomingRefreshIntervalMinutes
+      rateLimitEnabled
+      rateLimitRequestsPerMinute
+      rateLimitMinRequestsPerMinute
+      rateLimitBurst
+      rateLimitMaxBackoffSeconds
       _version
     }
   }
@@ -115,6 +137,12 @@ export interface ScraperSettings {
   runningRefreshIntervalMinutes?: number | null;
   startingSoonRefreshIntervalMinutes?: number | null;
   upcomingRefreshIntervalMinutes?: number | null;
+  // Adaptive rate limiting for autoScraper jobs
+  rateLimitEnabled?: boolean | null;
+  rateLimitRequestsPerMinute?: number | null;
+  rateLimitMinRequestsPerMinute?: number | null;
+  rateLimitBurst?: number | null;
+  rateLimitMaxBackoffSeconds?: number | null;
   createdAt?: string;
   updatedAt?: string;
   _version?: number;
@@ -155,6 +183,11 @@ const DEFAULT_SETTINGS: Omit<ScraperSettings, 'id' | 'createdAt' | 'updatedAt'>
   runningRefreshIntervalMinutes: 30,
   startingSoonRefreshIntervalMinutes: 60,
   upcomingRefreshIntervalMinutes: 720,
+  rateLimitEnabled: true,
+  rateLimitRequestsPerMinute: 30,
+  rateLimitMinRequestsPerMinute: 2,
+  rateLimitBurst: 3,
+  rateLimitMaxBackoffSeconds: 120,
 };
 
 // Polling interval for settings changes (5 minutes)
@@ -0,0 +1,456 @@
+// src/hooks/useBlindStructures.ts
+// VERSION: 1.0.0 - Blind structure library
+//
+// gameDataEnricher links every scraped tournament to a BlindStructure by
+// fingerprint (starting stack + levels, resolution/blind-structure-library.js).
+// This hook lists an entity's library, the games that ran a structure, and
+// assigns structures to recurring games for reuse.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const STRUCTURE_FIELDS = `
+  id
+  entityId
+  fingerprint
+  name
+  notes
+  source
+  startingStack
+  levels
+  breaks
+  levelCount
+  avgLevelMinutes
+  totalBreakMinutes
+  startingBigBlind
+  effectiveStartingBB
+  anteStartsLevel
+  estimatedDurations
+  recurringGameIds
+  gamesPlayed
+  firstPlayedAt
+  lastPlayedAt
+  _version
+  _deleted
+`;
+
+const blindStructuresByEntity = /* GraphQL */ `
+  query BlindStructuresByEntity($entityId: ID!, $limit: Int, $nextToken: String) {
+    blindStructuresByEntity(entityId: $entityId, limit: $limit, nextToken: $nextToken) {
+      items {
+        ${STRUCTURE_FIELDS}
+      }
+      nextToken
+    }
+  }
+`;
+
+const gamesByBlindStructure = /* GraphQL */ `
+  query GamesByBlindStructure($blindStructureId: ID!, $sortDirection: ModelSortDirection, $limit: Int) {
+    gamesByBlindStructure(blindStructureId: $blindStructureId, sortDirection: $sortDirection, limit: $limit) {
+      items {
+        id
+        name
+        gameStatus
+        gameStartDateTime
+        gameActualStartDateTime
+        gameEndDateTime
+        totalDuration
+        totalEntries
+        recurringGameId
+        _deleted
+      }
+    }
+  }
+`;
+
+const recurringGamesByEntity = /* GraphQL */ `
+  query StructureRecurringGames($filter: ModelRecurringGameFilterInput, $limit: Int, $nextToken: String) {
+    listRecurringGames(filter: $filter, limit: $limit, nextToken: $nextToken) {
+      items {
+        id
+        name
+        venueId
+        dayOfWeek
+        blindStructureId
+        _version
+        _deleted
+      }
+      nextToken
+    }
+  }
+`;
+
+const updateBlindStructureMutation = /* GraphQL */ `
+  mutation UpdateBlindStructure($input: UpdateBlindStructureInput!) {
+    updateBlindStructure(input: $input) {
+      ${STRUCTURE_FIELDS}
+    }
+  }
+`;
+
+const updateRecurringGameStructureMutation = /* GraphQL */ `
+  mutation UpdateRecurringGameStructure($input: UpdateRecurringGameInput!) {
+    updateRecurringGame(input: $input) {
+      id
+      blindStructureId
+      _version
+    }
+  }
+`;
+
+const backfillBlindStructuresMutation = /* GraphQL */ `
+  mutation BackfillBlindStructures($input: BackfillBlindStructuresInput!) {
+    backfillBlindStructures(input: $input) {
+      success
+      preview
+      scanned
+      linked
+      structuresCreated
+      skipped
+      hasMore
+      error
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export interface BlindStructureLevel {
+  levelNumber: number;
+  durationMinutes: number;
+  smallBlind: number;
+  bigBlind: number;
+  ante: number;
+}
+
+export interface BlindStructureBreak {
+  levelNumberBeforeBreak: number;
+  durationMinutes: number;
+}
+
+export interface BlindStructure {
+  id: string;
+  entityId: string;
+  fingerprint: string;
+  name: string;
+  notes?: string | null;
+  source: 'DETECTED' | 'MANUAL';
+  startingStack?: number | null;
+  levels: BlindStructureLevel[];
+  breaks: BlindStructureBreak[];
+  levelCount?: number | null;
+  avgLevelMinutes?: number | null;
+  totalBreakMinutes?: number | null;
+  startingBigBlind?: number | null;
+  effectiveStartingBB?: number | null;
+  anteStartsLevel?: number | null;
+  estimatedDurations: Record<string, number | null>;
+  recurringGameIds: string[];
+  gamesPlayed?: number | null;
+  firstPlayedAt?: string | null;
+  lastPlayedAt?: string | null;
+  _version?: number;
+}
+
+export interface StructureGame {
+  id: string;
+  name: string;
+  gameStatus?: string | null;
+  gameStartDateTime: string;
+  totalEntries?: number | null;
+  recurringGameId?: string | null;
+  durationMinutes: number | null;
+}
+
+export interface StructureRecurringGame {
+  id: string;
+  name: string;
+  venueId?: string | null;
+  dayOfWeek?: string | null;
+  blindStructureId?: string | null;
+  _version?: number;
+}
+
+export interface BackfillStructuresResult {
+  success: boolean;
+  preview: boolean;
+  scanned: number;
+  linked: number;
+  structuresCreated: number;
+  skipped: number;
+  hasMore: boolean;
+  error?: string | null;
+}
+
+type StructureRecord = Omit<BlindStructure, 'levels' | 'breaks' | 'estimatedDurations' | 'recurringGameIds'> & {
+  levels?: string | null;
+  breaks?: string | null;
+  estimatedDurations?: string | null;
+  recurringGameIds?: (string | null)[] | null;
+  _deleted?: boolean | null;
+};
+
+interface GameRecord {
+  id: string;
+  name: string;
+  gameStatus?: string | null;
+  gameStartDateTime: string;
+  gameActualStartDateTime?: string | null;
+  gameEndDateTime?: string | null;
+  totalDuration?: number | null;
+  totalEntries?: number | null;
+  recurringGameId?: string | null;
+  _deleted?: boolean | null;
+}
+
+interface Page<T> {
+  items: (T | null)[];
+  nextToken?: string | null;
+}
+
+interface GamesByBlindStructureData {
+  gamesByBlindStructure: Page<GameRecord> | null;
+}
+
+interface UpdateBlindStructureData {
+  updateBlindStructure: StructureRecord | null;
+}
+
+interface UpdateRecurringGameStructureData {
+  updateRecurringGame: { id: string; blindStructureId?: string | null; _version?: number } | null;
+}
+
+interface BackfillBlindStructuresData {
+  backfillBlindStructures: BackfillStructuresResult | null;
+}
+
+const parseJson = <T,>(raw: unknown, fallback: T): T => {
+  if (!raw) return fallback;
+  try {
+    return (typeof raw === 'string' ? JSON.parse(raw) : raw) as T;
+  } catch {
+    return fallback;
+  }
+};
+
+const toStructure = (record: StructureRecord): BlindStructure => ({
+  ...record,
+  levels: parseJson<BlindStructureLevel[]>(record.levels, []),
+  breaks: parseJson<BlindStructureBreak[]>(record.breaks, []),
+  estimatedDurations: parseJson<Record<string, number | null>>(record.estimatedDurations, {}),
+  recurringGameIds: (record.recurringGameIds || []).filter((id): id is string => !!id),
+});
+
+// Clock time from start to end when both are known, else totalDuration (seconds)
+const gameDurationMinutes = (game: GameRecord): number | null => {
+  const start = game.gameActualStartDateTime || game.gameStartDateTime;
+  if (start && game.gameEndDateTime) {
+    const minutes = Math.round((new Date(game.gameEndDateTime).getTime() - new Date(start).getTime()) / 60000);
+    if (minutes > 0) return minutes;
+  }
+  return game.totalDuration ? Math.round(game.totalDuration / 60) : null;
+};
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseBlindStructuresReturn {
+  structures: BlindStructure[];
+  recurringGames: StructureRecurringGame[];
+  loading: boolean;
+  saving: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  loadGames: (structureId: string) => Promise<StructureGame[]>;
+  updateStructure: (structure: BlindStructure, updates: { name?: string; notes?: string | null }) => Promise<boolean>;
+  assignToRecurringGame: (recurringGame: StructureRecurringGame, structureId: string | null) => Promise<boolean>;
+  backfill: (preview: boolean) => Promise<BackfillStructuresResult | null>;
+}
+
+export function useBlindStructures(entityId: string | null | undefined): UseBlindStructuresReturn {
+  const [structures, setStructures] = useState<BlindStructure[]>([]);
+  const [recurringGames, setRecurringGames] = useState<StructureRecurringGame[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  // Every page of a list query (field = the query's field name)
+  const loadAll = useCallback(async <T,>(
+    query: string,
+    variables: Record<string, unknown>,
+    field: string
+  ): Promise<T[]> => {
+    const items: T[] = [];
+    let nextToken: string | null | undefined = null;
+    do {
+      const result = await client.graphql({
+        query,
+        variables: { ...variables, limit: 500, nextToken }
+      }) as GraphQLResult<Record<string, Page<T> | null>>;
+      const page = result.data?.[field];
+      items.push(...(page?.items || []).filter((item): item is T => !!item && !(item as { _deleted?: boolean | null })._deleted));
+      nextToken = page?.nextToken;
+    } while (nextToken);
+    return items;
+  }, [client]);
+
+  const refresh = useCallback(async () => {
+    if (!entityId) {
+      setStructures([]);
+      setRecurringGames([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [structureRecords, recurringRecords] = await Promise.all([
+        loadAll<StructureRecord>(blindStructuresByEntity, { entityId }, 'blindStructuresByEntity'),
+        loadAll<StructureRecurringGame>(
+          recurringGamesByEntity,
+          { filter: { entityId: { eq: entityId } } },
+          'listRecurringGames'
+        ),
+      ]);
+
+      setStructures(
+        structureRecords
+          .map(toStructure)
+          .sort((a, b) => (b.lastPlayedAt || '').localeCompare(a.lastPlayedAt || ''))
+      );
+      setRecurringGames(recurringRecords.sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load blind structures';
+      setError(errorMessage);
+      console.error('[useBlindStructures] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [entityId, loadAll]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const runMutation = useCallback(async <T,>(
+    action: () => Promise<T>,
+    failureMessage: string
+  ): Promise<T | null> => {
+    setSaving(true);
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : failureMessage;
+      setError(errorMessage);
+      console.error(`[useBlindStructures] ${failureMessage}:`, err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  // Most recent games first - "which structure did we run and how long did it go"
+  const loadGames = useCallback(async (structureId: string): Promise<StructureGame[]> => {
+    try {
+      const result = await client.graphql({
+        query: gamesByBlindStructure,
+        variables: { blindStructureId: structureId, sortDirection: 'DESC', limit: 50 }
+      }) as GraphQLResult<GamesByBlindStructureData>;
+
+      return (result.data?.gamesByBlindStructure?.items || [])
+        .filter((game): game is GameRecord => !!game && !game._deleted)
+        .map(game => ({
+          id: game.id,
+          name: game.name,
+          gameStatus: game.gameStatus,
+          gameStartDateTime: game.gameStartDateTime,
+          totalEntries: game.totalEntries,
+          recurringGameId: game.recurringGameId,
+          durationMinutes: gameDurationMinutes(game),
+        }));
+    } catch (err) {
+      console.error('[useBlindStructures] Failed to load games:', err);
+      return [];
+    }
+  }, [client]);
+
+  const updateStructure = useCallback(async (
+    structure: BlindStructure,
+    updates: { name?: string; notes?: string | null }
+  ): Promise<boolean> => {
+    const saved = await runMutation(async () => {
+      const result = await client.graphql({
+        query: updateBlindStructureMutation,
+        variables: { input: { id: structure.id, _version: structure._version, ...updates } }
+      }) as GraphQLResult<UpdateBlindStructureData>;
+      return result.data?.updateBlindStructure || null;
+    }, 'Failed to update structure');
+
+    if (!saved) return false;
+    setStructures(prev => prev.map(s => (s.id === saved.id ? toStructure(saved) : s)));
+    return true;
+  }, [client, runMutation]);
+
+  const assignToRecurringGame = useCallback(async (
+    recurringGame: StructureRecurringGame,
+    structureId: string | null
+  ): Promise<boolean> => {
+    const saved = await runMutation(async () => {
+      const result = await client.graphql({
+        query: updateRecurringGameStructureMutation,
+        variables: { input: { id: recurringGame.id, _version: recurringGame._version, blindStructureId: structureId } }
+      }) as GraphQLResult<UpdateRecurringGameStructureData>;
+      return result.data?.updateRecurringGame || null;
+    }, 'Failed to assign structure');
+
+    if (!saved) return false;
+    setRecurringGames(prev => prev.map(rg => (
+      rg.id === saved.id ? { ...rg, blindStructureId: saved.blindStructureId, _version: saved._version } : rg
+    )));
+    return true;
+  }, [client, runMutation]);
+
+  const backfill = useCallback(async (preview: boolean): Promise<BackfillStructuresResult | null> => {
+    if (!entityId) return null;
+
+    const result = await runMutation(async () => {
+      const response = await client.graphql({
+        query: backfillBlindStructuresMutation,
+        variables: { input: { entityId, preview } }
+      }) as GraphQLResult<BackfillBlindStructuresData>;
+      return response.data?.backfillBlindStructures || null;
+    }, 'Failed to backfill structures');
+
+    if (result?.error) setError(result.error);
+    if (result && !preview) await refresh();
+    return result;
+  }, [client, entityId, refresh, runMutation]);
+
+  return {
+    structures,
+    recurringGames,
+    loading,
+    saving,
+    error,
+    refresh,
+    loadGames,
+    updateStructure,
+    assignToRecurringGame,
+    backfill,
+  };
+}
+
+export default useBlindStructures;
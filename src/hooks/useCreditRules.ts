@@ -0,0 +1,256 @@
+// src/hooks/useCreditRules.ts
+// VERSION: 1.0.0 - Credits from results
+//
+// An entity's CreditAwardRules - "top N of each game in scope get credits".
+// playerDataProcessor (playerCredits.js) applies them as results are saved.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+import {
+  EMPTY_SCOPE_TARGETS,
+  fetchScopeTargets,
+  type LeaderboardScope,
+  type ScopeTargets,
+} from './useLeaderboards';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const RULE_FIELDS = `
+  id
+  entityId
+  name
+  description
+  scope
+  scopeId
+  startDate
+  endDate
+  isActive
+  topPlaces
+  amount
+  expiryDays
+  minRunners
+  _version
+  _deleted
+`;
+
+const creditAwardRulesByEntity = /* GraphQL */ `
+  query CreditAwardRulesByEntity($entityId: ID!, $limit: Int, $nextToken: String) {
+    creditAwardRulesByEntity(entityId: $entityId, limit: $limit, nextToken: $nextToken) {
+      items {
+        ${RULE_FIELDS}
+      }
+      nextToken
+    }
+  }
+`;
+
+const createRuleMutation = /* GraphQL */ `
+  mutation CreateCreditAwardRule($input: CreateCreditAwardRuleInput!) {
+    createCreditAwardRule(input: $input) {
+      ${RULE_FIELDS}
+    }
+  }
+`;
+
+const updateRuleMutation = /* GraphQL */ `
+  mutation UpdateCreditAwardRule($input: UpdateCreditAwardRuleInput!) {
+    updateCreditAwardRule(input: $input) {
+      ${RULE_FIELDS}
+    }
+  }
+`;
+
+const deleteRuleMutation = /* GraphQL */ `
+  mutation DeleteCreditAwardRule($input: DeleteCreditAwardRuleInput!) {
+    deleteCreditAwardRule(input: $input) {
+      id
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export interface CreditAwardRuleInput {
+  name: string;
+  description?: string | null;
+  scope: LeaderboardScope;
+  scopeId?: string | null;
+  startDate: string;
+  endDate?: string | null;
+  isActive?: boolean | null;
+  topPlaces: number;
+  amount: number;
+  expiryDays?: number | null;
+  minRunners?: number | null;
+}
+
+export interface CreditAwardRule extends CreditAwardRuleInput {
+  id: string;
+  entityId: string;
+  _version?: number;
+}
+
+type RuleRecord = CreditAwardRule & { _deleted?: boolean | null };
+
+interface Page<T> {
+  items: (T | null)[];
+  nextToken?: string | null;
+}
+
+interface CreateRuleData {
+  createCreditAwardRule: RuleRecord | null;
+}
+
+interface UpdateRuleData {
+  updateCreditAwardRule: RuleRecord | null;
+}
+
+interface DeleteRuleData {
+  deleteCreditAwardRule: { id: string } | null;
+}
+
+const byStartDate = (a: CreditAwardRule, b: CreditAwardRule) => b.startDate.localeCompare(a.startDate);
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseCreditRulesReturn {
+  rules: CreditAwardRule[];
+  targets: ScopeTargets;
+  loading: boolean;
+  saving: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  saveRule: (input: CreditAwardRuleInput, existing?: CreditAwardRule | null) => Promise<CreditAwardRule | null>;
+  deleteRule: (rule: CreditAwardRule) => Promise<boolean>;
+}
+
+export function useCreditRules(entityId: string | null | undefined): UseCreditRulesReturn {
+  const [rules, setRules] = useState<CreditAwardRule[]>([]);
+  const [targets, setTargets] = useState<ScopeTargets>(EMPTY_SCOPE_TARGETS);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  const refresh = useCallback(async () => {
+    if (!entityId) {
+      setRules([]);
+      setTargets(EMPTY_SCOPE_TARGETS);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const loadRules = async (): Promise<RuleRecord[]> => {
+        const items: RuleRecord[] = [];
+        let nextToken: string | null | undefined = null;
+        do {
+          const result = await client.graphql({
+            query: creditAwardRulesByEntity,
+            variables: { entityId, limit: 500, nextToken }
+          }) as GraphQLResult<{ creditAwardRulesByEntity: Page<RuleRecord> | null }>;
+          const page = result.data?.creditAwardRulesByEntity;
+          items.push(...(page?.items || []).filter((item): item is RuleRecord => !!item && !item._deleted));
+          nextToken = page?.nextToken;
+        } while (nextToken);
+        return items;
+      };
+
+      const [ruleRecords, scopeTargets] = await Promise.all([loadRules(), fetchScopeTargets(entityId)]);
+      setRules(ruleRecords.sort(byStartDate));
+      setTargets(scopeTargets);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load credit rules';
+      setError(errorMessage);
+      console.error('[useCreditRules] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, entityId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const runMutation = useCallback(async <T,>(
+    action: () => Promise<T>,
+    failureMessage: string
+  ): Promise<T | null> => {
+    setSaving(true);
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : failureMessage;
+      setError(errorMessage);
+      console.error(`[useCreditRules] ${failureMessage}:`, err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const saveRule = useCallback(async (
+    input: CreditAwardRuleInput,
+    existing?: CreditAwardRule | null
+  ): Promise<CreditAwardRule | null> => {
+    if (!entityId) return null;
+
+    const saved = await runMutation(async () => {
+      if (existing) {
+        const result = await client.graphql({
+          query: updateRuleMutation,
+          variables: { input: { id: existing.id, _version: existing._version, ...input } }
+        }) as GraphQLResult<UpdateRuleData>;
+        return result.data?.updateCreditAwardRule || null;
+      }
+      const result = await client.graphql({
+        query: createRuleMutation,
+        variables: { input: { entityId, ...input } }
+      }) as GraphQLResult<CreateRuleData>;
+      return result.data?.createCreditAwardRule || null;
+    }, 'Failed to save credit rule');
+
+    if (!saved) return null;
+    setRules(prev => [...prev.filter(r => r.id !== saved.id), saved].sort(byStartDate));
+    return saved;
+  }, [client, entityId, runMutation]);
+
+  const deleteRule = useCallback(async (rule: CreditAwardRule): Promise<boolean> => {
+    const deleted = await runMutation(async () => {
+      const result = await client.graphql({
+        query: deleteRuleMutation,
+        variables: { input: { id: rule.id, _version: rule._version } }
+      }) as GraphQLResult<DeleteRuleData>;
+      return result.data?.deleteCreditAwardRule || null;
+    }, 'Failed to delete credit rule');
+
+    if (!deleted) return false;
+    setRules(prev => prev.filter(r => r.id !== rule.id));
+    return true;
+  }, [client, runMutation]);
+
+  return {
+    rules,
+    targets,
+    loading,
+    saving,
+    error,
+    refresh,
+    saveRule,
+    deleteRule,
+  };
+}
+
+export default useCreditRules;
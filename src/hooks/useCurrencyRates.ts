@@ -0,0 +1,234 @@
+// src/hooks/useCurrencyRates.ts
+// VERSION: 1.0.0 - Locally maintained FX rate table
+//
+// Manages CurrencyRate records. Each row says 1 unit of `currency` is worth
+// `rateToBase` of the base currency (AUD) from `effectiveDate` until the next
+// row for that currency. refreshAllMetrics converts every game at the rate in
+// effect on its start date (refreshAllMetrics/src/currency.js).
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const RATE_FIELDS = `
+  id
+  currency
+  effectiveDate
+  rateToBase
+  source
+  notes
+  updatedAt
+  _version
+  _deleted
+`;
+
+const listCurrencyRatesQuery = /* GraphQL */ `
+  query ListCurrencyRates($limit: Int, $nextToken: String) {
+    listCurrencyRates(limit: $limit, nextToken: $nextToken) {
+      items {
+        ${RATE_FIELDS}
+      }
+      nextToken
+    }
+  }
+`;
+
+const createCurrencyRateMutation = /* GraphQL */ `
+  mutation CreateCurrencyRate($input: CreateCurrencyRateInput!) {
+    createCurrencyRate(input: $input) {
+      ${RATE_FIELDS}
+    }
+  }
+`;
+
+const deleteCurrencyRateMutation = /* GraphQL */ `
+  mutation DeleteCurrencyRate($input: DeleteCurrencyRateInput!) {
+    deleteCurrencyRate(input: $input) {
+      id
+      _version
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export interface CurrencyRate {
+  id: string;
+  currency: string;
+  effectiveDate: string;
+  rateToBase: number;
+  source?: string | null;
+  notes?: string | null;
+  updatedAt: string;
+  _version?: number;
+}
+
+export interface CurrencyRateInput {
+  currency: string;
+  effectiveDate: string;
+  rateToBase: number;
+  source?: string | null;
+  notes?: string | null;
+}
+
+type CurrencyRateRecord = CurrencyRate & { _deleted?: boolean | null };
+
+interface ListCurrencyRatesData {
+  listCurrencyRates: {
+    items: (CurrencyRateRecord | null)[];
+    nextToken?: string | null;
+  } | null;
+}
+
+interface CreateCurrencyRateData {
+  createCurrencyRate: CurrencyRateRecord | null;
+}
+
+interface DeleteCurrencyRateData {
+  deleteCurrencyRate: { id: string; _version?: number } | null;
+}
+
+// Newest first within each currency
+const sortRates = (rates: CurrencyRate[]) => rates.sort((a, b) =>
+  a.currency.localeCompare(b.currency) || b.effectiveDate.localeCompare(a.effectiveDate)
+);
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseCurrencyRatesReturn {
+  rates: CurrencyRate[];
+  currencies: string[];
+  loading: boolean;
+  saving: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  createRate: (input: CurrencyRateInput) => Promise<boolean>;
+  deleteRate: (id: string) => Promise<boolean>;
+}
+
+export function useCurrencyRates(): UseCurrencyRatesReturn {
+  const [rates, setRates] = useState<CurrencyRate[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const items: CurrencyRateRecord[] = [];
+      let nextToken: string | null | undefined = null;
+
+      do {
+        const result = await client.graphql({
+          query: listCurrencyRatesQuery,
+          variables: { limit: 500, nextToken }
+        }) as GraphQLResult<ListCurrencyRatesData>;
+
+        const page = result.data?.listCurrencyRates;
+        items.push(...(page?.items || []).filter((item): item is CurrencyRateRecord => !!item && !item._deleted));
+        nextToken = page?.nextToken;
+      } while (nextToken);
+
+      setRates(sortRates(items));
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load currency rates';
+      setError(errorMessage);
+      console.error('[useCurrencyRates] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client]);
+
+  const runMutation = useCallback(async <T,>(
+    action: () => Promise<T>,
+    failureMessage: string
+  ): Promise<T | null> => {
+    setSaving(true);
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : failureMessage;
+      setError(errorMessage);
+      console.error(`[useCurrencyRates] ${failureMessage}:`, err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const createRate = useCallback(async (input: CurrencyRateInput): Promise<boolean> => {
+    if (!(input.rateToBase > 0)) {
+      setError('Rate must be greater than zero');
+      return false;
+    }
+
+    const created = await runMutation(async () => {
+      const result = await client.graphql({
+        query: createCurrencyRateMutation,
+        variables: {
+          input: {
+            currency: input.currency.trim().toUpperCase(),
+            effectiveDate: input.effectiveDate,
+            rateToBase: input.rateToBase,
+            source: input.source?.trim() || null,
+            notes: input.notes?.trim() || null,
+          }
+        }
+      }) as GraphQLResult<CreateCurrencyRateData>;
+      return result.data?.createCurrencyRate || null;
+    }, 'Failed to add rate');
+
+    if (!created) return false;
+    setRates(prev => sortRates([...prev, created]));
+    return true;
+  }, [client, runMutation]);
+
+  const deleteRate = useCallback(async (id: string): Promise<boolean> => {
+    const existing = rates.find(r => r.id === id);
+    if (!existing) return false;
+
+    const deleted = await runMutation(async () => {
+      const result = await client.graphql({
+        query: deleteCurrencyRateMutation,
+        variables: { input: { id, _version: existing._version } }
+      }) as GraphQLResult<DeleteCurrencyRateData>;
+      return result.data?.deleteCurrencyRate || null;
+    }, 'Failed to delete rate');
+
+    if (!deleted) return false;
+    setRates(prev => prev.filter(r => r.id !== id));
+    return true;
+  }, [client, rates, runMutation]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const currencies = Array.from(new Set(rates.map(r => r.currency)));
+
+  return {
+    rates,
+    currencies,
+    loading,
+    saving,
+    error,
+    refresh,
+    createRate,
+    deleteRate,
+  };
+}
+
+export default useCurrencyRates;
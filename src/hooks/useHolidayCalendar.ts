@@ -0,0 +1,429 @@
+// src/hooks/useHolidayCalendar.ts
+// VERSION: 1.0.0 - Entity holiday calendar
+//
+// gameDataEnricher ships a default Australian holiday calendar
+// (resolution/holiday-calendar.js) and merges the entity's HolidayCalendarEntry
+// rows over it. The worked-out dates for a year/region come from the
+// getHolidayCalendar query; the rows themselves are edited here. A row with the
+// same code and regions as a default replaces it, isActive=false switches it off.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const ENTRY_FIELDS = `
+  id
+  entityId
+  code
+  name
+  seriesName
+  holidayType
+  dateRule
+  month
+  day
+  weekday
+  nth
+  offsetDays
+  date
+  observedOnWeekday
+  regions
+  publicHolidayRegions
+  windowDays
+  namePatterns
+  isActive
+  notes
+  updatedAt
+  _version
+  _deleted
+`;
+
+const getHolidayCalendarQuery = /* GraphQL */ `
+  query GetHolidayCalendar($entityId: ID!, $year: Int!, $region: String) {
+    getHolidayCalendar(entityId: $entityId, year: $year, region: $region) {
+      success
+      entityId
+      year
+      region
+      occurrences {
+        code
+        name
+        seriesName
+        holidayType
+        dateRule
+        date
+        observedDate
+        regions
+        isPublicHoliday
+        publicHolidayRegions
+        isCustom
+        entryId
+      }
+      error
+    }
+  }
+`;
+
+const holidayCalendarEntriesByEntity = /* GraphQL */ `
+  query HolidayCalendarEntriesByEntity($entityId: ID!, $limit: Int, $nextToken: String) {
+    holidayCalendarEntriesByEntity(entityId: $entityId, limit: $limit, nextToken: $nextToken) {
+      items {
+        ${ENTRY_FIELDS}
+      }
+      nextToken
+    }
+  }
+`;
+
+const createHolidayCalendarEntryMutation = /* GraphQL */ `
+  mutation CreateHolidayCalendarEntry($input: CreateHolidayCalendarEntryInput!) {
+    createHolidayCalendarEntry(input: $input) {
+      ${ENTRY_FIELDS}
+    }
+  }
+`;
+
+const updateHolidayCalendarEntryMutation = /* GraphQL */ `
+  mutation UpdateHolidayCalendarEntry($input: UpdateHolidayCalendarEntryInput!) {
+    updateHolidayCalendarEntry(input: $input) {
+      ${ENTRY_FIELDS}
+    }
+  }
+`;
+
+const deleteHolidayCalendarEntryMutation = /* GraphQL */ `
+  mutation DeleteHolidayCalendarEntry($input: DeleteHolidayCalendarEntryInput!) {
+    deleteHolidayCalendarEntry(input: $input) {
+      id
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type HolidayDateRule = 'FIXED_DATE' | 'NTH_WEEKDAY' | 'LAST_WEEKDAY' | 'EASTER_OFFSET' | 'ONE_OFF';
+
+export const AU_REGIONS = ['ACT', 'NSW', 'NT', 'QLD', 'SA', 'TAS', 'VIC', 'WA'] as const;
+
+export interface HolidayOccurrence {
+  code: string;
+  name: string;
+  seriesName: string;
+  holidayType?: string | null;
+  dateRule: HolidayDateRule;
+  date: string;
+  observedDate: string;
+  regions: string[];
+  isPublicHoliday: boolean;
+  publicHolidayRegions: string[];
+  isCustom: boolean;
+  entryId?: string | null;
+}
+
+export interface HolidayCalendarEntry {
+  id: string;
+  entityId: string;
+  code: string;
+  name: string;
+  seriesName?: string | null;
+  holidayType?: string | null;
+  dateRule: HolidayDateRule;
+  month?: number | null;
+  day?: number | null;
+  weekday?: number | null;
+  nth?: number | null;
+  offsetDays?: number | null;
+  date?: string | null;
+  observedOnWeekday?: boolean | null;
+  regions?: string[] | null;
+  publicHolidayRegions?: string[] | null;
+  windowDays?: number | null;
+  namePatterns?: string[] | null;
+  isActive: boolean;
+  notes?: string | null;
+  updatedAt: string;
+  _version?: number;
+}
+
+export type HolidayCalendarEntryInput = Omit<HolidayCalendarEntry, 'id' | 'entityId' | 'updatedAt' | '_version'>;
+
+type HolidayCalendarEntryRecord = HolidayCalendarEntry & { _deleted?: boolean | null };
+
+interface GetHolidayCalendarData {
+  getHolidayCalendar: {
+    success: boolean;
+    occurrences: (HolidayOccurrence | null)[];
+    error?: string | null;
+  } | null;
+}
+
+interface HolidayCalendarEntriesByEntityData {
+  holidayCalendarEntriesByEntity: {
+    items: (HolidayCalendarEntryRecord | null)[];
+    nextToken?: string | null;
+  } | null;
+}
+
+interface CreateHolidayCalendarEntryData {
+  createHolidayCalendarEntry: HolidayCalendarEntryRecord | null;
+}
+
+interface UpdateHolidayCalendarEntryData {
+  updateHolidayCalendarEntry: HolidayCalendarEntryRecord | null;
+}
+
+/**
+ * Problems with an entry, or null when it's usable
+ */
+export const validateHolidayEntry = (entry: HolidayCalendarEntryInput): string | null => {
+  if (!entry.code.trim()) return 'Code is required';
+  if (!entry.name.trim()) return 'Name is required';
+
+  const needsMonth = entry.dateRule === 'FIXED_DATE' || entry.dateRule === 'NTH_WEEKDAY' || entry.dateRule === 'LAST_WEEKDAY';
+  if (needsMonth && !(entry.month && entry.month >= 1 && entry.month <= 12)) return 'Month must be 1-12';
+  if (entry.dateRule === 'FIXED_DATE' && !(entry.day && entry.day >= 1 && entry.day <= 31)) return 'Day must be 1-31';
+  if ((entry.dateRule === 'NTH_WEEKDAY' || entry.dateRule === 'LAST_WEEKDAY')
+    && !(entry.weekday !== null && entry.weekday !== undefined && entry.weekday >= 0 && entry.weekday <= 6)) {
+    return 'Pick a weekday';
+  }
+  if (entry.dateRule === 'NTH_WEEKDAY' && !(entry.nth && entry.nth >= 1 && entry.nth <= 5)) return 'Occurrence must be 1-5';
+  if (entry.dateRule === 'EASTER_OFFSET' && (entry.offsetDays === null || entry.offsetDays === undefined)) {
+    return 'Days from Easter Sunday is required';
+  }
+  if (entry.dateRule === 'ONE_OFF' && !entry.date) return 'Date is required';
+
+  for (const pattern of entry.namePatterns || []) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch {
+      return `Invalid name pattern: ${pattern}`;
+    }
+  }
+  return null;
+};
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseHolidayCalendarReturn {
+  occurrences: HolidayOccurrence[];
+  entries: HolidayCalendarEntry[];
+  loading: boolean;
+  saving: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  saveEntry: (input: HolidayCalendarEntryInput, existing?: HolidayCalendarEntry | null) => Promise<boolean>;
+  setEntryActive: (entry: HolidayCalendarEntry, isActive: boolean) => Promise<boolean>;
+  disableDefault: (occurrence: HolidayOccurrence) => Promise<boolean>;
+  deleteEntry: (entry: HolidayCalendarEntry) => Promise<boolean>;
+}
+
+export function useHolidayCalendar(
+  entityId: string | null | undefined,
+  year: number,
+  region: string | null
+): UseHolidayCalendarReturn {
+  const [occurrences, setOccurrences] = useState<HolidayOccurrence[]>([]);
+  const [entries, setEntries] = useState<HolidayCalendarEntry[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  const refresh = useCallback(async () => {
+    if (!entityId) {
+      setOccurrences([]);
+      setEntries([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const loadEntries = async (): Promise<HolidayCalendarEntry[]> => {
+        const records: HolidayCalendarEntry[] = [];
+        let nextToken: string | null | undefined = null;
+        do {
+          const result = await client.graphql({
+            query: holidayCalendarEntriesByEntity,
+            variables: { entityId, limit: 500, nextToken }
+          }) as GraphQLResult<HolidayCalendarEntriesByEntityData>;
+
+          const page = result.data?.holidayCalendarEntriesByEntity;
+          records.push(...(page?.items || [])
+            .filter((item): item is HolidayCalendarEntryRecord => !!item && !item._deleted));
+          nextToken = page?.nextToken;
+        } while (nextToken);
+        return records.sort((a, b) => a.name.localeCompare(b.name));
+      };
+
+      const [calendarResult, entryRecords] = await Promise.all([
+        client.graphql({
+          query: getHolidayCalendarQuery,
+          variables: { entityId, year, region }
+        }) as Promise<GraphQLResult<GetHolidayCalendarData>>,
+        loadEntries(),
+      ]);
+
+      const calendar = calendarResult.data?.getHolidayCalendar;
+      if (calendar && !calendar.success) {
+        throw new Error(calendar.error || 'Failed to load holiday calendar');
+      }
+      setOccurrences((calendar?.occurrences || []).filter((o): o is HolidayOccurrence => !!o));
+      setEntries(entryRecords);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load holiday calendar';
+      setError(errorMessage);
+      console.error('[useHolidayCalendar] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, entityId, year, region]);
+
+  const runMutation = useCallback(async <T,>(
+    action: () => Promise<T>,
+    failureMessage: string
+  ): Promise<T | null> => {
+    setSaving(true);
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : failureMessage;
+      setError(errorMessage);
+      console.error(`[useHolidayCalendar] ${failureMessage}:`, err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const saveEntry = useCallback(async (
+    input: HolidayCalendarEntryInput,
+    existing?: HolidayCalendarEntry | null
+  ): Promise<boolean> => {
+    if (!entityId) {
+      setError('No entity selected');
+      return false;
+    }
+
+    const invalid = validateHolidayEntry(input);
+    if (invalid) {
+      setError(invalid);
+      return false;
+    }
+
+    const fields = {
+      ...input,
+      code: input.code.trim().toUpperCase().replace(/\s+/g, '_'),
+      name: input.name.trim(),
+      seriesName: input.seriesName?.trim() || null,
+      notes: input.notes?.trim() || null,
+    };
+
+    const saved = await runMutation(async () => {
+      if (existing) {
+        const result = await client.graphql({
+          query: updateHolidayCalendarEntryMutation,
+          variables: { input: { id: existing.id, _version: existing._version, ...fields } }
+        }) as GraphQLResult<UpdateHolidayCalendarEntryData>;
+        return result.data?.updateHolidayCalendarEntry || null;
+      }
+
+      const result = await client.graphql({
+        query: createHolidayCalendarEntryMutation,
+        variables: { input: { entityId, ...fields } }
+      }) as GraphQLResult<CreateHolidayCalendarEntryData>;
+      return result.data?.createHolidayCalendarEntry || null;
+    }, 'Failed to save holiday');
+
+    if (!saved) return false;
+    await refresh();
+    return true;
+  }, [client, entityId, refresh, runMutation]);
+
+  const setEntryActive = useCallback(async (entry: HolidayCalendarEntry, isActive: boolean): Promise<boolean> => {
+    const saved = await runMutation(async () => {
+      const result = await client.graphql({
+        query: updateHolidayCalendarEntryMutation,
+        variables: { input: { id: entry.id, _version: entry._version, isActive } }
+      }) as GraphQLResult<UpdateHolidayCalendarEntryData>;
+      return result.data?.updateHolidayCalendarEntry || null;
+    }, 'Failed to update holiday');
+
+    if (!saved) return false;
+    await refresh();
+    return true;
+  }, [client, refresh, runMutation]);
+
+  // Switching off a default takes an override row with the same code and
+  // regions; everything left unset keeps the default's value
+  const disableDefault = useCallback(async (occurrence: HolidayOccurrence): Promise<boolean> => {
+    if (!entityId) {
+      setError('No entity selected');
+      return false;
+    }
+
+    const saved = await runMutation(async () => {
+      const result = await client.graphql({
+        query: createHolidayCalendarEntryMutation,
+        variables: {
+          input: {
+            entityId,
+            code: occurrence.code,
+            name: occurrence.name,
+            dateRule: occurrence.dateRule,
+            regions: occurrence.regions,
+            isActive: false,
+          }
+        }
+      }) as GraphQLResult<CreateHolidayCalendarEntryData>;
+      return result.data?.createHolidayCalendarEntry || null;
+    }, 'Failed to switch off holiday');
+
+    if (!saved) return false;
+    await refresh();
+    return true;
+  }, [client, entityId, refresh, runMutation]);
+
+  const deleteEntry = useCallback(async (entry: HolidayCalendarEntry): Promise<boolean> => {
+    const deleted = await runMutation(async () => {
+      await client.graphql({
+        query: deleteHolidayCalendarEntryMutation,
+        variables: { input: { id: entry.id, _version: entry._version } }
+      });
+      return true;
+    }, 'Failed to delete holiday');
+
+    if (!deleted) return false;
+    await refresh();
+    return true;
+  }, [client, refresh, runMutation]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    occurrences,
+    entries,
+    loading,
+    saving,
+    error,
+    refresh,
+    saveEntry,
+    setEntryActive,
+    disableDefault,
+    deleteEntry,
+  };
+}
+
+export default useHolidayCalendar;
@@ -0,0 +1,548 @@
+// src/hooks/useLeaderboards.ts
+// VERSION: 1.1.0 - fetchScopeTargets shared with credit award rules
+// VERSION: 1.0.0 - Leaderboards and points races
+//
+// An entity's LeaderboardPrograms (playerDataProcessor playerLeaderboards.js
+// awards their PlayerPoints as games are processed), their standings, and
+// the share links that publish standings without signing in.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const PROGRAM_FIELDS = `
+  id
+  entityId
+  name
+  description
+  scope
+  scopeId
+  startDate
+  endDate
+  isActive
+  participationPoints
+  basePoints
+  fieldSizeExponent
+  buyInExponent
+  finishExponent
+  maxPlacesPaid
+  minRunners
+  shareToken
+  _version
+  _deleted
+`;
+
+const STANDINGS_FIELDS = `
+  success
+  error
+  programId
+  programName
+  scope
+  startDate
+  endDate
+  generatedAt
+  standings {
+    rank
+    playerId
+    playerName
+    points
+    games
+    wins
+    bestFinish
+    lastPlayed
+  }
+  csv
+`;
+
+const leaderboardProgramsByEntity = /* GraphQL */ `
+  query LeaderboardProgramsByEntity($entityId: ID!, $limit: Int, $nextToken: String) {
+    leaderboardProgramsByEntity(entityId: $entityId, limit: $limit, nextToken: $nextToken) {
+      items {
+        ${PROGRAM_FIELDS}
+      }
+      nextToken
+    }
+  }
+`;
+
+const venueTargetsQuery = /* GraphQL */ `
+  query LeaderboardVenues($entityId: ID!, $limit: Int, $nextToken: String) {
+    venuesByEntity(entityId: $entityId, limit: $limit, nextToken: $nextToken) {
+      items {
+        id
+        name
+        _deleted
+      }
+      nextToken
+    }
+  }
+`;
+
+const recurringGameTargetsQuery = /* GraphQL */ `
+  query LeaderboardRecurringGames($filter: ModelRecurringGameFilterInput, $limit: Int, $nextToken: String) {
+    listRecurringGames(filter: $filter, limit: $limit, nextToken: $nextToken) {
+      items {
+        id
+        name
+        _deleted
+      }
+      nextToken
+    }
+  }
+`;
+
+const seriesTargetsQuery = /* GraphQL */ `
+  query LeaderboardSeries($entityId: ID!, $limit: Int, $nextToken: String) {
+    tournamentSeriesByEntityId(entityId: $entityId, limit: $limit, nextToken: $nextToken) {
+      items {
+        id
+        name
+        year
+        _deleted
+      }
+      nextToken
+    }
+  }
+`;
+
+const createProgramMutation = /* GraphQL */ `
+  mutation CreateLeaderboardProgram($input: CreateLeaderboardProgramInput!) {
+    createLeaderboardProgram(input: $input) {
+      ${PROGRAM_FIELDS}
+    }
+  }
+`;
+
+const updateProgramMutation = /* GraphQL */ `
+  mutation UpdateLeaderboardProgram($input: UpdateLeaderboardProgramInput!) {
+    updateLeaderboardProgram(input: $input) {
+      ${PROGRAM_FIELDS}
+    }
+  }
+`;
+
+const deleteProgramMutation = /* GraphQL */ `
+  mutation DeleteLeaderboardProgram($input: DeleteLeaderboardProgramInput!) {
+    deleteLeaderboardProgram(input: $input) {
+      id
+    }
+  }
+`;
+
+const leaderboardStandingsQuery = /* GraphQL */ `
+  query LeaderboardStandings($input: LeaderboardStandingsInput!) {
+    leaderboardStandings(input: $input) {
+      ${STANDINGS_FIELDS}
+    }
+  }
+`;
+
+const publicLeaderboardQuery = /* GraphQL */ `
+  query PublicLeaderboard($input: PublicLeaderboardInput!) {
+    publicLeaderboard(input: $input) {
+      ${STANDINGS_FIELDS}
+    }
+  }
+`;
+
+const awardLeaderboardPointsMutation = /* GraphQL */ `
+  mutation AwardLeaderboardPoints($input: AwardLeaderboardPointsInput!) {
+    awardLeaderboardPoints(input: $input) {
+      success
+      message
+      error
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type LeaderboardScope = 'ENTITY' | 'VENUE' | 'RECURRING_GAME' | 'SERIES';
+
+export interface LeaderboardProgramInput {
+  name: string;
+  description?: string | null;
+  scope: LeaderboardScope;
+  scopeId?: string | null;
+  startDate: string;
+  endDate?: string | null;
+  isActive?: boolean | null;
+  participationPoints?: number | null;
+  basePoints?: number | null;
+  fieldSizeExponent?: number | null;
+  buyInExponent?: number | null;
+  finishExponent?: number | null;
+  maxPlacesPaid?: number | null;
+  minRunners?: number | null;
+}
+
+export interface LeaderboardProgram extends LeaderboardProgramInput {
+  id: string;
+  entityId: string;
+  shareToken?: string | null;
+  _version?: number;
+}
+
+export interface LeaderboardStanding {
+  rank: number;
+  playerId: string;
+  playerName: string;
+  points: number;
+  games: number;
+  wins: number;
+  bestFinish?: number | null;
+  lastPlayed?: string | null;
+}
+
+export interface LeaderboardStandings {
+  programId: string;
+  programName: string;
+  scope: LeaderboardScope;
+  startDate: string;
+  endDate?: string | null;
+  generatedAt: string;
+  standings: LeaderboardStanding[];
+  csv: string;
+}
+
+export interface ScopeTarget {
+  id: string;
+  name: string;
+}
+
+type ProgramRecord = LeaderboardProgram & { _deleted?: boolean | null };
+
+interface Page<T> {
+  items: (T | null)[];
+  nextToken?: string | null;
+}
+
+type StandingsResult = Partial<LeaderboardStandings> & { success: boolean; error?: string | null };
+
+interface CreateProgramData {
+  createLeaderboardProgram: ProgramRecord | null;
+}
+
+interface UpdateProgramData {
+  updateLeaderboardProgram: ProgramRecord | null;
+}
+
+interface DeleteProgramData {
+  deleteLeaderboardProgram: { id: string } | null;
+}
+
+interface AwardLeaderboardPointsData {
+  awardLeaderboardPoints: { success: boolean; message?: string | null; error?: string | null } | null;
+}
+
+export const SCOPE_LABELS: Record<LeaderboardScope, string> = {
+  ENTITY: 'All games',
+  VENUE: 'Venue',
+  RECURRING_GAME: 'Recurring game',
+  SERIES: 'Series',
+};
+
+// Same defaults as the LeaderboardProgram model
+export const DEFAULT_FORMULA = {
+  participationPoints: 0,
+  basePoints: 100,
+  fieldSizeExponent: 0.5,
+  buyInExponent: 0,
+  finishExponent: 1,
+};
+
+/**
+ * Points for one finish - mirrors playerLeaderboards.js calculatePoints so
+ * the editor can preview a formula
+ */
+export const previewPoints = (
+  program: LeaderboardProgramInput,
+  { place, runners, buyIn }: { place: number; runners: number; buyIn: number }
+): number => {
+  if (program.minRunners && runners < program.minRunners) return 0;
+  let points = program.participationPoints ?? DEFAULT_FORMULA.participationPoints;
+  if (place > 0 && (!program.maxPlacesPaid || place <= program.maxPlacesPaid)) {
+    const fieldFactor = Math.pow(Math.max(runners, 1), program.fieldSizeExponent ?? DEFAULT_FORMULA.fieldSizeExponent);
+    const buyInFactor = Math.pow(Math.max(buyIn, 1), program.buyInExponent ?? DEFAULT_FORMULA.buyInExponent);
+    points += (program.basePoints ?? DEFAULT_FORMULA.basePoints) * fieldFactor * buyInFactor
+      / Math.pow(place, program.finishExponent ?? DEFAULT_FORMULA.finishExponent);
+  }
+  return Math.round(points);
+};
+
+const byStartDate = (a: LeaderboardProgram, b: LeaderboardProgram) => b.startDate.localeCompare(a.startDate);
+
+const unwrapStandings = (result: StandingsResult | null | undefined): LeaderboardStandings => {
+  if (!result?.success) throw new Error(result?.error || 'Failed to load standings');
+  return { ...result, standings: result.standings || [], csv: result.csv || '' } as LeaderboardStandings;
+};
+
+/**
+ * Standings behind a share link - uses the API key, no sign-in needed
+ */
+export const fetchPublicLeaderboard = async (shareToken: string): Promise<LeaderboardStandings> => {
+  const result = await generateClient().graphql({
+    query: publicLeaderboardQuery,
+    variables: { input: { shareToken } },
+    authMode: 'apiKey',
+  }) as GraphQLResult<{ publicLeaderboard: StandingsResult | null }>;
+  return unwrapStandings(result.data?.publicLeaderboard);
+};
+
+/**
+ * Save standings as CSV or JSON
+ */
+export const downloadStandings = (standings: LeaderboardStandings, format: 'csv' | 'json') => {
+  const content = format === 'csv' ? standings.csv : JSON.stringify(standings, null, 2);
+  const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${standings.programName.replace(/[^a-z0-9]+/gi, '_').toLowerCase()}_${standings.generatedAt.split('T')[0]}.${format}`;
+  a.click();
+  window.URL.revokeObjectURL(url);
+};
+
+export const shareUrl = (shareToken: string) => `${window.location.origin}/leaderboard/${shareToken}`;
+
+export type ScopeTargets = Record<Exclude<LeaderboardScope, 'ENTITY'>, ScopeTarget[]>;
+
+export const EMPTY_SCOPE_TARGETS: ScopeTargets = { VENUE: [], RECURRING_GAME: [], SERIES: [] };
+
+/**
+ * An entity's venues, recurring games and series by name - what a
+ * leaderboard (or credit award rule) can be scoped to
+ */
+export const fetchScopeTargets = async (entityId: string): Promise<ScopeTargets> => {
+  const client = generateClient();
+  const loadAll = async <T,>(query: string, variables: Record<string, unknown>, field: string): Promise<T[]> => {
+    const items: T[] = [];
+    let nextToken: string | null | undefined = null;
+    do {
+      const result = await client.graphql({
+        query,
+        variables: { ...variables, limit: 500, nextToken }
+      }) as GraphQLResult<Record<string, Page<T> | null>>;
+      const page = result.data?.[field];
+      items.push(...(page?.items || []).filter((item): item is T => !!item && !(item as { _deleted?: boolean | null })._deleted));
+      nextToken = page?.nextToken;
+    } while (nextToken);
+    return items;
+  };
+
+  const byName = (a: ScopeTarget, b: ScopeTarget) => a.name.localeCompare(b.name);
+  const [venues, recurringGames, series] = await Promise.all([
+    loadAll<ScopeTarget>(venueTargetsQuery, { entityId }, 'venuesByEntity'),
+    loadAll<ScopeTarget>(recurringGameTargetsQuery, { filter: { entityId: { eq: entityId } } }, 'listRecurringGames'),
+    loadAll<ScopeTarget & { year?: number | null }>(seriesTargetsQuery, { entityId }, 'tournamentSeriesByEntityId'),
+  ]);
+
+  return {
+    VENUE: venues.sort(byName),
+    RECURRING_GAME: recurringGames.sort(byName),
+    SERIES: series
+      .map(s => ({ id: s.id, name: s.year ? `${s.name} ${s.year}` : s.name }))
+      .sort(byName),
+  };
+};
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseLeaderboardsReturn {
+  programs: LeaderboardProgram[];
+  targets: ScopeTargets;
+  loading: boolean;
+  saving: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  saveProgram: (input: LeaderboardProgramInput, existing?: LeaderboardProgram | null) => Promise<LeaderboardProgram | null>;
+  deleteProgram: (program: LeaderboardProgram) => Promise<boolean>;
+  setShared: (program: LeaderboardProgram, shared: boolean) => Promise<boolean>;
+  loadStandings: (programId: string) => Promise<LeaderboardStandings | null>;
+  awardPastGames: (programId: string) => Promise<string | null>;
+}
+
+export function useLeaderboards(entityId: string | null | undefined): UseLeaderboardsReturn {
+  const [programs, setPrograms] = useState<LeaderboardProgram[]>([]);
+  const [targets, setTargets] = useState<ScopeTargets>(EMPTY_SCOPE_TARGETS);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  // Every page of a list query (field = the query's field name)
+  const loadAll = useCallback(async <T,>(
+    query: string,
+    variables: Record<string, unknown>,
+    field: string
+  ): Promise<T[]> => {
+    const items: T[] = [];
+    let nextToken: string | null | undefined = null;
+    do {
+      const result = await client.graphql({
+        query,
+        variables: { ...variables, limit: 500, nextToken }
+      }) as GraphQLResult<Record<string, Page<T> | null>>;
+      const page = result.data?.[field];
+      items.push(...(page?.items || []).filter((item): item is T => !!item && !(item as { _deleted?: boolean | null })._deleted));
+      nextToken = page?.nextToken;
+    } while (nextToken);
+    return items;
+  }, [client]);
+
+  const refresh = useCallback(async () => {
+    if (!entityId) {
+      setPrograms([]);
+      setTargets(EMPTY_SCOPE_TARGETS);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [programRecords, scopeTargets] = await Promise.all([
+        loadAll<ProgramRecord>(leaderboardProgramsByEntity, { entityId }, 'leaderboardProgramsByEntity'),
+        fetchScopeTargets(entityId),
+      ]);
+
+      setPrograms(programRecords.sort(byStartDate));
+      setTargets(scopeTargets);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load leaderboards';
+      setError(errorMessage);
+      console.error('[useLeaderboards] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [entityId, loadAll]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const runMutation = useCallback(async <T,>(
+    action: () => Promise<T>,
+    failureMessage: string
+  ): Promise<T | null> => {
+    setSaving(true);
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : failureMessage;
+      setError(errorMessage);
+      console.error(`[useLeaderboards] ${failureMessage}:`, err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const updateProgram = useCallback(async (program: LeaderboardProgram, changes: Partial<LeaderboardProgram>) => {
+    const result = await client.graphql({
+      query: updateProgramMutation,
+      variables: { input: { id: program.id, _version: program._version, ...changes } }
+    }) as GraphQLResult<UpdateProgramData>;
+    return result.data?.updateLeaderboardProgram || null;
+  }, [client]);
+
+  const saveProgram = useCallback(async (
+    input: LeaderboardProgramInput,
+    existing?: LeaderboardProgram | null
+  ): Promise<LeaderboardProgram | null> => {
+    if (!entityId) return null;
+
+    const saved = await runMutation(async () => {
+      if (existing) return updateProgram(existing, input);
+      const result = await client.graphql({
+        query: createProgramMutation,
+        variables: { input: { entityId, ...input } }
+      }) as GraphQLResult<CreateProgramData>;
+      return result.data?.createLeaderboardProgram || null;
+    }, 'Failed to save leaderboard');
+
+    if (!saved) return null;
+    setPrograms(prev => [...prev.filter(p => p.id !== saved.id), saved].sort(byStartDate));
+    return saved;
+  }, [client, entityId, runMutation, updateProgram]);
+
+  const deleteProgram = useCallback(async (program: LeaderboardProgram): Promise<boolean> => {
+    const deleted = await runMutation(async () => {
+      const result = await client.graphql({
+        query: deleteProgramMutation,
+        variables: { input: { id: program.id, _version: program._version } }
+      }) as GraphQLResult<DeleteProgramData>;
+      return result.data?.deleteLeaderboardProgram || null;
+    }, 'Failed to delete leaderboard');
+
+    if (!deleted) return false;
+    setPrograms(prev => prev.filter(p => p.id !== program.id));
+    return true;
+  }, [client, runMutation]);
+
+  // A new token each time it is shared, so unsharing kills old links
+  const setShared = useCallback(async (program: LeaderboardProgram, shared: boolean): Promise<boolean> => {
+    const saved = await runMutation(
+      () => updateProgram(program, { shareToken: shared ? crypto.randomUUID() : null }),
+      shared ? 'Failed to share leaderboard' : 'Failed to stop sharing leaderboard'
+    );
+    if (!saved) return false;
+    setPrograms(prev => prev.map(p => (p.id === saved.id ? saved : p)));
+    return true;
+  }, [runMutation, updateProgram]);
+
+  const loadStandings = useCallback(async (programId: string): Promise<LeaderboardStandings | null> => {
+    try {
+      const result = await client.graphql({
+        query: leaderboardStandingsQuery,
+        variables: { input: { programId } }
+      }) as GraphQLResult<{ leaderboardStandings: StandingsResult | null }>;
+      return unwrapStandings(result.data?.leaderboardStandings);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load standings';
+      setError(errorMessage);
+      console.error('[useLeaderboards] Failed to load standings:', err);
+      return null;
+    }
+  }, [client]);
+
+  const awardPastGames = useCallback(async (programId: string): Promise<string | null> => {
+    return runMutation(async () => {
+      const result = await client.graphql({
+        query: awardLeaderboardPointsMutation,
+        variables: { input: { programId } }
+      }) as GraphQLResult<AwardLeaderboardPointsData>;
+      const data = result.data?.awardLeaderboardPoints;
+      if (!data?.success) {
+        throw new Error(data?.error || 'Failed to start awarding points');
+      }
+      return data.message || 'Awarding points';
+    }, 'Failed to start awarding points');
+  }, [client, runMutation]);
+
+  return {
+    programs,
+    targets,
+    loading,
+    saving,
+    error,
+    refresh,
+    saveProgram,
+    deleteProgram,
+    setShared,
+    loadStandings,
+    awardPastGames,
+  };
+}
+
+export default useLeaderboards;
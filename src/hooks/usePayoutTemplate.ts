@@ -0,0 +1,295 @@
+// src/hooks/usePayoutTemplate.ts
+// VERSION: 1.0.0 - Payout structure template per recurring game
+//
+// Manages the PayoutTemplate for a recurring game. gameDataEnricher builds
+// DETECTED templates from balanced scraped results and compares every
+// finished game against the template (computation/payouts.js). Saving here
+// makes the template MANUAL, which detection never overwrites; switching
+// back to DETECTED lets new results refine it again.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const TEMPLATE_FIELDS = `
+  id
+  recurringGameId
+  entityId
+  source
+  tiers
+  sampleSize
+  lastDetectedAt
+  notes
+  updatedAt
+  _version
+  _deleted
+`;
+
+const payoutTemplatesByRecurringGame = /* GraphQL */ `
+  query PayoutTemplatesByRecurringGame($recurringGameId: ID!) {
+    payoutTemplatesByRecurringGame(recurringGameId: $recurringGameId) {
+      items {
+        ${TEMPLATE_FIELDS}
+      }
+    }
+  }
+`;
+
+const createPayoutTemplateMutation = /* GraphQL */ `
+  mutation CreatePayoutTemplate($input: CreatePayoutTemplateInput!) {
+    createPayoutTemplate(input: $input) {
+      ${TEMPLATE_FIELDS}
+    }
+  }
+`;
+
+const updatePayoutTemplateMutation = /* GraphQL */ `
+  mutation UpdatePayoutTemplate($input: UpdatePayoutTemplateInput!) {
+    updatePayoutTemplate(input: $input) {
+      ${TEMPLATE_FIELDS}
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type PayoutTemplateSource = 'DETECTED' | 'MANUAL';
+
+/**
+ * One field-size band: percentages are % of the prizepool by place, 1st first
+ */
+export interface PayoutTier {
+  minEntries: number;
+  maxEntries: number | null;
+  placesPaid: number;
+  percentages: number[];
+  sampleSize?: number;
+}
+
+export interface PayoutTemplate {
+  id: string;
+  recurringGameId: string;
+  entityId: string;
+  source: PayoutTemplateSource;
+  tiers: PayoutTier[];
+  sampleSize?: number | null;
+  lastDetectedAt?: string | null;
+  notes?: string | null;
+  updatedAt: string;
+  _version?: number;
+}
+
+type PayoutTemplateRecord = Omit<PayoutTemplate, 'tiers'> & {
+  tiers: string | PayoutTier[] | null;
+  _deleted?: boolean | null;
+};
+
+interface PayoutTemplatesByRecurringGameData {
+  payoutTemplatesByRecurringGame: {
+    items: (PayoutTemplateRecord | null)[];
+  } | null;
+}
+
+interface CreatePayoutTemplateData {
+  createPayoutTemplate: PayoutTemplateRecord | null;
+}
+
+interface UpdatePayoutTemplateData {
+  updatePayoutTemplate: PayoutTemplateRecord | null;
+}
+
+const parseTiers = (tiers: PayoutTemplateRecord['tiers']): PayoutTier[] => {
+  if (!tiers) return [];
+  try {
+    const parsed = typeof tiers === 'string' ? JSON.parse(tiers) : tiers;
+    return Array.isArray(parsed)
+      ? [...parsed].sort((a: PayoutTier, b: PayoutTier) => a.minEntries - b.minEntries)
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+const toTemplate = (record: PayoutTemplateRecord): PayoutTemplate => ({
+  ...record,
+  tiers: parseTiers(record.tiers),
+});
+
+/**
+ * Problems with a tier, or null when it's usable
+ */
+export const validatePayoutTier = (tier: PayoutTier): string | null => {
+  if (tier.percentages.length === 0) return 'At least one place must be paid';
+  if (tier.percentages.some(pct => !(pct > 0))) return 'Every percentage must be greater than zero';
+  if (tier.maxEntries !== null && tier.maxEntries < tier.minEntries) return 'Max entries is below min entries';
+
+  const total = tier.percentages.reduce((sum, pct) => sum + pct, 0);
+  if (Math.abs(total - 100) > 0.5) return `Percentages add up to ${total.toFixed(2)}%, not 100%`;
+  return null;
+};
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UsePayoutTemplateReturn {
+  template: PayoutTemplate | null;
+  loading: boolean;
+  saving: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  saveManualTemplate: (tiers: PayoutTier[], notes?: string | null) => Promise<boolean>;
+  resumeDetection: () => Promise<boolean>;
+}
+
+export function usePayoutTemplate(
+  recurringGameId: string | null | undefined,
+  entityId: string | null | undefined
+): UsePayoutTemplateReturn {
+  const [template, setTemplate] = useState<PayoutTemplate | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  const refresh = useCallback(async () => {
+    if (!recurringGameId) {
+      setTemplate(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await client.graphql({
+        query: payoutTemplatesByRecurringGame,
+        variables: { recurringGameId }
+      }) as GraphQLResult<PayoutTemplatesByRecurringGameData>;
+
+      const items = (result.data?.payoutTemplatesByRecurringGame?.items || [])
+        .filter((item): item is PayoutTemplateRecord => !!item && !item._deleted);
+
+      // Same preference as the enricher: MANUAL over DETECTED
+      const record = items.find(item => item.source === 'MANUAL') || items[0] || null;
+      setTemplate(record ? toTemplate(record) : null);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load payout template';
+      setError(errorMessage);
+      console.error('[usePayoutTemplate] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, recurringGameId]);
+
+  const runMutation = useCallback(async <T,>(
+    action: () => Promise<T>,
+    failureMessage: string
+  ): Promise<T | null> => {
+    setSaving(true);
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : failureMessage;
+      setError(errorMessage);
+      console.error(`[usePayoutTemplate] ${failureMessage}:`, err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const saveManualTemplate = useCallback(async (tiers: PayoutTier[], notes?: string | null): Promise<boolean> => {
+    if (!recurringGameId || !entityId) {
+      setError('No recurring game selected');
+      return false;
+    }
+
+    const invalid = tiers.map(validatePayoutTier).find(Boolean);
+    if (invalid) {
+      setError(invalid);
+      return false;
+    }
+
+    const sortedTiers = [...tiers]
+      .sort((a, b) => a.minEntries - b.minEntries)
+      .map(tier => ({ ...tier, placesPaid: tier.percentages.length }));
+
+    const saved = await runMutation(async () => {
+      if (template) {
+        const result = await client.graphql({
+          query: updatePayoutTemplateMutation,
+          variables: {
+            input: {
+              id: template.id,
+              _version: template._version,
+              source: 'MANUAL',
+              tiers: JSON.stringify(sortedTiers),
+              notes: notes?.trim() || null,
+            }
+          }
+        }) as GraphQLResult<UpdatePayoutTemplateData>;
+        return result.data?.updatePayoutTemplate || null;
+      }
+
+      const result = await client.graphql({
+        query: createPayoutTemplateMutation,
+        variables: {
+          input: {
+            recurringGameId,
+            entityId,
+            source: 'MANUAL',
+            tiers: JSON.stringify(sortedTiers),
+            sampleSize: 0,
+            notes: notes?.trim() || null,
+          }
+        }
+      }) as GraphQLResult<CreatePayoutTemplateData>;
+      return result.data?.createPayoutTemplate || null;
+    }, 'Failed to save payout template');
+
+    if (!saved) return false;
+    setTemplate(toTemplate(saved));
+    return true;
+  }, [client, entityId, recurringGameId, runMutation, template]);
+
+  const resumeDetection = useCallback(async (): Promise<boolean> => {
+    if (!template || template.source === 'DETECTED') return false;
+
+    const saved = await runMutation(async () => {
+      const result = await client.graphql({
+        query: updatePayoutTemplateMutation,
+        variables: { input: { id: template.id, _version: template._version, source: 'DETECTED' } }
+      }) as GraphQLResult<UpdatePayoutTemplateData>;
+      return result.data?.updatePayoutTemplate || null;
+    }, 'Failed to resume detection');
+
+    if (!saved) return false;
+    setTemplate(toTemplate(saved));
+    return true;
+  }, [client, runMutation, template]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    template,
+    loading,
+    saving,
+    error,
+    refresh,
+    saveManualTemplate,
+    resumeDetection,
+  };
+}
+
+export default usePayoutTemplate;
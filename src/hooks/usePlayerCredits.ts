@@ -0,0 +1,228 @@
+// src/hooks/usePlayerCredits.ts
+// VERSION: 1.0.0 - Player credits wallet
+//
+// A player's credit ledger, and awarding or redeeming credits through
+// playerDataProcessor (playerCredits.js), which keeps Player.creditBalance
+// and the ledger in step.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const ENTRY_FIELDS = `
+  id
+  type
+  changeAmount
+  balanceAfter
+  transactionDate
+  reason
+  expiryDate
+  remaining
+  relatedGameId
+  createdBy
+`;
+
+const playerCreditLedgerQuery = /* GraphQL */ `
+  query PlayerCreditLedger($input: PlayerCreditLedgerInput!) {
+    playerCreditLedger(input: $input) {
+      success
+      error
+      balance
+      ledgerBalance
+      inSync
+      expiringSoon
+      nextExpiryDate
+      entries {
+        ${ENTRY_FIELDS}
+      }
+    }
+  }
+`;
+
+const awardPlayerCreditsMutation = /* GraphQL */ `
+  mutation AwardPlayerCredits($input: AwardPlayerCreditsInput!) {
+    awardPlayerCredits(input: $input) {
+      success
+      error
+      duplicate
+      balance
+    }
+  }
+`;
+
+const redeemPlayerCreditsMutation = /* GraphQL */ `
+  mutation RedeemPlayerCredits($input: RedeemPlayerCreditsInput!) {
+    redeemPlayerCredits(input: $input) {
+      success
+      error
+      duplicate
+      balance
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type CreditTransactionType =
+  | 'AWARD_PROMOTION'
+  | 'AWARD_REFUND'
+  | 'AWARD_MANUAL'
+  | 'REDEEM_GAME_BUY_IN'
+  | 'EXPIRED';
+
+export interface CreditEntry {
+  id: string;
+  type: CreditTransactionType;
+  changeAmount: number;
+  balanceAfter: number;
+  transactionDate: string;
+  reason?: string | null;
+  expiryDate?: string | null;
+  remaining?: number | null;
+  relatedGameId?: string | null;
+  createdBy?: string | null;
+}
+
+export interface CreditLedger {
+  balance: number;
+  ledgerBalance: number;
+  inSync: boolean;
+  expiringSoon: number;
+  nextExpiryDate?: string | null;
+  entries: CreditEntry[];
+}
+
+export interface AwardCreditsInput {
+  amount: number;
+  type?: 'AWARD_MANUAL' | 'AWARD_REFUND' | 'AWARD_PROMOTION';
+  reason?: string | null;
+  expiryDate?: string | null;
+  requestId: string;
+}
+
+export interface RedeemCreditsInput {
+  amount: number;
+  gameId?: string | null;
+  reason?: string | null;
+  requestId: string;
+}
+
+type LedgerResult = Partial<CreditLedger> & { success: boolean; error?: string | null };
+
+interface CreditsResult {
+  success: boolean;
+  error?: string | null;
+  duplicate?: boolean | null;
+  balance?: number | null;
+}
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UsePlayerCreditsReturn {
+  ledger: CreditLedger | null;
+  loading: boolean;
+  saving: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  award: (input: AwardCreditsInput) => Promise<boolean>;
+  redeem: (input: RedeemCreditsInput) => Promise<boolean>;
+}
+
+export function usePlayerCredits(playerId: string | null | undefined): UsePlayerCreditsReturn {
+  const [ledger, setLedger] = useState<CreditLedger | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  const refresh = useCallback(async () => {
+    if (!playerId) {
+      setLedger(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await client.graphql({
+        query: playerCreditLedgerQuery,
+        variables: { input: { playerId } }
+      }) as GraphQLResult<{ playerCreditLedger: LedgerResult | null }>;
+      const data = result.data?.playerCreditLedger;
+      if (!data?.success) throw new Error(data?.error || 'Failed to load credits');
+      setLedger({ ...data, entries: data.entries || [] } as CreditLedger);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load credits';
+      setError(errorMessage);
+      console.error('[usePlayerCredits] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, playerId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Both mutations reply with the new balance; the ledger is reloaded after
+  const runMutation = useCallback(async (
+    query: string,
+    field: 'awardPlayerCredits' | 'redeemPlayerCredits',
+    input: Record<string, unknown>,
+    failureMessage: string
+  ): Promise<boolean> => {
+    if (!playerId) return false;
+
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await client.graphql({
+        query,
+        variables: { input: { playerId, ...input } }
+      }) as GraphQLResult<Record<string, CreditsResult | null>>;
+      const data = result.data?.[field];
+      if (!data?.success) throw new Error(data?.error || failureMessage);
+      await refresh();
+      return true;
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : failureMessage;
+      setError(errorMessage);
+      console.error(`[usePlayerCredits] ${failureMessage}:`, err);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }, [client, playerId, refresh]);
+
+  const award = useCallback(
+    (input: AwardCreditsInput) => runMutation(awardPlayerCreditsMutation, 'awardPlayerCredits', { ...input }, 'Failed to award credits'),
+    [runMutation]
+  );
+
+  const redeem = useCallback(
+    (input: RedeemCreditsInput) => runMutation(redeemPlayerCreditsMutation, 'redeemPlayerCredits', { ...input }, 'Failed to redeem credits'),
+    [runMutation]
+  );
+
+  return {
+    ledger,
+    loading,
+    saving,
+    error,
+    refresh,
+    award,
+    redeem,
+  };
+}
+
+export default usePlayerCredits;
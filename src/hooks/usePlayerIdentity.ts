@@ -0,0 +1,459 @@
+// src/hooks/usePlayerIdentity.ts
+// VERSION: 1.0.0 - Player identity tooling
+//
+// Player ids are a hash of the scraped name, so spelling and name order
+// variants become separate players. playerDataProcessor (playerMerge.js)
+// finds likely duplicates, merges players (re-pointing results, entries,
+// tickets, venues and summaries) and splits games off to another player.
+// Merges and splits leave KnownPlayerIdentity rules so later scrapes follow.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const findPlayerDuplicatesQuery = /* GraphQL */ `
+  query FindPlayerDuplicates($input: FindPlayerDuplicatesInput!) {
+    findPlayerDuplicates(input: $input) {
+      success
+      playersScanned
+      candidatesFound
+      excludedPlayedTogether
+      candidates {
+        playerId
+        playerName
+        duplicatePlayerId
+        duplicateName
+        score
+        reasons
+        gamesPlayed
+        duplicateGamesPlayed
+        sharedVenues
+        lastPlayed
+        duplicateLastPlayed
+      }
+      error
+    }
+  }
+`;
+
+const mergePlayersMutation = /* GraphQL */ `
+  mutation MergePlayers($input: MergePlayersInput!) {
+    mergePlayers(input: $input) {
+      success
+      preview
+      error
+      survivorId
+      survivorName
+      playersMerged
+      resultsMoved
+      entriesMoved
+      ticketsMoved
+      transactionsMoved
+      conflicts
+      details {
+        playerId
+        playerName
+        results
+        entries
+        tickets
+        transactions
+        credits
+        points
+      }
+    }
+  }
+`;
+
+const splitPlayerMutation = /* GraphQL */ `
+  mutation SplitPlayer($input: SplitPlayerInput!) {
+    splitPlayer(input: $input) {
+      success
+      preview
+      error
+      playerId
+      targetPlayerId
+      targetPlayerName
+      resultsMoved
+      entriesMoved
+      ticketsMoved
+      transactionsMoved
+      conflicts
+    }
+  }
+`;
+
+const searchPlayersQuery = /* GraphQL */ `
+  query IdentitySearchPlayers($entityId: ID!, $searchTerm: String!) {
+    playersByEntity(
+      primaryEntityId: $entityId
+      filter: {
+        status: { ne: MERGED }
+        or: [
+          { firstName: { contains: $searchTerm } },
+          { lastName: { contains: $searchTerm } }
+        ]
+      }
+      limit: 1000
+    ) {
+      items {
+        id
+        firstName
+        lastName
+        lastPlayedDate
+        status
+      }
+    }
+  }
+`;
+
+const playerGamesQuery = /* GraphQL */ `
+  query IdentityPlayerGames($playerId: ID!, $nextToken: String) {
+    playerResultsByPlayerIdAndGameStartDateTime(
+      playerId: $playerId
+      sortDirection: DESC
+      limit: 200
+      nextToken: $nextToken
+    ) {
+      items {
+        id
+        gameId
+        venueId
+        finishingPlace
+        amountWon
+        gameStartDateTime
+        game {
+          name
+          venue {
+            name
+          }
+        }
+      }
+      nextToken
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export interface PlayerDuplicateCandidate {
+  playerId: string;
+  playerName: string;
+  duplicatePlayerId: string;
+  duplicateName: string;
+  score: number;
+  reasons: string[];
+  gamesPlayed: number;
+  duplicateGamesPlayed: number;
+  sharedVenues: number;
+  lastPlayed?: string | null;
+  duplicateLastPlayed?: string | null;
+}
+
+export interface PlayerMergeDetail {
+  playerId: string;
+  playerName?: string | null;
+  results: number;
+  entries: number;
+  tickets: number;
+  transactions: number;
+  credits: number;
+  points: number;
+}
+
+export interface MergePlayersResult {
+  success: boolean;
+  preview: boolean;
+  error?: string | null;
+  survivorId?: string | null;
+  survivorName?: string | null;
+  playersMerged?: number | null;
+  resultsMoved?: number | null;
+  entriesMoved?: number | null;
+  ticketsMoved?: number | null;
+  transactionsMoved?: number | null;
+  conflicts?: string[] | null;
+  details?: PlayerMergeDetail[] | null;
+}
+
+export interface SplitPlayerInput {
+  playerId: string;
+  gameIds: string[];
+  newPlayerName?: string | null;
+  targetPlayerId?: string | null;
+  venueId?: string | null;
+  notes?: string | null;
+}
+
+export interface SplitPlayerResult {
+  success: boolean;
+  preview: boolean;
+  error?: string | null;
+  playerId?: string | null;
+  targetPlayerId?: string | null;
+  targetPlayerName?: string | null;
+  resultsMoved?: number | null;
+  entriesMoved?: number | null;
+  ticketsMoved?: number | null;
+  transactionsMoved?: number | null;
+  conflicts?: string[] | null;
+}
+
+export interface IdentityPlayer {
+  id: string;
+  firstName: string;
+  lastName: string;
+  lastPlayedDate?: string | null;
+  status?: string | null;
+}
+
+export interface IdentityPlayerGame {
+  id: string;
+  gameId: string;
+  venueId?: string | null;
+  venueName?: string | null;
+  gameName?: string | null;
+  finishingPlace?: number | null;
+  amountWon?: number | null;
+  gameStartDateTime: string;
+}
+
+interface FindPlayerDuplicatesData {
+  findPlayerDuplicates: {
+    success: boolean;
+    playersScanned?: number | null;
+    candidatesFound?: number | null;
+    excludedPlayedTogether?: number | null;
+    candidates?: PlayerDuplicateCandidate[] | null;
+    error?: string | null;
+  } | null;
+}
+
+interface MergePlayersData {
+  mergePlayers: MergePlayersResult | null;
+}
+
+interface SplitPlayerData {
+  splitPlayer: SplitPlayerResult | null;
+}
+
+interface SearchPlayersData {
+  playersByEntity: { items: (IdentityPlayer | null)[] } | null;
+}
+
+interface PlayerGameRecord {
+  id: string;
+  gameId: string;
+  venueId?: string | null;
+  finishingPlace?: number | null;
+  amountWon?: number | null;
+  gameStartDateTime: string;
+  game?: { name?: string | null; venue?: { name?: string | null } | null } | null;
+}
+
+interface PlayerGamesData {
+  playerResultsByPlayerIdAndGameStartDateTime: {
+    items: (PlayerGameRecord | null)[];
+    nextToken?: string | null;
+  } | null;
+}
+
+export const playerDisplayName = (player: Pick<IdentityPlayer, 'firstName' | 'lastName'>) =>
+  [player.firstName, player.lastName].filter(Boolean).join(' ');
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UsePlayerIdentityReturn {
+  candidates: PlayerDuplicateCandidate[];
+  scanSummary: { playersScanned: number; excludedPlayedTogether: number } | null;
+  loading: boolean;
+  saving: boolean;
+  error: string | null;
+  findDuplicates: (minScore?: number) => Promise<void>;
+  mergePlayers: (survivorId: string, duplicateIds: string[], preview: boolean, notes?: string | null) => Promise<MergePlayersResult | null>;
+  splitPlayer: (input: SplitPlayerInput, preview: boolean) => Promise<SplitPlayerResult | null>;
+  searchPlayers: (term: string) => Promise<IdentityPlayer[]>;
+  loadPlayerGames: (playerId: string) => Promise<IdentityPlayerGame[]>;
+}
+
+export function usePlayerIdentity(entityId: string | null | undefined): UsePlayerIdentityReturn {
+  const [candidates, setCandidates] = useState<PlayerDuplicateCandidate[]>([]);
+  const [scanSummary, setScanSummary] = useState<UsePlayerIdentityReturn['scanSummary']>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+  const minScoreRef = useRef(0.8);
+
+  const findDuplicates = useCallback(async (minScore?: number) => {
+    if (minScore !== undefined) minScoreRef.current = minScore;
+    if (!entityId) {
+      setCandidates([]);
+      setScanSummary(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await client.graphql({
+        query: findPlayerDuplicatesQuery,
+        variables: { input: { entityId, minScore: minScoreRef.current } }
+      }) as GraphQLResult<FindPlayerDuplicatesData>;
+
+      const data = result.data?.findPlayerDuplicates;
+      if (!data?.success) {
+        throw new Error(data?.error || 'Failed to find duplicates');
+      }
+      setCandidates(data.candidates || []);
+      setScanSummary({
+        playersScanned: data.playersScanned || 0,
+        excludedPlayedTogether: data.excludedPlayedTogether || 0,
+      });
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to find duplicates';
+      setError(errorMessage);
+      console.error('[usePlayerIdentity] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, entityId]);
+
+  useEffect(() => {
+    findDuplicates();
+  }, [findDuplicates]);
+
+  const runMutation = useCallback(async <T,>(
+    action: () => Promise<T>,
+    failureMessage: string
+  ): Promise<T | null> => {
+    setSaving(true);
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : failureMessage;
+      setError(errorMessage);
+      console.error(`[usePlayerIdentity] ${failureMessage}:`, err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const mergePlayers = useCallback(async (
+    survivorId: string,
+    duplicateIds: string[],
+    preview: boolean,
+    notes?: string | null
+  ): Promise<MergePlayersResult | null> => {
+    const result = await runMutation(async () => {
+      const response = await client.graphql({
+        query: mergePlayersMutation,
+        variables: { input: { survivorId, duplicateIds, preview, notes: notes || null } }
+      }) as GraphQLResult<MergePlayersData>;
+      return response.data?.mergePlayers || null;
+    }, 'Failed to merge players');
+
+    // Merged players are gone - drop every candidate pair they were in
+    if (result?.success && !preview) {
+      const merged = new Set(duplicateIds);
+      setCandidates(prev => prev.filter(c => !merged.has(c.playerId) && !merged.has(c.duplicatePlayerId)));
+    }
+    return result;
+  }, [client, runMutation]);
+
+  const splitPlayer = useCallback(async (
+    input: SplitPlayerInput,
+    preview: boolean
+  ): Promise<SplitPlayerResult | null> => {
+    return runMutation(async () => {
+      const response = await client.graphql({
+        query: splitPlayerMutation,
+        variables: { input: { ...input, preview } }
+      }) as GraphQLResult<SplitPlayerData>;
+      return response.data?.splitPlayer || null;
+    }, 'Failed to split player');
+  }, [client, runMutation]);
+
+  const searchPlayers = useCallback(async (term: string): Promise<IdentityPlayer[]> => {
+    if (!entityId || term.trim().length < 2) return [];
+    try {
+      // Names are stored as scraped - match the usual capitalisation too
+      const trimmed = term.trim();
+      const capitalised = trimmed.charAt(0).toUpperCase() + trimmed.slice(1).toLowerCase();
+      const responses = await Promise.all([...new Set([trimmed, capitalised])].map(searchTerm =>
+        client.graphql({
+          query: searchPlayersQuery,
+          variables: { entityId, searchTerm }
+        }) as Promise<GraphQLResult<SearchPlayersData>>
+      ));
+
+      const players = new Map<string, IdentityPlayer>();
+      responses.forEach(response => {
+        (response.data?.playersByEntity?.items || []).forEach(player => {
+          if (player) players.set(player.id, player);
+        });
+      });
+      return [...players.values()].sort((a, b) => (b.lastPlayedDate || '').localeCompare(a.lastPlayedDate || ''));
+    } catch (err) {
+      console.error('[usePlayerIdentity] Search failed:', err);
+      return [];
+    }
+  }, [client, entityId]);
+
+  const loadPlayerGames = useCallback(async (playerId: string): Promise<IdentityPlayerGame[]> => {
+    const games: IdentityPlayerGame[] = [];
+    let nextToken: string | null | undefined = null;
+    try {
+      do {
+        const response = await client.graphql({
+          query: playerGamesQuery,
+          variables: { playerId, nextToken }
+        }) as GraphQLResult<PlayerGamesData>;
+        const page = response.data?.playerResultsByPlayerIdAndGameStartDateTime;
+        (page?.items || []).forEach(item => {
+          if (!item) return;
+          games.push({
+            id: item.id,
+            gameId: item.gameId,
+            venueId: item.venueId,
+            venueName: item.game?.venue?.name,
+            gameName: item.game?.name,
+            finishingPlace: item.finishingPlace,
+            amountWon: item.amountWon,
+            gameStartDateTime: item.gameStartDateTime,
+          });
+        });
+        nextToken = page?.nextToken;
+      } while (nextToken);
+    } catch (err) {
+      console.error('[usePlayerIdentity] Failed to load games:', err);
+    }
+    return games;
+  }, [client]);
+
+  return {
+    candidates,
+    scanSummary,
+    loading,
+    saving,
+    error,
+    findDuplicates,
+    mergePlayers,
+    splitPlayer,
+    searchPlayers,
+    loadPlayerGames,
+  };
+}
+
+export default usePlayerIdentity;
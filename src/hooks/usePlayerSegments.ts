@@ -0,0 +1,377 @@
+// src/hooks/usePlayerSegments.ts
+// VERSION: 1.0.0 - Player lifecycle segments
+//
+// An entity's PlayerSegmentDefinitions (playerDataProcessor playerSegments.js
+// classifies players against them as they play and every night) and the
+// PlayerSegmentHistory of players moving between segments.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const DEFINITION_FIELDS = `
+  id
+  entityId
+  name
+  description
+  priority
+  isActive
+  minDaysSinceLastPlayed
+  maxDaysSinceLastPlayed
+  minGamesPerMonth
+  maxGamesPerMonth
+  minAverageBuyIn
+  maxAverageBuyIn
+  minVenueCount
+  maxVenueCount
+  targetingClassification
+  _version
+  _deleted
+`;
+
+const segmentDefinitionsByEntity = /* GraphQL */ `
+  query SegmentDefinitionsByEntity($entityId: ID!, $limit: Int, $nextToken: String) {
+    segmentDefinitionsByEntity(entityId: $entityId, limit: $limit, nextToken: $nextToken) {
+      items {
+        ${DEFINITION_FIELDS}
+      }
+      nextToken
+    }
+  }
+`;
+
+const segmentHistoryByEntity = /* GraphQL */ `
+  query SegmentHistoryByEntity($entityId: ID!, $changedAt: ModelStringKeyConditionInput, $limit: Int, $nextToken: String) {
+    segmentHistoryByEntity(entityId: $entityId, changedAt: $changedAt, limit: $limit, nextToken: $nextToken) {
+      items {
+        id
+        playerId
+        venueId
+        level
+        fromSegmentId
+        fromSegmentName
+        toSegmentId
+        toSegmentName
+        trigger
+        changedAt
+        _deleted
+      }
+      nextToken
+    }
+  }
+`;
+
+const createSegmentDefinitionMutation = /* GraphQL */ `
+  mutation CreatePlayerSegmentDefinition($input: CreatePlayerSegmentDefinitionInput!) {
+    createPlayerSegmentDefinition(input: $input) {
+      ${DEFINITION_FIELDS}
+    }
+  }
+`;
+
+const updateSegmentDefinitionMutation = /* GraphQL */ `
+  mutation UpdatePlayerSegmentDefinition($input: UpdatePlayerSegmentDefinitionInput!) {
+    updatePlayerSegmentDefinition(input: $input) {
+      ${DEFINITION_FIELDS}
+    }
+  }
+`;
+
+const deleteSegmentDefinitionMutation = /* GraphQL */ `
+  mutation DeletePlayerSegmentDefinition($input: DeletePlayerSegmentDefinitionInput!) {
+    deletePlayerSegmentDefinition(input: $input) {
+      id
+    }
+  }
+`;
+
+const reclassifyPlayerSegmentsMutation = /* GraphQL */ `
+  mutation ReclassifyPlayerSegments($input: ReclassifyPlayerSegmentsInput!) {
+    reclassifyPlayerSegments(input: $input) {
+      success
+      message
+      error
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type SegmentLevel = 'PLAYER' | 'VENUE';
+export type SegmentTrigger = 'GAME' | 'NIGHTLY' | 'MANUAL';
+
+export interface SegmentConditions {
+  minDaysSinceLastPlayed?: number | null;
+  maxDaysSinceLastPlayed?: number | null;
+  minGamesPerMonth?: number | null;
+  maxGamesPerMonth?: number | null;
+  minAverageBuyIn?: number | null;
+  maxAverageBuyIn?: number | null;
+  minVenueCount?: number | null;
+  maxVenueCount?: number | null;
+}
+
+export interface SegmentDefinitionInput extends SegmentConditions {
+  name: string;
+  description?: string | null;
+  priority: number;
+  isActive?: boolean | null;
+  targetingClassification?: string | null;
+}
+
+export interface SegmentDefinition extends SegmentDefinitionInput {
+  id: string;
+  entityId: string;
+  _version?: number;
+}
+
+export interface SegmentMovement {
+  id: string;
+  playerId: string;
+  venueId?: string | null;
+  level: SegmentLevel;
+  fromSegmentId?: string | null;
+  fromSegmentName?: string | null;
+  toSegmentId?: string | null;
+  toSegmentName?: string | null;
+  trigger: SegmentTrigger;
+  changedAt: string;
+}
+
+// Used until an entity defines its own - same as playerSegments.js DEFAULT_SEGMENTS
+export const DEFAULT_SEGMENTS: SegmentDefinitionInput[] = [
+  { name: 'Active', priority: 10, maxDaysSinceLastPlayed: 30, targetingClassification: 'Active_EL' },
+  { name: 'Retain 31-60d', priority: 20, maxDaysSinceLastPlayed: 60, targetingClassification: 'Retain_Inactive31_60d' },
+  { name: 'Retain 61-90d', priority: 30, maxDaysSinceLastPlayed: 90, targetingClassification: 'Retain_Inactive61_90d' },
+  { name: 'Churned 91-120d', priority: 40, maxDaysSinceLastPlayed: 120, targetingClassification: 'Churned_91_120d' },
+  { name: 'Churned 121-180d', priority: 50, maxDaysSinceLastPlayed: 180, targetingClassification: 'Churned_121_180d' },
+  { name: 'Churned 181-360d', priority: 60, maxDaysSinceLastPlayed: 360, targetingClassification: 'Churned_181_360d' },
+  { name: 'Churned 361d+', priority: 70, targetingClassification: 'Churned_361d' },
+];
+
+type DefinitionRecord = SegmentDefinition & { _deleted?: boolean | null };
+
+interface Page<T> {
+  items: (T | null)[];
+  nextToken?: string | null;
+}
+
+interface CreateSegmentDefinitionData {
+  createPlayerSegmentDefinition: DefinitionRecord | null;
+}
+
+interface UpdateSegmentDefinitionData {
+  updatePlayerSegmentDefinition: DefinitionRecord | null;
+}
+
+interface DeleteSegmentDefinitionData {
+  deletePlayerSegmentDefinition: { id: string } | null;
+}
+
+interface ReclassifyPlayerSegmentsData {
+  reclassifyPlayerSegments: { success: boolean; message?: string | null; error?: string | null } | null;
+}
+
+const byPriority = (a: SegmentDefinition, b: SegmentDefinition) => a.priority - b.priority;
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UsePlayerSegmentsReturn {
+  definitions: SegmentDefinition[];
+  loading: boolean;
+  saving: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  saveDefinition: (input: SegmentDefinitionInput, existing?: SegmentDefinition | null) => Promise<boolean>;
+  deleteDefinition: (definition: SegmentDefinition) => Promise<boolean>;
+  createDefaults: () => Promise<boolean>;
+  reclassify: () => Promise<string | null>;
+  loadMovements: (sinceDays: number) => Promise<SegmentMovement[]>;
+}
+
+export function usePlayerSegments(entityId: string | null | undefined): UsePlayerSegmentsReturn {
+  const [definitions, setDefinitions] = useState<SegmentDefinition[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  // Every page of a list query (field = the query's field name)
+  const loadAll = useCallback(async <T,>(
+    query: string,
+    variables: Record<string, unknown>,
+    field: string
+  ): Promise<T[]> => {
+    const items: T[] = [];
+    let nextToken: string | null | undefined = null;
+    do {
+      const result = await client.graphql({
+        query,
+        variables: { ...variables, limit: 500, nextToken }
+      }) as GraphQLResult<Record<string, Page<T> | null>>;
+      const page = result.data?.[field];
+      items.push(...(page?.items || []).filter((item): item is T => !!item && !(item as { _deleted?: boolean | null })._deleted));
+      nextToken = page?.nextToken;
+    } while (nextToken);
+    return items;
+  }, [client]);
+
+  const refresh = useCallback(async () => {
+    if (!entityId) {
+      setDefinitions([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const records = await loadAll<DefinitionRecord>(segmentDefinitionsByEntity, { entityId }, 'segmentDefinitionsByEntity');
+      setDefinitions(records.sort(byPriority));
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load segments';
+      setError(errorMessage);
+      console.error('[usePlayerSegments] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [entityId, loadAll]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const runMutation = useCallback(async <T,>(
+    action: () => Promise<T>,
+    failureMessage: string
+  ): Promise<T | null> => {
+    setSaving(true);
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : failureMessage;
+      setError(errorMessage);
+      console.error(`[usePlayerSegments] ${failureMessage}:`, err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const saveDefinition = useCallback(async (
+    input: SegmentDefinitionInput,
+    existing?: SegmentDefinition | null
+  ): Promise<boolean> => {
+    if (!entityId) return false;
+
+    const saved = await runMutation(async () => {
+      if (existing) {
+        const result = await client.graphql({
+          query: updateSegmentDefinitionMutation,
+          variables: { input: { id: existing.id, _version: existing._version, ...input } }
+        }) as GraphQLResult<UpdateSegmentDefinitionData>;
+        return result.data?.updatePlayerSegmentDefinition || null;
+      }
+      const result = await client.graphql({
+        query: createSegmentDefinitionMutation,
+        variables: { input: { entityId, ...input } }
+      }) as GraphQLResult<CreateSegmentDefinitionData>;
+      return result.data?.createPlayerSegmentDefinition || null;
+    }, 'Failed to save segment');
+
+    if (!saved) return false;
+    setDefinitions(prev => [...prev.filter(d => d.id !== saved.id), saved].sort(byPriority));
+    return true;
+  }, [client, entityId, runMutation]);
+
+  const deleteDefinition = useCallback(async (definition: SegmentDefinition): Promise<boolean> => {
+    const deleted = await runMutation(async () => {
+      const result = await client.graphql({
+        query: deleteSegmentDefinitionMutation,
+        variables: { input: { id: definition.id, _version: definition._version } }
+      }) as GraphQLResult<DeleteSegmentDefinitionData>;
+      return result.data?.deletePlayerSegmentDefinition || null;
+    }, 'Failed to delete segment');
+
+    if (!deleted) return false;
+    setDefinitions(prev => prev.filter(d => d.id !== definition.id));
+    return true;
+  }, [client, runMutation]);
+
+  // Copies the default day buckets so they can be edited
+  const createDefaults = useCallback(async (): Promise<boolean> => {
+    if (!entityId) return false;
+
+    const created = await runMutation(async () => {
+      const results = await Promise.all(DEFAULT_SEGMENTS.map(input =>
+        client.graphql({
+          query: createSegmentDefinitionMutation,
+          variables: { input: { entityId, ...input } }
+        }) as Promise<GraphQLResult<CreateSegmentDefinitionData>>
+      ));
+      return results
+        .map(result => result.data?.createPlayerSegmentDefinition)
+        .filter((definition): definition is DefinitionRecord => !!definition);
+    }, 'Failed to create default segments');
+
+    if (!created) return false;
+    setDefinitions(created.sort(byPriority));
+    return true;
+  }, [client, entityId, runMutation]);
+
+  const reclassify = useCallback(async (): Promise<string | null> => {
+    if (!entityId) return null;
+
+    return runMutation(async () => {
+      const result = await client.graphql({
+        query: reclassifyPlayerSegmentsMutation,
+        variables: { input: { entityId } }
+      }) as GraphQLResult<ReclassifyPlayerSegmentsData>;
+      const data = result.data?.reclassifyPlayerSegments;
+      if (!data?.success) {
+        throw new Error(data?.error || 'Failed to start reclassification');
+      }
+      return data.message || 'Reclassification started';
+    }, 'Failed to start reclassification');
+  }, [client, entityId, runMutation]);
+
+  const loadMovements = useCallback(async (sinceDays: number): Promise<SegmentMovement[]> => {
+    if (!entityId) return [];
+    try {
+      const since = new Date(Date.now() - sinceDays * 24 * 60 * 60 * 1000).toISOString();
+      return await loadAll<SegmentMovement>(
+        segmentHistoryByEntity,
+        { entityId, changedAt: { ge: since } },
+        'segmentHistoryByEntity'
+      );
+    } catch (err) {
+      console.error('[usePlayerSegments] Failed to load movements:', err);
+      return [];
+    }
+  }, [entityId, loadAll]);
+
+  return {
+    definitions,
+    loading,
+    saving,
+    error,
+    refresh,
+    saveDefinition,
+    deleteDefinition,
+    createDefaults,
+    reclassify,
+    loadMovements,
+  };
+}
+
+export default usePlayerSegments;
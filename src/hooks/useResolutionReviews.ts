@@ -0,0 +1,471 @@
+// src/hooks/useResolutionReviews.ts
+// VERSION: 1.0.0 - Resolution review queue
+//
+// gameDataEnricher queues venue, series, satellite and recurring decisions it
+// isn't sure about (resolution/review-queue.js). Operators accept, override or
+// reject them in bulk with resolveResolutionReviews; overrides and rejections
+// become ResolutionRules the enricher applies to later games.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const REVIEW_FIELDS = `
+  id
+  entityId
+  gameId
+  gameName
+  gameStartDateTime
+  venueId
+  resolver
+  status
+  decisionStatus
+  confidence
+  reasons
+  targetId
+  targetName
+  alternatives
+  matchKey
+  resolvedTargetId
+  resolvedTargetName
+  resolvedBy
+  resolvedAt
+  ruleId
+  notes
+  createdAt
+  _version
+  _deleted
+`;
+
+const RULE_FIELDS = `
+  id
+  entityId
+  resolver
+  action
+  matchKey
+  venueId
+  targetId
+  targetName
+  validUntil
+  isActive
+  sourceReviewId
+  timesApplied
+  lastAppliedAt
+  createdBy
+  notes
+  updatedAt
+  _version
+  _deleted
+`;
+
+const resolutionReviewsByEntity = /* GraphQL */ `
+  query ResolutionReviewsByEntity(
+    $entityId: ID!
+    $filter: ModelResolutionReviewFilterInput
+    $sortDirection: ModelSortDirection
+    $limit: Int
+    $nextToken: String
+  ) {
+    resolutionReviewsByEntity(
+      entityId: $entityId
+      filter: $filter
+      sortDirection: $sortDirection
+      limit: $limit
+      nextToken: $nextToken
+    ) {
+      items {
+        ${REVIEW_FIELDS}
+      }
+      nextToken
+    }
+  }
+`;
+
+const resolutionRulesByEntity = /* GraphQL */ `
+  query ResolutionRulesByEntity($entityId: ID!, $limit: Int, $nextToken: String) {
+    resolutionRulesByEntity(entityId: $entityId, limit: $limit, nextToken: $nextToken) {
+      items {
+        ${RULE_FIELDS}
+      }
+      nextToken
+    }
+  }
+`;
+
+const resolveResolutionReviewsMutation = /* GraphQL */ `
+  mutation ResolveResolutionReviews($input: ResolveResolutionReviewsInput!) {
+    resolveResolutionReviews(input: $input) {
+      success
+      processed
+      accepted
+      overridden
+      rejected
+      skipped
+      gamesUpdated
+      rulesCreated
+      errors
+    }
+  }
+`;
+
+const updateResolutionRuleMutation = /* GraphQL */ `
+  mutation UpdateResolutionRule($input: UpdateResolutionRuleInput!) {
+    updateResolutionRule(input: $input) {
+      ${RULE_FIELDS}
+    }
+  }
+`;
+
+const venueTargetsQuery = /* GraphQL */ `
+  query ReviewVenueTargets($entityId: ID!, $limit: Int, $nextToken: String) {
+    venuesByEntity(entityId: $entityId, limit: $limit, nextToken: $nextToken) {
+      items {
+        id
+        name
+        _deleted
+      }
+      nextToken
+    }
+  }
+`;
+
+const seriesTargetsQuery = /* GraphQL */ `
+  query ReviewSeriesTargets($entityId: ID!, $limit: Int, $nextToken: String) {
+    tournamentSeriesByEntityId(entityId: $entityId, limit: $limit, nextToken: $nextToken) {
+      items {
+        id
+        name
+        year
+        _deleted
+      }
+      nextToken
+    }
+  }
+`;
+
+const recurringTargetsQuery = /* GraphQL */ `
+  query ReviewRecurringTargets($filter: ModelRecurringGameFilterInput, $limit: Int, $nextToken: String) {
+    listRecurringGames(filter: $filter, limit: $limit, nextToken: $nextToken) {
+      items {
+        id
+        name
+        venueId
+        dayOfWeek
+        _deleted
+      }
+      nextToken
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type ResolutionResolver = 'VENUE' | 'SERIES' | 'SATELLITE' | 'RECURRING';
+export type ResolutionReviewStatus = 'PENDING' | 'ACCEPTED' | 'OVERRIDDEN' | 'REJECTED' | 'AUTO_RESOLVED';
+export type ResolutionReviewAction = 'ACCEPT' | 'OVERRIDE' | 'REJECT';
+
+export const RESOLVERS: ResolutionResolver[] = ['VENUE', 'SERIES', 'SATELLITE', 'RECURRING'];
+
+export interface ResolutionAlternative {
+  id: string;
+  name?: string | null;
+  confidence?: number | null;
+}
+
+export interface ResolutionReview {
+  id: string;
+  entityId: string;
+  gameId: string;
+  gameName?: string | null;
+  gameStartDateTime?: string | null;
+  venueId?: string | null;
+  resolver: ResolutionResolver;
+  status: ResolutionReviewStatus;
+  decisionStatus?: string | null;
+  confidence?: number | null;
+  reasons?: string[] | null;
+  targetId?: string | null;
+  targetName?: string | null;
+  alternatives: ResolutionAlternative[];
+  matchKey?: string | null;
+  resolvedTargetId?: string | null;
+  resolvedTargetName?: string | null;
+  resolvedBy?: string | null;
+  resolvedAt?: string | null;
+  ruleId?: string | null;
+  notes?: string | null;
+  createdAt: string;
+  _version?: number;
+}
+
+export interface ResolutionRule {
+  id: string;
+  entityId: string;
+  resolver: ResolutionResolver;
+  action: 'ASSIGN' | 'REJECT';
+  matchKey: string;
+  venueId?: string | null;
+  targetId?: string | null;
+  targetName?: string | null;
+  validUntil?: string | null;
+  isActive: boolean;
+  sourceReviewId?: string | null;
+  timesApplied?: number | null;
+  lastAppliedAt?: string | null;
+  createdBy?: string | null;
+  notes?: string | null;
+  updatedAt: string;
+  _version?: number;
+}
+
+export interface ResolutionTarget {
+  id: string;
+  name: string;
+  venueId?: string | null;
+}
+
+export interface ResolveReviewsInput {
+  reviewIds: string[];
+  action: ResolutionReviewAction;
+  targetId?: string | null;
+  targetName?: string | null;
+  createRule?: boolean;
+  notes?: string | null;
+}
+
+export interface ResolveReviewsResult {
+  success: boolean;
+  processed: number;
+  accepted: number;
+  overridden: number;
+  rejected: number;
+  skipped: number;
+  gamesUpdated: number;
+  rulesCreated: number;
+  errors: string[];
+}
+
+type ReviewRecord = Omit<ResolutionReview, 'alternatives'> & { alternatives?: string | null; _deleted?: boolean | null };
+type RuleRecord = ResolutionRule & { _deleted?: boolean | null };
+
+interface Page<T> {
+  items: (T | null)[];
+  nextToken?: string | null;
+}
+
+interface ResolveResolutionReviewsData {
+  resolveResolutionReviews: ResolveReviewsResult | null;
+}
+
+interface UpdateResolutionRuleData {
+  updateResolutionRule: RuleRecord | null;
+}
+
+const parseAlternatives = (raw?: string | null): ResolutionAlternative[] => {
+  if (!raw) return [];
+  try {
+    const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseResolutionReviewsReturn {
+  reviews: ResolutionReview[];
+  rules: ResolutionRule[];
+  loading: boolean;
+  saving: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  resolveReviews: (input: ResolveReviewsInput) => Promise<ResolveReviewsResult | null>;
+  setRuleActive: (rule: ResolutionRule, isActive: boolean) => Promise<boolean>;
+  loadTargets: (resolver: ResolutionResolver) => Promise<ResolutionTarget[]>;
+}
+
+export function useResolutionReviews(
+  entityId: string | null | undefined,
+  status: ResolutionReviewStatus = 'PENDING'
+): UseResolutionReviewsReturn {
+  const [reviews, setReviews] = useState<ResolutionReview[]>([]);
+  const [rules, setRules] = useState<ResolutionRule[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+  const targetCache = useRef<Map<string, ResolutionTarget[]>>(new Map());
+
+  // Every page of a list query (field = the query's field name)
+  const loadAll = useCallback(async <T,>(
+    query: string,
+    variables: Record<string, unknown>,
+    field: string
+  ): Promise<T[]> => {
+    const items: T[] = [];
+    let nextToken: string | null | undefined = null;
+    do {
+      const result = await client.graphql({
+        query,
+        variables: { ...variables, limit: 500, nextToken }
+      }) as GraphQLResult<Record<string, Page<T> | null>>;
+      const page = result.data?.[field];
+      items.push(...(page?.items || []).filter((item): item is T => !!item && !(item as { _deleted?: boolean | null })._deleted));
+      nextToken = page?.nextToken;
+    } while (nextToken);
+    return items;
+  }, [client]);
+
+  const refresh = useCallback(async () => {
+    if (!entityId) {
+      setReviews([]);
+      setRules([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [reviewRecords, ruleRecords] = await Promise.all([
+        loadAll<ReviewRecord>(
+          resolutionReviewsByEntity,
+          { entityId, filter: { status: { eq: status } }, sortDirection: 'DESC' },
+          'resolutionReviewsByEntity'
+        ),
+        loadAll<RuleRecord>(
+          resolutionRulesByEntity,
+          { entityId },
+          'resolutionRulesByEntity'
+        ),
+      ]);
+
+      setReviews(reviewRecords.map(record => ({ ...record, alternatives: parseAlternatives(record.alternatives) })));
+      setRules(ruleRecords.sort((a, b) => a.resolver.localeCompare(b.resolver) || a.matchKey.localeCompare(b.matchKey)));
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load review queue';
+      setError(errorMessage);
+      console.error('[useResolutionReviews] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [entityId, status, loadAll]);
+
+  const runMutation = useCallback(async <T,>(
+    action: () => Promise<T>,
+    failureMessage: string
+  ): Promise<T | null> => {
+    setSaving(true);
+    setError(null);
+    try {
+      return await action();
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : failureMessage;
+      setError(errorMessage);
+      console.error(`[useResolutionReviews] ${failureMessage}:`, err);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const resolveReviews = useCallback(async (input: ResolveReviewsInput): Promise<ResolveReviewsResult | null> => {
+    if (input.reviewIds.length === 0) return null;
+
+    const result = await runMutation(async () => {
+      const response = await client.graphql({
+        query: resolveResolutionReviewsMutation,
+        variables: { input }
+      }) as GraphQLResult<ResolveResolutionReviewsData>;
+      return response.data?.resolveResolutionReviews || null;
+    }, 'Failed to resolve reviews');
+
+    if (result && result.errors.length > 0) {
+      setError(result.errors.slice(0, 3).join('; '));
+    }
+    if (result) await refresh();
+    return result;
+  }, [client, refresh, runMutation]);
+
+  const setRuleActive = useCallback(async (rule: ResolutionRule, isActive: boolean): Promise<boolean> => {
+    const saved = await runMutation(async () => {
+      const result = await client.graphql({
+        query: updateResolutionRuleMutation,
+        variables: { input: { id: rule.id, _version: rule._version, isActive } }
+      }) as GraphQLResult<UpdateResolutionRuleData>;
+      return result.data?.updateResolutionRule || null;
+    }, 'Failed to update rule');
+
+    if (!saved) return false;
+    await refresh();
+    return true;
+  }, [client, refresh, runMutation]);
+
+  // What a review can be overridden to (series and satellites both target a TournamentSeries)
+  const loadTargets = useCallback(async (resolver: ResolutionResolver): Promise<ResolutionTarget[]> => {
+    if (!entityId) return [];
+
+    const cacheKey = `${entityId}#${resolver === 'SATELLITE' ? 'SERIES' : resolver}`;
+    const cached = targetCache.current.get(cacheKey);
+    if (cached) return cached;
+
+    try {
+      let targets: ResolutionTarget[];
+      if (resolver === 'VENUE') {
+        targets = await loadAll<ResolutionTarget>(venueTargetsQuery, { entityId }, 'venuesByEntity');
+      } else if (resolver === 'RECURRING') {
+        targets = await loadAll<ResolutionTarget>(
+          recurringTargetsQuery,
+          { filter: { entityId: { eq: entityId }, isActive: { ne: false } } },
+          'listRecurringGames'
+        );
+      } else {
+        const series = await loadAll<ResolutionTarget & { year?: number | null }>(
+          seriesTargetsQuery,
+          { entityId },
+          'tournamentSeriesByEntityId'
+        );
+        targets = series
+          .sort((a, b) => (b.year || 0) - (a.year || 0))
+          .map(({ id, name, year }) => ({ id, name: year && !name.includes(String(year)) ? `${name} (${year})` : name }));
+      }
+
+      if (resolver !== 'SERIES' && resolver !== 'SATELLITE') {
+        targets.sort((a, b) => a.name.localeCompare(b.name));
+      }
+      targetCache.current.set(cacheKey, targets);
+      return targets;
+    } catch (err) {
+      console.error('[useResolutionReviews] Failed to load targets:', err);
+      return [];
+    }
+  }, [entityId, loadAll]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    reviews,
+    rules,
+    loading,
+    saving,
+    error,
+    refresh,
+    resolveReviews,
+    setRuleActive,
+    loadTargets,
+  };
+}
+
+export default useResolutionReviews;
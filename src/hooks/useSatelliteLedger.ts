@@ -0,0 +1,240 @@
+// src/hooks/useSatelliteLedger.ts
+// VERSION: 1.0.0 - Satellite seat ledger for a tournament series
+//
+// Loads the seat ledger for every satellite feeding a series: seats awarded,
+// which winners entered the target event, unused/expired seats and what the
+// seats are worth. Built by gameDataEnricher (resolution/satellite-ledger.js);
+// reconciling writes a PlayerTicket per seat so liabilities can be tracked.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const LEDGER_FIELDS = `
+  success
+  tournamentSeriesId
+  seriesName
+  preview
+  satellitesFound
+  totalSeatsAwarded
+  totalSeatsUsed
+  totalSeatsUnused
+  totalSeatsExpired
+  totalSeatValue
+  outstandingLiability
+  ticketsCreated
+  ticketsUpdated
+  satellites {
+    satelliteGameId
+    satelliteName
+    satelliteDate
+    satelliteBuyIn
+    satellitePrizepool
+    resultsAvailable
+    targetEventId
+    targetEventName
+    seatValue
+    seatsAwarded
+    seatsUsed
+    seatsUnused
+    seatsExpired
+    seatsAwardedValue
+    outstandingValue
+    seatFundingDelta
+    seats {
+      playerId
+      playerName
+      wonFromPosition
+      status
+      ticketId
+      usedInGameId
+      usedInGameName
+      usedAt
+    }
+  }
+  error
+`;
+
+const getSatelliteLedgerQuery = /* GraphQL */ `
+  query GetSatelliteLedger($tournamentSeriesId: ID!) {
+    getSatelliteLedger(tournamentSeriesId: $tournamentSeriesId) {
+      ${LEDGER_FIELDS}
+    }
+  }
+`;
+
+const reconcileSatelliteSeatsMutation = /* GraphQL */ `
+  mutation ReconcileSatelliteSeats($input: ReconcileSatelliteSeatsInput!) {
+    reconcileSatelliteSeats(input: $input) {
+      ${LEDGER_FIELDS}
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type SatelliteSeatStatus = 'ACTIVE' | 'EXPIRED' | 'USED';
+
+export interface SatelliteSeatDetail {
+  playerId: string;
+  playerName?: string | null;
+  wonFromPosition?: number | null;
+  status: SatelliteSeatStatus;
+  ticketId?: string | null;
+  usedInGameId?: string | null;
+  usedInGameName?: string | null;
+  usedAt?: string | null;
+}
+
+export interface SatelliteLedgerEntry {
+  satelliteGameId: string;
+  satelliteName: string;
+  satelliteDate?: string | null;
+  satelliteBuyIn?: number | null;
+  satellitePrizepool?: number | null;
+  resultsAvailable: boolean;
+  targetEventId?: string | null;
+  targetEventName?: string | null;
+  seatValue?: number | null;
+  seatsAwarded: number;
+  seatsUsed: number;
+  seatsUnused: number;
+  seatsExpired: number;
+  seatsAwardedValue: number;
+  outstandingValue: number;
+  seatFundingDelta?: number | null;
+  seats: SatelliteSeatDetail[];
+}
+
+export interface SatelliteLedger {
+  success: boolean;
+  tournamentSeriesId: string;
+  seriesName?: string | null;
+  preview: boolean;
+  satellitesFound: number;
+  totalSeatsAwarded: number;
+  totalSeatsUsed: number;
+  totalSeatsUnused: number;
+  totalSeatsExpired: number;
+  totalSeatValue: number;
+  outstandingLiability: number;
+  ticketsCreated: number;
+  ticketsUpdated: number;
+  satellites: SatelliteLedgerEntry[];
+  error?: string | null;
+}
+
+interface GetSatelliteLedgerData {
+  getSatelliteLedger: SatelliteLedger | null;
+}
+
+interface ReconcileSatelliteSeatsData {
+  reconcileSatelliteSeats: SatelliteLedger | null;
+}
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseSatelliteLedgerReturn {
+  ledger: SatelliteLedger | null;
+  loading: boolean;
+  reconciling: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  reconcile: () => Promise<SatelliteLedger | null>;
+}
+
+export function useSatelliteLedger(tournamentSeriesId: string | null | undefined): UseSatelliteLedgerReturn {
+  const [ledger, setLedger] = useState<SatelliteLedger | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [reconciling, setReconciling] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  const refresh = useCallback(async () => {
+    if (!tournamentSeriesId) {
+      setLedger(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await client.graphql({
+        query: getSatelliteLedgerQuery,
+        variables: { tournamentSeriesId }
+      }) as GraphQLResult<GetSatelliteLedgerData>;
+
+      const data = result.data?.getSatelliteLedger || null;
+      if (data && !data.success) {
+        throw new Error(data.error || 'Failed to load satellite ledger');
+      }
+      setLedger(data);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load satellite ledger';
+      setError(errorMessage);
+      console.error('[useSatelliteLedger] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, tournamentSeriesId]);
+
+  const reconcile = useCallback(async (): Promise<SatelliteLedger | null> => {
+    if (!tournamentSeriesId) {
+      setError('No series selected');
+      return null;
+    }
+
+    setReconciling(true);
+    setError(null);
+
+    try {
+      const result = await client.graphql({
+        query: reconcileSatelliteSeatsMutation,
+        variables: { input: { tournamentSeriesId, preview: false } }
+      }) as GraphQLResult<ReconcileSatelliteSeatsData>;
+
+      const reconciled = result.data?.reconcileSatelliteSeats || null;
+      if (!reconciled) {
+        throw new Error('No data returned. The operation may not be deployed.');
+      }
+      if (!reconciled.success) {
+        setError(reconciled.error || 'Seat reconciliation failed');
+      } else {
+        setLedger(reconciled);
+      }
+      return reconciled;
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Seat reconciliation failed';
+      setError(errorMessage);
+      console.error('[useSatelliteLedger] Reconcile error:', err);
+      return null;
+    } finally {
+      setReconciling(false);
+    }
+  }, [client, tournamentSeriesId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    ledger,
+    loading,
+    reconciling,
+    error,
+    refresh,
+    reconcile,
+  };
+}
+
+export default useSatelliteLedger;
@@ -0,0 +1,239 @@
+// src/hooks/useSeriesSchedule.ts
+// VERSION: 1.0.0 - Published schedule for a tournament series
+//
+// Loads schedule coverage for a series and imports published schedules
+// (CSV or JSON). Both run in gameDataEnricher (resolution/series-schedule.js),
+// which also matches scraped games to scheduled events during enrichment.
+// Imports default to preview so the parse and matches can be checked first.
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import type { GraphQLResult } from '@aws-amplify/api-graphql';
+
+// ============================================
+// GRAPHQL OPERATIONS
+// ============================================
+
+const EVENT_SUMMARY_FIELDS = `
+  id
+  eventNumber
+  name
+  scheduledDate
+  buyIn
+  guaranteeAmount
+  isMainEvent
+  status
+  gameCount
+  matchedGameId
+  matchConfidence
+  isMissing
+`;
+
+const getSeriesScheduleCoverageQuery = /* GraphQL */ `
+  query GetSeriesScheduleCoverage($tournamentSeriesId: ID!) {
+    getSeriesScheduleCoverage(tournamentSeriesId: $tournamentSeriesId) {
+      success
+      tournamentSeriesId
+      seriesName
+      totalEvents
+      matchedEvents
+      missingEvents
+      upcomingEvents
+      cancelledEvents
+      unmatchedGames
+      events {
+        ${EVENT_SUMMARY_FIELDS}
+      }
+      error
+    }
+  }
+`;
+
+const importSeriesScheduleMutation = /* GraphQL */ `
+  mutation ImportSeriesSchedule($input: ImportSeriesScheduleInput!) {
+    importSeriesSchedule(input: $input) {
+      success
+      tournamentSeriesId
+      preview
+      eventsParsed
+      eventsCreated
+      eventsUpdated
+      gamesLinked
+      parseErrors
+      events {
+        ${EVENT_SUMMARY_FIELDS}
+      }
+      error
+    }
+  }
+`;
+
+// ============================================
+// TYPES
+// ============================================
+
+export type SeriesScheduledEventStatus = 'SCHEDULED' | 'MATCHED' | 'CANCELLED';
+export type SeriesScheduleFormat = 'CSV' | 'JSON';
+
+export interface ScheduledEventSummary {
+  id: string | null;
+  eventNumber: number;
+  name: string;
+  scheduledDate: string;
+  buyIn?: number | null;
+  guaranteeAmount?: number | null;
+  isMainEvent?: boolean | null;
+  status: SeriesScheduledEventStatus;
+  gameCount: number;
+  matchedGameId?: string | null;
+  matchConfidence?: number | null;
+  isMissing: boolean;
+}
+
+export interface SeriesScheduleCoverage {
+  success: boolean;
+  tournamentSeriesId: string;
+  seriesName?: string | null;
+  totalEvents: number;
+  matchedEvents: number;
+  missingEvents: number;
+  upcomingEvents: number;
+  cancelledEvents: number;
+  unmatchedGames: number;
+  events: ScheduledEventSummary[];
+  error?: string | null;
+}
+
+export interface ImportSeriesScheduleResult {
+  success: boolean;
+  tournamentSeriesId: string;
+  preview: boolean;
+  eventsParsed: number;
+  eventsCreated: number;
+  eventsUpdated: number;
+  gamesLinked: number;
+  parseErrors: string[];
+  events: ScheduledEventSummary[];
+  error?: string | null;
+}
+
+interface GetSeriesScheduleCoverageData {
+  getSeriesScheduleCoverage: SeriesScheduleCoverage | null;
+}
+
+interface ImportSeriesScheduleData {
+  importSeriesSchedule: ImportSeriesScheduleResult | null;
+}
+
+// ============================================
+// HOOK
+// ============================================
+
+export interface UseSeriesScheduleReturn {
+  coverage: SeriesScheduleCoverage | null;
+  loading: boolean;
+  importing: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  importSchedule: (
+    format: SeriesScheduleFormat,
+    data: string,
+    preview?: boolean
+  ) => Promise<ImportSeriesScheduleResult | null>;
+}
+
+export function useSeriesSchedule(tournamentSeriesId: string | null | undefined): UseSeriesScheduleReturn {
+  const [coverage, setCoverage] = useState<SeriesScheduleCoverage | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const client = useRef(generateClient()).current;
+
+  const refresh = useCallback(async () => {
+    if (!tournamentSeriesId) {
+      setCoverage(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await client.graphql({
+        query: getSeriesScheduleCoverageQuery,
+        variables: { tournamentSeriesId }
+      }) as GraphQLResult<GetSeriesScheduleCoverageData>;
+
+      const data = result.data?.getSeriesScheduleCoverage || null;
+      if (data && !data.success) {
+        throw new Error(data.error || 'Failed to load series schedule');
+      }
+      setCoverage(data);
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Failed to load series schedule';
+      setError(errorMessage);
+      console.error('[useSeriesSchedule] Error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, tournamentSeriesId]);
+
+  const importSchedule = useCallback(async (
+    format: SeriesScheduleFormat,
+    data: string,
+    preview: boolean = true
+  ): Promise<ImportSeriesScheduleResult | null> => {
+    if (!tournamentSeriesId) {
+      setError('No series selected');
+      return null;
+    }
+    if (!data.trim()) {
+      setError('Paste or upload a schedule first');
+      return null;
+    }
+
+    setImporting(true);
+    setError(null);
+
+    try {
+      const result = await client.graphql({
+        query: importSeriesScheduleMutation,
+        variables: { input: { tournamentSeriesId, format, data, preview } }
+      }) as GraphQLResult<ImportSeriesScheduleData>;
+
+      const imported = result.data?.importSeriesSchedule || null;
+      if (!imported) {
+        throw new Error('No data returned. The operation may not be deployed.');
+      }
+      if (!imported.success) {
+        setError(imported.error || 'Schedule import failed');
+      } else if (!preview) {
+        await refresh();
+      }
+      return imported;
+    } catch (err) {
+      const errorMessage = err instanceof Error ? err.message : 'Schedule import failed';
+      setError(errorMessage);
+      console.error('[useSeriesSchedule] Import error:', err);
+      return null;
+    } finally {
+      setImporting(false);
+    }
+  }, [client, refresh, tournamentSeriesId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    coverage,
+    loading,
+    importing,
+    error,
+    refresh,
+    importSchedule,
+  };
+}
+
+export default useSeriesSchedule;
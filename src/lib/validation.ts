@@ -71,4 +71,266 @@ export function validateStructure(
     missingProfileExpectedFields,
     missingOptionalFields,
   };
-}
\ No newline at end of file
+}
+// ===================================================================
+// ENTITY CUSTOM RULES
+// ===================================================================
+// Client-side copy of gameDataEnricher/validation/custom-rules.js so rule
+// results can be shown on scraped data before it is enriched. Keep the
+// syntax and null handling in sync with the Lambda - custom-rules.test.js
+// runs the same conditions through both.
+
+export type ValidationRuleSeverity = 'ERROR' | 'WARNING';
+
+export interface ValidationRuleDefinition {
+  id?: string;
+  name: string;
+  field?: string | null;
+  condition: string;
+  severity: ValidationRuleSeverity;
+  message: string;
+  enabled?: boolean;
+}
+
+export interface ValidationRuleResult {
+  ruleId?: string;
+  name: string;
+  field: string;
+  severity: ValidationRuleSeverity;
+  message: string;
+  invalid?: boolean;
+}
+
+type RuleToken =
+  | { type: 'number'; value: number }
+  | { type: 'string'; value: string }
+  | { type: 'name'; value: string }
+  | { type: 'op'; value: string };
+
+type RuleNode =
+  | { type: 'literal'; value: unknown }
+  | { type: 'field'; name: string }
+  | { type: 'call'; name: string; args: RuleNode[] }
+  | { type: 'unary'; op: string; operand: RuleNode }
+  | { type: 'binary'; op: string; left: RuleNode; right: RuleNode };
+
+const RULE_FUNCTIONS: Record<string, (...args: (number | null)[]) => number | null> = {
+  abs: (x) => (x === null ? null : Math.abs(x)),
+  min: (...args) => (args.some(a => a === null) ? null : Math.min(...(args as number[]))),
+  max: (...args) => (args.some(a => a === null) ? null : Math.max(...(args as number[]))),
+};
+
+const RULE_TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?)|'([^']*)'|"([^"]*)"|([A-Za-z_][A-Za-z0-9_]*)|(&&|\|\||==|!=|>=|<=|[-+*/()<>!,]))/y;
+
+const tokenizeRule = (text: string): RuleToken[] => {
+  const tokens: RuleToken[] = [];
+  RULE_TOKEN_PATTERN.lastIndex = 0;
+
+  while (RULE_TOKEN_PATTERN.lastIndex < text.length) {
+    if (/^\s*$/.test(text.slice(RULE_TOKEN_PATTERN.lastIndex))) break;
+
+    const start = RULE_TOKEN_PATTERN.lastIndex;
+    const match = RULE_TOKEN_PATTERN.exec(text);
+    if (!match) throw new Error(`Unexpected character at position ${start + 1}`);
+
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'string', value: match[2] });
+    else if (match[3] !== undefined) tokens.push({ type: 'string', value: match[3] });
+    else if (match[4] !== undefined) tokens.push({ type: 'name', value: match[4] });
+    else tokens.push({ type: 'op', value: match[5] });
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a rule condition - throws with a readable message on syntax errors
+ */
+export const parseRuleCondition = (text: string): RuleNode => {
+  const tokens = tokenizeRule(text);
+  let pos = 0;
+
+  const isOp = (...ops: string[]) => tokens[pos]?.type === 'op' && ops.includes(String(tokens[pos].value));
+  const expectOp = (op: string) => {
+    if (!isOp(op)) throw new Error(`Expected "${op}"`);
+    pos++;
+  };
+
+  const binary = (next: () => RuleNode, ops: string[]) => (): RuleNode => {
+    let node = next();
+    while (isOp(...ops)) {
+      const op = String(tokens[pos++].value);
+      node = { type: 'binary', op, left: node, right: next() };
+    }
+    return node;
+  };
+
+  const primary = (): RuleNode => {
+    const token = tokens[pos++];
+    if (!token) throw new Error('Unexpected end of condition');
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      if (token.value === 'true') return { type: 'literal', value: true };
+      if (token.value === 'false') return { type: 'literal', value: false };
+      if (token.value === 'null') return { type: 'literal', value: null };
+
+      if (isOp('(')) {
+        if (!Object.hasOwn(RULE_FUNCTIONS, token.value)) throw new Error(`Unknown function "${token.value}"`);
+        pos++;
+        const args: RuleNode[] = [];
+        if (!isOp(')')) {
+          args.push(or());
+          while (isOp(',')) {
+            pos++;
+            args.push(or());
+          }
+        }
+        expectOp(')');
+        return { type: 'call', name: token.value, args };
+      }
+
+      return { type: 'field', name: token.value };
+    }
+
+    if (token.value === '(') {
+      const node = or();
+      expectOp(')');
+      return node;
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const unary = (): RuleNode => {
+    if (isOp('!', '-')) {
+      const op = String(tokens[pos++].value);
+      return { type: 'unary', op, operand: unary() };
+    }
+    return primary();
+  };
+
+  const multiplicative = binary(unary, ['*', '/']);
+  const additive = binary(multiplicative, ['+', '-']);
+  const comparison = binary(additive, ['==', '!=', '>', '>=', '<', '<=']);
+  const and = binary(comparison, ['&&']);
+  const or = binary(and, ['||']);
+
+  const ast = or();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}"`);
+  return ast;
+};
+
+const ruleToNumber = (value: unknown): number | null => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+};
+
+const looselyEqual = (left: unknown, right: unknown): boolean =>
+  left === right || (ruleToNumber(left) !== null && ruleToNumber(left) === ruleToNumber(right));
+
+const evaluateRuleNode = (node: RuleNode, game: Record<string, unknown>): unknown => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'field':
+      return Object.hasOwn(game, node.name) && game[node.name] !== undefined ? game[node.name] : null;
+    case 'call':
+      return RULE_FUNCTIONS[node.name](...node.args.map(arg => ruleToNumber(evaluateRuleNode(arg, game))));
+    case 'unary': {
+      const value = evaluateRuleNode(node.operand, game);
+      if (node.op === '!') return !value;
+      const num = ruleToNumber(value);
+      return num === null ? null : -num;
+    }
+    case 'binary': {
+      if (node.op === '&&') return !!evaluateRuleNode(node.left, game) && !!evaluateRuleNode(node.right, game);
+      if (node.op === '||') return !!evaluateRuleNode(node.left, game) || !!evaluateRuleNode(node.right, game);
+
+      const left = evaluateRuleNode(node.left, game);
+      const right = evaluateRuleNode(node.right, game);
+
+      if (node.op === '==') return looselyEqual(left, right);
+      if (node.op === '!=') return !looselyEqual(left, right);
+
+      if (typeof left === 'string' && typeof right === 'string' && ['>', '>=', '<', '<='].includes(node.op)) {
+        if (node.op === '>') return left > right;
+        if (node.op === '>=') return left >= right;
+        if (node.op === '<') return left < right;
+        return left <= right;
+      }
+
+      const a = ruleToNumber(left);
+      const b = ruleToNumber(right);
+      if (a === null || b === null) {
+        return ['+', '-', '*', '/'].includes(node.op) ? null : false;
+      }
+
+      switch (node.op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return b === 0 ? null : a / b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: throw new Error(`Unknown operator "${node.op}"`);
+      }
+    }
+  }
+};
+
+/**
+ * True when the rule's condition matches the game (the rule fires)
+ */
+export const evaluateRuleCondition = (condition: string, game: Record<string, unknown>): boolean =>
+  !!evaluateRuleNode(parseRuleCondition(condition), game);
+
+export const formatRuleMessage = (message: string, game: Record<string, unknown>): string =>
+  (message || '').replace(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (_, field: string) => {
+    const value = Object.hasOwn(game, field) ? game[field] : undefined;
+    return value === undefined || value === null ? '-' : String(value);
+  });
+
+/**
+ * Run an entity's rules against a game. Rules that don't parse are returned
+ * as WARNING results with invalid = true.
+ */
+export function evaluateValidationRules(
+  rules: ValidationRuleDefinition[],
+  game: Record<string, unknown>
+): ValidationRuleResult[] {
+  const results: ValidationRuleResult[] = [];
+
+  for (const rule of rules) {
+    if (rule.enabled === false || !rule.condition) continue;
+
+    try {
+      if (!evaluateRuleCondition(rule.condition, game)) continue;
+      results.push({
+        ruleId: rule.id,
+        name: rule.name,
+        field: rule.field || '_rule',
+        severity: rule.severity,
+        message: formatRuleMessage(rule.message || rule.name, game),
+      });
+    } catch (err) {
+      results.push({
+        ruleId: rule.id,
+        name: rule.name,
+        field: rule.field || '_rule',
+        severity: 'WARNING',
+        message: `Rule "${rule.name}" could not be evaluated: ${err instanceof Error ? err.message : String(err)}`,
+        invalid: true,
+      });
+    }
+  }
+
+  return results;
+}
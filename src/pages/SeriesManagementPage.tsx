@@ -12,6 +12,7 @@ import {
 
 import { SeriesTitleManager } from '../components/series/SeriesTitleManager';
 import { SeriesInstanceManager } from '../components/series/SeriesInstanceManager';
+import { HolidayCalendarManager } from '../components/series/HolidayCalendarManager';
 
 import { Card } from '../components/ui/Card';
 import { Button } from '../components/ui/Button';
@@ -529,6 +530,13 @@ export const SeriesManagementPage = () => {
               </Card>
             </div>
           </div>
+
+          {/* ============ HOLIDAY CALENDAR (single entity) ============ */}
+          {selectedEntities.length === 1 && (
+            <div className="mt-8">
+              <HolidayCalendarManager entityId={selectedEntities[0].id} />
+            </div>
+          )}
         </>
       )}
     </>
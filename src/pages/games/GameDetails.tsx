@@ -106,6 +106,14 @@ const GET_GAME_QUERY = /* GraphQL */ `
       guaranteeOverlayCost
       gameProfit
       
+      # Payout Reconciliation
+      prizesPaidTotal
+      placesPaid
+      payoutReconciliationStatus
+      payoutReconciliationDelta
+      payoutTemplateId
+      payoutTemplateDeviation
+      
       # Jackpot & Accumulator
       hasJackpotContributions
       jackpotContributionAmount
@@ -183,6 +191,14 @@ const GET_GAME_QUERY = /* GraphQL */ `
       
       # Structure
       levels
+      blindStructureId
+      
+      # Entry Timeline
+      entryTimeline
+      lastEntryLevel
+      registrationClosedLevel
+      lateEntries
+      reEntryPrizepool
       
       # Data Source
       sourceUrl
@@ -1,6 +1,7 @@
 // src/pages/games/RecurringGamesManager.tsx
 // UPDATED: Added Admin tab for recurring game administration
 // UPDATED: Uses selectedEntities instead of currentEntity for consistency with GameManagement
+// UPDATED: Payout structure template per game (PayoutTemplateModal)
 
 import React, { useState, useEffect, useMemo } from 'react';
 import { 
@@ -10,6 +11,7 @@ import {
     CalendarIcon,
     Cog6ToothIcon,
     ListBulletIcon,
+    TrophyIcon,
 } from '@heroicons/react/24/outline';
 import { cx } from '../../lib/utils';
 import { useEntity } from '../../contexts/EntityContext';
@@ -21,6 +23,7 @@ import {
 } from '../../services/recurringGameService';
 import { RecurringGameForm } from '../../components/games/recurring-games/RecurringGameForm';
 import { RecurringGameAdmin } from '../../components/games/recurring-games/RecurringGameAdmin';
+import { PayoutTemplateModal } from '../../components/games/recurring-games/PayoutTemplateModal';
 import { formatCurrency } from '../../utils/generalHelpers';
 
 interface Venue {
@@ -48,6 +51,7 @@ export const RecurringGamesManager: React.FC<RecurringGamesManagerProps> = ({ ve
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [editingGame, setEditingGame] = useState<any | null>(null);
     const [isSubmitting, setIsSubmitting] = useState(false);
+    const [payoutGame, setPayoutGame] = useState<any | null>(null);
     
     // Filter State
     const [dayFilter, setDayFilter] = useState<string>('all');
@@ -391,6 +395,13 @@ export const RecurringGamesManager: React.FC<RecurringGamesManagerProps> = ({ ve
                                                         >
                                                             <PencilSquareIcon className="h-4 w-4" />
                                                         </button>
+                                                        <button 
+                                                            onClick={() => setPayoutGame(game)}
+                                                            className="text-amber-600 hover:text-amber-900 dark:text-amber-400 dark:hover:text-amber-300 mr-4"
+                                                            title="Payout structure"
+                                                        >
+                                                            <TrophyIcon className="h-4 w-4" />
+                                                        </button>
                                                         {game.isActive && (
                                                             <button 
                                                                 onClick={() => handleDeactivate(game.id)}
@@ -452,6 +463,12 @@ export const RecurringGamesManager: React.FC<RecurringGamesManagerProps> = ({ ve
                 currentEntityId={selectedEntities.length === 1 ? selectedEntities[0].id : undefined}
                 isSubmitting={isSubmitting}
             />
+
+            <PayoutTemplateModal
+                isOpen={!!payoutGame}
+                onClose={() => setPayoutGame(null)}
+                recurringGame={payoutGame}
+            />
         </div>
     );
 };
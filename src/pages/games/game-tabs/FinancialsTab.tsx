@@ -1,5 +1,6 @@
 // src/pages/games/game-tabs/FinancialsTab.tsx
 // Financials tab for GameDetails - Revenue, costs, and profit analysis
+// UPDATED: Payout reconciliation (paid prizes vs prizepool, payout template)
 // =============================================================================
 
 import { useMemo } from 'react';
@@ -12,12 +13,21 @@ import {
   CheckCircleIcon,
   ExclamationTriangleIcon,
   DocumentDuplicateIcon,
+  ScaleIcon,
 } from '@heroicons/react/24/outline';
 import { formatCurrency } from '../../../utils/generalHelpers';
 
 import { Game, GameCost, GameFinancialSnapshot } from '../../../API';
 import { SectionCard, DetailRow, StatCard } from './components';
 
+const RECONCILIATION_LABELS: Record<string, { label: string; className: string }> = {
+  BALANCED: { label: 'Balanced', className: 'bg-green-100 text-green-800' },
+  OVERPAID: { label: 'Overpaid', className: 'bg-red-100 text-red-800' },
+  UNDERPAID: { label: 'Underpaid', className: 'bg-red-100 text-red-800' },
+  NO_RESULTS: { label: 'No results', className: 'bg-gray-100 text-gray-700' },
+  NOT_CHECKED: { label: 'Not checked', className: 'bg-gray-100 text-gray-700' },
+};
+
 interface FinancialsTabProps {
   game: Game;
   gameCost?: GameCost | null;
@@ -129,6 +139,44 @@ export const FinancialsTab: React.FC<FinancialsTabProps> = ({
         </SectionCard>
       </div>
 
+      {/* Payout Reconciliation */}
+      {game.payoutReconciliationStatus && RECONCILIATION_LABELS[game.payoutReconciliationStatus] && (
+        <SectionCard
+          title="Payout Reconciliation"
+          icon={ScaleIcon}
+          headerAction={
+            <span className={`text-xs px-2 py-0.5 rounded ${RECONCILIATION_LABELS[game.payoutReconciliationStatus].className}`}>
+              {RECONCILIATION_LABELS[game.payoutReconciliationStatus].label}
+            </span>
+          }
+        >
+          {game.prizesPaidTotal != null ? (
+            <dl className="divide-y divide-gray-100">
+              <DetailRow label="Prizes Paid (results)" value={formatCurrency(game.prizesPaidTotal)} />
+              <DetailRow label="Places Paid" value={game.placesPaid} />
+              <DetailRow label="Expected Prizepool" value={formatCurrency(game.prizepoolCalculated)} />
+              <DetailRow
+                label="Difference"
+                value={formatCurrency(game.payoutReconciliationDelta)}
+                className={game.payoutReconciliationStatus === 'BALANCED' ? '' : 'font-semibold text-red-600'}
+              />
+              {game.payoutTemplateDeviation != null && (
+                <DetailRow
+                  label="Largest Gap from Payout Template"
+                  value={`${game.payoutTemplateDeviation} pts`}
+                />
+              )}
+            </dl>
+          ) : (
+            <p className="text-sm text-gray-500">
+              {game.payoutReconciliationStatus === 'NO_RESULTS'
+                ? 'No cash results were published for this game.'
+                : 'Reconciliation runs on finished tournaments paid in cash.'}
+            </p>
+          )}
+        </SectionCard>
+      )}
+
       {/* Jackpot & Accumulator Info */}
       {(game.hasJackpotContributions || game.hasAccumulatorTickets) && (
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -14,10 +14,13 @@ import {
   ListBulletIcon,
   InformationCircleIcon,
   LinkIcon,
+  ClockIcon,
 } from '@heroicons/react/24/outline';
 
 import { Game, TournamentStructure } from '../../../API';
 import { SectionCard, DetailRow, StatusBadge } from './components';
+import { formatCurrency } from '../../../utils/generalHelpers';
+import type { EntryTimelineMetadata } from '../../../types/enrichment';
 
 interface OverviewTabProps {
   game: Game;
@@ -54,6 +57,20 @@ export const OverviewTab: React.FC<OverviewTabProps> = ({ game, structure }) =>
 
   const displayLevels = structure?.levels || parsedLevels;
 
+  // Stored as { observations, summary } by the enricher's entryTimeline stage
+  const entryTimeline = useMemo((): EntryTimelineMetadata | null => {
+    if (!game.entryTimeline) return null;
+    try {
+      const parsed = typeof game.entryTimeline === 'string' ? JSON.parse(game.entryTimeline) : game.entryTimeline;
+      return parsed?.summary || null;
+    } catch {
+      return null;
+    }
+  }, [game.entryTimeline]);
+
+  const formatLevel = (level?: number | null) =>
+    level === null || level === undefined ? '-' : level === 0 ? 'Before start' : `Level ${level}`;
+
   return (
     <div className="space-y-6">
       {/* Core Info */}
@@ -164,7 +181,18 @@ export const OverviewTab: React.FC<OverviewTabProps> = ({ game, structure }) =>
 
       {/* Tournament Structure */}
       {displayLevels && displayLevels.length > 0 && (
-        <SectionCard title="Blind Structure" icon={ListBulletIcon}>
+        <SectionCard
+          title="Blind Structure"
+          icon={ListBulletIcon}
+          headerAction={game.blindStructureId && (
+            <Link
+              to={`/settings/blind-structures?structure=${game.blindStructureId}`}
+              className="text-sm text-indigo-600 hover:text-indigo-900"
+            >
+              Compare Structures →
+            </Link>
+          )}
+        >
           <div className="overflow-x-auto">
             <table className="min-w-full divide-y divide-gray-200 text-sm">
               <thead className="bg-gray-50">
@@ -199,6 +227,67 @@ export const OverviewTab: React.FC<OverviewTabProps> = ({ game, structure }) =>
         </SectionCard>
       )}
 
+      {/* Entry Timeline */}
+      {entryTimeline && entryTimeline.coverage !== 'PRE_START' && (
+        <SectionCard title="Entry Timeline" icon={ClockIcon}>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <dl className="divide-y divide-gray-100">
+              <DetailRow label="Entries at Start" value={entryTimeline.entriesAtStart ?? '-'} />
+              <DetailRow label="Late Entries" value={entryTimeline.lateEntries ?? '-'} />
+              <DetailRow label="Last Entry" value={formatLevel(entryTimeline.lastEntryLevel)} />
+              <DetailRow label="Registration Closed" value={formatLevel(entryTimeline.registrationClosedLevel)} />
+              <DetailRow
+                label="Re-entries"
+                value={entryTimeline.reEntryRate != null
+                  ? `${entryTimeline.reEntries} (${(entryTimeline.reEntryRate * 100).toFixed(0)}% of entries)`
+                  : entryTimeline.reEntries ?? '-'}
+              />
+              <DetailRow
+                label="Re-entry Prizepool"
+                value={entryTimeline.reEntryPrizepoolShare != null
+                  ? `${formatCurrency(entryTimeline.reEntryPrizepool)} (${(entryTimeline.reEntryPrizepoolShare * 100).toFixed(0)}%)`
+                  : formatCurrency(entryTimeline.reEntryPrizepool)}
+              />
+              {entryTimeline.guaranteeMetByReEntries && (
+                <DetailRow
+                  label="Guarantee"
+                  value={`Met only through re-entries (${formatCurrency(entryTimeline.guaranteeShortfallWithoutReEntries)} short without them)`}
+                />
+              )}
+            </dl>
+            {entryTimeline.byLevel && entryTimeline.byLevel.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">First Seen</th>
+                      <th className="px-3 py-2 text-right font-medium text-gray-500">Entries</th>
+                      <th className="px-3 py-2 text-right font-medium text-gray-500">New Players</th>
+                      <th className="px-3 py-2 text-right font-medium text-gray-500">Re-entries</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {entryTimeline.byLevel.map((row) => (
+                      <tr key={row.level} className="hover:bg-gray-50">
+                        <td className="px-3 py-2 text-gray-900">{formatLevel(row.level)}</td>
+                        <td className="px-3 py-2 text-gray-900 text-right">{row.entries}</td>
+                        <td className="px-3 py-2 text-gray-600 text-right">{row.newPlayers}</td>
+                        <td className="px-3 py-2 text-gray-600 text-right">{row.reEntries}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+          {entryTimeline.coverage === 'FINAL_ONLY' && (
+            <p className="text-xs text-gray-500 mt-3">
+              This game was not scraped while running, so entries can't be placed by level.
+            </p>
+          )}
+        </SectionCard>
+      )}
+
       {/* Tags & Metadata */}
       {(game.gameTags?.length || game.classificationSource || game.wasEdited) && (
         <SectionCard title="Metadata" icon={InformationCircleIcon}>
@@ -0,0 +1,470 @@
+// src/pages/players/Leaderboards.tsx
+// The entity's leaderboard programs (points races). Points are awarded as
+// results are processed; programs created or changed after games were
+// played can award those games from here. Standings can be downloaded or
+// shared through a public link.
+// VERSION: 1.0.0
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  ArrowDownTrayIcon,
+  ArrowPathIcon,
+  LinkIcon,
+  PencilSquareIcon,
+  PlusIcon,
+  TrashIcon,
+  TrophyIcon,
+} from '@heroicons/react/24/outline';
+
+import { PageWrapper } from '@/components/layout/PageWrapper';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import { cx } from '@/lib/utils';
+import { LeaderboardStandingsTable } from '@/components/players/LeaderboardStandingsTable';
+import { useEntity } from '@/contexts/EntityContext';
+import {
+  DEFAULT_FORMULA,
+  SCOPE_LABELS,
+  downloadStandings,
+  previewPoints,
+  shareUrl,
+  useLeaderboards,
+  type LeaderboardProgram,
+  type LeaderboardProgramInput,
+  type LeaderboardScope,
+  type LeaderboardStandings,
+} from '@/hooks/useLeaderboards';
+
+const FORMULA_FIELDS: { key: keyof typeof DEFAULT_FORMULA | 'maxPlacesPaid' | 'minRunners'; label: string; step: string }[] = [
+  { key: 'participationPoints', label: 'Points for playing', step: '1' },
+  { key: 'basePoints', label: 'Base points', step: '1' },
+  { key: 'fieldSizeExponent', label: 'Field size exponent', step: '0.1' },
+  { key: 'buyInExponent', label: 'Buy-in exponent', step: '0.1' },
+  { key: 'finishExponent', label: 'Finish exponent', step: '0.1' },
+  { key: 'maxPlacesPaid', label: 'Places scoring', step: '1' },
+  { key: 'minRunners', label: 'Minimum runners', step: '1' },
+];
+
+// Sample finishes for the formula preview
+const PREVIEW_FIELD = { runners: 50, buyIn: 100 };
+const PREVIEW_PLACES = [1, 2, 3, 10, 25];
+
+type FormState = Record<string, string | boolean>;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const toForm = (program: LeaderboardProgram | null): FormState => {
+  const form: FormState = {
+    name: program?.name || '',
+    description: program?.description || '',
+    scope: program?.scope || 'ENTITY',
+    scopeId: program?.scopeId || '',
+    startDate: program?.startDate || today(),
+    endDate: program?.endDate || '',
+    isActive: program?.isActive !== false,
+  };
+  FORMULA_FIELDS.forEach(({ key }) => {
+    const value = program ? program[key] : DEFAULT_FORMULA[key as keyof typeof DEFAULT_FORMULA];
+    form[key] = value != null ? String(value) : '';
+  });
+  return form;
+};
+
+const fromForm = (form: FormState): LeaderboardProgramInput => {
+  const number = (key: string) => (form[key] === '' ? null : Number(form[key]));
+  const scope = form.scope as LeaderboardScope;
+  const input: LeaderboardProgramInput = {
+    name: String(form.name).trim(),
+    description: String(form.description).trim() || null,
+    scope,
+    scopeId: scope === 'ENTITY' ? null : String(form.scopeId) || null,
+    startDate: String(form.startDate),
+    endDate: String(form.endDate) || null,
+    isActive: !!form.isActive,
+  };
+  FORMULA_FIELDS.forEach(({ key }) => {
+    input[key] = number(key);
+  });
+  return input;
+};
+
+const formatDate = (value?: string | null) => (value ? new Date(value).toLocaleDateString() : '-');
+
+export const Leaderboards: React.FC = () => {
+  const { currentEntity } = useEntity();
+  const entityId = currentEntity?.id;
+  const {
+    programs,
+    targets,
+    loading,
+    saving,
+    error,
+    refresh,
+    saveProgram,
+    deleteProgram,
+    setShared,
+    loadStandings,
+    awardPastGames,
+  } = useLeaderboards(entityId);
+
+  const [editing, setEditing] = useState<LeaderboardProgram | 'new' | null>(null);
+  const [form, setForm] = useState<FormState>({});
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [standings, setStandings] = useState<LeaderboardStandings | null>(null);
+  const [standingsLoading, setStandingsLoading] = useState(false);
+
+  const selected = programs.find(p => p.id === selectedId) || null;
+
+  useEffect(() => {
+    if (!selectedId && programs.length > 0) setSelectedId(programs[0].id);
+  }, [programs, selectedId]);
+
+  const reloadStandings = async (programId: string) => {
+    setStandingsLoading(true);
+    setStandings(await loadStandings(programId));
+    setStandingsLoading(false);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setStandings(null);
+    if (!selectedId) return;
+    setStandingsLoading(true);
+    loadStandings(selectedId).then(result => {
+      if (!cancelled) {
+        setStandings(result);
+        setStandingsLoading(false);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadStandings, selectedId]);
+
+  const targetName = useMemo(() => {
+    const names = new Map<string, string>();
+    Object.values(targets).forEach(list => list.forEach(target => names.set(target.id, target.name)));
+    return (program: LeaderboardProgramInput) =>
+      program.scope === 'ENTITY'
+        ? currentEntity?.entityName || SCOPE_LABELS.ENTITY
+        : names.get(program.scopeId || '') || 'Unknown';
+  }, [targets, currentEntity?.entityName]);
+
+  const openEditor = (program: LeaderboardProgram | 'new') => {
+    setForm(toForm(program === 'new' ? null : program));
+    setEditing(program);
+  };
+
+  const handleSave = async () => {
+    if (!editing) return;
+    const saved = await saveProgram(fromForm(form), editing === 'new' ? null : editing);
+    if (saved) {
+      setEditing(null);
+      setSelectedId(saved.id);
+      setNotice(editing === 'new'
+        ? 'Saved. New results score automatically - award past games to include earlier results.'
+        : 'Saved. Points already awarded are kept - changes apply to games processed from now on.');
+    }
+  };
+
+  const handleDelete = async (program: LeaderboardProgram) => {
+    if (!window.confirm(`Delete leaderboard "${program.name}"? Points already awarded stay on players' balances.`)) return;
+    if (await deleteProgram(program) && selectedId === program.id) setSelectedId(null);
+  };
+
+  const handleAward = async (program: LeaderboardProgram) => {
+    const message = await awardPastGames(program.id);
+    if (message) setNotice(message);
+  };
+
+  const handleShare = async (program: LeaderboardProgram) => {
+    if (program.shareToken) {
+      if (!window.confirm('Stop sharing? The current link will stop working.')) return;
+      await setShared(program, false);
+      return;
+    }
+    await setShared(program, true);
+  };
+
+  const copyLink = async (shareToken: string) => {
+    await navigator.clipboard.writeText(shareUrl(shareToken));
+    setNotice('Link copied.');
+  };
+
+  const setField = (key: string, value: string | boolean) => setForm(prev => ({ ...prev, [key]: value }));
+
+  if (!entityId) {
+    return (
+      <PageWrapper title="Leaderboards">
+        <p className="text-sm text-gray-500">Select an entity to manage its leaderboards.</p>
+      </PageWrapper>
+    );
+  }
+
+  const formScope = form.scope as LeaderboardScope;
+  const formTargets = formScope && formScope !== 'ENTITY' ? targets[formScope] : [];
+  const formValid = !!String(form.name).trim() && !!form.startDate && (formScope === 'ENTITY' || !!form.scopeId);
+
+  return (
+    <PageWrapper title="Leaderboards">
+      <div className="space-y-6">
+        {notice && (
+          <div className="p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">{notice}</div>
+        )}
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <Card>
+          <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50 flex items-center gap-2">
+                <TrophyIcon className="w-4 h-4 text-gray-500" />
+                Programs
+              </h3>
+              <p className="text-xs text-gray-500 mt-1">
+                Each program scores the games in its scope and date window. A game can count towards several programs.
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <Button variant="ghost" size="sm" onClick={refresh} disabled={loading}>
+                <ArrowPathIcon className={cx('w-4 h-4', loading && 'animate-spin')} />
+              </Button>
+              <Button size="sm" onClick={() => openEditor('new')} disabled={saving}>
+                <PlusIcon className="w-4 h-4 mr-1" />
+                Add
+              </Button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            {programs.length === 0 ? (
+              <p className="p-4 text-sm text-gray-500">{loading ? 'Loading...' : 'No leaderboards yet.'}</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Leaderboard</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Scope</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Dates</th>
+                    <th className="px-3 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {programs.map(program => (
+                    <tr
+                      key={program.id}
+                      onClick={() => setSelectedId(program.id)}
+                      className={cx(
+                        'cursor-pointer',
+                        program.id === selectedId && 'bg-indigo-50',
+                        program.isActive === false && 'opacity-50'
+                      )}
+                    >
+                      <td className="px-3 py-2">
+                        <span className="font-medium text-gray-900">{program.name}</span>
+                        {program.isActive === false && <span className="ml-2 text-xs text-gray-500">(off)</span>}
+                        {program.shareToken && <LinkIcon className="inline w-3 h-3 ml-2 text-gray-400" />}
+                        {program.description && <p className="text-xs text-gray-500">{program.description}</p>}
+                      </td>
+                      <td className="px-3 py-2 text-gray-600">
+                        {program.scope === 'ENTITY' ? SCOPE_LABELS.ENTITY : `${SCOPE_LABELS[program.scope]}: ${targetName(program)}`}
+                      </td>
+                      <td className="px-3 py-2 text-gray-600 whitespace-nowrap">
+                        {formatDate(program.startDate)} – {program.endDate ? formatDate(program.endDate) : 'ongoing'}
+                      </td>
+                      <td className="px-3 py-2 text-right whitespace-nowrap" onClick={e => e.stopPropagation()}>
+                        <Button variant="ghost" size="sm" onClick={() => openEditor(program)} disabled={saving}>
+                          <PencilSquareIcon className="w-4 h-4" />
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => handleDelete(program)} disabled={saving}>
+                          <TrashIcon className="w-4 h-4" />
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </Card>
+
+        {selected && (
+          <Card>
+            <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <div>
+                <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50">{selected.name} standings</h3>
+                <p className="text-xs text-gray-500 mt-1">
+                  {standings ? `Updated ${new Date(standings.generatedAt).toLocaleString()}` : 'Points awarded so far'}
+                </p>
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <Button variant="ghost" size="sm" onClick={() => reloadStandings(selected.id)} disabled={standingsLoading}>
+                  <ArrowPathIcon className={cx('w-4 h-4', standingsLoading && 'animate-spin')} />
+                </Button>
+                <Button variant="secondary" size="sm" onClick={() => handleAward(selected)} disabled={saving}>
+                  Award past games
+                </Button>
+                <Button variant="secondary" size="sm" onClick={() => handleShare(selected)} disabled={saving}>
+                  {selected.shareToken ? 'Stop sharing' : 'Share'}
+                </Button>
+                {selected.shareToken && (
+                  <Button variant="secondary" size="sm" onClick={() => copyLink(selected.shareToken as string)}>
+                    <LinkIcon className="w-4 h-4 mr-1" />
+                    Copy link
+                  </Button>
+                )}
+                {standings && (
+                  <>
+                    <Button variant="ghost" size="sm" onClick={() => downloadStandings(standings, 'csv')}>
+                      <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+                      CSV
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => downloadStandings(standings, 'json')}>
+                      <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+                      JSON
+                    </Button>
+                  </>
+                )}
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              {!standings || standings.standings.length === 0 ? (
+                <p className="p-4 text-sm text-gray-500">{standingsLoading ? 'Loading...' : 'No points awarded yet.'}</p>
+              ) : (
+                <LeaderboardStandingsTable standings={standings} />
+              )}
+            </div>
+          </Card>
+        )}
+      </div>
+
+      <Modal
+        isOpen={!!editing}
+        onClose={() => setEditing(null)}
+        title={editing === 'new' ? 'Add leaderboard' : 'Edit leaderboard'}
+        maxWidth="lg"
+      >
+        {editing && (
+          <div className="space-y-4">
+            <label className="block text-sm text-gray-700">
+              Name
+              <input
+                type="text"
+                value={String(form.name)}
+                onChange={e => setField('name', e.target.value)}
+                className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Description
+              <input
+                type="text"
+                value={String(form.description)}
+                onChange={e => setField('description', e.target.value)}
+                className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+              />
+            </label>
+
+            <div className="grid grid-cols-2 gap-3">
+              <label className="block text-sm text-gray-700">
+                Scope
+                <select
+                  value={String(form.scope)}
+                  onChange={e => setForm(prev => ({ ...prev, scope: e.target.value, scopeId: '' }))}
+                  className="mt-1 w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md"
+                >
+                  {(Object.keys(SCOPE_LABELS) as LeaderboardScope[]).map(scope => (
+                    <option key={scope} value={scope}>{SCOPE_LABELS[scope]}</option>
+                  ))}
+                </select>
+              </label>
+              {formScope !== 'ENTITY' && (
+                <label className="block text-sm text-gray-700">
+                  {SCOPE_LABELS[formScope]}
+                  <select
+                    value={String(form.scopeId)}
+                    onChange={e => setField('scopeId', e.target.value)}
+                    className="mt-1 w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md"
+                  >
+                    <option value="">Select...</option>
+                    {formTargets.map(target => (
+                      <option key={target.id} value={target.id}>{target.name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <label className="block text-sm text-gray-700">
+                From
+                <input
+                  type="date"
+                  value={String(form.startDate)}
+                  onChange={e => setField('startDate', e.target.value)}
+                  className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                />
+              </label>
+              <label className="block text-sm text-gray-700">
+                To (empty for ongoing)
+                <input
+                  type="date"
+                  value={String(form.endDate)}
+                  onChange={e => setField('endDate', e.target.value)}
+                  className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                />
+              </label>
+            </div>
+
+            <div className="space-y-2">
+              <p className="text-xs text-gray-500">
+                Points = playing points + base × runners<sup>field</sup> × buy-in<sup>buy-in</sup> ÷ place<sup>finish</sup>,
+                rounded. Leave places scoring or minimum runners empty for no limit.
+              </p>
+              <div className="grid grid-cols-2 gap-3">
+                {FORMULA_FIELDS.map(({ key, label, step }) => (
+                  <label key={key} className="block text-sm text-gray-700">
+                    {label}
+                    <input
+                      type="number"
+                      step={step}
+                      min="0"
+                      value={String(form[key])}
+                      onChange={e => setField(key, e.target.value)}
+                      className="mt-1 w-full px-3 py-1.5 text-sm border border-gray-300 rounded-md"
+                    />
+                  </label>
+                ))}
+              </div>
+              <p className="text-xs text-gray-500">
+                {PREVIEW_FIELD.runners} runners, ${PREVIEW_FIELD.buyIn} buy-in:{' '}
+                {PREVIEW_PLACES
+                  .map(place => `${place}${place === 1 ? 'st' : place === 2 ? 'nd' : place === 3 ? 'rd' : 'th'} ${previewPoints(fromForm(form), { place, ...PREVIEW_FIELD })}`)
+                  .join(' · ')}
+              </p>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={!!form.isActive} onChange={e => setField('isActive', e.target.checked)} />
+              Active
+            </label>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+              <Button onClick={handleSave} disabled={saving || !formValid}>
+                {saving ? 'Saving...' : 'Save'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </PageWrapper>
+  );
+};
+
+export default Leaderboards;
@@ -13,6 +13,7 @@ import {
 } from '@heroicons/react/24/outline';
 import { format } from 'date-fns';
 import { formatCurrency } from '../../utils/generalHelpers';
+import { PlayerCreditsLedger } from '../../components/players/PlayerCreditsLedger';
 
 
 interface PlayerData {
@@ -33,7 +34,7 @@ export const PlayerProfile = () => {
   const [loading, setLoading] = useState(true);
   const [playerData, setPlayerData] = useState<PlayerData | null>(null);
   const [error, setError] = useState<string | null>(null);
-  const [activeTab, setActiveTab] = useState<'overview' | 'games' | 'transactions' | 'rewards'>('overview');
+  const [activeTab, setActiveTab] = useState<'overview' | 'games' | 'transactions' | 'credits' | 'rewards'>('overview');
 
   useEffect(() => {
     if (playerId) {
@@ -60,6 +61,8 @@ export const PlayerProfile = () => {
               registrationDate
               lastPlayedDate
               targetingClassification
+              status
+              mergedIntoPlayerId
               creditBalance
               pointsBalance
               registrationVenue {
@@ -95,6 +98,13 @@ export const PlayerProfile = () => {
                 totalBuyIns
                 netBalance
                 lastPlayed
+                totalRake
+                biggestCash
+                biggestCashGameId
+                averageFinishPercentile
+                itmPercentage
+                roi
+                lifetimeValue
               }
             }
           }
@@ -214,6 +224,11 @@ export const PlayerProfile = () => {
     }
   };
 
+  const formatPercent = (value?: number | null, signed = false) => {
+    if (value === null || value === undefined) return '-';
+    return `${signed && value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+  };
+
   const calculateROI = (winnings: number, buyIns: number) => {
     if (buyIns === 0) return '0%';
     const roi = ((winnings - buyIns) / buyIns) * 100;
@@ -261,6 +276,18 @@ export const PlayerProfile = () => {
         </button>
       }
     >
+      {player.status === 'MERGED' && player.mergedIntoPlayerId && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6 text-sm text-yellow-800">
+          This player was merged into another player.{' '}
+          <button
+            onClick={() => navigate(`/players/profile/${player.mergedIntoPlayerId}`)}
+            className="font-medium text-indigo-600 hover:text-indigo-900"
+          >
+            View merged player →
+          </button>
+        </div>
+      )}
+
       {/* Player Header */}
       <div className="bg-white shadow rounded-lg mb-6">
         <div className="px-6 py-5">
@@ -353,6 +380,7 @@ export const PlayerProfile = () => {
               { id: 'overview', label: 'Overview' },
               { id: 'games', label: 'Game History' },
               { id: 'transactions', label: 'Transactions' },
+              { id: 'credits', label: 'Credits' },
               { id: 'rewards', label: 'Rewards' }
             ].map((tab) => (
               <button
@@ -374,6 +402,48 @@ export const PlayerProfile = () => {
         <div className="p-6">
           {activeTab === 'overview' && (
             <div className="space-y-6">
+              {/* Player economics */}
+              {summary && (
+                <div>
+                  <h3 className="text-lg font-medium mb-3">Player Economics</h3>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    {[
+                      { label: 'Total Buy-ins', value: formatCurrency(summary.totalBuyIns || 0) },
+                      { label: 'Cashes', value: summary.tournamentsCashed ?? 0, detail: `${formatCurrency(summary.totalWinnings || 0)} won` },
+                      { label: 'ITM', value: formatPercent(summary.itmPercentage) },
+                      { label: 'ROI', value: formatPercent(summary.roi, true) },
+                      {
+                        label: 'Average Finish',
+                        value: summary.averageFinishPercentile != null ? `Top ${summary.averageFinishPercentile.toFixed(0)}%` : '-',
+                        detail: 'of the field'
+                      },
+                      {
+                        label: 'Biggest Score',
+                        value: summary.biggestCash ? formatCurrency(summary.biggestCash) : '-',
+                        link: summary.biggestCashGameId ? `/games/details/${summary.biggestCashGameId}` : null
+                      },
+                      { label: 'Rake Contributed', value: formatCurrency(summary.totalRake || 0) },
+                      { label: 'Est. Lifetime Value', value: formatCurrency(summary.lifetimeValue || 0), detail: 'Rake to date + next 12 months' }
+                    ].map((stat) => (
+                      <div key={stat.label} className="border rounded-lg p-4">
+                        <p className="text-sm text-gray-500">{stat.label}</p>
+                        {stat.link ? (
+                          <button
+                            onClick={() => navigate(stat.link!)}
+                            className="text-xl font-bold text-indigo-600 hover:text-indigo-800"
+                          >
+                            {stat.value}
+                          </button>
+                        ) : (
+                          <p className="text-xl font-bold">{stat.value}</p>
+                        )}
+                        {stat.detail && <p className="text-xs text-gray-500">{stat.detail}</p>}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Venues */}
               <div>
                 <h3 className="text-lg font-medium mb-3">Venues Played</h3>
@@ -442,6 +512,8 @@ export const PlayerProfile = () => {
             <div className="text-gray-500">Transaction history coming soon...</div>
           )}
 
+          {activeTab === 'credits' && <PlayerCreditsLedger playerId={player.id} />}
+
           {activeTab === 'rewards' && (
             <div className="text-gray-500">Rewards and tickets coming soon...</div>
           )}
@@ -52,6 +52,7 @@ export const PlayerSearch = () => {
           query SearchPlayers($searchTerm: String!) {
             listPlayers(
               filter: {
+                status: { ne: MERGED }
                 or: [
                   { firstName: { contains: $searchTerm } },
                   { lastName: { contains: $searchTerm } }
@@ -2,7 +2,7 @@
 // Players Dashboard - Shows ALL activity across ALL entities (no filtering)
 // FIXED VERSION - Corrected imports and enum values
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { generateClient } from 'aws-amplify/api';
 import type { GraphQLResult } from '@aws-amplify/api';
 import { PageWrapper } from '../../components/layout/PageWrapper';
@@ -90,6 +90,13 @@ const LIST_PLAYERS_WITH_DETAILS = /* GraphQL */ `
           totalWinnings
           totalBuyIns
           lastPlayed
+          tournamentsCashed
+          itmPercentage
+          roi
+          averageFinishPercentile
+          biggestCash
+          totalRake
+          lifetimeValue
         }
         playerVenues(limit: 5) {
           items {
@@ -170,6 +177,21 @@ const LIST_TOP_PLAYERS = /* GraphQL */ `
   }
 `;
 
+// Sort options for the player list - applied to the players loaded so far
+type PlayerSortKey = 'lastPlayed' | 'lifetimeValue' | 'roi' | 'itmPercentage' | 'totalBuyIns' | 'totalRake' | 'biggestCash' | 'averageFinishPercentile' | 'gamesPlayed';
+
+const PLAYER_SORT_OPTIONS: { value: PlayerSortKey; label: string; getValue: (player: PlayerWithRelationships) => number | null; ascending?: boolean }[] = [
+  { value: 'lastPlayed', label: 'Last played', getValue: (p) => (p.playerSummary?.lastPlayed ? new Date(p.playerSummary.lastPlayed).getTime() : null) },
+  { value: 'lifetimeValue', label: 'Lifetime value', getValue: (p) => p.playerSummary?.lifetimeValue ?? null },
+  { value: 'roi', label: 'ROI', getValue: (p) => p.playerSummary?.roi ?? null },
+  { value: 'itmPercentage', label: 'ITM %', getValue: (p) => p.playerSummary?.itmPercentage ?? null },
+  { value: 'totalBuyIns', label: 'Total buy-ins', getValue: (p) => p.playerSummary?.totalBuyIns ?? null },
+  { value: 'totalRake', label: 'Rake contributed', getValue: (p) => p.playerSummary?.totalRake ?? null },
+  { value: 'biggestCash', label: 'Biggest score', getValue: (p) => p.playerSummary?.biggestCash ?? null },
+  { value: 'averageFinishPercentile', label: 'Average finish', getValue: (p) => p.playerSummary?.averageFinishPercentile ?? null, ascending: true },
+  { value: 'gamesPlayed', label: 'Games played', getValue: (p) => p.playerSummary?.gamesPlayedAllTime ?? null }
+];
+
 export const PlayersDashboard: React.FC = () => {
   const client = generateClient();
   
@@ -178,6 +200,7 @@ export const PlayersDashboard: React.FC = () => {
   const [error, setError] = useState<string | null>(null);
   const [nextToken, setNextToken] = useState<string | null>(null);
   const [selectedStatus, setSelectedStatus] = useState<PlayerAccountStatus | 'ALL'>('ALL');
+  const [sortBy, setSortBy] = useState<PlayerSortKey>('lastPlayed');
   
   // Statistics across ALL entities
   const [stats, setStats] = useState({
@@ -316,6 +339,19 @@ export const PlayersDashboard: React.FC = () => {
     });
   };
 
+  // Players without the figure always sort last
+  const sortedPlayers = useMemo(() => {
+    const option = PLAYER_SORT_OPTIONS.find(o => o.value === sortBy) || PLAYER_SORT_OPTIONS[0];
+    return [...players].sort((a, b) => {
+      const aValue = option.getValue(a);
+      const bValue = option.getValue(b);
+      if (aValue === null && bValue === null) return 0;
+      if (aValue === null) return 1;
+      if (bValue === null) return -1;
+      return option.ascending ? aValue - bValue : bValue - aValue;
+    });
+  }, [players, sortBy]);
+
   const loadMore = () => {
     if (nextToken) {
       fetchPlayers(nextToken);
@@ -506,13 +542,28 @@ export const PlayersDashboard: React.FC = () => {
           {/* Player List - 2/3 width */}
           <div className="lg:col-span-2">
             <div className="bg-white shadow overflow-hidden sm:rounded-md">
-              <div className="px-4 py-5 sm:px-6 border-b border-gray-200">
-                <h3 className="text-lg leading-6 font-medium text-gray-900">
-                  All Players
-                </h3>
-                <p className="mt-1 text-sm text-gray-500">
-                  Showing {selectedStatus === 'ALL' ? 'all' : selectedStatus.toLowerCase()} players across all entities
-                </p>
+              <div className="px-4 py-5 sm:px-6 border-b border-gray-200 sm:flex sm:items-start sm:justify-between">
+                <div>
+                  <h3 className="text-lg leading-6 font-medium text-gray-900">
+                    All Players
+                  </h3>
+                  <p className="mt-1 text-sm text-gray-500">
+                    Showing {selectedStatus === 'ALL' ? 'all' : selectedStatus.toLowerCase()} players across all entities
+                  </p>
+                </div>
+                <div className="mt-3 sm:mt-0">
+                  <label htmlFor="player-sort" className="sr-only">Sort players</label>
+                  <select
+                    id="player-sort"
+                    value={sortBy}
+                    onChange={(e) => setSortBy(e.target.value as PlayerSortKey)}
+                    className="block w-full pl-3 pr-10 py-2 text-sm border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 rounded-md"
+                  >
+                    {PLAYER_SORT_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>Sort: {option.label}</option>
+                    ))}
+                  </select>
+                </div>
               </div>
 
               {loading && players.length === 0 ? (
@@ -526,7 +577,7 @@ export const PlayersDashboard: React.FC = () => {
               ) : (
                 <>
                   <ul className="divide-y divide-gray-200">
-                    {players.map(player => {
+                    {sortedPlayers.map(player => {
                       const status = formatStatus(player.status);
                       const category = formatCategory(player.category);
                       return (
@@ -567,6 +618,13 @@ export const PlayersDashboard: React.FC = () => {
                               <p className={`text-sm ${(player.playerSummary?.netBalance || 0) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
                                 ${Math.abs(player.playerSummary?.netBalance || 0).toLocaleString()}
                               </p>
+                              {player.playerSummary?.lifetimeValue != null && (
+                                <p className="text-xs text-gray-500 mt-1">
+                                  LTV ${Math.round(player.playerSummary.lifetimeValue).toLocaleString()}
+                                  {player.playerSummary.roi != null && ` • ROI ${player.playerSummary.roi > 0 ? '+' : ''}${player.playerSummary.roi.toFixed(1)}%`}
+                                  {player.playerSummary.itmPercentage != null && ` • ITM ${player.playerSummary.itmPercentage.toFixed(0)}%`}
+                                </p>
+                              )}
                               {player.playerSummary?.lastPlayed && (
                                 <p className="text-xs text-gray-500 mt-1">
                                   Last: {new Date(player.playerSummary.lastPlayed).toLocaleDateString()}
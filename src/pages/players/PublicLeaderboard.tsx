@@ -0,0 +1,87 @@
+// src/pages/players/PublicLeaderboard.tsx
+// Standings behind a leaderboard share link (/leaderboard/:shareToken).
+// Public - no sign-in; the link stops working when sharing is turned off.
+// VERSION: 1.0.0
+
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { ArrowDownTrayIcon, TrophyIcon } from '@heroicons/react/24/outline';
+
+import { Button } from '@/components/ui/Button';
+import { LeaderboardStandingsTable } from '@/components/players/LeaderboardStandingsTable';
+import {
+  downloadStandings,
+  fetchPublicLeaderboard,
+  type LeaderboardStandings,
+} from '@/hooks/useLeaderboards';
+
+export const PublicLeaderboard: React.FC = () => {
+  const { shareToken } = useParams<{ shareToken: string }>();
+  const [standings, setStandings] = useState<LeaderboardStandings | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!shareToken) return;
+    let cancelled = false;
+    fetchPublicLeaderboard(shareToken)
+      .then(result => {
+        if (!cancelled) setStandings(result);
+      })
+      .catch(err => {
+        console.error('[PublicLeaderboard] Error:', err);
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Leaderboard not found');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [shareToken]);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-4">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+        {!standings && !error && <p className="text-sm text-gray-500">Loading...</p>}
+
+        {standings && (
+          <>
+            <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-3">
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+                  <TrophyIcon className="w-6 h-6 text-indigo-600" />
+                  {standings.programName}
+                </h1>
+                <p className="text-sm text-gray-500 mt-1">
+                  {new Date(standings.startDate).toLocaleDateString()} –{' '}
+                  {standings.endDate ? new Date(standings.endDate).toLocaleDateString() : 'ongoing'}
+                  {' · '}Updated {new Date(standings.generatedAt).toLocaleString()}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <Button variant="secondary" size="sm" onClick={() => downloadStandings(standings, 'csv')}>
+                  <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+                  CSV
+                </Button>
+                <Button variant="secondary" size="sm" onClick={() => downloadStandings(standings, 'json')}>
+                  <ArrowDownTrayIcon className="w-4 h-4 mr-1" />
+                  JSON
+                </Button>
+              </div>
+            </div>
+
+            <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+              {standings.standings.length === 0 ? (
+                <p className="p-4 text-sm text-gray-500">No points awarded yet.</p>
+              ) : (
+                <LeaderboardStandingsTable standings={standings} />
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PublicLeaderboard;
@@ -1,12 +1,14 @@
 // src/pages/scraper-admin-tabs/AnalyticsTab.tsx
 // Analytics Tab - UPDATED with graceful error handling
+// Structure drift alerts (ScrapeDriftAlert) for the current entity
+// Fetch provider cost / success rate from ScrapeAttempt for the current entity
 
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { generateClient } from 'aws-amplify/api';
 import {
     Activity, AlertTriangle,
     Clock, XCircle, BarChart,
-    Eye, RefreshCw, Download, Info
+    Eye, RefreshCw, Download, Info, Layers, CheckCircle, Network
 } from 'lucide-react';
 import {
     analyzeScraperPerformance,
@@ -18,6 +20,16 @@ import {
     searchScrapeURLs 
 } from '../../graphql/queries';
 import type { ScraperJob, ScrapeURL } from '../../API';
+import { useEntity } from '../../contexts/EntityContext';
+import { useScrapeDriftAlerts } from '../../hooks/scraper/useScrapeDriftAlerts';
+import { useFetchProviderStats } from '../../hooks/scraper/useFetchProviderStats';
+
+const TIME_RANGE_MS: Record<'1h' | '24h' | '7d' | '30d', number> = {
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000,
+};
 
 // ===================================================================
 // Analytics Tab Component
@@ -36,6 +48,26 @@ export const AnalyticsTab: React.FC = () => {
     const [issuesList, setIssuesList] = useState<any[]>([]);
     const [recommendations, setRecommendations] = useState<string[]>([]);
     
+    // Structure drift alerts (webScraperFunction structure-drift.js)
+    const { currentEntity } = useEntity();
+    const {
+        alerts: driftAlerts,
+        openAlerts: openDriftAlerts,
+        refresh: refreshDriftAlerts,
+        acknowledge: acknowledgeDriftAlert,
+    } = useScrapeDriftAlerts(currentEntity?.id);
+    
+    // Fetch provider usage (webScraperFunction fetch/providers.js)
+    const providerStatsSince = useMemo(
+        () => new Date(Date.now() - TIME_RANGE_MS[timeRange]).toISOString(),
+        [timeRange]
+    );
+    const {
+        stats: providerStats,
+        totals: providerTotals,
+        refresh: refreshProviderStats,
+    } = useFetchProviderStats(currentEntity?.id, providerStatsSince);
+    
     // ===================================================================
     // Load Analytics Data
     // ===================================================================
@@ -157,7 +189,7 @@ export const AnalyticsTab: React.FC = () => {
     
     const handleRefresh = async () => {
         setRefreshing(true);
-        await loadAnalytics();
+        await Promise.all([loadAnalytics(), refreshDriftAlerts(), refreshProviderStats()]);
         setRefreshing(false);
     };
     
@@ -172,7 +204,9 @@ export const AnalyticsTab: React.FC = () => {
             metrics: systemMetrics,
             performance: performanceData,
             issues: issuesList,
-            recommendations
+            recommendations,
+            driftAlerts,
+            fetchProviders: { totals: providerTotals, providers: providerStats }
         };
         
         // Create downloadable JSON
@@ -218,7 +252,18 @@ export const AnalyticsTab: React.FC = () => {
             <div className="bg-white rounded-lg shadow p-6">
                 <div className="flex justify-between items-center mb-6">
                     <div>
-                        <h2 className="text-xl font-semibold">Scraper Analytics</h2>
+                        <div className="flex items-center gap-2">
+                            <h2 className="text-xl font-semibold">Scraper Analytics</h2>
+                            {openDriftAlerts.length > 0 && (
+                                <span
+                                    className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-700"
+                                    title="Unacknowledged structure drift alerts"
+                                >
+                                    <Layers className="h-3 w-3" />
+                                    {openDriftAlerts.length} drift {openDriftAlerts.length === 1 ? 'alert' : 'alerts'}
+                                </span>
+                            )}
+                        </div>
                         <p className="text-sm text-gray-500">Performance insights and recommendations</p>
                     </div>
                     <div className="flex items-center gap-2">
@@ -343,6 +388,130 @@ export const AnalyticsTab: React.FC = () => {
                 </div>
             </div>
             
+            {/* Structure Drift Alerts */}
+            {driftAlerts.length > 0 && (
+                <div className={`bg-white p-6 rounded-lg shadow-sm border ${openDriftAlerts.length > 0 ? 'border-red-200' : ''}`}>
+                    <div className="flex items-center gap-2 mb-1">
+                        <Layers className={`h-5 w-5 ${openDriftAlerts.length > 0 ? 'text-red-600' : 'text-gray-500'}`} />
+                        <h3 className="text-lg font-semibold">Structure Drift</h3>
+                        {currentEntity?.entityName && (
+                            <span className="text-sm text-gray-500">- {currentEntity.entityName}</span>
+                        )}
+                    </div>
+                    <p className="text-xs text-gray-500 mb-4">
+                        New page layouts, or fields the parser has stopped finding. Check the example page and update the parser selectors if needed.
+                    </p>
+                    <div className="space-y-2">
+                        {driftAlerts.slice(0, 20).map((alert) => (
+                            <div
+                                key={alert.id}
+                                className={`flex items-start gap-3 p-3 rounded ${alert.acknowledged ? 'bg-gray-50' : 'bg-red-50'}`}
+                            >
+                                <div className="mt-1">
+                                    <div className={`h-2 w-2 rounded-full ${
+                                        alert.acknowledged ? 'bg-gray-400' :
+                                        alert.alertType === 'FIELD_MISSING' ? 'bg-red-500' :
+                                        'bg-yellow-500'
+                                    }`} />
+                                </div>
+                                <div className="flex-1 min-w-0">
+                                    <p className="font-medium text-sm">
+                                        {alert.alertType === 'FIELD_MISSING'
+                                            ? `"${alert.missingField}" missing for ${alert.consecutiveMisses} consecutive scrapes`
+                                            : 'New page structure'}
+                                    </p>
+                                    <p className="text-xs text-gray-600 mt-1 truncate">
+                                        {alert.structureLabel || alert.fingerprint}
+                                        {alert.tournamentId ? ` · Tournament ${alert.tournamentId}` : ''}
+                                    </p>
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        {new Date(alert.detectedAt).toLocaleString()}
+                                        {alert.exampleUrl && (
+                                            <>
+                                                {' · '}
+                                                <a href={alert.exampleUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+                                                    Example page
+                                                </a>
+                                            </>
+                                        )}
+                                    </p>
+                                </div>
+                                {alert.acknowledged ? (
+                                    <span className="flex items-center gap-1 text-xs text-gray-500">
+                                        <CheckCircle className="h-3 w-3" />
+                                        Acknowledged
+                                    </span>
+                                ) : (
+                                    <button
+                                        onClick={() => acknowledgeDriftAlert(alert.id)}
+                                        className="px-2 py-1 text-xs bg-white border border-gray-300 rounded hover:bg-gray-100"
+                                    >
+                                        Acknowledge
+                                    </button>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+            
+            {/* Fetch Providers */}
+            {providerStats.length > 0 && (
+                <div className="bg-white p-6 rounded-lg shadow-sm border">
+                    <div className="flex items-center gap-2 mb-1">
+                        <Network className="h-5 w-5 text-teal-600" />
+                        <h3 className="text-lg font-semibold">Fetch Providers</h3>
+                        {currentEntity?.entityName && (
+                            <span className="text-sm text-gray-500">- {currentEntity.entityName}</span>
+                        )}
+                    </div>
+                    <p className="text-xs text-gray-500 mb-4">
+                        {providerTotals.liveFetches} live fetches, {providerTotals.failovers} needed failover,
+                        total cost ${providerTotals.totalCost.toFixed(4)}. Provider order is set per entity in Settings.
+                    </p>
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Provider</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Requests</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Success Rate</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Blocked</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Timeouts</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Pages Served</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Avg Time</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost</th>
+                                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost / Success</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-100">
+                                {providerStats.map((row) => (
+                                    <tr key={row.provider}>
+                                        <td className="px-3 py-2 font-medium">{row.provider}</td>
+                                        <td className="px-3 py-2 text-right">{row.requests}</td>
+                                        <td className={`px-3 py-2 text-right ${
+                                            row.successRate >= 90 ? 'text-green-600' :
+                                            row.successRate >= 60 ? 'text-yellow-600' :
+                                            'text-red-600'
+                                        }`}>
+                                            {row.successRate.toFixed(1)}%
+                                        </td>
+                                        <td className="px-3 py-2 text-right">{row.botBlocked}</td>
+                                        <td className="px-3 py-2 text-right">{row.timeouts}</td>
+                                        <td className="px-3 py-2 text-right">{row.pagesServed}</td>
+                                        <td className="px-3 py-2 text-right">{(row.avgDurationMs / 1000).toFixed(1)}s</td>
+                                        <td className="px-3 py-2 text-right">${row.totalCost.toFixed(4)}</td>
+                                        <td className="px-3 py-2 text-right">
+                                            {row.costPerSuccess !== null ? `$${row.costPerSuccess.toFixed(5)}` : '—'}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+            
             {/* Performance Trends */}
             {performanceData.length > 0 && (
                 <div className="bg-white p-6 rounded-lg shadow-sm border">
@@ -29,6 +29,7 @@ import {
 import { TimeRange, type S3Storage, ModelSortDirection } from '../../API';
 // --- ENHANCEMENT: Corrected import to useEntityContext ---
 import { useEntity } from '../../contexts/EntityContext';
+import { BulkReparsePanel } from '../../components/scraper/admin/BulkReparsePanel';
 
 interface CachingStats {
     totalURLs: number;
@@ -401,6 +402,9 @@ export const S3ManagementTab: React.FC<S3ManagementTabProps> = ({ onReparse }) =
                 )}
             </div>
 
+            {/* Bulk Re-parse */}
+            <BulkReparsePanel entityId={entityId} />
+
             {/* Recent Cache Activity */}
             {cachingStats?.recentCacheActivity && cachingStats.recentCacheActivity.length > 0 && (
                 <div className="bg-white rounded-lg shadow">
@@ -7,10 +7,12 @@
 // UPDATED v3.3: Pass skipNotPublished to getScrapingStatus for gap analysis
 // UPDATED v3.4: Show Force Refresh checkbox for gaps mode too (fixes NOT_FOUND re-scrape bug)
 // UPDATED v3.5: Added Range selection for Gaps mode - allows processing only gaps within a specified range
+// UPDATED v3.6: Added 'priority' mode - backend fetches the N highest-value IDs first
 //
 // Architecture:
 // - 'single' mode: Frontend handles with full interactive control (modals, venue selection)
 // - 'refresh' mode: Re-fetch unfinished games (RUNNING, REGISTERING, SCHEDULED)
+// - 'priority' mode: Backend scores candidates and fetches the top N first
 // - All other modes: Backend Lambda handles via useScraperJobs.startJob()
 //
 // This integrates with existing hooks:
@@ -700,6 +702,8 @@ export const ScrapeTab: React.FC<ScraperTabProps> = ({ urlToReparse, onReparseCo
         // Mode-specific parameters
         bulkCount: idSelectionMode === 'bulk' 
             ? Math.max(1, parseInt(idSelectionParams.bulkCount) || 10) 
+            : idSelectionMode === 'priority'
+            ? (parseInt(idSelectionParams.bulkCount) > 0 ? parseInt(idSelectionParams.bulkCount) : undefined)
             : undefined,
         // AUTO MODE: startId is highestTournamentId + 1
         startId: idSelectionMode === 'range' 
@@ -820,6 +824,7 @@ export const ScrapeTab: React.FC<ScraperTabProps> = ({ urlToReparse, onReparseCo
                 { mode: 'gaps' as const, label: 'Gaps', desc: 'Fill missing', icon: null },
                 { mode: 'auto' as const, label: 'Auto', desc: 'Until threshold', icon: null },
                 { mode: 'refresh' as const, label: 'Refresh', desc: 'Update existing', icon: <RefreshCw className="h-3 w-3" /> },
+                { mode: 'priority' as const, label: 'Priority', desc: 'Most valuable first', icon: null },
               ].map(({ mode, label, desc, icon }) => (
                 <button
                   key={mode}
@@ -919,6 +924,25 @@ export const ScrapeTab: React.FC<ScraperTabProps> = ({ urlToReparse, onReparseCo
               </div>
             )}
 
+            {idSelectionMode === 'priority' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Fetch Budget</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={idSelectionParams.bulkCount}
+                  onChange={(e) => setIdSelectionParams(p => ({ ...p, bulkCount: e.target.value }))}
+                  disabled={isProcessing}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                  placeholder="50"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Fetches the highest-value IDs first: running games, games that just started,
+                  finished games missing results, new IDs and pages that change often. Always fetched live.
+                </p>
+              </div>
+            )}
+
             {idSelectionMode === 'range' && (
               <>
                 <div>
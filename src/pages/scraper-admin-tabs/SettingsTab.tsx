@@ -8,6 +8,12 @@
 // The setting is stored in DynamoDB (ScraperSettings table) and checked by:
 // - refreshRunningGames Lambda (exits early if disabled)
 // - HomePage (disables auto-refresh timers if disabled)
+//
+// Also hosts the autoScraper rate limits (ScraperSettings.rateLimit*) and the
+// per-entity parser selector overrides (stored on Entity), fetch provider
+// order, scheduled scraper jobs / quiet hours (ScraperSchedule), the
+// enrichment pipeline stage toggles (Entity.enrichmentStageConfig) and
+// custom validation rules (ValidationRule).
 
 import React, { useState, useEffect } from 'react';
 import {
@@ -20,8 +26,15 @@ import {
     AlertTriangle,
     CheckCircle,
     Info,
+    Gauge,
 } from 'lucide-react';
 import { useScraperSettings } from '../../hooks/scraper/useScraperSettings';
+import { useEntity } from '../../contexts/EntityContext';
+import { SelectorMapEditor } from '../../components/scraper/admin/SelectorMapEditor';
+import { FetchProviderOrderEditor } from '../../components/scraper/admin/FetchProviderOrderEditor';
+import { ScraperScheduleManager } from '../../components/scraper/admin/ScraperScheduleManager';
+import { EnrichmentPipelineSettings } from '../../components/scraper/admin/EnrichmentPipelineSettings';
+import { ValidationRulesManager } from '../../components/scraper/admin/ValidationRulesManager';
 import { formatRelativeAEST } from '../../utils/dateUtils';
 
 // ============================================
@@ -92,6 +105,7 @@ export const SettingsTab: React.FC = () => {
         isAutoRefreshEnabled,
         refreshIntervals,
     } = useScraperSettings();
+    const { currentEntity } = useEntity();
 
     // Local form state
     const [localSettings, setLocalSettings] = useState({
@@ -101,6 +115,11 @@ export const SettingsTab: React.FC = () => {
         runningRefreshIntervalMinutes: 30,
         startingSoonRefreshIntervalMinutes: 60,
         upcomingRefreshIntervalMinutes: 720,
+        rateLimitEnabled: true,
+        rateLimitRequestsPerMinute: 30,
+        rateLimitMinRequestsPerMinute: 2,
+        rateLimitBurst: 3,
+        rateLimitMaxBackoffSeconds: 120,
     });
 
     const [disableReason, setDisableReason] = useState('');
@@ -116,6 +135,11 @@ export const SettingsTab: React.FC = () => {
                 runningRefreshIntervalMinutes: settings.runningRefreshIntervalMinutes || 30,
                 startingSoonRefreshIntervalMinutes: settings.startingSoonRefreshIntervalMinutes || 60,
                 upcomingRefreshIntervalMinutes: settings.upcomingRefreshIntervalMinutes || 720,
+                rateLimitEnabled: settings.rateLimitEnabled ?? true,
+                rateLimitRequestsPerMinute: settings.rateLimitRequestsPerMinute || 30,
+                rateLimitMinRequestsPerMinute: settings.rateLimitMinRequestsPerMinute || 2,
+                rateLimitBurst: settings.rateLimitBurst || 3,
+                rateLimitMaxBackoffSeconds: settings.rateLimitMaxBackoffSeconds || 120,
             });
             setDisableReason(settings.disabledReason || '');
         }
@@ -419,6 +443,148 @@ export const SettingsTab: React.FC = () => {
                 </div>
             </div>
 
+            {/* ================================================================ */}
+            {/* SECTION 4: Rate Limiting */}
+            {/* ================================================================ */}
+            <div className="bg-white rounded-lg shadow p-6">
+                <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center gap-2">
+                        <Gauge className="h-5 w-5 text-orange-600" />
+                        <h3 className="text-lg font-semibold">Rate Limiting</h3>
+                    </div>
+                    <ToggleSwitch
+                        enabled={localSettings.rateLimitEnabled}
+                        onChange={(enabled) => setLocalSettings({...localSettings, rateLimitEnabled: enabled})}
+                        disabled={updating}
+                        size="sm"
+                    />
+                </div>
+                <p className="text-xs text-gray-500 mb-4">
+                    Paces scraper jobs per entity. Bot blocks, 429 and 5xx responses halve the rate and pause
+                    the whole job (doubling each time, up to the max backoff); steady successful fetches speed it back up.
+                </p>
+
+                <div className={`grid grid-cols-1 md:grid-cols-2 gap-4 ${localSettings.rateLimitEnabled ? '' : 'opacity-50'}`}>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Max Requests / Minute
+                        </label>
+                        <input
+                            type="number"
+                            value={localSettings.rateLimitRequestsPerMinute}
+                            onChange={(e) => setLocalSettings({
+                                ...localSettings, 
+                                rateLimitRequestsPerMinute: parseInt(e.target.value) || 30
+                            })}
+                            disabled={!localSettings.rateLimitEnabled}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                            min="1"
+                            max="120"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">Rate when healthy. Default: 30</p>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Min Requests / Minute
+                        </label>
+                        <input
+                            type="number"
+                            value={localSettings.rateLimitMinRequestsPerMinute}
+                            onChange={(e) => setLocalSettings({
+                                ...localSettings, 
+                                rateLimitMinRequestsPerMinute: parseInt(e.target.value) || 2
+                            })}
+                            disabled={!localSettings.rateLimitEnabled}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                            min="1"
+                            max="60"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">Floor when throttled. Default: 2</p>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Burst
+                        </label>
+                        <input
+                            type="number"
+                            value={localSettings.rateLimitBurst}
+                            onChange={(e) => setLocalSettings({
+                                ...localSettings, 
+                                rateLimitBurst: parseInt(e.target.value) || 3
+                            })}
+                            disabled={!localSettings.rateLimitEnabled}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                            min="1"
+                            max="20"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">Requests allowed back-to-back. Default: 3</p>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Max Backoff (seconds)
+                        </label>
+                        <input
+                            type="number"
+                            value={localSettings.rateLimitMaxBackoffSeconds}
+                            onChange={(e) => setLocalSettings({
+                                ...localSettings, 
+                                rateLimitMaxBackoffSeconds: parseInt(e.target.value) || 120
+                            })}
+                            disabled={!localSettings.rateLimitEnabled}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md"
+                            min="5"
+                            max="600"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">
+                            Cap on the job-wide pause. Longer pauses hand over to a continuation. Default: 120
+                        </p>
+                    </div>
+                </div>
+            </div>
+
+            {/* ================================================================ */}
+            {/* SECTION 5: Parser Selectors (per entity, saved separately) */}
+            {/* ================================================================ */}
+            <SelectorMapEditor
+                entityId={currentEntity?.id}
+                entityName={currentEntity?.entityName}
+            />
+
+            {/* ================================================================ */}
+            {/* SECTION 6: Fetch Providers (per entity, saved separately) */}
+            {/* ================================================================ */}
+            <FetchProviderOrderEditor
+                entityId={currentEntity?.id}
+                entityName={currentEntity?.entityName}
+            />
+
+            {/* ================================================================ */}
+            {/* SECTION 7: Scraper Schedules (per entity, saved separately) */}
+            {/* ================================================================ */}
+            <ScraperScheduleManager
+                entityId={currentEntity?.id}
+                entityName={currentEntity?.entityName}
+            />
+
+            {/* ================================================================ */}
+            {/* SECTION 8: Enrichment Pipeline (per entity, saved separately) */}
+            {/* ================================================================ */}
+            <EnrichmentPipelineSettings
+                entityId={currentEntity?.id}
+                entityName={currentEntity?.entityName}
+            />
+
+            {/* ================================================================ */}
+            {/* SECTION 9: Validation Rules (per entity, saved separately) */}
+            {/* ================================================================ */}
+            <ValidationRulesManager
+                entityId={currentEntity?.id}
+                entityName={currentEntity?.entityName}
+            />
+
             {/* ================================================================ */}
             {/* SAVE BUTTON */}
             {/* ================================================================ */}
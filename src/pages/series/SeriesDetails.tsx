@@ -1,11 +1,13 @@
 // src/pages/series/SeriesDetails.tsx
-// VERSION: 1.0.0 - Tournament Series Details Page
+// VERSION: 1.2.0 - Tournament Series Details Page
 //
 // Shows detailed view of a specific tournament series including:
 // - Series summary from TournamentSeriesMetrics
 // - Event list (PARENT games only to avoid double-counting flights)
 // - Attendance and profit charts
 // - Drill-down to individual events
+// - Published schedule with never-scraped events (v1.1.0)
+// - Satellite seat ledger for satellites feeding the series (v1.2.0)
 
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
@@ -37,6 +39,8 @@ import { Card } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
 import { DataTable } from '@/components/ui/DataTable';
 import { TimeRangeToggle, type TimeRangeKey } from '@/components/ui/TimeRangeToggle';
+import { SeriesScheduleCard } from '@/components/series/SeriesScheduleCard';
+import { SatelliteLedgerCard } from '@/components/series/SatelliteLedgerCard';
 import { getClient } from '@/utils/apiClient';
 import { cx, formatCurrency } from '@/lib/utils';
 import type { ColumnDef } from '@tanstack/react-table';
@@ -897,6 +901,12 @@ export function SeriesDetails() {
           />
         </div>
       </Card>
+
+      {/* Published Schedule */}
+      <SeriesScheduleCard tournamentSeriesId={series.id} />
+
+      {/* Satellite Seats */}
+      <SatelliteLedgerCard tournamentSeriesId={series.id} />
     </div>
   );
 }
@@ -0,0 +1,485 @@
+// src/pages/settings/BlindStructures.tsx
+// The entity's blind structure library. The enricher adds a structure the
+// first time a tournament runs it; here they are compared side by side,
+// named, assigned to recurring games, and checked against how long the
+// games that ran them actually went.
+// VERSION: 1.0.0
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  ArrowPathIcon,
+  PencilSquareIcon,
+  Squares2X2Icon,
+} from '@heroicons/react/24/outline';
+
+import { PageWrapper } from '@/components/layout/PageWrapper';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import { cx } from '@/lib/utils';
+import { formatAEST } from '@/utils/dateUtils';
+import { useEntity } from '@/contexts/EntityContext';
+import {
+  useBlindStructures,
+  type BackfillStructuresResult,
+  type BlindStructure,
+  type StructureGame,
+} from '@/hooks/useBlindStructures';
+
+// Side-by-side comparison gets unreadable past this
+const MAX_COMPARE = 3;
+
+// Field sizes gameDataEnricher stores duration estimates for
+const FIELD_SIZES = [20, 40, 60, 80, 100, 150, 200];
+
+const formatNumber = (value?: number | null) => (value == null ? '-' : value.toLocaleString());
+
+const formatMinutes = (minutes?: number | null) => {
+  if (minutes == null) return '-';
+  const hours = Math.floor(minutes / 60);
+  const mins = Math.round(minutes % 60);
+  return hours > 0 ? `${hours}h ${String(mins).padStart(2, '0')}m` : `${mins}m`;
+};
+
+const formatBlinds = (level?: { smallBlind: number; bigBlind: number; ante: number }) => {
+  if (!level) return '';
+  const blinds = `${level.smallBlind.toLocaleString()}/${level.bigBlind.toLocaleString()}`;
+  return level.ante > 0 ? `${blinds} (${level.ante.toLocaleString()})` : blinds;
+};
+
+interface MetricRow {
+  label: string;
+  value: (structure: BlindStructure) => React.ReactNode;
+}
+
+export const BlindStructures: React.FC = () => {
+  const { currentEntity } = useEntity();
+  const entityId = currentEntity?.id;
+  const {
+    structures,
+    recurringGames,
+    loading,
+    saving,
+    error,
+    refresh,
+    loadGames,
+    updateStructure,
+    assignToRecurringGame,
+    backfill,
+  } = useBlindStructures(entityId);
+
+  const [searchParams] = useSearchParams();
+  const [compareIds, setCompareIds] = useState<string[]>([]);
+  const [focusedId, setFocusedId] = useState<string | null>(searchParams.get('structure'));
+  const [fieldSize, setFieldSize] = useState(60);
+  const [games, setGames] = useState<StructureGame[]>([]);
+  const [gamesLoading, setGamesLoading] = useState(false);
+  const [editing, setEditing] = useState<BlindStructure | null>(null);
+  const [editName, setEditName] = useState('');
+  const [editNotes, setEditNotes] = useState('');
+  const [assignId, setAssignId] = useState('');
+  const [backfillPreview, setBackfillPreview] = useState<BackfillStructuresResult | null>(null);
+  const [lastResult, setLastResult] = useState<string | null>(null);
+
+  const focused = structures.find(s => s.id === focusedId) || null;
+  const compared = useMemo(
+    () => compareIds.map(id => structures.find(s => s.id === id)).filter((s): s is BlindStructure => !!s),
+    [compareIds, structures]
+  );
+
+  // Linked from a game - start the comparison from its structure
+  useEffect(() => {
+    const linkedId = searchParams.get('structure');
+    if (linkedId && structures.some(s => s.id === linkedId)) {
+      setCompareIds(prev => (prev.includes(linkedId) ? prev : [linkedId, ...prev].slice(0, MAX_COMPARE)));
+    }
+  }, [searchParams, structures]);
+
+  useEffect(() => {
+    if (!focusedId) {
+      setGames([]);
+      return;
+    }
+    let cancelled = false;
+    setGamesLoading(true);
+    loadGames(focusedId).then(result => {
+      if (!cancelled) {
+        setGames(result);
+        setGamesLoading(false);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [focusedId, loadGames]);
+
+  const recurringNames = useMemo(
+    () => new Map(recurringGames.map(rg => [rg.id, rg.name])),
+    [recurringGames]
+  );
+
+  const toggleCompare = (id: string) => {
+    setCompareIds(prev => {
+      if (prev.includes(id)) return prev.filter(existing => existing !== id);
+      return prev.length >= MAX_COMPARE ? prev : [...prev, id];
+    });
+  };
+
+  const openEdit = (structure: BlindStructure) => {
+    setEditing(structure);
+    setEditName(structure.name);
+    setEditNotes(structure.notes || '');
+  };
+
+  const submitEdit = async () => {
+    if (!editing || !editName.trim()) return;
+    const ok = await updateStructure(editing, { name: editName.trim(), notes: editNotes.trim() || null });
+    if (ok) setEditing(null);
+  };
+
+  const assign = async () => {
+    const recurringGame = recurringGames.find(rg => rg.id === assignId);
+    if (!recurringGame || !focused) return;
+    const ok = await assignToRecurringGame(recurringGame, focused.id);
+    if (ok) {
+      setLastResult(`${recurringGame.name} now uses "${focused.name}"`);
+      setAssignId('');
+    }
+  };
+
+  const previewBackfill = async () => {
+    setLastResult(null);
+    setBackfillPreview(await backfill(true));
+  };
+
+  const runBackfill = async () => {
+    const result = await backfill(false);
+    setBackfillPreview(null);
+    if (result?.success) {
+      setLastResult(
+        `${result.linked} games linked, ${result.structuresCreated} new structures` +
+        (result.skipped > 0 ? `, ${result.skipped} without usable levels` : '') +
+        (result.hasMore ? ' - run again for the rest' : '')
+      );
+    }
+  };
+
+  const assignedRecurring = focused ? recurringGames.filter(rg => rg.blindStructureId === focused.id) : [];
+  const otherRecurring = focused ? recurringGames.filter(rg => rg.blindStructureId !== focused.id) : [];
+  const playedAverage = useMemo(() => {
+    const durations = games.map(g => g.durationMinutes).filter((m): m is number => m != null);
+    return durations.length > 0 ? durations.reduce((sum, m) => sum + m, 0) / durations.length : null;
+  }, [games]);
+
+  const metricRows: MetricRow[] = [
+    { label: 'Starting stack', value: s => formatNumber(s.startingStack) },
+    { label: 'Level 1', value: s => formatBlinds(s.levels[0]) || '-' },
+    { label: 'Starting big blinds', value: s => formatNumber(s.effectiveStartingBB) },
+    { label: 'Levels', value: s => formatNumber(s.levelCount) },
+    { label: 'Avg level length', value: s => (s.avgLevelMinutes != null ? `${s.avgLevelMinutes} min` : '-') },
+    { label: 'Breaks', value: s => (s.breaks.length > 0 ? `${s.breaks.length} (${s.totalBreakMinutes} min)` : '-') },
+    { label: 'Antes from level', value: s => s.anteStartsLevel ?? '-' },
+    { label: `Est. length, ${fieldSize} players`, value: s => formatMinutes(s.estimatedDurations[fieldSize]) },
+    { label: 'Games played', value: s => formatNumber(s.gamesPlayed) },
+    { label: 'Last played', value: s => (s.lastPlayedAt ? formatAEST(s.lastPlayedAt) : '-') },
+  ];
+  const compareLevelCount = Math.max(0, ...compared.map(s => s.levels.length));
+
+  if (!entityId) {
+    return (
+      <PageWrapper title="Blind Structures">
+        <p className="text-sm text-gray-500">Select an entity to see its blind structures.</p>
+      </PageWrapper>
+    );
+  }
+
+  return (
+    <PageWrapper title="Blind Structures">
+      <div className="space-y-6">
+        <Card>
+          <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50 flex items-center gap-2">
+                <Squares2X2Icon className="w-4 h-4 text-gray-500" />
+                Structure Library
+              </h3>
+              <p className="text-xs text-gray-500 mt-1">
+                Every structure {currentEntity?.entityName} has run. Tick up to {MAX_COMPARE} to compare them.
+              </p>
+              {lastResult && <p className="text-xs text-green-700 mt-1">{lastResult}</p>}
+            </div>
+            <div className="flex items-center gap-2">
+              <Button variant="secondary" size="sm" onClick={previewBackfill} disabled={saving}>
+                Link past games
+              </Button>
+              <Button variant="ghost" size="sm" onClick={refresh} disabled={loading}>
+                <ArrowPathIcon className={cx('w-4 h-4', loading && 'animate-spin')} />
+              </Button>
+            </div>
+          </div>
+
+          {error && (
+            <div className="mx-4 mt-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+          )}
+
+          <div className="overflow-x-auto mt-3">
+            {structures.length === 0 ? (
+              <p className="p-4 text-sm text-gray-500">
+                {loading ? 'Loading...' : 'No structures yet. They are added as tournaments are enriched, or link past games above.'}
+              </p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 w-8" />
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Stack</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Levels</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Recurring Games</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Games</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Last Played</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {structures.map(structure => (
+                    <tr
+                      key={structure.id}
+                      className={cx('cursor-pointer hover:bg-gray-50', focusedId === structure.id && 'bg-indigo-50/50')}
+                      onClick={() => setFocusedId(structure.id)}
+                    >
+                      <td className="px-3 py-2" onClick={e => e.stopPropagation()}>
+                        <input
+                          type="checkbox"
+                          checked={compareIds.includes(structure.id)}
+                          disabled={!compareIds.includes(structure.id) && compareIds.length >= MAX_COMPARE}
+                          onChange={() => toggleCompare(structure.id)}
+                        />
+                      </td>
+                      <td className="px-3 py-2 text-gray-900">
+                        {structure.name}
+                        {structure.source === 'MANUAL' && <span className="ml-2 text-xs text-gray-400">manual</span>}
+                        {structure.notes && <p className="text-xs text-gray-500">{structure.notes}</p>}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-700">{formatNumber(structure.startingStack)}</td>
+                      <td className="px-3 py-2 text-right text-gray-700">{formatNumber(structure.levelCount)}</td>
+                      <td className="px-3 py-2 text-xs text-gray-600">
+                        {structure.recurringGameIds.map(id => recurringNames.get(id)).filter(Boolean).join(', ') || '-'}
+                      </td>
+                      <td className="px-3 py-2 text-right text-gray-700">{formatNumber(structure.gamesPlayed)}</td>
+                      <td className="px-3 py-2 text-right text-gray-600">
+                        {structure.lastPlayedAt ? formatAEST(structure.lastPlayedAt) : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </Card>
+
+        {compared.length > 0 && (
+          <Card>
+            <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex items-center justify-between gap-3">
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50">Comparison</h3>
+              <label className="flex items-center gap-2 text-xs text-gray-600">
+                Field size
+                <select
+                  value={fieldSize}
+                  onChange={e => setFieldSize(Number(e.target.value))}
+                  className="px-2 py-1 text-xs border border-gray-300 rounded-md"
+                >
+                  {FIELD_SIZES.map(size => (
+                    <option key={size} value={size}>{size} players</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2" />
+                    {compared.map(structure => (
+                      <th key={structure.id} className="px-3 py-2 text-left text-xs font-medium text-gray-700">
+                        {structure.name}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {metricRows.map(row => (
+                    <tr key={row.label}>
+                      <td className="px-3 py-2 text-xs text-gray-500 whitespace-nowrap">{row.label}</td>
+                      {compared.map(structure => (
+                        <td key={structure.id} className="px-3 py-2 text-gray-900">{row.value(structure)}</td>
+                      ))}
+                    </tr>
+                  ))}
+                  {Array.from({ length: compareLevelCount }, (_, index) => (
+                    <tr key={`level-${index}`}>
+                      <td className="px-3 py-1 text-xs text-gray-500">Level {index + 1}</td>
+                      {compared.map(structure => {
+                        const level = structure.levels[index];
+                        const breakAfter = level && structure.breaks.find(b => b.levelNumberBeforeBreak === level.levelNumber);
+                        return (
+                          <td key={structure.id} className="px-3 py-1 text-xs text-gray-700 font-mono">
+                            {level ? `${formatBlinds(level)} · ${level.durationMinutes}m` : ''}
+                            {breakAfter && <span className="ml-2 text-gray-400">+{breakAfter.durationMinutes}m break</span>}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+        )}
+
+        {focused && (
+          <Card>
+            <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex items-center justify-between gap-3">
+              <div>
+                <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50">{focused.name}</h3>
+                <p className="text-xs text-gray-500 mt-1 font-mono">{focused.fingerprint}</p>
+              </div>
+              <Button variant="ghost" size="sm" onClick={() => openEdit(focused)} disabled={saving}>
+                <PencilSquareIcon className="w-4 h-4 mr-1" /> Rename
+              </Button>
+            </div>
+
+            <div className="p-4 grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="space-y-3">
+                <h4 className="text-xs font-medium text-gray-500 uppercase">Recurring Games</h4>
+                {assignedRecurring.length === 0 ? (
+                  <p className="text-sm text-gray-500">No recurring game uses this structure.</p>
+                ) : (
+                  <ul className="space-y-1">
+                    {assignedRecurring.map(rg => (
+                      <li key={rg.id} className="flex items-center justify-between text-sm">
+                        <span className="text-gray-900">{rg.name}</span>
+                        <Button variant="ghost" size="sm" onClick={() => assignToRecurringGame(rg, null)} disabled={saving}>
+                          Remove
+                        </Button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <div className="flex gap-2">
+                  <select
+                    value={assignId}
+                    onChange={e => setAssignId(e.target.value)}
+                    className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-md"
+                  >
+                    <option value="">Assign to a recurring game...</option>
+                    {otherRecurring.map(rg => (
+                      <option key={rg.id} value={rg.id}>
+                        {rg.name}{rg.blindStructureId ? ' (has a structure)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                  <Button size="sm" onClick={assign} disabled={saving || !assignId}>Assign</Button>
+                </div>
+              </div>
+
+              <div className="space-y-3">
+                <h4 className="text-xs font-medium text-gray-500 uppercase">
+                  Recent Games
+                  {playedAverage != null && (
+                    <span className="ml-2 normal-case font-normal text-gray-400">avg {formatMinutes(playedAverage)}</span>
+                  )}
+                </h4>
+                {games.length === 0 ? (
+                  <p className="text-sm text-gray-500">{gamesLoading ? 'Loading...' : 'No games linked yet.'}</p>
+                ) : (
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr>
+                        <th className="py-1 text-left text-xs font-medium text-gray-500">Game</th>
+                        <th className="py-1 text-right text-xs font-medium text-gray-500">Entries</th>
+                        <th className="py-1 text-right text-xs font-medium text-gray-500">Ran</th>
+                        <th className="py-1 text-right text-xs font-medium text-gray-500">Estimate</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {games.map(game => {
+                        // Nearest stored field size to the game's entries
+                        const estimateSize = game.totalEntries
+                          ? FIELD_SIZES.reduce((best, size) =>
+                            Math.abs(size - game.totalEntries!) < Math.abs(best - game.totalEntries!) ? size : best)
+                          : null;
+                        return (
+                          <tr key={game.id}>
+                            <td className="py-1">
+                              <Link to={`/games/details/${game.id}`} className="text-indigo-600 hover:underline">
+                                {game.name}
+                              </Link>
+                              <p className="text-xs text-gray-500">{formatAEST(game.gameStartDateTime, { includeDay: true, shortDay: true })}</p>
+                            </td>
+                            <td className="py-1 text-right text-gray-700">{formatNumber(game.totalEntries)}</td>
+                            <td className="py-1 text-right text-gray-900">{formatMinutes(game.durationMinutes)}</td>
+                            <td className="py-1 text-right text-gray-500">
+                              {estimateSize ? formatMinutes(focused.estimatedDurations[estimateSize]) : '-'}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            </div>
+          </Card>
+        )}
+      </div>
+
+      <Modal isOpen={!!editing} onClose={() => setEditing(null)} title="Rename structure" maxWidth="lg">
+        {editing && (
+          <div className="space-y-4">
+            <input
+              type="text"
+              value={editName}
+              onChange={e => setEditName(e.target.value)}
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+            />
+            <textarea
+              value={editNotes}
+              onChange={e => setEditNotes(e.target.value)}
+              placeholder="Notes (optional)"
+              rows={2}
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+            />
+            <div className="flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+              <Button onClick={submitEdit} disabled={saving || !editName.trim()}>
+                {saving ? 'Saving...' : 'Save'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <Modal isOpen={!!backfillPreview} onClose={() => setBackfillPreview(null)} title="Link past games" maxWidth="lg">
+        {backfillPreview && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {backfillPreview.linked} stored tournaments without a structure can be linked, adding{' '}
+              {backfillPreview.structuresCreated} new structures to the library.
+              {backfillPreview.skipped > 0 && ` ${backfillPreview.skipped} have no usable levels or starting stack and are skipped.`}
+              {backfillPreview.hasMore && ' There are more - run again once this batch is done.'}
+            </p>
+            <div className="flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setBackfillPreview(null)} disabled={saving}>Cancel</Button>
+              <Button onClick={runBackfill} disabled={saving || backfillPreview.linked === 0}>
+                {saving ? 'Linking...' : 'Link games'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </PageWrapper>
+  );
+};
+
+export default BlindStructures;
@@ -0,0 +1,348 @@
+// src/pages/settings/CreditRules.tsx
+// The entity's credit award rules. When a game's results are saved, the
+// top finishers of each game a rule covers get its credits on their
+// player wallet, expiring after the rule's days when set. Credits are
+// redeemed and adjusted from the player profile.
+// VERSION: 1.0.0
+
+import React, { useMemo, useState } from 'react';
+import {
+  ArrowPathIcon,
+  BanknotesIcon,
+  PencilSquareIcon,
+  PlusIcon,
+  TrashIcon,
+} from '@heroicons/react/24/outline';
+
+import { PageWrapper } from '@/components/layout/PageWrapper';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import { cx } from '@/lib/utils';
+import { formatCurrency } from '@/utils/generalHelpers';
+import { useEntity } from '@/contexts/EntityContext';
+import { SCOPE_LABELS, type LeaderboardScope } from '@/hooks/useLeaderboards';
+import {
+  useCreditRules,
+  type CreditAwardRule,
+  type CreditAwardRuleInput,
+} from '@/hooks/useCreditRules';
+
+type FormState = Record<string, string | boolean>;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const toForm = (rule: CreditAwardRule | null): FormState => ({
+  name: rule?.name || '',
+  description: rule?.description || '',
+  scope: rule?.scope || 'ENTITY',
+  scopeId: rule?.scopeId || '',
+  startDate: rule?.startDate || today(),
+  endDate: rule?.endDate || '',
+  isActive: rule?.isActive !== false,
+  topPlaces: rule ? String(rule.topPlaces) : '9',
+  amount: rule ? String(rule.amount) : '',
+  expiryDays: rule?.expiryDays != null ? String(rule.expiryDays) : '90',
+  minRunners: rule?.minRunners != null ? String(rule.minRunners) : '',
+});
+
+const fromForm = (form: FormState): CreditAwardRuleInput => {
+  const number = (key: string) => (form[key] === '' ? null : Number(form[key]));
+  const scope = form.scope as LeaderboardScope;
+  return {
+    name: String(form.name).trim(),
+    description: String(form.description).trim() || null,
+    scope,
+    scopeId: scope === 'ENTITY' ? null : String(form.scopeId) || null,
+    startDate: String(form.startDate),
+    endDate: String(form.endDate) || null,
+    isActive: !!form.isActive,
+    topPlaces: Number(form.topPlaces) || 0,
+    amount: Number(form.amount) || 0,
+    expiryDays: number('expiryDays'),
+    minRunners: number('minRunners'),
+  };
+};
+
+const formatDate = (value?: string | null) => (value ? new Date(value).toLocaleDateString() : '-');
+
+export const CreditRules: React.FC = () => {
+  const { currentEntity } = useEntity();
+  const entityId = currentEntity?.id;
+  const { rules, targets, loading, saving, error, refresh, saveRule, deleteRule } = useCreditRules(entityId);
+
+  const [editing, setEditing] = useState<CreditAwardRule | 'new' | null>(null);
+  const [form, setForm] = useState<FormState>({});
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const targetName = useMemo(() => {
+    const names = new Map<string, string>();
+    Object.values(targets).forEach(list => list.forEach(target => names.set(target.id, target.name)));
+    return (rule: CreditAwardRule) => names.get(rule.scopeId || '') || 'Unknown';
+  }, [targets]);
+
+  const openEditor = (rule: CreditAwardRule | 'new') => {
+    setForm(toForm(rule === 'new' ? null : rule));
+    setEditing(rule);
+  };
+
+  const handleSave = async () => {
+    if (!editing) return;
+    const saved = await saveRule(fromForm(form), editing === 'new' ? null : editing);
+    if (saved) {
+      setEditing(null);
+      setNotice('Saved. Applies to results saved from now on - games already processed are not credited.');
+    }
+  };
+
+  const handleDelete = async (rule: CreditAwardRule) => {
+    if (!window.confirm(`Delete credit rule "${rule.name}"? Credits already awarded stay on players' wallets.`)) return;
+    await deleteRule(rule);
+  };
+
+  const setField = (key: string, value: string | boolean) => setForm(prev => ({ ...prev, [key]: value }));
+
+  if (!entityId) {
+    return (
+      <PageWrapper title="Credit Rules">
+        <p className="text-sm text-gray-500">Select an entity to manage its credit rules.</p>
+      </PageWrapper>
+    );
+  }
+
+  const formScope = form.scope as LeaderboardScope;
+  const formTargets = formScope && formScope !== 'ENTITY' ? targets[formScope] : [];
+  const formValid = !!String(form.name).trim()
+    && !!form.startDate
+    && Number(form.topPlaces) > 0
+    && Number(form.amount) > 0
+    && (formScope === 'ENTITY' || !!form.scopeId);
+
+  return (
+    <PageWrapper title="Credit Rules">
+      <div className="space-y-6">
+        {notice && (
+          <div className="p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">{notice}</div>
+        )}
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <Card>
+          <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50 flex items-center gap-2">
+                <BanknotesIcon className="w-4 h-4 text-gray-500" />
+                Credits from results
+              </h3>
+              <p className="text-xs text-gray-500 mt-1">
+                Every rule that covers a game awards its credits, so a game can pay out under several rules.
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <Button variant="ghost" size="sm" onClick={refresh} disabled={loading}>
+                <ArrowPathIcon className={cx('w-4 h-4', loading && 'animate-spin')} />
+              </Button>
+              <Button size="sm" onClick={() => openEditor('new')} disabled={saving}>
+                <PlusIcon className="w-4 h-4 mr-1" />
+                Add
+              </Button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            {rules.length === 0 ? (
+              <p className="p-4 text-sm text-gray-500">{loading ? 'Loading...' : 'No credit rules yet.'}</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rule</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Award</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Scope</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Dates</th>
+                    <th className="px-3 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {rules.map(rule => (
+                    <tr key={rule.id} className={cx(rule.isActive === false && 'opacity-50')}>
+                      <td className="px-3 py-2">
+                        <span className="font-medium text-gray-900">{rule.name}</span>
+                        {rule.isActive === false && <span className="ml-2 text-xs text-gray-500">(off)</span>}
+                        {rule.description && <p className="text-xs text-gray-500">{rule.description}</p>}
+                      </td>
+                      <td className="px-3 py-2 text-gray-600">
+                        Top {rule.topPlaces} get {formatCurrency(rule.amount)}
+                        <p className="text-xs text-gray-500">
+                          {rule.expiryDays ? `Expires after ${rule.expiryDays} days` : 'Never expires'}
+                          {rule.minRunners ? ` · ${rule.minRunners}+ runners` : ''}
+                        </p>
+                      </td>
+                      <td className="px-3 py-2 text-gray-600">
+                        {rule.scope === 'ENTITY' ? SCOPE_LABELS.ENTITY : `${SCOPE_LABELS[rule.scope]}: ${targetName(rule)}`}
+                      </td>
+                      <td className="px-3 py-2 text-gray-600 whitespace-nowrap">
+                        {formatDate(rule.startDate)} – {rule.endDate ? formatDate(rule.endDate) : 'ongoing'}
+                      </td>
+                      <td className="px-3 py-2 text-right whitespace-nowrap">
+                        <Button variant="ghost" size="sm" onClick={() => openEditor(rule)} disabled={saving}>
+                          <PencilSquareIcon className="w-4 h-4" />
+                        </Button>
+                        <Button variant="ghost" size="sm" onClick={() => handleDelete(rule)} disabled={saving}>
+                          <TrashIcon className="w-4 h-4" />
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </Card>
+      </div>
+
+      <Modal
+        isOpen={!!editing}
+        onClose={() => setEditing(null)}
+        title={editing === 'new' ? 'Add credit rule' : 'Edit credit rule'}
+        maxWidth="lg"
+      >
+        {editing && (
+          <div className="space-y-4">
+            <label className="block text-sm text-gray-700">
+              Name
+              <input
+                type="text"
+                value={String(form.name)}
+                onChange={e => setField('name', e.target.value)}
+                className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+              />
+            </label>
+            <label className="block text-sm text-gray-700">
+              Description
+              <input
+                type="text"
+                value={String(form.description)}
+                onChange={e => setField('description', e.target.value)}
+                className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+              />
+            </label>
+
+            <div className="grid grid-cols-2 gap-3">
+              <label className="block text-sm text-gray-700">
+                Top places
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={String(form.topPlaces)}
+                  onChange={e => setField('topPlaces', e.target.value)}
+                  className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                />
+              </label>
+              <label className="block text-sm text-gray-700">
+                Credits each ($)
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={String(form.amount)}
+                  onChange={e => setField('amount', e.target.value)}
+                  className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                />
+              </label>
+              <label className="block text-sm text-gray-700">
+                Expire after days (empty for never)
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={String(form.expiryDays)}
+                  onChange={e => setField('expiryDays', e.target.value)}
+                  className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                />
+              </label>
+              <label className="block text-sm text-gray-700">
+                Minimum runners
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={String(form.minRunners)}
+                  onChange={e => setField('minRunners', e.target.value)}
+                  className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                />
+              </label>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <label className="block text-sm text-gray-700">
+                Scope
+                <select
+                  value={String(form.scope)}
+                  onChange={e => setForm(prev => ({ ...prev, scope: e.target.value, scopeId: '' }))}
+                  className="mt-1 w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md"
+                >
+                  {(Object.keys(SCOPE_LABELS) as LeaderboardScope[]).map(scope => (
+                    <option key={scope} value={scope}>{SCOPE_LABELS[scope]}</option>
+                  ))}
+                </select>
+              </label>
+              {formScope !== 'ENTITY' && (
+                <label className="block text-sm text-gray-700">
+                  {SCOPE_LABELS[formScope]}
+                  <select
+                    value={String(form.scopeId)}
+                    onChange={e => setField('scopeId', e.target.value)}
+                    className="mt-1 w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md"
+                  >
+                    <option value="">Select...</option>
+                    {formTargets.map(target => (
+                      <option key={target.id} value={target.id}>{target.name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <label className="block text-sm text-gray-700">
+                From
+                <input
+                  type="date"
+                  value={String(form.startDate)}
+                  onChange={e => setField('startDate', e.target.value)}
+                  className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                />
+              </label>
+              <label className="block text-sm text-gray-700">
+                To (empty for ongoing)
+                <input
+                  type="date"
+                  value={String(form.endDate)}
+                  onChange={e => setField('endDate', e.target.value)}
+                  className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                />
+              </label>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={!!form.isActive} onChange={e => setField('isActive', e.target.checked)} />
+              Active
+            </label>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+              <Button onClick={handleSave} disabled={saving || !formValid}>
+                {saving ? 'Saving...' : 'Save'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </PageWrapper>
+  );
+};
+
+export default CreditRules;
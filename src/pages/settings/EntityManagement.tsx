@@ -122,6 +122,12 @@ const EntityManagement = () => {
     if (cleanedData.entityLogo === "") {
       cleanedData.entityLogo = null;
     }
+    if (!cleanedData.scraperStrategy?.trim()) {
+      cleanedData.scraperStrategy = null;
+    }
+    if (!cleanedData.currency) {
+      cleanedData.currency = null;
+    }
     
     try {
       if (editingEntity) {
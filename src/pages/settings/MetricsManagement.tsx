@@ -1,6 +1,6 @@
 // src/pages/settings/MetricsManagement.tsx
 // Admin page for managing calculated metrics (EntityMetrics, VenueMetrics, RecurringGameMetrics, TournamentSeriesMetrics)
-// VERSION: 2.0.0 - Added seriesType dimension and TournamentSeriesMetrics support
+// VERSION: 2.2.0 - HOLIDAY series type (games on a calendar holiday)
 
 import React, { useState, useEffect, useCallback } from 'react';
 import { generateClient } from 'aws-amplify/api';
@@ -22,9 +22,13 @@ import {
   PlayIcon,
   ArrowsPointingInIcon,
   TrophyIcon,
-  FunnelIcon
+  FunnelIcon,
+  CurrencyDollarIcon,
+  TrashIcon
 } from '@heroicons/react/24/outline';
 import { formatDistanceToNow } from 'date-fns';
+import { useCurrencyRates, type UseCurrencyRatesReturn } from '../../hooks/useCurrencyRates';
+import { BASE_CURRENCY, CURRENCY_CODES } from '../../utils/generalHelpers';
 
 // ============================================
 // CLIENT INITIALIZATION (Lazy to ensure Amplify is configured)
@@ -64,10 +68,12 @@ interface RefreshResult {
   executionTimeMs: number;
   errors: string[];
   warnings: string[];
+  reportingCurrency?: string | null;
   bySeriesType?: {
     ALL: { entity: number; venue: number };
     SERIES: { entity: number; venue: number; tournamentSeries: number };
     REGULAR: { entity: number; venue: number; recurringGame: number };
+    HOLIDAY?: { entity: number; venue: number };
   };
 }
 
@@ -82,7 +88,7 @@ interface JobProgress {
 }
 
 type TimeRangeKey = 'ALL' | '12M' | '6M' | '3M' | '1M';
-type SeriesTypeKey = 'ALL' | 'SERIES' | 'REGULAR';
+type SeriesTypeKey = 'ALL' | 'SERIES' | 'REGULAR' | 'HOLIDAY';
 type MetricsScope = 'all' | 'entity' | 'venue';
 
 // ============================================
@@ -174,6 +180,7 @@ const refreshAllMetricsMutation = /* GraphQL */ `
       executionTimeMs
       errors
       warnings
+      reportingCurrency
       refreshedAt
       bySeriesType {
         ALL {
@@ -190,6 +197,10 @@ const refreshAllMetricsMutation = /* GraphQL */ `
           venue
           recurringGame
         }
+        HOLIDAY {
+          entity
+          venue
+        }
       }
     }
   }
@@ -319,7 +330,8 @@ const SeriesTypeSelector: React.FC<{
   const types: { key: SeriesTypeKey; label: string; description: string }[] = [
     { key: 'ALL', label: 'Combined', description: 'All games' },
     { key: 'SERIES', label: 'Series', description: 'Tournament series' },
-    { key: 'REGULAR', label: 'Regular', description: 'Recurring games' }
+    { key: 'REGULAR', label: 'Regular', description: 'Recurring games' },
+    { key: 'HOLIDAY', label: 'Holiday', description: 'Games on a calendar holiday' }
   ];
 
   const toggleType = (type: SeriesTypeKey) => {
@@ -330,7 +342,7 @@ const SeriesTypeSelector: React.FC<{
     }
   };
 
-  const selectAll = () => onChange(['ALL', 'SERIES', 'REGULAR']);
+  const selectAll = () => onChange(['ALL', 'SERIES', 'REGULAR', 'HOLIDAY']);
   const selectNone = () => onChange([]);
 
   return (
@@ -367,6 +379,8 @@ const SeriesTypeSelector: React.FC<{
                   ? 'bg-purple-100 border-purple-300 text-purple-700'
                   : key === 'REGULAR'
                   ? 'bg-blue-100 border-blue-300 text-blue-700'
+                  : key === 'HOLIDAY'
+                  ? 'bg-amber-100 border-amber-300 text-amber-700'
                   : 'bg-indigo-100 border-indigo-300 text-indigo-700'
                 : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
             }`}
@@ -376,12 +390,131 @@ const SeriesTypeSelector: React.FC<{
         ))}
       </div>
       <p className="text-xs text-gray-500">
-        Creates separate metrics records for series vs regular games
+        Creates separate metrics records for series vs regular games (and games on holidays)
       </p>
     </div>
   );
 };
 
+const CurrencyRatesCard: React.FC<{ currencyRates: UseCurrencyRatesReturn }> = ({ currencyRates }) => {
+  const { rates, loading, saving, error, createRate, deleteRate } = currencyRates;
+  const [currency, setCurrency] = useState<string>(CURRENCY_CODES.find(code => code !== BASE_CURRENCY) || '');
+  const [effectiveDate, setEffectiveDate] = useState(() => new Date().toISOString().slice(0, 10));
+  const [rate, setRate] = useState('');
+  const [source, setSource] = useState('');
+
+  const handleAdd = async () => {
+    const rateToBase = parseFloat(rate);
+    if (!currency || !effectiveDate || !(rateToBase > 0)) return;
+    const success = await createRate({ currency, effectiveDate, rateToBase, source });
+    if (success) {
+      setRate('');
+      setSource('');
+    }
+  };
+
+  return (
+    <Card className="p-6 mt-6">
+      <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-2 flex items-center gap-2">
+        <CurrencyDollarIcon className="w-4 h-4 text-gray-500" />
+        Currency Rates
+      </h3>
+      <p className="text-xs text-gray-500 mb-4">
+        Value of 1 unit in {BASE_CURRENCY}, from the effective date until the next rate. Games are converted at the
+        rate in effect on their start date; games in a currency with no rate are left out of metrics and reported as warnings.
+      </p>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-4">
+        <select
+          value={currency}
+          onChange={e => setCurrency(e.target.value)}
+          className="rounded-lg border-gray-300 text-sm focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          {CURRENCY_CODES.filter(code => code !== BASE_CURRENCY).map(code => (
+            <option key={code} value={code}>{code}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={effectiveDate}
+          onChange={e => setEffectiveDate(e.target.value)}
+          className="rounded-lg border-gray-300 text-sm focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <input
+          type="number"
+          step="0.0001"
+          min="0"
+          value={rate}
+          onChange={e => setRate(e.target.value)}
+          placeholder={`Rate to ${BASE_CURRENCY}`}
+          className="rounded-lg border-gray-300 text-sm focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <input
+          type="text"
+          value={source}
+          onChange={e => setSource(e.target.value)}
+          placeholder="Source (optional)"
+          className="rounded-lg border-gray-300 text-sm focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <Button
+          variant="primary"
+          size="sm"
+          onClick={handleAdd}
+          disabled={saving || !(parseFloat(rate) > 0) || !effectiveDate}
+        >
+          Add Rate
+        </Button>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-6">
+          <ArrowPathIcon className="w-5 h-5 animate-spin text-gray-400" />
+        </div>
+      ) : rates.length === 0 ? (
+        <p className="text-sm text-gray-500">No rates yet - only {BASE_CURRENCY} amounts can be reported.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Currency</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Effective</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Rate to {BASE_CURRENCY}</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rates.map(r => (
+                <tr key={r.id}>
+                  <td className="px-3 py-2 font-medium text-gray-900">{r.currency}</td>
+                  <td className="px-3 py-2 text-gray-600">{r.effectiveDate}</td>
+                  <td className="px-3 py-2 text-right font-mono text-gray-900">{r.rateToBase}</td>
+                  <td className="px-3 py-2 text-gray-500">{r.source || '—'}</td>
+                  <td className="px-3 py-2 text-right">
+                    <button
+                      onClick={() => deleteRate(r.id)}
+                      disabled={saving}
+                      className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                      title="Delete rate"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </Card>
+  );
+};
+
 // ============================================
 // MAIN COMPONENT
 // ============================================
@@ -399,12 +532,17 @@ export default function MetricsManagement() {
   const [selectedEntityId, setSelectedEntityId] = useState<string>('');
   const [selectedVenueId, _setSelectedVenueId] = useState<string>('');
   const [selectedTimeRanges, setSelectedTimeRanges] = useState<TimeRangeKey[]>(['ALL', '12M', '6M', '3M', '1M']);
-  const [selectedSeriesTypes, setSelectedSeriesTypes] = useState<SeriesTypeKey[]>(['ALL', 'SERIES', 'REGULAR']);
+  const [selectedSeriesTypes, setSelectedSeriesTypes] = useState<SeriesTypeKey[]>(['ALL', 'SERIES', 'REGULAR', 'HOLIDAY']);
   const [includeEntityMetrics, setIncludeEntityMetrics] = useState(true);
   const [includeVenueMetrics, setIncludeVenueMetrics] = useState(true);
   const [includeRecurringGameMetrics, setIncludeRecurringGameMetrics] = useState(true);
   const [includeTournamentSeriesMetrics, setIncludeTournamentSeriesMetrics] = useState(true);
   const [dryRun, setDryRun] = useState(false);
+  const [reportingCurrency, setReportingCurrency] = useState<string>(BASE_CURRENCY);
+
+  // FX rates (CurrencyRate) - reporting currency needs a rate unless it's the base
+  const currencyRates = useCurrencyRates();
+  const reportingCurrencyOptions = [BASE_CURRENCY, ...currencyRates.currencies.filter(code => code !== BASE_CURRENCY)];
 
   // Totals
   const [totals, setTotals] = useState({
@@ -572,6 +710,7 @@ export default function MetricsManagement() {
         includeVenueMetrics,
         includeRecurringGameMetrics,
         includeTournamentSeriesMetrics,
+        reportingCurrency,
         dryRun
       };
 
@@ -618,6 +757,7 @@ export default function MetricsManagement() {
             executionTimeMs: result.executionTimeMs || 0,
             errors: result.errors || [],
             warnings: result.warnings || [],
+            reportingCurrency: result.reportingCurrency,
             bySeriesType: result.bySeriesType
           }
         });
@@ -823,6 +963,25 @@ export default function MetricsManagement() {
                   </div>
                 </div>
 
+                {/* Reporting Currency */}
+                <div>
+                  <label className="text-sm font-medium text-gray-700 dark:text-gray-300 block mb-2">
+                    Reporting Currency
+                  </label>
+                  <select
+                    value={reportingCurrency}
+                    onChange={e => setReportingCurrency(e.target.value)}
+                    className="w-full rounded-lg border-gray-300 text-sm focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    {reportingCurrencyOptions.map(code => (
+                      <option key={code} value={code}>{code}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    All amounts are converted to this currency so totals add up across venues and entities
+                  </p>
+                </div>
+
                 {/* Dry Run Option */}
                 <label className="flex items-center gap-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
                   <input
@@ -919,7 +1078,7 @@ export default function MetricsManagement() {
                           <FunnelIcon className="w-3 h-3" />
                           By Series Type
                         </p>
-                        <div className="grid grid-cols-3 gap-2 text-xs">
+                        <div className="grid grid-cols-4 gap-2 text-xs">
                           <div className="text-center">
                             <p className="font-medium text-gray-700">ALL</p>
                             <p className="text-gray-500">
@@ -938,6 +1097,12 @@ export default function MetricsManagement() {
                               {jobProgress.result.bySeriesType.REGULAR?.entity || 0} / {jobProgress.result.bySeriesType.REGULAR?.venue || 0}
                             </p>
                           </div>
+                          <div className="text-center">
+                            <p className="font-medium text-amber-700">HOLIDAY</p>
+                            <p className="text-gray-500">
+                              {jobProgress.result.bySeriesType.HOLIDAY?.entity || 0} / {jobProgress.result.bySeriesType.HOLIDAY?.venue || 0}
+                            </p>
+                          </div>
                         </div>
                       </div>
                     )}
@@ -1010,7 +1175,7 @@ export default function MetricsManagement() {
                 onClick={() => {
                   setScope('all');
                   setSelectedTimeRanges(['ALL', '12M', '6M', '3M', '1M']);
-                  setSelectedSeriesTypes(['ALL', 'SERIES', 'REGULAR']);
+                  setSelectedSeriesTypes(['ALL', 'SERIES', 'REGULAR', 'HOLIDAY']);
                   setIncludeEntityMetrics(true);
                   setIncludeVenueMetrics(true);
                   setIncludeRecurringGameMetrics(true);
@@ -1178,6 +1343,9 @@ export default function MetricsManagement() {
               </div>
             </div>
           </Card>
+
+          {/* FX Rates */}
+          <CurrencyRatesCard currencyRates={currencyRates} />
         </div>
       </div>
     </PageWrapper>
@@ -0,0 +1,546 @@
+// src/pages/settings/PlayerIdentity.tsx
+// Duplicate players (spelling and name order variants of one person) and
+// players that are really two people. Merges and splits re-point the
+// players' results, entries, tickets and venues, and leave identity rules
+// so later scrapes of those names land on the right player.
+// VERSION: 1.0.0
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  ArrowPathIcon,
+  ArrowsRightLeftIcon,
+  FingerPrintIcon,
+  MagnifyingGlassIcon,
+} from '@heroicons/react/24/outline';
+
+import { PageWrapper } from '@/components/layout/PageWrapper';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import { cx } from '@/lib/utils';
+import { formatAEST } from '@/utils/dateUtils';
+import { formatCurrency } from '@/utils/generalHelpers';
+import { useEntity } from '@/contexts/EntityContext';
+import {
+  playerDisplayName,
+  usePlayerIdentity,
+  type IdentityPlayer,
+  type IdentityPlayerGame,
+  type MergePlayersResult,
+  type SplitPlayerResult,
+} from '@/hooks/usePlayerIdentity';
+
+const REASON_LABELS: Record<string, string> = {
+  SAME_NAME: 'Same name',
+  NAME_ORDER: 'Name order',
+  SPELLING: 'Spelling',
+  INITIAL: 'Initial',
+  SHARED_VENUE: 'Same venues',
+};
+
+const SCORE_OPTIONS = [0.7, 0.8, 0.9];
+
+const ScoreBadge: React.FC<{ score: number }> = ({ score }) => (
+  <span
+    className={cx(
+      'px-2 py-0.5 text-xs font-medium rounded-full whitespace-nowrap',
+      score >= 0.9 ? 'bg-green-100 text-green-800' : score >= 0.8 ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-100 text-gray-700'
+    )}
+  >
+    {Math.round(score * 100)}%
+  </span>
+);
+
+const PlayerLink: React.FC<{ id: string; name: string }> = ({ id, name }) => (
+  <Link to={`/players/profile/${id}`} className="text-indigo-600 hover:underline">{name}</Link>
+);
+
+// Search box + result list for picking a player
+const PlayerPicker: React.FC<{
+  search: (term: string) => Promise<IdentityPlayer[]>;
+  onPick: (player: IdentityPlayer) => void;
+  excludeId?: string | null;
+  placeholder: string;
+}> = ({ search, onPick, excludeId, placeholder }) => {
+  const [term, setTerm] = useState('');
+  const [results, setResults] = useState<IdentityPlayer[]>([]);
+  const [searching, setSearching] = useState(false);
+
+  const runSearch = async () => {
+    setSearching(true);
+    setResults(await search(term));
+    setSearching(false);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={term}
+          onChange={e => setTerm(e.target.value)}
+          onKeyDown={e => e.key === 'Enter' && runSearch()}
+          placeholder={placeholder}
+          className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md"
+        />
+        <Button variant="secondary" size="sm" onClick={runSearch} disabled={searching || term.trim().length < 2}>
+          <MagnifyingGlassIcon className="w-4 h-4" />
+        </Button>
+      </div>
+      {results.filter(p => p.id !== excludeId).length > 0 && (
+        <ul className="max-h-48 overflow-y-auto border border-gray-200 rounded-md divide-y divide-gray-100">
+          {results.filter(p => p.id !== excludeId).map(player => (
+            <li key={player.id}>
+              <button
+                type="button"
+                onClick={() => {
+                  onPick(player);
+                  setResults([]);
+                  setTerm('');
+                }}
+                className="w-full px-3 py-2 text-left text-sm hover:bg-gray-50 flex justify-between"
+              >
+                <span className="text-gray-900">{playerDisplayName(player)}</span>
+                <span className="text-xs text-gray-500">
+                  {player.lastPlayedDate ? `last played ${formatAEST(player.lastPlayedDate)}` : ''}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+interface PendingMerge {
+  survivor: { id: string; name: string };
+  duplicate: { id: string; name: string };
+  preview: MergePlayersResult | null;
+}
+
+export const PlayerIdentity: React.FC = () => {
+  const { currentEntity } = useEntity();
+  const entityId = currentEntity?.id;
+  const {
+    candidates,
+    scanSummary,
+    loading,
+    saving,
+    error,
+    findDuplicates,
+    mergePlayers,
+    splitPlayer,
+    searchPlayers,
+    loadPlayerGames,
+  } = usePlayerIdentity(entityId);
+
+  const [minScore, setMinScore] = useState(0.8);
+  const [pendingMerge, setPendingMerge] = useState<PendingMerge | null>(null);
+  const [mergeNotes, setMergeNotes] = useState('');
+  const [lastResult, setLastResult] = useState<string | null>(null);
+
+  const [player, setPlayer] = useState<IdentityPlayer | null>(null);
+  const [games, setGames] = useState<IdentityPlayerGame[]>([]);
+  const [gamesLoading, setGamesLoading] = useState(false);
+  const [selectedGames, setSelectedGames] = useState<Set<string>>(new Set());
+  const [splitTarget, setSplitTarget] = useState<IdentityPlayer | null>(null);
+  const [newPlayerName, setNewPlayerName] = useState('');
+  const [routeVenueId, setRouteVenueId] = useState('');
+  const [splitPreview, setSplitPreview] = useState<SplitPlayerResult | null>(null);
+
+  useEffect(() => {
+    setSelectedGames(new Set());
+    setSplitTarget(null);
+    setRouteVenueId('');
+    setNewPlayerName(player ? playerDisplayName(player) : '');
+    if (!player) {
+      setGames([]);
+      return;
+    }
+    let cancelled = false;
+    setGamesLoading(true);
+    loadPlayerGames(player.id).then(result => {
+      if (!cancelled) {
+        setGames(result);
+        setGamesLoading(false);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [player, loadPlayerGames]);
+
+  // Venues of the selected games - later games there can follow the split
+  const selectedVenues = useMemo(() => {
+    const venues = new Map<string, string>();
+    games.forEach(game => {
+      if (selectedGames.has(game.gameId) && game.venueId) venues.set(game.venueId, game.venueName || game.venueId);
+    });
+    return [...venues.entries()];
+  }, [games, selectedGames]);
+
+  const openMerge = async (survivor: PendingMerge['survivor'], duplicate: PendingMerge['duplicate']) => {
+    setLastResult(null);
+    setMergeNotes('');
+    setPendingMerge({ survivor, duplicate, preview: null });
+    const preview = await mergePlayers(survivor.id, [duplicate.id], true);
+    setPendingMerge(prev => (prev && prev.duplicate.id === duplicate.id ? { ...prev, preview } : prev));
+  };
+
+  const confirmMerge = async () => {
+    if (!pendingMerge) return;
+    const result = await mergePlayers(pendingMerge.survivor.id, [pendingMerge.duplicate.id], false, mergeNotes.trim());
+    if (result?.success) {
+      setLastResult(
+        `${pendingMerge.duplicate.name} merged into ${pendingMerge.survivor.name} - ${result.resultsMoved} results, ${result.entriesMoved} entries moved`
+      );
+      setPendingMerge(null);
+    } else if (result) {
+      setPendingMerge(prev => (prev ? { ...prev, preview: result } : prev));
+    }
+  };
+
+  const toggleGame = (gameId: string) => {
+    setSelectedGames(prev => {
+      const next = new Set(prev);
+      if (next.has(gameId)) next.delete(gameId);
+      else next.add(gameId);
+      return next;
+    });
+  };
+
+  const splitInput = () => ({
+    playerId: player!.id,
+    gameIds: [...selectedGames],
+    newPlayerName: splitTarget ? null : newPlayerName.trim(),
+    targetPlayerId: splitTarget?.id || null,
+    venueId: routeVenueId || null,
+  });
+
+  const previewSplit = async () => {
+    if (!player) return;
+    setLastResult(null);
+    setSplitPreview(await splitPlayer(splitInput(), true));
+  };
+
+  const confirmSplit = async () => {
+    if (!player) return;
+    const result = await splitPlayer(splitInput(), false);
+    if (result?.success) {
+      setLastResult(`${result.resultsMoved} games moved from ${playerDisplayName(player)} to ${result.targetPlayerName}`);
+      setSplitPreview(null);
+      setGames(await loadPlayerGames(player.id));
+      setSelectedGames(new Set());
+    } else if (result) {
+      setSplitPreview(result);
+    }
+  };
+
+  if (!entityId) {
+    return (
+      <PageWrapper title="Player Identity">
+        <p className="text-sm text-gray-500">Select an entity to manage its players.</p>
+      </PageWrapper>
+    );
+  }
+
+  return (
+    <PageWrapper title="Player Identity">
+      <div className="space-y-6">
+        {lastResult && (
+          <div className="p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">{lastResult}</div>
+        )}
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <Card>
+          <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50 flex items-center gap-2">
+                <FingerPrintIcon className="w-4 h-4 text-gray-500" />
+                Possible Duplicates
+              </h3>
+              <p className="text-xs text-gray-500 mt-1">
+                Players of {currentEntity?.entityName} with near-identical names who never played the same game
+                {scanSummary && ` (${scanSummary.playersScanned} players checked, ${scanSummary.excludedPlayedTogether} similar pairs played together)`}
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <select
+                value={minScore}
+                onChange={e => {
+                  const value = Number(e.target.value);
+                  setMinScore(value);
+                  findDuplicates(value);
+                }}
+                className="px-2 py-1 text-xs border border-gray-300 rounded-md"
+              >
+                {SCORE_OPTIONS.map(score => (
+                  <option key={score} value={score}>{Math.round(score * 100)}%+ match</option>
+                ))}
+              </select>
+              <Button variant="ghost" size="sm" onClick={() => findDuplicates()} disabled={loading}>
+                <ArrowPathIcon className={cx('w-4 h-4', loading && 'animate-spin')} />
+              </Button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            {candidates.length === 0 ? (
+              <p className="p-4 text-sm text-gray-500">{loading ? 'Checking players...' : 'No likely duplicates.'}</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Keep</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Merge In</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Match</th>
+                    <th className="px-3 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {candidates.map(candidate => {
+                    const keep = { id: candidate.playerId, name: candidate.playerName };
+                    const drop = { id: candidate.duplicatePlayerId, name: candidate.duplicateName };
+                    return (
+                      <tr key={`${candidate.playerId}-${candidate.duplicatePlayerId}`}>
+                        <td className="px-3 py-2">
+                          <PlayerLink id={keep.id} name={keep.name} />
+                          <p className="text-xs text-gray-500">
+                            {candidate.gamesPlayed} games{candidate.lastPlayed && `, last ${formatAEST(candidate.lastPlayed)}`}
+                          </p>
+                        </td>
+                        <td className="px-3 py-2">
+                          <PlayerLink id={drop.id} name={drop.name} />
+                          <p className="text-xs text-gray-500">
+                            {candidate.duplicateGamesPlayed} games{candidate.duplicateLastPlayed && `, last ${formatAEST(candidate.duplicateLastPlayed)}`}
+                          </p>
+                        </td>
+                        <td className="px-3 py-2">
+                          <div className="flex items-center gap-2">
+                            <ScoreBadge score={candidate.score} />
+                            <span className="text-xs text-gray-600">
+                              {candidate.reasons.map(reason => REASON_LABELS[reason] || reason).join(', ')}
+                            </span>
+                          </div>
+                        </td>
+                        <td className="px-3 py-2 text-right whitespace-nowrap">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => openMerge(drop, keep)}
+                            disabled={saving}
+                            title={`Keep ${drop.name} instead`}
+                          >
+                            <ArrowsRightLeftIcon className="w-4 h-4" />
+                          </Button>
+                          <Button size="sm" variant="secondary" onClick={() => openMerge(keep, drop)} disabled={saving}>
+                            Merge
+                          </Button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </Card>
+
+        <Card>
+          <div className="p-4 border-b border-gray-100 dark:border-gray-800">
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50">Player Tools</h3>
+            <p className="text-xs text-gray-500 mt-1">
+              Merge a duplicate the search above missed, or move games that belong to a different person with the same name
+            </p>
+          </div>
+          <div className="p-4 space-y-4">
+            {!player ? (
+              <PlayerPicker search={searchPlayers} onPick={setPlayer} placeholder="Find a player..." />
+            ) : (
+              <div className="flex items-center justify-between">
+                <div>
+                  <PlayerLink id={player.id} name={playerDisplayName(player)} />
+                  <p className="text-xs text-gray-500">{games.length} games</p>
+                </div>
+                <Button variant="ghost" size="sm" onClick={() => setPlayer(null)}>Change</Button>
+              </div>
+            )}
+
+            {player && (
+              <>
+                <div className="space-y-2">
+                  <h4 className="text-xs font-medium text-gray-500 uppercase">Merge another player into this one</h4>
+                  <PlayerPicker
+                    search={searchPlayers}
+                    excludeId={player.id}
+                    onPick={duplicate => openMerge(
+                      { id: player.id, name: playerDisplayName(player) },
+                      { id: duplicate.id, name: playerDisplayName(duplicate) }
+                    )}
+                    placeholder="Find the duplicate..."
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <h4 className="text-xs font-medium text-gray-500 uppercase">Split games off to another player</h4>
+                  {games.length === 0 ? (
+                    <p className="text-sm text-gray-500">{gamesLoading ? 'Loading games...' : 'No games.'}</p>
+                  ) : (
+                    <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-md">
+                      <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <tbody className="divide-y divide-gray-100">
+                          {games.map(game => (
+                            <tr
+                              key={game.id}
+                              className={cx('cursor-pointer hover:bg-gray-50', selectedGames.has(game.gameId) && 'bg-indigo-50/50')}
+                              onClick={() => toggleGame(game.gameId)}
+                            >
+                              <td className="px-3 py-1.5 w-8" onClick={e => e.stopPropagation()}>
+                                <input type="checkbox" checked={selectedGames.has(game.gameId)} onChange={() => toggleGame(game.gameId)} />
+                              </td>
+                              <td className="px-3 py-1.5 text-gray-900">
+                                {game.gameName || game.gameId}
+                                <p className="text-xs text-gray-500">
+                                  {formatAEST(game.gameStartDateTime, { includeDay: true, shortDay: true })}
+                                  {game.venueName && ` · ${game.venueName}`}
+                                </p>
+                              </td>
+                              <td className="px-3 py-1.5 text-right text-gray-600 whitespace-nowrap">
+                                {game.finishingPlace ? `#${game.finishingPlace}` : '-'}
+                                {game.amountWon ? ` · ${formatCurrency(game.amountWon)}` : ''}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  {selectedGames.size > 0 && (
+                    <div className="p-3 bg-indigo-50 border border-indigo-100 rounded-lg space-y-3">
+                      <p className="text-sm text-indigo-900">{selectedGames.size} games selected. Move them to:</p>
+                      {splitTarget ? (
+                        <div className="flex items-center justify-between text-sm">
+                          <span>Existing player <PlayerLink id={splitTarget.id} name={playerDisplayName(splitTarget)} /></span>
+                          <Button variant="ghost" size="sm" onClick={() => setSplitTarget(null)}>Use a new player</Button>
+                        </div>
+                      ) : (
+                        <div className="space-y-2">
+                          <input
+                            type="text"
+                            value={newPlayerName}
+                            onChange={e => setNewPlayerName(e.target.value)}
+                            placeholder="New player's name"
+                            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                          />
+                          <PlayerPicker
+                            search={searchPlayers}
+                            excludeId={player.id}
+                            onPick={setSplitTarget}
+                            placeholder="...or find an existing player"
+                          />
+                        </div>
+                      )}
+                      {selectedVenues.length > 0 && (
+                        <label className="block text-sm text-gray-700">
+                          Later games under this name
+                          <select
+                            value={routeVenueId}
+                            onChange={e => setRouteVenueId(e.target.value)}
+                            className="mt-1 w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+                          >
+                            <option value="">stay with {playerDisplayName(player)}</option>
+                            {selectedVenues.map(([venueId, venueName]) => (
+                              <option key={venueId} value={venueId}>go to the new player when played at {venueName}</option>
+                            ))}
+                          </select>
+                        </label>
+                      )}
+                      <div className="flex justify-end">
+                        <Button
+                          size="sm"
+                          onClick={previewSplit}
+                          disabled={saving || (!splitTarget && !newPlayerName.trim())}
+                        >
+                          Split...
+                        </Button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </Card>
+      </div>
+
+      <Modal
+        isOpen={!!pendingMerge}
+        onClose={() => setPendingMerge(null)}
+        title={pendingMerge ? `Merge ${pendingMerge.duplicate.name} into ${pendingMerge.survivor.name}` : ''}
+        maxWidth="lg"
+      >
+        {pendingMerge && (
+          <div className="space-y-4">
+            {!pendingMerge.preview ? (
+              <p className="text-sm text-gray-500">{saving ? 'Checking...' : 'Could not preview the merge.'}</p>
+            ) : pendingMerge.preview.success ? (
+              <p className="text-sm text-gray-600">
+                Moves {pendingMerge.preview.resultsMoved} results, {pendingMerge.preview.entriesMoved} entries,{' '}
+                {pendingMerge.preview.ticketsMoved} tickets and {pendingMerge.preview.transactionsMoved} transactions
+                to {pendingMerge.survivor.name} and rebuilds their stats. Later scrapes of {pendingMerge.duplicate.name}
+                {' '}will land on {pendingMerge.survivor.name}.
+              </p>
+            ) : (
+              <p className="text-sm text-red-700">{pendingMerge.preview.error}</p>
+            )}
+
+            <textarea
+              value={mergeNotes}
+              onChange={e => setMergeNotes(e.target.value)}
+              placeholder="Notes (optional)"
+              rows={2}
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+            />
+
+            <div className="flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setPendingMerge(null)} disabled={saving}>Cancel</Button>
+              <Button onClick={confirmMerge} disabled={saving || !pendingMerge.preview?.success}>
+                {saving ? 'Merging...' : 'Merge'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <Modal isOpen={!!splitPreview} onClose={() => setSplitPreview(null)} title="Split player" maxWidth="lg">
+        {splitPreview && player && (
+          <div className="space-y-4">
+            {splitPreview.success ? (
+              <p className="text-sm text-gray-600">
+                Moves {splitPreview.resultsMoved} results, {splitPreview.entriesMoved} entries,{' '}
+                {splitPreview.ticketsMoved} tickets and {splitPreview.transactionsMoved} transactions from{' '}
+                {playerDisplayName(player)} to {splitPreview.targetPlayerId ? '' : 'a new player, '}{splitPreview.targetPlayerName},
+                and rebuilds both players' stats.
+              </p>
+            ) : (
+              <p className="text-sm text-red-700">{splitPreview.error}</p>
+            )}
+            <div className="flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setSplitPreview(null)} disabled={saving}>Cancel</Button>
+              <Button onClick={confirmSplit} disabled={saving || !splitPreview.success}>
+                {saving ? 'Splitting...' : 'Split'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </PageWrapper>
+  );
+};
+
+export default PlayerIdentity;
@@ -0,0 +1,460 @@
+// src/pages/settings/PlayerSegments.tsx
+// The entity's player lifecycle segments. Players are put in the first
+// segment (by priority) whose conditions they meet, when they play and again
+// every night, and each move between segments is kept for reporting.
+// VERSION: 1.0.0
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  ArrowPathIcon,
+  PencilSquareIcon,
+  PlusIcon,
+  TrashIcon,
+  UserGroupIcon,
+} from '@heroicons/react/24/outline';
+
+import { PageWrapper } from '@/components/layout/PageWrapper';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import { cx } from '@/lib/utils';
+import { useEntity } from '@/contexts/EntityContext';
+import {
+  DEFAULT_SEGMENTS,
+  usePlayerSegments,
+  type SegmentConditions,
+  type SegmentDefinition,
+  type SegmentDefinitionInput,
+  type SegmentLevel,
+  type SegmentMovement,
+  type SegmentTrigger,
+} from '@/hooks/usePlayerSegments';
+
+const TARGETING_OPTIONS = [
+  'Active_EL',
+  'Active',
+  'Retain_Inactive31_60d',
+  'Retain_Inactive61_90d',
+  'Churned_91_120d',
+  'Churned_121_180d',
+  'Churned_181_360d',
+  'Churned_361d',
+];
+
+const PERIOD_OPTIONS = [7, 30, 90];
+
+const CONDITION_FIELDS: { label: string; min: keyof SegmentConditions; max: keyof SegmentConditions; step: string }[] = [
+  { label: 'Days since last played', min: 'minDaysSinceLastPlayed', max: 'maxDaysSinceLastPlayed', step: '1' },
+  { label: 'Games per month', min: 'minGamesPerMonth', max: 'maxGamesPerMonth', step: '0.1' },
+  { label: 'Average buy-in ($)', min: 'minAverageBuyIn', max: 'maxAverageBuyIn', step: '1' },
+  { label: 'Venues played', min: 'minVenueCount', max: 'maxVenueCount', step: '1' },
+];
+
+const TRIGGER_LABELS: Record<SegmentTrigger, string> = {
+  GAME: 'Played',
+  NIGHTLY: 'Nightly',
+  MANUAL: 'Manual',
+};
+
+type FormState = Record<string, string | boolean>;
+
+const range = (min: number | null | undefined, max: number | null | undefined, format: (v: number) => string) => {
+  const hasMin = min !== null && min !== undefined;
+  const hasMax = max !== null && max !== undefined;
+  if (hasMin && hasMax) return `${format(min)}–${format(max)}`;
+  if (hasMin) return `≥ ${format(min)}`;
+  if (hasMax) return `≤ ${format(max)}`;
+  return null;
+};
+
+const describeConditions = (definition: SegmentDefinitionInput): string => {
+  const parts = [
+    range(definition.minDaysSinceLastPlayed, definition.maxDaysSinceLastPlayed, v => `${v}d`),
+    range(definition.minGamesPerMonth, definition.maxGamesPerMonth, v => `${v}`),
+    range(definition.minAverageBuyIn, definition.maxAverageBuyIn, v => `$${v}`),
+    range(definition.minVenueCount, definition.maxVenueCount, v => `${v}`),
+  ];
+  const labels = ['last played', 'games/month', 'avg buy-in', 'venues'];
+  const described = parts
+    .map((part, i) => (part ? `${labels[i]} ${part}` : null))
+    .filter(Boolean);
+  return described.length > 0 ? described.join(' · ') : 'Everyone else';
+};
+
+const toForm = (definition: SegmentDefinitionInput | null, nextPriority: number): FormState => {
+  const form: FormState = {
+    name: definition?.name || '',
+    description: definition?.description || '',
+    priority: String(definition?.priority ?? nextPriority),
+    isActive: definition?.isActive !== false,
+    targetingClassification: definition?.targetingClassification || '',
+  };
+  CONDITION_FIELDS.forEach(({ min, max }) => {
+    form[min] = definition?.[min] != null ? String(definition[min]) : '';
+    form[max] = definition?.[max] != null ? String(definition[max]) : '';
+  });
+  return form;
+};
+
+const fromForm = (form: FormState): SegmentDefinitionInput => {
+  const number = (key: string) => (form[key] === '' ? null : Number(form[key]));
+  const input: SegmentDefinitionInput = {
+    name: String(form.name).trim(),
+    description: String(form.description).trim() || null,
+    priority: Number(form.priority) || 0,
+    isActive: !!form.isActive,
+    targetingClassification: String(form.targetingClassification) || null,
+  };
+  CONDITION_FIELDS.forEach(({ min, max }) => {
+    input[min] = number(min);
+    input[max] = number(max);
+  });
+  return input;
+};
+
+export const PlayerSegments: React.FC = () => {
+  const { currentEntity } = useEntity();
+  const entityId = currentEntity?.id;
+  const {
+    definitions,
+    loading,
+    saving,
+    error,
+    refresh,
+    saveDefinition,
+    deleteDefinition,
+    createDefaults,
+    reclassify,
+    loadMovements,
+  } = usePlayerSegments(entityId);
+
+  const [editing, setEditing] = useState<SegmentDefinition | 'new' | null>(null);
+  const [form, setForm] = useState<FormState>({});
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const [periodDays, setPeriodDays] = useState(30);
+  const [level, setLevel] = useState<SegmentLevel>('PLAYER');
+  const [movements, setMovements] = useState<SegmentMovement[]>([]);
+  const [movementsLoading, setMovementsLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setMovementsLoading(true);
+    loadMovements(periodDays).then(result => {
+      if (!cancelled) {
+        setMovements(result);
+        setMovementsLoading(false);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [loadMovements, periodDays]);
+
+  // from → to counts, most common first
+  const movementRows = useMemo(() => {
+    const rows = new Map<string, { from: string; to: string; total: number; byTrigger: Record<string, number> }>();
+    movements
+      .filter(movement => movement.level === level)
+      .forEach(movement => {
+        const from = movement.fromSegmentName || '-';
+        const to = movement.toSegmentName || '-';
+        const key = `${from}|${to}`;
+        const row = rows.get(key) || { from, to, total: 0, byTrigger: {} };
+        row.total++;
+        row.byTrigger[movement.trigger] = (row.byTrigger[movement.trigger] || 0) + 1;
+        rows.set(key, row);
+      });
+    return [...rows.values()].sort((a, b) => b.total - a.total);
+  }, [movements, level]);
+
+  const nextPriority = definitions.length > 0 ? definitions[definitions.length - 1].priority + 10 : 10;
+
+  const openEditor = (definition: SegmentDefinition | 'new') => {
+    setForm(toForm(definition === 'new' ? null : definition, nextPriority));
+    setEditing(definition);
+  };
+
+  const handleSave = async () => {
+    if (!editing) return;
+    const saved = await saveDefinition(fromForm(form), editing === 'new' ? null : editing);
+    if (saved) {
+      setEditing(null);
+      setNotice('Saved. Players move to the new segments tonight, or reclassify now.');
+    }
+  };
+
+  const handleDelete = async (definition: SegmentDefinition) => {
+    if (!window.confirm(`Delete segment "${definition.name}"?`)) return;
+    await deleteDefinition(definition);
+  };
+
+  const handleReclassify = async () => {
+    const message = await reclassify();
+    if (message) setNotice(message);
+  };
+
+  const setField = (key: string, value: string | boolean) => setForm(prev => ({ ...prev, [key]: value }));
+
+  if (!entityId) {
+    return (
+      <PageWrapper title="Player Segments">
+        <p className="text-sm text-gray-500">Select an entity to manage its segments.</p>
+      </PageWrapper>
+    );
+  }
+
+  const usingDefaults = !loading && definitions.length === 0;
+  const rows: (SegmentDefinitionInput & { id?: string })[] = usingDefaults ? DEFAULT_SEGMENTS : definitions;
+
+  return (
+    <PageWrapper title="Player Segments">
+      <div className="space-y-6">
+        {notice && (
+          <div className="p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">{notice}</div>
+        )}
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+        )}
+
+        <Card>
+          <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50 flex items-center gap-2">
+                <UserGroupIcon className="w-4 h-4 text-gray-500" />
+                Segments
+              </h3>
+              <p className="text-xs text-gray-500 mt-1">
+                Checked top to bottom - a player is in the first segment whose conditions they meet.
+                Games per month counts from the player's first game, so it drops while they stay away.
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <Button variant="ghost" size="sm" onClick={refresh} disabled={loading}>
+                <ArrowPathIcon className={cx('w-4 h-4', loading && 'animate-spin')} />
+              </Button>
+              <Button variant="secondary" size="sm" onClick={handleReclassify} disabled={saving}>
+                Reclassify now
+              </Button>
+              {!usingDefaults && (
+                <Button size="sm" onClick={() => openEditor('new')} disabled={saving}>
+                  <PlusIcon className="w-4 h-4 mr-1" />
+                  Add
+                </Button>
+              )}
+            </div>
+          </div>
+
+          {usingDefaults && (
+            <div className="p-4 bg-gray-50 border-b border-gray-100 flex items-center justify-between gap-3">
+              <p className="text-sm text-gray-600">
+                {currentEntity?.entityName} uses the default day buckets below.
+              </p>
+              <Button size="sm" onClick={createDefaults} disabled={saving}>Customise</Button>
+            </div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase w-16">Order</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Segment</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Conditions</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Targeting</th>
+                  <th className="px-3 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {rows.map(definition => {
+                  const saved = definition.id ? (definition as SegmentDefinition) : null;
+                  return (
+                    <tr key={saved?.id || definition.name} className={cx(definition.isActive === false && 'opacity-50')}>
+                      <td className="px-3 py-2 text-gray-500">{definition.priority}</td>
+                      <td className="px-3 py-2">
+                        <span className="font-medium text-gray-900">{definition.name}</span>
+                        {definition.isActive === false && <span className="ml-2 text-xs text-gray-500">(off)</span>}
+                        {definition.description && <p className="text-xs text-gray-500">{definition.description}</p>}
+                      </td>
+                      <td className="px-3 py-2 text-gray-600">{describeConditions(definition)}</td>
+                      <td className="px-3 py-2 text-xs text-gray-500">{definition.targetingClassification || '-'}</td>
+                      <td className="px-3 py-2 text-right whitespace-nowrap">
+                        {saved && (
+                          <>
+                            <Button variant="ghost" size="sm" onClick={() => openEditor(saved)} disabled={saving}>
+                              <PencilSquareIcon className="w-4 h-4" />
+                            </Button>
+                            <Button variant="ghost" size="sm" onClick={() => handleDelete(saved)} disabled={saving}>
+                              <TrashIcon className="w-4 h-4" />
+                            </Button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+
+        <Card>
+          <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50">Movement</h3>
+              <p className="text-xs text-gray-500 mt-1">Players changing segment, by what moved them</p>
+            </div>
+            <div className="flex items-center gap-2">
+              <select
+                value={level}
+                onChange={e => setLevel(e.target.value as SegmentLevel)}
+                className="px-2 py-1 text-xs border border-gray-300 rounded-md"
+              >
+                <option value="PLAYER">Across venues</option>
+                <option value="VENUE">Per venue</option>
+              </select>
+              <select
+                value={periodDays}
+                onChange={e => setPeriodDays(Number(e.target.value))}
+                className="px-2 py-1 text-xs border border-gray-300 rounded-md"
+              >
+                {PERIOD_OPTIONS.map(days => (
+                  <option key={days} value={days}>Last {days} days</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            {movementRows.length === 0 ? (
+              <p className="p-4 text-sm text-gray-500">{movementsLoading ? 'Loading...' : 'No movement in this period.'}</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">From</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">To</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Players</th>
+                    {(Object.keys(TRIGGER_LABELS) as SegmentTrigger[]).map(trigger => (
+                      <th key={trigger} className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">
+                        {TRIGGER_LABELS[trigger]}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {movementRows.map(row => (
+                    <tr key={`${row.from}|${row.to}`}>
+                      <td className="px-3 py-2 text-gray-700">{row.from}</td>
+                      <td className="px-3 py-2 text-gray-900 font-medium">{row.to}</td>
+                      <td className="px-3 py-2 text-right text-gray-900">{row.total}</td>
+                      {(Object.keys(TRIGGER_LABELS) as SegmentTrigger[]).map(trigger => (
+                        <td key={trigger} className="px-3 py-2 text-right text-gray-500">{row.byTrigger[trigger] || '-'}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </Card>
+      </div>
+
+      <Modal
+        isOpen={!!editing}
+        onClose={() => setEditing(null)}
+        title={editing === 'new' ? 'Add segment' : 'Edit segment'}
+        maxWidth="lg"
+      >
+        {editing && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-3 gap-3">
+              <label className="col-span-2 block text-sm text-gray-700">
+                Name
+                <input
+                  type="text"
+                  value={String(form.name)}
+                  onChange={e => setField('name', e.target.value)}
+                  className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                />
+              </label>
+              <label className="block text-sm text-gray-700">
+                Order
+                <input
+                  type="number"
+                  value={String(form.priority)}
+                  onChange={e => setField('priority', e.target.value)}
+                  className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                />
+              </label>
+            </div>
+            <label className="block text-sm text-gray-700">
+              Description
+              <input
+                type="text"
+                value={String(form.description)}
+                onChange={e => setField('description', e.target.value)}
+                className="mt-1 w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+              />
+            </label>
+
+            <div className="space-y-2">
+              <p className="text-xs text-gray-500">Leave a box empty for no limit</p>
+              {CONDITION_FIELDS.map(({ label, min, max, step }) => (
+                <div key={min} className="grid grid-cols-3 gap-3 items-center">
+                  <span className="text-sm text-gray-700">{label}</span>
+                  <input
+                    type="number"
+                    step={step}
+                    min="0"
+                    placeholder="min"
+                    value={String(form[min])}
+                    onChange={e => setField(min, e.target.value)}
+                    className="px-3 py-1.5 text-sm border border-gray-300 rounded-md"
+                  />
+                  <input
+                    type="number"
+                    step={step}
+                    min="0"
+                    placeholder="max"
+                    value={String(form[max])}
+                    onChange={e => setField(max, e.target.value)}
+                    className="px-3 py-1.5 text-sm border border-gray-300 rounded-md"
+                  />
+                </div>
+              ))}
+            </div>
+
+            <label className="block text-sm text-gray-700">
+              Targeting classification
+              <select
+                value={String(form.targetingClassification)}
+                onChange={e => setField('targetingClassification', e.target.value)}
+                className="mt-1 w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md"
+              >
+                <option value="">By days since last played</option>
+                {TARGETING_OPTIONS.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            </label>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={!!form.isActive} onChange={e => setField('isActive', e.target.checked)} />
+              Active
+            </label>
+
+            <div className="flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+              <Button onClick={handleSave} disabled={saving || !String(form.name).trim()}>
+                {saving ? 'Saving...' : 'Save'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </PageWrapper>
+  );
+};
+
+export default PlayerSegments;
@@ -0,0 +1,459 @@
+// src/pages/settings/ReviewQueue.tsx
+// Resolver decisions the enricher wasn't sure about (venue, series, satellite,
+// recurring game), resolved in bulk. Overrides and rejections become sticky
+// rules for later games; the rules are listed below the queue.
+// VERSION: 1.0.0
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  ArrowPathIcon,
+  CheckIcon,
+  ClipboardDocumentCheckIcon,
+  PencilSquareIcon,
+  XMarkIcon,
+} from '@heroicons/react/24/outline';
+
+import { PageWrapper } from '@/components/layout/PageWrapper';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Modal } from '@/components/ui/Modal';
+import { cx } from '@/lib/utils';
+import { formatAEST } from '@/utils/dateUtils';
+import { useEntity } from '@/contexts/EntityContext';
+import {
+  RESOLVERS,
+  useResolutionReviews,
+  type ResolutionResolver,
+  type ResolutionReview,
+  type ResolutionReviewAction,
+  type ResolutionTarget,
+} from '@/hooks/useResolutionReviews';
+
+const RESOLVER_LABELS: Record<ResolutionResolver, string> = {
+  VENUE: 'Venue',
+  SERIES: 'Series',
+  SATELLITE: 'Satellite target',
+  RECURRING: 'Recurring game',
+};
+
+const ACTION_LABELS: Record<ResolutionReviewAction, string> = {
+  ACCEPT: 'Accept',
+  OVERRIDE: 'Override',
+  REJECT: 'Reject',
+};
+
+const REJECT_HINTS: Record<ResolutionResolver, string> = {
+  VENUE: 'leaves the venue unassigned',
+  SERIES: 'marks the games as not part of a series',
+  SATELLITE: 'clears the satellite target',
+  RECURRING: 'marks the games as not recurring',
+};
+
+const ConfidenceBadge: React.FC<{ confidence?: number | null }> = ({ confidence }) => {
+  const value = confidence ?? 0;
+  return (
+    <span
+      className={cx(
+        'px-2 py-0.5 text-xs font-medium rounded-full whitespace-nowrap',
+        value >= 0.8 ? 'bg-green-100 text-green-800' : value >= 0.5 ? 'bg-yellow-100 text-yellow-800' : 'bg-red-100 text-red-700'
+      )}
+    >
+      {Math.round(value * 100)}%
+    </span>
+  );
+};
+
+interface PendingAction {
+  action: ResolutionReviewAction;
+  resolver: ResolutionResolver;
+  reviewIds: string[];
+}
+
+export const ReviewQueue: React.FC = () => {
+  const { currentEntity } = useEntity();
+  const entityId = currentEntity?.id;
+  const { reviews, rules, loading, saving, error, refresh, resolveReviews, setRuleActive, loadTargets } =
+    useResolutionReviews(entityId);
+
+  const [resolverFilter, setResolverFilter] = useState<ResolutionResolver | 'ALL'>('ALL');
+  const [selected, setSelected] = useState<Set<string>>(new Set());
+  const [pending, setPending] = useState<PendingAction | null>(null);
+  const [targets, setTargets] = useState<ResolutionTarget[]>([]);
+  const [targetId, setTargetId] = useState('');
+  const [targetSearch, setTargetSearch] = useState('');
+  const [createRule, setCreateRule] = useState(true);
+  const [notes, setNotes] = useState('');
+  const [lastResult, setLastResult] = useState<string | null>(null);
+  const [showInactiveRules, setShowInactiveRules] = useState(false);
+
+  const counts = useMemo(() => {
+    const byResolver: Record<string, number> = {};
+    reviews.forEach(review => {
+      byResolver[review.resolver] = (byResolver[review.resolver] || 0) + 1;
+    });
+    return byResolver;
+  }, [reviews]);
+
+  const visible = useMemo(
+    () => (resolverFilter === 'ALL' ? reviews : reviews.filter(review => review.resolver === resolverFilter)),
+    [reviews, resolverFilter]
+  );
+
+  // Drop selections that left the queue or the filter
+  useEffect(() => {
+    setSelected(prev => {
+      const ids = new Set(visible.map(review => review.id));
+      const next = new Set([...prev].filter(id => ids.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [visible]);
+
+  const selectedReviews = visible.filter(review => selected.has(review.id));
+  const selectedResolvers = [...new Set(selectedReviews.map(review => review.resolver))];
+  const singleResolver = selectedResolvers.length === 1 ? selectedResolvers[0] : null;
+
+  const toggle = (id: string) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(prev => (prev.size === visible.length ? new Set() : new Set(visible.map(review => review.id))));
+  };
+
+  const openAction = async (action: ResolutionReviewAction, reviewList: ResolutionReview[]) => {
+    const resolver = reviewList[0]?.resolver;
+    if (!resolver) return;
+
+    setPending({ action, resolver, reviewIds: reviewList.map(review => review.id) });
+    setCreateRule(action !== 'ACCEPT');
+    setNotes('');
+    setTargetSearch('');
+
+    if (action === 'OVERRIDE') {
+      // Start from the resolver's runner-up when there is one
+      setTargetId(reviewList.length === 1 ? reviewList[0].alternatives[0]?.id || '' : '');
+      setTargets(await loadTargets(resolver));
+    }
+  };
+
+  const closeAction = () => {
+    setPending(null);
+    setTargets([]);
+    setTargetId('');
+  };
+
+  const submitAction = async () => {
+    if (!pending) return;
+    const target = targets.find(t => t.id === targetId);
+
+    const result = await resolveReviews({
+      reviewIds: pending.reviewIds,
+      action: pending.action,
+      targetId: pending.action === 'OVERRIDE' ? targetId : null,
+      targetName: pending.action === 'OVERRIDE' ? target?.name || null : null,
+      createRule,
+      notes: notes.trim() || null,
+    });
+
+    if (result) {
+      setLastResult(
+        `${result.processed} resolved (${result.gamesUpdated} games updated, ${result.rulesCreated} rules)` +
+        (result.skipped > 0 ? `, ${result.skipped} already resolved` : '')
+      );
+      setSelected(new Set());
+      closeAction();
+    }
+  };
+
+  const filteredTargets = useMemo(() => {
+    if (!pending) return [];
+    const venueIds = new Set(
+      reviews.filter(review => pending.reviewIds.includes(review.id)).map(review => review.venueId).filter(Boolean)
+    );
+    const search = targetSearch.trim().toLowerCase();
+    return targets.filter(target =>
+      // Recurring games belong to a venue - only offer the reviewed games' venue(s)
+      (pending.resolver !== 'RECURRING' || !target.venueId || venueIds.has(target.venueId)) &&
+      (!search || target.name.toLowerCase().includes(search))
+    );
+  }, [pending, reviews, targets, targetSearch]);
+
+  const visibleRules = rules.filter(rule => showInactiveRules || rule.isActive);
+
+  if (!entityId) {
+    return (
+      <PageWrapper title="Review Queue">
+        <p className="text-sm text-gray-500">Select an entity to see its review queue.</p>
+      </PageWrapper>
+    );
+  }
+
+  return (
+    <PageWrapper title="Review Queue">
+      <div className="space-y-6">
+        <Card>
+          <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50 flex items-center gap-2">
+                <ClipboardDocumentCheckIcon className="w-4 h-4 text-gray-500" />
+                Pending Decisions
+              </h3>
+              <p className="text-xs text-gray-500 mt-1">
+                Matches the enricher made with low confidence, or couldn't make, for {currentEntity?.entityName}
+              </p>
+              {lastResult && <p className="text-xs text-green-700 mt-1">{lastResult}</p>}
+            </div>
+            <Button variant="ghost" size="sm" onClick={refresh} disabled={loading}>
+              <ArrowPathIcon className={cx('w-4 h-4', loading && 'animate-spin')} />
+            </Button>
+          </div>
+
+          <div className="px-4 pt-3 flex flex-wrap gap-2">
+            {(['ALL', ...RESOLVERS] as const).map(resolver => (
+              <button
+                key={resolver}
+                type="button"
+                onClick={() => setResolverFilter(resolver)}
+                className={cx(
+                  'px-3 py-1 text-xs font-medium rounded-full border',
+                  resolverFilter === resolver
+                    ? 'bg-indigo-600 border-indigo-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                )}
+              >
+                {resolver === 'ALL' ? 'All' : RESOLVER_LABELS[resolver]}
+                <span className="ml-1 opacity-75">{resolver === 'ALL' ? reviews.length : counts[resolver] || 0}</span>
+              </button>
+            ))}
+          </div>
+
+          {error && (
+            <div className="mx-4 mt-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+          )}
+
+          {selectedReviews.length > 0 && (
+            <div className="mx-4 mt-3 p-3 bg-indigo-50 border border-indigo-100 rounded-lg flex flex-wrap items-center gap-2">
+              <span className="text-sm text-indigo-900 mr-2">{selectedReviews.length} selected</span>
+              <Button size="sm" variant="secondary" onClick={() => openAction('ACCEPT', selectedReviews)} disabled={saving}>
+                <CheckIcon className="w-4 h-4 mr-1" /> Accept
+              </Button>
+              <Button
+                size="sm"
+                variant="secondary"
+                onClick={() => openAction('OVERRIDE', selectedReviews)}
+                disabled={saving || !singleResolver}
+                title={singleResolver ? undefined : 'Select reviews of one kind to override them together'}
+              >
+                <PencilSquareIcon className="w-4 h-4 mr-1" /> Override
+              </Button>
+              <Button
+                size="sm"
+                variant="destructive"
+                onClick={() => openAction('REJECT', selectedReviews)}
+                disabled={saving || !singleResolver}
+                title={singleResolver ? undefined : 'Select reviews of one kind to reject them together'}
+              >
+                <XMarkIcon className="w-4 h-4 mr-1" /> Reject
+              </Button>
+            </div>
+          )}
+
+          <div className="overflow-x-auto mt-3">
+            {visible.length === 0 ? (
+              <p className="p-4 text-sm text-gray-500">{loading ? 'Loading...' : 'Nothing waiting for review.'}</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 w-8">
+                      <input type="checkbox" checked={selected.size === visible.length} onChange={toggleAll} />
+                    </th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Game</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Resolver</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Picked</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Why</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Alternatives</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {visible.map(review => (
+                    <tr
+                      key={review.id}
+                      className={cx('cursor-pointer hover:bg-gray-50', selected.has(review.id) && 'bg-indigo-50/50')}
+                      onClick={() => toggle(review.id)}
+                    >
+                      <td className="px-3 py-2" onClick={e => e.stopPropagation()}>
+                        <input type="checkbox" checked={selected.has(review.id)} onChange={() => toggle(review.id)} />
+                      </td>
+                      <td className="px-3 py-2 text-gray-900">
+                        {review.gameName || review.gameId}
+                        <p className="text-xs text-gray-500">
+                          {review.gameStartDateTime ? formatAEST(review.gameStartDateTime, { includeDay: true, shortDay: true }) : '-'}
+                        </p>
+                      </td>
+                      <td className="px-3 py-2 text-gray-700 whitespace-nowrap">
+                        {RESOLVER_LABELS[review.resolver]}
+                        {review.decisionStatus && <p className="text-xs text-gray-400">{review.decisionStatus}</p>}
+                      </td>
+                      <td className="px-3 py-2">
+                        {review.targetId ? (
+                          <div className="flex items-center gap-2">
+                            <span className="text-gray-900">{review.targetName || review.targetId}</span>
+                            <ConfidenceBadge confidence={review.confidence} />
+                          </div>
+                        ) : (
+                          <span className="text-gray-400">No match</span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-xs text-gray-600">{(review.reasons || []).join(', ') || '-'}</td>
+                      <td className="px-3 py-2 text-xs text-gray-600">
+                        {review.alternatives.length > 0
+                          ? review.alternatives.map(alt => `${alt.name || alt.id}${alt.confidence != null ? ` (${Math.round(alt.confidence * 100)}%)` : ''}`).join(', ')
+                          : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </Card>
+
+        <Card>
+          <div className="p-4 border-b border-gray-100 dark:border-gray-800 flex items-center justify-between gap-3">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 dark:text-gray-50">Sticky Rules</h3>
+              <p className="text-xs text-gray-500 mt-1">
+                Applied before the resolvers run, to games whose normalized name (or scraped venue name) matches
+              </p>
+            </div>
+            <label className="flex items-center gap-2 text-xs text-gray-600">
+              <input type="checkbox" checked={showInactiveRules} onChange={e => setShowInactiveRules(e.target.checked)} />
+              Show inactive
+            </label>
+          </div>
+          {visibleRules.length === 0 ? (
+            <p className="p-4 text-sm text-gray-500">No rules yet. Overriding or rejecting a review creates one.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Resolver</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Matches</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Outcome</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Valid Until</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Used</th>
+                    <th className="px-3 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {visibleRules.map(rule => (
+                    <tr key={rule.id} className={cx(!rule.isActive && 'opacity-50')}>
+                      <td className="px-3 py-2 text-gray-700">{RESOLVER_LABELS[rule.resolver]}</td>
+                      <td className="px-3 py-2 text-gray-900 font-mono text-xs">{rule.matchKey}</td>
+                      <td className="px-3 py-2 text-gray-700">
+                        {rule.action === 'ASSIGN' ? `→ ${rule.targetName || rule.targetId}` : 'Reject'}
+                        {rule.createdBy && <p className="text-xs text-gray-400">by {rule.createdBy}</p>}
+                      </td>
+                      <td className="px-3 py-2 text-gray-600">{rule.validUntil || '-'}</td>
+                      <td className="px-3 py-2 text-right text-gray-600">
+                        {rule.timesApplied || 0}
+                        {rule.lastAppliedAt && <p className="text-xs text-gray-400">{formatAEST(rule.lastAppliedAt)}</p>}
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        <Button variant="ghost" size="sm" onClick={() => setRuleActive(rule, !rule.isActive)} disabled={saving}>
+                          {rule.isActive ? 'Deactivate' : 'Activate'}
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Card>
+      </div>
+
+      <Modal
+        isOpen={!!pending}
+        onClose={closeAction}
+        title={pending ? `${ACTION_LABELS[pending.action]} ${pending.reviewIds.length} ${RESOLVER_LABELS[pending.resolver].toLowerCase()} decision${pending.reviewIds.length === 1 ? '' : 's'}` : ''}
+        maxWidth="lg"
+      >
+        {pending && (
+          <div className="space-y-4">
+            {pending.action === 'ACCEPT' && (
+              <p className="text-sm text-gray-600">
+                Keeps what the enricher picked and marks it manually assigned. Reviews without a match are closed as they are.
+              </p>
+            )}
+            {pending.action === 'REJECT' && (
+              <p className="text-sm text-gray-600">Rejecting {REJECT_HINTS[pending.resolver]}.</p>
+            )}
+            {pending.action === 'OVERRIDE' && (
+              <div className="space-y-2">
+                <input
+                  type="text"
+                  value={targetSearch}
+                  onChange={e => setTargetSearch(e.target.value)}
+                  placeholder={`Search ${RESOLVER_LABELS[pending.resolver].toLowerCase()}s...`}
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+                />
+                <select
+                  value={targetId}
+                  onChange={e => setTargetId(e.target.value)}
+                  size={8}
+                  className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md"
+                >
+                  {filteredTargets.map(target => (
+                    <option key={target.id} value={target.id}>{target.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <label className="flex items-start gap-2 text-sm text-gray-700">
+              <input type="checkbox" className="mt-0.5" checked={createRule} onChange={e => setCreateRule(e.target.checked)} />
+              <span>
+                Remember this for future games
+                <span className="block text-xs text-gray-500">
+                  Later games with the same name{pending.resolver === 'VENUE' ? ' (scraped venue name)' : ''} resolve this way without review
+                  {(pending.resolver === 'SERIES' || pending.resolver === 'SATELLITE') && pending.action !== 'REJECT'
+                    ? ' until this edition of the series is over'
+                    : ''}
+                </span>
+              </span>
+            </label>
+
+            <textarea
+              value={notes}
+              onChange={e => setNotes(e.target.value)}
+              placeholder="Notes (optional)"
+              rows={2}
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md"
+            />
+
+            <div className="flex justify-end gap-2">
+              <Button variant="secondary" onClick={closeAction} disabled={saving}>Cancel</Button>
+              <Button
+                variant={pending.action === 'REJECT' ? 'destructive' : 'primary'}
+                onClick={submitAction}
+                disabled={saving || (pending.action === 'OVERRIDE' && !targetId)}
+              >
+                {saving ? 'Saving...' : ACTION_LABELS[pending.action]}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </PageWrapper>
+  );
+};
+
+export default ReviewQueue;
@@ -17,9 +17,9 @@ import {
   PencilIcon, 
   TrashIcon
 } from '@heroicons/react/24/outline';
-import { formatCurrency } from '../../utils/generalHelpers';
+import { formatCurrency, isCurrencyCode } from '../../utils/generalHelpers';
 
-type Venue = APITypes.Venue;
+type Venue = APITypes.Venue & { currency?: string | null; region?: string | null };
 type Entity = Pick<APITypes.Entity, 'id' | 'entityName'>;
 
 type SortDirection = 'asc' | 'desc';
@@ -245,7 +245,7 @@ const VenueManagement = () => {
     console.log('[VenueManagement] Logo value:', venueData.logo);
     
     try {
-      const { name, address, city, country, aliases, entityId, fee, logo } = venueData;
+      const { name, address, city, country, aliases, entityId, fee, currency, region, logo } = venueData;
 
       if (editingVenue) {
         const updateInput = {
@@ -258,6 +258,8 @@ const VenueManagement = () => {
           aliases: aliases.length > 0 ? aliases : null,
           entityId: entityId || null,
           fee: fee !== null && fee !== undefined ? fee : null,
+          currency: currency || null,
+          region: region || null,
           logo: logo || null,
           venueNumber: editingVenue.venueNumber
         };
@@ -279,6 +281,8 @@ const VenueManagement = () => {
           aliases: aliases.length > 0 ? aliases : null,
           entityId: entityId || null,
           fee: fee !== null && fee !== undefined ? fee : null,
+          currency: currency || null,
+          region: region || null,
           logo: logo || null,
           venueNumber: nextVenueNumber
         };
@@ -614,7 +618,9 @@ const VenueManagement = () => {
                     {/* Fee */}
                     <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500">
                       {venue.fee != null ? (
-                        <span className="font-medium text-gray-900">{formatCurrency(venue.fee)}</span>
+                        <span className="font-medium text-gray-900">
+                          {formatCurrency(venue.fee, isCurrencyCode(venue.currency) ? venue.currency : undefined)}
+                        </span>
                       ) : (
                         <span className="text-gray-400">Not set</span>
                       )}
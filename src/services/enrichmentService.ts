@@ -235,6 +235,7 @@ export const scrapedDataToEnrichInput = (
       gameFrequency: nullToUndefined(dataAsAny.gameFrequency as GameFrequency | null),
       
       // Financials
+      currency: nullToUndefined(dataAsAny.currency as string | null),
       buyIn: scrapedData.buyIn ?? 0,
       rake: scrapedData.rake ?? 0,
       venueFee: nullToUndefined(dataAsAny.venueFee as number | null),
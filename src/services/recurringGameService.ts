@@ -201,7 +201,7 @@ const detectRecurringGameGapsMutation = /* GraphQL */ `
     mutation DetectRecurringGameGaps($input: DetectInstanceGapsInput!) {
         detectRecurringGameGaps(input: $input) {
             success venueId venueName startDate endDate weeksAnalyzed
-            recurringGamesChecked expectedOccurrences confirmedOccurrences gapsFound
+            recurringGamesChecked expectedOccurrences confirmedOccurrences gapsFound holidaysSkipped
             gaps { recurringGameId recurringGameName expectedDate dayOfWeek weekKey possibleMatchGameId possibleMatchGameName matchConfidence }
             instancesCreated
         }
@@ -408,7 +408,7 @@ export interface CleanupOrphansResult { success?: boolean; venueId: string; orph
 
 // Instance tracking types
 export interface GapInfo { recurringGameId: string; recurringGameName: string; expectedDate: string; dayOfWeek: string; weekKey: string; possibleMatchGameId?: string; possibleMatchGameName?: string; matchConfidence?: number; }
-export interface DetectGapsResult { success: boolean; venueId: string; venueName?: string; startDate: string; endDate: string; weeksAnalyzed: number; recurringGamesChecked: number; expectedOccurrences: number; confirmedOccurrences: number; gapsFound: number; gaps: GapInfo[]; instancesCreated?: number; }
+export interface DetectGapsResult { success: boolean; venueId: string; venueName?: string; startDate: string; endDate: string; weeksAnalyzed: number; recurringGamesChecked: number; expectedOccurrences: number; confirmedOccurrences: number; gapsFound: number; holidaysSkipped?: number; gaps: GapInfo[]; instancesCreated?: number; }
 export interface ReconcileInstanceDetail { gameId: string; gameName: string; gameDate: string; action: string; instanceId?: string; recurringGameId?: string; recurringGameName?: string; }
 export interface ReconcileInstancesResult { success: boolean; venueId: string; gamesAnalyzed: number; instancesCreated: number; instancesUpdated: number; orphanGames: number; preview: boolean; details: ReconcileInstanceDetail[]; }
 export interface RecurringGameInstance { id: string; recurringGameId: string; recurringGameName?: string; gameId?: string; expectedDate: string; dayOfWeek: string; weekKey?: string; venueId?: string; status: 'CONFIRMED' | 'CANCELLED' | 'SKIPPED' | 'REPLACED' | 'UNKNOWN' | 'NO_SHOW'; hasDeviation?: boolean; deviationType?: string; deviationDetails?: string; cancellationReason?: string; notes?: string; adminNotes?: string; needsReview?: boolean; reviewReason?: string; }
@@ -101,6 +101,7 @@ export interface EnrichGameInput {
   gameFrequency?: GameFrequency;
   
   // Financials (raw - will be calculated by enricher)
+  currency?: string | null;  // ISO 4217 when the page states it; enricher falls back to venue / entity
   buyIn?: number;
   rake?: number;
   venueFee?: number | null;
@@ -145,6 +146,7 @@ export interface EnrichGameInput {
   
   // Structure
   levels?: any; // JSON string or array
+  breaks?: any; // [{ levelNumberBeforeBreak, levelNumberAfterBreak, durationMinutes }]
 }
 
 /**
@@ -240,6 +242,15 @@ export interface EnrichmentOptionsInput {
   /** Skip financial calculations */
   skipFinancials?: boolean;
   
+  /** Force these pipeline stages on (overrides entity config) */
+  enabledStages?: string[];
+  
+  /** Turn these pipeline stages off for this call */
+  disabledStages?: string[];
+  
+  /** Run every stage without writing anything; returns pipelineTrace */
+  dryRun?: boolean;
+  
   /** Mark URL as do not scrape */
   doNotScrape?: boolean;
   
@@ -283,12 +294,16 @@ export interface EnrichmentValidationError {
   field: string;
   message: string;
   code?: string;
+  /** ValidationRule that produced it (entity custom rules) */
+  ruleId?: string | null;
 }
 
 export interface EnrichmentValidationWarning {
   field: string;
   message: string;
   code?: string;
+  /** ValidationRule that produced it (entity custom rules) */
+  ruleId?: string | null;
 }
 
 /**
@@ -312,6 +327,7 @@ export interface EnrichedGameData {
   gameFrequency?: GameFrequency;
   
   // Financial (Input)
+  currency?: string | null;
   buyIn?: number;
   rake?: number;
   venueFee?: number | null;
@@ -329,6 +345,24 @@ export interface EnrichedGameData {
   gameProfit?: number | null;
   prizepoolCalculated?: number | null;
   
+  // Payout reconciliation (enricher payouts stage)
+  prizesPaidTotal?: number | null;
+  placesPaid?: number | null;
+  payoutReconciliationStatus?: PayoutReconciliationStatus | null;
+  payoutReconciliationDelta?: number | null;
+  payoutTemplateId?: string | null;
+  payoutTemplateDeviation?: number | null;
+  
+  // Entry timeline (enricher entryTimeline stage)
+  entryTimeline?: string | null; // JSON { observations, summary }
+  lastEntryLevel?: number | null;
+  registrationClosedLevel?: number | null;
+  lateEntries?: number | null;
+  reEntryPrizepool?: number | null;
+  
+  // Blind structure library (enricher blindStructure stage)
+  blindStructureId?: string | null;
+  
   // Entries
   totalUniquePlayers?: number;
   totalInitialEntries?: number;
@@ -347,10 +381,20 @@ export interface EnrichedGameData {
   tournamentType?: TournamentType | null;
   isSeries?: boolean;
   seriesName?: string | null;
+  holidayName?: string | null;  // Calendar holiday the game was played on
   isSatellite?: boolean;
   isRegular?: boolean;
   gameTags?: string[];
   
+  // Satellite Target (resolved by enricher)
+  satelliteTargetSeriesId?: string | null;
+  satelliteTargetSeriesName?: string | null;
+  satelliteTargetConfidence?: number | null;
+  satelliteTargetEventId?: string | null;
+  satelliteSeatsAwarded?: number | null;
+  satelliteSeatRatio?: string | null;
+  suggestedSatelliteTarget?: string | null;
+  
   // Venue Assignment (resolved by enricher)
   venueId?: string | null;
   venueAssignmentStatus?: VenueAssignmentStatus;
@@ -396,10 +440,55 @@ export interface EnrichmentMetadata {
   seriesResolution?: SeriesResolutionMetadata | null;
   recurringResolution?: RecurringResolutionMetadata | null;
   venueResolution?: VenueResolutionMetadata | null;
+  payoutReconciliation?: PayoutReconciliationMetadata | null;
+  entryTimeline?: EntryTimelineMetadata | null;
+  blindStructure?: BlindStructureMetadata | null;
   queryKeysGenerated: boolean;
   financialsCalculated: boolean;
   fieldsCompleted: string[];
+  decisions?: ResolutionDecision[] | null;
   processingTimeMs?: number;
+  dryRun?: boolean;
+  pipelineTrace?: EnrichmentStageTrace[] | null;
+}
+
+export type ResolutionResolver = 'VENUE' | 'SERIES' | 'SATELLITE' | 'RECURRING';
+
+/**
+ * One resolver's decision on a common 0-1 confidence scale
+ * (needsReview decisions go to the review queue when the game is saved)
+ */
+export interface ResolutionDecision {
+  resolver: ResolutionResolver;
+  status: string;
+  confidence: number;
+  reasons: string[];
+  targetId?: string | null;
+  targetName?: string | null;
+  alternatives?: { id: string; name?: string | null; confidence?: number | null }[] | null;
+  matchKey?: string | null;
+  needsReview: boolean;
+  ruleId?: string | null;
+}
+
+export type EnrichmentStageStatus = 'RAN' | 'SKIPPED' | 'DISABLED' | 'FAILED' | 'STOPPED';
+
+/**
+ * One pipeline stage in the enricher's trace
+ */
+export interface EnrichmentStageTrace {
+  stage: string;
+  label: string;
+  status: EnrichmentStageStatus;
+  reason?: string | null;
+  durationMs: number;
+  changes: EnrichmentFieldChange[];
+}
+
+export interface EnrichmentFieldChange {
+  field: string;
+  before?: string | null;
+  after?: string | null;
 }
 
 export interface SeriesResolutionMetadata {
@@ -411,6 +500,11 @@ export interface SeriesResolutionMetadata {
   wasCreated: boolean;
   createdSeriesId?: string | null;
   matchReason?: string | null;
+  /** Matched SeriesScheduledEvent, when the series has an imported schedule */
+  scheduledEventId?: string | null;
+  scheduledEventNumber?: number | null;
+  scheduledEventConfidence?: number | null;
+  scheduledEventMatchReason?: string | null;
 }
 
 export interface RecurringResolutionMetadata {
@@ -433,6 +527,70 @@ export interface VenueResolutionMetadata {
   matchReason?: string | null;
 }
 
+export type PayoutReconciliationStatus = 'BALANCED' | 'OVERPAID' | 'UNDERPAID' | 'NO_RESULTS' | 'NOT_CHECKED';
+
+/**
+ * Paid prizes vs expected prizepool (contributions + overlay + added value)
+ */
+export interface PayoutReconciliationMetadata {
+  status: PayoutReconciliationStatus;
+  prizesPaidTotal?: number | null;
+  placesPaid?: number | null;
+  expectedPrizepool?: number | null;
+  delta?: number | null;
+  tolerance?: number | null;
+  templateId?: string | null;
+  templateSource?: 'DETECTED' | 'MANUAL' | null;
+  templatePlacesPaid?: number | null;
+  templateDeviation?: number | null;
+  templateUpdated?: boolean | null;
+  reason?: string | null;
+}
+
+export type EntryTimelineCoverage = 'LIVE' | 'FINAL_ONLY' | 'PRE_START';
+
+export interface EntryTimelineLevel {
+  level: number; // 0 = before the start
+  entries: number;
+  reEntries: number;
+  newPlayers: number;
+}
+
+/**
+ * Entries and re-entries by level (gameDataEnricher computation/entry-timeline.js)
+ */
+export interface EntryTimelineMetadata {
+  coverage: EntryTimelineCoverage;
+  observations?: number | null;
+  observationAdded?: boolean | null;
+  levelsScheduled?: number | null;
+  byLevel?: EntryTimelineLevel[] | null;
+  entriesAtStart?: number | null;
+  lateEntries?: number | null;
+  lastEntryLevel?: number | null;
+  registrationClosedLevel?: number | null;
+  reEntries?: number | null;
+  reEntryRate?: number | null;
+  reEntryPrizepool?: number | null;
+  reEntryPrizepoolShare?: number | null;
+  guaranteeShortfallWithoutReEntries?: number | null;
+  guaranteeMetByReEntries?: boolean | null;
+}
+
+/**
+ * Library entry the game's levels were linked to
+ * (gameDataEnricher resolution/blind-structure-library.js)
+ */
+export interface BlindStructureMetadata {
+  structureId?: string | null;
+  fingerprint?: string | null;
+  name?: string | null;
+  created?: boolean | null;
+  linked?: boolean | null;
+  recurringStructureId?: string | null;
+  recurringAssigned?: boolean | null;
+}
+
 /**
  * Save result (when saveToDatabase: true)
  */
@@ -487,6 +645,7 @@ export interface GameFinancialsGameInput {
   totalAddons?: number;
   
   // Financial inputs
+  currency?: string | null;
   buyIn?: number;
   rake?: number;
   venueFee?: number | null;
@@ -801,6 +960,7 @@ export const enrichedGameToFinancialsInput = (
   totalInitialEntries: enrichedGame.totalInitialEntries,
   totalRebuys: enrichedGame.totalRebuys,
   totalAddons: enrichedGame.totalAddons,
+  currency: enrichedGame.currency,
   buyIn: enrichedGame.buyIn,
   rake: enrichedGame.rake,
   venueFee: enrichedGame.venueFee,
@@ -9,6 +9,9 @@ export interface Entity {
   entityLogo?: string | null;
   isActive: boolean;
   defaultVenueId?: string | null;
+  scraperStrategy?: string | null;
+  scraperSelectorMap?: string | null;
+  currency?: string | null;
   createdAt?: string;
   updatedAt?: string;
   _version?: number;
@@ -21,6 +24,8 @@ export interface EntityFormData {
   gameUrlDomain: string;
   gameUrlPath: string;
   entityLogo?: string;
+  scraperStrategy?: string;
+  currency?: string;
   isActive: boolean;
 }
 
@@ -1,6 +1,10 @@
 // src/types/scraper.ts
 // Centralized types for the scraper system
 //
+// UPDATED v4.1: Added 'priority' mode - backend scores candidate IDs (running
+//               games, just-started games, missing results, new IDs, staleness)
+//               and fetches the top N (bulkCount) highest first
+//
 // UPDATED v4.0: Error threshold changes
 // - DEFAULT_BATCH_THRESHOLDS.maxTotalErrors now defaults to 1 (was 15)
 // - DEFAULT_AUTO_CONFIG.maxTotalErrors now defaults to 1 (was 15)
@@ -34,11 +38,12 @@ import { ScrapedGameData } from '../API';
  * - 'single': Frontend handles with interactive control (modals, venue selection)
  * - 'multiId': Backend processes a custom list of IDs (comma-separated ranges/IDs)
  * - 'refresh': Re-fetch unfinished games (RUNNING, REGISTERING, SCHEDULED) - NEW in v3.1
+ * - 'priority': Fetch the N highest-value IDs first (scored by the backend) - NEW in v4.1
  * - Others: Backend Lambda handles (batch processing)
  * 
  * MIGRATION: 'next' is deprecated, use 'single' instead
  */
-export type IdSelectionMode = 'single' | 'bulk' | 'range' | 'gaps' | 'auto' | 'refresh' | 'multiId' | 'next';
+export type IdSelectionMode = 'single' | 'bulk' | 'range' | 'gaps' | 'auto' | 'refresh' | 'multiId' | 'priority' | 'next';
 
 export type ScrapeFlow = 'scrape' | 'scrape_save';
 export type ProcessingStatus = 'pending' | 'scraping' | 'saving' | 'review' | 'success' | 'warning' | 'skipped' | 'error';
@@ -753,6 +758,10 @@ export const buildBatchJobInput = (
     case 'bulk':
       input.bulkCount = parseInt(params.bulkCount) || 10;
       break;
+    case 'priority':
+      // Fetch budget - backend picks which IDs (lib/scrapePriority.js)
+      input.bulkCount = parseInt(params.bulkCount) || undefined;
+      break;
     case 'range':
       input.startId = parseInt(params.rangeStart) || undefined;
       input.endId = parseInt(params.rangeEnd) || undefined;
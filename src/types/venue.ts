@@ -14,6 +14,8 @@ export interface VenueFormData {
   aliases: string[];
   entityId: string | null;
   fee?: number | null;  // Venue fee per game
+  currency?: string | null;  // ISO 4217; null = entity currency
+  region?: string | null;  // State/territory (VIC, NSW, ...) for the holiday calendar
   logo?: string | null;  // Venue logo URL (S3)
 }
 
@@ -34,6 +36,8 @@ export interface Venue {
     entityName: string;
   } | null;
   fee?: number | null;  // Venue fee per game
+  currency?: string | null;  // ISO 4217; null = entity currency
+  region?: string | null;  // State/territory (VIC, NSW, ...) for the holiday calendar
   logo?: string | null;  // Venue logo URL (S3)
   _version?: number;
   _deleted?: boolean | null;
@@ -1,15 +1,30 @@
 // src/utils/generalHelpers.ts
 
-export type CurrencyCode = 'USD' | 'AUD'; 
+export type CurrencyCode = 'AUD' | 'NZD' | 'USD' | 'GBP' | 'EUR' | 'SGD' | 'HKD' | 'CAD' | 'JPY' | 'PHP';
 
 // Define configuration for each currency (locale and symbol)
+// Keep in step with CURRENCY_PATTERNS in webScraperFunction/parse/html-parser.js
 const CURRENCY_CONFIG: Record<CurrencyCode, { locale: string; currency: string }> = {
-  USD: { locale: 'en-US', currency: 'USD' },
   AUD: { locale: 'en-AU', currency: 'AUD' },
-  // Add more currencies here:
-  // EUR: { locale: 'de-DE', currency: 'EUR' },
+  NZD: { locale: 'en-NZ', currency: 'NZD' },
+  USD: { locale: 'en-US', currency: 'USD' },
+  GBP: { locale: 'en-GB', currency: 'GBP' },
+  EUR: { locale: 'de-DE', currency: 'EUR' },
+  SGD: { locale: 'en-SG', currency: 'SGD' },
+  HKD: { locale: 'en-HK', currency: 'HKD' },
+  CAD: { locale: 'en-CA', currency: 'CAD' },
+  JPY: { locale: 'ja-JP', currency: 'JPY' },
+  PHP: { locale: 'en-PH', currency: 'PHP' },
 };
 
+// Base currency of the CurrencyRate table and the default reporting currency
+export const BASE_CURRENCY: CurrencyCode = 'AUD';
+
+export const CURRENCY_CODES = Object.keys(CURRENCY_CONFIG) as CurrencyCode[];
+
+export const isCurrencyCode = (value?: string | null): value is CurrencyCode =>
+  !!value && value in CURRENCY_CONFIG;
+
 /**
  * Formats a number as a specified currency.
  * Cents are displayed only if the amount is not an integer.
@@ -26,7 +41,7 @@ export const formatCurrency = (
     return '$0'; 
   }
 
-  const config = CURRENCY_CONFIG[currency];
+  const config = CURRENCY_CONFIG[currency] || CURRENCY_CONFIG[BASE_CURRENCY];
 
   // 2. Determine if cents should be included
   // We check if the number has a fractional part (i.e., it's not an integer)